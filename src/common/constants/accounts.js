@@ -7,6 +7,69 @@ export const ACCOUNT_STATUS = {
   ACTIVE: 'active'
 }
 
+/**
+ * Account Request Status (pafs_core_account_requests.status)
+ */
+export const ACCOUNT_REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+}
+
+/**
+ * Bulk account import status (pafs_core_account_imports.status)
+ */
+export const ACCOUNT_IMPORT_STATUS = {
+  VALIDATED: 'validated',
+  INVALID: 'invalid',
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETE: 'complete',
+  FAILED: 'failed'
+}
+
+/**
+ * Bulk account import spreadsheet headers (matched case-insensitively) and
+ * the account field each one maps to
+ */
+export const ACCOUNT_IMPORT_COLUMNS = {
+  'first name': 'firstName',
+  'last name': 'lastName',
+  email: 'email',
+  organisation: 'organisation',
+  'job title': 'jobTitle',
+  telephone: 'telephoneNumber',
+  responsibility: 'responsibility',
+  'main area': 'mainArea',
+  'other areas': 'otherAreas'
+}
+
+/**
+ * Access review report findings
+ */
+export const ACCESS_REVIEW_FINDINGS = {
+  INACTIVE: 'inactive',
+  EXPIRED_AREA: 'expired_area',
+  ADMIN_NEVER_SIGNED_IN: 'admin_never_signed_in'
+}
+
+/**
+ * Default inactivity threshold (days) for the access review report
+ */
+export const ACCESS_REVIEW_DEFAULT_INACTIVE_DAYS = 90
+
+/**
+ * Actions an area manager may take on accounts within their areas. Each one
+ * is written to audit_log under DELEGATED_ACCOUNT_AUDIT_MODEL.
+ */
+export const DELEGATED_ACCOUNT_ACTIONS = {
+  APPROVE: 'APPROVE',
+  RESEND_INVITATION: 'RESEND_INVITATION',
+  DISABLE: 'DISABLE'
+}
+
+export const DELEGATED_ACCOUNT_AUDIT_MODEL = 'delegated_account_action'
+
 /**
  * Account Invitation By
  */
@@ -52,7 +115,26 @@ export const ACCOUNT_VALIDATION_CODES = {
   PRIMARY_FLAG_INVALID: 'VALIDATION_PRIMARY_FLAG_INVALID',
   EMAIL_DISPOSABLE: 'VALIDATION_EMAIL_DISPOSABLE',
   EMAIL_DOMAIN_INVALID: 'VALIDATION_EMAIL_DOMAIN_INVALID',
-  EMAIL_DUPLICATE: 'VALIDATION_EMAIL_DUPLICATE'
+  EMAIL_DUPLICATE: 'VALIDATION_EMAIL_DUPLICATE',
+  TERMS_NOT_ACCEPTED: 'VALIDATION_TERMS_NOT_ACCEPTED',
+  ACCOUNT_REQUEST_ID_INVALID: 'VALIDATION_ACCOUNT_REQUEST_ID_INVALID',
+  ACCOUNT_REQUEST_STATUS_INVALID: 'VALIDATION_ACCOUNT_REQUEST_STATUS_INVALID',
+  REJECTION_REASON_REQUIRED: 'VALIDATION_REJECTION_REASON_REQUIRED',
+  REJECTION_REASON_TOO_LONG: 'VALIDATION_REJECTION_REASON_TOO_LONG',
+  UPLOAD_ID_REQUIRED: 'VALIDATION_UPLOAD_ID_REQUIRED',
+  ACCOUNT_IMPORT_ID_INVALID: 'VALIDATION_ACCOUNT_IMPORT_ID_INVALID',
+  IMPORT_EMAIL_DUPLICATE_IN_FILE: 'VALIDATION_IMPORT_EMAIL_DUPLICATE_IN_FILE',
+  IMPORT_AREA_NOT_FOUND: 'VALIDATION_IMPORT_AREA_NOT_FOUND',
+  EXPORT_FORMAT_INVALID: 'VALIDATION_ACCOUNT_EXPORT_FORMAT_INVALID',
+  INACTIVE_DAYS_INVALID: 'VALIDATION_INACTIVE_DAYS_INVALID',
+  AREA_MANAGER_FLAG_REQUIRED: 'VALIDATION_AREA_MANAGER_FLAG_REQUIRED',
+  AREA_MANAGER_FLAG_INVALID: 'VALIDATION_AREA_MANAGER_FLAG_INVALID',
+  SUSPENDED_UNTIL_REQUIRED: 'VALIDATION_SUSPENDED_UNTIL_REQUIRED',
+  SUSPENDED_UNTIL_INVALID: 'VALIDATION_SUSPENDED_UNTIL_INVALID',
+  SUSPENSION_REASON_REQUIRED: 'VALIDATION_SUSPENSION_REASON_REQUIRED',
+  SUSPENSION_REASON_TOO_LONG: 'VALIDATION_SUSPENSION_REASON_TOO_LONG',
+  MFA_REQUIRED_FLAG_REQUIRED: 'VALIDATION_MFA_REQUIRED_FLAG_REQUIRED',
+  MFA_REQUIRED_FLAG_INVALID: 'VALIDATION_MFA_REQUIRED_FLAG_INVALID'
 }
 
 /**
@@ -70,5 +152,37 @@ export const ACCOUNT_ERROR_CODES = {
   EMAIL_DUPLICATE: 'ACCOUNT_EMAIL_DUPLICATE',
   INVALID_STATUS: 'ACCOUNT_INVALID_STATUS',
   INVALID_AREA_IDS: 'ACCOUNT_INVALID_AREA_IDS',
-  AREA_RESPONSIBILITY_MISMATCH: 'ACCOUNT_AREA_RESPONSIBILITY_MISMATCH'
+  AREA_RESPONSIBILITY_MISMATCH: 'ACCOUNT_AREA_RESPONSIBILITY_MISMATCH',
+  REQUEST_CREATE_FAILED: 'ACCOUNT_REQUEST_CREATE_FAILED',
+  REQUEST_RETRIEVAL_FAILED: 'ACCOUNT_REQUEST_RETRIEVAL_FAILED',
+  REQUEST_APPROVAL_FAILED: 'ACCOUNT_REQUEST_APPROVAL_FAILED',
+  REQUEST_REJECTION_FAILED: 'ACCOUNT_REQUEST_REJECTION_FAILED',
+  REQUEST_NOT_FOUND: 'ACCOUNT_REQUEST_NOT_FOUND',
+  REQUEST_ALREADY_PENDING: 'ACCOUNT_REQUEST_ALREADY_PENDING',
+  REQUEST_ALREADY_REVIEWED: 'ACCOUNT_REQUEST_ALREADY_REVIEWED',
+  REQUEST_RATE_LIMITED: 'ACCOUNT_REQUEST_RATE_LIMITED',
+  IMPORT_CREATE_FAILED: 'ACCOUNT_IMPORT_CREATE_FAILED',
+  IMPORT_RETRIEVAL_FAILED: 'ACCOUNT_IMPORT_RETRIEVAL_FAILED',
+  IMPORT_CONFIRM_FAILED: 'ACCOUNT_IMPORT_CONFIRM_FAILED',
+  IMPORT_NOT_FOUND: 'ACCOUNT_IMPORT_NOT_FOUND',
+  IMPORT_UPLOAD_NOT_READY: 'ACCOUNT_IMPORT_UPLOAD_NOT_READY',
+  IMPORT_FILE_INVALID: 'ACCOUNT_IMPORT_FILE_INVALID',
+  IMPORT_TOO_MANY_ROWS: 'ACCOUNT_IMPORT_TOO_MANY_ROWS',
+  IMPORT_NOT_CONFIRMABLE: 'ACCOUNT_IMPORT_NOT_CONFIRMABLE',
+  EXPORT_FAILED: 'ACCOUNTS_EXPORT_FAILED',
+  ACCESS_REVIEW_FAILED: 'ACCOUNTS_ACCESS_REVIEW_FAILED',
+  DISABLE_FAILED: 'ACCOUNTS_DISABLE_FAILED',
+  ALREADY_DISABLED: 'ACCOUNT_ALREADY_DISABLED',
+  CANNOT_DISABLE_SELF: 'ACCOUNT_CANNOT_DISABLE_SELF',
+  OUTSIDE_MANAGED_AREAS: 'ACCOUNT_OUTSIDE_MANAGED_AREAS',
+  AREA_MANAGER_UPDATE_FAILED: 'ACCOUNTS_AREA_MANAGER_UPDATE_FAILED',
+  AREA_MANAGER_AREA_INVALID: 'ACCOUNT_AREA_MANAGER_AREA_INVALID',
+  SUSPEND_FAILED: 'ACCOUNTS_SUSPEND_FAILED',
+  END_SUSPENSION_FAILED: 'ACCOUNTS_END_SUSPENSION_FAILED',
+  CANNOT_SUSPEND: 'ACCOUNT_CANNOT_SUSPEND',
+  NOT_SUSPENDED: 'ACCOUNT_NOT_SUSPENDED',
+  MFA_RESET_FAILED: 'ACCOUNTS_MFA_RESET_FAILED',
+  MFA_REQUIREMENT_UPDATE_FAILED: 'ACCOUNTS_MFA_REQUIREMENT_UPDATE_FAILED',
+  SESSIONS_RETRIEVAL_FAILED: 'ACCOUNTS_SESSIONS_RETRIEVAL_FAILED',
+  SIGN_OUT_FAILED: 'ACCOUNTS_SIGN_OUT_FAILED'
 }
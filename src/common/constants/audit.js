@@ -0,0 +1,49 @@
+/**
+ * Audit Error Codes
+ */
+export const AUDIT_ERROR_CODES = {
+  RETRIEVAL_FAILED: 'AUDIT_RETRIEVAL_FAILED',
+  UNAUTHORIZED: 'AUDIT_UNAUTHORIZED',
+  SECURITY_EVENTS_RETRIEVAL_FAILED: 'AUDIT_SECURITY_EVENTS_RETRIEVAL_FAILED'
+}
+
+/**
+ * Audit Validation Codes
+ */
+export const AUDIT_VALIDATION_CODES = {
+  MODEL_INVALID: 'VALIDATION_AUDIT_MODEL_INVALID',
+  ENTITY_ID_INVALID: 'VALIDATION_AUDIT_ENTITY_ID_INVALID',
+  CHANGED_BY_INVALID: 'VALIDATION_AUDIT_CHANGED_BY_INVALID',
+  DATE_INVALID: 'VALIDATION_AUDIT_DATE_INVALID',
+  DATE_RANGE_INVALID: 'VALIDATION_AUDIT_DATE_RANGE_INVALID',
+  EVENT_TYPE_INVALID: 'VALIDATION_AUDIT_EVENT_TYPE_INVALID',
+  SEVERITY_INVALID: 'VALIDATION_AUDIT_SEVERITY_INVALID',
+  USER_ID_INVALID: 'VALIDATION_AUDIT_USER_ID_INVALID',
+  IP_ADDRESS_INVALID: 'VALIDATION_AUDIT_IP_ADDRESS_INVALID'
+}
+
+/**
+ * Security event types recorded in pafs_core_security_events. The last three
+ * are anomalies raised from the others and emailed to notify.adminEmail.
+ */
+export const SECURITY_EVENT_TYPES = {
+  LOGIN_SUCCEEDED: 'LOGIN_SUCCEEDED',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  PASSWORD_RESET_REQUESTED: 'PASSWORD_RESET_REQUESTED',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  SESSION_MISMATCH: 'SESSION_MISMATCH',
+  REFRESH_TOKEN_REUSE: 'REFRESH_TOKEN_REUSE',
+  NEW_IP_LOGIN: 'NEW_IP_LOGIN',
+  FAILED_LOGINS_FROM_IP: 'FAILED_LOGINS_FROM_IP',
+  RAPID_PASSWORD_RESETS: 'RAPID_PASSWORD_RESETS'
+}
+
+/**
+ * Security event severities
+ */
+export const SECURITY_EVENT_SEVERITY = {
+  INFO: 'info',
+  WARNING: 'warning',
+  ALERT: 'alert'
+}
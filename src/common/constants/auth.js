@@ -16,7 +16,15 @@ export const AUTH_VALIDATION_CODES = {
   // Token validation
   TOKEN_REQUIRED: 'TOKEN_REQUIRED',
   TOKEN_TYPE_REQUIRED: 'VALIDATION_TOKEN_TYPE_REQUIRED',
-  TOKEN_TYPE_INVALID: 'VALIDATION_TOKEN_TYPE_INVALID'
+  TOKEN_TYPE_INVALID: 'VALIDATION_TOKEN_TYPE_INVALID',
+
+  // MFA validation
+  MFA_CODE_REQUIRED: 'VALIDATION_MFA_CODE_REQUIRED',
+  MFA_CODE_INVALID_FORMAT: 'VALIDATION_MFA_CODE_INVALID_FORMAT',
+  MFA_TOKEN_REQUIRED: 'VALIDATION_MFA_TOKEN_REQUIRED',
+
+  // Session validation
+  SESSION_ID_INVALID: 'VALIDATION_SESSION_ID_INVALID'
 }
 
 /**
@@ -27,6 +35,7 @@ export const AUTH_ERROR_CODES = {
   ACCOUNT_SETUP_INCOMPLETE: 'AUTH_ACCOUNT_SETUP_INCOMPLETE',
   INVALID_CREDENTIALS: 'AUTH_INVALID_CREDENTIALS',
   ACCOUNT_DISABLED: 'AUTH_ACCOUNT_DISABLED',
+  ACCOUNT_SUSPENDED: 'AUTH_ACCOUNT_SUSPENDED',
   ACCOUNT_SUPPORT: 'AUTH_ACCOUNT_SUPPORT',
   ACCOUNT_LOCKED: 'AUTH_ACCOUNT_LOCKED',
   ACCOUNT_SUPPORT_UNLOCK: 'AUTH_ACCOUNT_SUPPORT_UNLOCK',
@@ -37,7 +46,14 @@ export const AUTH_ERROR_CODES = {
   RESET_TOKEN_EXPIRED_OR_INVALID: 'AUTH_RESET_TOKEN_EXPIRED_INVALID',
   INVITATION_TOKEN_EXPIRED_OR_INVALID: 'AUTH_INVITATION_TOKEN_EXPIRED_INVALID',
   PASSWORD_WAS_USED_PREVIOUSLY: 'AUTH_PASSWORD_WAS_USED_PREVIOUSLY',
-  SESSION_ALREADY_INVALIDATED: 'SESSION_ALREADY_INVALIDATED'
+  SESSION_ALREADY_INVALIDATED: 'SESSION_ALREADY_INVALIDATED',
+  SESSION_NOT_FOUND: 'AUTH_SESSION_NOT_FOUND',
+  REFRESH_TOKEN_REUSED: 'AUTH_REFRESH_TOKEN_REUSED',
+  MFA_CODE_INVALID: 'AUTH_MFA_CODE_INVALID',
+  MFA_TOKEN_EXPIRED_OR_INVALID: 'AUTH_MFA_TOKEN_EXPIRED_INVALID',
+  MFA_ALREADY_ENABLED: 'AUTH_MFA_ALREADY_ENABLED',
+  MFA_ENROLMENT_NOT_STARTED: 'AUTH_MFA_ENROLMENT_NOT_STARTED',
+  MFA_AUTHENTICATION_REQUIRED: 'AUTH_MFA_AUTHENTICATION_REQUIRED'
 }
 
 /**
@@ -47,3 +63,19 @@ export const TOKEN_TYPES = {
   RESET: 'RESET',
   INVITATION: 'INVITATION'
 }
+
+/**
+ * Multi-factor authentication (RFC 6238 TOTP)
+ */
+export const MFA = {
+  CODE_DIGITS: 6,
+  PERIOD_SECONDS: 30,
+  // Accept codes one step either side of now to allow for clock drift
+  DRIFT_STEPS: 1,
+  SECRET_BYTES: 20,
+  RECOVERY_CODE_BYTES: 5,
+  CHALLENGE_PURPOSE: {
+    VERIFY: 'verify',
+    ENROL: 'enrol'
+  }
+}
@@ -7,6 +7,7 @@ export const HTTP_STATUS = {
   CREATED: 201,
   ACCEPTED: 202,
   NO_CONTENT: 204,
+  MULTI_STATUS: 207,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
@@ -31,7 +32,12 @@ export const VALIDATION_ERROR_CODES = {
  */
 export const FILTER_VALIDATION_CODES = {
   SEARCH_TOO_LONG: 'FILTER_SEARCH_TOO_LONG',
-  AREA_ID_INVALID: 'FILTER_AREA_ID_INVALID'
+  AREA_ID_INVALID: 'FILTER_AREA_ID_INVALID',
+  VALUE_INVALID: 'FILTER_VALUE_INVALID',
+  YEAR_INVALID: 'FILTER_YEAR_INVALID',
+  DATE_INVALID: 'FILTER_DATE_INVALID',
+  RANGE_INVALID: 'FILTER_RANGE_INVALID',
+  SORT_INVALID: 'FILTER_SORT_INVALID'
 }
 
 /**
@@ -15,6 +15,21 @@ export const UPLOAD_STATUS = {
   FAILED: 'failed' // Upload failed
 }
 
+/**
+ * Upload entity types (file_uploads.entity_type) that are not project files
+ */
+export const UPLOAD_ENTITY_TYPES = {
+  ACCOUNT_IMPORT: 'account_import'
+}
+
+/**
+ * MIME types accepted for bulk account import spreadsheets
+ */
+export const ACCOUNT_IMPORT_MIME_TYPES = [
+  'text/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+]
+
 /**
  * File status values
  * Represents the virus scan/validation status of the file
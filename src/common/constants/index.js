@@ -1,4 +1,9 @@
-export { AUTH_VALIDATION_CODES, AUTH_ERROR_CODES, TOKEN_TYPES } from './auth.js'
+export {
+  AUTH_VALIDATION_CODES,
+  AUTH_ERROR_CODES,
+  TOKEN_TYPES,
+  MFA
+} from './auth.js'
 export {
   HTTP_STATUS,
   VALIDATION_ERROR_CODES,
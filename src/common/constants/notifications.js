@@ -0,0 +1,59 @@
+/**
+ * Notification Types
+ */
+export const NOTIFICATION_TYPES = {
+  PROGRAMME_DOWNLOAD_READY: 'programme_download_ready',
+  PROGRAMME_DOWNLOAD_FAILED: 'programme_download_failed',
+  ACCOUNT_APPROVED: 'account_approved',
+  ACCOUNT_INACTIVITY_WARNING: 'account_inactivity_warning',
+  PROJECT_STATUS_CHANGED: 'project_status_changed'
+}
+
+/**
+ * Email behaviour per notification type.
+ * emailDefault: whether an email is sent when the user has no preference saved.
+ * emailRequired: the email carries something the user cannot get in-app
+ * (a set-password link, or a warning to someone who is not signing in),
+ * so it cannot be switched off.
+ */
+export const NOTIFICATION_EMAIL_SETTINGS = {
+  [NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY]: {
+    emailDefault: true,
+    emailRequired: false
+  },
+  [NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_FAILED]: {
+    emailDefault: true,
+    emailRequired: false
+  },
+  [NOTIFICATION_TYPES.ACCOUNT_APPROVED]: {
+    emailDefault: true,
+    emailRequired: true
+  },
+  [NOTIFICATION_TYPES.ACCOUNT_INACTIVITY_WARNING]: {
+    emailDefault: true,
+    emailRequired: true
+  },
+  [NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED]: {
+    emailDefault: false,
+    emailRequired: false
+  }
+}
+
+/**
+ * Notification Error Codes
+ */
+export const NOTIFICATION_ERROR_CODES = {
+  RETRIEVAL_FAILED: 'NOTIFICATIONS_RETRIEVAL_FAILED',
+  UPDATE_FAILED: 'NOTIFICATIONS_UPDATE_FAILED',
+  NOT_FOUND: 'NOTIFICATION_NOT_FOUND',
+  PREFERENCE_NOT_EDITABLE: 'NOTIFICATION_PREFERENCE_NOT_EDITABLE'
+}
+
+/**
+ * Notification Validation Codes
+ */
+export const NOTIFICATION_VALIDATION_CODES = {
+  TYPE_INVALID: 'VALIDATION_NOTIFICATION_TYPE_INVALID',
+  ID_INVALID: 'VALIDATION_NOTIFICATION_ID_INVALID',
+  PREFERENCES_INVALID: 'VALIDATION_NOTIFICATION_PREFERENCES_INVALID'
+}
@@ -72,6 +72,83 @@ export const PROJECT_STATUS = {
 
 export const EDITABLE_STATUSES = [PROJECT_STATUS.DRAFT, PROJECT_STATUS.REVISE]
 
+/**
+ * Who performed a project status transition.
+ * Recorded on every pafs_core_state_transitions row.
+ */
+export const PROJECT_STATUS_ACTORS = {
+  ADMIN: 'admin',
+  PSO: 'pso',
+  RMA: 'rma',
+  EXTERNAL: 'external',
+  SYSTEM: 'system'
+}
+
+/**
+ * Legal project status transitions and the actors allowed to perform them.
+ * Keyed by current status, then by target status.
+ * A status that is not listed as a target cannot be reached from the current status.
+ */
+export const PROJECT_STATUS_TRANSITIONS = {
+  [PROJECT_STATUS.DRAFT]: {
+    [PROJECT_STATUS.SUBMITTED]: [
+      PROJECT_STATUS_ACTORS.RMA,
+      PROJECT_STATUS_ACTORS.PSO,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ],
+    [PROJECT_STATUS.ARCHIVED]: [
+      PROJECT_STATUS_ACTORS.PSO,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ]
+  },
+  [PROJECT_STATUS.REVISE]: {
+    [PROJECT_STATUS.SUBMITTED]: [
+      PROJECT_STATUS_ACTORS.RMA,
+      PROJECT_STATUS_ACTORS.PSO,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ],
+    [PROJECT_STATUS.ARCHIVED]: [
+      PROJECT_STATUS_ACTORS.PSO,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ]
+  },
+  [PROJECT_STATUS.SUBMITTED]: {
+    // Admin resend to the external system — recorded but the status is unchanged
+    [PROJECT_STATUS.SUBMITTED]: [PROJECT_STATUS_ACTORS.ADMIN],
+    [PROJECT_STATUS.REVISE]: [
+      PROJECT_STATUS_ACTORS.PSO,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ],
+    [PROJECT_STATUS.DRAFT]: [
+      PROJECT_STATUS_ACTORS.EXTERNAL,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ],
+    [PROJECT_STATUS.APPROVED]: [
+      PROJECT_STATUS_ACTORS.EXTERNAL,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ],
+    [PROJECT_STATUS.REJECTED]: [
+      PROJECT_STATUS_ACTORS.EXTERNAL,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ]
+  },
+  [PROJECT_STATUS.APPROVED]: {
+    [PROJECT_STATUS.COMPLETED]: [PROJECT_STATUS_ACTORS.ADMIN],
+    [PROJECT_STATUS.ARCHIVED]: [PROJECT_STATUS_ACTORS.ADMIN]
+  },
+  [PROJECT_STATUS.REJECTED]: {
+    [PROJECT_STATUS.DRAFT]: [PROJECT_STATUS_ACTORS.ADMIN],
+    [PROJECT_STATUS.ARCHIVED]: [
+      PROJECT_STATUS_ACTORS.PSO,
+      PROJECT_STATUS_ACTORS.ADMIN
+    ]
+  },
+  [PROJECT_STATUS.ARCHIVED]: {
+    [PROJECT_STATUS.DRAFT]: [PROJECT_STATUS_ACTORS.ADMIN]
+  },
+  [PROJECT_STATUS.COMPLETED]: {}
+}
+
 export const FLOOD_RISK_LEVELS = {
   HIGH: 'high',
   MEDIUM: 'medium',
@@ -124,10 +201,13 @@ export const FUNDING_SOURCE_OPTIONS = {
 
 export const PROJECT_VALIDATION_MESSAGES = {
   PROJECT_NOT_FOUND: 'PROJECT_NOT_FOUND',
+  VERSION_NOT_FOUND: 'PROJECT_VERSION_NOT_FOUND',
   INVALID_DATA: 'INVALID_DATA',
   NOT_ALLOWED_TO_CREATE: 'NOT_ALLOWED_TO_CREATE',
   NOT_ALLOWED_TO_UPDATE: 'NOT_ALLOWED_TO_UPDATE',
   NOT_ALLOWED_TO_DOWNLOAD: 'NOT_ALLOWED_TO_DOWNLOAD',
+  NOT_ALLOWED_TO_COMMENT: 'NOT_ALLOWED_TO_COMMENT',
+  COMMENT_NOT_FOUND: 'PROJECT_COMMENT_NOT_FOUND',
   AREA_IS_NOT_ALLOWED: 'AREA_IS_NOT_ALLOWED',
   PROJECT_ID_REQUIRED: 'PROJECT_ID_REQUIRED',
   PROJECT_ID_INVALID: 'PROJECT_ID_INVALID',
@@ -314,6 +394,17 @@ export const PROJECT_VALIDATION_MESSAGES = {
     'FUNDING_SOURCES_ESTIMATED_SPEND_INVALID',
   FUNDING_SOURCES_ESTIMATED_SPEND_MAX_DIGITS:
     'FUNDING_SOURCES_ESTIMATED_SPEND_MAX_DIGITS',
+  // Outcome measures (OM2/OM3) per financial year
+  OUTCOMES_REQUIRED: 'OUTCOMES_REQUIRED',
+  OUTCOMES_FINANCIAL_YEAR_REQUIRED: 'OUTCOMES_FINANCIAL_YEAR_REQUIRED',
+  OUTCOMES_FINANCIAL_YEAR_INVALID: 'OUTCOMES_FINANCIAL_YEAR_INVALID',
+  OUTCOMES_FINANCIAL_YEAR_DUPLICATE: 'OUTCOMES_FINANCIAL_YEAR_DUPLICATE',
+  OUTCOMES_VALUE_INVALID: 'OUTCOMES_VALUE_INVALID',
+  OUTCOMES_VALUE_TOO_LARGE: 'OUTCOMES_VALUE_TOO_LARGE',
+  // Status transition error codes
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  NOT_ALLOWED_TO_CHANGE_STATUS: 'NOT_ALLOWED_TO_CHANGE_STATUS',
+  SUBMISSION_ENDPOINT_REQUIRED: 'SUBMISSION_ENDPOINT_REQUIRED',
   // Submission validation error codes
   NOT_ALLOWED_TO_SUBMIT: 'NOT_ALLOWED_TO_SUBMIT',
   PROJECT_NOT_DRAFT: 'PROJECT_NOT_DRAFT',
@@ -343,7 +434,8 @@ export const PROJECT_VALIDATION_MESSAGES = {
   SUBMISSION_WLC_INCOMPLETE: 'SUBMISSION_WLC_INCOMPLETE',
   SUBMISSION_WLB_INCOMPLETE: 'SUBMISSION_WLB_INCOMPLETE',
   SUBMISSION_CONFIDENCE_INCOMPLETE: 'SUBMISSION_CONFIDENCE_INCOMPLETE',
-  SUBMISSION_CARBON_INCOMPLETE: 'SUBMISSION_CARBON_INCOMPLETE'
+  SUBMISSION_CARBON_INCOMPLETE: 'SUBMISSION_CARBON_INCOMPLETE',
+  SUBMISSION_OUTCOMES_OUT_OF_RANGE: 'SUBMISSION_OUTCOMES_OUT_OF_RANGE'
 }
 
 export const PROPOSAL_ERROR_MESSAGES = {
@@ -463,6 +555,7 @@ export const PROJECT_VALIDATION_LEVELS = {
   OTHER_ENVIRONMENT_AGENCY_CONTRIBUTORS:
     'OTHER_ENVIRONMENT_AGENCY_CONTRIBUTORS',
   FUNDING_SOURCES_ESTIMATED_SPEND: 'FUNDING_SOURCES_ESTIMATED_SPEND',
+  OUTCOMES: 'OUTCOMES',
   CLEAR_STALE_DATA: 'CLEAR_STALE_DATA'
 }
 
@@ -474,5 +567,55 @@ export const PROJECT_ERROR_CODES = {
   DELETE_FAILED: 'PROJECTS_DELETE_FAILED',
   NOT_FOUND: 'PROJECT_NOT_FOUND',
   INVALID_AREA_IDS: 'PROJECT_INVALID_AREA_IDS',
-  INVALID_STATE: 'PROJECT_INVALID_STATE'
+  INVALID_STATE: 'PROJECT_INVALID_STATE',
+  EXPORT_FAILED: 'PROJECTS_EXPORT_FAILED',
+  EXPORT_NOT_FOUND: 'PROJECT_EXPORT_NOT_FOUND',
+  STATUS_UPDATE_FAILED: 'PROJECT_STATUS_UPDATE_FAILED',
+  COMMENTS_RETRIEVAL_FAILED: 'PROJECT_COMMENTS_RETRIEVAL_FAILED',
+  COMMENT_SAVE_FAILED: 'PROJECT_COMMENT_SAVE_FAILED',
+  DUPLICATE_FAILED: 'PROJECT_DUPLICATE_FAILED',
+  READINESS_FAILED: 'PROJECT_READINESS_FAILED',
+  OUTCOMES_RETRIEVAL_FAILED: 'PROJECT_OUTCOMES_RETRIEVAL_FAILED',
+  OUTCOMES_SAVE_FAILED: 'PROJECT_OUTCOMES_SAVE_FAILED',
+  MODERATION_NOT_REQUIRED: 'PROJECT_MODERATION_NOT_REQUIRED',
+  MODERATION_FAILED: 'PROJECT_MODERATION_FAILED'
+}
+
+/**
+ * Sections of the pre-submission readiness checklist, in task list order.
+ * Each groups one or more of the submission rules in validate-submission.js.
+ */
+export const PROJECT_READINESS_SECTIONS = {
+  BASIC_DETAILS: 'basic-details',
+  DATES: 'dates',
+  FUNDING_SOURCES: 'funding-sources',
+  CONTRIBUTORS: 'contributors',
+  RISKS: 'risks',
+  OUTCOMES: 'outcomes',
+  APPROACH: 'approach',
+  ENVIRONMENTAL_BENEFITS: 'environmental-benefits',
+  NFM: 'nfm',
+  URGENCY: 'urgency',
+  WLC_WLB: 'wlc-wlb',
+  CONFIDENCE: 'confidence',
+  CARBON: 'carbon'
+}
+
+/**
+ * Proposal sections a comment thread can be anchored to.
+ * Mirrors the level groups in plugins/projects/helpers/levels.
+ */
+export const PROJECT_COMMENT_SECTIONS = {
+  INITIAL: 'initial',
+  TIMELINE: 'timeline',
+  APPROACH: 'approach',
+  RISKS: 'risks',
+  CONFIDENCE: 'confidence',
+  ENVIRONMENTAL_BENEFITS: 'environmental-benefits',
+  NFM: 'nfm',
+  WLC: 'wlc',
+  WLB: 'wlb',
+  CARBON: 'carbon',
+  FUNDING_SOURCES: 'funding-sources',
+  OUTCOMES: 'outcomes'
 }
@@ -0,0 +1,41 @@
+/**
+ * Report subscription scopes.
+ * user  - the owner's own programme download, optionally area-scoped and filtered
+ * admin - the system-wide all proposals download (admins only)
+ */
+export const REPORT_SUBSCRIPTION_SCOPE = {
+  USER: 'user',
+  ADMIN: 'admin'
+}
+
+export const REPORT_SUBSCRIPTION_MAX_RECIPIENTS = 20
+
+/**
+ * Report Subscription Error Codes
+ */
+export const REPORT_SUBSCRIPTION_ERROR_CODES = {
+  RETRIEVAL_FAILED: 'REPORT_SUBSCRIPTIONS_RETRIEVAL_FAILED',
+  CREATE_FAILED: 'REPORT_SUBSCRIPTION_CREATE_FAILED',
+  UPDATE_FAILED: 'REPORT_SUBSCRIPTION_UPDATE_FAILED',
+  DELETE_FAILED: 'REPORT_SUBSCRIPTION_DELETE_FAILED',
+  NOT_FOUND: 'REPORT_SUBSCRIPTION_NOT_FOUND',
+  LIMIT_REACHED: 'REPORT_SUBSCRIPTION_LIMIT_REACHED',
+  ADMIN_REQUIRED: 'REPORT_SUBSCRIPTION_ADMIN_REQUIRED',
+  AREA_NOT_ASSIGNED: 'REPORT_SUBSCRIPTION_AREA_NOT_ASSIGNED',
+  FILTERS_NOT_SUPPORTED: 'REPORT_SUBSCRIPTION_FILTERS_NOT_SUPPORTED',
+  SCHEDULE_TOO_FREQUENT: 'REPORT_SUBSCRIPTION_SCHEDULE_TOO_FREQUENT',
+  RECIPIENT_NOT_FOUND: 'REPORT_SUBSCRIPTION_RECIPIENT_NOT_FOUND',
+  RECIPIENT_NOT_AUTHORISED: 'REPORT_SUBSCRIPTION_RECIPIENT_NOT_AUTHORISED'
+}
+
+/**
+ * Report Subscription Validation Codes
+ */
+export const REPORT_SUBSCRIPTION_VALIDATION_CODES = {
+  ID_INVALID: 'VALIDATION_REPORT_SUBSCRIPTION_ID_INVALID',
+  NAME_INVALID: 'VALIDATION_REPORT_SUBSCRIPTION_NAME_INVALID',
+  SCOPE_INVALID: 'VALIDATION_REPORT_SUBSCRIPTION_SCOPE_INVALID',
+  SCHEDULE_INVALID: 'VALIDATION_REPORT_SUBSCRIPTION_SCHEDULE_INVALID',
+  RECIPIENTS_INVALID: 'VALIDATION_REPORT_SUBSCRIPTION_RECIPIENTS_INVALID',
+  ACTIVE_INVALID: 'VALIDATION_REPORT_SUBSCRIPTION_ACTIVE_INVALID'
+}
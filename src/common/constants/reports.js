@@ -0,0 +1,21 @@
+/**
+ * Output formats of the reports endpoints
+ */
+export const REPORT_FORMATS = {
+  JSON: 'json',
+  XLSX: 'xlsx'
+}
+
+/**
+ * Report Error Codes
+ */
+export const REPORT_ERROR_CODES = {
+  PROGRAMME_SUMMARY_FAILED: 'PROGRAMME_SUMMARY_REPORT_FAILED'
+}
+
+/**
+ * Report Validation Codes
+ */
+export const REPORT_VALIDATION_CODES = {
+  FORMAT_INVALID: 'VALIDATION_REPORT_FORMAT_INVALID'
+}
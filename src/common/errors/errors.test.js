@@ -7,6 +7,7 @@ import {
   NotFoundError,
   ConflictError,
   UnprocessableEntityError,
+  TooManyRequestsError,
   InternalServerError,
   ServiceUnavailableError
 } from './http-errors.js'
@@ -199,6 +200,25 @@ describe('UnprocessableEntityError', () => {
   })
 })
 
+describe('TooManyRequestsError', () => {
+  it('creates 429 error with defaults', () => {
+    const error = new TooManyRequestsError()
+
+    expect(error).toBeInstanceOf(BaseError)
+    expect(error.message).toBe('Too many requests')
+    expect(error.statusCode).toBe(HTTP_STATUS.TOO_MANY_REQUESTS)
+    expect(error.code).toBe('TOO_MANY_REQUESTS')
+    expect(error.name).toBe('TooManyRequestsError')
+  })
+
+  it('creates 429 error with custom values', () => {
+    const error = new TooManyRequestsError('Slow down', 'RATE_LIMITED', null)
+
+    expect(error.message).toBe('Slow down')
+    expect(error.code).toBe('RATE_LIMITED')
+  })
+})
+
 describe('InternalServerError', () => {
   it('creates 500 error with defaults', () => {
     const error = new InternalServerError()
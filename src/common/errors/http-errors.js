@@ -63,6 +63,19 @@ export class UnprocessableEntityError extends BaseError {
   }
 }
 
+/**
+ * 429 Too Many Requests - Caller has exceeded a rate limit
+ */
+export class TooManyRequestsError extends BaseError {
+  constructor(
+    message = 'Too many requests',
+    code = 'TOO_MANY_REQUESTS',
+    field = null
+  ) {
+    super(message, HTTP_STATUS.TOO_MANY_REQUESTS, code, field)
+  }
+}
+
 /**
  * 500 Internal Server Error - Generic server error
  */
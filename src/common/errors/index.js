@@ -6,6 +6,7 @@ export {
   NotFoundError,
   ConflictError,
   UnprocessableEntityError,
+  TooManyRequestsError,
   InternalServerError,
   ServiceUnavailableError
 } from './http-errors.js'
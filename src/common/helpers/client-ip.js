@@ -0,0 +1,19 @@
+import { config } from '../../config.js'
+
+/**
+ * The end user's IP address.
+ *
+ * Only the frontend calls the backend directly, so request.info.remoteAddress
+ * is the frontend's address for every user. The frontend forwards the user's
+ * address in the clientIp.header header; where that holds a list, the first
+ * entry is the original client.
+ *
+ * @param {Object} request - Hapi request
+ * @returns {string} Client IP address, or the connection address when the
+ *   header is missing
+ */
+export function getClientIp(request) {
+  const forwarded = request.headers?.[config.get('clientIp.header')]
+  const clientIp = forwarded?.split(',')[0].trim()
+  return clientIp || request.info.remoteAddress
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect, vi } from 'vitest'
+import { getClientIp } from './client-ip.js'
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn((key) =>
+      key === 'clientIp.header' ? 'x-forwarded-for' : undefined
+    )
+  }
+}))
+
+function makeRequest(headers = {}) {
+  return { headers, info: { remoteAddress: '10.0.0.1' } }
+}
+
+describe('getClientIp', () => {
+  it('returns the address forwarded by the frontend', () => {
+    expect(getClientIp(makeRequest({ 'x-forwarded-for': '203.0.113.7' }))).toBe(
+      '203.0.113.7'
+    )
+  })
+
+  it('returns the original client from a list of addresses', () => {
+    expect(
+      getClientIp(
+        makeRequest({ 'x-forwarded-for': '203.0.113.7, 10.0.0.5, 10.0.0.1' })
+      )
+    ).toBe('203.0.113.7')
+  })
+
+  it('falls back to the connection address without the header', () => {
+    expect(getClientIp(makeRequest())).toBe('10.0.0.1')
+  })
+
+  it('falls back to the connection address when the header is blank', () => {
+    expect(getClientIp(makeRequest({ 'x-forwarded-for': ' ' }))).toBe(
+      '10.0.0.1'
+    )
+  })
+})
@@ -0,0 +1,57 @@
+// In-process fixed-window rate limiter.
+// Counts are per instance, so with N instances behind the load balancer a
+// caller can make up to N × maxRequests per window. That is acceptable for
+// low-volume public endpoints where the aim is to stop scripted abuse, not to
+// enforce an exact quota.
+
+/**
+ * Create a rate limiter
+ * @param {Object} options
+ * @param {number} options.maxRequests - Requests allowed per key per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {{ consume: Function, reset: Function }}
+ */
+export function createRateLimiter({ maxRequests, windowMs }) {
+  const windows = new Map()
+
+  const pruneExpired = (now) => {
+    for (const [key, entry] of windows) {
+      if (now >= entry.resetAt) {
+        windows.delete(key)
+      }
+    }
+  }
+
+  return {
+    /**
+     * Record one request for `key`
+     * @param {string} key - Usually the caller's IP address
+     * @returns {{ allowed: boolean, retryAfterSeconds: number }}
+     */
+    consume(key) {
+      const now = Date.now()
+      pruneExpired(now)
+
+      const entry = windows.get(key)
+      if (!entry) {
+        windows.set(key, { count: 1, resetAt: now + windowMs })
+        return { allowed: true, retryAfterSeconds: 0 }
+      }
+
+      if (entry.count >= maxRequests) {
+        return {
+          allowed: false,
+          retryAfterSeconds: Math.ceil((entry.resetAt - now) / 1000)
+        }
+      }
+
+      entry.count += 1
+      return { allowed: true, retryAfterSeconds: 0 }
+    },
+
+    // Exposed for tests only — do not call in production code
+    reset() {
+      windows.clear()
+    }
+  }
+}
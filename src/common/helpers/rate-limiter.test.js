@@ -0,0 +1,59 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createRateLimiter } from './rate-limiter.js'
+
+describe('createRateLimiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('Should allow requests up to the limit', () => {
+    const limiter = createRateLimiter({ maxRequests: 2, windowMs: 60_000 })
+
+    expect(limiter.consume('1.1.1.1').allowed).toBe(true)
+    expect(limiter.consume('1.1.1.1').allowed).toBe(true)
+  })
+
+  test('Should reject requests over the limit with a retry time', () => {
+    const limiter = createRateLimiter({ maxRequests: 2, windowMs: 60_000 })
+    limiter.consume('1.1.1.1')
+    limiter.consume('1.1.1.1')
+
+    vi.advanceTimersByTime(15_000)
+
+    expect(limiter.consume('1.1.1.1')).toEqual({
+      allowed: false,
+      retryAfterSeconds: 45
+    })
+  })
+
+  test('Should count each key separately', () => {
+    const limiter = createRateLimiter({ maxRequests: 1, windowMs: 60_000 })
+    limiter.consume('1.1.1.1')
+
+    expect(limiter.consume('1.1.1.1').allowed).toBe(false)
+    expect(limiter.consume('2.2.2.2').allowed).toBe(true)
+  })
+
+  test('Should start a new window once the old one expires', () => {
+    const limiter = createRateLimiter({ maxRequests: 1, windowMs: 60_000 })
+    limiter.consume('1.1.1.1')
+
+    vi.advanceTimersByTime(60_000)
+
+    expect(limiter.consume('1.1.1.1').allowed).toBe(true)
+  })
+
+  test('Should clear all windows on reset', () => {
+    const limiter = createRateLimiter({ maxRequests: 1, windowMs: 60_000 })
+    limiter.consume('1.1.1.1')
+
+    limiter.reset()
+
+    expect(limiter.consume('1.1.1.1').allowed).toBe(true)
+  })
+})
@@ -25,6 +25,69 @@ export const areaIdSchema = Joi.number()
     'number.positive': FILTER_VALIDATION_CODES.AREA_ID_INVALID
   })
 
+// Array type that also accepts a comma-separated string, so both
+// ?status=draft&status=submitted and ?status=draft,submitted work
+const CsvJoi = Joi.extend({
+  type: 'csvArray',
+  base: Joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({
+      value: value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean)
+    })
+  }
+})
+
+/**
+ * Multi-value filter schema - one or more of the allowed values
+ * @param {string[]} allowedValues - Values the filter accepts
+ */
+export function multiValueFilterSchema(allowedValues) {
+  return CsvJoi.csvArray()
+    .items(Joi.string().valid(...allowedValues))
+    .single()
+    .unique()
+    .optional()
+    .messages({
+      'any.only': FILTER_VALIDATION_CODES.VALUE_INVALID,
+      'array.unique': FILTER_VALIDATION_CODES.VALUE_INVALID
+    })
+}
+
+/**
+ * Financial year filter schema - the calendar year the financial year starts in
+ */
+export const financialYearFilterSchema = Joi.number()
+  .integer()
+  .min(2000)
+  .max(2100)
+  .optional()
+  .messages({
+    'number.base': FILTER_VALIDATION_CODES.YEAR_INVALID,
+    'number.integer': FILTER_VALIDATION_CODES.YEAR_INVALID,
+    'number.min': FILTER_VALIDATION_CODES.YEAR_INVALID,
+    'number.max': FILTER_VALIDATION_CODES.YEAR_INVALID
+  })
+
+/**
+ * Upper bound of a range filter, which must not be below its lower bound
+ * @param {Joi.Schema} schema - Schema for a single bound
+ * @param {string} fromKey - Sibling key holding the lower bound
+ */
+export function rangeEndSchema(schema, fromKey) {
+  return Joi.when(fromKey, {
+    is: Joi.exist(),
+    then: schema.min(Joi.ref(fromKey)).messages({
+      'number.min': FILTER_VALIDATION_CODES.RANGE_INVALID,
+      'date.min': FILTER_VALIDATION_CODES.RANGE_INVALID
+    }),
+    otherwise: schema
+  })
+}
+
 /**
  * Combined filter schema for search and area
  */
@@ -1,5 +1,13 @@
 import { describe, it, expect } from 'vitest'
-import { searchSchema, areaIdSchema, filterSchema } from './filter.js'
+import Joi from 'joi'
+import {
+  searchSchema,
+  areaIdSchema,
+  filterSchema,
+  financialYearFilterSchema,
+  multiValueFilterSchema,
+  rangeEndSchema
+} from './filter.js'
 import { FILTER_VALIDATION_CODES } from '../constants/index.js'
 
 describe('filter schemas', () => {
@@ -95,4 +103,79 @@ describe('filter schemas', () => {
       expect(error).toBeUndefined()
     })
   })
+
+  describe('multiValueFilterSchema', () => {
+    const schema = multiValueFilterSchema(['draft', 'submitted', 'archived'])
+
+    it('wraps a single value in an array', () => {
+      const { error, value } = schema.validate('draft')
+      expect(error).toBeUndefined()
+      expect(value).toEqual(['draft'])
+    })
+
+    it('splits comma-separated values', () => {
+      const { value } = schema.validate('draft, submitted')
+      expect(value).toEqual(['draft', 'submitted'])
+    })
+
+    it('accepts repeated query values as an array', () => {
+      const { value } = schema.validate(['draft', 'archived'])
+      expect(value).toEqual(['draft', 'archived'])
+    })
+
+    it('rejects values outside the allowed list', () => {
+      const { error } = schema.validate('draft,unknown')
+      expect(error.details[0].message).toBe(
+        FILTER_VALIDATION_CODES.VALUE_INVALID
+      )
+    })
+
+    it('rejects duplicate values', () => {
+      const { error } = schema.validate('draft,draft')
+      expect(error.details[0].message).toBe(
+        FILTER_VALIDATION_CODES.VALUE_INVALID
+      )
+    })
+
+    it('allows undefined', () => {
+      const { error } = schema.validate(undefined)
+      expect(error).toBeUndefined()
+    })
+  })
+
+  describe('financialYearFilterSchema', () => {
+    it('accepts a year', () => {
+      expect(financialYearFilterSchema.validate(2026).error).toBeUndefined()
+    })
+
+    it.each([1999, 2101, 2026.5, 'soon'])('rejects %s', (year) => {
+      const { error } = financialYearFilterSchema.validate(year)
+      expect(error.details[0].message).toBe(
+        FILTER_VALIDATION_CODES.YEAR_INVALID
+      )
+    })
+  })
+
+  describe('rangeEndSchema', () => {
+    const schema = Joi.object({
+      from: financialYearFilterSchema,
+      to: rangeEndSchema(financialYearFilterSchema, 'from')
+    })
+
+    it('accepts an upper bound on or after the lower bound', () => {
+      expect(schema.validate({ from: 2025, to: 2025 }).error).toBeUndefined()
+      expect(schema.validate({ from: 2025, to: 2030 }).error).toBeUndefined()
+    })
+
+    it('accepts an upper bound on its own', () => {
+      expect(schema.validate({ to: 2030 }).error).toBeUndefined()
+    })
+
+    it('rejects an upper bound before the lower bound', () => {
+      const { error } = schema.validate({ from: 2030, to: 2025 })
+      expect(error.details[0].message).toBe(
+        FILTER_VALIDATION_CODES.RANGE_INVALID
+      )
+    })
+  })
 })
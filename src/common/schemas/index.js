@@ -13,5 +13,12 @@ export {
   adminFlagSchema
 } from './account.js'
 
-export { searchSchema, areaIdSchema, filterSchema } from './filter.js'
+export {
+  searchSchema,
+  areaIdSchema,
+  filterSchema,
+  financialYearFilterSchema,
+  multiValueFilterSchema,
+  rangeEndSchema
+} from './filter.js'
 export { pageSchema, pageSizeSchema, paginationSchema } from './pagination.js'
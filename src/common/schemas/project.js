@@ -35,3 +35,6 @@ export * from './project/carbon.js'
 
 // Re-export funding sources schemas
 export * from './project/funding-sources.js'
+
+// Re-export outcome measures (OM2/OM3) schemas
+export * from './project/outcomes.js'
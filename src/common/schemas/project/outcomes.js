@@ -0,0 +1,125 @@
+import Joi from 'joi'
+import { PROJECT_VALIDATION_MESSAGES } from '../../constants/project.js'
+
+// Outcome counts are stored in 32-bit integer columns
+const MAX_OUTCOME_VALUE = 2_147_483_647
+
+/**
+ * OM2 — households and properties better protected from flooding
+ */
+export const FLOOD_PROTECTION_OUTCOME_FIELDS = [
+  'householdsAtReducedRisk',
+  'movedFromVerySignificantAndSignificantToModerateOrLow',
+  'householdsProtectedFromLossIn20PercentMostDeprived',
+  'householdsProtectedThroughPlpMeasures',
+  'nonResidentialProperties'
+]
+
+/**
+ * OM2 (2040) — the same measures projected to 2040, without PLP
+ */
+export const FLOOD_PROTECTION_2040_OUTCOME_FIELDS = [
+  'householdsAtReducedRisk',
+  'movedFromVerySignificantAndSignificantToModerateOrLow',
+  'householdsProtectedFromLossIn20PercentMostDeprived',
+  'nonResidentialProperties'
+]
+
+/**
+ * OM3 — households and properties better protected from coastal erosion
+ */
+export const COASTAL_EROSION_PROTECTION_OUTCOME_FIELDS = [
+  'householdsAtReducedRisk',
+  'householdsProtectedFromLossInNext20Years',
+  'householdsProtectedFromLossIn20PercentMostDeprived',
+  'nonResidentialProperties'
+]
+
+const outcomeValueSchema = Joi.number()
+  .integer()
+  .min(0)
+  .max(MAX_OUTCOME_VALUE)
+  .allow(null)
+  .optional()
+  .messages({
+    'number.base': PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_INVALID,
+    'number.integer': PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_INVALID,
+    'number.min': PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_INVALID,
+    'number.max': PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_TOO_LARGE
+  })
+
+const outcomeFinancialYearSchema = Joi.number()
+  .integer()
+  .min(2000)
+  .max(2100)
+  .required()
+  .messages({
+    'number.base': PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_INVALID,
+    'number.integer':
+      PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_INVALID,
+    'number.min': PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_INVALID,
+    'number.max': PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_INVALID,
+    'any.required': PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_REQUIRED
+  })
+
+/**
+ * Schema for a single financial year of outcomes.
+ * financialYear is required; every count is optional (null means not known).
+ * Unknown keys are rejected to prevent silent data loss.
+ */
+const createOutcomeRowSchema = (fields) =>
+  Joi.object({
+    financialYear: outcomeFinancialYearSchema,
+    ...Object.fromEntries(fields.map((field) => [field, outcomeValueSchema]))
+  })
+    .options({ allowUnknown: false })
+    .messages({
+      'object.base': PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_INVALID,
+      'object.unknown': PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_INVALID
+    })
+
+/**
+ * Creates an outcomes array schema — one row per financial year.
+ * The array replaces every stored row of that type, so an empty array clears it.
+ */
+const createOutcomesArraySchema = (label, fields) =>
+  Joi.array()
+    .items(createOutcomeRowSchema(fields))
+    .unique('financialYear')
+    .optional()
+    .label(label)
+    .messages({
+      'array.base': PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_INVALID,
+      'array.unique':
+        PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_DUPLICATE
+    })
+
+export const floodProtectionOutcomesSchema = createOutcomesArraySchema(
+  'floodProtectionOutcomes',
+  FLOOD_PROTECTION_OUTCOME_FIELDS
+)
+
+export const floodProtection2040OutcomesSchema = createOutcomesArraySchema(
+  'floodProtection2040Outcomes',
+  FLOOD_PROTECTION_2040_OUTCOME_FIELDS
+)
+
+export const coastalErosionProtectionOutcomesSchema = createOutcomesArraySchema(
+  'coastalErosionProtectionOutcomes',
+  COASTAL_EROSION_PROTECTION_OUTCOME_FIELDS
+)
+
+/**
+ * Payload for saving outcomes. Each outcome type is optional and only the
+ * types present are replaced, but at least one must be sent.
+ */
+export const projectOutcomesSchema = Joi.object({
+  floodProtectionOutcomes: floodProtectionOutcomesSchema,
+  floodProtection2040Outcomes: floodProtection2040OutcomesSchema,
+  coastalErosionProtectionOutcomes: coastalErosionProtectionOutcomesSchema
+})
+  .min(1)
+  .label('Outcomes')
+  .messages({
+    'object.min': PROJECT_VALIDATION_MESSAGES.OUTCOMES_REQUIRED
+  })
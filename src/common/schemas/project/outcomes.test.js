@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest'
+import {
+  floodProtectionOutcomesSchema,
+  floodProtection2040OutcomesSchema,
+  projectOutcomesSchema
+} from './outcomes.js'
+import { PROJECT_VALIDATION_MESSAGES } from '../../constants/project.js'
+
+const messageOf = (result) => result.error?.details[0].message
+
+describe('Outcomes Schemas', () => {
+  describe('floodProtectionOutcomesSchema', () => {
+    it('should accept rows with counts and nulls', () => {
+      const { error } = floodProtectionOutcomesSchema.validate([
+        {
+          financialYear: 2025,
+          householdsAtReducedRisk: 10,
+          householdsProtectedThroughPlpMeasures: null
+        },
+        { financialYear: 2026 }
+      ])
+      expect(error).toBeUndefined()
+    })
+
+    it('should accept an empty array', () => {
+      expect(floodProtectionOutcomesSchema.validate([]).error).toBeUndefined()
+    })
+
+    it('should require a financial year', () => {
+      const result = floodProtectionOutcomesSchema.validate([
+        { householdsAtReducedRisk: 1 }
+      ])
+      expect(messageOf(result)).toBe(
+        PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_REQUIRED
+      )
+    })
+
+    it('should reject an invalid financial year', () => {
+      const result = floodProtectionOutcomesSchema.validate([
+        { financialYear: 'next year' }
+      ])
+      expect(messageOf(result)).toBe(
+        PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_INVALID
+      )
+    })
+
+    it('should reject duplicate financial years', () => {
+      const result = floodProtectionOutcomesSchema.validate([
+        { financialYear: 2025 },
+        { financialYear: 2025 }
+      ])
+      expect(messageOf(result)).toBe(
+        PROJECT_VALIDATION_MESSAGES.OUTCOMES_FINANCIAL_YEAR_DUPLICATE
+      )
+    })
+
+    it('should reject negative and fractional counts', () => {
+      for (const value of [-1, 1.5]) {
+        const result = floodProtectionOutcomesSchema.validate([
+          { financialYear: 2025, householdsAtReducedRisk: value }
+        ])
+        expect(messageOf(result)).toBe(
+          PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_INVALID
+        )
+      }
+    })
+
+    it('should reject counts that do not fit the column', () => {
+      const result = floodProtectionOutcomesSchema.validate([
+        { financialYear: 2025, nonResidentialProperties: 3_000_000_000 }
+      ])
+      expect(messageOf(result)).toBe(
+        PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_TOO_LARGE
+      )
+    })
+  })
+
+  describe('floodProtection2040OutcomesSchema', () => {
+    it('should reject PLP measures, which are not recorded for 2040', () => {
+      const result = floodProtection2040OutcomesSchema.validate([
+        { financialYear: 2025, householdsProtectedThroughPlpMeasures: 1 }
+      ])
+      expect(messageOf(result)).toBe(
+        PROJECT_VALIDATION_MESSAGES.OUTCOMES_VALUE_INVALID
+      )
+    })
+  })
+
+  describe('projectOutcomesSchema', () => {
+    it('should accept a single outcome type', () => {
+      const { error } = projectOutcomesSchema.validate({
+        coastalErosionProtectionOutcomes: [
+          { financialYear: 2025, householdsProtectedFromLossInNext20Years: 2 }
+        ]
+      })
+      expect(error).toBeUndefined()
+    })
+
+    it('should require at least one outcome type', () => {
+      expect(messageOf(projectOutcomesSchema.validate({}))).toBe(
+        PROJECT_VALIDATION_MESSAGES.OUTCOMES_REQUIRED
+      )
+    })
+  })
+})
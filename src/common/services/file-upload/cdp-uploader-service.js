@@ -47,9 +47,10 @@ export class CdpUploaderService {
    * @param {string} options.callback - Full callback URL for upload notifications
    * @param {Object} options.metadata - Custom metadata to attach to the upload
    * @param {string[]} [options.downloadUrls] - Optional array of URLs for CDP to download files from
+   * @param {string[]} [options.mimeTypes] - Overrides the configured allowed MIME types for this upload
    * @returns {Promise<Object>} Upload session details with uploadId, uploadUrl, and statusUrl
    */
-  async initiate({ redirect, callback, metadata, downloadUrls }) {
+  async initiate({ redirect, callback, metadata, downloadUrls, mimeTypes }) {
     if (!this.enabled) {
       this.logger.warn('CDP Uploader disabled - returning mock response')
       return this.getMockInitiateResponse(metadata)
@@ -60,7 +61,7 @@ export class CdpUploaderService {
       callback,
       s3Bucket: this.s3Bucket,
       metadata: metadata || {},
-      mimeTypes: this.allowedMimeTypes,
+      mimeTypes: mimeTypes || this.allowedMimeTypes,
       maxFileSize: this.maxFileSize
     }
 
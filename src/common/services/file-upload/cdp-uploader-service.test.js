@@ -133,6 +133,24 @@ describe('CdpUploaderService', () => {
       )
     })
 
+    test('should use mimeTypes override when provided', async () => {
+      const service = new CdpUploaderService(mockLogger)
+      mockFetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ uploadId: 'test-id' })
+      })
+
+      await service.initiate({
+        redirect: '/success',
+        callback: 'https://api.test.com/callback',
+        metadata: {},
+        mimeTypes: ['text/csv']
+      })
+
+      const body = JSON.parse(mockFetch.mock.calls[0][1].body)
+      expect(body.mimeTypes).toEqual(['text/csv'])
+    })
+
     test('should include downloadUrls when provided', async () => {
       const service = new CdpUploaderService(mockLogger)
       mockFetch.mockResolvedValue({
@@ -3,7 +3,8 @@ import {
   GetObjectCommand,
   DeleteObjectCommand,
   PutObjectCommand,
-  CopyObjectCommand
+  CopyObjectCommand,
+  ListObjectsV2Command
 } from '@aws-sdk/client-s3'
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
 import { Upload } from '@aws-sdk/lib-storage'
@@ -302,6 +303,49 @@ export class S3Service {
     }
   }
 
+  /**
+   * List every object key under a prefix, following continuation tokens
+   *
+   * @param {string} bucket - S3 bucket name
+   * @param {string} prefix - Key prefix to list
+   * @returns {Promise<string[]>} Object keys in S3 (lexicographic) order
+   */
+  async listObjects(bucket, prefix) {
+    try {
+      const keys = []
+      let continuationToken
+
+      do {
+        const response = await this.s3Client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+          })
+        )
+        for (const object of response.Contents ?? []) {
+          keys.push(object.Key)
+        }
+        continuationToken = response.IsTruncated
+          ? response.NextContinuationToken
+          : undefined
+      } while (continuationToken)
+
+      this.logger.info(
+        { bucket, prefix, count: keys.length },
+        'Listed S3 objects'
+      )
+
+      return keys
+    } catch (error) {
+      this.logger.error(
+        { err: error, bucket, prefix },
+        'Failed to list S3 objects'
+      )
+      throw error
+    }
+  }
+
   /**
    * Get service configuration
    *
@@ -23,6 +23,10 @@ vi.mock('@aws-sdk/client-s3', () => {
     CopyObjectCommand: vi.fn(function (params) {
       this.input = params
       return this
+    }),
+    ListObjectsV2Command: vi.fn(function (params) {
+      this.input = params
+      return this
     })
   }
 })
@@ -945,4 +949,61 @@ describe('S3Service', () => {
       expect(service.s3Client.send).toHaveBeenCalledTimes(1)
     })
   })
+
+  describe('listObjects', () => {
+    it('should follow continuation tokens and return every key', async () => {
+      const service = new S3Service(mockLogger)
+
+      service.s3Client.send
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'audit/a.ndjson' }],
+          IsTruncated: true,
+          NextContinuationToken: 'token-1'
+        })
+        .mockResolvedValueOnce({
+          Contents: [{ Key: 'audit/b.ndjson' }],
+          IsTruncated: false
+        })
+
+      const keys = await service.listObjects('audit-bucket', 'audit/')
+
+      const { ListObjectsV2Command } = await import('@aws-sdk/client-s3')
+      expect(ListObjectsV2Command).toHaveBeenNthCalledWith(1, {
+        Bucket: 'audit-bucket',
+        Prefix: 'audit/',
+        ContinuationToken: undefined
+      })
+      expect(ListObjectsV2Command).toHaveBeenNthCalledWith(2, {
+        Bucket: 'audit-bucket',
+        Prefix: 'audit/',
+        ContinuationToken: 'token-1'
+      })
+      expect(keys).toEqual(['audit/a.ndjson', 'audit/b.ndjson'])
+    })
+
+    it('should return an empty list when nothing matches', async () => {
+      const service = new S3Service(mockLogger)
+
+      service.s3Client.send.mockResolvedValue({ KeyCount: 0 })
+
+      await expect(
+        service.listObjects('audit-bucket', 'none/')
+      ).resolves.toEqual([])
+    })
+
+    it('should log and rethrow S3 list errors', async () => {
+      const service = new S3Service(mockLogger)
+      const error = new Error('Access denied')
+
+      service.s3Client.send.mockRejectedValue(error)
+
+      await expect(
+        service.listObjects('audit-bucket', 'audit/')
+      ).rejects.toThrow('Access denied')
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        { err: error, bucket: 'audit-bucket', prefix: 'audit/' },
+        'Failed to list S3 objects'
+      )
+    })
+  })
 })
@@ -11,6 +11,9 @@ import { schedulerSchema } from './config/scheduler.js'
 import { externalSubmissionSchema } from './config/external-submission.js'
 import { auditArchiveSchema } from './config/audit.js'
 import { maintenanceSchema } from './config/maintenance.js'
+import { projectExportSchema } from './config/project-export.js'
+import { accountImportSchema } from './config/account-import.js'
+import { programmeDownloadSchema } from './config/programme-download.js'
 
 convict.addFormats(convictFormatWithValidator)
 
@@ -24,7 +27,10 @@ const config = convict({
   ...schedulerSchema,
   ...externalSubmissionSchema,
   ...auditArchiveSchema,
-  ...maintenanceSchema
+  ...maintenanceSchema,
+  ...projectExportSchema,
+  ...accountImportSchema,
+  ...programmeDownloadSchema
 })
 
 config.validate({ allowed: 'strict' })
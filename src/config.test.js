@@ -316,11 +316,40 @@ describe('config', () => {
       expect(config.get('auth.invitation.tokenExpiryHours')).toBe(120)
     })
 
+    test('Should have account request rate limit configuration', async () => {
+      const { config } = await import('./config.js')
+      expect(config.get('auth.accountRequestRateLimit.enabled')).toBe(true)
+      expect(config.get('auth.accountRequestRateLimit.maxRequests')).toBe(5)
+      expect(config.get('auth.accountRequestRateLimit.windowMinutes')).toBe(60)
+    })
+
     test('Should have password history configuration', async () => {
       const { config } = await import('./config.js')
       expect(config.get('auth.passwordHistory.enabled')).toBe(true)
       expect(config.get('auth.passwordHistory.limit')).toBe(15)
     })
+
+    test('Should have MFA configuration', async () => {
+      const { config } = await import('./config.js')
+      expect(config.get('auth.mfa.issuer')).toBe('PAFS')
+      expect(config.get('auth.mfa.secretEncryptionKey')).toBeDefined()
+      expect(config.get('auth.mfa.challengeExpiresIn')).toBe('5m')
+      expect(config.get('auth.mfa.recoveryCodeCount')).toBe(10)
+    })
+
+    test('Should allow one concurrent session by default', async () => {
+      const { config } = await import('./config.js')
+      expect(config.get('auth.sessions.maxConcurrent')).toBe(1)
+    })
+
+    test('Should have security event anomaly thresholds', async () => {
+      const { config } = await import('./config.js')
+      expect(config.get('auth.securityEvents.retentionDays')).toBe(365)
+      expect(
+        config.get('auth.securityEvents.failedLoginAccountThreshold')
+      ).toBe(5)
+      expect(config.get('auth.securityEvents.passwordResetThreshold')).toBe(3)
+    })
   })
 
   describe('notify configuration', () => {
@@ -346,12 +375,18 @@ describe('config', () => {
         config.get('notify.templateAccountInactivityWarning')
       ).toBeDefined()
       expect(config.get('notify.templateAccountReactivated')).toBeDefined()
+      expect(config.get('notify.templateAccountRequestRejected')).toBeDefined()
     })
 
     test('Should have admin email configuration', async () => {
       const { config } = await import('./config.js')
       expect(config.get('notify.adminEmail')).toBeDefined()
     })
+
+    test('Should have security alert template configuration', async () => {
+      const { config } = await import('./config.js')
+      expect(config.get('notify.templateSecurityAlert')).toBeDefined()
+    })
   })
 
   describe('email validation configuration', () => {
@@ -604,6 +639,32 @@ describe('config', () => {
       expect(config.get('sqsProgrammeGeneration.visibilityTimeout')).toBe(600)
     })
 
+    test('Should keep five programme downloads per user by default', async () => {
+      const { config } = await import('./config.js')
+      expect(config.get('programmeDownload.historyLimit')).toBe(5)
+    })
+
+    test('Should override programme download history limit via env var', async () => {
+      process.env.PROGRAMME_DOWNLOAD_HISTORY_LIMIT = '10'
+      const { config } = await import('./config.js')
+      expect(config.get('programmeDownload.historyLimit')).toBe(10)
+    })
+
+    test('Should use report subscription defaults', async () => {
+      const { config } = await import('./config.js')
+      expect(config.get('reportSubscriptions.maxPerUser')).toBe(10)
+      expect(config.get('reportSubscriptions.minIntervalMinutes')).toBe(60)
+      expect(config.get('reportSubscriptions.linkExpirySeconds')).toBe(604800)
+    })
+
+    test('Should override report subscription limits via env vars', async () => {
+      process.env.REPORT_SUBSCRIPTIONS_MAX_PER_USER = '3'
+      process.env.REPORT_SUBSCRIPTIONS_MIN_INTERVAL_MINUTES = '1440'
+      const { config } = await import('./config.js')
+      expect(config.get('reportSubscriptions.maxPerUser')).toBe(3)
+      expect(config.get('reportSubscriptions.minIntervalMinutes')).toBe(1440)
+    })
+
     test('Should override CDP uploader max file size via env var', async () => {
       process.env.CDP_UPLOADER_MAX_FILE_SIZE = '10000000'
       const { config } = await import('./config.js')
@@ -0,0 +1,12 @@
+const accountImportSchema = {
+  accountImport: {
+    maxRows: {
+      doc: 'Largest number of data rows accepted in a bulk account import spreadsheet',
+      format: 'nat',
+      default: 1000,
+      env: 'ACCOUNT_IMPORT_MAX_ROWS'
+    }
+  }
+}
+
+export { accountImportSchema }
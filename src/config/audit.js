@@ -37,6 +37,12 @@ const auditArchiveSchema = {
       format: 'nat',
       default: 1000,
       env: 'AUDIT_ARCHIVE_BATCH_SIZE'
+    },
+    maxReadFiles: {
+      doc: 'Maximum number of archived S3 objects read by one audit search; the newest are read',
+      format: 'nat',
+      default: 50,
+      env: 'AUDIT_ARCHIVE_MAX_READ_FILES'
     }
   }
 }
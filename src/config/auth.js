@@ -96,6 +96,26 @@ const authSchema = {
         env: 'AUTH_INVITATION_EXPIRY_HOURS'
       }
     },
+    accountRequestRateLimit: {
+      enabled: {
+        doc: 'Enable rate limiting on the public account request endpoint',
+        format: Boolean,
+        default: true,
+        env: 'AUTH_ACCOUNT_REQUEST_RATE_LIMIT_ENABLED'
+      },
+      maxRequests: {
+        doc: 'Maximum account requests accepted from one client IP address, and for one email address, per window',
+        format: 'nat',
+        default: 5,
+        env: 'AUTH_ACCOUNT_REQUEST_RATE_LIMIT_MAX'
+      },
+      windowMinutes: {
+        doc: 'Account request rate limit window in minutes',
+        format: 'nat',
+        default: 60,
+        env: 'AUTH_ACCOUNT_REQUEST_RATE_LIMIT_WINDOW'
+      }
+    },
     passwordHistory: {
       enabled: {
         doc: 'Enable password history check to prevent reuse of recent passwords',
@@ -110,6 +130,91 @@ const authSchema = {
         env: 'AUTH_PASSWORD_HISTORY_LIMIT'
       }
     },
+    mfa: {
+      issuer: {
+        doc: 'Issuer name shown in authenticator apps',
+        format: String,
+        default: 'PAFS',
+        env: 'AUTH_MFA_ISSUER'
+      },
+      secretEncryptionKey: {
+        doc: 'Key used to encrypt TOTP secrets at rest',
+        format: String,
+        default: 'changeme-mfa-secret-key-for-development',
+        sensitive: true,
+        env: 'AUTH_MFA_SECRET_ENCRYPTION_KEY'
+      },
+      challengeExpiresIn: {
+        doc: 'How long a password-verified login has to complete the MFA step',
+        format: String,
+        default: '5m',
+        env: 'AUTH_MFA_CHALLENGE_EXPIRES_IN'
+      },
+      recoveryCodeCount: {
+        doc: 'Number of recovery codes issued at enrolment',
+        format: 'nat',
+        default: 10,
+        env: 'AUTH_MFA_RECOVERY_CODE_COUNT'
+      }
+    },
+    sessions: {
+      maxConcurrent: {
+        doc: 'Maximum signed-in sessions per user. Signing in beyond this ends the oldest session',
+        format: 'nat',
+        default: 1,
+        env: 'AUTH_SESSIONS_MAX_CONCURRENT'
+      },
+      refreshReuseGraceSeconds: {
+        doc: 'Seconds after a refresh token is used during which it can be exchanged again for the same successor, e.g. by a second tab or a retried request. Later reuse revokes the session',
+        format: 'nat',
+        default: 5,
+        env: 'AUTH_SESSIONS_REFRESH_REUSE_GRACE_SECONDS'
+      }
+    },
+    securityEvents: {
+      retentionDays: {
+        doc: 'Days security events are kept before the purge task deletes them',
+        format: 'nat',
+        default: 365,
+        env: 'AUTH_SECURITY_EVENTS_RETENTION_DAYS'
+      },
+      alertCooldownMinutes: {
+        doc: 'Minimum minutes between two alerts of the same kind for the same user, email or IP address',
+        format: 'nat',
+        default: 60,
+        env: 'AUTH_SECURITY_ALERT_COOLDOWN_MINUTES'
+      },
+      newIpLookbackDays: {
+        doc: 'A login is from a new IP address when the user has not signed in from it within this many days',
+        format: 'nat',
+        default: 90,
+        env: 'AUTH_SECURITY_NEW_IP_LOOKBACK_DAYS'
+      },
+      failedLoginAccountThreshold: {
+        doc: 'Alert when failed logins from one IP address span this many accounts within the window',
+        format: 'nat',
+        default: 5,
+        env: 'AUTH_SECURITY_FAILED_LOGIN_ACCOUNT_THRESHOLD'
+      },
+      failedLoginWindowMinutes: {
+        doc: 'Window in minutes for counting failed logins from one IP address',
+        format: 'nat',
+        default: 15,
+        env: 'AUTH_SECURITY_FAILED_LOGIN_WINDOW'
+      },
+      passwordResetThreshold: {
+        doc: 'Alert when one email address requests this many password resets within the window',
+        format: 'nat',
+        default: 3,
+        env: 'AUTH_SECURITY_PASSWORD_RESET_THRESHOLD'
+      },
+      passwordResetWindowMinutes: {
+        doc: 'Window in minutes for counting password reset requests',
+        format: 'nat',
+        default: 60,
+        env: 'AUTH_SECURITY_PASSWORD_RESET_WINDOW'
+      }
+    },
     health: {
       bearerToken: {
         doc: 'Static bearer token required in the Authorization header to access /health-detailed',
@@ -51,6 +51,30 @@ const notifySchema = {
       default: CONFIG_DEFAULTS.CHANGEME_TEMPLATE_ID_FOR_DEVELOPMENT,
       env: 'NOTIFY_TEMPLATE_ACCOUNT_REACTIVATED'
     },
+    templateAccountSuspended: {
+      doc: 'GOV.UK Notify template ID sent when an admin suspends an account',
+      format: String,
+      default: CONFIG_DEFAULTS.CHANGEME_TEMPLATE_ID_FOR_DEVELOPMENT,
+      env: 'NOTIFY_TEMPLATE_ACCOUNT_SUSPENDED'
+    },
+    templateAccountSuspensionEnded: {
+      doc: 'GOV.UK Notify template ID sent when an account suspension ends',
+      format: String,
+      default: CONFIG_DEFAULTS.CHANGEME_TEMPLATE_ID_FOR_DEVELOPMENT,
+      env: 'NOTIFY_TEMPLATE_ACCOUNT_SUSPENSION_ENDED'
+    },
+    templateAccountRequestRejected: {
+      doc: 'GOV.UK Notify template ID for rejected account request emails',
+      format: String,
+      default: CONFIG_DEFAULTS.CHANGEME_TEMPLATE_ID_FOR_DEVELOPMENT,
+      env: 'NOTIFY_TEMPLATE_ACCOUNT_REQUEST_REJECTED'
+    },
+    templateSecurityAlert: {
+      doc: 'GOV.UK Notify template ID for security anomaly alerts sent to the admin email',
+      format: String,
+      default: CONFIG_DEFAULTS.CHANGEME_TEMPLATE_ID_FOR_DEVELOPMENT,
+      env: 'NOTIFY_TEMPLATE_SECURITY_ALERT'
+    },
     adminEmail: {
       doc: 'GOV.UK Notify admin email address',
       format: String,
@@ -68,6 +92,12 @@ const notifySchema = {
       format: String,
       default: CONFIG_DEFAULTS.CHANGEME_TEMPLATE_ID_FOR_DEVELOPMENT,
       env: 'NOTIFY_TEMPLATE_PROGRAMME_DOWNLOAD_FAILED'
+    },
+    templateProjectStatusChanged: {
+      doc: 'GOV.UK Notify template ID for project status change notification (sent only to users who opt in)',
+      format: String,
+      default: CONFIG_DEFAULTS.CHANGEME_TEMPLATE_ID_FOR_DEVELOPMENT,
+      env: 'NOTIFY_TEMPLATE_PROJECT_STATUS_CHANGED'
     }
   }
 }
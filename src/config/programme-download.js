@@ -0,0 +1,32 @@
+const programmeDownloadSchema = {
+  programmeDownload: {
+    historyLimit: {
+      doc: 'Number of generated programme downloads kept per user; older downloads and their files are deleted',
+      format: 'nat',
+      default: 5,
+      env: 'PROGRAMME_DOWNLOAD_HISTORY_LIMIT'
+    }
+  },
+  reportSubscriptions: {
+    maxPerUser: {
+      doc: 'Maximum number of scheduled programme report subscriptions a user can hold',
+      format: 'nat',
+      default: 10,
+      env: 'REPORT_SUBSCRIPTIONS_MAX_PER_USER'
+    },
+    minIntervalMinutes: {
+      doc: 'Shortest time allowed between two runs of a report subscription schedule',
+      format: 'nat',
+      default: 60,
+      env: 'REPORT_SUBSCRIPTIONS_MIN_INTERVAL_MINUTES'
+    },
+    linkExpirySeconds: {
+      doc: 'Lifetime of the presigned file link emailed to report subscription recipients (S3 allows at most 7 days)',
+      format: 'nat',
+      default: 604800, // 7 days
+      env: 'REPORT_SUBSCRIPTIONS_LINK_EXPIRY_SECONDS'
+    }
+  }
+}
+
+export { programmeDownloadSchema }
@@ -0,0 +1,24 @@
+const projectExportSchema = {
+  projectExport: {
+    syncRowLimit: {
+      doc: 'Largest project export streamed in the request; bigger exports are generated in the background via SQS',
+      format: 'nat',
+      default: 2000,
+      env: 'PROJECT_EXPORT_SYNC_ROW_LIMIT'
+    },
+    batchSize: {
+      doc: 'Number of projects read from the database per export batch',
+      format: 'nat',
+      default: 500,
+      env: 'PROJECT_EXPORT_BATCH_SIZE'
+    },
+    s3Prefix: {
+      doc: 'S3 key prefix (folder) for background project exports, stored in the cdpUploader bucket',
+      format: String,
+      default: 'project-exports',
+      env: 'PROJECT_EXPORT_S3_PREFIX'
+    }
+  }
+}
+
+export { projectExportSchema }
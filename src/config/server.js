@@ -87,6 +87,14 @@ const serverSchema = {
       env: 'GATEWAY_IDENTITY_HEADER'
     }
   },
+  clientIp: {
+    header: {
+      doc: "Lower-case header in which the frontend forwards the end user's IP address. Only the frontend calls the backend directly, so the connection address is the frontend's for every user.",
+      format: String,
+      default: 'x-forwarded-for',
+      env: 'CLIENT_IP_HEADER'
+    }
+  },
   swagger: {
     enabled: {
       doc: 'Enable Swagger API documentation UI and JSON spec endpoint',
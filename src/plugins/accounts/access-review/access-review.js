@@ -0,0 +1,72 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { accessReviewQuerySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import { requireAdmin } from '../helpers/admin-route-handler.js'
+import {
+  ACCESS_REVIEW_COLUMNS,
+  ACCOUNT_EXPORT_CONTENT_TYPES,
+  buildAccountExportFilename,
+  createSpreadsheetStream
+} from '../helpers/account-export-columns.js'
+import { AccountReportService } from '../services/account-report-service.js'
+
+const accessReview = {
+  method: 'GET',
+  path: '/api/v1/accounts/access-review',
+  options: {
+    auth: 'jwt',
+    description: 'Access review report',
+    notes:
+      'Admin only. Flags users with no sign-in for inactiveDays (default 90), ' +
+      'users assigned to areas whose end date has passed, and admins who ' +
+      'have never signed in. Returns JSON, or CSV/XLSX with format.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      query: accessReviewQuerySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      requireAdmin(request.auth.credentials)
+
+      const { inactiveDays, format } = request.query
+      const reportService = new AccountReportService(
+        request.prisma,
+        request.server.logger
+      )
+      const report = await reportService.getAccessReview({ inactiveDays })
+
+      if (format === 'json') {
+        return buildSuccessResponse(h, report, HTTP_STATUS.OK)
+      }
+
+      return h
+        .response(
+          createSpreadsheetStream(report.findings, ACCESS_REVIEW_COLUMNS, {
+            format,
+            sheetName: 'Access review'
+          })
+        )
+        .code(HTTP_STATUS.OK)
+        .header('Content-Type', ACCOUNT_EXPORT_CONTENT_TYPES[format])
+        .header(
+          'Content-Disposition',
+          `attachment; filename="${buildAccountExportFilename('access_review', format)}"`
+        )
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        ACCOUNT_ERROR_CODES.ACCESS_REVIEW_FAILED,
+        'Failed to generate access review'
+      )
+    }
+  }
+}
+
+export default accessReview
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Readable } from 'node:stream'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+
+const mockReportService = {
+  getAccessReview: vi.fn()
+}
+
+vi.mock('../services/account-report-service.js', () => ({
+  AccountReportService: vi.fn(function () {
+    return mockReportService
+  })
+}))
+
+const { default: accessReview } = await import('./access-review.js')
+
+describe('access-review endpoint', () => {
+  let mockRequest
+  let mockH
+  const report = {
+    generatedAt: new Date('2026-06-01T00:00:00Z'),
+    inactiveDays: 90,
+    summary: { usersReviewed: 1 },
+    findings: []
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      query: { inactiveDays: 90, format: 'json' },
+      auth: { credentials: { userId: 100, isAdmin: true } },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis(),
+      header: vi.fn().mockReturnThis()
+    }
+    mockReportService.getAccessReview.mockResolvedValue(report)
+  })
+
+  it('has correct method and path', () => {
+    expect(accessReview.method).toBe('GET')
+    expect(accessReview.path).toBe('/api/v1/accounts/access-review')
+  })
+
+  it('defaults to 90 days and JSON', () => {
+    const { value } = accessReview.options.validate.query.validate({})
+    expect(value).toEqual({ inactiveDays: 90, format: 'json' })
+  })
+
+  it('rejects an invalid inactivity threshold', () => {
+    const { error } = accessReview.options.validate.query.validate({
+      inactiveDays: 0
+    })
+    expect(error.details[0].message).toBe('VALIDATION_INACTIVE_DAYS_INVALID')
+  })
+
+  it('returns the report as JSON', async () => {
+    await accessReview.handler(mockRequest, mockH)
+
+    expect(mockReportService.getAccessReview).toHaveBeenCalledWith({
+      inactiveDays: 90
+    })
+    expect(mockH.response).toHaveBeenCalledWith(report)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    expect(mockH.header).not.toHaveBeenCalled()
+  })
+
+  it('streams the findings as XLSX', async () => {
+    mockRequest.query.format = 'xlsx'
+
+    await accessReview.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(expect.any(Readable))
+    expect(mockH.header).toHaveBeenCalledWith(
+      'Content-Disposition',
+      expect.stringMatching(/access_review_\d{4}-\d{2}-\d{2}\.xlsx/)
+    )
+  })
+
+  it('returns 403 for non-admins', async () => {
+    mockRequest.auth.credentials.isAdmin = false
+
+    await accessReview.handler(mockRequest, mockH)
+
+    expect(mockReportService.getAccessReview).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 500 when the report fails', async () => {
+    mockReportService.getAccessReview.mockRejectedValue(new Error('DB down'))
+
+    await accessReview.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      errors: [
+        expect.objectContaining({
+          errorCode: ACCOUNT_ERROR_CODES.ACCESS_REVIEW_FAILED
+        })
+      ]
+    })
+  })
+})
@@ -0,0 +1,38 @@
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import {
+  createAdminHandler,
+  createAccountRequestServiceInitializer
+} from '../helpers/admin-route-handler.js'
+import { accountRequestIdSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const approveAccountRequest = {
+  method: 'PATCH',
+  path: '/api/v1/account-requests/{id}/approve',
+  options: {
+    auth: 'jwt',
+    description: 'Approve an account request',
+    notes:
+      'Admin only. Creates the user with the requested areas and sends the ' +
+      'set-password invitation.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: accountRequestIdSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createAdminHandler(
+    createAccountRequestServiceInitializer,
+    async (requestId, authenticatedUser, services) => {
+      return services.accountRequestService.approveRequest(
+        requestId,
+        authenticatedUser
+      )
+    },
+    'Admin authentication required to approve account requests',
+    ACCOUNT_ERROR_CODES.REQUEST_APPROVAL_FAILED,
+    'Failed to approve account request'
+  )
+}
+
+export default approveAccountRequest
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { ConflictError, NotFoundError } from '../../../common/errors/index.js'
+
+const mockAccountRequestService = {
+  approveRequest: vi.fn()
+}
+
+vi.mock('../services/account-request-service.js', () => ({
+  AccountRequestService: vi.fn(function () {
+    return mockAccountRequestService
+  })
+}))
+
+vi.mock('../../areas/services/area-service.js', () => ({
+  AreaService: vi.fn(function () {
+    return {}
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: approveAccountRequest } =
+  await import('./approve-account-request.js')
+
+describe('approve-account-request endpoint', () => {
+  let mockRequest
+  let mockH
+  let mockAdminUser
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockAdminUser = { userId: 100, isAdmin: true }
+
+    mockRequest = {
+      params: { id: 11 },
+      auth: { credentials: mockAdminUser },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method and path', () => {
+    expect(approveAccountRequest.method).toBe('PATCH')
+    expect(approveAccountRequest.path).toBe(
+      '/api/v1/account-requests/{id}/approve'
+    )
+    expect(approveAccountRequest.options.validate.params).toBeDefined()
+  })
+
+  it('approves the request as the admin', async () => {
+    const result = { requestId: 11, userId: 42, status: 'approved' }
+    mockAccountRequestService.approveRequest.mockResolvedValue(result)
+
+    await approveAccountRequest.handler(mockRequest, mockH)
+
+    expect(mockAccountRequestService.approveRequest).toHaveBeenCalledWith(
+      11,
+      mockAdminUser
+    )
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('returns 403 for non-admins', async () => {
+    mockRequest.auth.credentials = { userId: 1, isAdmin: false }
+
+    await approveAccountRequest.handler(mockRequest, mockH)
+
+    expect(mockAccountRequestService.approveRequest).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 404 when the request does not exist', async () => {
+    mockAccountRequestService.approveRequest.mockRejectedValue(
+      new NotFoundError(
+        'Account request not found',
+        ACCOUNT_ERROR_CODES.REQUEST_NOT_FOUND
+      )
+    )
+
+    await approveAccountRequest.handler(mockRequest, mockH)
+
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND)
+  })
+
+  it('returns 409 when the request was already reviewed', async () => {
+    mockAccountRequestService.approveRequest.mockRejectedValue(
+      new ConflictError(
+        'Already reviewed',
+        ACCOUNT_ERROR_CODES.REQUEST_ALREADY_REVIEWED
+      )
+    )
+
+    await approveAccountRequest.handler(mockRequest, mockH)
+
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT)
+  })
+
+  it('returns 500 for unexpected errors', async () => {
+    mockAccountRequestService.approveRequest.mockRejectedValue(
+      new Error('Database error')
+    )
+
+    await approveAccountRequest.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      errors: [
+        expect.objectContaining({
+          errorCode: ACCOUNT_ERROR_CODES.REQUEST_APPROVAL_FAILED
+        })
+      ]
+    })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
@@ -1,6 +1,9 @@
-import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
 import {
-  createAdminHandler,
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_ACTIONS
+} from '../../../common/constants/accounts.js'
+import {
+  createDelegatedAdminHandler,
   createAccountUpsertServiceInitializer
 } from '../helpers/admin-route-handler.js'
 import { getAccountByIdSchema } from '../schema.js'
@@ -12,13 +15,13 @@ const approveAccount = {
     auth: 'jwt',
     description: 'Approve a pending account',
     notes:
-      'Admin only. Approves a pending account and sends password set invitation.',
+      'Admins, or area managers for accounts within their areas. Approves a pending account and sends password set invitation.',
     tags: ['api', 'accounts', 'admin'],
     validate: {
       params: getAccountByIdSchema
     }
   },
-  handler: createAdminHandler(
+  handler: createDelegatedAdminHandler(
     createAccountUpsertServiceInitializer,
     async (userId, authenticatedUser, services) => {
       return services.accountUpsertService.approveAccount(
@@ -26,7 +29,8 @@ const approveAccount = {
         authenticatedUser
       )
     },
-    'Admin authentication required to approve accounts',
+    DELEGATED_ACCOUNT_ACTIONS.APPROVE,
+    'Admin or area manager authentication required to approve accounts',
     ACCOUNT_ERROR_CODES.APPROVAL_FAILED,
     'Failed to approve account'
   )
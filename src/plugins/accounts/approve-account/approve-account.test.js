@@ -1,12 +1,21 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
-import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_ACTIONS
+} from '../../../common/constants/accounts.js'
+import { ForbiddenError } from '../../../common/errors/index.js'
 
 // Mock all dependencies
 const mockAccountUpsertService = {
   approveAccount: vi.fn()
 }
 
+const mockAreaManagerService = {
+  assertCanManage: vi.fn(),
+  recordDelegatedAction: vi.fn()
+}
+
 const mockEmailService = {}
 const mockAreaService = {}
 
@@ -16,6 +25,12 @@ vi.mock('../services/account-upsert-service.js', () => ({
   })
 }))
 
+vi.mock('../services/area-manager-service.js', () => ({
+  AreaManagerService: vi.fn(function () {
+    return mockAreaManagerService
+  })
+}))
+
 vi.mock('../../areas/services/area-service.js', () => ({
   AreaService: vi.fn(function () {
     return mockAreaService
@@ -165,7 +180,8 @@ describe('approve-account endpoint', () => {
           errors: expect.arrayContaining([
             expect.objectContaining({
               errorCode: ACCOUNT_ERROR_CODES.UNAUTHORIZED,
-              message: 'Admin authentication required to approve accounts'
+              message:
+                'Admin or area manager authentication required to approve accounts'
             })
           ])
         })
@@ -186,6 +202,77 @@ describe('approve-account endpoint', () => {
     })
   })
 
+  describe('area manager approval', () => {
+    const areaManager = {
+      userId: 300,
+      email: 'pso.lead@environment-agency.gov.uk',
+      isAdmin: false,
+      isAreaManager: true
+    }
+
+    beforeEach(() => {
+      mockRequest.auth.credentials = areaManager
+    })
+
+    it('approves an account within the managed areas and audits it', async () => {
+      mockAreaManagerService.assertCanManage.mockResolvedValue([10, 11])
+      mockAccountUpsertService.approveAccount.mockResolvedValue({
+        message: 'Account approved and invitation sent',
+        userId: 1
+      })
+
+      await approveAccount.handler(mockRequest, mockH)
+
+      expect(mockAreaManagerService.assertCanManage).toHaveBeenCalledWith(
+        areaManager,
+        1
+      )
+      expect(mockAccountUpsertService.approveAccount).toHaveBeenCalledWith(
+        1,
+        areaManager
+      )
+      expect(mockAreaManagerService.recordDelegatedAction).toHaveBeenCalledWith(
+        areaManager,
+        1,
+        DELEGATED_ACCOUNT_ACTIONS.APPROVE,
+        [10, 11]
+      )
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    })
+
+    it('refuses an account outside the managed areas', async () => {
+      mockAreaManagerService.assertCanManage.mockRejectedValue(
+        new ForbiddenError(
+          'Account 1 is not within your managed areas',
+          ACCOUNT_ERROR_CODES.OUTSIDE_MANAGED_AREAS
+        )
+      )
+
+      await approveAccount.handler(mockRequest, mockH)
+
+      expect(mockAccountUpsertService.approveAccount).not.toHaveBeenCalled()
+      expect(
+        mockAreaManagerService.recordDelegatedAction
+      ).not.toHaveBeenCalled()
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+    })
+
+    it('does not audit admin approvals as delegated actions', async () => {
+      mockRequest.auth.credentials = mockAdminUser
+      mockAccountUpsertService.approveAccount.mockResolvedValue({
+        message: 'Success',
+        userId: 1
+      })
+
+      await approveAccount.handler(mockRequest, mockH)
+
+      expect(mockAreaManagerService.assertCanManage).not.toHaveBeenCalled()
+      expect(
+        mockAreaManagerService.recordDelegatedAction
+      ).not.toHaveBeenCalled()
+    })
+  })
+
   describe('error handling', () => {
     it('handles NotFoundError when user does not exist', async () => {
       const NotFoundError = (await import('../../../common/errors/index.js'))
@@ -0,0 +1,52 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { accountImportIdSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import {
+  requireAdmin,
+  createAccountImportServiceInitializer
+} from '../helpers/admin-route-handler.js'
+
+const confirmAccountImport = {
+  method: 'POST',
+  path: '/api/v1/accounts/imports/{id}/confirm',
+  options: {
+    auth: 'jwt',
+    description: 'Confirm a bulk account import',
+    notes:
+      'Admin only. Queues a validated import; the accounts are created and ' +
+      'invitations sent in the background. Poll the import for progress.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: accountImportIdSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      requireAdmin(request.auth.credentials)
+
+      const { accountImportService } =
+        createAccountImportServiceInitializer(request)
+
+      const result = await accountImportService.confirmImport(
+        request.params.id,
+        request.server.sqs
+      )
+
+      return buildSuccessResponse(h, result, HTTP_STATUS.ACCEPTED)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        ACCOUNT_ERROR_CODES.IMPORT_CONFIRM_FAILED,
+        'Failed to confirm account import'
+      )
+    }
+  }
+}
+
+export default confirmAccountImport
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_IMPORT_STATUS
+} from '../../../common/constants/accounts.js'
+import { ConflictError } from '../../../common/errors/index.js'
+
+const mockAccountImportService = {
+  confirmImport: vi.fn()
+}
+
+vi.mock('../services/account-import-service.js', () => ({
+  AccountImportService: vi.fn(function () {
+    return mockAccountImportService
+  })
+}))
+
+vi.mock('../../areas/services/area-service.js', () => ({
+  AreaService: vi.fn(function () {
+    return {}
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: confirmAccountImport } =
+  await import('./confirm-account-import.js')
+
+describe('confirm-account-import endpoint', () => {
+  let mockRequest
+  let mockH
+  const mockSqs = { send: vi.fn() }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 4 },
+      auth: { credentials: { userId: 100, isAdmin: true } },
+      prisma: {},
+      server: {
+        sqs: mockSqs,
+        logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() }
+      }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method and path', () => {
+    expect(confirmAccountImport.method).toBe('POST')
+    expect(confirmAccountImport.path).toBe(
+      '/api/v1/accounts/imports/{id}/confirm'
+    )
+  })
+
+  it('queues the import and returns 202', async () => {
+    const result = { id: 4, status: ACCOUNT_IMPORT_STATUS.QUEUED }
+    mockAccountImportService.confirmImport.mockResolvedValue(result)
+
+    await confirmAccountImport.handler(mockRequest, mockH)
+
+    expect(mockAccountImportService.confirmImport).toHaveBeenCalledWith(
+      4,
+      mockSqs
+    )
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED)
+  })
+
+  it('returns 403 for non-admins', async () => {
+    mockRequest.auth.credentials.isAdmin = false
+
+    await confirmAccountImport.handler(mockRequest, mockH)
+
+    expect(mockAccountImportService.confirmImport).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 409 when the import cannot be confirmed', async () => {
+    mockAccountImportService.confirmImport.mockRejectedValue(
+      new ConflictError(
+        'Only a validated import with no row errors can be confirmed',
+        ACCOUNT_ERROR_CODES.IMPORT_NOT_CONFIRMABLE,
+        null
+      )
+    )
+
+    await confirmAccountImport.handler(mockRequest, mockH)
+
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT)
+  })
+})
@@ -0,0 +1,53 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { createAccountImportSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import {
+  requireAdmin,
+  createAccountImportServiceInitializer
+} from '../helpers/admin-route-handler.js'
+
+const createAccountImport = {
+  method: 'POST',
+  path: '/api/v1/accounts/imports',
+  options: {
+    auth: 'jwt',
+    description: 'Validate a bulk account import spreadsheet',
+    notes:
+      'Admin only. Reads a CSV/XLSX uploaded with entityType account_import, ' +
+      'validates every row and returns a dry-run report of the errors per ' +
+      'row. No accounts are created until the import is confirmed.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      payload: createAccountImportSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      requireAdmin(request.auth.credentials)
+
+      const { accountImportService } =
+        createAccountImportServiceInitializer(request)
+
+      const result = await accountImportService.createImport(
+        request.payload.uploadId,
+        request.auth.credentials
+      )
+
+      return buildSuccessResponse(h, result, HTTP_STATUS.CREATED)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        ACCOUNT_ERROR_CODES.IMPORT_CREATE_FAILED,
+        'Failed to validate account import'
+      )
+    }
+  }
+}
+
+export default createAccountImport
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_IMPORT_STATUS
+} from '../../../common/constants/accounts.js'
+import { ConflictError } from '../../../common/errors/index.js'
+
+const mockAccountImportService = {
+  createImport: vi.fn()
+}
+
+vi.mock('../services/account-import-service.js', () => ({
+  AccountImportService: vi.fn(function () {
+    return mockAccountImportService
+  })
+}))
+
+vi.mock('../../areas/services/area-service.js', () => ({
+  AreaService: vi.fn(function () {
+    return {}
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: createAccountImport } =
+  await import('./create-account-import.js')
+
+describe('create-account-import endpoint', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      payload: { uploadId: 'upload-123' },
+      auth: { credentials: { userId: 100, isAdmin: true } },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  describe('route configuration', () => {
+    it('has correct method and path', () => {
+      expect(createAccountImport.method).toBe('POST')
+      expect(createAccountImport.path).toBe('/api/v1/accounts/imports')
+      expect(createAccountImport.options.auth).toBe('jwt')
+    })
+
+    it('requires an upload ID', () => {
+      const { error } = createAccountImport.options.validate.payload.validate(
+        {}
+      )
+      expect(error.details[0].message).toBe('VALIDATION_UPLOAD_ID_REQUIRED')
+    })
+  })
+
+  describe('handler', () => {
+    it('returns the dry-run report with 201', async () => {
+      const result = {
+        id: 4,
+        status: ACCOUNT_IMPORT_STATUS.INVALID,
+        errors: [{ row: 3, email: 'x', errors: [] }]
+      }
+      mockAccountImportService.createImport.mockResolvedValue(result)
+
+      await createAccountImport.handler(mockRequest, mockH)
+
+      expect(mockAccountImportService.createImport).toHaveBeenCalledWith(
+        'upload-123',
+        mockRequest.auth.credentials
+      )
+      expect(mockH.response).toHaveBeenCalledWith(result)
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.CREATED)
+    })
+
+    it('returns 403 for non-admins', async () => {
+      mockRequest.auth.credentials.isAdmin = false
+
+      await createAccountImport.handler(mockRequest, mockH)
+
+      expect(mockAccountImportService.createImport).not.toHaveBeenCalled()
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+    })
+
+    it('maps service errors to their status', async () => {
+      mockAccountImportService.createImport.mockRejectedValue(
+        new ConflictError(
+          'The upload has not finished processing',
+          ACCOUNT_ERROR_CODES.IMPORT_UPLOAD_NOT_READY,
+          'uploadId'
+        )
+      )
+
+      await createAccountImport.handler(mockRequest, mockH)
+
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT)
+    })
+
+    it('returns 500 when validation fails unexpectedly', async () => {
+      mockAccountImportService.createImport.mockRejectedValue(
+        new Error('S3 down')
+      )
+
+      await createAccountImport.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.IMPORT_CREATE_FAILED
+          })
+        ]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    })
+  })
+})
@@ -0,0 +1,73 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { createAccountRequestSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import { createRateLimiter } from '../../../common/helpers/rate-limiter.js'
+import { getClientIp } from '../../../common/helpers/client-ip.js'
+import { TooManyRequestsError } from '../../../common/errors/index.js'
+import { config } from '../../../config.js'
+import { createAccountRequestServiceInitializer } from '../helpers/admin-route-handler.js'
+
+// Unauthenticated endpoint, so throttle by the end user's IP address and by
+// the email address asked for
+export const accountRequestRateLimiter = createRateLimiter({
+  maxRequests: config.get('auth.accountRequestRateLimit.maxRequests'),
+  windowMs: config.get('auth.accountRequestRateLimit.windowMinutes') * 60 * 1000
+})
+
+// The payload email is already trimmed and lower-cased by the schema
+function consumeRateLimit(request) {
+  const limits = [
+    accountRequestRateLimiter.consume(`ip:${getClientIp(request)}`),
+    accountRequestRateLimiter.consume(`email:${request.payload.email}`)
+  ]
+  return limits.find((limit) => !limit.allowed) ?? limits[0]
+}
+
+const createAccountRequest = {
+  method: 'POST',
+  path: '/api/v1/account-requests',
+  options: {
+    auth: false,
+    description: 'Request a new account',
+    notes:
+      'Public. Records an account request for an admin to approve or reject. ' +
+      'Rate limited per client IP address and per email address.',
+    tags: ['api', 'accounts'],
+    validate: {
+      payload: createAccountRequestSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      if (config.get('auth.accountRequestRateLimit.enabled')) {
+        const { allowed, retryAfterSeconds } = consumeRateLimit(request)
+        if (!allowed) {
+          throw new TooManyRequestsError(
+            `Too many account requests. Try again in ${retryAfterSeconds} seconds`,
+            ACCOUNT_ERROR_CODES.REQUEST_RATE_LIMITED,
+            null
+          )
+        }
+      }
+
+      const { accountRequestService } =
+        createAccountRequestServiceInitializer(request)
+      const result = await accountRequestService.createRequest(request.payload)
+
+      return h.response(result).code(HTTP_STATUS.CREATED)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        ACCOUNT_ERROR_CODES.REQUEST_CREATE_FAILED,
+        'Failed to submit account request'
+      )
+    }
+  }
+}
+
+export default createAccountRequest
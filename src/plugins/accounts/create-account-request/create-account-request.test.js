@@ -0,0 +1,232 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_VALIDATION_CODES
+} from '../../../common/constants/accounts.js'
+import { ConflictError } from '../../../common/errors/index.js'
+
+const mockAccountRequestService = {
+  createRequest: vi.fn()
+}
+
+const mockConfig = {
+  'auth.accountRequestRateLimit.enabled': true,
+  'auth.accountRequestRateLimit.maxRequests': 2,
+  'auth.accountRequestRateLimit.windowMinutes': 60,
+  'clientIp.header': 'x-forwarded-for',
+  'pagination.maxPageSize': 100,
+  'pagination.defaultPageSize': 20
+}
+
+vi.mock('../services/account-request-service.js', () => ({
+  AccountRequestService: vi.fn(function () {
+    return mockAccountRequestService
+  })
+}))
+
+vi.mock('../../areas/services/area-service.js', () => ({
+  AreaService: vi.fn(function () {
+    return {}
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: vi.fn()
+}))
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn((key) => mockConfig[key])
+  }
+}))
+
+const { default: createAccountRequest, accountRequestRateLimiter } =
+  await import('./create-account-request.js')
+
+describe('create-account-request endpoint', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  const payload = {
+    firstName: 'Sam',
+    lastName: 'Jones',
+    email: 'sam@council.example.com',
+    jobTitle: 'Engineer',
+    organisation: 'Example Council',
+    telephoneNumber: '01234 567890',
+    responsibility: 'RMA',
+    areas: [{ areaId: 5, primary: true }],
+    termsAccepted: true
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    accountRequestRateLimiter.reset()
+    mockConfig['auth.accountRequestRateLimit.enabled'] = true
+
+    mockLogger = { error: vi.fn(), info: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      payload,
+      headers: { 'x-forwarded-for': '203.0.113.7' },
+      info: { remoteAddress: '10.0.0.1' },
+      auth: { isAuthenticated: false },
+      prisma: {},
+      server: { logger: mockLogger }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+
+    mockAccountRequestService.createRequest.mockResolvedValue({
+      message: 'Account request submitted successfully',
+      requestId: 11,
+      email: payload.email,
+      status: 'pending'
+    })
+  })
+
+  describe('route configuration', () => {
+    it('is a public POST', () => {
+      expect(createAccountRequest.method).toBe('POST')
+      expect(createAccountRequest.path).toBe('/api/v1/account-requests')
+      expect(createAccountRequest.options.auth).toBe(false)
+    })
+
+    it('requires the terms to be accepted', () => {
+      const { error } = createAccountRequest.options.validate.payload.validate({
+        ...payload,
+        termsAccepted: false
+      })
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.TERMS_NOT_ACCEPTED
+      )
+    })
+
+    it('requires at least one area', () => {
+      const { error } = createAccountRequest.options.validate.payload.validate({
+        ...payload,
+        areas: []
+      })
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.AREAS_REQUIRED
+      )
+    })
+  })
+
+  describe('handler', () => {
+    it('creates the request and returns 201', async () => {
+      await createAccountRequest.handler(mockRequest, mockH)
+
+      expect(mockAccountRequestService.createRequest).toHaveBeenCalledWith(
+        payload
+      )
+      expect(mockH.response).toHaveBeenCalledWith(
+        expect.objectContaining({ requestId: 11, status: 'pending' })
+      )
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.CREATED)
+    })
+
+    it('returns 429 once the client IP has used its allowance', async () => {
+      mockRequest.payload = { ...payload, email: 'one@council.example.com' }
+      await createAccountRequest.handler(mockRequest, mockH)
+      mockRequest.payload = { ...payload, email: 'two@council.example.com' }
+      await createAccountRequest.handler(mockRequest, mockH)
+      vi.clearAllMocks()
+
+      mockRequest.payload = { ...payload, email: 'three@council.example.com' }
+      await createAccountRequest.handler(mockRequest, mockH)
+
+      expect(mockAccountRequestService.createRequest).not.toHaveBeenCalled()
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.REQUEST_RATE_LIMITED
+          })
+        ]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS)
+    })
+
+    it('counts each user behind the frontend separately', async () => {
+      const users = [
+        ['203.0.113.1', 'ann@council.example.com'],
+        ['203.0.113.2', 'bob@council.example.com'],
+        ['203.0.113.3', 'cat@council.example.com'],
+        ['203.0.113.4', 'dan@council.example.com']
+      ]
+
+      for (const [clientIp, email] of users) {
+        // Every request arrives from the frontend's address
+        mockRequest.info.remoteAddress = '10.0.0.1'
+        mockRequest.headers = { 'x-forwarded-for': clientIp }
+        mockRequest.payload = { ...payload, email }
+        await createAccountRequest.handler(mockRequest, mockH)
+        await createAccountRequest.handler(mockRequest, mockH)
+      }
+
+      expect(mockAccountRequestService.createRequest).toHaveBeenCalledTimes(8)
+      expect(mockH.code).not.toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS)
+    })
+
+    it('limits requests for one email address from different IPs', async () => {
+      for (const clientIp of ['203.0.113.1', '203.0.113.2', '203.0.113.3']) {
+        mockRequest.headers = { 'x-forwarded-for': clientIp }
+        await createAccountRequest.handler(mockRequest, mockH)
+      }
+
+      expect(mockAccountRequestService.createRequest).toHaveBeenCalledTimes(2)
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.TOO_MANY_REQUESTS)
+    })
+
+    it('does not rate limit when disabled', async () => {
+      mockConfig['auth.accountRequestRateLimit.enabled'] = false
+
+      for (let i = 0; i < 3; i++) {
+        await createAccountRequest.handler(mockRequest, mockH)
+      }
+
+      expect(mockAccountRequestService.createRequest).toHaveBeenCalledTimes(3)
+    })
+
+    it('returns 409 when a request is already pending', async () => {
+      mockAccountRequestService.createRequest.mockRejectedValue(
+        new ConflictError(
+          'Already pending',
+          ACCOUNT_ERROR_CODES.REQUEST_ALREADY_PENDING,
+          'email'
+        )
+      )
+
+      await createAccountRequest.handler(mockRequest, mockH)
+
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT)
+    })
+
+    it('returns 500 for unexpected errors', async () => {
+      mockAccountRequestService.createRequest.mockRejectedValue(
+        new Error('Database error')
+      )
+
+      await createAccountRequest.handler(mockRequest, mockH)
+
+      expect(mockLogger.error).toHaveBeenCalled()
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.REQUEST_CREATE_FAILED
+          })
+        ]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    })
+  })
+})
@@ -0,0 +1,44 @@
+import { AccountService } from '../services/account-service.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_ACTIONS
+} from '../../../common/constants/accounts.js'
+import { createDelegatedAdminHandler } from '../helpers/admin-route-handler.js'
+import { getAccountByIdSchema } from '../schema.js'
+
+const disableAccount = {
+  method: 'PATCH',
+  path: '/api/v1/accounts/{id}/disable',
+  options: {
+    auth: 'jwt',
+    description: 'Disable a user account',
+    notes:
+      'Admins, or area managers for accounts within their areas. Stops the ' +
+      'account signing in and signs it out of every session; an admin can ' +
+      'reactivate it.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: getAccountByIdSchema
+    }
+  },
+  handler: createDelegatedAdminHandler(
+    (request) => ({
+      accountService: new AccountService(request.prisma, request.server.logger)
+    }),
+    async (userId, authenticatedUser, services, request) => {
+      const result = await services.accountService.disableAccount(
+        userId,
+        authenticatedUser
+      )
+      // Drop cached credentials so the next request is rejected straight away
+      request.server.invalidateAuthCacheForUser(userId)
+      return result
+    },
+    DELEGATED_ACCOUNT_ACTIONS.DISABLE,
+    'Admin or area manager authentication required to disable accounts',
+    ACCOUNT_ERROR_CODES.DISABLE_FAILED,
+    'Failed to disable account'
+  )
+}
+
+export default disableAccount
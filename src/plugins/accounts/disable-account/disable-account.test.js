@@ -0,0 +1,206 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_ACTIONS
+} from '../../../common/constants/accounts.js'
+import {
+  BadRequestError,
+  ForbiddenError
+} from '../../../common/errors/index.js'
+
+const mockAccountService = {
+  disableAccount: vi.fn()
+}
+
+const mockAreaManagerService = {
+  assertCanManage: vi.fn(),
+  recordDelegatedAction: vi.fn()
+}
+
+vi.mock('../services/account-service.js', () => ({
+  AccountService: vi.fn(function () {
+    return mockAccountService
+  })
+}))
+
+vi.mock('../services/area-manager-service.js', () => ({
+  AreaManagerService: vi.fn(function () {
+    return mockAreaManagerService
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: disableAccount } = await import('./disable-account.js')
+
+describe('disable-account endpoint', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  const adminUser = { userId: 100, email: 'admin@gov.uk', isAdmin: true }
+  const areaManager = {
+    userId: 300,
+    email: 'pso.lead@environment-agency.gov.uk',
+    isAdmin: false,
+    isAreaManager: true
+  }
+  const disabledResult = {
+    success: true,
+    message: 'Account disabled successfully',
+    account: { id: 1, email: 'user@example.com' }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { error: vi.fn(), info: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      params: { id: 1 },
+      auth: { credentials: adminUser },
+      prisma: {},
+      server: {
+        logger: mockLogger,
+        invalidateAuthCacheForUser: vi.fn()
+      }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+
+    mockAccountService.disableAccount.mockResolvedValue(disabledResult)
+  })
+
+  describe('route configuration', () => {
+    it('has correct method and path', () => {
+      expect(disableAccount.method).toBe('PATCH')
+      expect(disableAccount.path).toBe('/api/v1/accounts/{id}/disable')
+    })
+
+    it('requires JWT authentication', () => {
+      expect(disableAccount.options.auth).toBe('jwt')
+    })
+
+    it('validates params', () => {
+      expect(disableAccount.options.validate.params).toBeDefined()
+    })
+  })
+
+  describe('handler', () => {
+    it('disables the account for an admin', async () => {
+      await disableAccount.handler(mockRequest, mockH)
+
+      expect(mockAccountService.disableAccount).toHaveBeenCalledWith(
+        1,
+        adminUser
+      )
+      expect(
+        mockRequest.server.invalidateAuthCacheForUser
+      ).toHaveBeenCalledWith(1)
+      expect(mockAreaManagerService.assertCanManage).not.toHaveBeenCalled()
+      expect(mockH.response).toHaveBeenCalledWith(disabledResult)
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    })
+
+    it('lets an area manager disable an account within their areas and audits it', async () => {
+      mockRequest.auth.credentials = areaManager
+      mockAreaManagerService.assertCanManage.mockResolvedValue([10])
+
+      await disableAccount.handler(mockRequest, mockH)
+
+      expect(mockAreaManagerService.assertCanManage).toHaveBeenCalledWith(
+        areaManager,
+        1
+      )
+      expect(mockAccountService.disableAccount).toHaveBeenCalledWith(
+        1,
+        areaManager
+      )
+      expect(mockAreaManagerService.recordDelegatedAction).toHaveBeenCalledWith(
+        areaManager,
+        1,
+        DELEGATED_ACCOUNT_ACTIONS.DISABLE,
+        [10]
+      )
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    })
+
+    it('refuses an area manager outside their areas', async () => {
+      mockRequest.auth.credentials = areaManager
+      mockAreaManagerService.assertCanManage.mockRejectedValue(
+        new ForbiddenError(
+          'Account 1 is not within your managed areas',
+          ACCOUNT_ERROR_CODES.OUTSIDE_MANAGED_AREAS
+        )
+      )
+
+      await disableAccount.handler(mockRequest, mockH)
+
+      expect(mockAccountService.disableAccount).not.toHaveBeenCalled()
+      expect(
+        mockAreaManagerService.recordDelegatedAction
+      ).not.toHaveBeenCalled()
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+    })
+
+    it('refuses users who are neither admins nor area managers', async () => {
+      mockRequest.auth.credentials = { userId: 5, isAdmin: false }
+
+      await disableAccount.handler(mockRequest, mockH)
+
+      expect(mockAccountService.disableAccount).not.toHaveBeenCalled()
+      expect(mockH.response).toHaveBeenCalledWith(
+        expect.objectContaining({
+          errors: expect.arrayContaining([
+            expect.objectContaining({
+              errorCode: ACCOUNT_ERROR_CODES.UNAUTHORIZED
+            })
+          ])
+        })
+      )
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+    })
+
+    it('returns 400 when the account is already disabled', async () => {
+      mockAccountService.disableAccount.mockRejectedValue(
+        new BadRequestError(
+          'Account is already disabled',
+          ACCOUNT_ERROR_CODES.ALREADY_DISABLED
+        )
+      )
+
+      await disableAccount.handler(mockRequest, mockH)
+
+      expect(
+        mockRequest.server.invalidateAuthCacheForUser
+      ).not.toHaveBeenCalled()
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST)
+    })
+
+    it('returns 500 with the disable error code on unexpected errors', async () => {
+      mockAccountService.disableAccount.mockRejectedValue(
+        new Error('Database error')
+      )
+
+      await disableAccount.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith(
+        expect.objectContaining({
+          errors: expect.arrayContaining([
+            expect.objectContaining({
+              errorCode: ACCOUNT_ERROR_CODES.DISABLE_FAILED,
+              message: 'Failed to disable account'
+            })
+          ])
+        })
+      )
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    })
+  })
+})
@@ -0,0 +1,35 @@
+import { AccountSuspensionService } from '../services/account-suspension-service.js'
+import { getEmailService } from '../../../common/services/email/notify-service.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { createSimpleAdminHandler } from '../helpers/admin-route-handler.js'
+import { getAccountByIdSchema } from '../schema.js'
+
+const endAccountSuspension = {
+  method: 'PATCH',
+  path: '/api/v1/accounts/{id}/end-suspension',
+  options: {
+    auth: 'jwt',
+    description: 'End an account suspension early',
+    notes:
+      'Admin only. Lifts a suspension before its end date and emails the user.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: getAccountByIdSchema
+    }
+  },
+  handler: createSimpleAdminHandler(
+    async (request, userId, authenticatedUser) => {
+      const accountSuspensionService = new AccountSuspensionService(
+        request.prisma,
+        request.server.logger,
+        getEmailService(request.server.logger)
+      )
+      return accountSuspensionService.endSuspension(userId, authenticatedUser)
+    },
+    'Admin authentication required to end account suspensions',
+    ACCOUNT_ERROR_CODES.END_SUSPENSION_FAILED,
+    'Failed to end account suspension'
+  )
+}
+
+export default endAccountSuspension
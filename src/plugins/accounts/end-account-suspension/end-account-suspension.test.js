@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { BadRequestError } from '../../../common/errors/index.js'
+
+const mockAccountSuspensionService = {
+  endSuspension: vi.fn()
+}
+
+vi.mock('../services/account-suspension-service.js', () => ({
+  AccountSuspensionService: vi.fn(function () {
+    return mockAccountSuspensionService
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: endAccountSuspension } =
+  await import('./end-account-suspension.js')
+
+describe('end-account-suspension endpoint', () => {
+  let mockRequest
+  let mockH
+
+  const adminUser = { userId: 100, email: 'admin@gov.uk', isAdmin: true }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 5 },
+      auth: { credentials: adminUser },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method and path', () => {
+    expect(endAccountSuspension.method).toBe('PATCH')
+    expect(endAccountSuspension.path).toBe(
+      '/api/v1/accounts/{id}/end-suspension'
+    )
+    expect(endAccountSuspension.options.auth).toBe('jwt')
+  })
+
+  it('ends the suspension', async () => {
+    const result = { success: true, message: 'Account suspension ended' }
+    mockAccountSuspensionService.endSuspension.mockResolvedValue(result)
+
+    await endAccountSuspension.handler(mockRequest, mockH)
+
+    expect(mockAccountSuspensionService.endSuspension).toHaveBeenCalledWith(
+      5,
+      adminUser
+    )
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('is admin only', async () => {
+    mockRequest.auth.credentials = { userId: 9, isAdmin: false }
+
+    await endAccountSuspension.handler(mockRequest, mockH)
+
+    expect(mockAccountSuspensionService.endSuspension).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 400 when the account is not suspended', async () => {
+    mockAccountSuspensionService.endSuspension.mockRejectedValue(
+      new BadRequestError(
+        'Account is not suspended',
+        ACCOUNT_ERROR_CODES.NOT_SUSPENDED
+      )
+    )
+
+    await endAccountSuspension.handler(mockRequest, mockH)
+
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST)
+  })
+})
@@ -0,0 +1,68 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { exportAccountsQuerySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import { requireAdmin } from '../helpers/admin-route-handler.js'
+import {
+  ACCOUNT_EXPORT_COLUMNS,
+  ACCOUNT_EXPORT_CONTENT_TYPES,
+  buildAccountExportFilename,
+  createSpreadsheetStream
+} from '../helpers/account-export-columns.js'
+import { AccountReportService } from '../services/account-report-service.js'
+
+const exportAccounts = {
+  method: 'GET',
+  path: '/api/v1/accounts/export',
+  options: {
+    auth: 'jwt',
+    description: 'Export the account directory',
+    notes:
+      'Admin only. Exports every user (or those matching status, search and ' +
+      'areaId) as CSV or XLSX with status, admin flag, last sign-in, failed ' +
+      'attempts, locked/disabled state and primary and secondary areas with ' +
+      'their PSO/EA parents.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      query: exportAccountsQuerySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      requireAdmin(request.auth.credentials)
+
+      const { format, status, search, areaId } = request.query
+      const reportService = new AccountReportService(
+        request.prisma,
+        request.server.logger
+      )
+      const rows = await reportService.getDirectory({ status, search, areaId })
+
+      return h
+        .response(
+          createSpreadsheetStream(rows, ACCOUNT_EXPORT_COLUMNS, {
+            format,
+            sheetName: 'Accounts'
+          })
+        )
+        .code(HTTP_STATUS.OK)
+        .header('Content-Type', ACCOUNT_EXPORT_CONTENT_TYPES[format])
+        .header(
+          'Content-Disposition',
+          `attachment; filename="${buildAccountExportFilename('accounts', format)}"`
+        )
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        ACCOUNT_ERROR_CODES.EXPORT_FAILED,
+        'Failed to export accounts'
+      )
+    }
+  }
+}
+
+export default exportAccounts
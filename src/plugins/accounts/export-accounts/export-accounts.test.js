@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Readable } from 'node:stream'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+
+const mockReportService = {
+  getDirectory: vi.fn()
+}
+
+vi.mock('../services/account-report-service.js', () => ({
+  AccountReportService: vi.fn(function () {
+    return mockReportService
+  })
+}))
+
+const { default: exportAccounts } = await import('./export-accounts.js')
+
+describe('export-accounts endpoint', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      query: { format: 'csv', search: 'sam' },
+      auth: { credentials: { userId: 100, isAdmin: true } },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis(),
+      header: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method and path', () => {
+    expect(exportAccounts.method).toBe('GET')
+    expect(exportAccounts.path).toBe('/api/v1/accounts/export')
+  })
+
+  it('defaults to CSV and leaves status optional', () => {
+    const { value, error } = exportAccounts.options.validate.query.validate({})
+    expect(error).toBeUndefined()
+    expect(value.format).toBe('csv')
+    expect(value.status).toBeUndefined()
+  })
+
+  it('rejects unknown formats', () => {
+    const { error } = exportAccounts.options.validate.query.validate({
+      format: 'pdf'
+    })
+    expect(error.details[0].message).toBe(
+      'VALIDATION_ACCOUNT_EXPORT_FORMAT_INVALID'
+    )
+  })
+
+  it('streams the directory as an attachment', async () => {
+    mockReportService.getDirectory.mockResolvedValue([])
+
+    await exportAccounts.handler(mockRequest, mockH)
+
+    expect(mockReportService.getDirectory).toHaveBeenCalledWith({
+      status: undefined,
+      search: 'sam',
+      areaId: undefined
+    })
+    expect(mockH.response).toHaveBeenCalledWith(expect.any(Readable))
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    expect(mockH.header).toHaveBeenCalledWith(
+      'Content-Type',
+      'text/csv; charset=utf-8'
+    )
+    expect(mockH.header).toHaveBeenCalledWith(
+      'Content-Disposition',
+      expect.stringMatching(
+        /^attachment; filename="accounts_\d{4}-\d{2}-\d{2}\.csv"$/
+      )
+    )
+  })
+
+  it('returns 403 for non-admins', async () => {
+    mockRequest.auth.credentials.isAdmin = false
+
+    await exportAccounts.handler(mockRequest, mockH)
+
+    expect(mockReportService.getDirectory).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 500 when the export fails', async () => {
+    mockReportService.getDirectory.mockRejectedValue(new Error('DB down'))
+
+    await exportAccounts.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      errors: [
+        expect.objectContaining({
+          errorCode: ACCOUNT_ERROR_CODES.EXPORT_FAILED
+        })
+      ]
+    })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
@@ -0,0 +1,35 @@
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import {
+  createAdminHandler,
+  createAccountImportServiceInitializer
+} from '../helpers/admin-route-handler.js'
+import { accountImportIdSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const getAccountImport = {
+  method: 'GET',
+  path: '/api/v1/accounts/imports/{id}',
+  options: {
+    auth: 'jwt',
+    description: 'Get a bulk account import',
+    notes:
+      'Admin only. Returns the dry-run errors and, once confirmed, the ' +
+      'progress and any rows that could not be created.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: accountImportIdSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createAdminHandler(
+    createAccountImportServiceInitializer,
+    async (importId, _authenticatedUser, services) => {
+      return services.accountImportService.getImport(importId)
+    },
+    'Admin authentication required to view account imports',
+    ACCOUNT_ERROR_CODES.IMPORT_RETRIEVAL_FAILED,
+    'Failed to retrieve account import'
+  )
+}
+
+export default getAccountImport
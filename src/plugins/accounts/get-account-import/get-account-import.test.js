@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_IMPORT_STATUS
+} from '../../../common/constants/accounts.js'
+import { NotFoundError } from '../../../common/errors/index.js'
+
+const mockAccountImportService = {
+  getImport: vi.fn()
+}
+
+vi.mock('../services/account-import-service.js', () => ({
+  AccountImportService: vi.fn(function () {
+    return mockAccountImportService
+  })
+}))
+
+vi.mock('../../areas/services/area-service.js', () => ({
+  AreaService: vi.fn(function () {
+    return {}
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: getAccountImport } = await import('./get-account-import.js')
+
+describe('get-account-import endpoint', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 4 },
+      auth: { credentials: { userId: 100, isAdmin: true } },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method and path', () => {
+    expect(getAccountImport.method).toBe('GET')
+    expect(getAccountImport.path).toBe('/api/v1/accounts/imports/{id}')
+  })
+
+  it('rejects a non-numeric import ID', () => {
+    const { error } = getAccountImport.options.validate.params.validate({
+      id: 'abc'
+    })
+    expect(error.details[0].message).toBe(
+      'VALIDATION_ACCOUNT_IMPORT_ID_INVALID'
+    )
+  })
+
+  it('returns the import progress', async () => {
+    const result = {
+      id: 4,
+      status: ACCOUNT_IMPORT_STATUS.PROCESSING,
+      processedRows: 2,
+      validRows: 5
+    }
+    mockAccountImportService.getImport.mockResolvedValue(result)
+
+    await getAccountImport.handler(mockRequest, mockH)
+
+    expect(mockAccountImportService.getImport).toHaveBeenCalledWith(4)
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('returns 403 for non-admins', async () => {
+    mockRequest.auth.credentials.isAdmin = false
+
+    await getAccountImport.handler(mockRequest, mockH)
+
+    expect(mockAccountImportService.getImport).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 404 when the import does not exist', async () => {
+    mockAccountImportService.getImport.mockRejectedValue(
+      new NotFoundError(
+        'Account import not found',
+        ACCOUNT_ERROR_CODES.IMPORT_NOT_FOUND,
+        null
+      )
+    )
+
+    await getAccountImport.handler(mockRequest, mockH)
+
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND)
+  })
+})
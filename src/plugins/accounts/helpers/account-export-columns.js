@@ -0,0 +1,128 @@
+/**
+ * Account directory and access review export columns
+ *
+ * Each column reads from a directory row built by AccountReportService, so
+ * the CSV, XLSX and JSON outputs stay in step.
+ */
+import { PassThrough, Readable } from 'node:stream'
+import ExcelJS from 'exceljs'
+import {
+  PROJECT_EXPORT_FORMATS,
+  toCsvLine
+} from '../../projects/helpers/project-export-columns.js'
+
+export {
+  PROJECT_EXPORT_FORMATS as ACCOUNT_EXPORT_FORMATS,
+  PROJECT_EXPORT_CONTENT_TYPES as ACCOUNT_EXPORT_CONTENT_TYPES
+} from '../../projects/helpers/project-export-columns.js'
+
+const XLSX_COLUMN_WIDTH = 24
+
+const yesNo = (value) => (value ? 'Yes' : 'No')
+const joinNames = (names) => names.filter(Boolean).join('; ') || null
+
+export const ACCOUNT_EXPORT_COLUMNS = [
+  { header: 'User ID', value: (row) => row.id },
+  { header: 'First name', value: (row) => row.firstName },
+  { header: 'Last name', value: (row) => row.lastName },
+  { header: 'Email', value: (row) => row.email },
+  { header: 'Organisation', value: (row) => row.organisation },
+  { header: 'Job title', value: (row) => row.jobTitle },
+  { header: 'Status', value: (row) => row.status },
+  { header: 'Admin', value: (row) => yesNo(row.admin) },
+  { header: 'Disabled', value: (row) => yesNo(row.disabled) },
+  { header: 'Locked', value: (row) => yesNo(row.locked) },
+  { header: 'Failed sign-in attempts', value: (row) => row.failedAttempts },
+  { header: 'Sign-in count', value: (row) => row.signInCount },
+  { header: 'Last sign-in', value: (row) => row.lastSignInAt },
+  { header: 'Primary area', value: (row) => row.primaryArea?.name },
+  { header: 'Primary area type', value: (row) => row.primaryArea?.type },
+  { header: 'Primary area PSO', value: (row) => row.primaryArea?.psoName },
+  { header: 'Primary area EA', value: (row) => row.primaryArea?.eaName },
+  {
+    header: 'Secondary areas',
+    value: (row) => joinNames(row.secondaryAreas.map((a) => a.name))
+  },
+  {
+    header: 'Secondary area PSOs',
+    value: (row) =>
+      joinNames([...new Set(row.secondaryAreas.map((a) => a.psoName))])
+  },
+  {
+    header: 'Secondary area EAs',
+    value: (row) =>
+      joinNames([...new Set(row.secondaryAreas.map((a) => a.eaName))])
+  },
+  { header: 'Created', value: (row) => row.createdAt }
+]
+
+/**
+ * One line per finding; `detail` explains why the user was flagged
+ */
+export const ACCESS_REVIEW_COLUMNS = [
+  { header: 'Finding', value: (finding) => finding.finding },
+  { header: 'User ID', value: (finding) => finding.user.id },
+  {
+    header: 'Name',
+    value: (finding) => `${finding.user.firstName} ${finding.user.lastName}`
+  },
+  { header: 'Email', value: (finding) => finding.user.email },
+  { header: 'Admin', value: (finding) => yesNo(finding.user.admin) },
+  { header: 'Status', value: (finding) => finding.user.status },
+  { header: 'Last sign-in', value: (finding) => finding.user.lastSignInAt },
+  { header: 'Detail', value: (finding) => finding.detail }
+]
+
+/**
+ * Suggested download filename, e.g. accounts_2026-05-01.csv
+ * @param {string} name - Filename prefix
+ * @param {string} format - One of ACCOUNT_EXPORT_FORMATS
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function buildAccountExportFilename(name, format, date = new Date()) {
+  return `${name}_${date.toISOString().slice(0, 10)}.${format}`
+}
+
+/**
+ * Write rows as a CSV or single-sheet XLSX stream
+ * @param {Array} items - Rows to write
+ * @param {Array<{ header: string, value: Function }>} columns
+ * @param {Object} options
+ * @param {string} options.format - One of ACCOUNT_EXPORT_FORMATS
+ * @param {string} options.sheetName - XLSX worksheet name
+ * @returns {import('node:stream').Readable}
+ */
+export function createSpreadsheetStream(items, columns, { format, sheetName }) {
+  const rows = items.map((item) =>
+    columns.map((column) => column.value(item) ?? null)
+  )
+  const headers = columns.map((column) => column.header)
+
+  if (format !== PROJECT_EXPORT_FORMATS.XLSX) {
+    // Byte order mark so Excel opens the file as UTF-8
+    return Readable.from([
+      `\uFEFF${toCsvLine(headers)}`,
+      ...rows.map((row) => toCsvLine(row))
+    ])
+  }
+
+  const stream = new PassThrough()
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream })
+  const sheet = workbook.addWorksheet(sheetName)
+  sheet.columns = headers.map((header) => ({
+    header,
+    width: XLSX_COLUMN_WIDTH
+  }))
+
+  const write = async () => {
+    for (const row of rows) {
+      sheet.addRow(row).commit()
+    }
+    sheet.commit()
+    await workbook.commit()
+  }
+  write().catch((error) => stream.destroy(error))
+
+  return stream
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import { buffer } from 'node:stream/consumers'
+import ExcelJS from 'exceljs'
+import {
+  ACCESS_REVIEW_COLUMNS,
+  ACCOUNT_EXPORT_COLUMNS,
+  buildAccountExportFilename,
+  createSpreadsheetStream
+} from './account-export-columns.js'
+
+const row = {
+  id: 1,
+  firstName: 'Sam',
+  lastName: 'Jones',
+  email: 'sam@example.com',
+  organisation: 'Council, North',
+  jobTitle: null,
+  status: 'active',
+  admin: true,
+  disabled: false,
+  locked: false,
+  failedAttempts: 0,
+  signInCount: 3,
+  lastSignInAt: new Date('2026-05-01T09:00:00Z'),
+  primaryArea: {
+    name: 'Reading BC',
+    type: 'RMA',
+    psoName: 'Thames PSO',
+    eaName: 'Thames EA'
+  },
+  secondaryAreas: [
+    { name: 'Wokingham BC', psoName: 'Thames PSO', eaName: 'Thames EA' },
+    { name: 'Slough BC', psoName: 'Thames PSO', eaName: 'Thames EA' }
+  ],
+  createdAt: new Date('2025-01-01T00:00:00Z')
+}
+
+describe('account-export-columns', () => {
+  it('writes a CSV with a header line and one line per row', async () => {
+    const csv = (
+      await buffer(
+        createSpreadsheetStream([row], ACCOUNT_EXPORT_COLUMNS, {
+          format: 'csv',
+          sheetName: 'Accounts'
+        })
+      )
+    ).toString()
+    const [header, line] = csv.replace(/^\uFEFF/, '').split('\r\n')
+
+    expect(header.split(',')).toHaveLength(ACCOUNT_EXPORT_COLUMNS.length)
+    expect(line).toBe(
+      '1,Sam,Jones,sam@example.com,"Council, North",,active,Yes,No,No,0,3,' +
+        '2026-05-01T09:00:00.000Z,Reading BC,RMA,Thames PSO,Thames EA,' +
+        'Wokingham BC; Slough BC,Thames PSO,Thames EA,2025-01-01T00:00:00.000Z'
+    )
+  })
+
+  it('writes an XLSX sheet', async () => {
+    const finding = {
+      finding: 'inactive',
+      user: { ...row },
+      detail: 'Last signed in 2026-05-01'
+    }
+    const data = await buffer(
+      createSpreadsheetStream([finding], ACCESS_REVIEW_COLUMNS, {
+        format: 'xlsx',
+        sheetName: 'Access review'
+      })
+    )
+
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(data)
+    const sheet = workbook.getWorksheet('Access review')
+    expect(sheet.getRow(1).getCell(1).text).toBe('Finding')
+    expect(sheet.getRow(2).getCell(3).text).toBe('Sam Jones')
+    expect(sheet.getRow(2).getCell(8).text).toBe('Last signed in 2026-05-01')
+  })
+
+  it('builds dated filenames', () => {
+    expect(
+      buildAccountExportFilename(
+        'accounts',
+        'xlsx',
+        new Date('2026-05-01T10:00:00Z')
+      )
+    ).toBe('accounts_2026-05-01.xlsx')
+  })
+})
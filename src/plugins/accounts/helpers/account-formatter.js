@@ -8,7 +8,11 @@ export const ACCOUNT_SELECT_FIELDS = {
   telephone_number: true,
   status: true,
   admin: true,
+  area_manager: true,
   disabled: true,
+  suspended_until: true,
+  mfa_enabled: true,
+  mfa_required: true,
   created_at: true,
   updated_at: true,
   last_sign_in_at: true
@@ -17,7 +21,8 @@ export const ACCOUNT_SELECT_FIELDS = {
 export const ACCOUNT_DETAIL_SELECT_FIELDS = {
   ...ACCOUNT_SELECT_FIELDS,
   invitation_sent_at: true,
-  invitation_accepted_at: true
+  invitation_accepted_at: true,
+  suspension_reason: true
 }
 
 /**
@@ -56,17 +61,22 @@ export function formatAccount(account, areas = [], options = {}) {
     telephoneNumber: account.telephone_number,
     status: account.status,
     admin: account.admin,
+    areaManager: account.area_manager,
     disabled: account.disabled,
+    suspendedUntil: account.suspended_until,
+    mfaEnabled: account.mfa_enabled,
+    mfaRequired: account.mfa_required,
     areas: areas.map(formatArea),
     createdAt: account.created_at,
     updatedAt: account.updated_at,
     lastSignIn: account.last_sign_in_at
   }
 
-  // Add invitation fields if requested (for detail view)
+  // Add invitation and suspension detail fields if requested (for detail view)
   if (includeInvitationFields) {
     formatted.invitationSentAt = account.invitation_sent_at
     formatted.invitationAcceptedAt = account.invitation_accepted_at
+    formatted.suspensionReason = account.suspension_reason
   }
 
   return formatted
@@ -0,0 +1,130 @@
+import { Readable } from 'node:stream'
+import ExcelJS from 'exceljs'
+import { BadRequestError } from '../../../common/errors/http-errors.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_IMPORT_COLUMNS
+} from '../../../common/constants/accounts.js'
+
+// Headers every import file must have; job title and telephone are optional
+const REQUIRED_HEADERS = [
+  'first name',
+  'last name',
+  'email',
+  'organisation',
+  'responsibility',
+  'main area'
+]
+
+// "Other areas" may hold several area IDs or names, e.g. "Thames; Anglian"
+const OTHER_AREAS_SEPARATOR = ';'
+
+function normaliseHeader(text) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+}
+
+function displayHeader(header) {
+  return header.charAt(0).toUpperCase() + header.slice(1)
+}
+
+function invalidFile(message) {
+  return new BadRequestError(
+    message,
+    ACCOUNT_ERROR_CODES.IMPORT_FILE_INVALID,
+    'uploadId'
+  )
+}
+
+/**
+ * Read the first worksheet of a CSV or XLSX file
+ * @private
+ */
+async function readWorksheet(buffer, filename) {
+  const workbook = new ExcelJS.Workbook()
+  if (/\.xlsx$/i.test(filename || '')) {
+    await workbook.xlsx.load(buffer)
+    return workbook.worksheets[0]
+  }
+  // Keep every CSV value as text so telephone numbers keep leading zeros
+  return workbook.csv.read(Readable.from([buffer]), { map: (value) => value })
+}
+
+/**
+ * Map header cells to account fields by column number
+ * @private
+ */
+function mapHeaderColumns(headerRow) {
+  const columns = new Map()
+  headerRow.eachCell((cell, colNumber) => {
+    const field = ACCOUNT_IMPORT_COLUMNS[normaliseHeader(cell.text)]
+    if (field) {
+      columns.set(colNumber, field)
+    }
+  })
+
+  const found = new Set(columns.values())
+  const missing = REQUIRED_HEADERS.filter(
+    (header) => !found.has(ACCOUNT_IMPORT_COLUMNS[header])
+  )
+  if (missing.length > 0) {
+    throw invalidFile(
+      `The file is missing required columns: ${missing.map(displayHeader).join(', ')}`
+    )
+  }
+
+  return columns
+}
+
+/**
+ * Parse a bulk account import spreadsheet. The first row holds the headers
+ * (see ACCOUNT_IMPORT_COLUMNS); blank rows are ignored.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Used to tell XLSX from CSV
+ * @returns {Promise<Array<Object>>} One entry per data row with its
+ *   spreadsheet rowNumber, the account fields as trimmed strings, mainArea
+ *   and otherAreas (array of identifiers)
+ * @throws {BadRequestError} When the file cannot be read or lacks headers
+ */
+export async function parseAccountImportFile(buffer, filename) {
+  let worksheet
+  try {
+    worksheet = await readWorksheet(buffer, filename)
+  } catch {
+    throw invalidFile('The file could not be read as a CSV or XLSX spreadsheet')
+  }
+  if (!worksheet || worksheet.rowCount === 0) {
+    throw invalidFile('The file is empty')
+  }
+
+  const columns = mapHeaderColumns(worksheet.getRow(1))
+  const rows = []
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return
+    }
+    const values = {}
+    for (const [colNumber, field] of columns) {
+      values[field] = row.getCell(colNumber).text.trim()
+    }
+    if (Object.values(values).every((value) => value === '')) {
+      return
+    }
+
+    const { otherAreas = '', ...fields } = values
+    rows.push({
+      rowNumber,
+      ...fields,
+      otherAreas: otherAreas
+        .split(OTHER_AREAS_SEPARATOR)
+        .map((area) => area.trim())
+        .filter(Boolean)
+    })
+  })
+
+  return rows
+}
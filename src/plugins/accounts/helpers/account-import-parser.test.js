@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import ExcelJS from 'exceljs'
+import { parseAccountImportFile } from './account-import-parser.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+
+const HEADERS =
+  'First name,Last name,Email,Organisation,Job title,Telephone,Responsibility,Main area,Other areas'
+
+function csv(...lines) {
+  return Buffer.from(lines.join('\n'))
+}
+
+describe('parseAccountImportFile', () => {
+  it('parses CSV rows keyed by account field', async () => {
+    const rows = await parseAccountImportFile(
+      csv(
+        `\uFEFF${HEADERS}`,
+        'Sam,Jones,sam@example.com,Council,Engineer,01234 567890,RMA,12,Thames; 14 '
+      ),
+      'accounts.csv'
+    )
+
+    expect(rows).toEqual([
+      {
+        rowNumber: 2,
+        firstName: 'Sam',
+        lastName: 'Jones',
+        email: 'sam@example.com',
+        organisation: 'Council',
+        jobTitle: 'Engineer',
+        telephoneNumber: '01234 567890',
+        responsibility: 'RMA',
+        mainArea: '12',
+        otherAreas: ['Thames', '14']
+      }
+    ])
+  })
+
+  it('matches headers case-insensitively and skips blank rows', async () => {
+    const rows = await parseAccountImportFile(
+      csv(
+        'EMAIL,first NAME,Last Name,organisation,RESPONSIBILITY,Main Area',
+        'a@example.com,A,One,Org,EA,Wessex',
+        ',,,,,',
+        'b@example.com,B,Two,Org,EA,Wessex'
+      ),
+      'accounts.csv'
+    )
+
+    expect(rows.map((r) => [r.rowNumber, r.email])).toEqual([
+      [2, 'a@example.com'],
+      [4, 'b@example.com']
+    ])
+    expect(rows[0].otherAreas).toEqual([])
+  })
+
+  it('parses the first worksheet of an XLSX file', async () => {
+    const workbook = new ExcelJS.Workbook()
+    const sheet = workbook.addWorksheet('Accounts')
+    sheet.addRow(HEADERS.split(','))
+    sheet.addRow([
+      'Sam',
+      'Jones',
+      'sam@example.com',
+      'Council',
+      '',
+      '',
+      'PSO',
+      'Thames PSO',
+      ''
+    ])
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer())
+
+    const rows = await parseAccountImportFile(buffer, 'Accounts.XLSX')
+
+    expect(rows).toHaveLength(1)
+    expect(rows[0]).toMatchObject({
+      rowNumber: 2,
+      responsibility: 'PSO',
+      mainArea: 'Thames PSO',
+      jobTitle: '',
+      otherAreas: []
+    })
+  })
+
+  it('rejects a file missing required columns', async () => {
+    await expect(
+      parseAccountImportFile(
+        csv('First name,Email', 'Sam,sam@example.com'),
+        'a.csv'
+      )
+    ).rejects.toMatchObject({
+      code: ACCOUNT_ERROR_CODES.IMPORT_FILE_INVALID,
+      message:
+        'The file is missing required columns: Last name, Organisation, Responsibility, Main area'
+    })
+  })
+
+  it('rejects an unreadable XLSX file', async () => {
+    await expect(
+      parseAccountImportFile(Buffer.from('not a zip'), 'a.xlsx')
+    ).rejects.toMatchObject({
+      code: ACCOUNT_ERROR_CODES.IMPORT_FILE_INVALID,
+      field: 'uploadId'
+    })
+  })
+})
@@ -3,6 +3,9 @@ import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
 import { handleError } from '../../../common/helpers/error-handler.js'
 import { ForbiddenError } from '../../../common/errors/index.js'
 import { AccountUpsertService } from '../services/account-upsert-service.js'
+import { AccountRequestService } from '../services/account-request-service.js'
+import { AccountImportService } from '../services/account-import-service.js'
+import { AreaManagerService } from '../services/area-manager-service.js'
 import { AreaService } from '../../areas/services/area-service.js'
 import { getEmailService } from '../../../common/services/email/notify-service.js'
 
@@ -43,6 +46,42 @@ export function createAccountUpsertServiceInitializer(request) {
   return { accountUpsertService }
 }
 
+/**
+ * Creates a service initializer for AccountRequestService
+ *
+ * @param {Object} request - Hapi request object
+ * @returns {Object} Object with initialized accountRequestService
+ */
+export function createAccountRequestServiceInitializer(request) {
+  const emailService = getEmailService(request.server.logger)
+  const areaService = new AreaService(request.prisma, request.server.logger)
+  const accountRequestService = new AccountRequestService(
+    request.prisma,
+    request.server.logger,
+    emailService,
+    areaService
+  )
+  return { accountRequestService }
+}
+
+/**
+ * Creates a service initializer for AccountImportService
+ *
+ * @param {Object} request - Hapi request object
+ * @returns {Object} Object with initialized accountImportService
+ */
+export function createAccountImportServiceInitializer(request) {
+  const emailService = getEmailService(request.server.logger)
+  const areaService = new AreaService(request.prisma, request.server.logger)
+  const accountImportService = new AccountImportService(
+    request.prisma,
+    request.server.logger,
+    emailService,
+    areaService
+  )
+  return { accountImportService }
+}
+
 /**
  * Creates a common admin authorization handler for account routes
  * that need to verify admin credentials before executing the handler
@@ -88,6 +127,73 @@ export function createAdminHandler(
   }
 }
 
+/**
+ * Creates a handler for account actions that area managers may also take.
+ * Admins are handled exactly as by createAdminHandler. Area managers must
+ * manage every area of the account, and each completed action is audited.
+ *
+ * @param {Function} serviceInitializer - Function to initialize required services
+ * @param {Function} serviceHandler - Async function that takes (userId, authenticatedUser, services, request)
+ * @param {String} action - One of DELEGATED_ACCOUNT_ACTIONS, recorded in audit_log
+ * @param {String} forbiddenMessage - Error message for users who are neither admins nor area managers
+ * @param {String} errorCode - Error code to use for service failures
+ * @param {String} errorMessage - Error message to use for service failures
+ * @returns {Function} Async handler function for Hapi routes
+ */
+export function createDelegatedAdminHandler(
+  serviceInitializer,
+  serviceHandler,
+  action,
+  forbiddenMessage,
+  errorCode,
+  errorMessage
+) {
+  return async (request, h) => {
+    try {
+      const userId = request.params.id
+      const authenticatedUser = request.auth.credentials
+      const isDelegated = !authenticatedUser.isAdmin
+
+      if (isDelegated && !authenticatedUser.isAreaManager) {
+        throw new ForbiddenError(
+          forbiddenMessage,
+          ACCOUNT_ERROR_CODES.UNAUTHORIZED,
+          null
+        )
+      }
+
+      const areaManagerService = new AreaManagerService(
+        request.prisma,
+        request.server.logger
+      )
+      const areaIds = isDelegated
+        ? await areaManagerService.assertCanManage(authenticatedUser, userId)
+        : null
+
+      const services = serviceInitializer(request)
+      const result = await serviceHandler(
+        userId,
+        authenticatedUser,
+        services,
+        request
+      )
+
+      if (isDelegated) {
+        areaManagerService.recordDelegatedAction(
+          authenticatedUser,
+          userId,
+          action,
+          areaIds
+        )
+      }
+
+      return h.response(result).code(HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(error, request, h, errorCode, errorMessage)
+    }
+  }
+}
+
 /**
  * Creates a common admin authorization handler for simpler routes
  * that only need AccountService
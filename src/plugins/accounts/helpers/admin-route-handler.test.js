@@ -2,11 +2,26 @@ import { describe, it, expect, vi, beforeEach } from 'vitest'
 import {
   requireAdmin,
   createAdminHandler,
+  createDelegatedAdminHandler,
   createSimpleAdminHandler
 } from './admin-route-handler.js'
 import { ForbiddenError } from '../../../common/errors/index.js'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
-import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_ACTIONS
+} from '../../../common/constants/accounts.js'
+
+const mockAreaManagerService = {
+  assertCanManage: vi.fn(),
+  recordDelegatedAction: vi.fn()
+}
+
+vi.mock('../services/area-manager-service.js', () => ({
+  AreaManagerService: vi.fn(function () {
+    return mockAreaManagerService
+  })
+}))
 
 vi.mock('../../../common/helpers/error-handler.js', () => ({
   handleError: vi.fn((_error, _request, h, errorCode, errorMessage) => {
@@ -240,3 +255,97 @@ describe('createSimpleAdminHandler', () => {
     expect(mockHandler).toHaveBeenCalled()
   })
 })
+
+describe('createDelegatedAdminHandler', () => {
+  let mockRequest
+  let mockH
+  let mockServiceHandler
+  let handler
+
+  const areaManager = {
+    userId: 300,
+    email: 'pso.lead@environment-agency.gov.uk',
+    isAdmin: false,
+    isAreaManager: true
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 5 },
+      auth: { credentials: { userId: 100, isAdmin: true } },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+
+    mockServiceHandler = vi.fn().mockResolvedValue({ success: true })
+    handler = createDelegatedAdminHandler(
+      () => ({ service: 'initialized' }),
+      mockServiceHandler,
+      DELEGATED_ACCOUNT_ACTIONS.APPROVE,
+      'Forbidden',
+      ACCOUNT_ERROR_CODES.APPROVAL_FAILED,
+      'Failed'
+    )
+  })
+
+  it('runs the handler for admins without a scope check or audit', async () => {
+    await handler(mockRequest, mockH)
+
+    expect(mockServiceHandler).toHaveBeenCalledWith(
+      5,
+      mockRequest.auth.credentials,
+      { service: 'initialized' },
+      mockRequest
+    )
+    expect(mockAreaManagerService.assertCanManage).not.toHaveBeenCalled()
+    expect(mockAreaManagerService.recordDelegatedAction).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('checks scope and audits the action for area managers', async () => {
+    mockRequest.auth.credentials = areaManager
+    mockAreaManagerService.assertCanManage.mockResolvedValue([101])
+
+    await handler(mockRequest, mockH)
+
+    expect(mockAreaManagerService.assertCanManage).toHaveBeenCalledWith(
+      areaManager,
+      5
+    )
+    expect(mockServiceHandler).toHaveBeenCalled()
+    expect(mockAreaManagerService.recordDelegatedAction).toHaveBeenCalledWith(
+      areaManager,
+      5,
+      DELEGATED_ACCOUNT_ACTIONS.APPROVE,
+      [101]
+    )
+    expect(mockH.response).toHaveBeenCalledWith({ success: true })
+  })
+
+  it('does not audit an action that failed', async () => {
+    mockRequest.auth.credentials = areaManager
+    mockAreaManagerService.assertCanManage.mockResolvedValue([101])
+    mockServiceHandler.mockRejectedValue(new Error('boom'))
+
+    await handler(mockRequest, mockH)
+
+    expect(mockAreaManagerService.recordDelegatedAction).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+
+  it('refuses users who are neither admins nor area managers', async () => {
+    mockRequest.auth.credentials = { userId: 9, isAdmin: false }
+
+    await handler(mockRequest, mockH)
+
+    expect(mockAreaManagerService.assertCanManage).not.toHaveBeenCalled()
+    expect(mockServiceHandler).not.toHaveBeenCalled()
+  })
+})
@@ -5,6 +5,23 @@ import getAccount from './get-account/get-account.js'
 import deleteAccount from './delete-account/delete-account.js'
 import resendInvitation from './resend-invitation/resend-invitation.js'
 import reactivateAccount from './reactivate-account/reactivate-account.js'
+import createAccountRequest from './create-account-request/create-account-request.js'
+import listAccountRequests from './list-account-requests/list-account-requests.js'
+import approveAccountRequest from './approve-account-request/approve-account-request.js'
+import rejectAccountRequest from './reject-account-request/reject-account-request.js'
+import createAccountImport from './create-account-import/create-account-import.js'
+import confirmAccountImport from './confirm-account-import/confirm-account-import.js'
+import getAccountImport from './get-account-import/get-account-import.js'
+import exportAccounts from './export-accounts/export-accounts.js'
+import accessReview from './access-review/access-review.js'
+import disableAccount from './disable-account/disable-account.js'
+import setAreaManager from './set-area-manager/set-area-manager.js'
+import suspendAccount from './suspend-account/suspend-account.js'
+import endAccountSuspension from './end-account-suspension/end-account-suspension.js'
+import resetAccountMfa from './reset-account-mfa/reset-account-mfa.js'
+import setMfaRequired from './set-mfa-required/set-mfa-required.js'
+import listAccountSessions from './list-account-sessions/list-account-sessions.js'
+import signOutAccount from './sign-out-account/sign-out-account.js'
 
 const accountsPlugin = {
   name: 'accounts',
@@ -17,7 +34,24 @@ const accountsPlugin = {
       approveAccount,
       deleteAccount,
       resendInvitation,
-      reactivateAccount
+      reactivateAccount,
+      createAccountRequest,
+      listAccountRequests,
+      approveAccountRequest,
+      rejectAccountRequest,
+      createAccountImport,
+      confirmAccountImport,
+      getAccountImport,
+      exportAccounts,
+      accessReview,
+      disableAccount,
+      setAreaManager,
+      suspendAccount,
+      endAccountSuspension,
+      resetAccountMfa,
+      setMfaRequired,
+      listAccountSessions,
+      signOutAccount
     ])
     server.logger.info('Accounts plugin registered')
   }
@@ -31,3 +65,20 @@ export { default as approveAccount } from './approve-account/approve-account.js'
 export { default as deleteAccount } from './delete-account/delete-account.js'
 export { default as resendInvitation } from './resend-invitation/resend-invitation.js'
 export { default as reactivateAccount } from './reactivate-account/reactivate-account.js'
+export { default as createAccountRequest } from './create-account-request/create-account-request.js'
+export { default as listAccountRequests } from './list-account-requests/list-account-requests.js'
+export { default as approveAccountRequest } from './approve-account-request/approve-account-request.js'
+export { default as rejectAccountRequest } from './reject-account-request/reject-account-request.js'
+export { default as createAccountImport } from './create-account-import/create-account-import.js'
+export { default as confirmAccountImport } from './confirm-account-import/confirm-account-import.js'
+export { default as getAccountImport } from './get-account-import/get-account-import.js'
+export { default as exportAccounts } from './export-accounts/export-accounts.js'
+export { default as accessReview } from './access-review/access-review.js'
+export { default as disableAccount } from './disable-account/disable-account.js'
+export { default as setAreaManager } from './set-area-manager/set-area-manager.js'
+export { default as suspendAccount } from './suspend-account/suspend-account.js'
+export { default as endAccountSuspension } from './end-account-suspension/end-account-suspension.js'
+export { default as resetAccountMfa } from './reset-account-mfa/reset-account-mfa.js'
+export { default as setMfaRequired } from './set-mfa-required/set-mfa-required.js'
+export { default as listAccountSessions } from './list-account-sessions/list-account-sessions.js'
+export { default as signOutAccount } from './sign-out-account/sign-out-account.js'
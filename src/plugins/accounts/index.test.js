@@ -6,7 +6,24 @@ import accountsPlugin, {
   approveAccount,
   deleteAccount,
   resendInvitation,
-  reactivateAccount
+  reactivateAccount,
+  createAccountRequest,
+  listAccountRequests,
+  approveAccountRequest,
+  rejectAccountRequest,
+  createAccountImport,
+  confirmAccountImport,
+  getAccountImport,
+  exportAccounts,
+  accessReview,
+  disableAccount,
+  setAreaManager,
+  suspendAccount,
+  endAccountSuspension,
+  resetAccountMfa,
+  setMfaRequired,
+  listAccountSessions,
+  signOutAccount
 } from './index.js'
 
 describe('accounts plugin', () => {
@@ -36,6 +53,52 @@ describe('accounts plugin', () => {
     expect(getAccount.path).toBe('/api/v1/accounts/{id}')
   })
 
+  it('exports the account request routes', () => {
+    expect(createAccountRequest.path).toBe('/api/v1/account-requests')
+    expect(listAccountRequests.path).toBe('/api/v1/account-requests')
+    expect(approveAccountRequest.path).toBe(
+      '/api/v1/account-requests/{id}/approve'
+    )
+    expect(rejectAccountRequest.path).toBe(
+      '/api/v1/account-requests/{id}/reject'
+    )
+  })
+
+  it('exports the account import routes', () => {
+    expect(createAccountImport.path).toBe('/api/v1/accounts/imports')
+    expect(confirmAccountImport.path).toBe(
+      '/api/v1/accounts/imports/{id}/confirm'
+    )
+    expect(getAccountImport.path).toBe('/api/v1/accounts/imports/{id}')
+  })
+
+  it('exports the account report routes', () => {
+    expect(exportAccounts.path).toBe('/api/v1/accounts/export')
+    expect(accessReview.path).toBe('/api/v1/accounts/access-review')
+  })
+
+  it('exports the delegated administration routes', () => {
+    expect(disableAccount.path).toBe('/api/v1/accounts/{id}/disable')
+    expect(setAreaManager.path).toBe('/api/v1/accounts/{id}/area-manager')
+  })
+
+  it('exports the suspension routes', () => {
+    expect(suspendAccount.path).toBe('/api/v1/accounts/{id}/suspend')
+    expect(endAccountSuspension.path).toBe(
+      '/api/v1/accounts/{id}/end-suspension'
+    )
+  })
+
+  it('exports the MFA administration routes', () => {
+    expect(resetAccountMfa.path).toBe('/api/v1/accounts/{id}/reset-mfa')
+    expect(setMfaRequired.path).toBe('/api/v1/accounts/{id}/mfa-required')
+  })
+
+  it('exports the session administration routes', () => {
+    expect(listAccountSessions.path).toBe('/api/v1/accounts/{id}/sessions')
+    expect(signOutAccount.path).toBe('/api/v1/accounts/{id}/sign-out')
+  })
+
   describe('register', () => {
     it('registers routes with server', () => {
       const mockServer = {
@@ -54,7 +117,24 @@ describe('accounts plugin', () => {
         approveAccount,
         deleteAccount,
         resendInvitation,
-        reactivateAccount
+        reactivateAccount,
+        createAccountRequest,
+        listAccountRequests,
+        approveAccountRequest,
+        rejectAccountRequest,
+        createAccountImport,
+        confirmAccountImport,
+        getAccountImport,
+        exportAccounts,
+        accessReview,
+        disableAccount,
+        setAreaManager,
+        suspendAccount,
+        endAccountSuspension,
+        resetAccountMfa,
+        setMfaRequired,
+        listAccountSessions,
+        signOutAccount
       ])
     })
 
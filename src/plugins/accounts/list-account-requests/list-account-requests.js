@@ -0,0 +1,55 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { getAccountRequestsQuerySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import {
+  requireAdmin,
+  createAccountRequestServiceInitializer
+} from '../helpers/admin-route-handler.js'
+
+const listAccountRequests = {
+  method: 'GET',
+  path: '/api/v1/account-requests',
+  options: {
+    auth: 'jwt',
+    description: 'List account requests',
+    notes:
+      'Admin only. Returns the paginated account request queue (pending by ' +
+      'default, oldest first) with the requested areas and organisation.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      query: getAccountRequestsQuerySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      requireAdmin(request.auth.credentials)
+
+      const { status, search, page, pageSize } = request.query
+      const { accountRequestService } =
+        createAccountRequestServiceInitializer(request)
+
+      const result = await accountRequestService.listRequests({
+        status,
+        search,
+        page,
+        pageSize
+      })
+
+      return buildSuccessResponse(h, result, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        ACCOUNT_ERROR_CODES.REQUEST_RETRIEVAL_FAILED,
+        'Failed to retrieve account requests'
+      )
+    }
+  }
+}
+
+export default listAccountRequests
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_REQUEST_STATUS
+} from '../../../common/constants/accounts.js'
+
+const mockAccountRequestService = {
+  listRequests: vi.fn()
+}
+
+vi.mock('../services/account-request-service.js', () => ({
+  AccountRequestService: vi.fn(function () {
+    return mockAccountRequestService
+  })
+}))
+
+vi.mock('../../areas/services/area-service.js', () => ({
+  AreaService: vi.fn(function () {
+    return {}
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: listAccountRequests } =
+  await import('./list-account-requests.js')
+
+describe('list-account-requests endpoint', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { error: vi.fn(), info: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      query: { status: ACCOUNT_REQUEST_STATUS.PENDING, page: 1, pageSize: 20 },
+      auth: { credentials: { userId: 100, isAdmin: true } },
+      prisma: {},
+      server: { logger: mockLogger }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  describe('route configuration', () => {
+    it('has correct method and path', () => {
+      expect(listAccountRequests.method).toBe('GET')
+      expect(listAccountRequests.path).toBe('/api/v1/account-requests')
+      expect(listAccountRequests.options.auth).toBe('jwt')
+    })
+
+    it('defaults the status filter to pending', () => {
+      const { value } = listAccountRequests.options.validate.query.validate({})
+      expect(value.status).toBe(ACCOUNT_REQUEST_STATUS.PENDING)
+    })
+  })
+
+  describe('handler', () => {
+    it('returns the queue for admins', async () => {
+      const result = { data: [], pagination: { total: 0 } }
+      mockAccountRequestService.listRequests.mockResolvedValue(result)
+
+      await listAccountRequests.handler(mockRequest, mockH)
+
+      expect(mockAccountRequestService.listRequests).toHaveBeenCalledWith({
+        status: ACCOUNT_REQUEST_STATUS.PENDING,
+        search: undefined,
+        page: 1,
+        pageSize: 20
+      })
+      expect(mockH.response).toHaveBeenCalledWith(result)
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    })
+
+    it('returns 403 for non-admins', async () => {
+      mockRequest.auth.credentials.isAdmin = false
+
+      await listAccountRequests.handler(mockRequest, mockH)
+
+      expect(mockAccountRequestService.listRequests).not.toHaveBeenCalled()
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+    })
+
+    it('returns 500 when the query fails', async () => {
+      mockAccountRequestService.listRequests.mockRejectedValue(
+        new Error('Database error')
+      )
+
+      await listAccountRequests.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.REQUEST_RETRIEVAL_FAILED
+          })
+        ]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    })
+  })
+})
@@ -0,0 +1,36 @@
+import { SessionService } from '../../auth/services/session-service.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { createSimpleAdminHandler } from '../helpers/admin-route-handler.js'
+import { getAccountByIdSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const listAccountSessions = {
+  method: 'GET',
+  path: '/api/v1/accounts/{id}/sessions',
+  options: {
+    auth: 'jwt',
+    description: "List a user's signed-in sessions",
+    notes:
+      'Admin only. Returns the devices the user is signed in on, most ' +
+      'recent first.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: getAccountByIdSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createSimpleAdminHandler(
+    async (request, userId) => {
+      const sessionService = new SessionService(
+        request.prisma,
+        request.server.logger
+      )
+      return sessionService.getAccountSessions(userId)
+    },
+    'Admin authentication required to view sessions',
+    ACCOUNT_ERROR_CODES.SESSIONS_RETRIEVAL_FAILED,
+    'Failed to retrieve sessions'
+  )
+}
+
+export default listAccountSessions
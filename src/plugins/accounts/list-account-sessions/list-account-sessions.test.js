@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { NotFoundError } from '../../../common/errors/index.js'
+
+const mockSessionService = {
+  getAccountSessions: vi.fn()
+}
+
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: vi.fn(function () {
+    return mockSessionService
+  })
+}))
+
+const { default: listAccountSessions } =
+  await import('./list-account-sessions.js')
+
+describe('list-account-sessions endpoint', () => {
+  let mockRequest
+  let mockH
+
+  const adminUser = { userId: 100, email: 'admin@gov.uk', isAdmin: true }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 7 },
+      auth: { credentials: adminUser },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method, path and validation', () => {
+    expect(listAccountSessions.method).toBe('GET')
+    expect(listAccountSessions.path).toBe('/api/v1/accounts/{id}/sessions')
+    expect(listAccountSessions.options.auth).toBe('jwt')
+    expect(listAccountSessions.options.validate.params).toBeDefined()
+  })
+
+  it("returns the user's sessions", async () => {
+    const result = { userId: 7, sessions: [{ id: 3, current: false }] }
+    mockSessionService.getAccountSessions.mockResolvedValue(result)
+
+    await listAccountSessions.handler(mockRequest, mockH)
+
+    expect(mockSessionService.getAccountSessions).toHaveBeenCalledWith(7)
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('is admin only', async () => {
+    mockRequest.auth.credentials = {
+      userId: 300,
+      isAdmin: false,
+      isAreaManager: true
+    }
+
+    await listAccountSessions.handler(mockRequest, mockH)
+
+    expect(mockSessionService.getAccountSessions).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 404 for an unknown account', async () => {
+    mockSessionService.getAccountSessions.mockRejectedValue(
+      new NotFoundError(
+        'User with ID 7 not found',
+        ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      )
+    )
+
+    await listAccountSessions.handler(mockRequest, mockH)
+
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND)
+  })
+
+  it('returns 500 with the retrieval error code on unexpected errors', async () => {
+    mockSessionService.getAccountSessions.mockRejectedValue(
+      new Error('Database error')
+    )
+
+    await listAccountSessions.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errors: expect.arrayContaining([
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.SESSIONS_RETRIEVAL_FAILED
+          })
+        ])
+      })
+    )
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
@@ -25,6 +25,10 @@ vi.mock('../../../common/services/email/notify-service.js', () => ({
   getEmailService: vi.fn(() => mockEmailService)
 }))
 
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: vi.fn()
+}))
+
 vi.mock('../../../config.js', () => ({
   config: mockConfig
 }))
@@ -0,0 +1,44 @@
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import {
+  createSimpleAdminHandler,
+  createAccountRequestServiceInitializer
+} from '../helpers/admin-route-handler.js'
+import {
+  accountRequestIdSchema,
+  rejectAccountRequestSchema
+} from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const rejectAccountRequest = {
+  method: 'PATCH',
+  path: '/api/v1/account-requests/{id}/reject',
+  options: {
+    auth: 'jwt',
+    description: 'Reject an account request',
+    notes:
+      'Admin only. Marks the request as rejected and emails the reason to the ' +
+      'requester.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: accountRequestIdSchema,
+      payload: rejectAccountRequestSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createSimpleAdminHandler(
+    async (request, requestId, authenticatedUser) => {
+      const { accountRequestService } =
+        createAccountRequestServiceInitializer(request)
+      return accountRequestService.rejectRequest(
+        requestId,
+        request.payload.reason,
+        authenticatedUser
+      )
+    },
+    'Admin authentication required to reject account requests',
+    ACCOUNT_ERROR_CODES.REQUEST_REJECTION_FAILED,
+    'Failed to reject account request'
+  )
+}
+
+export default rejectAccountRequest
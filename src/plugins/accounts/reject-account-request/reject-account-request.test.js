@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_VALIDATION_CODES
+} from '../../../common/constants/accounts.js'
+import { ConflictError } from '../../../common/errors/index.js'
+
+const mockAccountRequestService = {
+  rejectRequest: vi.fn()
+}
+
+vi.mock('../services/account-request-service.js', () => ({
+  AccountRequestService: vi.fn(function () {
+    return mockAccountRequestService
+  })
+}))
+
+vi.mock('../../areas/services/area-service.js', () => ({
+  AreaService: vi.fn(function () {
+    return {}
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: rejectAccountRequest } =
+  await import('./reject-account-request.js')
+
+describe('reject-account-request endpoint', () => {
+  let mockRequest
+  let mockH
+  let mockAdminUser
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockAdminUser = { userId: 100, isAdmin: true }
+
+    mockRequest = {
+      params: { id: 11 },
+      payload: { reason: 'Not a partner organisation' },
+      auth: { credentials: mockAdminUser },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  describe('route configuration', () => {
+    it('has correct method and path', () => {
+      expect(rejectAccountRequest.method).toBe('PATCH')
+      expect(rejectAccountRequest.path).toBe(
+        '/api/v1/account-requests/{id}/reject'
+      )
+    })
+
+    it('requires a reason', () => {
+      const { error } = rejectAccountRequest.options.validate.payload.validate({
+        reason: '   '
+      })
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.REJECTION_REASON_REQUIRED
+      )
+    })
+
+    it('limits the reason length', () => {
+      const { error } = rejectAccountRequest.options.validate.payload.validate({
+        reason: 'x'.repeat(1001)
+      })
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.REJECTION_REASON_TOO_LONG
+      )
+    })
+  })
+
+  describe('handler', () => {
+    it('rejects the request with the reason', async () => {
+      const result = { requestId: 11, status: 'rejected' }
+      mockAccountRequestService.rejectRequest.mockResolvedValue(result)
+
+      await rejectAccountRequest.handler(mockRequest, mockH)
+
+      expect(mockAccountRequestService.rejectRequest).toHaveBeenCalledWith(
+        11,
+        'Not a partner organisation',
+        mockAdminUser
+      )
+      expect(mockH.response).toHaveBeenCalledWith(result)
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    })
+
+    it('returns 403 for non-admins', async () => {
+      mockRequest.auth.credentials = { userId: 1, isAdmin: false }
+
+      await rejectAccountRequest.handler(mockRequest, mockH)
+
+      expect(mockAccountRequestService.rejectRequest).not.toHaveBeenCalled()
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+    })
+
+    it('returns 409 when the request was already reviewed', async () => {
+      mockAccountRequestService.rejectRequest.mockRejectedValue(
+        new ConflictError(
+          'Already reviewed',
+          ACCOUNT_ERROR_CODES.REQUEST_ALREADY_REVIEWED
+        )
+      )
+
+      await rejectAccountRequest.handler(mockRequest, mockH)
+
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.CONFLICT)
+    })
+
+    it('returns 500 for unexpected errors', async () => {
+      mockAccountRequestService.rejectRequest.mockRejectedValue(
+        new Error('Notify down')
+      )
+
+      await rejectAccountRequest.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.REQUEST_REJECTION_FAILED
+          })
+        ]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    })
+  })
+})
@@ -1,6 +1,9 @@
-import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
 import {
-  createAdminHandler,
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_ACTIONS
+} from '../../../common/constants/accounts.js'
+import {
+  createDelegatedAdminHandler,
   createAccountUpsertServiceInitializer
 } from '../helpers/admin-route-handler.js'
 import { getAccountByIdSchema } from '../schema.js'
@@ -12,18 +15,19 @@ const resendInvitation = {
     auth: 'jwt',
     description: 'Resend invitation email',
     notes:
-      'Admin only. Resends invitation email with new token for approved accounts.',
+      'Admins, or area managers for accounts within their areas. Resends invitation email with new token for approved accounts.',
     tags: ['api', 'accounts', 'admin'],
     validate: {
       params: getAccountByIdSchema
     }
   },
-  handler: createAdminHandler(
+  handler: createDelegatedAdminHandler(
     createAccountUpsertServiceInitializer,
     async (userId, _authenticatedUser, services) => {
       return services.accountUpsertService.resendInvitation(userId)
     },
-    'Admin authentication required to resend invitations',
+    DELEGATED_ACCOUNT_ACTIONS.RESEND_INVITATION,
+    'Admin or area manager authentication required to resend invitations',
     ACCOUNT_ERROR_CODES.RESEND_INVITATION_FAILED,
     'Failed to resend invitation'
   )
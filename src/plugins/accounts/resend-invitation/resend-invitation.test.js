@@ -1,12 +1,20 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
-import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_ACTIONS
+} from '../../../common/constants/accounts.js'
 
 // Mock all dependencies
 const mockAccountUpsertService = {
   resendInvitation: vi.fn()
 }
 
+const mockAreaManagerService = {
+  assertCanManage: vi.fn(),
+  recordDelegatedAction: vi.fn()
+}
+
 const mockEmailService = {}
 const mockAreaService = {}
 
@@ -16,6 +24,12 @@ vi.mock('../services/account-upsert-service.js', () => ({
   })
 }))
 
+vi.mock('../services/area-manager-service.js', () => ({
+  AreaManagerService: vi.fn(function () {
+    return mockAreaManagerService
+  })
+}))
+
 vi.mock('../../areas/services/area-service.js', () => ({
   AreaService: vi.fn(function () {
     return mockAreaService
@@ -156,7 +170,8 @@ describe('resend-invitation endpoint', () => {
           errors: expect.arrayContaining([
             expect.objectContaining({
               errorCode: ACCOUNT_ERROR_CODES.UNAUTHORIZED,
-              message: 'Admin authentication required to resend invitations'
+              message:
+                'Admin or area manager authentication required to resend invitations'
             })
           ])
         })
@@ -194,6 +209,35 @@ describe('resend-invitation endpoint', () => {
       expect(mockAccountUpsertService.resendInvitation).toHaveBeenCalled()
       expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
     })
+    it('allows area managers to resend within their areas', async () => {
+      const areaManager = {
+        userId: 300,
+        email: 'ea.lead@environment-agency.gov.uk',
+        isAdmin: false,
+        isAreaManager: true
+      }
+      mockRequest.auth.credentials = areaManager
+      mockAreaManagerService.assertCanManage.mockResolvedValue([10])
+      mockAccountUpsertService.resendInvitation.mockResolvedValue({
+        message: 'Invitation email resent successfully',
+        userId: 1
+      })
+
+      await resendInvitation.handler(mockRequest, mockH)
+
+      expect(mockAreaManagerService.assertCanManage).toHaveBeenCalledWith(
+        areaManager,
+        1
+      )
+      expect(mockAccountUpsertService.resendInvitation).toHaveBeenCalledWith(1)
+      expect(mockAreaManagerService.recordDelegatedAction).toHaveBeenCalledWith(
+        areaManager,
+        1,
+        DELEGATED_ACCOUNT_ACTIONS.RESEND_INVITATION,
+        [10]
+      )
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    })
   })
 
   describe('error handling', () => {
@@ -0,0 +1,33 @@
+import { MfaService } from '../../auth/services/mfa-service.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { createSimpleAdminHandler } from '../helpers/admin-route-handler.js'
+import { getAccountByIdSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const resetAccountMfa = {
+  method: 'PATCH',
+  path: '/api/v1/accounts/{id}/reset-mfa',
+  options: {
+    auth: 'jwt',
+    description: "Reset a user's MFA",
+    notes:
+      'Admin only. Removes the authenticator app and recovery codes, e.g. ' +
+      'after a lost phone. The user enrols again to use MFA.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: getAccountByIdSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createSimpleAdminHandler(
+    async (request, userId, authenticatedUser) => {
+      const mfaService = new MfaService(request.prisma, request.server.logger)
+      return mfaService.resetMfa(userId, authenticatedUser)
+    },
+    'Admin authentication required to reset MFA',
+    ACCOUNT_ERROR_CODES.MFA_RESET_FAILED,
+    'Failed to reset MFA'
+  )
+}
+
+export default resetAccountMfa
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { NotFoundError } from '../../../common/errors/index.js'
+
+const mockMfaService = {
+  resetMfa: vi.fn()
+}
+
+vi.mock('../../auth/services/mfa-service.js', () => ({
+  MfaService: vi.fn(function () {
+    return mockMfaService
+  })
+}))
+
+const { default: resetAccountMfa } = await import('./reset-account-mfa.js')
+
+describe('reset-account-mfa endpoint', () => {
+  let mockRequest
+  let mockH
+
+  const adminUser = { userId: 100, email: 'admin@gov.uk', isAdmin: true }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 7 },
+      auth: { credentials: adminUser },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method, path and validation', () => {
+    expect(resetAccountMfa.method).toBe('PATCH')
+    expect(resetAccountMfa.path).toBe('/api/v1/accounts/{id}/reset-mfa')
+    expect(resetAccountMfa.options.auth).toBe('jwt')
+    expect(resetAccountMfa.options.validate.params).toBeDefined()
+  })
+
+  it("resets the user's MFA", async () => {
+    const result = { message: 'MFA reset', userId: 7 }
+    mockMfaService.resetMfa.mockResolvedValue(result)
+
+    await resetAccountMfa.handler(mockRequest, mockH)
+
+    expect(mockMfaService.resetMfa).toHaveBeenCalledWith(7, adminUser)
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('is admin only', async () => {
+    mockRequest.auth.credentials = {
+      userId: 300,
+      isAdmin: false,
+      isAreaManager: true
+    }
+
+    await resetAccountMfa.handler(mockRequest, mockH)
+
+    expect(mockMfaService.resetMfa).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 404 for an unknown account', async () => {
+    mockMfaService.resetMfa.mockRejectedValue(
+      new NotFoundError(
+        'User with ID 7 not found',
+        ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      )
+    )
+
+    await resetAccountMfa.handler(mockRequest, mockH)
+
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND)
+  })
+
+  it('returns 500 with the reset error code on unexpected errors', async () => {
+    mockMfaService.resetMfa.mockRejectedValue(new Error('Database error'))
+
+    await resetAccountMfa.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errors: expect.arrayContaining([
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.MFA_RESET_FAILED
+          })
+        ])
+      })
+    )
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
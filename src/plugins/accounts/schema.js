@@ -15,7 +15,11 @@ import {
   responsibilitySchema,
   adminFlagSchema
 } from '../../common/schemas/index.js'
-import { ACCOUNT_VALIDATION_CODES } from '../../common/constants/accounts.js'
+import {
+  ACCESS_REVIEW_DEFAULT_INACTIVE_DAYS,
+  ACCOUNT_REQUEST_STATUS,
+  ACCOUNT_VALIDATION_CODES
+} from '../../common/constants/accounts.js'
 import { VALIDATION_ERROR_CODES } from '../../common/constants/common.js'
 
 /**
@@ -63,6 +67,35 @@ const areaItemSchema = Joi.object({
   })
 })
 
+/**
+ * Bulk import row - a non-admin account with at least one area. Area
+ * identifiers from the spreadsheet are resolved to IDs before validation.
+ */
+export const accountImportRowSchema = Joi.object({
+  firstName: firstNameSchema,
+  lastName: lastNameSchema,
+  email: emailSchema,
+  organisation: organisationSchema.required().disallow('', null).messages({
+    'any.required': ACCOUNT_VALIDATION_CODES.ORGANISATION_REQUIRED,
+    'string.empty': ACCOUNT_VALIDATION_CODES.ORGANISATION_REQUIRED,
+    'any.invalid': ACCOUNT_VALIDATION_CODES.ORGANISATION_REQUIRED
+  }),
+  jobTitle: jobTitleSchema.optional(),
+  telephoneNumber: telephoneNumberSchema.optional(),
+  responsibility: responsibilitySchema,
+  areas: Joi.array()
+    .items(areaItemSchema)
+    .min(1)
+    .required()
+    .label('Areas')
+    .messages({
+      'any.required': ACCOUNT_VALIDATION_CODES.AREAS_REQUIRED,
+      'array.min': ACCOUNT_VALIDATION_CODES.AREAS_REQUIRED
+    })
+})
+  .options({ abortEarly: false })
+  .label('Account Import Row')
+
 /**
  * Conditional fields - required when admin=false, optional when admin=true
  * Uses camelCase field names for API
@@ -150,3 +183,219 @@ export const upsertAccountSchema = Joi.object({
 export const getAccountByIdSchema = Joi.object({
   id: userIdSchema.required()
 })
+
+/**
+ * Public account request schema - every contact field is required because
+ * there is no admin context, and the requester must accept the terms
+ */
+export const createAccountRequestSchema = Joi.object({
+  firstName: firstNameSchema,
+  lastName: lastNameSchema,
+  email: emailSchema,
+  jobTitle: jobTitleSchema.required().disallow('', null).messages({
+    'any.required': ACCOUNT_VALIDATION_CODES.JOB_TITLE_REQUIRED,
+    'string.empty': ACCOUNT_VALIDATION_CODES.JOB_TITLE_REQUIRED,
+    'any.invalid': ACCOUNT_VALIDATION_CODES.JOB_TITLE_REQUIRED
+  }),
+  organisation: organisationSchema.required().disallow('', null).messages({
+    'any.required': ACCOUNT_VALIDATION_CODES.ORGANISATION_REQUIRED,
+    'string.empty': ACCOUNT_VALIDATION_CODES.ORGANISATION_REQUIRED,
+    'any.invalid': ACCOUNT_VALIDATION_CODES.ORGANISATION_REQUIRED
+  }),
+  telephoneNumber: telephoneNumberSchema
+    .required()
+    .disallow('', null)
+    .messages({
+      'any.required': ACCOUNT_VALIDATION_CODES.TELEPHONE_REQUIRED,
+      'string.empty': ACCOUNT_VALIDATION_CODES.TELEPHONE_REQUIRED,
+      'any.invalid': ACCOUNT_VALIDATION_CODES.TELEPHONE_REQUIRED
+    }),
+  responsibility: responsibilitySchema.required().messages({
+    'any.required': ACCOUNT_VALIDATION_CODES.RESPONSIBILITY_REQUIRED
+  }),
+  areas: Joi.array()
+    .items(areaItemSchema)
+    .min(1)
+    .required()
+    .label('Areas')
+    .messages({
+      'any.required': ACCOUNT_VALIDATION_CODES.AREAS_REQUIRED,
+      'array.min': ACCOUNT_VALIDATION_CODES.AREAS_REQUIRED
+    }),
+  termsAccepted: Joi.boolean()
+    .valid(true)
+    .required()
+    .label('Terms Accepted')
+    .messages({
+      'any.required': ACCOUNT_VALIDATION_CODES.TERMS_NOT_ACCEPTED,
+      'any.only': ACCOUNT_VALIDATION_CODES.TERMS_NOT_ACCEPTED,
+      'boolean.base': ACCOUNT_VALIDATION_CODES.TERMS_NOT_ACCEPTED
+    })
+})
+  .options({ abortEarly: false })
+  .label('Account Request')
+  .messages({
+    'object.base': VALIDATION_ERROR_CODES.VALIDATION_INVALID_OBJECT
+  })
+
+/**
+ * Query schema for the admin account request queue (pending by default)
+ */
+export const getAccountRequestsQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...Object.values(ACCOUNT_REQUEST_STATUS))
+    .default(ACCOUNT_REQUEST_STATUS.PENDING)
+    .messages({
+      'any.only': ACCOUNT_VALIDATION_CODES.ACCOUNT_REQUEST_STATUS_INVALID
+    }),
+  search: searchSchema,
+  page: pageSchema,
+  pageSize: pageSizeSchema()
+})
+
+/**
+ * Schema for validating account request ID in URL params
+ */
+export const accountRequestIdSchema = Joi.object({
+  id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .label('Account Request ID')
+    .messages({
+      'number.base': ACCOUNT_VALIDATION_CODES.ACCOUNT_REQUEST_ID_INVALID,
+      'number.positive': ACCOUNT_VALIDATION_CODES.ACCOUNT_REQUEST_ID_INVALID,
+      'any.required': ACCOUNT_VALIDATION_CODES.ACCOUNT_REQUEST_ID_INVALID
+    })
+})
+
+/**
+ * Reject payload - the reason is emailed to the requester
+ */
+export const rejectAccountRequestSchema = Joi.object({
+  reason: Joi.string().trim().max(1000).required().label('Reason').messages({
+    'any.required': ACCOUNT_VALIDATION_CODES.REJECTION_REASON_REQUIRED,
+    'string.empty': ACCOUNT_VALIDATION_CODES.REJECTION_REASON_REQUIRED,
+    'string.max': ACCOUNT_VALIDATION_CODES.REJECTION_REASON_TOO_LONG
+  })
+})
+
+/**
+ * Start an account import from a completed spreadsheet upload
+ */
+export const createAccountImportSchema = Joi.object({
+  uploadId: Joi.string()
+    .trim()
+    .max(255)
+    .required()
+    .label('Upload ID')
+    .messages({
+      'any.required': ACCOUNT_VALIDATION_CODES.UPLOAD_ID_REQUIRED,
+      'string.empty': ACCOUNT_VALIDATION_CODES.UPLOAD_ID_REQUIRED
+    })
+})
+
+/**
+ * Schema for validating account import ID in URL params
+ */
+export const accountImportIdSchema = Joi.object({
+  id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .label('Account Import ID')
+    .messages({
+      'number.base': ACCOUNT_VALIDATION_CODES.ACCOUNT_IMPORT_ID_INVALID,
+      'number.positive': ACCOUNT_VALIDATION_CODES.ACCOUNT_IMPORT_ID_INVALID,
+      'any.required': ACCOUNT_VALIDATION_CODES.ACCOUNT_IMPORT_ID_INVALID
+    })
+})
+
+const exportFormatSchema = (formats, defaultFormat) =>
+  Joi.string()
+    .valid(...formats)
+    .default(defaultFormat)
+    .label('Format')
+    .messages({
+      'any.only': ACCOUNT_VALIDATION_CODES.EXPORT_FORMAT_INVALID
+    })
+
+/**
+ * Query schema for the account directory export. Status is optional here;
+ * without it every user is exported.
+ */
+export const exportAccountsQuerySchema = Joi.object({
+  format: exportFormatSchema(['csv', 'xlsx'], 'csv'),
+  status: accountStatusSchema.optional(),
+  search: searchSchema,
+  areaId: areaIdSchema
+})
+
+/**
+ * Query schema for the access review report
+ */
+export const accessReviewQuerySchema = Joi.object({
+  inactiveDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(3650)
+    .default(ACCESS_REVIEW_DEFAULT_INACTIVE_DAYS)
+    .label('Inactive Days')
+    .messages({
+      'number.base': ACCOUNT_VALIDATION_CODES.INACTIVE_DAYS_INVALID,
+      'number.integer': ACCOUNT_VALIDATION_CODES.INACTIVE_DAYS_INVALID,
+      'number.min': ACCOUNT_VALIDATION_CODES.INACTIVE_DAYS_INVALID,
+      'number.max': ACCOUNT_VALIDATION_CODES.INACTIVE_DAYS_INVALID
+    }),
+  format: exportFormatSchema(['json', 'csv', 'xlsx'], 'json')
+})
+
+/**
+ * Payload schema for granting or revoking the area manager role
+ */
+export const setAreaManagerSchema = Joi.object({
+  areaManager: Joi.boolean()
+    .strict()
+    .required()
+    .label('Area Manager')
+    .messages({
+      'any.required': ACCOUNT_VALIDATION_CODES.AREA_MANAGER_FLAG_REQUIRED,
+      'boolean.base': ACCOUNT_VALIDATION_CODES.AREA_MANAGER_FLAG_INVALID
+    })
+})
+
+/**
+ * Require (or stop requiring) MFA for an account
+ */
+export const setMfaRequiredSchema = Joi.object({
+  mfaRequired: Joi.boolean()
+    .strict()
+    .required()
+    .label('MFA Required')
+    .messages({
+      'any.required': ACCOUNT_VALIDATION_CODES.MFA_REQUIRED_FLAG_REQUIRED,
+      'boolean.base': ACCOUNT_VALIDATION_CODES.MFA_REQUIRED_FLAG_INVALID
+    })
+})
+
+/**
+ * Suspend an account until a future date (e.g. for long leave)
+ */
+export const suspendAccountSchema = Joi.object({
+  suspendedUntil: Joi.date()
+    .iso()
+    .greater('now')
+    .required()
+    .label('Suspended Until')
+    .messages({
+      'any.required': ACCOUNT_VALIDATION_CODES.SUSPENDED_UNTIL_REQUIRED,
+      'date.base': ACCOUNT_VALIDATION_CODES.SUSPENDED_UNTIL_INVALID,
+      'date.format': ACCOUNT_VALIDATION_CODES.SUSPENDED_UNTIL_INVALID,
+      'date.greater': ACCOUNT_VALIDATION_CODES.SUSPENDED_UNTIL_INVALID
+    }),
+  reason: Joi.string().trim().max(500).required().label('Reason').messages({
+    'any.required': ACCOUNT_VALIDATION_CODES.SUSPENSION_REASON_REQUIRED,
+    'string.empty': ACCOUNT_VALIDATION_CODES.SUSPENSION_REASON_REQUIRED,
+    'string.max': ACCOUNT_VALIDATION_CODES.SUSPENSION_REASON_TOO_LONG
+  })
+})
@@ -1,5 +1,10 @@
 import { describe, it, expect } from 'vitest'
-import { getAccountsQuerySchema } from './schema.js'
+import {
+  getAccountsQuerySchema,
+  setAreaManagerSchema,
+  setMfaRequiredSchema,
+  suspendAccountSchema
+} from './schema.js'
 import {
   ACCOUNT_VALIDATION_CODES,
   FILTER_VALIDATION_CODES,
@@ -174,4 +179,99 @@ describe('accounts schema', () => {
       })
     })
   })
+
+  describe('setAreaManagerSchema', () => {
+    it('accepts true and false', () => {
+      expect(
+        setAreaManagerSchema.validate({ areaManager: true }).error
+      ).toBeUndefined()
+      expect(
+        setAreaManagerSchema.validate({ areaManager: false }).error
+      ).toBeUndefined()
+    })
+
+    it('rejects a missing flag', () => {
+      const { error } = setAreaManagerSchema.validate({})
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.AREA_MANAGER_FLAG_REQUIRED
+      )
+    })
+
+    it('rejects a non-boolean flag', () => {
+      const { error } = setAreaManagerSchema.validate({ areaManager: 'yes' })
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.AREA_MANAGER_FLAG_INVALID
+      )
+    })
+  })
+
+  describe('setMfaRequiredSchema', () => {
+    it('accepts true and false', () => {
+      expect(
+        setMfaRequiredSchema.validate({ mfaRequired: true }).error
+      ).toBeUndefined()
+      expect(
+        setMfaRequiredSchema.validate({ mfaRequired: false }).error
+      ).toBeUndefined()
+    })
+
+    it('rejects a missing flag', () => {
+      const { error } = setMfaRequiredSchema.validate({})
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.MFA_REQUIRED_FLAG_REQUIRED
+      )
+    })
+
+    it('rejects a non-boolean flag', () => {
+      const { error } = setMfaRequiredSchema.validate({ mfaRequired: 'true' })
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.MFA_REQUIRED_FLAG_INVALID
+      )
+    })
+  })
+
+  describe('suspendAccountSchema', () => {
+    const future = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+
+    it('accepts a future date and a reason', () => {
+      const { error, value } = suspendAccountSchema.validate({
+        suspendedUntil: future,
+        reason: '  Long leave  '
+      })
+      expect(error).toBeUndefined()
+      expect(value.suspendedUntil).toBeInstanceOf(Date)
+      expect(value.reason).toBe('Long leave')
+    })
+
+    it('rejects a date in the past', () => {
+      const { error } = suspendAccountSchema.validate({
+        suspendedUntil: '2020-01-01T00:00:00Z',
+        reason: 'Long leave'
+      })
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.SUSPENDED_UNTIL_INVALID
+      )
+    })
+
+    it('requires the end date and reason', () => {
+      expect(
+        suspendAccountSchema.validate({ reason: 'Long leave' }).error.details[0]
+          .message
+      ).toBe(ACCOUNT_VALIDATION_CODES.SUSPENDED_UNTIL_REQUIRED)
+      expect(
+        suspendAccountSchema.validate({ suspendedUntil: future, reason: '' })
+          .error.details[0].message
+      ).toBe(ACCOUNT_VALIDATION_CODES.SUSPENSION_REASON_REQUIRED)
+    })
+
+    it('rejects a reason over 500 characters', () => {
+      const { error } = suspendAccountSchema.validate({
+        suspendedUntil: future,
+        reason: 'a'.repeat(501)
+      })
+      expect(error.details[0].message).toBe(
+        ACCOUNT_VALIDATION_CODES.SUSPENSION_REASON_TOO_LONG
+      )
+    })
+  })
 })
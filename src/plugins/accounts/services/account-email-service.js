@@ -4,12 +4,23 @@ import {
   ACCOUNT_STATUS,
   ACCOUNT_RESPONSIBILITY
 } from '../../../common/constants/accounts.js'
+import { NOTIFICATION_TYPES } from '../../../common/constants/notifications.js'
+
+// e.g. 1 March 2027
+function formatEmailDate(date) {
+  return new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  })
+}
 
 export class AccountEmailService {
-  constructor(emailService, areaService, logger) {
+  constructor(emailService, areaService, logger, notificationService = null) {
     this.emailService = emailService
     this.areaService = areaService
     this.logger = logger
+    this.notificationService = notificationService
   }
 
   /**
@@ -37,6 +48,14 @@ export class AccountEmailService {
       { userId: user.id, status: user.status },
       'Invitation email sent'
     )
+
+    // The set-password link only goes by email; the inbox just records it
+    await this.notificationService?.create({
+      userId: user.id,
+      type: NOTIFICATION_TYPES.ACCOUNT_APPROVED,
+      title: 'Your account has been approved',
+      body: `We have emailed ${user.email} a link to set your password.`
+    })
   }
 
   /**
@@ -80,6 +99,77 @@ export class AccountEmailService {
     this.logger.info({ userId: user.id }, 'Admin notification sent')
   }
 
+  /**
+   * Tell someone their account request was turned down
+   * @param {Object} accountRequest - pafs_core_account_requests row
+   * @param {string} reason - Reason entered by the reviewing admin
+   */
+  async sendAccountRequestRejectedEmail(accountRequest, reason) {
+    const templateId = config.get('notify.templateAccountRequestRejected')
+
+    await this.emailService.send(
+      templateId,
+      accountRequest.email,
+      {
+        user_name: accountRequest.first_name,
+        email_address: accountRequest.email,
+        rejection_reason: reason
+      },
+      'account-request-rejected'
+    )
+
+    this.logger.info(
+      { accountRequestId: accountRequest.id },
+      'Account request rejection email sent'
+    )
+  }
+
+  /**
+   * Tell a user their account has been suspended, until when and why
+   * @param {Object} user - User object
+   * @param {Object} suspension
+   * @param {Date} suspension.suspendedUntil
+   * @param {string} suspension.reason
+   */
+  async sendAccountSuspendedEmail(user, { suspendedUntil, reason }) {
+    const templateId = config.get('notify.templateAccountSuspended')
+
+    await this.emailService.send(
+      templateId,
+      user.email,
+      {
+        user_name: user.first_name,
+        email_address: user.email,
+        suspended_until: formatEmailDate(suspendedUntil),
+        suspension_reason: reason
+      },
+      `account-suspended-${user.id}`
+    )
+
+    this.logger.info({ userId: user.id }, 'Account suspension email sent')
+  }
+
+  /**
+   * Tell a user their suspension has ended and they can sign in again
+   * @param {Object} user - User object
+   */
+  async sendSuspensionEndedEmail(user) {
+    const templateId = config.get('notify.templateAccountSuspensionEnded')
+
+    await this.emailService.send(
+      templateId,
+      user.email,
+      {
+        user_name: user.first_name,
+        email_address: user.email,
+        frontendUrl: config.get('frontendUrl')
+      },
+      `account-suspension-ended-${user.id}`
+    )
+
+    this.logger.info({ userId: user.id }, 'Account suspension ended email sent')
+  }
+
   /**
    * Build area strings for email templates
    * @param {Array} areas - User areas
@@ -12,6 +12,10 @@ vi.mock('../../../config.js', () => ({
           'template-set-password-123',
         'notify.templateAccountApprovedToAdmin': 'template-admin-approved-456',
         'notify.templateAccountVerification': 'template-verification-789',
+        'notify.templateAccountRequestRejected': 'template-rejected-321',
+        'notify.templateAccountSuspended': 'template-suspended-654',
+        'notify.templateAccountSuspensionEnded':
+          'template-suspension-ended-987',
         'notify.adminEmail': 'admin@test.com'
       }
       return configValues[key]
@@ -133,6 +137,50 @@ describe('AccountEmailService', () => {
         'Invitation email sent'
       )
     })
+
+    it('records the approval in the in-app inbox when configured', async () => {
+      const mockNotificationService = { create: vi.fn() }
+      const service = new AccountEmailService(
+        mockEmailServiceSend,
+        mockAreaService,
+        mockLogger,
+        mockNotificationService
+      )
+      const user = {
+        id: BigInt(321),
+        email: 'inbox@example.com',
+        first_name: 'Inbox',
+        status: ACCOUNT_STATUS.APPROVED
+      }
+
+      await service.sendInvitationEmail(user, 'token')
+
+      expect(mockNotificationService.create).toHaveBeenCalledWith({
+        userId: BigInt(321),
+        type: 'account_approved',
+        title: 'Your account has been approved',
+        body: 'We have emailed inbox@example.com a link to set your password.'
+      })
+    })
+
+    it('does not write to the inbox when the email fails', async () => {
+      const mockNotificationService = { create: vi.fn() }
+      const service = new AccountEmailService(
+        mockEmailServiceSend,
+        mockAreaService,
+        mockLogger,
+        mockNotificationService
+      )
+      mockEmailServiceSend.send.mockRejectedValue(new Error('Notify down'))
+
+      await expect(
+        service.sendInvitationEmail(
+          { id: BigInt(1), email: 'a@example.com', first_name: 'A' },
+          'token'
+        )
+      ).rejects.toThrow('Notify down')
+      expect(mockNotificationService.create).not.toHaveBeenCalled()
+    })
   })
 
   describe('sendAdminNotification', () => {
@@ -500,6 +548,80 @@ describe('AccountEmailService', () => {
     })
   })
 
+  describe('sendAccountRequestRejectedEmail', () => {
+    it('sends the rejection email with the reason', async () => {
+      const accountRequest = {
+        id: BigInt(9),
+        email: 'requester@example.com',
+        first_name: 'Sam'
+      }
+
+      await emailService.sendAccountRequestRejectedEmail(
+        accountRequest,
+        'Not a partner organisation'
+      )
+
+      expect(mockEmailServiceSend.send).toHaveBeenCalledWith(
+        'template-rejected-321',
+        'requester@example.com',
+        {
+          user_name: 'Sam',
+          email_address: 'requester@example.com',
+          rejection_reason: 'Not a partner organisation'
+        },
+        'account-request-rejected'
+      )
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { accountRequestId: BigInt(9) },
+        'Account request rejection email sent'
+      )
+    })
+  })
+
+  describe('sendAccountSuspendedEmail', () => {
+    it('sends the suspension email with the end date and reason', async () => {
+      await emailService.sendAccountSuspendedEmail(
+        { id: BigInt(4), email: 'user@example.com', first_name: 'Alex' },
+        {
+          suspendedUntil: new Date('2027-03-01T00:00:00Z'),
+          reason: 'Long leave'
+        }
+      )
+
+      expect(mockEmailServiceSend.send).toHaveBeenCalledWith(
+        'template-suspended-654',
+        'user@example.com',
+        {
+          user_name: 'Alex',
+          email_address: 'user@example.com',
+          suspended_until: '1 March 2027',
+          suspension_reason: 'Long leave'
+        },
+        'account-suspended-4'
+      )
+    })
+  })
+
+  describe('sendSuspensionEndedEmail', () => {
+    it('sends the suspension ended email', async () => {
+      await emailService.sendSuspensionEndedEmail({
+        id: BigInt(4),
+        email: 'user@example.com',
+        first_name: 'Alex'
+      })
+
+      expect(mockEmailServiceSend.send).toHaveBeenCalledWith(
+        'template-suspension-ended-987',
+        'user@example.com',
+        expect.objectContaining({
+          user_name: 'Alex',
+          email_address: 'user@example.com'
+        }),
+        'account-suspension-ended-4'
+      )
+    })
+  })
+
   describe('_buildAreaStrings', () => {
     it('returns not specified for no areas', async () => {
       const result = await emailService._buildAreaStrings([])
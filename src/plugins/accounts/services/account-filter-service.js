@@ -27,17 +27,7 @@ export class AccountFilterService {
   async getAccounts({ status, search, areaId, page, pageSize }) {
     const pagination = normalizePaginationParams(page, pageSize)
     const where = this.buildWhereClause(status, search)
-
-    // Area filter: pre-query user_areas (no Prisma relation on pafs_core_users)
-    if (areaId) {
-      const matchingUserAreas = await this.prisma.pafs_core_user_areas.findMany(
-        {
-          where: { area_id: BigInt(areaId), primary: true },
-          select: { user_id: true }
-        }
-      )
-      where.id = { in: matchingUserAreas.map((ua) => ua.user_id) }
-    }
+    await this._applyAreaFilter(where, areaId)
 
     const [accounts, total] = await Promise.all([
       this.prisma.pafs_core_users.findMany({
@@ -71,6 +61,64 @@ export class AccountFilterService {
     }
   }
 
+  /**
+   * Every account matching the filters, with its areas, for exports and
+   * reports. Unlike getAccounts the status filter is optional (all users).
+   *
+   * @param {Object} params
+   * @param {string} [params.status] - Account status filter
+   * @param {string} [params.search] - Search term for name/email
+   * @param {number} [params.areaId] - Filter by primary area ID
+   * @param {Object} [params.select] - Prisma select (defaults to ACCOUNT_SELECT_FIELDS)
+   * @returns {Promise<Array<{ account: Object, areas: Array }>>} Raw user rows
+   *   ordered by name, with raw area rows including `primary` and `end_date`
+   */
+  async getAllAccounts({
+    status,
+    search,
+    areaId,
+    select = ACCOUNT_SELECT_FIELDS
+  }) {
+    const where = this.buildWhereClause(status, search)
+    if (!status) {
+      delete where.status
+    }
+    await this._applyAreaFilter(where, areaId)
+
+    const accounts = await this.prisma.pafs_core_users.findMany({
+      where,
+      select,
+      orderBy: [{ last_name: 'asc' }, { first_name: 'asc' }, { id: 'asc' }]
+    })
+
+    const areasMap = await this._fetchAreasForUsers(accounts.map((a) => a.id))
+
+    this.logger.info(
+      { status, total: accounts.length },
+      'All accounts retrieved'
+    )
+
+    return accounts.map((account) => ({
+      account,
+      areas: areasMap.get(account.id.toString()) || []
+    }))
+  }
+
+  /**
+   * Area filter: pre-query user_areas (no Prisma relation on pafs_core_users)
+   * @private
+   */
+  async _applyAreaFilter(where, areaId) {
+    if (!areaId) {
+      return
+    }
+    const matchingUserAreas = await this.prisma.pafs_core_user_areas.findMany({
+      where: { area_id: BigInt(areaId), primary: true },
+      select: { user_id: true }
+    })
+    where.id = { in: matchingUserAreas.map((ua) => ua.user_id) }
+  }
+
   /**
    * Batch-fetch and group area details for a list of user IDs.
    * @param {BigInt[]} userIds
@@ -99,7 +147,13 @@ export class AccountFilterService {
 
     const areas = await this.prisma.pafs_core_areas.findMany({
       where: { id: { in: uniqueAreaIds } },
-      select: { id: true, name: true, area_type: true, parent_id: true }
+      select: {
+        id: true,
+        name: true,
+        area_type: true,
+        parent_id: true,
+        end_date: true
+      }
     })
 
     const areasById = new Map(areas.map((a) => [a.id.toString(), a]))
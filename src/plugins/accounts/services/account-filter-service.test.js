@@ -269,6 +269,63 @@ describe('AccountFilterService', () => {
     })
   })
 
+  describe('getAllAccounts', () => {
+    it('returns every user with areas and no status filter by default', async () => {
+      mockPrisma.pafs_core_users.findMany.mockResolvedValue([
+        { id: 1n, email: 'a@example.com' },
+        { id: 2n, email: 'b@example.com' }
+      ])
+      mockPrisma.pafs_core_user_areas.findMany.mockResolvedValue([
+        { user_id: 1n, area_id: 10n, primary: true }
+      ])
+      mockPrisma.pafs_core_areas.findMany.mockResolvedValue([
+        { id: 10n, name: 'Thames', area_type: 'RMA', parent_id: 5 }
+      ])
+
+      const result = await accountService.getAllAccounts({})
+
+      const query = mockPrisma.pafs_core_users.findMany.mock.calls[0][0]
+      expect(query.where).toEqual({})
+      expect(query.take).toBeUndefined()
+      expect(result).toEqual([
+        {
+          account: { id: 1n, email: 'a@example.com' },
+          areas: [
+            {
+              id: 10n,
+              name: 'Thames',
+              area_type: 'RMA',
+              parent_id: 5,
+              primary: true
+            }
+          ]
+        },
+        { account: { id: 2n, email: 'b@example.com' }, areas: [] }
+      ])
+    })
+
+    it('applies status, search, area filters and a custom select', async () => {
+      mockPrisma.pafs_core_users.findMany.mockResolvedValue([])
+      mockPrisma.pafs_core_user_areas.findMany.mockResolvedValue([
+        { user_id: 3n }
+      ])
+      const select = { id: true, locked_at: true }
+
+      await accountService.getAllAccounts({
+        status: 'active',
+        search: 'sam',
+        areaId: 10,
+        select
+      })
+
+      const query = mockPrisma.pafs_core_users.findMany.mock.calls[0][0]
+      expect(query.where.status).toEqual({ in: ['active', 'approved'] })
+      expect(query.where.OR).toHaveLength(3)
+      expect(query.where.id).toEqual({ in: [3n] })
+      expect(query.select).toBe(select)
+    })
+  })
+
   describe('buildWhereClause', () => {
     it('builds clause for pending status', () => {
       const where = accountService.buildWhereClause('pending', null, null)
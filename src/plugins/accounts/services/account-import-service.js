@@ -0,0 +1,550 @@
+/**
+ * AccountImportService
+ *
+ * Admin bulk account import. A CSV/XLSX uploaded through the file upload
+ * flow is parsed and every row validated into a dry-run report. Once the
+ * admin confirms, the accounts are created (and invitations sent) by the
+ * programme generation SQS consumer, with progress recorded on the import.
+ */
+import { SendMessageCommand } from '@aws-sdk/client-sqs'
+import { config } from '../../../config.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_IMPORT_STATUS,
+  ACCOUNT_VALIDATION_CODES
+} from '../../../common/constants/accounts.js'
+import {
+  FILE_UPLOAD_VALIDATION_CODES,
+  UPLOAD_ENTITY_TYPES,
+  UPLOAD_STATUS
+} from '../../../common/constants/file-upload.js'
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError
+} from '../../../common/errors/index.js'
+import { getS3Service } from '../../../common/services/file-upload/s3-service.js'
+import { parseAccountImportFile } from '../helpers/account-import-parser.js'
+import { accountImportRowSchema } from '../schema.js'
+import { AccountUpsertService } from './account-upsert-service.js'
+
+// SQS message type handled by the programme generation consumer
+export const ACCOUNT_IMPORT_MESSAGE_TYPE = 'accountImport'
+
+/**
+ * Format a pafs_core_account_imports row for the API
+ * @param {Object} accountImport - Raw import row
+ */
+function formatAccountImport(accountImport) {
+  return {
+    id: Number(accountImport.id),
+    uploadId: accountImport.upload_id,
+    filename: accountImport.filename,
+    status: accountImport.status,
+    totalRows: accountImport.total_rows,
+    validRows: accountImport.valid_rows,
+    processedRows: accountImport.processed_rows,
+    createdCount: accountImport.created_count,
+    failedCount: accountImport.failed_count,
+    errors: accountImport.errors,
+    failures: accountImport.results || [],
+    confirmedAt: accountImport.confirmed_at,
+    completedAt: accountImport.completed_at,
+    createdAt: accountImport.created_at
+  }
+}
+
+export class AccountImportService {
+  constructor(prisma, logger, emailService, areaService) {
+    this.prisma = prisma
+    this.logger = logger
+    this.accountUpsertService = new AccountUpsertService(
+      prisma,
+      logger,
+      emailService,
+      areaService
+    )
+    // Rows are checked with the same email and area rules as a single upsert
+    this.emailValidationService =
+      this.accountUpsertService.emailValidationService
+    this.areaValidator = this.accountUpsertService.areaValidator
+  }
+
+  /**
+   * Dry run: read the uploaded spreadsheet, validate every row and record
+   * the import with a per-row error report. Nothing is created until the
+   * import is confirmed.
+   *
+   * @param {string} uploadId - file_uploads.upload_id of the spreadsheet
+   * @param {Object} authenticatedUser - Importing admin's credentials
+   * @returns {Promise<Object>} The formatted import, including errors
+   */
+  async createImport(uploadId, authenticatedUser) {
+    const upload = await this._getReadyUpload(uploadId)
+    const buffer = await getS3Service(this.logger).getObject(
+      upload.s3_bucket,
+      upload.s3_key
+    )
+    const parsedRows = await parseAccountImportFile(buffer, upload.filename)
+
+    if (parsedRows.length === 0) {
+      throw new BadRequestError(
+        'The file does not contain any accounts',
+        ACCOUNT_ERROR_CODES.IMPORT_FILE_INVALID,
+        'uploadId'
+      )
+    }
+    const maxRows = config.get('accountImport.maxRows')
+    if (parsedRows.length > maxRows) {
+      throw new BadRequestError(
+        `The file contains ${parsedRows.length} accounts; the most that can be imported at once is ${maxRows}`,
+        ACCOUNT_ERROR_CODES.IMPORT_TOO_MANY_ROWS,
+        'uploadId'
+      )
+    }
+
+    const { rows, errors } = await this._validateRows(parsedRows)
+
+    const now = new Date()
+    const accountImport = await this.prisma.pafs_core_account_imports.create({
+      data: {
+        user_id: BigInt(authenticatedUser.userId),
+        upload_id: upload.upload_id,
+        filename: upload.filename,
+        status:
+          errors.length > 0
+            ? ACCOUNT_IMPORT_STATUS.INVALID
+            : ACCOUNT_IMPORT_STATUS.VALIDATED,
+        total_rows: parsedRows.length,
+        valid_rows: rows.length,
+        rows,
+        errors,
+        created_at: now,
+        updated_at: now
+      }
+    })
+
+    this.logger.info(
+      {
+        importId: accountImport.id,
+        adminId: authenticatedUser.userId,
+        totalRows: parsedRows.length,
+        invalidRows: errors.length
+      },
+      'Account import validated'
+    )
+
+    return formatAccountImport(accountImport)
+  }
+
+  /**
+   * Queue a validated import for the SQS consumer to create the accounts.
+   * Only imports without row errors can be confirmed.
+   *
+   * @param {number} importId
+   * @param {Object} sqs - SQS client
+   * @returns {Promise<Object>} The formatted import
+   */
+  async confirmImport(importId, sqs) {
+    const id = BigInt(importId)
+    await this._getImportRecord(id)
+
+    // Conditional update so a double-submit cannot queue the import twice
+    const { count } = await this.prisma.pafs_core_account_imports.updateMany({
+      where: { id, status: ACCOUNT_IMPORT_STATUS.VALIDATED },
+      data: {
+        status: ACCOUNT_IMPORT_STATUS.QUEUED,
+        confirmed_at: new Date(),
+        updated_at: new Date()
+      }
+    })
+    if (count === 0) {
+      throw new ConflictError(
+        'Only a validated import with no row errors can be confirmed',
+        ACCOUNT_ERROR_CODES.IMPORT_NOT_CONFIRMABLE,
+        null
+      )
+    }
+
+    try {
+      await sqs.send(
+        new SendMessageCommand({
+          QueueUrl: config.get('sqsProgrammeGeneration.queueUrl'),
+          MessageBody: JSON.stringify({
+            type: ACCOUNT_IMPORT_MESSAGE_TYPE,
+            importId: id.toString()
+          })
+        })
+      )
+    } catch (error) {
+      // Put it back so the admin can confirm again
+      await this._update(id, {
+        status: ACCOUNT_IMPORT_STATUS.VALIDATED,
+        confirmed_at: null
+      })
+      throw error
+    }
+
+    this.logger.info({ importId: id }, 'Account import queued')
+    return formatAccountImport(await this._getImportRecord(id))
+  }
+
+  /**
+   * Create the accounts for a queued import, recording progress after each
+   * row. Never throws — row failures are reported on the import and a
+   * failure of the run itself marks the import failed.
+   *
+   * @param {bigint} importId
+   */
+  async runImport(importId) {
+    const record = await this.prisma.pafs_core_account_imports.findUnique({
+      where: { id: importId }
+    })
+    if (record?.status !== ACCOUNT_IMPORT_STATUS.QUEUED) {
+      this.logger.warn(
+        { importId, status: record?.status },
+        'Account import is not queued — skipping'
+      )
+      return
+    }
+
+    // Accounts are created as the importing admin, so they are approved and
+    // the set-password invitation is sent straight away
+    const authenticatedUser = {
+      userId: Number(record.user_id),
+      isAdmin: true
+    }
+    const failures = []
+    let createdCount = 0
+
+    try {
+      await this._update(record.id, {
+        status: ACCOUNT_IMPORT_STATUS.PROCESSING
+      })
+
+      for (const [index, { row, ...account }] of record.rows.entries()) {
+        try {
+          await this.accountUpsertService.upsertAccount(
+            { ...account, admin: false },
+            { authenticatedUser }
+          )
+          createdCount++
+        } catch (error) {
+          this.logger.warn(
+            { error, importId, row },
+            'Account import row failed'
+          )
+          failures.push({
+            row,
+            email: account.email,
+            errorCode: error.code || ACCOUNT_ERROR_CODES.IMPORT_CREATE_FAILED,
+            message: error.message
+          })
+        }
+
+        await this._update(record.id, {
+          processed_rows: index + 1,
+          created_count: createdCount,
+          failed_count: failures.length
+        })
+      }
+
+      await this._update(record.id, {
+        status: ACCOUNT_IMPORT_STATUS.COMPLETE,
+        results: failures,
+        completed_at: new Date()
+      })
+      this.logger.info(
+        { importId, createdCount, failedCount: failures.length },
+        'Account import complete'
+      )
+    } catch (error) {
+      this.logger.error({ error, importId }, 'Account import failed')
+      await this._update(record.id, {
+        status: ACCOUNT_IMPORT_STATUS.FAILED,
+        results: failures,
+        completed_at: new Date()
+      }).catch(() => {})
+    }
+  }
+
+  /**
+   * Import status and progress
+   * @param {number} importId
+   * @returns {Promise<Object>} The formatted import
+   */
+  async getImport(importId) {
+    return formatAccountImport(await this._getImportRecord(BigInt(importId)))
+  }
+
+  /**
+   * Validate parsed rows: field formats, email rules, duplicates within the
+   * file, and that the areas exist and match the responsibility
+   *
+   * @param {Array<Object>} parsedRows - From parseAccountImportFile
+   * @returns {Promise<{ rows: Array<Object>, errors: Array<Object> }>}
+   *   Account data for the valid rows and an error entry per invalid row
+   * @private
+   */
+  async _validateRows(parsedRows) {
+    const areaLookup = await this._buildAreaLookup(parsedRows)
+    const seenEmails = new Map()
+    const rows = []
+    const errors = []
+
+    for (const parsedRow of parsedRows) {
+      const { account, rowErrors } = await this._validateRow(
+        parsedRow,
+        areaLookup,
+        seenEmails
+      )
+      if (rowErrors.length > 0) {
+        errors.push({
+          row: parsedRow.rowNumber,
+          email: parsedRow.email || null,
+          errors: rowErrors
+        })
+      } else {
+        rows.push({ row: parsedRow.rowNumber, ...account })
+      }
+    }
+
+    return { rows, errors }
+  }
+
+  /**
+   * @private
+   */
+  async _validateRow(parsedRow, areaLookup, seenEmails) {
+    const { areas, areaErrors } = this._resolveAreas(parsedRow, areaLookup)
+    const { value: account, error } = accountImportRowSchema.validate({
+      firstName: parsedRow.firstName,
+      lastName: parsedRow.lastName,
+      email: parsedRow.email,
+      organisation: parsedRow.organisation,
+      jobTitle: parsedRow.jobTitle || null,
+      telephoneNumber: parsedRow.telephoneNumber || null,
+      responsibility: parsedRow.responsibility?.toUpperCase() || undefined,
+      areas: areaErrors.length > 0 ? undefined : areas
+    })
+
+    const schemaErrors = (error?.details || []).map((detail) => ({
+      field: detail.path[0],
+      errorCode: detail.message
+    }))
+    const invalidFields = new Set(schemaErrors.map((e) => e.field))
+    const rowErrors = [...schemaErrors.filter((e) => e.field !== 'areas')]
+
+    if (!invalidFields.has('email')) {
+      rowErrors.push(...(await this._checkEmail(account.email, seenEmails)))
+      if (!seenEmails.has(account.email)) {
+        seenEmails.set(account.email, parsedRow.rowNumber)
+      }
+    }
+
+    if (areaErrors.length > 0) {
+      rowErrors.push(...areaErrors)
+    } else if (invalidFields.has('areas')) {
+      rowErrors.push(...schemaErrors.filter((e) => e.field === 'areas'))
+    } else if (!invalidFields.has('responsibility')) {
+      rowErrors.push(
+        ...(await this._checkAreaResponsibility(areas, account.responsibility))
+      )
+    }
+
+    return { account, rowErrors }
+  }
+
+  /**
+   * Same-file duplicates first, then the EmailValidationService rules
+   * @private
+   */
+  async _checkEmail(email, seenEmails) {
+    if (seenEmails.has(email)) {
+      return [
+        {
+          field: 'email',
+          errorCode: ACCOUNT_VALIDATION_CODES.IMPORT_EMAIL_DUPLICATE_IN_FILE,
+          message: `This email address is also on row ${seenEmails.get(email)}`
+        }
+      ]
+    }
+
+    const result = await this.emailValidationService.validateEmail(email)
+    return result.isValid
+      ? []
+      : result.errors.map(({ errorCode, message }) => ({
+          field: 'email',
+          errorCode,
+          message
+        }))
+  }
+
+  /**
+   * @private
+   */
+  async _checkAreaResponsibility(areas, responsibility) {
+    try {
+      await this.areaValidator.validateAreaResponsibilityTypes(
+        areas,
+        responsibility
+      )
+      return []
+    } catch (error) {
+      if (!(error instanceof BadRequestError)) {
+        throw error
+      }
+      return [{ field: 'areas', errorCode: error.code, message: error.message }]
+    }
+  }
+
+  /**
+   * Turn the main and other area identifiers into { areaId, primary } items
+   * @private
+   */
+  _resolveAreas(parsedRow, areaLookup) {
+    const areas = []
+    const areaErrors = []
+    if (!parsedRow.mainArea) {
+      areaErrors.push({
+        field: 'areas',
+        errorCode: ACCOUNT_VALIDATION_CODES.AREAS_REQUIRED,
+        message: 'A main area is required'
+      })
+    }
+    const identifiers = [
+      ...(parsedRow.mainArea ? [[parsedRow.mainArea, true]] : []),
+      ...parsedRow.otherAreas.map((identifier) => [identifier, false])
+    ]
+
+    for (const [identifier, primary] of identifiers) {
+      const matches = areaLookup.get(identifier.toLowerCase()) || []
+      if (matches.length !== 1) {
+        areaErrors.push({
+          field: 'areas',
+          errorCode: ACCOUNT_VALIDATION_CODES.IMPORT_AREA_NOT_FOUND,
+          message:
+            matches.length === 0
+              ? `Area "${identifier}" was not found`
+              : `Area "${identifier}" matches more than one area; use its ID`
+        })
+      } else if (!areas.some((area) => area.areaId === matches[0])) {
+        areas.push({ areaId: matches[0], primary })
+      }
+    }
+
+    return { areas, areaErrors }
+  }
+
+  /**
+   * Look up every area referenced in the file by ID or name in one query.
+   * @returns {Promise<Map<string, number[]>>} Lower-cased identifier → IDs
+   * @private
+   */
+  async _buildAreaLookup(parsedRows) {
+    const identifiers = new Set(
+      parsedRows.flatMap((row) =>
+        [row.mainArea, ...row.otherAreas].filter(Boolean)
+      )
+    )
+    const lookup = new Map()
+    if (identifiers.size === 0) {
+      return lookup
+    }
+
+    const ids = [...identifiers].filter((identifier) =>
+      /^\d+$/.test(identifier)
+    )
+    const areas = await this.prisma.pafs_core_areas.findMany({
+      where: {
+        OR: [
+          { id: { in: ids.map(BigInt) } },
+          { name: { in: [...identifiers], mode: 'insensitive' } }
+        ]
+      },
+      select: { id: true, name: true }
+    })
+
+    const add = (key, areaId) => {
+      const matches = lookup.get(key) || []
+      if (!matches.includes(areaId)) {
+        lookup.set(key, [...matches, areaId])
+      }
+    }
+    for (const area of areas) {
+      add(area.name.toLowerCase(), Number(area.id))
+    }
+    // An ID always wins over an area that happens to be named with digits
+    for (const area of areas) {
+      if (ids.includes(area.id.toString())) {
+        lookup.set(area.id.toString(), [Number(area.id)])
+      }
+    }
+
+    return lookup
+  }
+
+  /**
+   * Load the spreadsheet upload and make sure it finished scanning
+   * @private
+   */
+  async _getReadyUpload(uploadId) {
+    const upload = await this.prisma.file_uploads.findUnique({
+      where: { upload_id: uploadId }
+    })
+
+    if (!upload) {
+      throw new NotFoundError(
+        'Upload not found',
+        FILE_UPLOAD_VALIDATION_CODES.UPLOAD_NOT_FOUND,
+        'uploadId'
+      )
+    }
+    if (upload.entity_type !== UPLOAD_ENTITY_TYPES.ACCOUNT_IMPORT) {
+      throw new BadRequestError(
+        'The upload is not an account import spreadsheet',
+        ACCOUNT_ERROR_CODES.IMPORT_FILE_INVALID,
+        'uploadId'
+      )
+    }
+    if (upload.upload_status !== UPLOAD_STATUS.READY || !upload.s3_key) {
+      throw new ConflictError(
+        'The upload has not finished processing',
+        ACCOUNT_ERROR_CODES.IMPORT_UPLOAD_NOT_READY,
+        'uploadId'
+      )
+    }
+
+    return upload
+  }
+
+  /**
+   * @private
+   */
+  async _getImportRecord(id) {
+    const accountImport =
+      await this.prisma.pafs_core_account_imports.findUnique({
+        where: { id }
+      })
+
+    if (!accountImport) {
+      throw new NotFoundError(
+        'Account import not found',
+        ACCOUNT_ERROR_CODES.IMPORT_NOT_FOUND,
+        null
+      )
+    }
+
+    return accountImport
+  }
+
+  /**
+   * @private
+   */
+  async _update(id, data) {
+    return this.prisma.pafs_core_account_imports.update({
+      where: { id },
+      data: { ...data, updated_at: new Date() }
+    })
+  }
+}
@@ -0,0 +1,501 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_IMPORT_STATUS,
+  ACCOUNT_VALIDATION_CODES
+} from '../../../common/constants/accounts.js'
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError
+} from '../../../common/errors/index.js'
+
+const mockAccountUpsertService = {
+  upsertAccount: vi.fn(),
+  emailValidationService: { validateEmail: vi.fn() },
+  areaValidator: { validateAreaResponsibilityTypes: vi.fn() }
+}
+
+vi.mock('./account-upsert-service.js', () => ({
+  AccountUpsertService: vi.fn(function () {
+    return mockAccountUpsertService
+  })
+}))
+
+const mockGetObject = vi.fn()
+
+vi.mock('../../../common/services/file-upload/s3-service.js', () => ({
+  getS3Service: vi.fn(() => ({ getObject: mockGetObject }))
+}))
+
+vi.mock('../helpers/account-import-parser.js', () => ({
+  parseAccountImportFile: vi.fn()
+}))
+
+vi.mock('@aws-sdk/client-sqs', () => ({
+  SendMessageCommand: vi.fn(function SendMessageCommand(input) {
+    this.input = input
+  })
+}))
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn((key) => {
+      const values = {
+        'accountImport.maxRows': 3,
+        'sqsProgrammeGeneration.queueUrl': 'http://sqs/queue',
+        'pagination.maxPageSize': 100,
+        'pagination.defaultPageSize': 20
+      }
+      return values[key]
+    })
+  }
+}))
+
+const { parseAccountImportFile } =
+  await import('../helpers/account-import-parser.js')
+const { AccountImportService, ACCOUNT_IMPORT_MESSAGE_TYPE } =
+  await import('./account-import-service.js')
+
+describe('AccountImportService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+  const admin = { userId: 100, isAdmin: true }
+
+  const readyUpload = {
+    upload_id: 'upload-123',
+    filename: 'accounts.csv',
+    entity_type: 'account_import',
+    upload_status: 'ready',
+    s3_bucket: 'bucket',
+    s3_key: 'uploads/accounts.csv'
+  }
+
+  const parsedRow = (overrides = {}) => ({
+    rowNumber: 2,
+    firstName: 'Sam',
+    lastName: 'Jones',
+    email: 'Sam@Example.com',
+    organisation: 'Council',
+    jobTitle: '',
+    telephoneNumber: '',
+    responsibility: 'rma',
+    mainArea: '12',
+    otherAreas: [],
+    ...overrides
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockPrisma = {
+      file_uploads: { findUnique: vi.fn().mockResolvedValue(readyUpload) },
+      pafs_core_areas: {
+        findMany: vi.fn().mockResolvedValue([
+          { id: 12n, name: 'Thames RMA' },
+          { id: 14n, name: 'Wessex RMA' }
+        ])
+      },
+      pafs_core_account_imports: {
+        create: vi.fn(async ({ data }) => ({ id: 7n, ...data })),
+        findUnique: vi.fn(),
+        update: vi.fn().mockResolvedValue({}),
+        updateMany: vi.fn()
+      }
+    }
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+    mockGetObject.mockResolvedValue(Buffer.from('csv'))
+    mockAccountUpsertService.emailValidationService.validateEmail.mockResolvedValue(
+      { isValid: true, errors: [] }
+    )
+    mockAccountUpsertService.areaValidator.validateAreaResponsibilityTypes.mockResolvedValue()
+
+    service = new AccountImportService(mockPrisma, mockLogger, {}, {})
+  })
+
+  describe('createImport', () => {
+    it('records a validated import when every row is valid', async () => {
+      parseAccountImportFile.mockResolvedValue([
+        parsedRow({ otherAreas: ['wessex rma', '12'] })
+      ])
+
+      const result = await service.createImport('upload-123', admin)
+
+      expect(mockGetObject).toHaveBeenCalledWith(
+        'bucket',
+        'uploads/accounts.csv'
+      )
+      expect(parseAccountImportFile).toHaveBeenCalledWith(
+        expect.any(Buffer),
+        'accounts.csv'
+      )
+      const { data } =
+        mockPrisma.pafs_core_account_imports.create.mock.calls[0][0]
+      expect(data).toMatchObject({
+        user_id: 100n,
+        upload_id: 'upload-123',
+        status: ACCOUNT_IMPORT_STATUS.VALIDATED,
+        total_rows: 1,
+        valid_rows: 1,
+        errors: []
+      })
+      expect(data.rows).toEqual([
+        {
+          row: 2,
+          firstName: 'Sam',
+          lastName: 'Jones',
+          email: 'sam@example.com',
+          organisation: 'Council',
+          jobTitle: null,
+          telephoneNumber: null,
+          responsibility: 'RMA',
+          areas: [
+            { areaId: 12, primary: true },
+            { areaId: 14, primary: false }
+          ]
+        }
+      ])
+      expect(
+        mockAccountUpsertService.areaValidator.validateAreaResponsibilityTypes
+      ).toHaveBeenCalledWith(data.rows[0].areas, 'RMA')
+      expect(result).toMatchObject({
+        id: 7,
+        status: ACCOUNT_IMPORT_STATUS.VALIDATED,
+        validRows: 1,
+        errors: []
+      })
+    })
+
+    it('reports errors per row and marks the import invalid', async () => {
+      parseAccountImportFile.mockResolvedValue([
+        parsedRow(),
+        parsedRow({ rowNumber: 3, firstName: '', responsibility: 'XYZ' }),
+        parsedRow({ rowNumber: 4, mainArea: 'Nowhere' })
+      ])
+
+      const result = await service.createImport('upload-123', admin)
+
+      expect(result.status).toBe(ACCOUNT_IMPORT_STATUS.INVALID)
+      expect(result.validRows).toBe(1)
+      expect(result.errors).toEqual([
+        {
+          row: 3,
+          email: 'Sam@Example.com',
+          errors: expect.arrayContaining([
+            {
+              field: 'firstName',
+              errorCode: ACCOUNT_VALIDATION_CODES.FIRST_NAME_REQUIRED
+            },
+            {
+              field: 'responsibility',
+              errorCode: ACCOUNT_VALIDATION_CODES.RESPONSIBILITY_INVALID
+            },
+            expect.objectContaining({
+              field: 'email',
+              errorCode:
+                ACCOUNT_VALIDATION_CODES.IMPORT_EMAIL_DUPLICATE_IN_FILE,
+              message: 'This email address is also on row 2'
+            })
+          ])
+        },
+        {
+          row: 4,
+          email: 'Sam@Example.com',
+          errors: expect.arrayContaining([
+            {
+              field: 'areas',
+              errorCode: ACCOUNT_VALIDATION_CODES.IMPORT_AREA_NOT_FOUND,
+              message: 'Area "Nowhere" was not found'
+            }
+          ])
+        }
+      ])
+    })
+
+    it('includes email and area rule failures in the report', async () => {
+      parseAccountImportFile.mockResolvedValue([parsedRow()])
+      mockAccountUpsertService.emailValidationService.validateEmail.mockResolvedValue(
+        {
+          isValid: false,
+          errors: [
+            {
+              errorCode: ACCOUNT_VALIDATION_CODES.EMAIL_DUPLICATE,
+              message: 'Email already exists',
+              field: 'email'
+            }
+          ]
+        }
+      )
+      mockAccountUpsertService.areaValidator.validateAreaResponsibilityTypes.mockRejectedValue(
+        new BadRequestError(
+          'Wrong area type',
+          ACCOUNT_ERROR_CODES.AREA_RESPONSIBILITY_MISMATCH,
+          'areas'
+        )
+      )
+
+      const result = await service.createImport('upload-123', admin)
+
+      expect(result.errors[0].errors).toEqual([
+        {
+          field: 'email',
+          errorCode: ACCOUNT_VALIDATION_CODES.EMAIL_DUPLICATE,
+          message: 'Email already exists'
+        },
+        {
+          field: 'areas',
+          errorCode: ACCOUNT_ERROR_CODES.AREA_RESPONSIBILITY_MISMATCH,
+          message: 'Wrong area type'
+        }
+      ])
+    })
+
+    it('requires a main area', async () => {
+      parseAccountImportFile.mockResolvedValue([
+        parsedRow({ mainArea: '', otherAreas: ['12'] })
+      ])
+
+      const result = await service.createImport('upload-123', admin)
+
+      expect(result.errors[0].errors).toContainEqual(
+        expect.objectContaining({
+          field: 'areas',
+          errorCode: ACCOUNT_VALIDATION_CODES.AREAS_REQUIRED
+        })
+      )
+    })
+
+    it('rejects files with too many rows', async () => {
+      parseAccountImportFile.mockResolvedValue([
+        parsedRow(),
+        parsedRow(),
+        parsedRow(),
+        parsedRow()
+      ])
+
+      await expect(
+        service.createImport('upload-123', admin)
+      ).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.IMPORT_TOO_MANY_ROWS
+      })
+      expect(mockPrisma.pafs_core_account_imports.create).not.toHaveBeenCalled()
+    })
+
+    it('rejects files with no accounts', async () => {
+      parseAccountImportFile.mockResolvedValue([])
+
+      await expect(
+        service.createImport('upload-123', admin)
+      ).rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.IMPORT_FILE_INVALID })
+    })
+
+    it('throws NotFoundError for an unknown upload', async () => {
+      mockPrisma.file_uploads.findUnique.mockResolvedValue(null)
+
+      await expect(
+        service.createImport('missing', admin)
+      ).rejects.toBeInstanceOf(NotFoundError)
+    })
+
+    it('rejects uploads that are not account import spreadsheets', async () => {
+      mockPrisma.file_uploads.findUnique.mockResolvedValue({
+        ...readyUpload,
+        entity_type: 'proposal'
+      })
+
+      await expect(
+        service.createImport('upload-123', admin)
+      ).rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.IMPORT_FILE_INVALID })
+    })
+
+    it('rejects uploads that are still processing', async () => {
+      mockPrisma.file_uploads.findUnique.mockResolvedValue({
+        ...readyUpload,
+        upload_status: 'pending'
+      })
+
+      await expect(
+        service.createImport('upload-123', admin)
+      ).rejects.toBeInstanceOf(ConflictError)
+      expect(mockGetObject).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('confirmImport', () => {
+    const mockSqs = { send: vi.fn() }
+
+    beforeEach(() => {
+      mockPrisma.pafs_core_account_imports.findUnique.mockResolvedValue({
+        id: 7n,
+        status: ACCOUNT_IMPORT_STATUS.QUEUED
+      })
+      mockPrisma.pafs_core_account_imports.updateMany.mockResolvedValue({
+        count: 1
+      })
+      mockSqs.send.mockResolvedValue({})
+    })
+
+    it('queues the import on the SQS queue', async () => {
+      const result = await service.confirmImport(7, mockSqs)
+
+      expect(
+        mockPrisma.pafs_core_account_imports.updateMany
+      ).toHaveBeenCalledWith({
+        where: { id: 7n, status: ACCOUNT_IMPORT_STATUS.VALIDATED },
+        data: expect.objectContaining({ status: ACCOUNT_IMPORT_STATUS.QUEUED })
+      })
+      expect(mockSqs.send.mock.calls[0][0].input).toEqual({
+        QueueUrl: 'http://sqs/queue',
+        MessageBody: JSON.stringify({
+          type: ACCOUNT_IMPORT_MESSAGE_TYPE,
+          importId: '7'
+        })
+      })
+      expect(result.status).toBe(ACCOUNT_IMPORT_STATUS.QUEUED)
+    })
+
+    it('refuses imports that are not validated', async () => {
+      mockPrisma.pafs_core_account_imports.updateMany.mockResolvedValue({
+        count: 0
+      })
+
+      await expect(service.confirmImport(7, mockSqs)).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.IMPORT_NOT_CONFIRMABLE
+      })
+      expect(mockSqs.send).not.toHaveBeenCalled()
+    })
+
+    it('puts the import back when the message cannot be sent', async () => {
+      mockSqs.send.mockRejectedValue(new Error('SQS down'))
+
+      await expect(service.confirmImport(7, mockSqs)).rejects.toThrow(
+        'SQS down'
+      )
+      expect(mockPrisma.pafs_core_account_imports.update).toHaveBeenCalledWith({
+        where: { id: 7n },
+        data: expect.objectContaining({
+          status: ACCOUNT_IMPORT_STATUS.VALIDATED,
+          confirmed_at: null
+        })
+      })
+    })
+
+    it('throws NotFoundError for an unknown import', async () => {
+      mockPrisma.pafs_core_account_imports.findUnique.mockResolvedValue(null)
+
+      await expect(service.confirmImport(7, mockSqs)).rejects.toBeInstanceOf(
+        NotFoundError
+      )
+    })
+  })
+
+  describe('runImport', () => {
+    const queued = {
+      id: 7n,
+      user_id: 100n,
+      status: ACCOUNT_IMPORT_STATUS.QUEUED,
+      rows: [
+        { row: 2, email: 'a@example.com', areas: [{ areaId: 12 }] },
+        { row: 3, email: 'b@example.com', areas: [{ areaId: 12 }] }
+      ]
+    }
+
+    it('creates each account as the importing admin and records progress', async () => {
+      mockPrisma.pafs_core_account_imports.findUnique.mockResolvedValue(queued)
+      mockAccountUpsertService.upsertAccount
+        .mockResolvedValueOnce({ userId: 1 })
+        .mockRejectedValueOnce(
+          new ConflictError('Email taken', ACCOUNT_ERROR_CODES.EMAIL_DUPLICATE)
+        )
+
+      await service.runImport(7n)
+
+      expect(mockAccountUpsertService.upsertAccount).toHaveBeenCalledWith(
+        { email: 'a@example.com', areas: [{ areaId: 12 }], admin: false },
+        { authenticatedUser: { userId: 100, isAdmin: true } }
+      )
+      const updates =
+        mockPrisma.pafs_core_account_imports.update.mock.calls.map(
+          (call) => call[0].data
+        )
+      expect(updates[0].status).toBe(ACCOUNT_IMPORT_STATUS.PROCESSING)
+      expect(updates[1]).toMatchObject({
+        processed_rows: 1,
+        created_count: 1,
+        failed_count: 0
+      })
+      expect(updates[2]).toMatchObject({
+        processed_rows: 2,
+        created_count: 1,
+        failed_count: 1
+      })
+      expect(updates[3]).toMatchObject({
+        status: ACCOUNT_IMPORT_STATUS.COMPLETE,
+        results: [
+          {
+            row: 3,
+            email: 'b@example.com',
+            errorCode: ACCOUNT_ERROR_CODES.EMAIL_DUPLICATE,
+            message: 'Email taken'
+          }
+        ]
+      })
+    })
+
+    it('skips imports that are not queued', async () => {
+      mockPrisma.pafs_core_account_imports.findUnique.mockResolvedValue({
+        ...queued,
+        status: ACCOUNT_IMPORT_STATUS.COMPLETE
+      })
+
+      await service.runImport(7n)
+
+      expect(mockAccountUpsertService.upsertAccount).not.toHaveBeenCalled()
+      expect(mockLogger.warn).toHaveBeenCalled()
+    })
+
+    it('marks the import failed instead of throwing', async () => {
+      mockPrisma.pafs_core_account_imports.findUnique.mockResolvedValue(queued)
+      mockPrisma.pafs_core_account_imports.update
+        .mockRejectedValueOnce(new Error('DB down'))
+        .mockResolvedValue({})
+
+      await expect(service.runImport(7n)).resolves.toBeUndefined()
+
+      expect(
+        mockPrisma.pafs_core_account_imports.update
+      ).toHaveBeenLastCalledWith({
+        where: { id: 7n },
+        data: expect.objectContaining({
+          status: ACCOUNT_IMPORT_STATUS.FAILED
+        })
+      })
+    })
+  })
+
+  describe('getImport', () => {
+    it('returns the formatted import', async () => {
+      mockPrisma.pafs_core_account_imports.findUnique.mockResolvedValue({
+        id: 7n,
+        upload_id: 'upload-123',
+        status: ACCOUNT_IMPORT_STATUS.PROCESSING,
+        valid_rows: 5,
+        processed_rows: 2,
+        errors: [],
+        results: null
+      })
+
+      const result = await service.getImport(7)
+
+      expect(result).toMatchObject({
+        id: 7,
+        status: ACCOUNT_IMPORT_STATUS.PROCESSING,
+        validRows: 5,
+        processedRows: 2,
+        failures: []
+      })
+    })
+  })
+})
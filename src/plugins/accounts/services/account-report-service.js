@@ -0,0 +1,249 @@
+/**
+ * AccountReportService
+ *
+ * Admin account directory (every user with sign-in, lock and area details,
+ * including the PSO/EA parents of each area) and the access review report
+ * used for annual access recertification.
+ */
+import {
+  ACCESS_REVIEW_FINDINGS,
+  ACCOUNT_STATUS
+} from '../../../common/constants/accounts.js'
+import { AREA_TYPE_MAP } from '../../../common/constants/common.js'
+import { isAreaType, isPsoArea } from '../../areas/helpers/area-utils.js'
+import { ACCOUNT_SELECT_FIELDS } from '../helpers/account-formatter.js'
+import { AccountFilterService } from './account-filter-service.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Deepest chain is RMA → PSO → EA → Country
+const MAX_AREA_DEPTH = 4
+
+const REPORT_SELECT_FIELDS = {
+  ...ACCOUNT_SELECT_FIELDS,
+  current_sign_in_at: true,
+  sign_in_count: true,
+  failed_attempts: true,
+  locked_at: true
+}
+
+const toDateString = (date) => date.toISOString().slice(0, 10)
+
+/**
+ * Nearest PSO and EA ancestors of an area
+ * @private
+ */
+function resolveParentNames(area, areasById) {
+  let psoName = null
+  let eaName = null
+  let parent = areasById.get(String(area.parent_id))
+
+  for (let depth = 0; parent && depth < MAX_AREA_DEPTH; depth++) {
+    if (!psoName && isPsoArea(parent.area_type)) {
+      psoName = parent.name
+    }
+    if (!eaName && isAreaType(parent.area_type, AREA_TYPE_MAP.EA)) {
+      eaName = parent.name
+    }
+    parent = areasById.get(String(parent.parent_id))
+  }
+
+  return { psoName, eaName }
+}
+
+function toAreaSummary(area, areasById) {
+  return {
+    id: Number(area.id),
+    name: area.name,
+    type: area.area_type,
+    endDate: area.end_date ?? null,
+    ...resolveParentNames(area, areasById)
+  }
+}
+
+/**
+ * Flatten a user and their areas into a directory row
+ * @private
+ */
+function toDirectoryRow(account, areas, areasById) {
+  const primary = areas.find((area) => area.primary)
+  return {
+    id: Number(account.id),
+    firstName: account.first_name,
+    lastName: account.last_name,
+    email: account.email,
+    organisation: account.organisation,
+    jobTitle: account.job_title,
+    status: account.status,
+    admin: account.admin,
+    disabled: account.disabled,
+    locked: Boolean(account.locked_at),
+    lockedAt: account.locked_at,
+    failedAttempts: account.failed_attempts,
+    signInCount: account.sign_in_count,
+    // current_sign_in_at is the latest sign-in; last_ holds the one before
+    lastSignInAt: account.current_sign_in_at ?? account.last_sign_in_at,
+    primaryArea: primary ? toAreaSummary(primary, areasById) : null,
+    secondaryAreas: areas
+      .filter((area) => !area.primary)
+      .map((area) => toAreaSummary(area, areasById)),
+    createdAt: account.created_at
+  }
+}
+
+function toFindingUser(row) {
+  return {
+    id: row.id,
+    firstName: row.firstName,
+    lastName: row.lastName,
+    email: row.email,
+    admin: row.admin,
+    status: row.status,
+    lastSignInAt: row.lastSignInAt
+  }
+}
+
+export class AccountReportService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+    this.filterService = new AccountFilterService(prisma, logger)
+  }
+
+  /**
+   * Every matching user as a directory row, ordered by name
+   * @param {Object} params
+   * @param {string} [params.status] - Account status filter; all when omitted
+   * @param {string} [params.search] - Search term for name/email
+   * @param {number} [params.areaId] - Filter by primary area ID
+   * @returns {Promise<Array<Object>>} Directory rows
+   */
+  async getDirectory({ status, search, areaId } = {}) {
+    const accounts = await this.filterService.getAllAccounts({
+      status,
+      search,
+      areaId,
+      select: REPORT_SELECT_FIELDS
+    })
+    const areasById = await this._fetchAreaHierarchy(
+      accounts.flatMap(({ areas }) => areas)
+    )
+
+    return accounts.map(({ account, areas }) =>
+      toDirectoryRow(account, areas, areasById)
+    )
+  }
+
+  /**
+   * Access review: enabled users who have not signed in for `inactiveDays`
+   * (or never, counting from when the account was created), users assigned
+   * to areas whose end date has passed, and admins who have never signed in.
+   * Disabled and pending accounts have no access and are not reviewed.
+   *
+   * @param {Object} params
+   * @param {number} params.inactiveDays
+   * @param {Date} [params.now]
+   * @returns {Promise<Object>} { generatedAt, inactiveDays, summary, findings }
+   */
+  async getAccessReview({ inactiveDays, now = new Date() }) {
+    const rows = await this.getDirectory()
+    const reviewed = rows.filter(
+      (row) => !row.disabled && row.status !== ACCOUNT_STATUS.PENDING
+    )
+    const cutoff = new Date(now.getTime() - inactiveDays * DAY_MS)
+    const today = toDateString(now)
+    const findings = []
+
+    for (const row of reviewed) {
+      const lastActive = row.lastSignInAt ?? row.createdAt
+      if (lastActive < cutoff) {
+        findings.push({
+          finding: ACCESS_REVIEW_FINDINGS.INACTIVE,
+          user: toFindingUser(row),
+          detail: row.lastSignInAt
+            ? `Last signed in ${toDateString(row.lastSignInAt)}`
+            : `Never signed in; account created ${toDateString(row.createdAt)}`
+        })
+      }
+
+      const endedAreas = [row.primaryArea, ...row.secondaryAreas].filter(
+        (area) => area?.endDate && toDateString(area.endDate) < today
+      )
+      if (endedAreas.length > 0) {
+        findings.push({
+          finding: ACCESS_REVIEW_FINDINGS.EXPIRED_AREA,
+          user: toFindingUser(row),
+          detail: endedAreas
+            .map((area) => `${area.name} (ended ${toDateString(area.endDate)})`)
+            .join('; ')
+        })
+      }
+
+      if (row.admin && !row.lastSignInAt && !row.signInCount) {
+        findings.push({
+          finding: ACCESS_REVIEW_FINDINGS.ADMIN_NEVER_SIGNED_IN,
+          user: toFindingUser(row),
+          detail: `Admin since ${toDateString(row.createdAt)} with no sign-in`
+        })
+      }
+    }
+
+    const count = (finding) =>
+      findings.filter((item) => item.finding === finding).length
+
+    this.logger.info(
+      { inactiveDays, reviewed: reviewed.length, findings: findings.length },
+      'Access review generated'
+    )
+
+    return {
+      generatedAt: now,
+      inactiveDays,
+      summary: {
+        usersReviewed: reviewed.length,
+        inactive: count(ACCESS_REVIEW_FINDINGS.INACTIVE),
+        expiredAreas: count(ACCESS_REVIEW_FINDINGS.EXPIRED_AREA),
+        adminsNeverSignedIn: count(ACCESS_REVIEW_FINDINGS.ADMIN_NEVER_SIGNED_IN)
+      },
+      findings
+    }
+  }
+
+  /**
+   * Load the users' areas and every ancestor up to the country, a level at
+   * a time
+   * @param {Array} areas - Raw user area rows (with parent_id)
+   * @returns {Promise<Map<string, Object>>} Area ID string → raw area row
+   * @private
+   */
+  async _fetchAreaHierarchy(areas) {
+    const areasById = new Map(areas.map((area) => [String(area.id), area]))
+
+    for (let depth = 0; depth < MAX_AREA_DEPTH; depth++) {
+      const missingIds = [
+        ...new Set(
+          [...areasById.values()]
+            .map((area) => area.parent_id)
+            .filter((id) => id != null && !areasById.has(String(id)))
+            .map(String)
+        )
+      ]
+      if (missingIds.length === 0) {
+        break
+      }
+
+      const parents = await this.prisma.pafs_core_areas.findMany({
+        where: { id: { in: missingIds.map(BigInt) } },
+        select: { id: true, name: true, area_type: true, parent_id: true }
+      })
+      if (parents.length === 0) {
+        break
+      }
+      for (const parent of parents) {
+        areasById.set(String(parent.id), parent)
+      }
+    }
+
+    return areasById
+  }
+}
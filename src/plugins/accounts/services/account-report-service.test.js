@@ -0,0 +1,239 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { ACCESS_REVIEW_FINDINGS } from '../../../common/constants/accounts.js'
+
+const mockFilterService = {
+  getAllAccounts: vi.fn()
+}
+
+vi.mock('./account-filter-service.js', () => ({
+  AccountFilterService: vi.fn(function () {
+    return mockFilterService
+  })
+}))
+
+const { AccountReportService } = await import('./account-report-service.js')
+
+const NOW = new Date('2026-06-01T12:00:00Z')
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000)
+
+function user(overrides = {}) {
+  return {
+    id: 1n,
+    first_name: 'Sam',
+    last_name: 'Jones',
+    email: 'sam@example.com',
+    organisation: 'Council',
+    job_title: 'Engineer',
+    status: 'active',
+    admin: false,
+    disabled: false,
+    locked_at: null,
+    failed_attempts: 0,
+    sign_in_count: 4,
+    current_sign_in_at: daysAgo(1),
+    last_sign_in_at: daysAgo(10),
+    created_at: daysAgo(400),
+    ...overrides
+  }
+}
+
+describe('AccountReportService', () => {
+  let service
+  let mockPrisma
+
+  const areaTree = [
+    { id: 5n, name: 'Thames PSO', area_type: 'PSO Area', parent_id: 2 },
+    { id: 2n, name: 'Thames EA', area_type: 'EA Area', parent_id: 1 },
+    { id: 1n, name: 'England', area_type: 'Country', parent_id: null }
+  ]
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockPrisma = {
+      pafs_core_areas: {
+        findMany: vi.fn(async ({ where }) =>
+          areaTree.filter((area) => where.id.in.includes(area.id))
+        )
+      }
+    }
+    service = new AccountReportService(mockPrisma, {
+      info: vi.fn(),
+      warn: vi.fn()
+    })
+  })
+
+  describe('getDirectory', () => {
+    it('flattens users with areas and their PSO/EA parents', async () => {
+      mockFilterService.getAllAccounts.mockResolvedValue([
+        {
+          account: user({ locked_at: daysAgo(0), failed_attempts: 5 }),
+          areas: [
+            {
+              id: 10n,
+              name: 'Reading BC',
+              area_type: 'RMA',
+              parent_id: 5,
+              primary: true
+            },
+            {
+              id: 5n,
+              name: 'Thames PSO',
+              area_type: 'PSO Area',
+              parent_id: 2,
+              primary: false
+            }
+          ]
+        }
+      ])
+
+      const [row] = await service.getDirectory({ status: 'active' })
+
+      expect(mockFilterService.getAllAccounts).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'active',
+          select: expect.objectContaining({
+            locked_at: true,
+            failed_attempts: true,
+            current_sign_in_at: true
+          })
+        })
+      )
+      expect(row).toMatchObject({
+        id: 1,
+        locked: true,
+        failedAttempts: 5,
+        lastSignInAt: daysAgo(1),
+        primaryArea: {
+          id: 10,
+          name: 'Reading BC',
+          psoName: 'Thames PSO',
+          eaName: 'Thames EA'
+        },
+        secondaryAreas: [
+          { id: 5, name: 'Thames PSO', psoName: null, eaName: 'Thames EA' }
+        ]
+      })
+      // Parents are loaded a level at a time, stopping at the country
+      expect(mockPrisma.pafs_core_areas.findMany).toHaveBeenCalledTimes(2)
+    })
+
+    it('falls back to the previous sign-in time', async () => {
+      mockFilterService.getAllAccounts.mockResolvedValue([
+        { account: user({ current_sign_in_at: null }), areas: [] }
+      ])
+
+      const [row] = await service.getDirectory()
+
+      expect(row.lastSignInAt).toEqual(daysAgo(10))
+      expect(row.primaryArea).toBeNull()
+      expect(mockPrisma.pafs_core_areas.findMany).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getAccessReview', () => {
+    it('flags inactive users, ended areas and admins who never signed in', async () => {
+      mockFilterService.getAllAccounts.mockResolvedValue([
+        { account: user(), areas: [] },
+        {
+          account: user({ id: 2n, current_sign_in_at: daysAgo(120) }),
+          areas: []
+        },
+        {
+          account: user({
+            id: 3n,
+            admin: true,
+            sign_in_count: 0,
+            current_sign_in_at: null,
+            last_sign_in_at: null,
+            created_at: daysAgo(10)
+          }),
+          areas: []
+        },
+        {
+          account: user({ id: 4n }),
+          areas: [
+            {
+              id: 11n,
+              name: 'Old RMA',
+              area_type: 'RMA',
+              parent_id: null,
+              end_date: new Date('2026-03-31'),
+              primary: true
+            },
+            {
+              id: 12n,
+              name: 'Future RMA',
+              area_type: 'RMA',
+              parent_id: null,
+              end_date: new Date('2027-03-31'),
+              primary: false
+            }
+          ]
+        },
+        {
+          account: user({ id: 5n, disabled: true, current_sign_in_at: null }),
+          areas: []
+        },
+        {
+          account: user({
+            id: 6n,
+            status: 'pending',
+            current_sign_in_at: null,
+            last_sign_in_at: null
+          }),
+          areas: []
+        }
+      ])
+
+      const report = await service.getAccessReview({
+        inactiveDays: 90,
+        now: NOW
+      })
+
+      expect(report.summary).toEqual({
+        usersReviewed: 4,
+        inactive: 1,
+        expiredAreas: 1,
+        adminsNeverSignedIn: 1
+      })
+      expect(
+        report.findings.map((f) => [f.finding, f.user.id, f.detail])
+      ).toEqual([
+        [
+          ACCESS_REVIEW_FINDINGS.INACTIVE,
+          2,
+          `Last signed in ${daysAgo(120).toISOString().slice(0, 10)}`
+        ],
+        [
+          ACCESS_REVIEW_FINDINGS.ADMIN_NEVER_SIGNED_IN,
+          3,
+          `Admin since ${daysAgo(10).toISOString().slice(0, 10)} with no sign-in`
+        ],
+        [ACCESS_REVIEW_FINDINGS.EXPIRED_AREA, 4, 'Old RMA (ended 2026-03-31)']
+      ])
+    })
+
+    it('counts never-signed-in users as inactive from their creation date', async () => {
+      mockFilterService.getAllAccounts.mockResolvedValue([
+        {
+          account: user({
+            current_sign_in_at: null,
+            last_sign_in_at: null,
+            created_at: daysAgo(200)
+          }),
+          areas: []
+        }
+      ])
+
+      const report = await service.getAccessReview({
+        inactiveDays: 90,
+        now: NOW
+      })
+
+      expect(report.findings[0]).toMatchObject({
+        finding: ACCESS_REVIEW_FINDINGS.INACTIVE,
+        detail: `Never signed in; account created ${daysAgo(200).toISOString().slice(0, 10)}`
+      })
+    })
+  })
+})
@@ -0,0 +1,425 @@
+import {
+  buildPaginationMeta,
+  normalizePaginationParams
+} from '../../../common/helpers/pagination.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_REQUEST_STATUS,
+  ACCOUNT_STATUS
+} from '../../../common/constants/accounts.js'
+import { ConflictError, NotFoundError } from '../../../common/errors/index.js'
+import { formatArea } from '../helpers/account-formatter.js'
+import { AccountUpsertService } from './account-upsert-service.js'
+
+/**
+ * Format a pafs_core_account_requests row for the API
+ * @param {Object} accountRequest - Raw request row
+ * @param {Array} areas - Raw area rows with `primary`
+ */
+function formatAccountRequest(accountRequest, areas = []) {
+  return {
+    id: Number(accountRequest.id),
+    email: accountRequest.email,
+    firstName: accountRequest.first_name,
+    lastName: accountRequest.last_name,
+    jobTitle: accountRequest.job_title,
+    organisation: accountRequest.organisation,
+    telephoneNumber: accountRequest.telephone_number,
+    responsibility: accountRequest.responsibility,
+    status: accountRequest.status,
+    rejectionReason: accountRequest.rejection_reason,
+    reviewedById:
+      accountRequest.reviewed_by_id == null
+        ? null
+        : Number(accountRequest.reviewed_by_id),
+    reviewedAt: accountRequest.reviewed_at,
+    userId:
+      accountRequest.user_id == null ? null : Number(accountRequest.user_id),
+    areas: areas.map(formatArea),
+    createdAt: accountRequest.created_at,
+    updatedAt: accountRequest.updated_at
+  }
+}
+
+export class AccountRequestService {
+  constructor(prisma, logger, emailService, areaService) {
+    this.prisma = prisma
+    this.logger = logger
+    this.accountUpsertService = new AccountUpsertService(
+      prisma,
+      logger,
+      emailService,
+      areaService
+    )
+    // Share the upsert service's helpers so requests are checked and emailed
+    // exactly as self-registration was
+    this.emailService = this.accountUpsertService.emailService
+    this.areaValidator = this.accountUpsertService.areaValidator
+  }
+
+  /**
+   * Record a new account request for an admin to review.
+   * A previously rejected request for the same email is reopened rather than
+   * duplicated (email is unique on the table).
+   *
+   * @param {Object} data - Validated request payload (camelCase)
+   * @returns {Promise<Object>} Created request summary
+   */
+  async createRequest(data) {
+    await this.accountUpsertService.validateEmail(data.email)
+    await this.areaValidator.validateAreaResponsibilityTypes(
+      data.areas,
+      data.responsibility
+    )
+
+    const existing = await this.prisma.pafs_core_account_requests.findUnique({
+      where: { email: data.email },
+      select: { id: true, status: true }
+    })
+    if (existing?.status === ACCOUNT_REQUEST_STATUS.PENDING) {
+      throw new ConflictError(
+        'An account request for this email address is already awaiting review',
+        ACCOUNT_ERROR_CODES.REQUEST_ALREADY_PENDING,
+        'email'
+      )
+    }
+
+    const now = new Date()
+    const fields = {
+      first_name: data.firstName,
+      last_name: data.lastName,
+      organisation: data.organisation,
+      job_title: data.jobTitle,
+      telephone_number: data.telephoneNumber,
+      responsibility: data.responsibility,
+      terms_accepted: data.termsAccepted,
+      status: ACCOUNT_REQUEST_STATUS.PENDING,
+      provisioned: false,
+      rejection_reason: null,
+      reviewed_by_id: null,
+      reviewed_at: null,
+      user_id: null,
+      updated_at: now
+    }
+
+    const accountRequest = await this.prisma.$transaction(async (tx) => {
+      const saved = await tx.pafs_core_account_requests.upsert({
+        where: { email: data.email },
+        update: fields,
+        create: { ...fields, email: data.email, created_at: now }
+      })
+
+      await tx.pafs_core_account_request_areas.deleteMany({
+        where: { account_request_id: saved.id }
+      })
+      await tx.pafs_core_account_request_areas.createMany({
+        data: data.areas.map((area) => ({
+          account_request_id: saved.id,
+          area_id: BigInt(area.areaId),
+          primary: area.primary || false
+        }))
+      })
+
+      return saved
+    })
+
+    await this.emailService.sendAdminNotification(
+      { ...accountRequest, status: ACCOUNT_STATUS.PENDING },
+      data.areas
+    )
+
+    this.logger.info(
+      { accountRequestId: accountRequest.id, reopened: Boolean(existing) },
+      'Account request created'
+    )
+
+    return {
+      message: 'Account request submitted successfully',
+      requestId: Number(accountRequest.id),
+      email: accountRequest.email,
+      status: accountRequest.status
+    }
+  }
+
+  /**
+   * List account requests, oldest first, with their requested areas
+   * @param {Object} params
+   * @param {string} params.status - ACCOUNT_REQUEST_STATUS value
+   * @param {string} [params.search] - Name, email or organisation
+   * @param {number} [params.page]
+   * @param {number} [params.pageSize]
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async listRequests({ status, search, page, pageSize }) {
+    const pagination = normalizePaginationParams(page, pageSize)
+    const where = { status }
+
+    if (search?.trim()) {
+      const searchTerm = search.trim()
+      where.OR = [
+        { first_name: { contains: searchTerm, mode: 'insensitive' } },
+        { last_name: { contains: searchTerm, mode: 'insensitive' } },
+        { email: { contains: searchTerm, mode: 'insensitive' } },
+        { organisation: { contains: searchTerm, mode: 'insensitive' } }
+      ]
+    }
+
+    const [requests, total] = await Promise.all([
+      this.prisma.pafs_core_account_requests.findMany({
+        where,
+        orderBy: { created_at: 'asc' },
+        skip: pagination.skip,
+        take: pagination.take
+      }),
+      this.prisma.pafs_core_account_requests.count({ where })
+    ])
+
+    const areasMap = await this._fetchAreasForRequests(
+      requests.map((r) => r.id)
+    )
+
+    this.logger.info(
+      { status, total, page: pagination.page },
+      'Account requests retrieved'
+    )
+
+    return {
+      data: requests.map((r) =>
+        formatAccountRequest(r, areasMap.get(r.id.toString()) || [])
+      ),
+      pagination: buildPaginationMeta(
+        pagination.page,
+        pagination.pageSize,
+        total
+      )
+    }
+  }
+
+  /**
+   * Approve a pending request: provision the user (approved, with the
+   * requested areas) and send the set-password invitation.
+   *
+   * The request is claimed before provisioning, so when two admins approve
+   * it at once only one of them creates the account. If provisioning fails
+   * the claim is released and the request is pending again.
+   *
+   * @param {number} requestId
+   * @param {Object} authenticatedUser - Reviewing admin's credentials
+   * @returns {Promise<Object>} Approval result
+   */
+  async approveRequest(requestId, authenticatedUser) {
+    const accountRequest = await this._getPendingRequest(requestId)
+    const areas = await this._fetchRequestAreas(accountRequest.id)
+
+    await this._claimPendingRequest(accountRequest.id, {
+      status: ACCOUNT_REQUEST_STATUS.APPROVED,
+      reviewed_by_id: BigInt(authenticatedUser.userId)
+    })
+
+    let result
+    try {
+      // An admin caller makes the new user approved and sends the invitation
+      result = await this.accountUpsertService.upsertAccount(
+        {
+          firstName: accountRequest.first_name,
+          lastName: accountRequest.last_name,
+          email: accountRequest.email,
+          jobTitle: accountRequest.job_title,
+          organisation: accountRequest.organisation,
+          telephoneNumber: accountRequest.telephone_number,
+          responsibility: accountRequest.responsibility,
+          admin: false,
+          areas: areas.map((a) => ({
+            areaId: Number(a.area_id),
+            primary: a.primary
+          }))
+        },
+        { authenticatedUser }
+      )
+    } catch (error) {
+      await this.prisma.pafs_core_account_requests.update({
+        where: { id: accountRequest.id },
+        data: {
+          status: ACCOUNT_REQUEST_STATUS.PENDING,
+          reviewed_by_id: null,
+          reviewed_at: null,
+          updated_at: new Date()
+        }
+      })
+      throw error
+    }
+
+    await this.prisma.pafs_core_account_requests.update({
+      where: { id: accountRequest.id },
+      data: {
+        provisioned: true,
+        user_id: BigInt(result.userId),
+        updated_at: new Date()
+      }
+    })
+
+    this.logger.info(
+      {
+        accountRequestId: accountRequest.id,
+        userId: result.userId,
+        adminId: authenticatedUser.userId
+      },
+      'Account request approved'
+    )
+
+    return {
+      message: 'Account request approved and invitation sent',
+      requestId: Number(accountRequest.id),
+      userId: result.userId,
+      email: result.email,
+      status: ACCOUNT_REQUEST_STATUS.APPROVED
+    }
+  }
+
+  /**
+   * Reject a pending request and email the reason to the requester
+   * @param {number} requestId
+   * @param {string} reason
+   * @param {Object} authenticatedUser - Reviewing admin's credentials
+   * @returns {Promise<Object>} Rejection result
+   */
+  async rejectRequest(requestId, reason, authenticatedUser) {
+    const accountRequest = await this._getPendingRequest(requestId)
+
+    await this._claimPendingRequest(accountRequest.id, {
+      status: ACCOUNT_REQUEST_STATUS.REJECTED,
+      rejection_reason: reason,
+      reviewed_by_id: BigInt(authenticatedUser.userId)
+    })
+
+    await this.emailService.sendAccountRequestRejectedEmail(
+      accountRequest,
+      reason
+    )
+
+    this.logger.info(
+      {
+        accountRequestId: accountRequest.id,
+        adminId: authenticatedUser.userId
+      },
+      'Account request rejected'
+    )
+
+    return {
+      message: 'Account request rejected',
+      requestId: Number(accountRequest.id),
+      email: accountRequest.email,
+      status: ACCOUNT_REQUEST_STATUS.REJECTED
+    }
+  }
+
+  /**
+   * Record the review only if the request is still pending, so a request
+   * reviewed by another admin in the meantime is not reviewed twice
+   * @private
+   */
+  async _claimPendingRequest(id, review) {
+    const now = new Date()
+    const { count } = await this.prisma.pafs_core_account_requests.updateMany({
+      where: { id, status: ACCOUNT_REQUEST_STATUS.PENDING },
+      data: { ...review, reviewed_at: now, updated_at: now }
+    })
+
+    if (count === 0) {
+      throw new ConflictError(
+        'Account request has already been reviewed',
+        ACCOUNT_ERROR_CODES.REQUEST_ALREADY_REVIEWED,
+        null
+      )
+    }
+  }
+
+  /**
+   * Load a request and make sure it is still awaiting review
+   * @private
+   */
+  async _getPendingRequest(requestId) {
+    const accountRequest =
+      await this.prisma.pafs_core_account_requests.findUnique({
+        where: { id: BigInt(requestId) }
+      })
+
+    if (!accountRequest) {
+      throw new NotFoundError(
+        'Account request not found',
+        ACCOUNT_ERROR_CODES.REQUEST_NOT_FOUND,
+        null
+      )
+    }
+
+    if (accountRequest.status !== ACCOUNT_REQUEST_STATUS.PENDING) {
+      throw new ConflictError(
+        `Account request has already been ${accountRequest.status}`,
+        ACCOUNT_ERROR_CODES.REQUEST_ALREADY_REVIEWED,
+        null
+      )
+    }
+
+    return accountRequest
+  }
+
+  /**
+   * @private
+   */
+  async _fetchRequestAreas(requestId) {
+    return this.prisma.pafs_core_account_request_areas.findMany({
+      where: { account_request_id: requestId },
+      select: { area_id: true, primary: true }
+    })
+  }
+
+  /**
+   * Batch-fetch and group area details for a list of request IDs.
+   * @param {BigInt[]} requestIds
+   * @returns {Promise<Map<string, Array>>} requestId string → raw area rows
+   * @private
+   */
+  async _fetchAreasForRequests(requestIds) {
+    if (!requestIds.length) {
+      return new Map()
+    }
+
+    const requestAreas =
+      await this.prisma.pafs_core_account_request_areas.findMany({
+        where: { account_request_id: { in: requestIds } },
+        select: { account_request_id: true, area_id: true, primary: true }
+      })
+
+    if (!requestAreas.length) {
+      return new Map()
+    }
+
+    const uniqueAreaIds = [
+      ...new Map(
+        requestAreas.map((ra) => [ra.area_id.toString(), ra.area_id])
+      ).values()
+    ]
+
+    const areas = await this.prisma.pafs_core_areas.findMany({
+      where: { id: { in: uniqueAreaIds } },
+      select: { id: true, name: true, area_type: true, parent_id: true }
+    })
+
+    const areasById = new Map(areas.map((a) => [a.id.toString(), a]))
+    const result = new Map()
+
+    for (const ra of requestAreas) {
+      const area = areasById.get(ra.area_id.toString())
+      if (!area) {
+        continue
+      }
+      const key = ra.account_request_id.toString()
+      if (!result.has(key)) {
+        result.set(key, [])
+      }
+      result.get(key).push({ ...area, primary: ra.primary })
+    }
+
+    return result
+  }
+}
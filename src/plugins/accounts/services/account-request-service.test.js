@@ -0,0 +1,469 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_REQUEST_STATUS,
+  ACCOUNT_STATUS
+} from '../../../common/constants/accounts.js'
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError
+} from '../../../common/errors/index.js'
+
+const mockAccountUpsertService = {
+  validateEmail: vi.fn(),
+  upsertAccount: vi.fn(),
+  emailService: {
+    sendAdminNotification: vi.fn(),
+    sendAccountRequestRejectedEmail: vi.fn()
+  },
+  areaValidator: {
+    validateAreaResponsibilityTypes: vi.fn()
+  }
+}
+
+vi.mock('./account-upsert-service.js', () => ({
+  AccountUpsertService: vi.fn(function () {
+    return mockAccountUpsertService
+  })
+}))
+
+const { AccountRequestService } = await import('./account-request-service.js')
+
+describe('AccountRequestService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+  let admin
+
+  const payload = {
+    firstName: 'Sam',
+    lastName: 'Jones',
+    email: 'sam@council.example.com',
+    jobTitle: 'Engineer',
+    organisation: 'Example Council',
+    telephoneNumber: '01234 567890',
+    responsibility: 'RMA',
+    areas: [
+      { areaId: 5, primary: true },
+      { areaId: 6, primary: false }
+    ],
+    termsAccepted: true
+  }
+
+  const pendingRow = {
+    id: 11n,
+    first_name: 'Sam',
+    last_name: 'Jones',
+    email: 'sam@council.example.com',
+    job_title: 'Engineer',
+    organisation: 'Example Council',
+    telephone_number: '01234 567890',
+    responsibility: 'RMA',
+    status: ACCOUNT_REQUEST_STATUS.PENDING,
+    rejection_reason: null,
+    reviewed_by_id: null,
+    reviewed_at: null,
+    user_id: null,
+    created_at: new Date('2026-01-01T00:00:00Z'),
+    updated_at: new Date('2026-01-01T00:00:00Z')
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockPrisma = {
+      pafs_core_account_requests: {
+        findUnique: vi.fn(),
+        findMany: vi.fn(),
+        count: vi.fn(),
+        upsert: vi.fn().mockResolvedValue(pendingRow),
+        update: vi.fn(),
+        updateMany: vi.fn().mockResolvedValue({ count: 1 })
+      },
+      pafs_core_account_request_areas: {
+        findMany: vi.fn(),
+        deleteMany: vi.fn(),
+        createMany: vi.fn()
+      },
+      pafs_core_areas: {
+        findMany: vi.fn()
+      },
+      $transaction: vi.fn((callback) => callback(mockPrisma))
+    }
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn()
+    }
+
+    admin = { userId: 100, isAdmin: true }
+
+    service = new AccountRequestService(mockPrisma, mockLogger, {}, {})
+  })
+
+  describe('createRequest', () => {
+    it('validates the email and areas before saving', async () => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue(null)
+
+      await service.createRequest(payload)
+
+      expect(mockAccountUpsertService.validateEmail).toHaveBeenCalledWith(
+        'sam@council.example.com'
+      )
+      expect(
+        mockAccountUpsertService.areaValidator.validateAreaResponsibilityTypes
+      ).toHaveBeenCalledWith(payload.areas, 'RMA')
+    })
+
+    it('saves the request and its areas, then notifies the admin', async () => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue(null)
+
+      const result = await service.createRequest(payload)
+
+      expect(mockPrisma.pafs_core_account_requests.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { email: 'sam@council.example.com' },
+          create: expect.objectContaining({
+            email: 'sam@council.example.com',
+            first_name: 'Sam',
+            responsibility: 'RMA',
+            terms_accepted: true,
+            status: ACCOUNT_REQUEST_STATUS.PENDING
+          })
+        })
+      )
+      expect(
+        mockPrisma.pafs_core_account_request_areas.createMany
+      ).toHaveBeenCalledWith({
+        data: [
+          { account_request_id: 11n, area_id: 5n, primary: true },
+          { account_request_id: 11n, area_id: 6n, primary: false }
+        ]
+      })
+      expect(
+        mockAccountUpsertService.emailService.sendAdminNotification
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({
+          email: 'sam@council.example.com',
+          status: ACCOUNT_STATUS.PENDING
+        }),
+        payload.areas
+      )
+      expect(result).toEqual({
+        message: 'Account request submitted successfully',
+        requestId: 11,
+        email: 'sam@council.example.com',
+        status: ACCOUNT_REQUEST_STATUS.PENDING
+      })
+    })
+
+    it('reopens a previously rejected request and clears the review', async () => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue({
+        id: 11n,
+        status: ACCOUNT_REQUEST_STATUS.REJECTED
+      })
+
+      await service.createRequest(payload)
+
+      const { update } =
+        mockPrisma.pafs_core_account_requests.upsert.mock.calls[0][0]
+      expect(update).toEqual(
+        expect.objectContaining({
+          status: ACCOUNT_REQUEST_STATUS.PENDING,
+          rejection_reason: null,
+          reviewed_by_id: null,
+          reviewed_at: null
+        })
+      )
+      expect(
+        mockPrisma.pafs_core_account_request_areas.deleteMany
+      ).toHaveBeenCalledWith({ where: { account_request_id: 11n } })
+    })
+
+    it('rejects a second request while one is pending', async () => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue({
+        id: 11n,
+        status: ACCOUNT_REQUEST_STATUS.PENDING
+      })
+
+      await expect(service.createRequest(payload)).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.REQUEST_ALREADY_PENDING
+      })
+      expect(
+        mockPrisma.pafs_core_account_requests.upsert
+      ).not.toHaveBeenCalled()
+    })
+
+    it('propagates email validation failures', async () => {
+      mockAccountUpsertService.validateEmail.mockRejectedValueOnce(
+        new BadRequestError('Duplicate', 'VALIDATION_EMAIL_DUPLICATE', 'email')
+      )
+
+      await expect(service.createRequest(payload)).rejects.toBeInstanceOf(
+        BadRequestError
+      )
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('listRequests', () => {
+    it('returns pending requests oldest first with their areas', async () => {
+      mockPrisma.pafs_core_account_requests.findMany.mockResolvedValue([
+        pendingRow
+      ])
+      mockPrisma.pafs_core_account_requests.count.mockResolvedValue(1)
+      mockPrisma.pafs_core_account_request_areas.findMany.mockResolvedValue([
+        { account_request_id: 11n, area_id: 5n, primary: true }
+      ])
+      mockPrisma.pafs_core_areas.findMany.mockResolvedValue([
+        { id: 5n, name: 'Example RMA', area_type: 'RMA', parent_id: 2n }
+      ])
+
+      const result = await service.listRequests({
+        status: ACCOUNT_REQUEST_STATUS.PENDING,
+        page: 1,
+        pageSize: 20
+      })
+
+      expect(
+        mockPrisma.pafs_core_account_requests.findMany
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { status: ACCOUNT_REQUEST_STATUS.PENDING },
+          orderBy: { created_at: 'asc' }
+        })
+      )
+      expect(result.data).toHaveLength(1)
+      expect(result.data[0]).toEqual(
+        expect.objectContaining({
+          id: 11,
+          organisation: 'Example Council',
+          responsibility: 'RMA',
+          status: ACCOUNT_REQUEST_STATUS.PENDING,
+          areas: [
+            {
+              id: 5,
+              areaId: '5',
+              name: 'Example RMA',
+              type: 'RMA',
+              parentId: 2,
+              primary: true
+            }
+          ]
+        })
+      )
+      expect(result.pagination).toEqual(expect.objectContaining({ total: 1 }))
+    })
+
+    it('searches name, email and organisation', async () => {
+      mockPrisma.pafs_core_account_requests.findMany.mockResolvedValue([])
+      mockPrisma.pafs_core_account_requests.count.mockResolvedValue(0)
+
+      await service.listRequests({
+        status: ACCOUNT_REQUEST_STATUS.REJECTED,
+        search: ' council '
+      })
+
+      const { where } =
+        mockPrisma.pafs_core_account_requests.findMany.mock.calls[0][0]
+      expect(where.status).toBe(ACCOUNT_REQUEST_STATUS.REJECTED)
+      expect(where.OR).toHaveLength(4)
+      expect(where.OR[3]).toEqual({
+        organisation: { contains: 'council', mode: 'insensitive' }
+      })
+      expect(
+        mockPrisma.pafs_core_account_request_areas.findMany
+      ).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('approveRequest', () => {
+    beforeEach(() => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue(
+        pendingRow
+      )
+      mockPrisma.pafs_core_account_request_areas.findMany.mockResolvedValue([
+        { area_id: 5n, primary: true }
+      ])
+      mockAccountUpsertService.upsertAccount.mockResolvedValue({
+        userId: 42,
+        email: 'sam@council.example.com',
+        status: ACCOUNT_STATUS.APPROVED
+      })
+    })
+
+    it('provisions the user with the requested areas as the admin', async () => {
+      await service.approveRequest(11, admin)
+
+      expect(mockAccountUpsertService.upsertAccount).toHaveBeenCalledWith(
+        {
+          firstName: 'Sam',
+          lastName: 'Jones',
+          email: 'sam@council.example.com',
+          jobTitle: 'Engineer',
+          organisation: 'Example Council',
+          telephoneNumber: '01234 567890',
+          responsibility: 'RMA',
+          admin: false,
+          areas: [{ areaId: 5, primary: true }]
+        },
+        { authenticatedUser: admin }
+      )
+    })
+
+    it('claims the pending request before provisioning', async () => {
+      mockAccountUpsertService.upsertAccount.mockImplementation(async () => {
+        expect(
+          mockPrisma.pafs_core_account_requests.updateMany
+        ).toHaveBeenCalledWith({
+          where: { id: 11n, status: ACCOUNT_REQUEST_STATUS.PENDING },
+          data: expect.objectContaining({
+            status: ACCOUNT_REQUEST_STATUS.APPROVED,
+            reviewed_by_id: 100n,
+            reviewed_at: expect.any(Date)
+          })
+        })
+        return { userId: 42, email: 'sam@council.example.com' }
+      })
+
+      await service.approveRequest(11, admin)
+
+      expect(mockAccountUpsertService.upsertAccount).toHaveBeenCalled()
+    })
+
+    it('marks the request provisioned', async () => {
+      const result = await service.approveRequest(11, admin)
+
+      expect(mockPrisma.pafs_core_account_requests.update).toHaveBeenCalledWith(
+        {
+          where: { id: 11n },
+          data: expect.objectContaining({
+            provisioned: true,
+            user_id: 42n
+          })
+        }
+      )
+      expect(result).toEqual({
+        message: 'Account request approved and invitation sent',
+        requestId: 11,
+        userId: 42,
+        email: 'sam@council.example.com',
+        status: ACCOUNT_REQUEST_STATUS.APPROVED
+      })
+    })
+
+    it('does not provision when another admin reviewed it first', async () => {
+      mockPrisma.pafs_core_account_requests.updateMany.mockResolvedValue({
+        count: 0
+      })
+
+      await expect(service.approveRequest(11, admin)).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.REQUEST_ALREADY_REVIEWED
+      })
+      expect(mockAccountUpsertService.upsertAccount).not.toHaveBeenCalled()
+      expect(
+        mockPrisma.pafs_core_account_requests.update
+      ).not.toHaveBeenCalled()
+    })
+
+    it('throws NotFoundError when the request does not exist', async () => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue(null)
+
+      await expect(service.approveRequest(11, admin)).rejects.toBeInstanceOf(
+        NotFoundError
+      )
+      expect(mockAccountUpsertService.upsertAccount).not.toHaveBeenCalled()
+    })
+
+    it('throws ConflictError when the request was already reviewed', async () => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue({
+        ...pendingRow,
+        status: ACCOUNT_REQUEST_STATUS.REJECTED
+      })
+
+      await expect(service.approveRequest(11, admin)).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.REQUEST_ALREADY_REVIEWED
+      })
+    })
+
+    it('leaves the request pending when provisioning fails', async () => {
+      mockAccountUpsertService.upsertAccount.mockRejectedValue(
+        new BadRequestError('Duplicate', 'VALIDATION_EMAIL_DUPLICATE', 'email')
+      )
+
+      await expect(service.approveRequest(11, admin)).rejects.toBeInstanceOf(
+        BadRequestError
+      )
+      expect(
+        mockPrisma.pafs_core_account_requests.update
+      ).toHaveBeenCalledTimes(1)
+      expect(mockPrisma.pafs_core_account_requests.update).toHaveBeenCalledWith(
+        {
+          where: { id: 11n },
+          data: expect.objectContaining({
+            status: ACCOUNT_REQUEST_STATUS.PENDING,
+            reviewed_by_id: null,
+            reviewed_at: null
+          })
+        }
+      )
+    })
+  })
+
+  describe('rejectRequest', () => {
+    beforeEach(() => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue(
+        pendingRow
+      )
+    })
+
+    it('records the reason and emails the requester', async () => {
+      const result = await service.rejectRequest(11, 'Not eligible', admin)
+
+      expect(
+        mockPrisma.pafs_core_account_requests.updateMany
+      ).toHaveBeenCalledWith({
+        where: { id: 11n, status: ACCOUNT_REQUEST_STATUS.PENDING },
+        data: expect.objectContaining({
+          status: ACCOUNT_REQUEST_STATUS.REJECTED,
+          rejection_reason: 'Not eligible',
+          reviewed_by_id: 100n
+        })
+      })
+      expect(
+        mockAccountUpsertService.emailService.sendAccountRequestRejectedEmail
+      ).toHaveBeenCalledWith(pendingRow, 'Not eligible')
+      expect(result.status).toBe(ACCOUNT_REQUEST_STATUS.REJECTED)
+    })
+
+    it('does not reject a request that was already approved', async () => {
+      mockPrisma.pafs_core_account_requests.findUnique.mockResolvedValue({
+        ...pendingRow,
+        status: ACCOUNT_REQUEST_STATUS.APPROVED
+      })
+
+      await expect(
+        service.rejectRequest(11, 'Not eligible', admin)
+      ).rejects.toBeInstanceOf(ConflictError)
+      expect(
+        mockAccountUpsertService.emailService.sendAccountRequestRejectedEmail
+      ).not.toHaveBeenCalled()
+    })
+
+    it('does not email the requester when another admin reviewed it first', async () => {
+      mockPrisma.pafs_core_account_requests.updateMany.mockResolvedValue({
+        count: 0
+      })
+
+      await expect(
+        service.rejectRequest(11, 'Not eligible', admin)
+      ).rejects.toBeInstanceOf(ConflictError)
+      expect(
+        mockAccountUpsertService.emailService.sendAccountRequestRejectedEmail
+      ).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -5,12 +5,17 @@ import {
 import { fetchAccountAreas } from '../../areas/helpers/user-areas.js'
 import { ACCOUNT_STATUS } from '../../../common/constants/index.js'
 import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
-import { NotFoundError } from '../../../common/errors/http-errors.js'
+import {
+  BadRequestError,
+  NotFoundError
+} from '../../../common/errors/http-errors.js'
+import { SessionService } from '../../auth/services/session-service.js'
 
 export class AccountService {
   constructor(prisma, logger) {
     this.prisma = prisma
     this.logger = logger
+    this.sessionService = new SessionService(prisma, logger)
   }
 
   /**
@@ -77,6 +82,14 @@ export class AccountService {
         where: { user_id: userIdBigInt }
       })
 
+      await tx.pafs_core_refresh_tokens.deleteMany({
+        where: { user_id: userIdBigInt }
+      })
+
+      await tx.pafs_core_user_sessions.deleteMany({
+        where: { user_id: userIdBigInt }
+      })
+
       await tx.pafs_core_users.delete({
         where: { id: userIdBigInt }
       })
@@ -147,7 +160,8 @@ export class AccountService {
   }
 
   /**
-   * Find inactive accounts (ACTIVE or APPROVED status, not disabled, no login for X days)
+   * Find inactive accounts (ACTIVE or APPROVED status, not disabled or
+   * suspended, no login for X days)
    * @param {number} inactivityDays - Number of days of inactivity
    * @returns {Promise<Array>} Array of inactive accounts
    */
@@ -158,6 +172,8 @@ export class AccountService {
       where: {
         status: { in: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.APPROVED] },
         disabled: false,
+        // Suspended staff are away by arrangement, not inactive
+        suspended_until: null,
         OR: [
           { last_sign_in_at: { lt: cutoffDate } },
           { last_sign_in_at: null, created_at: { lt: cutoffDate } }
@@ -243,6 +259,8 @@ export class AccountService {
       where: {
         status: { in: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.APPROVED] },
         disabled: false,
+        // Suspended staff are away by arrangement, not inactive
+        suspended_until: null,
         inactivity_warning_sent_at: null, // Haven't sent warning yet
         OR: [
           {
@@ -291,6 +309,76 @@ export class AccountService {
     return result.count
   }
 
+  /**
+   * Disable an account so it can no longer sign in, and sign it out
+   * everywhere. The account and its areas are kept; it can be reactivated
+   * by an admin.
+   * @param {number} userId - User ID to disable
+   * @param {Object} authenticatedUser - Admin or area manager disabling it
+   * @returns {Promise<Object>} Disable result with account details
+   */
+  async disableAccount(userId, authenticatedUser) {
+    this.logger.info(
+      { userId, adminId: authenticatedUser.userId },
+      'Disabling account'
+    )
+
+    if (Number(userId) === Number(authenticatedUser.userId)) {
+      throw new BadRequestError(
+        'You cannot disable your own account',
+        ACCOUNT_ERROR_CODES.CANNOT_DISABLE_SELF
+      )
+    }
+
+    const user = await this.prisma.pafs_core_users.findUnique({
+      where: { id: BigInt(userId) },
+      select: {
+        ...AccountService.accountSelectFields,
+        disabled: true
+      }
+    })
+
+    if (!user) {
+      throw new NotFoundError(
+        `Account with ID ${userId} not found`,
+        ACCOUNT_ERROR_CODES.NOT_FOUND,
+        { userId }
+      )
+    }
+
+    if (user.disabled) {
+      throw new BadRequestError(
+        'Account is already disabled',
+        ACCOUNT_ERROR_CODES.ALREADY_DISABLED
+      )
+    }
+
+    await this.prisma.pafs_core_users.update({
+      where: { id: BigInt(userId) },
+      data: { disabled: true, updated_at: new Date() }
+    })
+    // End every session so the account loses access straight away, not when
+    // cached credentials expire
+    await this.sessionService.endAllSessions(userId)
+
+    this.logger.info(
+      { userId, email: user.email, adminId: authenticatedUser.userId },
+      'Account disabled successfully'
+    )
+
+    const formattedAccount = this._formatAccountData(user)
+    return {
+      success: true,
+      message: 'Account disabled successfully',
+      account: {
+        id: formattedAccount.id,
+        email: formattedAccount.email,
+        firstName: formattedAccount.firstName,
+        lastName: formattedAccount.lastName
+      }
+    }
+  }
+
   /**
    * Reactivate a disabled account
    * @param {number} userId - User ID to reactivate
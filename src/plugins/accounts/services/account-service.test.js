@@ -1,6 +1,15 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { AccountService } from './account-service.js'
 import { ACCOUNT_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+
+const mockEndAllSessions = vi.fn()
+
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: class {
+    endAllSessions = mockEndAllSessions
+  }
+}))
 
 describe('AccountService', () => {
   let accountService
@@ -73,11 +82,16 @@ describe('AccountService', () => {
           telephone_number: true,
           status: true,
           admin: true,
+          area_manager: true,
           disabled: true,
+          suspended_until: true,
+          mfa_enabled: true,
+          mfa_required: true,
           created_at: true,
           updated_at: true,
           invitation_sent_at: true,
           invitation_accepted_at: true,
+          suspension_reason: true,
           last_sign_in_at: true
         }
       })
@@ -332,6 +346,12 @@ describe('AccountService', () => {
       mockPrisma.pafs_core_user_areas = {
         deleteMany: vi.fn()
       }
+      mockPrisma.pafs_core_user_sessions = {
+        deleteMany: vi.fn()
+      }
+      mockPrisma.pafs_core_refresh_tokens = {
+        deleteMany: vi.fn()
+      }
       mockPrisma.$transaction = vi.fn(async (callback) => {
         return await callback(mockPrisma)
       })
@@ -355,6 +375,16 @@ describe('AccountService', () => {
       expect(mockPrisma.pafs_core_user_areas.deleteMany).toHaveBeenCalledWith({
         where: { user_id: BigInt(123) }
       })
+      expect(
+        mockPrisma.pafs_core_user_sessions.deleteMany
+      ).toHaveBeenCalledWith({
+        where: { user_id: BigInt(123) }
+      })
+      expect(
+        mockPrisma.pafs_core_refresh_tokens.deleteMany
+      ).toHaveBeenCalledWith({
+        where: { user_id: BigInt(123) }
+      })
       expect(mockPrisma.pafs_core_users.delete).toHaveBeenCalledWith({
         where: { id: BigInt(123) }
       })
@@ -560,6 +590,7 @@ describe('AccountService', () => {
         where: {
           status: { in: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.APPROVED] },
           disabled: false,
+          suspended_until: null,
           OR: [
             { last_sign_in_at: { lt: expect.any(Date) } },
             { last_sign_in_at: null, created_at: { lt: expect.any(Date) } }
@@ -718,6 +749,7 @@ describe('AccountService', () => {
         where: {
           status: { in: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.APPROVED] },
           disabled: false,
+          suspended_until: null,
           OR: [
             { last_sign_in_at: { lt: expect.any(Date) } },
             { last_sign_in_at: null, created_at: { lt: expect.any(Date) } }
@@ -800,6 +832,7 @@ describe('AccountService', () => {
           where: expect.objectContaining({
             status: { in: [ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.APPROVED] },
             disabled: false,
+            suspended_until: null,
             inactivity_warning_sent_at: null
           })
         })
@@ -999,6 +1032,83 @@ describe('AccountService', () => {
     })
   })
 
+  describe('disableAccount', () => {
+    const adminUser = { userId: 1, isAdmin: true }
+    const activeUser = {
+      id: BigInt(5),
+      email: 'user@example.com',
+      first_name: 'John',
+      last_name: 'Smith',
+      disabled: false
+    }
+
+    beforeEach(() => {
+      mockPrisma.pafs_core_users.update = vi.fn().mockResolvedValue({})
+    })
+
+    it('disables an enabled account', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(activeUser)
+
+      const result = await accountService.disableAccount(5, adminUser)
+
+      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
+        where: { id: BigInt(5) },
+        data: { disabled: true, updated_at: expect.any(Date) }
+      })
+      expect(result).toEqual({
+        success: true,
+        message: 'Account disabled successfully',
+        account: {
+          id: 5,
+          email: 'user@example.com',
+          firstName: 'John',
+          lastName: 'Smith'
+        }
+      })
+    })
+
+    it('ends every session of the disabled account', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(activeUser)
+
+      await accountService.disableAccount(5, adminUser)
+
+      expect(mockEndAllSessions).toHaveBeenCalledWith(5)
+      expect(
+        mockPrisma.pafs_core_users.update.mock.invocationCallOrder[0]
+      ).toBeLessThan(mockEndAllSessions.mock.invocationCallOrder[0])
+    })
+
+    it('refuses to disable the caller', async () => {
+      await expect(
+        accountService.disableAccount(1, adminUser)
+      ).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.CANNOT_DISABLE_SELF
+      })
+      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+    })
+
+    it('throws NotFoundError when the account does not exist', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      await expect(
+        accountService.disableAccount(5, adminUser)
+      ).rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.NOT_FOUND })
+    })
+
+    it('rejects an account that is already disabled', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        ...activeUser,
+        disabled: true
+      })
+
+      await expect(
+        accountService.disableAccount(5, adminUser)
+      ).rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.ALREADY_DISABLED })
+      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+      expect(mockEndAllSessions).not.toHaveBeenCalled()
+    })
+  })
+
   describe('reactivateAccount', () => {
     const adminUser = { userId: 1, isAdmin: true }
 
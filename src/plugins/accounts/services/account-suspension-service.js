@@ -0,0 +1,240 @@
+/**
+ * AccountSuspensionService
+ *
+ * Time-boxed suspension of an account by an admin, e.g. for staff on long
+ * leave. While suspended_until is in the future the account cannot sign in,
+ * refresh or use an existing token; the reactivate-suspended-accounts task
+ * clears the suspension once it has passed. The user is emailed at both ends.
+ */
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_STATUS
+} from '../../../common/constants/accounts.js'
+import {
+  BadRequestError,
+  NotFoundError
+} from '../../../common/errors/http-errors.js'
+import { AccountEmailService } from './account-email-service.js'
+import { SessionService } from '../../auth/services/session-service.js'
+
+const SUSPENSION_SELECT_FIELDS = {
+  id: true,
+  email: true,
+  first_name: true,
+  last_name: true,
+  status: true,
+  disabled: true,
+  suspended_until: true
+}
+
+const CLEARED_SUSPENSION = {
+  suspended_at: null,
+  suspended_until: null,
+  suspension_reason: null,
+  suspended_by_id: null
+}
+
+function toAccountSummary(user) {
+  return {
+    id: Number(user.id),
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name
+  }
+}
+
+export class AccountSuspensionService {
+  constructor(prisma, logger, emailService) {
+    this.prisma = prisma
+    this.logger = logger
+    this.emailService = new AccountEmailService(emailService, null, logger)
+    this.sessionService = new SessionService(prisma, logger)
+  }
+
+  /**
+   * Suspend an account until a future date. Suspending an account that is
+   * already suspended replaces the period and reason.
+   *
+   * @param {number} userId - User ID to suspend
+   * @param {Object} suspension
+   * @param {Date} suspension.suspendedUntil - When access is restored
+   * @param {string} suspension.reason - Shown to the user in the email
+   * @param {Object} authenticatedUser - Admin suspending the account
+   * @returns {Promise<Object>} Suspension result with account details
+   */
+  async suspendAccount(userId, { suspendedUntil, reason }, authenticatedUser) {
+    this.logger.info(
+      { userId, suspendedUntil, adminId: authenticatedUser.userId },
+      'Suspending account'
+    )
+
+    if (Number(userId) === Number(authenticatedUser.userId)) {
+      throw new BadRequestError(
+        'You cannot suspend your own account',
+        ACCOUNT_ERROR_CODES.CANNOT_SUSPEND
+      )
+    }
+
+    const user = await this._findUserOrThrow(userId)
+
+    if (user.disabled || user.status === ACCOUNT_STATUS.PENDING) {
+      throw new BadRequestError(
+        'Only enabled, approved accounts can be suspended',
+        ACCOUNT_ERROR_CODES.CANNOT_SUSPEND
+      )
+    }
+
+    await this.prisma.pafs_core_users.update({
+      where: { id: BigInt(userId) },
+      data: {
+        suspended_at: new Date(),
+        suspended_until: suspendedUntil,
+        suspension_reason: reason,
+        suspended_by_id: BigInt(authenticatedUser.userId),
+        updated_at: new Date()
+      }
+    })
+    // End every session so the suspension applies straight away
+    await this.sessionService.endAllSessions(userId)
+
+    await this._sendEmail(
+      () =>
+        this.emailService.sendAccountSuspendedEmail(user, {
+          suspendedUntil,
+          reason
+        }),
+      user
+    )
+
+    this.logger.info(
+      { userId, suspendedUntil, adminId: authenticatedUser.userId },
+      'Account suspended successfully'
+    )
+
+    return {
+      success: true,
+      message: 'Account suspended successfully',
+      account: toAccountSummary(user),
+      suspendedUntil
+    }
+  }
+
+  /**
+   * End a suspension before its end date
+   * @param {number} userId - User ID
+   * @param {Object} authenticatedUser - Admin ending the suspension
+   * @returns {Promise<Object>} Result with account details
+   */
+  async endSuspension(userId, authenticatedUser) {
+    const user = await this._findUserOrThrow(userId)
+
+    if (!user.suspended_until) {
+      throw new BadRequestError(
+        'Account is not suspended',
+        ACCOUNT_ERROR_CODES.NOT_SUSPENDED
+      )
+    }
+
+    await this._clearSuspension(user, new Date())
+
+    this.logger.info(
+      { userId, adminId: authenticatedUser.userId },
+      'Account suspension ended by admin'
+    )
+
+    return {
+      success: true,
+      message: 'Account suspension ended',
+      account: toAccountSummary(user)
+    }
+  }
+
+  /**
+   * Clear every suspension whose end date has passed and email the users.
+   * Failures are logged per account so one bad row does not stop the rest.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { reactivatedCount, failedCount, accounts }
+   */
+  async reactivateExpiredSuspensions(now = new Date()) {
+    const users = await this.prisma.pafs_core_users.findMany({
+      where: { suspended_until: { lte: now } },
+      select: SUSPENSION_SELECT_FIELDS
+    })
+
+    const accounts = []
+    let failedCount = 0
+
+    for (const user of users) {
+      try {
+        await this._clearSuspension(user, now)
+        accounts.push(toAccountSummary(user))
+      } catch (error) {
+        failedCount++
+        this.logger.error(
+          { error, userId: user.id },
+          'Failed to reactivate suspended account'
+        )
+      }
+    }
+
+    return { reactivatedCount: accounts.length, failedCount, accounts }
+  }
+
+  /**
+   * Clear the suspension columns and email the user. The inactivity clock
+   * restarts so the time away does not count towards disabling the account.
+   * @private
+   */
+  async _clearSuspension(user, now) {
+    await this.prisma.pafs_core_users.update({
+      where: { id: BigInt(user.id) },
+      data: {
+        ...CLEARED_SUSPENSION,
+        inactivity_warning_sent_at: null,
+        last_sign_in_at: now,
+        updated_at: now
+      }
+    })
+
+    await this._sendEmail(
+      () => this.emailService.sendSuspensionEndedEmail(user),
+      user
+    )
+  }
+
+  /**
+   * Emails are a courtesy; a Notify failure must not undo the change
+   * @private
+   */
+  async _sendEmail(send, user) {
+    try {
+      await send()
+    } catch (error) {
+      this.logger.error(
+        { error, userId: user.id, email: user.email },
+        'Failed to send account suspension email'
+      )
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _findUserOrThrow(userId) {
+    const user = await this.prisma.pafs_core_users.findUnique({
+      where: { id: BigInt(userId) },
+      select: SUSPENSION_SELECT_FIELDS
+    })
+
+    if (!user) {
+      throw new NotFoundError(
+        `Account with ID ${userId} not found`,
+        ACCOUNT_ERROR_CODES.NOT_FOUND,
+        { userId }
+      )
+    }
+
+    return user
+  }
+}
@@ -0,0 +1,245 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { AccountSuspensionService } from './account-suspension-service.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  ACCOUNT_STATUS
+} from '../../../common/constants/accounts.js'
+
+const mockAccountEmailService = {
+  sendAccountSuspendedEmail: vi.fn(),
+  sendSuspensionEndedEmail: vi.fn()
+}
+
+vi.mock('./account-email-service.js', () => ({
+  AccountEmailService: vi.fn(function () {
+    return mockAccountEmailService
+  })
+}))
+
+const mockEndAllSessions = vi.fn()
+
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: class {
+    endAllSessions = mockEndAllSessions
+  }
+}))
+
+describe('AccountSuspensionService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+
+  const admin = { userId: 1, isAdmin: true }
+  const activeUser = {
+    id: BigInt(5),
+    email: 'user@example.com',
+    first_name: 'Alex',
+    last_name: 'Jones',
+    status: ACCOUNT_STATUS.ACTIVE,
+    disabled: false,
+    suspended_until: null
+  }
+  const suspendedUntil = new Date('2027-03-01T00:00:00Z')
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    mockPrisma = {
+      pafs_core_users: {
+        findUnique: vi.fn().mockResolvedValue(activeUser),
+        findMany: vi.fn().mockResolvedValue([]),
+        update: vi.fn().mockResolvedValue({})
+      }
+    }
+    mockAccountEmailService.sendAccountSuspendedEmail.mockResolvedValue()
+    mockAccountEmailService.sendSuspensionEndedEmail.mockResolvedValue()
+
+    service = new AccountSuspensionService(mockPrisma, mockLogger, {})
+  })
+
+  describe('suspendAccount', () => {
+    it('records the suspension, ends the session and emails the user', async () => {
+      const result = await service.suspendAccount(
+        5,
+        { suspendedUntil, reason: 'Long leave' },
+        admin
+      )
+
+      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
+        where: { id: BigInt(5) },
+        data: {
+          suspended_at: expect.any(Date),
+          suspended_until: suspendedUntil,
+          suspension_reason: 'Long leave',
+          suspended_by_id: BigInt(1),
+          updated_at: expect.any(Date)
+        }
+      })
+      expect(mockEndAllSessions).toHaveBeenCalledWith(5)
+      expect(
+        mockAccountEmailService.sendAccountSuspendedEmail
+      ).toHaveBeenCalledWith(activeUser, {
+        suspendedUntil,
+        reason: 'Long leave'
+      })
+      expect(result).toEqual({
+        success: true,
+        message: 'Account suspended successfully',
+        account: {
+          id: 5,
+          email: 'user@example.com',
+          firstName: 'Alex',
+          lastName: 'Jones'
+        },
+        suspendedUntil
+      })
+    })
+
+    it('still suspends the account when the email fails', async () => {
+      mockAccountEmailService.sendAccountSuspendedEmail.mockRejectedValue(
+        new Error('Notify down')
+      )
+
+      const result = await service.suspendAccount(
+        5,
+        { suspendedUntil, reason: 'Long leave' },
+        admin
+      )
+
+      expect(result.success).toBe(true)
+      expect(mockLogger.error).toHaveBeenCalled()
+    })
+
+    it('refuses to suspend the caller', async () => {
+      await expect(
+        service.suspendAccount(1, { suspendedUntil, reason: 'x' }, admin)
+      ).rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.CANNOT_SUSPEND })
+    })
+
+    it('refuses disabled and pending accounts', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValueOnce({
+        ...activeUser,
+        disabled: true
+      })
+      await expect(
+        service.suspendAccount(5, { suspendedUntil, reason: 'x' }, admin)
+      ).rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.CANNOT_SUSPEND })
+
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValueOnce({
+        ...activeUser,
+        status: ACCOUNT_STATUS.PENDING
+      })
+      await expect(
+        service.suspendAccount(5, { suspendedUntil, reason: 'x' }, admin)
+      ).rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.CANNOT_SUSPEND })
+
+      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+    })
+
+    it('throws NotFoundError for an unknown account', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      await expect(
+        service.suspendAccount(5, { suspendedUntil, reason: 'x' }, admin)
+      ).rejects.toMatchObject({
+        statusCode: 404,
+        code: ACCOUNT_ERROR_CODES.NOT_FOUND
+      })
+    })
+  })
+
+  describe('endSuspension', () => {
+    it('clears the suspension, restarts the inactivity clock and emails the user', async () => {
+      const suspendedUser = { ...activeUser, suspended_until: suspendedUntil }
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(suspendedUser)
+
+      const result = await service.endSuspension(5, admin)
+
+      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
+        where: { id: BigInt(5) },
+        data: {
+          suspended_at: null,
+          suspended_until: null,
+          suspension_reason: null,
+          suspended_by_id: null,
+          inactivity_warning_sent_at: null,
+          last_sign_in_at: expect.any(Date),
+          updated_at: expect.any(Date)
+        }
+      })
+      expect(
+        mockAccountEmailService.sendSuspensionEndedEmail
+      ).toHaveBeenCalledWith(suspendedUser)
+      expect(result.message).toBe('Account suspension ended')
+    })
+
+    it('rejects an account that is not suspended', async () => {
+      await expect(service.endSuspension(5, admin)).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.NOT_SUSPENDED
+      })
+      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('reactivateExpiredSuspensions', () => {
+    const now = new Date('2027-03-01T00:15:00Z')
+
+    it('clears every suspension that has ended', async () => {
+      mockPrisma.pafs_core_users.findMany.mockResolvedValue([
+        { ...activeUser, suspended_until: suspendedUntil },
+        {
+          ...activeUser,
+          id: BigInt(6),
+          email: 'other@example.com',
+          suspended_until: suspendedUntil
+        }
+      ])
+
+      const result = await service.reactivateExpiredSuspensions(now)
+
+      expect(mockPrisma.pafs_core_users.findMany).toHaveBeenCalledWith({
+        where: { suspended_until: { lte: now } },
+        select: expect.objectContaining({ suspended_until: true })
+      })
+      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledTimes(2)
+      expect(
+        mockAccountEmailService.sendSuspensionEndedEmail
+      ).toHaveBeenCalledTimes(2)
+      expect(result).toEqual({
+        reactivatedCount: 2,
+        failedCount: 0,
+        accounts: [
+          expect.objectContaining({ id: 5 }),
+          expect.objectContaining({ id: 6, email: 'other@example.com' })
+        ]
+      })
+    })
+
+    it('carries on past an account that fails to update', async () => {
+      mockPrisma.pafs_core_users.findMany.mockResolvedValue([
+        { ...activeUser, suspended_until: suspendedUntil },
+        { ...activeUser, id: BigInt(6), suspended_until: suspendedUntil }
+      ])
+      mockPrisma.pafs_core_users.update
+        .mockRejectedValueOnce(new Error('db error'))
+        .mockResolvedValueOnce({})
+
+      const result = await service.reactivateExpiredSuspensions(now)
+
+      expect(result.reactivatedCount).toBe(1)
+      expect(result.failedCount).toBe(1)
+      expect(mockLogger.error).toHaveBeenCalled()
+    })
+
+    it('returns zero counts when nothing has ended', async () => {
+      const result = await service.reactivateExpiredSuspensions(now)
+
+      expect(result).toEqual({
+        reactivatedCount: 0,
+        failedCount: 0,
+        accounts: []
+      })
+    })
+  })
+})
@@ -6,7 +6,9 @@ import { EmailValidationService } from '../../../common/services/email/email-val
 import { AccountEmailService } from './account-email-service.js'
 import { AccountAreaValidator } from './account-area-validator.js'
 import { AccountInvitationService } from './account-invitation-service.js'
+import { NotificationService } from '../../notifications/services/notification-service.js'
 import { invalidateCachedUserAreas } from '../../auth/helpers/user-areas-cache.js'
+import { SessionService } from '../../auth/services/session-service.js'
 
 export class AccountUpsertService {
   constructor(prisma, logger, emailService, areaService) {
@@ -20,7 +22,8 @@ export class AccountUpsertService {
     this.emailService = new AccountEmailService(
       emailService,
       areaService,
-      logger
+      logger,
+      new NotificationService(prisma, logger)
     )
     this.areaValidator = new AccountAreaValidator(areaService, logger)
     this.invitationService = new AccountInvitationService(
@@ -28,6 +31,7 @@ export class AccountUpsertService {
       logger,
       this.emailService
     )
+    this.sessionService = new SessionService(prisma, logger)
   }
 
   /**
@@ -107,23 +111,23 @@ export class AccountUpsertService {
       hashedToken
     )
 
-    // Only invalidate the user's active session when the admin flag is actually
-    // changing (upgrade or downgrade). This forces an immediate re-login so the
-    // new role takes effect without waiting for the 15-minute auth cache TTL.
+    // Only end the user's sessions when the admin flag is actually changing
+    // (upgrade or downgrade). This forces an immediate re-login so the new
+    // role takes effect without waiting for the 15-minute auth cache TTL.
     const existing = await this.prisma.pafs_core_users.findUnique({
       where: uniqueWhere,
       select: { admin: true }
     })
     const adminChanged = existing !== null && existing.admin !== dbData.admin
-    const updateFields = adminChanged
-      ? { ...commonFields, unique_session_id: null }
-      : commonFields
 
     const user = await this.prisma.pafs_core_users.upsert({
       where: uniqueWhere,
-      update: updateFields,
+      update: commonFields,
       create: createOnlyFields
     })
+    if (adminChanged) {
+      await this.sessionService.endAllSessions(user.id)
+    }
     return { user, sessionCleared: adminChanged }
   }
 
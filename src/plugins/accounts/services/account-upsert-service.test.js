@@ -15,6 +15,14 @@ vi.mock('../../auth/helpers/user-areas-cache.js', () => ({
   invalidateCachedUserAreas: vi.fn()
 }))
 
+const mockEndAllSessions = vi.fn()
+
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: vi.fn(function () {
+    return { endAllSessions: mockEndAllSessions }
+  })
+}))
+
 vi.mock('../../../config.js', () => ({
   config: {
     get: vi.fn((key) => {
@@ -332,8 +340,9 @@ describe('AccountUpsertService', () => {
         expect(mockPrisma.pafs_core_users.upsert).toHaveBeenCalledWith({
           where: { id: 5n },
           create: expect.any(Object),
-          update: expect.not.objectContaining({ unique_session_id: null })
+          update: expect.any(Object)
         })
+        expect(mockEndAllSessions).not.toHaveBeenCalled()
         expect(result.message).toContain('updated')
         expect(result.userId).toBe(5)
         expect(result.sessionCleared).toBe(false)
@@ -357,11 +366,7 @@ describe('AccountUpsertService', () => {
 
         const result = await service.upsertAccount(accountData)
 
-        expect(mockPrisma.pafs_core_users.upsert).toHaveBeenCalledWith(
-          expect.objectContaining({
-            update: expect.objectContaining({ unique_session_id: null })
-          })
-        )
+        expect(mockEndAllSessions).toHaveBeenCalledWith(5n)
         expect(result.sessionCleared).toBe(true)
       })
 
@@ -387,11 +392,7 @@ describe('AccountUpsertService', () => {
           authenticatedUser: authenticatedAdmin
         })
 
-        expect(mockPrisma.pafs_core_users.upsert).toHaveBeenCalledWith(
-          expect.objectContaining({
-            update: expect.objectContaining({ unique_session_id: null })
-          })
-        )
+        expect(mockEndAllSessions).toHaveBeenCalledWith(5n)
         expect(result.sessionCleared).toBe(true)
       })
 
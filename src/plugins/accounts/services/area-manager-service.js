@@ -0,0 +1,220 @@
+/**
+ * AreaManagerService
+ *
+ * Delegated account administration. An area manager is a PSO or EA lead
+ * (pafs_core_users.area_manager) who may approve, resend invitations for and
+ * disable accounts whose areas all fall within their own, resolved the same
+ * way as project access (RMA → PSO → EA). Each delegated action is written to
+ * audit_log alongside the row changes recorded by the audit extension.
+ */
+import { Prisma } from '@prisma/client'
+import {
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_AUDIT_MODEL
+} from '../../../common/constants/accounts.js'
+import {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError
+} from '../../../common/errors/http-errors.js'
+import {
+  fetchUserAreas,
+  getAreaTypeFlags,
+  resolveAccessibleAreaIdsForUser
+} from '../../areas/helpers/user-areas.js'
+import { SessionService } from '../../auth/services/session-service.js'
+
+function outsideManagedAreas(userId) {
+  return new ForbiddenError(
+    `Account ${userId} is not within your managed areas`,
+    ACCOUNT_ERROR_CODES.OUTSIDE_MANAGED_AREAS,
+    null
+  )
+}
+
+export class AreaManagerService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+    this.sessionService = new SessionService(prisma, logger)
+  }
+
+  /**
+   * Check an area manager may act on an account. Every one of the account's
+   * areas must be within the manager's hierarchy; admins, the manager
+   * themselves and accounts without areas are left to global admins.
+   *
+   * @param {Object} authenticatedUser - JWT credentials of the area manager
+   * @param {number|string} userId - Account being acted on
+   * @returns {Promise<number[]>} The account's area IDs
+   * @throws {NotFoundError} When the account does not exist
+   * @throws {ForbiddenError} When the account is outside the manager's areas
+   */
+  async assertCanManage(authenticatedUser, userId) {
+    const managerId = authenticatedUser.userId
+    const user = await this.prisma.pafs_core_users.findUnique({
+      where: { id: BigInt(userId) },
+      select: { id: true, admin: true }
+    })
+
+    if (!user) {
+      throw new NotFoundError(
+        `User with ID ${userId} not found`,
+        ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      )
+    }
+
+    if (user.admin || Number(user.id) === Number(managerId)) {
+      throw outsideManagedAreas(userId)
+    }
+
+    const managedAreaIds = await this._resolveManagedAreaIds(managerId)
+    const userAreas = await this.prisma.pafs_core_user_areas.findMany({
+      where: { user_id: BigInt(userId) },
+      select: { area_id: true }
+    })
+    const areaIds = userAreas.map((userArea) => Number(userArea.area_id))
+
+    if (
+      areaIds.length === 0 ||
+      !areaIds.every((areaId) => managedAreaIds.has(areaId))
+    ) {
+      this.logger.warn(
+        { managerId, userId, areaIds },
+        'Delegated account action refused: account outside managed areas'
+      )
+      throw outsideManagedAreas(userId)
+    }
+
+    return areaIds
+  }
+
+  /**
+   * Write a delegated action to audit_log. Fire-and-forget: the action has
+   * already succeeded, so a failed write is logged rather than thrown.
+   *
+   * @param {Object} authenticatedUser - JWT credentials of the area manager
+   * @param {number|string} userId - Account acted on
+   * @param {string} action - One of DELEGATED_ACCOUNT_ACTIONS
+   * @param {number[]} areaIds - The account's area IDs at the time
+   */
+  recordDelegatedAction(authenticatedUser, userId, action, areaIds) {
+    const managerId = authenticatedUser.userId
+
+    this.logger.info(
+      { managerId, userId, action },
+      'Delegated account action completed'
+    )
+
+    this.prisma.audit_log
+      .create({
+        data: {
+          model: DELEGATED_ACCOUNT_AUDIT_MODEL,
+          entity_id: String(userId),
+          action,
+          changed_by: String(managerId),
+          before_data: Prisma.JsonNull,
+          after_data: {
+            userId: Number(userId),
+            managerId: Number(managerId),
+            managerEmail: authenticatedUser.email,
+            areaIds
+          },
+          diff: Prisma.JsonNull
+        }
+      })
+      .catch((err) => {
+        this.logger.error(
+          { err, managerId, userId, action },
+          'Failed to write delegated account action to audit_log'
+        )
+      })
+  }
+
+  /**
+   * Grant or revoke the area manager role. Only PSO and EA users can be
+   * area managers; revoking is always allowed. A change signs the user out
+   * everywhere, so no session keeps credentials with the old role.
+   *
+   * @param {number|string} userId
+   * @param {boolean} areaManager
+   * @param {Object} authenticatedUser - Admin making the change
+   * @returns {Promise<Object>} Update result
+   */
+  async setAreaManager(userId, areaManager, authenticatedUser) {
+    const user = await this.prisma.pafs_core_users.findUnique({
+      where: { id: BigInt(userId) },
+      select: {
+        id: true,
+        first_name: true,
+        last_name: true,
+        admin: true,
+        area_manager: true
+      }
+    })
+
+    if (!user) {
+      throw new NotFoundError(
+        `User with ID ${userId} not found`,
+        ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      )
+    }
+
+    if (areaManager) {
+      const { isPso, isEa } = getAreaTypeFlags(
+        await fetchUserAreas(this.prisma, userId)
+      )
+      if (user.admin || !(isPso || isEa)) {
+        throw new BadRequestError(
+          'Only non-admin users with a PSO or EA main area can be area managers',
+          ACCOUNT_ERROR_CODES.AREA_MANAGER_AREA_INVALID,
+          'areaManager'
+        )
+      }
+    }
+
+    await this.prisma.pafs_core_users.update({
+      where: { id: BigInt(userId) },
+      data: { area_manager: areaManager, updated_at: new Date() }
+    })
+    if (Boolean(user.area_manager) !== areaManager) {
+      await this.sessionService.endAllSessions(userId)
+    }
+
+    this.logger.info(
+      { userId, areaManager, adminId: authenticatedUser.userId },
+      'Area manager role updated'
+    )
+
+    return {
+      message: areaManager
+        ? 'Area manager role granted'
+        : 'Area manager role revoked',
+      userId: Number(userId),
+      userName: `${user.first_name} ${user.last_name}`,
+      areaManager
+    }
+  }
+
+  /**
+   * Area IDs a manager may act within: their own PSO/EA areas resolved to
+   * the RMAs beneath them. Managers whose main area is not PSO or EA manage
+   * nothing.
+   * @private
+   */
+  async _resolveManagedAreaIds(managerId) {
+    const { isPso, isEa } = getAreaTypeFlags(
+      await fetchUserAreas(this.prisma, managerId)
+    )
+    if (!isPso && !isEa) {
+      return new Set()
+    }
+
+    const areaIds = await resolveAccessibleAreaIdsForUser(
+      this.prisma,
+      this.logger,
+      managerId
+    )
+    return new Set(areaIds.map(Number))
+  }
+}
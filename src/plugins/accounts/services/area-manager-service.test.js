@@ -0,0 +1,303 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Prisma } from '@prisma/client'
+import { AreaManagerService } from './area-manager-service.js'
+import {
+  ACCOUNT_ERROR_CODES,
+  DELEGATED_ACCOUNT_ACTIONS,
+  DELEGATED_ACCOUNT_AUDIT_MODEL
+} from '../../../common/constants/accounts.js'
+import { AREA_TYPE_MAP } from '../../../common/constants/common.js'
+
+const { mockFetchUserAreas, mockResolveAccessibleAreaIds, mockEndAllSessions } =
+  vi.hoisted(() => ({
+    mockFetchUserAreas: vi.fn(),
+    mockResolveAccessibleAreaIds: vi.fn(),
+    mockEndAllSessions: vi.fn()
+  }))
+
+vi.mock('../../areas/helpers/user-areas.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchUserAreas: mockFetchUserAreas,
+  resolveAccessibleAreaIdsForUser: mockResolveAccessibleAreaIds
+}))
+
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: class {
+    endAllSessions = mockEndAllSessions
+  }
+}))
+
+const psoManagerAreas = [
+  { areaId: 20, primary: true, name: 'PSO Thames', areaType: AREA_TYPE_MAP.PSO }
+]
+
+describe('AreaManagerService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+
+  const manager = {
+    userId: 300,
+    email: 'pso.lead@environment-agency.gov.uk',
+    isAdmin: false,
+    isAreaManager: true
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    mockPrisma = {
+      pafs_core_users: {
+        findUnique: vi.fn(),
+        update: vi.fn().mockResolvedValue({})
+      },
+      pafs_core_user_areas: { findMany: vi.fn() },
+      audit_log: { create: vi.fn().mockResolvedValue({}) }
+    }
+
+    mockFetchUserAreas.mockResolvedValue(psoManagerAreas)
+    mockResolveAccessibleAreaIds.mockResolvedValue([101, 102])
+
+    service = new AreaManagerService(mockPrisma, mockLogger)
+  })
+
+  describe('assertCanManage', () => {
+    beforeEach(() => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: BigInt(5),
+        admin: false
+      })
+    })
+
+    it('returns the account area IDs when all are within the managed areas', async () => {
+      mockPrisma.pafs_core_user_areas.findMany.mockResolvedValue([
+        { area_id: BigInt(101) },
+        { area_id: BigInt(102) }
+      ])
+
+      await expect(service.assertCanManage(manager, 5)).resolves.toEqual([
+        101, 102
+      ])
+      expect(mockResolveAccessibleAreaIds).toHaveBeenCalledWith(
+        mockPrisma,
+        mockLogger,
+        300
+      )
+      expect(mockPrisma.pafs_core_user_areas.findMany).toHaveBeenCalledWith({
+        where: { user_id: BigInt(5) },
+        select: { area_id: true }
+      })
+    })
+
+    it('refuses an account with any area outside the managed areas', async () => {
+      mockPrisma.pafs_core_user_areas.findMany.mockResolvedValue([
+        { area_id: BigInt(101) },
+        { area_id: BigInt(999) }
+      ])
+
+      await expect(service.assertCanManage(manager, 5)).rejects.toMatchObject({
+        statusCode: 403,
+        code: ACCOUNT_ERROR_CODES.OUTSIDE_MANAGED_AREAS
+      })
+      expect(mockLogger.warn).toHaveBeenCalled()
+    })
+
+    it('refuses an account with no areas', async () => {
+      mockPrisma.pafs_core_user_areas.findMany.mockResolvedValue([])
+
+      await expect(service.assertCanManage(manager, 5)).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.OUTSIDE_MANAGED_AREAS
+      })
+    })
+
+    it('refuses admin accounts', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: BigInt(5),
+        admin: true
+      })
+
+      await expect(service.assertCanManage(manager, 5)).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.OUTSIDE_MANAGED_AREAS
+      })
+      expect(mockResolveAccessibleAreaIds).not.toHaveBeenCalled()
+    })
+
+    it('refuses the manager acting on their own account', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: BigInt(300),
+        admin: false
+      })
+
+      await expect(service.assertCanManage(manager, 300)).rejects.toMatchObject(
+        {
+          code: ACCOUNT_ERROR_CODES.OUTSIDE_MANAGED_AREAS
+        }
+      )
+    })
+
+    it('manages nothing when the manager main area is not PSO or EA', async () => {
+      mockFetchUserAreas.mockResolvedValue([
+        { areaId: 101, primary: true, name: 'RMA', areaType: AREA_TYPE_MAP.RMA }
+      ])
+      mockPrisma.pafs_core_user_areas.findMany.mockResolvedValue([
+        { area_id: BigInt(101) }
+      ])
+
+      await expect(service.assertCanManage(manager, 5)).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.OUTSIDE_MANAGED_AREAS
+      })
+      expect(mockResolveAccessibleAreaIds).not.toHaveBeenCalled()
+    })
+
+    it('throws NotFoundError when the account does not exist', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      await expect(service.assertCanManage(manager, 5)).rejects.toMatchObject({
+        statusCode: 404,
+        code: ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      })
+    })
+  })
+
+  describe('recordDelegatedAction', () => {
+    it('writes the action to audit_log', () => {
+      service.recordDelegatedAction(
+        manager,
+        5,
+        DELEGATED_ACCOUNT_ACTIONS.DISABLE,
+        [101]
+      )
+
+      expect(mockPrisma.audit_log.create).toHaveBeenCalledWith({
+        data: {
+          model: DELEGATED_ACCOUNT_AUDIT_MODEL,
+          entity_id: '5',
+          action: DELEGATED_ACCOUNT_ACTIONS.DISABLE,
+          changed_by: '300',
+          before_data: Prisma.JsonNull,
+          after_data: {
+            userId: 5,
+            managerId: 300,
+            managerEmail: 'pso.lead@environment-agency.gov.uk',
+            areaIds: [101]
+          },
+          diff: Prisma.JsonNull
+        }
+      })
+    })
+
+    it('logs rather than throws when the audit write fails', async () => {
+      mockPrisma.audit_log.create.mockRejectedValue(new Error('db down'))
+
+      expect(() =>
+        service.recordDelegatedAction(
+          manager,
+          5,
+          DELEGATED_ACCOUNT_ACTIONS.APPROVE,
+          [101]
+        )
+      ).not.toThrow()
+      await vi.waitFor(() => expect(mockLogger.error).toHaveBeenCalled())
+    })
+  })
+
+  describe('setAreaManager', () => {
+    const admin = { userId: 1, isAdmin: true }
+
+    beforeEach(() => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: BigInt(7),
+        first_name: 'Pat',
+        last_name: 'Lead',
+        admin: false
+      })
+    })
+
+    it('grants the role to a PSO user', async () => {
+      const result = await service.setAreaManager(7, true, admin)
+
+      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
+        where: { id: BigInt(7) },
+        data: { area_manager: true, updated_at: expect.any(Date) }
+      })
+      expect(result).toEqual({
+        message: 'Area manager role granted',
+        userId: 7,
+        userName: 'Pat Lead',
+        areaManager: true
+      })
+    })
+
+    it('signs the user out everywhere when the role is granted', async () => {
+      await service.setAreaManager(7, true, admin)
+
+      expect(mockEndAllSessions).toHaveBeenCalledWith(7)
+    })
+
+    it('signs the user out everywhere when the role is revoked', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: BigInt(7),
+        first_name: 'Pat',
+        last_name: 'Lead',
+        admin: false,
+        area_manager: true
+      })
+
+      await service.setAreaManager(7, false, admin)
+
+      expect(mockEndAllSessions).toHaveBeenCalledWith(7)
+    })
+
+    it('keeps sessions when the role is unchanged', async () => {
+      await service.setAreaManager(7, false, admin)
+
+      expect(mockEndAllSessions).not.toHaveBeenCalled()
+    })
+
+    it('refuses to grant the role to an RMA user', async () => {
+      mockFetchUserAreas.mockResolvedValue([
+        { areaId: 101, primary: true, name: 'RMA', areaType: AREA_TYPE_MAP.RMA }
+      ])
+
+      await expect(
+        service.setAreaManager(7, true, admin)
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        code: ACCOUNT_ERROR_CODES.AREA_MANAGER_AREA_INVALID
+      })
+      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+    })
+
+    it('refuses to grant the role to an admin', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: BigInt(7),
+        first_name: 'Pat',
+        last_name: 'Lead',
+        admin: true
+      })
+
+      await expect(
+        service.setAreaManager(7, true, admin)
+      ).rejects.toMatchObject({
+        code: ACCOUNT_ERROR_CODES.AREA_MANAGER_AREA_INVALID
+      })
+    })
+
+    it('revokes the role without checking areas', async () => {
+      const result = await service.setAreaManager(7, false, admin)
+
+      expect(mockFetchUserAreas).not.toHaveBeenCalled()
+      expect(result.message).toBe('Area manager role revoked')
+      expect(result.areaManager).toBe(false)
+    })
+
+    it('throws NotFoundError when the user does not exist', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      await expect(
+        service.setAreaManager(7, true, admin)
+      ).rejects.toMatchObject({ code: ACCOUNT_ERROR_CODES.USER_NOT_FOUND })
+    })
+  })
+})
@@ -0,0 +1,45 @@
+import { AreaManagerService } from '../services/area-manager-service.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { createSimpleAdminHandler } from '../helpers/admin-route-handler.js'
+import { getAccountByIdSchema, setAreaManagerSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const setAreaManager = {
+  method: 'PATCH',
+  path: '/api/v1/accounts/{id}/area-manager',
+  options: {
+    auth: 'jwt',
+    description: 'Grant or revoke the area manager role',
+    notes:
+      'Admin only. Area managers are PSO or EA users who may approve, resend ' +
+      'invitations for and disable accounts within their areas. A change ' +
+      'signs the user out of every session.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: getAccountByIdSchema,
+      payload: setAreaManagerSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createSimpleAdminHandler(
+    async (request, userId, authenticatedUser) => {
+      const areaManagerService = new AreaManagerService(
+        request.prisma,
+        request.server.logger
+      )
+      const result = await areaManagerService.setAreaManager(
+        userId,
+        request.payload.areaManager,
+        authenticatedUser
+      )
+      // The role is read into the JWT credentials, which are cached
+      request.server.invalidateAuthCacheForUser(userId)
+      return result
+    },
+    'Admin authentication required to change area managers',
+    ACCOUNT_ERROR_CODES.AREA_MANAGER_UPDATE_FAILED,
+    'Failed to update area manager role'
+  )
+}
+
+export default setAreaManager
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { BadRequestError } from '../../../common/errors/index.js'
+
+const mockAreaManagerService = {
+  setAreaManager: vi.fn()
+}
+
+vi.mock('../services/area-manager-service.js', () => ({
+  AreaManagerService: vi.fn(function () {
+    return mockAreaManagerService
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: setAreaManager } = await import('./set-area-manager.js')
+
+describe('set-area-manager endpoint', () => {
+  let mockRequest
+  let mockH
+
+  const adminUser = { userId: 100, email: 'admin@gov.uk', isAdmin: true }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 7 },
+      payload: { areaManager: true },
+      auth: { credentials: adminUser },
+      prisma: {},
+      server: {
+        logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() },
+        invalidateAuthCacheForUser: vi.fn()
+      }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method, path and validation', () => {
+    expect(setAreaManager.method).toBe('PATCH')
+    expect(setAreaManager.path).toBe('/api/v1/accounts/{id}/area-manager')
+    expect(setAreaManager.options.auth).toBe('jwt')
+    expect(setAreaManager.options.validate.params).toBeDefined()
+    expect(setAreaManager.options.validate.payload).toBeDefined()
+  })
+
+  it('grants the role and clears cached credentials', async () => {
+    const result = {
+      message: 'Area manager role granted',
+      userId: 7,
+      userName: 'Pat Lead',
+      areaManager: true
+    }
+    mockAreaManagerService.setAreaManager.mockResolvedValue(result)
+
+    await setAreaManager.handler(mockRequest, mockH)
+
+    expect(mockAreaManagerService.setAreaManager).toHaveBeenCalledWith(
+      7,
+      true,
+      adminUser
+    )
+    expect(mockRequest.server.invalidateAuthCacheForUser).toHaveBeenCalledWith(
+      7
+    )
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('is admin only, even for area managers', async () => {
+    mockRequest.auth.credentials = {
+      userId: 300,
+      isAdmin: false,
+      isAreaManager: true
+    }
+
+    await setAreaManager.handler(mockRequest, mockH)
+
+    expect(mockAreaManagerService.setAreaManager).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 400 when the user cannot be an area manager', async () => {
+    mockAreaManagerService.setAreaManager.mockRejectedValue(
+      new BadRequestError(
+        'Only non-admin users with a PSO or EA main area can be area managers',
+        ACCOUNT_ERROR_CODES.AREA_MANAGER_AREA_INVALID,
+        'areaManager'
+      )
+    )
+
+    await setAreaManager.handler(mockRequest, mockH)
+
+    expect(mockRequest.server.invalidateAuthCacheForUser).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST)
+  })
+
+  it('returns 500 with the update error code on unexpected errors', async () => {
+    mockAreaManagerService.setAreaManager.mockRejectedValue(
+      new Error('Database error')
+    )
+
+    await setAreaManager.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errors: expect.arrayContaining([
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.AREA_MANAGER_UPDATE_FAILED
+          })
+        ])
+      })
+    )
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
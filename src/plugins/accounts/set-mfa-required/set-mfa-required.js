@@ -0,0 +1,38 @@
+import { MfaService } from '../../auth/services/mfa-service.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { createSimpleAdminHandler } from '../helpers/admin-route-handler.js'
+import { getAccountByIdSchema, setMfaRequiredSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const setMfaRequired = {
+  method: 'PATCH',
+  path: '/api/v1/accounts/{id}/mfa-required',
+  options: {
+    auth: 'jwt',
+    description: 'Require or stop requiring MFA for a user',
+    notes:
+      'Admin only. A user who is required to use MFA but has not enrolled ' +
+      'must set it up before their next sign-in completes.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: getAccountByIdSchema,
+      payload: setMfaRequiredSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createSimpleAdminHandler(
+    async (request, userId, authenticatedUser) => {
+      const mfaService = new MfaService(request.prisma, request.server.logger)
+      return mfaService.setMfaRequired(
+        userId,
+        request.payload.mfaRequired,
+        authenticatedUser
+      )
+    },
+    'Admin authentication required to change MFA requirements',
+    ACCOUNT_ERROR_CODES.MFA_REQUIREMENT_UPDATE_FAILED,
+    'Failed to update MFA requirement'
+  )
+}
+
+export default setMfaRequired
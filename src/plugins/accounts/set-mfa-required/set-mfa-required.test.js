@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+
+const mockMfaService = {
+  setMfaRequired: vi.fn()
+}
+
+vi.mock('../../auth/services/mfa-service.js', () => ({
+  MfaService: vi.fn(function () {
+    return mockMfaService
+  })
+}))
+
+const { default: setMfaRequired } = await import('./set-mfa-required.js')
+
+describe('set-mfa-required endpoint', () => {
+  let mockRequest
+  let mockH
+
+  const adminUser = { userId: 100, email: 'admin@gov.uk', isAdmin: true }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 7 },
+      payload: { mfaRequired: true },
+      auth: { credentials: adminUser },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method, path and validation', () => {
+    expect(setMfaRequired.method).toBe('PATCH')
+    expect(setMfaRequired.path).toBe('/api/v1/accounts/{id}/mfa-required')
+    expect(setMfaRequired.options.auth).toBe('jwt')
+    expect(setMfaRequired.options.validate.params).toBeDefined()
+    expect(setMfaRequired.options.validate.payload).toBeDefined()
+  })
+
+  it('updates the MFA requirement', async () => {
+    const result = {
+      message: 'MFA required',
+      userId: 7,
+      mfaRequired: true,
+      mfaEnabled: false
+    }
+    mockMfaService.setMfaRequired.mockResolvedValue(result)
+
+    await setMfaRequired.handler(mockRequest, mockH)
+
+    expect(mockMfaService.setMfaRequired).toHaveBeenCalledWith(
+      7,
+      true,
+      adminUser
+    )
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('is admin only', async () => {
+    mockRequest.auth.credentials = { userId: 300, isAdmin: false }
+
+    await setMfaRequired.handler(mockRequest, mockH)
+
+    expect(mockMfaService.setMfaRequired).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 500 with the update error code on unexpected errors', async () => {
+    mockMfaService.setMfaRequired.mockRejectedValue(new Error('Database error'))
+
+    await setMfaRequired.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errors: expect.arrayContaining([
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.MFA_REQUIREMENT_UPDATE_FAILED
+          })
+        ])
+      })
+    )
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
@@ -0,0 +1,41 @@
+import { SessionService } from '../../auth/services/session-service.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { createSimpleAdminHandler } from '../helpers/admin-route-handler.js'
+import { getAccountByIdSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const signOutAccount = {
+  method: 'PATCH',
+  path: '/api/v1/accounts/{id}/sign-out',
+  options: {
+    auth: 'jwt',
+    description: 'Sign a user out everywhere',
+    notes:
+      'Admin only. Ends every session on the account, e.g. when a device ' +
+      'is reported lost. The user can sign in again straight away.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: getAccountByIdSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createSimpleAdminHandler(
+    async (request, userId, authenticatedUser) => {
+      const sessionService = new SessionService(
+        request.prisma,
+        request.server.logger
+      )
+      const result = await sessionService.signOutAccount(
+        userId,
+        authenticatedUser
+      )
+      request.server.invalidateAuthCacheForUser(userId)
+      return result
+    },
+    'Admin authentication required to sign users out',
+    ACCOUNT_ERROR_CODES.SIGN_OUT_FAILED,
+    'Failed to sign user out'
+  )
+}
+
+export default signOutAccount
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { NotFoundError } from '../../../common/errors/index.js'
+
+const mockSessionService = {
+  signOutAccount: vi.fn()
+}
+
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: vi.fn(function () {
+    return mockSessionService
+  })
+}))
+
+const { default: signOutAccount } = await import('./sign-out-account.js')
+
+describe('sign-out-account endpoint', () => {
+  let mockRequest
+  let mockH
+
+  const adminUser = { userId: 100, email: 'admin@gov.uk', isAdmin: true }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 7 },
+      auth: { credentials: adminUser },
+      prisma: {},
+      server: {
+        logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() },
+        invalidateAuthCacheForUser: vi.fn()
+      }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method, path and validation', () => {
+    expect(signOutAccount.method).toBe('PATCH')
+    expect(signOutAccount.path).toBe('/api/v1/accounts/{id}/sign-out')
+    expect(signOutAccount.options.auth).toBe('jwt')
+    expect(signOutAccount.options.validate.params).toBeDefined()
+  })
+
+  it('signs the user out and evicts them from the auth cache', async () => {
+    const result = {
+      message: 'User signed out of all sessions',
+      userId: 7,
+      endedCount: 2
+    }
+    mockSessionService.signOutAccount.mockResolvedValue(result)
+
+    await signOutAccount.handler(mockRequest, mockH)
+
+    expect(mockSessionService.signOutAccount).toHaveBeenCalledWith(7, adminUser)
+    expect(mockRequest.server.invalidateAuthCacheForUser).toHaveBeenCalledWith(
+      7
+    )
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('is admin only', async () => {
+    mockRequest.auth.credentials = {
+      userId: 300,
+      isAdmin: false,
+      isAreaManager: true
+    }
+
+    await signOutAccount.handler(mockRequest, mockH)
+
+    expect(mockSessionService.signOutAccount).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 404 for an unknown account', async () => {
+    mockSessionService.signOutAccount.mockRejectedValue(
+      new NotFoundError(
+        'User with ID 7 not found',
+        ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      )
+    )
+
+    await signOutAccount.handler(mockRequest, mockH)
+
+    expect(mockRequest.server.invalidateAuthCacheForUser).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND)
+  })
+
+  it('returns 500 with the sign-out error code on unexpected errors', async () => {
+    mockSessionService.signOutAccount.mockRejectedValue(
+      new Error('Database error')
+    )
+
+    await signOutAccount.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errors: expect.arrayContaining([
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.SIGN_OUT_FAILED
+          })
+        ])
+      })
+    )
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
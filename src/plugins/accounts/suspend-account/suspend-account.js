@@ -0,0 +1,45 @@
+import { AccountSuspensionService } from '../services/account-suspension-service.js'
+import { getEmailService } from '../../../common/services/email/notify-service.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { createSimpleAdminHandler } from '../helpers/admin-route-handler.js'
+import { getAccountByIdSchema, suspendAccountSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const suspendAccount = {
+  method: 'PATCH',
+  path: '/api/v1/accounts/{id}/suspend',
+  options: {
+    auth: 'jwt',
+    description: 'Suspend an account until a date',
+    notes:
+      'Admin only. Blocks sign-in until suspendedUntil, emails the user the ' +
+      'reason, and reactivates the account automatically afterwards.',
+    tags: ['api', 'accounts', 'admin'],
+    validate: {
+      params: getAccountByIdSchema,
+      payload: suspendAccountSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: createSimpleAdminHandler(
+    async (request, userId, authenticatedUser) => {
+      const accountSuspensionService = new AccountSuspensionService(
+        request.prisma,
+        request.server.logger,
+        getEmailService(request.server.logger)
+      )
+      const result = await accountSuspensionService.suspendAccount(
+        userId,
+        request.payload,
+        authenticatedUser
+      )
+      request.server.invalidateAuthCacheForUser(userId)
+      return result
+    },
+    'Admin authentication required to suspend accounts',
+    ACCOUNT_ERROR_CODES.SUSPEND_FAILED,
+    'Failed to suspend account'
+  )
+}
+
+export default suspendAccount
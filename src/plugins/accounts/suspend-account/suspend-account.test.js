@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { BadRequestError } from '../../../common/errors/index.js'
+
+const mockAccountSuspensionService = {
+  suspendAccount: vi.fn()
+}
+
+vi.mock('../services/account-suspension-service.js', () => ({
+  AccountSuspensionService: vi.fn(function () {
+    return mockAccountSuspensionService
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const { default: suspendAccount } = await import('./suspend-account.js')
+
+describe('suspend-account endpoint', () => {
+  let mockRequest
+  let mockH
+
+  const adminUser = { userId: 100, email: 'admin@gov.uk', isAdmin: true }
+  const payload = {
+    suspendedUntil: new Date('2027-03-01T00:00:00Z'),
+    reason: 'Long leave'
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 5 },
+      payload,
+      auth: { credentials: adminUser },
+      prisma: {},
+      server: {
+        logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() },
+        invalidateAuthCacheForUser: vi.fn()
+      }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has correct method, path and validation', () => {
+    expect(suspendAccount.method).toBe('PATCH')
+    expect(suspendAccount.path).toBe('/api/v1/accounts/{id}/suspend')
+    expect(suspendAccount.options.auth).toBe('jwt')
+    expect(suspendAccount.options.validate.params).toBeDefined()
+    expect(suspendAccount.options.validate.payload).toBeDefined()
+  })
+
+  it('suspends the account and clears cached credentials', async () => {
+    const result = { success: true, message: 'Account suspended successfully' }
+    mockAccountSuspensionService.suspendAccount.mockResolvedValue(result)
+
+    await suspendAccount.handler(mockRequest, mockH)
+
+    expect(mockAccountSuspensionService.suspendAccount).toHaveBeenCalledWith(
+      5,
+      payload,
+      adminUser
+    )
+    expect(mockRequest.server.invalidateAuthCacheForUser).toHaveBeenCalledWith(
+      5
+    )
+    expect(mockH.response).toHaveBeenCalledWith(result)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('is admin only', async () => {
+    mockRequest.auth.credentials = {
+      userId: 300,
+      isAdmin: false,
+      isAreaManager: true
+    }
+
+    await suspendAccount.handler(mockRequest, mockH)
+
+    expect(mockAccountSuspensionService.suspendAccount).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.FORBIDDEN)
+  })
+
+  it('returns 400 when the account cannot be suspended', async () => {
+    mockAccountSuspensionService.suspendAccount.mockRejectedValue(
+      new BadRequestError(
+        'Only enabled, approved accounts can be suspended',
+        ACCOUNT_ERROR_CODES.CANNOT_SUSPEND
+      )
+    )
+
+    await suspendAccount.handler(mockRequest, mockH)
+
+    expect(mockRequest.server.invalidateAuthCacheForUser).not.toHaveBeenCalled()
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST)
+  })
+
+  it('returns 500 with the suspend error code on unexpected errors', async () => {
+    mockAccountSuspensionService.suspendAccount.mockRejectedValue(
+      new Error('Database error')
+    )
+
+    await suspendAccount.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(
+      expect.objectContaining({
+        errors: expect.arrayContaining([
+          expect.objectContaining({
+            errorCode: ACCOUNT_ERROR_CODES.SUSPEND_FAILED
+          })
+        ])
+      })
+    )
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
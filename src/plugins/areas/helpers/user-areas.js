@@ -128,6 +128,26 @@ export async function resolveUserAreaIds(prisma, logger, credentials) {
   return []
 }
 
+/**
+ * Narrow the user's accessible area IDs to a single requested area.
+ *
+ * Admin can narrow to any area. Non-admin users may only narrow to an area
+ * within their scope; an areaId outside it is silently ignored.
+ *
+ * @param {number[]|null} userAreaIds - From resolveUserAreaIds
+ * @param {number} [areaId] - Area requested in the query
+ * @param {Object} credentials - JWT credentials with isAdmin
+ * @returns {number[]|null} Effective area IDs for the query
+ */
+export function narrowToRequestedArea(userAreaIds, areaId, credentials) {
+  if (!areaId) {
+    return userAreaIds
+  }
+  const isInScope =
+    credentials.isAdmin || userAreaIds?.map(String).includes(String(areaId))
+  return isInScope ? [areaId] : userAreaIds
+}
+
 /**
  * Extract area IDs matching a specific area type
  * @param {Array} areas - User areas array
@@ -4,7 +4,8 @@ import {
   fetchAccountAreas,
   getAreaTypeFlags,
   resolveUserAreaIds,
-  resolveAccessibleAreaIdsForUser
+  resolveAccessibleAreaIdsForUser,
+  narrowToRequestedArea
 } from './user-areas.js'
 import { AreaService } from '../services/area-service.js'
 import { AREA_TYPE_MAP } from '../../../common/constants/common.js'
@@ -648,6 +649,30 @@ describe('user-areas helpers', () => {
     })
   })
 
+  describe('narrowToRequestedArea', () => {
+    test('returns the user area IDs when no area is requested', () => {
+      expect(narrowToRequestedArea([1, 2], undefined, {})).toEqual([1, 2])
+      expect(narrowToRequestedArea(null, undefined, { isAdmin: true })).toBe(
+        null
+      )
+    })
+
+    test('narrows admin to any requested area', () => {
+      expect(narrowToRequestedArea(null, 7, { isAdmin: true })).toEqual([7])
+    })
+
+    test('narrows non-admin to a requested area within scope', () => {
+      expect(narrowToRequestedArea([1, 2], 2, { isAdmin: false })).toEqual([2])
+    })
+
+    test('ignores a requested area outside the user scope', () => {
+      expect(narrowToRequestedArea([1, 2], 9, { isAdmin: false })).toEqual([
+        1, 2
+      ])
+      expect(narrowToRequestedArea([], 9, { isAdmin: false })).toEqual([])
+    })
+  })
+
   describe('resolveAccessibleAreaIdsForUser', () => {
     let mockPrisma
     let mockLogger
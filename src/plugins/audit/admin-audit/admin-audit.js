@@ -0,0 +1,60 @@
+import { AuditService } from '../services/audit-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { AUDIT_ERROR_CODES } from '../../../common/constants/audit.js'
+import { getAuditLogsQuerySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import { ForbiddenError } from '../../../common/errors/index.js'
+
+const adminAudit = {
+  method: 'GET',
+  path: '/api/v1/admin/audit',
+  options: {
+    auth: 'jwt',
+    description: 'Search the audit trail (admin only)',
+    notes:
+      'Returns paginated audit records, newest first, filtered by model, entity, ' +
+      'user and date range. Set includeArchived=true to also search the S3 archives ' +
+      'for records older than the audit_log retention window.',
+    tags: ['api', 'audit'],
+    validate: {
+      query: getAuditLogsQuerySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      if (!request.auth.credentials?.isAdmin) {
+        throw new ForbiddenError(
+          'Admin access required',
+          AUDIT_ERROR_CODES.UNAUTHORIZED,
+          null
+        )
+      }
+
+      const auditService = new AuditService(
+        request.prisma,
+        request.server.logger
+      )
+
+      const result = await request.metrics.timer(
+        'dbQueryDuration',
+        () => auditService.getAuditLogs(request.query),
+        { operation: 'getAuditLogs' }
+      )
+
+      return buildSuccessResponse(h, result, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        AUDIT_ERROR_CODES.RETRIEVAL_FAILED,
+        'Failed to retrieve audit records'
+      )
+    }
+  }
+}
+
+export default adminAudit
@@ -0,0 +1,118 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import adminAudit from './admin-audit.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  AUDIT_ERROR_CODES,
+  AUDIT_VALIDATION_CODES
+} from '../../../common/constants/audit.js'
+import { AuditService } from '../services/audit-service.js'
+
+vi.mock('../services/audit-service.js')
+
+describe('admin-audit route', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  const auditResult = {
+    data: [{ id: 1, model: 'pafs_core_users', entityId: '9' }],
+    pagination: { page: 1, pageSize: 20, total: 1 }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      query: { model: 'pafs_core_users', page: 1, pageSize: 20 },
+      prisma: {},
+      auth: { credentials: { userId: 1, isAdmin: true } },
+      server: { logger: mockLogger },
+      metrics: { timer: vi.fn(async (_name, fn) => fn()) }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    AuditService.prototype.getAuditLogs = vi.fn().mockResolvedValue(auditResult)
+  })
+
+  describe('route configuration', () => {
+    test('Should be a GET on the admin audit path', () => {
+      expect(adminAudit.method).toBe('GET')
+      expect(adminAudit.path).toBe('/api/v1/admin/audit')
+      expect(adminAudit.options.auth).toBe('jwt')
+      expect(adminAudit.options.tags).toEqual(['api', 'audit'])
+    })
+
+    test('Should reject a model that is not audited', () => {
+      const { error } = adminAudit.options.validate.query.validate({
+        model: 'pafs_core_areas'
+      })
+      expect(error.details[0].message).toBe(
+        AUDIT_VALIDATION_CODES.MODEL_INVALID
+      )
+    })
+
+    test('Should reject a date range that ends before it starts', () => {
+      const { error } = adminAudit.options.validate.query.validate({
+        dateFrom: '2026-02-01',
+        dateTo: '2026-01-01'
+      })
+      expect(error.details[0].message).toBe(
+        AUDIT_VALIDATION_CODES.DATE_RANGE_INVALID
+      )
+    })
+
+    test('Should accept dateTo on its own', () => {
+      const { error, value } = adminAudit.options.validate.query.validate({
+        dateTo: '2026-01-01'
+      })
+      expect(error).toBeUndefined()
+      expect(value.dateTo).toEqual(new Date('2026-01-01'))
+      expect(value.includeArchived).toBe(false)
+    })
+  })
+
+  describe('handler', () => {
+    test('Should return audit records for admins', async () => {
+      const result = await adminAudit.handler(mockRequest, mockH)
+
+      expect(AuditService.prototype.getAuditLogs).toHaveBeenCalledWith(
+        mockRequest.query
+      )
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual(auditResult)
+    })
+
+    test('Should return 403 for non-admins', async () => {
+      mockRequest.auth.credentials.isAdmin = false
+
+      const result = await adminAudit.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+      expect(result.data.errors[0].errorCode).toBe(
+        AUDIT_ERROR_CODES.UNAUTHORIZED
+      )
+      expect(AuditService.prototype.getAuditLogs).not.toHaveBeenCalled()
+    })
+
+    test('Should return 500 when the search fails', async () => {
+      AuditService.prototype.getAuditLogs = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await adminAudit.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        AUDIT_ERROR_CODES.RETRIEVAL_FAILED
+      )
+    })
+  })
+})
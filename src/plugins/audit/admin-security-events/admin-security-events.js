@@ -0,0 +1,60 @@
+import { SecurityEventService } from '../services/security-event-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { AUDIT_ERROR_CODES } from '../../../common/constants/audit.js'
+import { getSecurityEventsQuerySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import { ForbiddenError } from '../../../common/errors/index.js'
+
+const adminSecurityEvents = {
+  method: 'GET',
+  path: '/api/v1/admin/security-events',
+  options: {
+    auth: 'jwt',
+    description: 'Search security events (admin only)',
+    notes:
+      'Returns paginated sign-in, password reset and session events, newest first, ' +
+      'filtered by event type, severity, user, email, IP address and date range. ' +
+      'Anomalies raised from these events have severity "alert".',
+    tags: ['api', 'audit'],
+    validate: {
+      query: getSecurityEventsQuerySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      if (!request.auth.credentials?.isAdmin) {
+        throw new ForbiddenError(
+          'Admin access required',
+          AUDIT_ERROR_CODES.UNAUTHORIZED,
+          null
+        )
+      }
+
+      const securityEventService = new SecurityEventService(
+        request.prisma,
+        request.server.logger
+      )
+
+      const result = await request.metrics.timer(
+        'dbQueryDuration',
+        () => securityEventService.getSecurityEvents(request.query),
+        { operation: 'getSecurityEvents' }
+      )
+
+      return buildSuccessResponse(h, result, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        AUDIT_ERROR_CODES.SECURITY_EVENTS_RETRIEVAL_FAILED,
+        'Failed to retrieve security events'
+      )
+    }
+  }
+}
+
+export default adminSecurityEvents
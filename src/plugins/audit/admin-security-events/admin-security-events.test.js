@@ -0,0 +1,135 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import adminSecurityEvents from './admin-security-events.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  AUDIT_ERROR_CODES,
+  AUDIT_VALIDATION_CODES,
+  SECURITY_EVENT_TYPES
+} from '../../../common/constants/audit.js'
+import { SecurityEventService } from '../services/security-event-service.js'
+
+vi.mock('../services/security-event-service.js')
+
+describe('admin-security-events route', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  const eventsResult = {
+    data: [{ id: 1, eventType: SECURITY_EVENT_TYPES.LOGIN_FAILED }],
+    pagination: { page: 1, pageSize: 20, total: 1 }
+  }
+
+  const validateQuery = (query) =>
+    adminSecurityEvents.options.validate.query.validate(query)
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      query: { eventType: SECURITY_EVENT_TYPES.LOGIN_FAILED, page: 1 },
+      prisma: {},
+      auth: { credentials: { userId: 1, isAdmin: true } },
+      server: { logger: mockLogger },
+      metrics: { timer: vi.fn(async (_name, fn) => fn()) }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    SecurityEventService.prototype.getSecurityEvents = vi
+      .fn()
+      .mockResolvedValue(eventsResult)
+  })
+
+  describe('route configuration', () => {
+    test('Should be a GET on the admin security events path', () => {
+      expect(adminSecurityEvents.method).toBe('GET')
+      expect(adminSecurityEvents.path).toBe('/api/v1/admin/security-events')
+      expect(adminSecurityEvents.options.auth).toBe('jwt')
+      expect(adminSecurityEvents.options.tags).toEqual(['api', 'audit'])
+    })
+
+    test('Should accept every filter', () => {
+      const { error, value } = validateQuery({
+        eventType: SECURITY_EVENT_TYPES.NEW_IP_LOGIN,
+        severity: 'alert',
+        userId: '7',
+        email: ' user@example.com ',
+        ipAddress: '2001:db8::1',
+        dateFrom: '2026-01-01',
+        dateTo: '2026-02-01'
+      })
+
+      expect(error).toBeUndefined()
+      expect(value.userId).toBe(7)
+      expect(value.email).toBe('user@example.com')
+    })
+
+    test.each([
+      [{ eventType: 'LOGGED_IN' }, AUDIT_VALIDATION_CODES.EVENT_TYPE_INVALID],
+      [{ severity: 'critical' }, AUDIT_VALIDATION_CODES.SEVERITY_INVALID],
+      [{ userId: 'abc' }, AUDIT_VALIDATION_CODES.USER_ID_INVALID],
+      [{ userId: 0 }, AUDIT_VALIDATION_CODES.USER_ID_INVALID],
+      [{ ipAddress: 'not-an-ip' }, AUDIT_VALIDATION_CODES.IP_ADDRESS_INVALID],
+      [{ ipAddress: '10.0.0.0/8' }, AUDIT_VALIDATION_CODES.IP_ADDRESS_INVALID],
+      [
+        { dateFrom: '2026-02-01', dateTo: '2026-01-01' },
+        AUDIT_VALIDATION_CODES.DATE_RANGE_INVALID
+      ]
+    ])('Should reject %o', (query, errorCode) => {
+      const { error } = validateQuery(query)
+      expect(error.details[0].message).toBe(errorCode)
+    })
+  })
+
+  describe('handler', () => {
+    test('Should return security events for admins', async () => {
+      const result = await adminSecurityEvents.handler(mockRequest, mockH)
+
+      expect(
+        SecurityEventService.prototype.getSecurityEvents
+      ).toHaveBeenCalledWith(mockRequest.query)
+      expect(mockRequest.metrics.timer).toHaveBeenCalledWith(
+        'dbQueryDuration',
+        expect.any(Function),
+        { operation: 'getSecurityEvents' }
+      )
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual(eventsResult)
+    })
+
+    test('Should return 403 for non-admins', async () => {
+      mockRequest.auth.credentials.isAdmin = false
+
+      const result = await adminSecurityEvents.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+      expect(result.data.errors[0].errorCode).toBe(
+        AUDIT_ERROR_CODES.UNAUTHORIZED
+      )
+      expect(
+        SecurityEventService.prototype.getSecurityEvents
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should return 500 when the search fails', async () => {
+      SecurityEventService.prototype.getSecurityEvents = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await adminSecurityEvents.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        AUDIT_ERROR_CODES.SECURITY_EVENTS_RETRIEVAL_FAILED
+      )
+    })
+  })
+})
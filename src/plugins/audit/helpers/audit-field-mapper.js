@@ -0,0 +1,93 @@
+import {
+  PROJECT_JOIN_TABLES,
+  PROJECT_SELECT_FIELDS_MAP
+} from '../../projects/helpers/project-config.js'
+
+export const AUDIT_SOURCES = {
+  DATABASE: 'database',
+  ARCHIVE: 'archive'
+}
+
+function invert(fieldMap) {
+  return Object.fromEntries(
+    Object.entries(fieldMap).map(([apiField, column]) => [column, apiField])
+  )
+}
+
+/**
+ * Column → API field name per audited model, taken from the same maps
+ * ProjectMapper uses so the audit trail speaks the API's vocabulary.
+ */
+const COLUMN_TO_FIELD_BY_MODEL = {
+  pafs_core_projects: invert(PROJECT_SELECT_FIELDS_MAP),
+  ...Object.fromEntries(
+    Object.entries(PROJECT_JOIN_TABLES).map(([model, table]) => [
+      model,
+      invert(table.fields)
+    ])
+  )
+}
+
+function snakeToCamel(column) {
+  return column.replaceAll(/_([a-z0-9])/g, (_, char) => char.toUpperCase())
+}
+
+/**
+ * Map a DB column name to its API field name.
+ * Columns ProjectMapper does not expose fall back to camelCase.
+ * @param {string} model - Prisma model name
+ * @param {string} column - DB column name
+ * @returns {string}
+ */
+export function toApiFieldName(model, column) {
+  return COLUMN_TO_FIELD_BY_MODEL[model]?.[column] ?? snakeToCamel(column)
+}
+
+function mapRowData(model, data) {
+  if (data == null || typeof data !== 'object') {
+    return null
+  }
+  return Object.fromEntries(
+    Object.entries(data).map(([column, value]) => [
+      toApiFieldName(model, column),
+      value
+    ])
+  )
+}
+
+function mapDiff(model, diff) {
+  if (diff == null || typeof diff !== 'object') {
+    return []
+  }
+  return Object.entries(diff).map(([column, change]) => ({
+    field: toApiFieldName(model, column),
+    column,
+    before: change?.before ?? null,
+    after: change?.after ?? null
+  }))
+}
+
+/**
+ * Shape an audit_log row (from the table or an NDJSON archive) for the API
+ * @param {Object} row - Raw audit_log row
+ * @param {Map<string, string>} userNames - changed_by → display name
+ * @param {string} source - One of AUDIT_SOURCES
+ * @returns {Object}
+ */
+export function formatAuditRecord(row, userNames, source) {
+  const changedBy = row.changed_by ?? null
+  return {
+    id: Number(row.id),
+    source,
+    model: row.model,
+    entityId: row.entity_id,
+    action: row.action,
+    changedBy,
+    changedByName:
+      changedBy == null ? null : (userNames.get(changedBy) ?? null),
+    changedAt: new Date(row.changed_at),
+    changes: mapDiff(row.model, row.diff),
+    before: mapRowData(row.model, row.before_data),
+    after: mapRowData(row.model, row.after_data)
+  }
+}
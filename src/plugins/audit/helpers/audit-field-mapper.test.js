@@ -0,0 +1,110 @@
+import { describe, test, expect } from 'vitest'
+import {
+  AUDIT_SOURCES,
+  formatAuditRecord,
+  toApiFieldName
+} from './audit-field-mapper.js'
+
+describe('audit-field-mapper', () => {
+  describe('toApiFieldName', () => {
+    test('Should use ProjectMapper names for project columns', () => {
+      expect(toApiFieldName('pafs_core_projects', 'earliest_start_year')).toBe(
+        'financialStartYear'
+      )
+      expect(
+        toApiFieldName('pafs_core_projects', 'project_risks_protected_against')
+      ).toBe('risks')
+    })
+
+    test('Should use join table field names for child rows', () => {
+      expect(toApiFieldName('pafs_core_funding_values', 'fcerm_gia')).toBe(
+        'fcermGia'
+      )
+      expect(toApiFieldName('pafs_core_states', 'state')).toBe('projectState')
+      expect(toApiFieldName('pafs_core_area_projects', 'owner')).toBe('isOwner')
+    })
+
+    test('Should camelCase columns ProjectMapper does not expose', () => {
+      expect(toApiFieldName('pafs_core_projects', 'submitted_to_pol')).toBe(
+        'submittedToPol'
+      )
+      expect(toApiFieldName('pafs_core_users', 'first_name')).toBe('firstName')
+    })
+  })
+
+  describe('formatAuditRecord', () => {
+    const row = {
+      id: 42n,
+      model: 'pafs_core_projects',
+      entity_id: '3',
+      action: 'UPDATE',
+      changed_by: '7',
+      changed_at: new Date('2026-01-01T10:00:00Z'),
+      before_data: { name: 'Old', earliest_start_year: 2025 },
+      after_data: { name: 'New', earliest_start_year: 2026 },
+      diff: {
+        name: { before: 'Old', after: 'New' },
+        earliest_start_year: { before: 2025, after: 2026 }
+      }
+    }
+
+    test('Should map columns, diff and user name', () => {
+      const result = formatAuditRecord(
+        row,
+        new Map([['7', 'Jane Smith']]),
+        AUDIT_SOURCES.DATABASE
+      )
+
+      expect(result).toEqual({
+        id: 42,
+        source: 'database',
+        model: 'pafs_core_projects',
+        entityId: '3',
+        action: 'UPDATE',
+        changedBy: '7',
+        changedByName: 'Jane Smith',
+        changedAt: new Date('2026-01-01T10:00:00Z'),
+        changes: [
+          { field: 'name', column: 'name', before: 'Old', after: 'New' },
+          {
+            field: 'financialStartYear',
+            column: 'earliest_start_year',
+            before: 2025,
+            after: 2026
+          }
+        ],
+        before: { name: 'Old', financialStartYear: 2025 },
+        after: { name: 'New', financialStartYear: 2026 }
+      })
+    })
+
+    test('Should handle archived rows with string ids and dates and no diff', () => {
+      const result = formatAuditRecord(
+        {
+          id: '5',
+          model: 'pafs_core_funding_values',
+          entity_id: '11',
+          action: 'DELETE',
+          changed_by: 'system',
+          changed_at: '2020-05-01T00:00:00.000Z',
+          before_data: { fcerm_gia: '100' },
+          after_data: null,
+          diff: null
+        },
+        new Map(),
+        AUDIT_SOURCES.ARCHIVE
+      )
+
+      expect(result).toMatchObject({
+        id: 5,
+        source: 'archive',
+        changedBy: 'system',
+        changedByName: null,
+        changedAt: new Date('2020-05-01T00:00:00.000Z'),
+        changes: [],
+        before: { fcermGia: '100' },
+        after: null
+      })
+    })
+  })
+})
@@ -0,0 +1,15 @@
+import adminAudit from './admin-audit/admin-audit.js'
+import adminSecurityEvents from './admin-security-events/admin-security-events.js'
+
+const auditPlugin = {
+  name: 'audit',
+  version: '1.0.0',
+  register: (server, _options) => {
+    server.route([adminAudit, adminSecurityEvents])
+    server.logger.info('Audit plugin registered')
+  }
+}
+
+export default auditPlugin
+export { default as adminAudit } from './admin-audit/admin-audit.js'
+export { default as adminSecurityEvents } from './admin-security-events/admin-security-events.js'
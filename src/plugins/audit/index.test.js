@@ -0,0 +1,38 @@
+import { describe, test, expect, vi } from 'vitest'
+import Hapi from '@hapi/hapi'
+
+const module = await import('./index.js')
+const auditPlugin = module.default
+
+describe('audit plugin', () => {
+  test('Should register the admin audit routes', async () => {
+    const server = Hapi.server()
+    const mockLogger = { info: vi.fn() }
+
+    server.decorate('server', 'logger', mockLogger)
+    server.auth.scheme('jwt', () => ({ authenticate: vi.fn() }))
+    server.auth.strategy('jwt', 'jwt')
+
+    await server.register(auditPlugin)
+
+    const route = server.table().find((r) => r.path === '/api/v1/admin/audit')
+
+    expect(route).toBeDefined()
+    expect(route.method).toBe('get')
+
+    const securityEventsRoute = server
+      .table()
+      .find((r) => r.path === '/api/v1/admin/security-events')
+
+    expect(securityEventsRoute).toBeDefined()
+    expect(securityEventsRoute.method).toBe('get')
+    expect(mockLogger.info).toHaveBeenCalledWith('Audit plugin registered')
+  })
+
+  test('Should re-export the admin audit routes', () => {
+    expect(module.adminAudit.path).toBe('/api/v1/admin/audit')
+    expect(module.adminSecurityEvents.path).toBe(
+      '/api/v1/admin/security-events'
+    )
+  })
+})
@@ -0,0 +1,117 @@
+import Joi from 'joi'
+import { pageSchema, pageSizeSchema } from '../../common/schemas/index.js'
+import {
+  AUDIT_VALIDATION_CODES,
+  SECURITY_EVENT_SEVERITY,
+  SECURITY_EVENT_TYPES
+} from '../../common/constants/audit.js'
+import { AUDITED_MODELS } from '../database/audit-extension.js'
+
+const dateSchema = Joi.date().iso().optional().messages({
+  'date.base': AUDIT_VALIDATION_CODES.DATE_INVALID,
+  'date.format': AUDIT_VALIDATION_CODES.DATE_INVALID
+})
+
+/**
+ * Include rows the archive-audit-logs task has moved to S3.
+ * Off by default because it downloads archive files in range, up to
+ * auditArchive.maxReadFiles of them.
+ */
+export const includeArchivedSchema = Joi.boolean()
+  .default(false)
+  .label('Include Archived')
+
+const dateToSchema = Joi.when('dateFrom', {
+  is: Joi.exist(),
+  then: dateSchema.min(Joi.ref('dateFrom')).messages({
+    'date.min': AUDIT_VALIDATION_CODES.DATE_RANGE_INVALID
+  }),
+  otherwise: dateSchema
+}).label('Date To')
+
+/**
+ * Query schema for the admin audit search
+ */
+export const getAuditLogsQuerySchema = Joi.object({
+  model: Joi.string()
+    .valid(...AUDITED_MODELS)
+    .optional()
+    .label('Model')
+    .messages({
+      'any.only': AUDIT_VALIDATION_CODES.MODEL_INVALID
+    }),
+  entityId: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .label('Entity ID')
+    .messages({
+      'string.max': AUDIT_VALIDATION_CODES.ENTITY_ID_INVALID
+    }),
+  changedBy: Joi.string()
+    .trim()
+    .max(255)
+    .optional()
+    .label('Changed By')
+    .messages({
+      'string.max': AUDIT_VALIDATION_CODES.CHANGED_BY_INVALID
+    }),
+  dateFrom: dateSchema.label('Date From'),
+  dateTo: dateToSchema,
+  includeArchived: includeArchivedSchema,
+  page: pageSchema,
+  pageSize: pageSizeSchema()
+})
+
+/**
+ * Query schema for a single project's audit trail
+ */
+export const getProjectAuditQuerySchema = Joi.object({
+  includeArchived: includeArchivedSchema,
+  page: pageSchema,
+  pageSize: pageSizeSchema()
+})
+
+/**
+ * Query schema for the admin security event search
+ */
+export const getSecurityEventsQuerySchema = Joi.object({
+  eventType: Joi.string()
+    .valid(...Object.values(SECURITY_EVENT_TYPES))
+    .optional()
+    .label('Event Type')
+    .messages({
+      'any.only': AUDIT_VALIDATION_CODES.EVENT_TYPE_INVALID
+    }),
+  severity: Joi.string()
+    .valid(...Object.values(SECURITY_EVENT_SEVERITY))
+    .optional()
+    .label('Severity')
+    .messages({
+      'any.only': AUDIT_VALIDATION_CODES.SEVERITY_INVALID
+    }),
+  userId: Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .label('User ID')
+    .messages({
+      'number.base': AUDIT_VALIDATION_CODES.USER_ID_INVALID,
+      'number.integer': AUDIT_VALIDATION_CODES.USER_ID_INVALID,
+      'number.positive': AUDIT_VALIDATION_CODES.USER_ID_INVALID
+    }),
+  email: Joi.string().trim().max(255).optional().label('Email'),
+  ipAddress: Joi.string()
+    .trim()
+    .ip({ cidr: 'forbidden' })
+    .optional()
+    .label('IP Address')
+    .messages({
+      'string.ip': AUDIT_VALIDATION_CODES.IP_ADDRESS_INVALID,
+      'string.ipVersion': AUDIT_VALIDATION_CODES.IP_ADDRESS_INVALID
+    }),
+  dateFrom: dateSchema.label('Date From'),
+  dateTo: dateToSchema,
+  page: pageSchema,
+  pageSize: pageSizeSchema()
+})
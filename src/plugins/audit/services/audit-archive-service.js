@@ -0,0 +1,133 @@
+/**
+ * AuditArchiveService
+ *
+ * Reads audit_log rows back out of the NDJSON files the archive-audit-logs
+ * task writes to S3 under {s3Prefix}/{runTimestamp}/batch-NNN.ndjson.
+ * Every row in a run folder was changed before that run started, so folders
+ * whose run timestamp is not after dateFrom are skipped without downloading.
+ * At most auditArchive.maxReadFiles files are read per search, newest first.
+ */
+import { createInterface } from 'node:readline'
+import { getS3Service } from '../../../common/services/file-upload/s3-service.js'
+import { config } from '../../../config.js'
+
+// "2026-04-28T02-00-00" as produced by the archive task
+const RUN_TIMESTAMP_PATTERN = /\/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})\//
+
+/**
+ * Read the run time from an archive object key
+ * @param {string} key - e.g. "audit-logs/2026-04-28T02-00-00/batch-001.ndjson"
+ * @returns {Date|null}
+ */
+export function parseRunTimestamp(key) {
+  const match = RUN_TIMESTAMP_PATTERN.exec(key)
+  if (!match) {
+    return null
+  }
+  const [, date, hours, minutes, seconds] = match
+  return new Date(`${date}T${hours}:${minutes}:${seconds}Z`)
+}
+
+function isWithinRange(record, dateFrom, dateTo) {
+  const changedAt = new Date(record.changed_at)
+  if (dateFrom && changedAt < dateFrom) {
+    return false
+  }
+  return !(dateTo && changedAt > dateTo)
+}
+
+/**
+ * Sort comparator for archived rows, newest change first
+ */
+export function newestFirst(a, b) {
+  const byDate = new Date(b.changed_at) - new Date(a.changed_at)
+  return byDate === 0 ? Number(b.id) - Number(a.id) : byDate
+}
+
+export class AuditArchiveService {
+  constructor(logger) {
+    this.logger = logger
+    this.s3Service = getS3Service(logger)
+    this.bucket = config.get('auditArchive.s3Bucket')
+    this.prefix = config.get('auditArchive.s3Prefix')
+    this.maxReadFiles = config.get('auditArchive.maxReadFiles')
+  }
+
+  /**
+   * Archive object keys that may hold rows changed on or after dateFrom,
+   * oldest first. Run folders and zero-padded batch numbers sort by name.
+   * @private
+   */
+  async _listCandidateKeys(dateFrom) {
+    const keys = await this.s3Service.listObjects(
+      this.bucket,
+      `${this.prefix}/`
+    )
+    const candidates = keys
+      .filter((key) => {
+        if (!key.endsWith('.ndjson')) {
+          return false
+        }
+        const runAt = parseRunTimestamp(key)
+        return !dateFrom || !runAt || runAt > dateFrom
+      })
+      .sort()
+
+    if (candidates.length > this.maxReadFiles) {
+      this.logger.warn(
+        { files: candidates.length, maxReadFiles: this.maxReadFiles },
+        'Too many audit archive files in range, reading the newest only'
+      )
+      return candidates.slice(-this.maxReadFiles)
+    }
+    return candidates
+  }
+
+  /**
+   * Read archived audit rows in the date range, oldest first. Files are read
+   * one at a time and parsed line by line, so only the rows the caller keeps
+   * are held in memory.
+   * @param {Object} [range]
+   * @param {Date} [range.dateFrom]
+   * @param {Date} [range.dateTo]
+   * @returns {AsyncGenerator<{ key: string, record: Object }>} Each row and
+   *   the archive file it was read from
+   */
+  async *streamRecords({ dateFrom, dateTo } = {}) {
+    const keys = await this._listCandidateKeys(dateFrom)
+
+    for (const key of keys) {
+      const body = await this.s3Service.getObjectStream(this.bucket, key)
+      const lines = createInterface({ input: body, crlfDelay: Infinity })
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue
+        }
+        const record = JSON.parse(line)
+        if (isWithinRange(record, dateFrom, dateTo)) {
+          yield { key, record }
+        }
+      }
+    }
+
+    this.logger.info({ files: keys.length }, 'Audit archive files read from S3')
+  }
+
+  /**
+   * Find archived audit rows
+   * @param {Function} matches - Predicate applied to each raw archived row
+   * @param {Object} [range]
+   * @param {Date} [range.dateFrom]
+   * @param {Date} [range.dateTo]
+   * @returns {Promise<Object[]>} Raw rows, newest first
+   */
+  async findRecords(matches, range = {}) {
+    const records = []
+    for await (const { record } of this.streamRecords(range)) {
+      if (matches(record)) {
+        records.push(record)
+      }
+    }
+    return records.sort(newestFirst)
+  }
+}
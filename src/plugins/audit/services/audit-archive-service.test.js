@@ -0,0 +1,164 @@
+import { Readable } from 'node:stream'
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+
+const mockS3Service = {
+  listObjects: vi.fn(),
+  getObjectStream: vi.fn()
+}
+
+vi.mock('../../../common/services/file-upload/s3-service.js', () => ({
+  getS3Service: vi.fn(() => mockS3Service)
+}))
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn(
+      (key) =>
+        ({
+          'auditArchive.s3Bucket': 'audit-bucket',
+          'auditArchive.s3Prefix': 'audit-logs',
+          'auditArchive.maxReadFiles': 2
+        })[key]
+    )
+  }
+}))
+
+const { AuditArchiveService, parseRunTimestamp } =
+  await import('./audit-archive-service.js')
+
+const toNdjson = (rows) =>
+  Readable.from([
+    Buffer.from(rows.map((row) => JSON.stringify(row)).join('\n'))
+  ])
+
+describe('AuditArchiveService', () => {
+  let service
+  let mockLogger
+
+  const olderRun = 'audit-logs/2026-03-01T02-00-00/batch-001.ndjson'
+  const newerRun = 'audit-logs/2026-04-01T02-00-00/batch-001.ndjson'
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    service = new AuditArchiveService(mockLogger)
+
+    mockS3Service.listObjects.mockResolvedValue([olderRun, newerRun])
+    mockS3Service.getObjectStream.mockImplementation(async (_bucket, key) =>
+      key === olderRun
+        ? toNdjson([
+            {
+              id: '1',
+              model: 'pafs_core_projects',
+              entity_id: '3',
+              changed_at: '2026-02-10T10:00:00.000Z'
+            },
+            {
+              id: '2',
+              model: 'pafs_core_users',
+              entity_id: '9',
+              changed_at: '2026-02-11T10:00:00.000Z'
+            }
+          ])
+        : toNdjson([
+            {
+              id: '3',
+              model: 'pafs_core_projects',
+              entity_id: '3',
+              changed_at: '2026-03-15T10:00:00.000Z'
+            }
+          ])
+    )
+  })
+
+  describe('parseRunTimestamp', () => {
+    test('Should read the run time from the folder name', () => {
+      expect(parseRunTimestamp(olderRun)).toEqual(
+        new Date('2026-03-01T02:00:00Z')
+      )
+    })
+
+    test('Should return null for keys outside a run folder', () => {
+      expect(parseRunTimestamp('audit-logs/readme.txt')).toBeNull()
+    })
+  })
+
+  describe('streamRecords', () => {
+    test('Should yield each row with its file, oldest first', async () => {
+      const rows = []
+      for await (const { key, record } of service.streamRecords()) {
+        rows.push([key, record.id])
+      }
+
+      expect(rows).toEqual([
+        [olderRun, '1'],
+        [olderRun, '2'],
+        [newerRun, '3']
+      ])
+    })
+  })
+
+  describe('findRecords', () => {
+    test('Should return matching rows from every file, newest first', async () => {
+      const records = await service.findRecords(
+        (record) => record.model === 'pafs_core_projects'
+      )
+
+      expect(mockS3Service.listObjects).toHaveBeenCalledWith(
+        'audit-bucket',
+        'audit-logs/'
+      )
+      expect(records.map((r) => r.id)).toEqual(['3', '1'])
+    })
+
+    test('Should skip run folders that finished before dateFrom', async () => {
+      const records = await service.findRecords(() => true, {
+        dateFrom: new Date('2026-03-10T00:00:00Z')
+      })
+
+      expect(mockS3Service.getObjectStream).toHaveBeenCalledTimes(1)
+      expect(mockS3Service.getObjectStream).toHaveBeenCalledWith(
+        'audit-bucket',
+        newerRun
+      )
+      expect(records.map((r) => r.id)).toEqual(['3'])
+    })
+
+    test('Should filter rows by dateTo', async () => {
+      const records = await service.findRecords(() => true, {
+        dateTo: new Date('2026-02-10T23:59:59Z')
+      })
+
+      expect(records.map((r) => r.id)).toEqual(['1'])
+    })
+
+    test('Should only read the newest files when too many are in range', async () => {
+      const oldestRun = 'audit-logs/2026-02-01T02-00-00/batch-001.ndjson'
+      mockS3Service.listObjects.mockResolvedValue([
+        newerRun,
+        oldestRun,
+        olderRun
+      ])
+
+      await service.findRecords(() => true)
+
+      expect(mockS3Service.getObjectStream.mock.calls).toEqual([
+        ['audit-bucket', olderRun],
+        ['audit-bucket', newerRun]
+      ])
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        { files: 3, maxReadFiles: 2 },
+        'Too many audit archive files in range, reading the newest only'
+      )
+    })
+
+    test('Should ignore objects that are not NDJSON batches', async () => {
+      mockS3Service.listObjects.mockResolvedValue(['audit-logs/manifest.json'])
+
+      const records = await service.findRecords(() => true)
+
+      expect(mockS3Service.getObjectStream).not.toHaveBeenCalled()
+      expect(records).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,359 @@
+/**
+ * AuditService
+ *
+ * Reads the audit_log rows written by the Prisma audit extension and, on
+ * request, the older rows the archive-audit-logs task has moved to S3.
+ * Archived rows are always older than the rows still in the table, so results
+ * are the table rows (newest first) followed by the archived rows.
+ */
+import {
+  buildPaginationMeta,
+  normalizePaginationParams
+} from '../../../common/helpers/pagination.js'
+import {
+  AUDIT_SOURCES,
+  formatAuditRecord
+} from '../helpers/audit-field-mapper.js'
+import { AuditArchiveService, newestFirst } from './audit-archive-service.js'
+
+const PROJECT_MODEL = 'pafs_core_projects'
+const STATE_MODEL = 'pafs_core_states'
+const FUNDING_VALUE_MODEL = 'pafs_core_funding_values'
+const CONTRIBUTOR_MODEL = 'pafs_core_funding_contributors'
+
+// Child rows linked to the project through a BigInt project_id column,
+// which the audit extension serialises as a string
+const PROJECT_CHILD_MODELS = [
+  FUNDING_VALUE_MODEL,
+  'pafs_core_nfm_measures',
+  'pafs_core_nfm_land_use_changes'
+]
+
+const ORDER_BY = [{ changed_at: 'desc' }, { id: 'desc' }]
+
+function jsonFieldEquals(column, value) {
+  return [
+    { before_data: { path: [column], equals: value } },
+    { after_data: { path: [column], equals: value } }
+  ]
+}
+
+function archivedFieldEquals(record, column, value) {
+  return [record.before_data, record.after_data].some(
+    (data) => data?.[column] != null && String(data[column]) === String(value)
+  )
+}
+
+function uniqueById(records) {
+  const seen = new Set()
+  return records.filter((record) => {
+    const id = String(record.id)
+    if (seen.has(id)) {
+      return false
+    }
+    seen.add(id)
+    return true
+  })
+}
+
+export class AuditService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Build Prisma where clause from the admin filters
+   * @param {Object} filters
+   * @returns {Object}
+   */
+  buildWhereClause({ model, entityId, changedBy, dateFrom, dateTo } = {}) {
+    const where = {}
+
+    if (model) {
+      where.model = model
+    }
+    if (entityId) {
+      where.entity_id = String(entityId)
+    }
+    if (changedBy) {
+      where.changed_by = String(changedBy)
+    }
+    if (dateFrom || dateTo) {
+      where.changed_at = {
+        ...(dateFrom && { gte: dateFrom }),
+        ...(dateTo && { lte: dateTo })
+      }
+    }
+
+    return where
+  }
+
+  /**
+   * Search the audit trail across all audited models
+   * @param {Object} params
+   * @param {string} [params.model] - Prisma model name
+   * @param {string} [params.entityId]
+   * @param {string} [params.changedBy] - User ID, or 'system'
+   * @param {Date} [params.dateFrom]
+   * @param {Date} [params.dateTo]
+   * @param {number} [params.page]
+   * @param {number} [params.pageSize]
+   * @param {boolean} [params.includeArchived] - Also search the S3 archives
+   * @returns {Promise<Object>} Paginated audit records with metadata
+   */
+  async getAuditLogs({
+    model,
+    entityId,
+    changedBy,
+    dateFrom,
+    dateTo,
+    page,
+    pageSize,
+    includeArchived = false
+  }) {
+    const where = this.buildWhereClause({
+      model,
+      entityId,
+      changedBy,
+      dateFrom,
+      dateTo
+    })
+
+    const archived = includeArchived
+      ? await new AuditArchiveService(this.logger).findRecords(
+          (record) =>
+            (!model || record.model === model) &&
+            (!entityId || record.entity_id === String(entityId)) &&
+            (!changedBy || record.changed_by === String(changedBy)),
+          { dateFrom, dateTo }
+        )
+      : []
+
+    return this._paginate(where, uniqueById(archived), page, pageSize)
+  }
+
+  /**
+   * Audit trail of a project and its child rows
+   * (state, funding values and contributors, NFM measures and land use changes)
+   * @param {bigint|number} projectId
+   * @param {Object} params
+   * @param {number} [params.page]
+   * @param {number} [params.pageSize]
+   * @param {boolean} [params.includeArchived] - Also search the S3 archives
+   * @returns {Promise<Object>} Paginated audit records with metadata
+   */
+  async getProjectAuditTrail(
+    projectId,
+    { page, pageSize, includeArchived = false }
+  ) {
+    const fundingValueIds = await this._getFundingValueIds(projectId)
+
+    let archived = []
+    if (includeArchived) {
+      archived = await this._findArchivedProjectRecords(
+        projectId,
+        fundingValueIds
+      )
+    }
+
+    const where = {
+      OR: [
+        { model: PROJECT_MODEL, entity_id: String(projectId) },
+        {
+          model: STATE_MODEL,
+          OR: jsonFieldEquals('project_id', Number(projectId))
+        },
+        {
+          model: { in: PROJECT_CHILD_MODELS },
+          OR: jsonFieldEquals('project_id', String(projectId))
+        },
+        ...(fundingValueIds.size > 0
+          ? [
+              {
+                model: CONTRIBUTOR_MODEL,
+                OR: [...fundingValueIds].flatMap((id) =>
+                  jsonFieldEquals('funding_value_id', id)
+                )
+              }
+            ]
+          : [])
+      ]
+    }
+
+    return this._paginate(where, archived, page, pageSize)
+  }
+
+  /**
+   * Funding value IDs that belong, or once belonged, to the project.
+   * Contributors only reference their funding value, and funding rows are
+   * rebuilt with new IDs, so both current rows and audited ones are needed.
+   * @private
+   */
+  async _getFundingValueIds(projectId) {
+    const [current, audited] = await Promise.all([
+      this.prisma.pafs_core_funding_values.findMany({
+        where: { project_id: BigInt(projectId) },
+        select: { id: true }
+      }),
+      this.prisma.audit_log.findMany({
+        where: {
+          model: FUNDING_VALUE_MODEL,
+          OR: jsonFieldEquals('project_id', String(projectId))
+        },
+        select: { entity_id: true },
+        distinct: ['entity_id']
+      })
+    ])
+
+    return new Set([
+      ...current.map((row) => String(row.id)),
+      ...audited.map((row) => row.entity_id)
+    ])
+  }
+
+  /**
+   * Read the project's archived rows. Adds archived funding value IDs to
+   * fundingValueIds so contributor rows in the table are matched too.
+   *
+   * Contributors are matched through their funding value, whose rows are
+   * archived before or alongside theirs. A contributor row whose funding
+   * value is not known yet is held until the end of its file, so rows of
+   * other projects are never kept beyond the file being read.
+   * @private
+   */
+  async _findArchivedProjectRecords(projectId, fundingValueIds) {
+    const records = []
+    let pending = []
+    let currentKey = null
+
+    const belongsToProject = (record) =>
+      [record.before_data, record.after_data].some(
+        (data) =>
+          data?.funding_value_id != null &&
+          fundingValueIds.has(String(data.funding_value_id))
+      )
+    const resolvePending = () => {
+      records.push(...pending.filter(belongsToProject))
+      pending = []
+    }
+
+    const archive = new AuditArchiveService(this.logger)
+    for await (const { key, record } of archive.streamRecords()) {
+      if (key !== currentKey) {
+        resolvePending()
+        currentKey = key
+      }
+      if (record.model === CONTRIBUTOR_MODEL) {
+        if (belongsToProject(record)) {
+          records.push(record)
+        } else {
+          pending.push(record)
+        }
+      } else if (this._isArchivedProjectRecord(record, projectId)) {
+        if (record.model === FUNDING_VALUE_MODEL) {
+          fundingValueIds.add(String(record.entity_id))
+        }
+        records.push(record)
+      }
+    }
+    resolvePending()
+
+    return uniqueById(records.sort(newestFirst))
+  }
+
+  /**
+   * Whether an archived row, other than a contributor, belongs to the project
+   * @private
+   */
+  _isArchivedProjectRecord(record, projectId) {
+    if (record.model === PROJECT_MODEL) {
+      return record.entity_id === String(projectId)
+    }
+    return (
+      (record.model === STATE_MODEL ||
+        PROJECT_CHILD_MODELS.includes(record.model)) &&
+      archivedFieldEquals(record, 'project_id', projectId)
+    )
+  }
+
+  /**
+   * Page through table rows followed by archived rows
+   * @private
+   */
+  async _paginate(where, archived, page, pageSize) {
+    const pagination = normalizePaginationParams(page, pageSize)
+    const databaseTotal = await this.prisma.audit_log.count({ where })
+
+    const rows =
+      pagination.skip < databaseTotal
+        ? await this.prisma.audit_log.findMany({
+            where,
+            orderBy: ORDER_BY,
+            skip: pagination.skip,
+            take: pagination.take
+          })
+        : []
+
+    const archiveStart = Math.max(0, pagination.skip - databaseTotal)
+    const archivedRows = archived.slice(
+      archiveStart,
+      archiveStart + pagination.take - rows.length
+    )
+
+    const userNames = await this._resolveUserNames([...rows, ...archivedRows])
+    const total = databaseTotal + archived.length
+
+    this.logger.info(
+      { total, archived: archived.length, page: pagination.page },
+      'Audit records retrieved'
+    )
+
+    return {
+      data: [
+        ...rows.map((row) =>
+          formatAuditRecord(row, userNames, AUDIT_SOURCES.DATABASE)
+        ),
+        ...archivedRows.map((row) =>
+          formatAuditRecord(row, userNames, AUDIT_SOURCES.ARCHIVE)
+        )
+      ],
+      pagination: buildPaginationMeta(
+        pagination.page,
+        pagination.pageSize,
+        total
+      )
+    }
+  }
+
+  /**
+   * Map changed_by user IDs to display names in a single query.
+   * 'system' and other non-numeric values have no name.
+   * @private
+   */
+  async _resolveUserNames(rows) {
+    const userIds = [
+      ...new Set(
+        rows
+          .map((r) => r.changed_by)
+          .filter((changedBy) => /^\d+$/.test(changedBy ?? ''))
+      )
+    ]
+
+    if (userIds.length === 0) {
+      return new Map()
+    }
+
+    const users = await this.prisma.pafs_core_users.findMany({
+      where: { id: { in: userIds.map(BigInt) } },
+      select: { id: true, first_name: true, last_name: true }
+    })
+
+    return new Map(
+      users.map((u) => [
+        String(u.id),
+        `${u.first_name} ${u.last_name}`.trim() || null
+      ])
+    )
+  }
+}
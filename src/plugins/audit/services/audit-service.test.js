@@ -0,0 +1,326 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { AuditService } from './audit-service.js'
+import { AuditArchiveService } from './audit-archive-service.js'
+
+vi.mock('./audit-archive-service.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  AuditArchiveService: vi.fn()
+}))
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn((key) => (key === 'pagination.maxPageSize' ? 100 : 20))
+  }
+}))
+
+const dbRow = (id, overrides = {}) => ({
+  id: BigInt(id),
+  model: 'pafs_core_projects',
+  entity_id: '3',
+  action: 'UPDATE',
+  changed_by: '7',
+  changed_at: new Date('2026-04-10T10:00:00Z'),
+  before_data: null,
+  after_data: null,
+  diff: null,
+  ...overrides
+})
+
+const archivedRow = (id, overrides = {}) => ({
+  id: String(id),
+  model: 'pafs_core_projects',
+  entity_id: '3',
+  action: 'UPDATE',
+  changed_by: 'system',
+  changed_at: '2025-01-01T00:00:00.000Z',
+  before_data: null,
+  after_data: null,
+  diff: null,
+  ...overrides
+})
+
+describe('AuditService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockPrisma = {
+      audit_log: {
+        count: vi.fn().mockResolvedValue(0),
+        findMany: vi.fn().mockResolvedValue([])
+      },
+      pafs_core_funding_values: {
+        findMany: vi.fn().mockResolvedValue([])
+      },
+      pafs_core_users: {
+        findMany: vi.fn().mockResolvedValue([])
+      }
+    }
+    mockLogger = { info: vi.fn(), error: vi.fn() }
+    service = new AuditService(mockPrisma, mockLogger)
+
+    AuditArchiveService.prototype.findRecords = vi.fn().mockResolvedValue([])
+  })
+
+  describe('buildWhereClause', () => {
+    test('Should map every filter to its column', () => {
+      const dateFrom = new Date('2026-01-01')
+      const dateTo = new Date('2026-02-01')
+
+      expect(
+        service.buildWhereClause({
+          model: 'pafs_core_users',
+          entityId: '9',
+          changedBy: '7',
+          dateFrom,
+          dateTo
+        })
+      ).toEqual({
+        model: 'pafs_core_users',
+        entity_id: '9',
+        changed_by: '7',
+        changed_at: { gte: dateFrom, lte: dateTo }
+      })
+    })
+
+    test('Should return an empty clause without filters', () => {
+      expect(service.buildWhereClause()).toEqual({})
+    })
+  })
+
+  describe('getAuditLogs', () => {
+    test('Should page through the table newest first with user names', async () => {
+      mockPrisma.audit_log.count.mockResolvedValue(1)
+      mockPrisma.audit_log.findMany.mockResolvedValue([dbRow(10)])
+      mockPrisma.pafs_core_users.findMany.mockResolvedValue([
+        { id: 7n, first_name: 'Jane', last_name: 'Smith' }
+      ])
+
+      const result = await service.getAuditLogs({
+        model: 'pafs_core_projects',
+        page: 1,
+        pageSize: 20
+      })
+
+      expect(mockPrisma.audit_log.findMany).toHaveBeenCalledWith({
+        where: { model: 'pafs_core_projects' },
+        orderBy: [{ changed_at: 'desc' }, { id: 'desc' }],
+        skip: 0,
+        take: 20
+      })
+      expect(mockPrisma.pafs_core_users.findMany).toHaveBeenCalledWith({
+        where: { id: { in: [7n] } },
+        select: { id: true, first_name: true, last_name: true }
+      })
+      expect(result.data[0]).toMatchObject({
+        id: 10,
+        source: 'database',
+        changedByName: 'Jane Smith'
+      })
+      expect(result.pagination).toMatchObject({ total: 1, page: 1 })
+      expect(AuditArchiveService.prototype.findRecords).not.toHaveBeenCalled()
+    })
+
+    test('Should not look up names for system changes', async () => {
+      mockPrisma.audit_log.count.mockResolvedValue(1)
+      mockPrisma.audit_log.findMany.mockResolvedValue([
+        dbRow(10, { changed_by: 'system' })
+      ])
+
+      const result = await service.getAuditLogs({ page: 1, pageSize: 20 })
+
+      expect(mockPrisma.pafs_core_users.findMany).not.toHaveBeenCalled()
+      expect(result.data[0].changedByName).toBeNull()
+    })
+
+    test('Should append archived rows after the table rows', async () => {
+      mockPrisma.audit_log.count.mockResolvedValue(1)
+      mockPrisma.audit_log.findMany.mockResolvedValue([dbRow(10)])
+      AuditArchiveService.prototype.findRecords = vi
+        .fn()
+        .mockResolvedValue([archivedRow(2), archivedRow(2), archivedRow(1)])
+
+      const result = await service.getAuditLogs({
+        entityId: '3',
+        page: 1,
+        pageSize: 20,
+        includeArchived: true
+      })
+
+      expect(result.data.map((r) => [r.id, r.source])).toEqual([
+        [10, 'database'],
+        [2, 'archive'],
+        [1, 'archive']
+      ])
+      expect(result.pagination.total).toBe(3)
+    })
+
+    test('Should apply the filters to archived rows', async () => {
+      const dateFrom = new Date('2024-01-01')
+      await service.getAuditLogs({
+        model: 'pafs_core_users',
+        changedBy: '7',
+        dateFrom,
+        page: 1,
+        pageSize: 20,
+        includeArchived: true
+      })
+
+      const [matches, range] =
+        AuditArchiveService.prototype.findRecords.mock.calls[0]
+      expect(range).toEqual({ dateFrom, dateTo: undefined })
+      expect(
+        matches(archivedRow(1, { model: 'pafs_core_users', changed_by: '7' }))
+      ).toBe(true)
+      expect(matches(archivedRow(1, { changed_by: '7' }))).toBe(false)
+      expect(matches(archivedRow(1, { model: 'pafs_core_users' }))).toBe(false)
+    })
+
+    test('Should serve later pages from the archive only', async () => {
+      mockPrisma.audit_log.count.mockResolvedValue(2)
+      AuditArchiveService.prototype.findRecords = vi
+        .fn()
+        .mockResolvedValue([archivedRow(3), archivedRow(2), archivedRow(1)])
+
+      const result = await service.getAuditLogs({
+        page: 2,
+        pageSize: 2,
+        includeArchived: true
+      })
+
+      expect(mockPrisma.audit_log.findMany).not.toHaveBeenCalled()
+      expect(result.data.map((r) => r.id)).toEqual([3, 2])
+      expect(result.pagination).toMatchObject({ total: 5, totalPages: 3 })
+    })
+  })
+
+  describe('getProjectAuditTrail', () => {
+    test('Should match the project and its child rows', async () => {
+      mockPrisma.pafs_core_funding_values.findMany.mockResolvedValue([
+        { id: 11n }
+      ])
+      mockPrisma.audit_log.findMany.mockResolvedValueOnce([{ entity_id: '8' }])
+
+      await service.getProjectAuditTrail(3n, { page: 1, pageSize: 20 })
+
+      const { where } = mockPrisma.audit_log.count.mock.calls[0][0]
+      expect(where.OR).toEqual([
+        { model: 'pafs_core_projects', entity_id: '3' },
+        {
+          model: 'pafs_core_states',
+          OR: [
+            { before_data: { path: ['project_id'], equals: 3 } },
+            { after_data: { path: ['project_id'], equals: 3 } }
+          ]
+        },
+        {
+          model: {
+            in: [
+              'pafs_core_funding_values',
+              'pafs_core_nfm_measures',
+              'pafs_core_nfm_land_use_changes'
+            ]
+          },
+          OR: [
+            { before_data: { path: ['project_id'], equals: '3' } },
+            { after_data: { path: ['project_id'], equals: '3' } }
+          ]
+        },
+        {
+          model: 'pafs_core_funding_contributors',
+          OR: [
+            { before_data: { path: ['funding_value_id'], equals: '11' } },
+            { after_data: { path: ['funding_value_id'], equals: '11' } },
+            { before_data: { path: ['funding_value_id'], equals: '8' } },
+            { after_data: { path: ['funding_value_id'], equals: '8' } }
+          ]
+        }
+      ])
+    })
+
+    test('Should leave contributors out when the project has no funding values', async () => {
+      await service.getProjectAuditTrail(3n, { page: 1, pageSize: 20 })
+
+      const { where } = mockPrisma.audit_log.count.mock.calls[0][0]
+      expect(where.OR).toHaveLength(3)
+    })
+
+    test('Should read the project rows from the archive when asked', async () => {
+      const firstFile = 'audit-logs/2026-03-01T02-00-00/batch-001.ndjson'
+      const secondFile = 'audit-logs/2026-04-01T02-00-00/batch-001.ndjson'
+      AuditArchiveService.prototype.streamRecords = async function* () {
+        yield { key: firstFile, record: archivedRow(1) }
+        yield { key: firstFile, record: archivedRow(2, { entity_id: '4' }) }
+        yield {
+          key: firstFile,
+          record: archivedRow(3, {
+            model: 'pafs_core_states',
+            entity_id: '1',
+            after_data: { project_id: 3 }
+          })
+        }
+        // Contributor read before its funding value in the same file
+        yield {
+          key: secondFile,
+          record: archivedRow(4, {
+            model: 'pafs_core_funding_contributors',
+            after_data: { funding_value_id: '20' }
+          })
+        }
+        yield {
+          key: secondFile,
+          record: archivedRow(5, {
+            model: 'pafs_core_funding_values',
+            entity_id: '20',
+            after_data: { project_id: '3' }
+          })
+        }
+        yield {
+          key: secondFile,
+          record: archivedRow(6, {
+            model: 'pafs_core_funding_contributors',
+            after_data: { funding_value_id: '99' }
+          })
+        }
+      }
+
+      const result = await service.getProjectAuditTrail(3n, {
+        page: 1,
+        pageSize: 20,
+        includeArchived: true
+      })
+
+      expect(result.data.map((r) => r.id)).toEqual([5, 4, 3, 1])
+      const { where } = mockPrisma.audit_log.count.mock.calls[0][0]
+      expect(where.OR[3].OR).toContainEqual({
+        after_data: { path: ['funding_value_id'], equals: '20' }
+      })
+    })
+
+    test("Should match archived contributors of the project's current funding values", async () => {
+      mockPrisma.pafs_core_funding_values.findMany.mockResolvedValue([
+        { id: 30n }
+      ])
+      AuditArchiveService.prototype.streamRecords = async function* () {
+        yield {
+          key: 'audit-logs/2026-03-01T02-00-00/batch-001.ndjson',
+          record: archivedRow(1, {
+            model: 'pafs_core_funding_contributors',
+            before_data: { funding_value_id: '30' }
+          })
+        }
+      }
+
+      const result = await service.getProjectAuditTrail(3n, {
+        page: 1,
+        pageSize: 20,
+        includeArchived: true
+      })
+
+      expect(result.data.map((r) => r.id)).toEqual([1])
+    })
+  })
+})
@@ -0,0 +1,394 @@
+/**
+ * SecurityEventService
+ *
+ * Records authentication security events in pafs_core_security_events and
+ * checks each one for anomalies: a login from an IP address the user has not
+ * used recently, failed logins across many accounts from one IP address, and
+ * repeated password reset requests for one email address. An anomaly is
+ * recorded as an alert event and emailed to notify.adminEmail, at most once
+ * per subject per cooldown period.
+ */
+import { config } from '../../../config.js'
+import { getEmailService } from '../../../common/services/email/notify-service.js'
+import {
+  buildPaginationMeta,
+  normalizePaginationParams
+} from '../../../common/helpers/pagination.js'
+import {
+  SECURITY_EVENT_SEVERITY,
+  SECURITY_EVENT_TYPES
+} from '../../../common/constants/audit.js'
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+const ORDER_BY = [{ occurred_at: 'desc' }, { id: 'desc' }]
+
+const SEVERITY_BY_TYPE = {
+  [SECURITY_EVENT_TYPES.ACCOUNT_LOCKED]: SECURITY_EVENT_SEVERITY.WARNING,
+  [SECURITY_EVENT_TYPES.SESSION_MISMATCH]: SECURITY_EVENT_SEVERITY.WARNING,
+  [SECURITY_EVENT_TYPES.REFRESH_TOKEN_REUSE]: SECURITY_EVENT_SEVERITY.WARNING,
+  [SECURITY_EVENT_TYPES.NEW_IP_LOGIN]: SECURITY_EVENT_SEVERITY.ALERT,
+  [SECURITY_EVENT_TYPES.FAILED_LOGINS_FROM_IP]: SECURITY_EVENT_SEVERITY.ALERT,
+  [SECURITY_EVENT_TYPES.RAPID_PASSWORD_RESETS]: SECURITY_EVENT_SEVERITY.ALERT
+}
+
+const ALERT_DESCRIPTIONS = {
+  [SECURITY_EVENT_TYPES.NEW_IP_LOGIN]:
+    'Sign-in from an IP address this account has not used recently',
+  [SECURITY_EVENT_TYPES.FAILED_LOGINS_FROM_IP]:
+    'Failed sign-ins for several accounts from one IP address',
+  [SECURITY_EVENT_TYPES.RAPID_PASSWORD_RESETS]:
+    'Repeated password reset requests for one email address'
+}
+
+function minutesAgo(minutes, now) {
+  return new Date(now.getTime() - minutes * MINUTE_MS)
+}
+
+function formatEvent(event) {
+  return {
+    id: Number(event.id),
+    eventType: event.event_type,
+    severity: event.severity,
+    userId: event.user_id == null ? null : Number(event.user_id),
+    email: event.email,
+    ipAddress: event.ip_address,
+    details: event.details,
+    occurredAt: event.occurred_at
+  }
+}
+
+export class SecurityEventService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Record a security event and check it for anomalies. Recording is best
+   * effort: a failure is logged and never fails the request being audited.
+   * Request handlers call it without awaiting, so the checks and any alert
+   * email run in the background.
+   *
+   * @param {string} eventType - One of SECURITY_EVENT_TYPES
+   * @param {Object} [event]
+   * @param {number|BigInt} [event.userId]
+   * @param {string} [event.email]
+   * @param {string} [event.ipAddress]
+   * @param {Object} [event.details]
+   * @returns {Promise<void>}
+   */
+  async record(eventType, event = {}) {
+    try {
+      const created = await this._create(eventType, event)
+      await this._detectAnomalies(created)
+    } catch (error) {
+      this.logger.error(
+        { error, eventType, userId: event.userId },
+        'Failed to record security event'
+      )
+    }
+  }
+
+  /**
+   * Search security events, newest first
+   * @param {Object} params
+   * @param {string} [params.eventType]
+   * @param {string} [params.severity]
+   * @param {number} [params.userId]
+   * @param {string} [params.email]
+   * @param {string} [params.ipAddress]
+   * @param {Date} [params.dateFrom]
+   * @param {Date} [params.dateTo]
+   * @param {number} [params.page]
+   * @param {number} [params.pageSize]
+   * @returns {Promise<Object>} Paginated events with metadata
+   */
+  async getSecurityEvents({
+    eventType,
+    severity,
+    userId,
+    email,
+    ipAddress,
+    dateFrom,
+    dateTo,
+    page,
+    pageSize
+  } = {}) {
+    const where = {
+      ...(eventType && { event_type: eventType }),
+      ...(severity && { severity }),
+      ...(userId && { user_id: BigInt(userId) }),
+      ...(email && { email: { equals: email, mode: 'insensitive' } }),
+      ...(ipAddress && { ip_address: ipAddress }),
+      ...((dateFrom || dateTo) && {
+        occurred_at: {
+          ...(dateFrom && { gte: dateFrom }),
+          ...(dateTo && { lte: dateTo })
+        }
+      })
+    }
+
+    const pagination = normalizePaginationParams(page, pageSize)
+    const [total, events] = await Promise.all([
+      this.prisma.pafs_core_security_events.count({ where }),
+      this.prisma.pafs_core_security_events.findMany({
+        where,
+        orderBy: ORDER_BY,
+        skip: pagination.skip,
+        take: pagination.take
+      })
+    ])
+
+    this.logger.info(
+      { total, page: pagination.page },
+      'Security events retrieved'
+    )
+
+    return {
+      data: events.map(formatEvent),
+      pagination: buildPaginationMeta(
+        pagination.page,
+        pagination.pageSize,
+        total
+      )
+    }
+  }
+
+  /**
+   * Delete events older than the cutoff
+   * @param {Date} cutoff
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async deleteEventsBefore(cutoff) {
+    const { count } = await this.prisma.pafs_core_security_events.deleteMany({
+      where: { occurred_at: { lt: cutoff } }
+    })
+
+    return count
+  }
+
+  /**
+   * @private
+   */
+  async _create(
+    eventType,
+    { userId = null, email = null, ipAddress = null, details = null }
+  ) {
+    return this.prisma.pafs_core_security_events.create({
+      data: {
+        event_type: eventType,
+        severity: SEVERITY_BY_TYPE[eventType] ?? SECURITY_EVENT_SEVERITY.INFO,
+        user_id: userId == null ? null : BigInt(userId),
+        email: email?.toLowerCase() ?? null,
+        ip_address: ipAddress,
+        details,
+        occurred_at: new Date()
+      }
+    })
+  }
+
+  /**
+   * @private
+   */
+  async _detectAnomalies(event) {
+    switch (event.event_type) {
+      case SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED:
+        return this._detectNewIpLogin(event)
+      case SECURITY_EVENT_TYPES.LOGIN_FAILED:
+        return this._detectFailedLoginsFromIp(event)
+      case SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED:
+        return this._detectRapidPasswordResets(event)
+      default:
+        return undefined
+    }
+  }
+
+  /**
+   * A user's first recorded login is not an anomaly; only a login from an
+   * IP address missing from an existing recent history is.
+   * @private
+   */
+  async _detectNewIpLogin(event) {
+    if (!event.ip_address || event.user_id == null) {
+      return
+    }
+
+    const lookbackDays = config.get('auth.securityEvents.newIpLookbackDays')
+    const previous = await this.prisma.pafs_core_security_events.findMany({
+      where: {
+        event_type: SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+        user_id: event.user_id,
+        id: { lt: event.id },
+        occurred_at: {
+          gte: new Date(event.occurred_at.getTime() - lookbackDays * DAY_MS)
+        }
+      },
+      select: { ip_address: true },
+      distinct: ['ip_address']
+    })
+
+    if (
+      previous.length === 0 ||
+      previous.some((login) => login.ip_address === event.ip_address)
+    ) {
+      return
+    }
+
+    await this._raiseAlert(
+      SECURITY_EVENT_TYPES.NEW_IP_LOGIN,
+      { user_id: event.user_id },
+      event,
+      { previousIpAddresses: previous.map((login) => login.ip_address) }
+    )
+  }
+
+  /**
+   * @private
+   */
+  async _detectFailedLoginsFromIp(event) {
+    if (!event.ip_address) {
+      return
+    }
+
+    const windowMinutes = config.get(
+      'auth.securityEvents.failedLoginWindowMinutes'
+    )
+    const accounts = await this.prisma.pafs_core_security_events.findMany({
+      where: {
+        event_type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+        ip_address: event.ip_address,
+        occurred_at: { gte: minutesAgo(windowMinutes, event.occurred_at) }
+      },
+      select: { email: true },
+      distinct: ['email']
+    })
+
+    if (
+      accounts.length <
+      config.get('auth.securityEvents.failedLoginAccountThreshold')
+    ) {
+      return
+    }
+
+    await this._raiseAlert(
+      SECURITY_EVENT_TYPES.FAILED_LOGINS_FROM_IP,
+      { ip_address: event.ip_address },
+      { ip_address: event.ip_address, occurred_at: event.occurred_at },
+      { accountCount: accounts.length, windowMinutes }
+    )
+  }
+
+  /**
+   * @private
+   */
+  async _detectRapidPasswordResets(event) {
+    if (!event.email) {
+      return
+    }
+
+    const windowMinutes = config.get(
+      'auth.securityEvents.passwordResetWindowMinutes'
+    )
+    const requestCount = await this.prisma.pafs_core_security_events.count({
+      where: {
+        event_type: SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED,
+        email: event.email,
+        occurred_at: { gte: minutesAgo(windowMinutes, event.occurred_at) }
+      }
+    })
+
+    if (
+      requestCount < config.get('auth.securityEvents.passwordResetThreshold')
+    ) {
+      return
+    }
+
+    await this._raiseAlert(
+      SECURITY_EVENT_TYPES.RAPID_PASSWORD_RESETS,
+      { email: event.email },
+      event,
+      { requestCount, windowMinutes }
+    )
+  }
+
+  /**
+   * Record the anomaly and email the admin, unless the same anomaly was
+   * already raised for this subject within the cooldown period
+   * @param {string} alertType - One of the anomaly SECURITY_EVENT_TYPES
+   * @param {Object} subject - Column the cooldown is keyed on
+   * @param {Object} source - Event that triggered the alert
+   * @param {Object} details
+   * @private
+   */
+  async _raiseAlert(alertType, subject, source, details) {
+    const cooldownMinutes = config.get(
+      'auth.securityEvents.alertCooldownMinutes'
+    )
+    const recent = await this.prisma.pafs_core_security_events.findFirst({
+      where: {
+        event_type: alertType,
+        ...subject,
+        occurred_at: { gte: minutesAgo(cooldownMinutes, source.occurred_at) }
+      },
+      select: { id: true }
+    })
+
+    if (recent) {
+      return
+    }
+
+    const alert = await this._create(alertType, {
+      userId: source.user_id,
+      email: source.email,
+      ipAddress: source.ip_address,
+      details
+    })
+
+    this.logger.warn(
+      {
+        alertType,
+        userId: source.user_id,
+        ipAddress: source.ip_address,
+        ...details
+      },
+      'Security anomaly detected'
+    )
+
+    await this._sendAlertEmail(alert)
+  }
+
+  /**
+   * Alerts are already recorded; a Notify failure is logged, not thrown
+   * @private
+   */
+  async _sendAlertEmail(alert) {
+    const adminEmail = config.get('notify.adminEmail')
+    if (!adminEmail) {
+      this.logger.warn('Admin email not configured, skipping security alert')
+      return
+    }
+
+    try {
+      await getEmailService(this.logger).send(
+        config.get('notify.templateSecurityAlert'),
+        adminEmail,
+        {
+          alert_type: alert.event_type,
+          description: ALERT_DESCRIPTIONS[alert.event_type],
+          email: alert.email ?? 'Not known',
+          ip_address: alert.ip_address ?? 'Not known',
+          occurred_at: alert.occurred_at.toISOString(),
+          details: JSON.stringify(alert.details)
+        },
+        'security-alert'
+      )
+    } catch (error) {
+      this.logger.error(
+        { error, alertType: alert.event_type },
+        'Failed to send security alert email'
+      )
+    }
+  }
+}
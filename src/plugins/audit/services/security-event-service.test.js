@@ -0,0 +1,495 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { SecurityEventService } from './security-event-service.js'
+import { config } from '../../../config.js'
+import {
+  SECURITY_EVENT_SEVERITY,
+  SECURITY_EVENT_TYPES
+} from '../../../common/constants/audit.js'
+
+const mockSend = vi.fn()
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({ send: mockSend }))
+}))
+
+const CONFIG = {
+  'auth.securityEvents.alertCooldownMinutes': 60,
+  'auth.securityEvents.newIpLookbackDays': 90,
+  'auth.securityEvents.failedLoginAccountThreshold': 3,
+  'auth.securityEvents.failedLoginWindowMinutes': 15,
+  'auth.securityEvents.passwordResetThreshold': 3,
+  'auth.securityEvents.passwordResetWindowMinutes': 60,
+  'notify.adminEmail': 'admin@test.gov.uk',
+  'notify.templateSecurityAlert': 'security-alert-template',
+  'pagination.maxPageSize': 100,
+  'pagination.defaultPageSize': 20
+}
+
+vi.mock('../../../config.js', () => ({
+  config: { get: vi.fn() }
+}))
+
+const OCCURRED_AT = new Date('2026-05-01T10:00:00Z')
+
+const dbRow = (id, overrides = {}) => ({
+  id: BigInt(id),
+  event_type: SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+  severity: SECURITY_EVENT_SEVERITY.INFO,
+  user_id: 7n,
+  email: 'user@example.com',
+  ip_address: '10.0.0.1',
+  details: null,
+  occurred_at: OCCURRED_AT,
+  ...overrides
+})
+
+describe('SecurityEventService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    config.get.mockImplementation((key) => CONFIG[key])
+
+    mockPrisma = {
+      pafs_core_security_events: {
+        create: vi.fn(({ data }) =>
+          Promise.resolve(dbRow(100, { ...data, occurred_at: OCCURRED_AT }))
+        ),
+        findMany: vi.fn().mockResolvedValue([]),
+        findFirst: vi.fn().mockResolvedValue(null),
+        count: vi.fn().mockResolvedValue(0),
+        deleteMany: vi.fn().mockResolvedValue({ count: 0 })
+      }
+    }
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    service = new SecurityEventService(mockPrisma, mockLogger)
+  })
+
+  describe('record', () => {
+    test('Should store the event with its severity', async () => {
+      await service.record(SECURITY_EVENT_TYPES.ACCOUNT_LOCKED, {
+        userId: 7,
+        email: 'User@Example.com',
+        ipAddress: '10.0.0.1',
+        details: { failedAttempts: 5 }
+      })
+
+      expect(mockPrisma.pafs_core_security_events.create).toHaveBeenCalledWith({
+        data: {
+          event_type: SECURITY_EVENT_TYPES.ACCOUNT_LOCKED,
+          severity: SECURITY_EVENT_SEVERITY.WARNING,
+          user_id: 7n,
+          email: 'user@example.com',
+          ip_address: '10.0.0.1',
+          details: { failedAttempts: 5 },
+          occurred_at: expect.any(Date)
+        }
+      })
+    })
+
+    test('Should default to info severity and null columns', async () => {
+      await service.record(SECURITY_EVENT_TYPES.PASSWORD_RESET)
+
+      expect(mockPrisma.pafs_core_security_events.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          severity: SECURITY_EVENT_SEVERITY.INFO,
+          user_id: null,
+          email: null,
+          ip_address: null,
+          details: null
+        })
+      })
+    })
+
+    test('Should log and swallow failures', async () => {
+      const error = new Error('DB down')
+      mockPrisma.pafs_core_security_events.create.mockRejectedValue(error)
+
+      await expect(
+        service.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, { userId: 7 })
+      ).resolves.toBeUndefined()
+
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        { error, eventType: SECURITY_EVENT_TYPES.LOGIN_FAILED, userId: 7 },
+        'Failed to record security event'
+      )
+    })
+
+    test('Should not run anomaly checks for other event types', async () => {
+      await service.record(SECURITY_EVENT_TYPES.SESSION_MISMATCH, {
+        userId: 7
+      })
+
+      expect(
+        mockPrisma.pafs_core_security_events.findMany
+      ).not.toHaveBeenCalled()
+      expect(mockPrisma.pafs_core_security_events.count).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('new IP login detection', () => {
+    const recordLogin = () =>
+      service.record(SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED, {
+        userId: 7,
+        email: 'user@example.com',
+        ipAddress: '10.0.0.1'
+      })
+
+    test('Should look up earlier logins within the lookback period', async () => {
+      await recordLogin()
+
+      expect(
+        mockPrisma.pafs_core_security_events.findMany
+      ).toHaveBeenCalledWith({
+        where: {
+          event_type: SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+          user_id: 7n,
+          id: { lt: 100n },
+          occurred_at: { gte: new Date('2026-01-31T10:00:00Z') }
+        },
+        select: { ip_address: true },
+        distinct: ['ip_address']
+      })
+    })
+
+    test('Should not alert on a first login', async () => {
+      await recordLogin()
+
+      expect(mockPrisma.pafs_core_security_events.create).toHaveBeenCalledTimes(
+        1
+      )
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    test('Should not alert when the IP address was used before', async () => {
+      mockPrisma.pafs_core_security_events.findMany.mockResolvedValue([
+        { ip_address: '10.0.0.2' },
+        { ip_address: '10.0.0.1' }
+      ])
+
+      await recordLogin()
+
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    test('Should record and email an alert for an unseen IP address', async () => {
+      mockPrisma.pafs_core_security_events.findMany.mockResolvedValue([
+        { ip_address: '10.0.0.2' }
+      ])
+
+      await recordLogin()
+
+      expect(
+        mockPrisma.pafs_core_security_events.findFirst
+      ).toHaveBeenCalledWith({
+        where: {
+          event_type: SECURITY_EVENT_TYPES.NEW_IP_LOGIN,
+          user_id: 7n,
+          occurred_at: { gte: new Date('2026-05-01T09:00:00Z') }
+        },
+        select: { id: true }
+      })
+      expect(
+        mockPrisma.pafs_core_security_events.create
+      ).toHaveBeenLastCalledWith({
+        data: expect.objectContaining({
+          event_type: SECURITY_EVENT_TYPES.NEW_IP_LOGIN,
+          severity: SECURITY_EVENT_SEVERITY.ALERT,
+          user_id: 7n,
+          ip_address: '10.0.0.1',
+          details: { previousIpAddresses: ['10.0.0.2'] }
+        })
+      })
+      expect(mockSend).toHaveBeenCalledWith(
+        'security-alert-template',
+        'admin@test.gov.uk',
+        {
+          alert_type: SECURITY_EVENT_TYPES.NEW_IP_LOGIN,
+          description:
+            'Sign-in from an IP address this account has not used recently',
+          email: 'user@example.com',
+          ip_address: '10.0.0.1',
+          occurred_at: OCCURRED_AT.toISOString(),
+          details: JSON.stringify({ previousIpAddresses: ['10.0.0.2'] })
+        },
+        'security-alert'
+      )
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({
+          alertType: SECURITY_EVENT_TYPES.NEW_IP_LOGIN
+        }),
+        'Security anomaly detected'
+      )
+    })
+
+    test('Should not alert again within the cooldown', async () => {
+      mockPrisma.pafs_core_security_events.findMany.mockResolvedValue([
+        { ip_address: '10.0.0.2' }
+      ])
+      mockPrisma.pafs_core_security_events.findFirst.mockResolvedValue({
+        id: 90n
+      })
+
+      await recordLogin()
+
+      expect(mockPrisma.pafs_core_security_events.create).toHaveBeenCalledTimes(
+        1
+      )
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    test('Should skip the check without an IP address', async () => {
+      await service.record(SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED, {
+        userId: 7
+      })
+
+      expect(
+        mockPrisma.pafs_core_security_events.findMany
+      ).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('failed logins from one IP detection', () => {
+    const recordFailure = () =>
+      service.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+        email: 'user@example.com',
+        ipAddress: '10.0.0.9'
+      })
+
+    test('Should count distinct accounts within the window', async () => {
+      await recordFailure()
+
+      expect(
+        mockPrisma.pafs_core_security_events.findMany
+      ).toHaveBeenCalledWith({
+        where: {
+          event_type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+          ip_address: '10.0.0.9',
+          occurred_at: { gte: new Date('2026-05-01T09:45:00Z') }
+        },
+        select: { email: true },
+        distinct: ['email']
+      })
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    test('Should alert once the account threshold is reached', async () => {
+      mockPrisma.pafs_core_security_events.findMany.mockResolvedValue([
+        { email: 'a@example.com' },
+        { email: 'b@example.com' },
+        { email: 'user@example.com' }
+      ])
+
+      await recordFailure()
+
+      expect(
+        mockPrisma.pafs_core_security_events.findFirst
+      ).toHaveBeenCalledWith({
+        where: expect.objectContaining({
+          event_type: SECURITY_EVENT_TYPES.FAILED_LOGINS_FROM_IP,
+          ip_address: '10.0.0.9'
+        }),
+        select: { id: true }
+      })
+      expect(
+        mockPrisma.pafs_core_security_events.create
+      ).toHaveBeenLastCalledWith({
+        data: expect.objectContaining({
+          event_type: SECURITY_EVENT_TYPES.FAILED_LOGINS_FROM_IP,
+          user_id: null,
+          email: null,
+          ip_address: '10.0.0.9',
+          details: { accountCount: 3, windowMinutes: 15 }
+        })
+      })
+      expect(mockSend).toHaveBeenCalledWith(
+        'security-alert-template',
+        'admin@test.gov.uk',
+        expect.objectContaining({ email: 'Not known' }),
+        'security-alert'
+      )
+    })
+
+    test('Should skip the check without an IP address', async () => {
+      await service.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+        email: 'user@example.com'
+      })
+
+      expect(
+        mockPrisma.pafs_core_security_events.findMany
+      ).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('rapid password reset detection', () => {
+    const recordRequest = () =>
+      service.record(SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED, {
+        email: 'user@example.com',
+        ipAddress: '10.0.0.1'
+      })
+
+    test('Should count requests for the email within the window', async () => {
+      await recordRequest()
+
+      expect(mockPrisma.pafs_core_security_events.count).toHaveBeenCalledWith({
+        where: {
+          event_type: SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED,
+          email: 'user@example.com',
+          occurred_at: { gte: new Date('2026-05-01T09:00:00Z') }
+        }
+      })
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    test('Should alert once the threshold is reached', async () => {
+      mockPrisma.pafs_core_security_events.count.mockResolvedValue(3)
+
+      await recordRequest()
+
+      expect(
+        mockPrisma.pafs_core_security_events.create
+      ).toHaveBeenLastCalledWith({
+        data: expect.objectContaining({
+          event_type: SECURITY_EVENT_TYPES.RAPID_PASSWORD_RESETS,
+          email: 'user@example.com',
+          details: { requestCount: 3, windowMinutes: 60 }
+        })
+      })
+      expect(mockSend).toHaveBeenCalled()
+    })
+
+    test('Should skip the check without an email', async () => {
+      await service.record(SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED, {})
+
+      expect(mockPrisma.pafs_core_security_events.count).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('alert email', () => {
+    beforeEach(() => {
+      mockPrisma.pafs_core_security_events.count.mockResolvedValue(5)
+    })
+
+    const recordRequest = () =>
+      service.record(SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED, {
+        email: 'user@example.com'
+      })
+
+    test('Should skip the email when no admin email is configured', async () => {
+      config.get.mockImplementation((key) =>
+        key === 'notify.adminEmail' ? undefined : CONFIG[key]
+      )
+
+      await recordRequest()
+
+      expect(mockSend).not.toHaveBeenCalled()
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Admin email not configured, skipping security alert'
+      )
+    })
+
+    test('Should log email failures and keep the alert', async () => {
+      const error = new Error('Notify down')
+      mockSend.mockRejectedValueOnce(error)
+
+      await recordRequest()
+
+      expect(mockPrisma.pafs_core_security_events.create).toHaveBeenCalledTimes(
+        2
+      )
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        { error, alertType: SECURITY_EVENT_TYPES.RAPID_PASSWORD_RESETS },
+        'Failed to send security alert email'
+      )
+    })
+  })
+
+  describe('getSecurityEvents', () => {
+    test('Should return paginated events newest first', async () => {
+      mockPrisma.pafs_core_security_events.count.mockResolvedValue(1)
+      mockPrisma.pafs_core_security_events.findMany.mockResolvedValue([
+        dbRow(5, { details: { reason: 'x' } })
+      ])
+
+      const result = await service.getSecurityEvents({ page: 1, pageSize: 10 })
+
+      expect(
+        mockPrisma.pafs_core_security_events.findMany
+      ).toHaveBeenCalledWith({
+        where: {},
+        orderBy: [{ occurred_at: 'desc' }, { id: 'desc' }],
+        skip: 0,
+        take: 10
+      })
+      expect(result.data).toEqual([
+        {
+          id: 5,
+          eventType: SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+          severity: SECURITY_EVENT_SEVERITY.INFO,
+          userId: 7,
+          email: 'user@example.com',
+          ipAddress: '10.0.0.1',
+          details: { reason: 'x' },
+          occurredAt: OCCURRED_AT
+        }
+      ])
+      expect(result.pagination).toEqual(
+        expect.objectContaining({ page: 1, pageSize: 10, total: 1 })
+      )
+    })
+
+    test('Should map every filter to its column', async () => {
+      const dateFrom = new Date('2026-01-01')
+      const dateTo = new Date('2026-02-01')
+
+      await service.getSecurityEvents({
+        eventType: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+        severity: SECURITY_EVENT_SEVERITY.INFO,
+        userId: 7,
+        email: 'User@Example.com',
+        ipAddress: '10.0.0.1',
+        dateFrom,
+        dateTo
+      })
+
+      expect(mockPrisma.pafs_core_security_events.count).toHaveBeenCalledWith({
+        where: {
+          event_type: SECURITY_EVENT_TYPES.LOGIN_FAILED,
+          severity: SECURITY_EVENT_SEVERITY.INFO,
+          user_id: 7n,
+          email: { equals: 'User@Example.com', mode: 'insensitive' },
+          ip_address: '10.0.0.1',
+          occurred_at: { gte: dateFrom, lte: dateTo }
+        }
+      })
+    })
+
+    test('Should return a null user ID for events without a user', async () => {
+      mockPrisma.pafs_core_security_events.findMany.mockResolvedValue([
+        dbRow(6, { user_id: null })
+      ])
+
+      const result = await service.getSecurityEvents()
+
+      expect(result.data[0].userId).toBeNull()
+    })
+  })
+
+  describe('deleteEventsBefore', () => {
+    test('Should delete events older than the cutoff', async () => {
+      const cutoff = new Date('2025-05-01')
+      mockPrisma.pafs_core_security_events.deleteMany.mockResolvedValue({
+        count: 4
+      })
+
+      const count = await service.deleteEventsBefore(cutoff)
+
+      expect(count).toBe(4)
+      expect(
+        mockPrisma.pafs_core_security_events.deleteMany
+      ).toHaveBeenCalledWith({ where: { occurred_at: { lt: cutoff } } })
+    })
+  })
+})
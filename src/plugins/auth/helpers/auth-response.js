@@ -0,0 +1,49 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+
+/**
+ * Error body for a failed auth service result, carrying the optional
+ * warning and support codes the frontend shows alongside the error
+ * @param {Object} h - Hapi response toolkit
+ * @param {Object} result - { errorCode, warningCode?, supportCode? }
+ * @param {number} [statusCode]
+ * @returns {Object} Hapi response
+ */
+export function authErrorResponse(
+  h,
+  result,
+  statusCode = HTTP_STATUS.UNAUTHORIZED
+) {
+  const response = { errorCode: result.errorCode }
+
+  if (result.warningCode) {
+    response.warningCode = result.warningCode
+  }
+
+  if (result.supportCode) {
+    response.supportCode = result.supportCode
+  }
+
+  return h.response({ errors: [response] }).code(statusCode)
+}
+
+/**
+ * Signed-in response once login (including any MFA step) has completed.
+ * Evicts any prior session for this user from this instance's auth cache.
+ * @param {Object} request - Hapi request
+ * @param {Object} h - Hapi response toolkit
+ * @param {Object} result - Successful AuthService login result
+ * @returns {Object} Hapi response
+ */
+export function signedInResponse(request, h, result) {
+  request.server.invalidateAuthCacheForUser(result.user.id)
+
+  return h
+    .response({
+      user: result.user,
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+      ...(result.recoveryCodes && { recoveryCodes: result.recoveryCodes })
+    })
+    .code(HTTP_STATUS.OK)
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { authErrorResponse, signedInResponse } from './auth-response.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+
+describe('auth-response helpers', () => {
+  let mockH
+
+  beforeEach(() => {
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  describe('authErrorResponse', () => {
+    it('returns 401 with the error code', () => {
+      authErrorResponse(mockH, { errorCode: 'AUTH_MFA_CODE_INVALID' })
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [{ errorCode: 'AUTH_MFA_CODE_INVALID' }]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED)
+    })
+
+    it('includes warning and support codes when present', () => {
+      authErrorResponse(
+        mockH,
+        {
+          errorCode: 'AUTH_ACCOUNT_LOCKED',
+          warningCode: 'AUTH_LAST_ATTEMPT_WARNING',
+          supportCode: 'AUTH_ACCOUNT_SUPPORT_UNLOCK'
+        },
+        HTTP_STATUS.BAD_REQUEST
+      )
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [
+          {
+            errorCode: 'AUTH_ACCOUNT_LOCKED',
+            warningCode: 'AUTH_LAST_ATTEMPT_WARNING',
+            supportCode: 'AUTH_ACCOUNT_SUPPORT_UNLOCK'
+          }
+        ]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST)
+    })
+  })
+
+  describe('signedInResponse', () => {
+    const request = { server: { invalidateAuthCacheForUser: vi.fn() } }
+    const result = {
+      success: true,
+      user: { id: 1 },
+      accessToken: 'access-token',
+      refreshToken: 'refresh-token',
+      expiresIn: '25m'
+    }
+
+    it('returns the tokens and evicts the cached session', () => {
+      signedInResponse(request, mockH, result)
+
+      expect(request.server.invalidateAuthCacheForUser).toHaveBeenCalledWith(1)
+      expect(mockH.response).toHaveBeenCalledWith({
+        user: { id: 1 },
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        expiresIn: '25m'
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    })
+
+    it('includes recovery codes from enrolment', () => {
+      signedInResponse(request, mockH, {
+        ...result,
+        recoveryCodes: ['aaaaa-bbbbb']
+      })
+
+      expect(mockH.response).toHaveBeenCalledWith(
+        expect.objectContaining({ recoveryCodes: ['aaaaa-bbbbb'] })
+      )
+    })
+  })
+})
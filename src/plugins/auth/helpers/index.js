@@ -10,9 +10,24 @@ export {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  generateMfaToken,
+  verifyMfaToken,
+  getTokenExpiry,
+  getTokenId
 } from './jwt.js'
 
+// TOTP utilities
+export {
+  generateTotpSecret,
+  verifyTotp,
+  buildProvisioningUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from './totp.js'
+
 // Session utilities
 export {
   generateSessionId,
@@ -1,3 +1,4 @@
+import crypto from 'node:crypto'
 import jwt from 'jsonwebtoken'
 import { config } from '../../../config.js'
 import { createLogger } from '../../../common/helpers/logging/logger.js'
@@ -31,25 +32,89 @@ export function generateAccessToken(user, sessionId, areas = []) {
 }
 
 /**
- * Generate a refresh token for a user
+ * Generate a refresh token for a user. Each token gets its own jti so the
+ * server can record it and refuse it once it has been used.
  * @param {Object} user - User object with id
  * @param {string} sessionId - Unique session identifier
+ * @param {Object} [options]
+ * @param {string} [options.tokenId] - jti to use instead of a random one
+ * @param {Date} [options.expiresAt] - Expiry to use instead of
+ *   auth.jwt.refreshExpiresIn from now
  * @returns {string} Signed JWT refresh token
  */
-export function generateRefreshToken(user, sessionId) {
+export function generateRefreshToken(
+  user,
+  sessionId,
+  { tokenId = crypto.randomUUID(), expiresAt } = {}
+) {
   const payload = {
     userId: Number(user.id),
     sessionId,
-    type: 'refresh'
+    type: 'refresh',
+    ...(expiresAt && { exp: Math.floor(expiresAt.getTime() / 1000) })
   }
 
   return jwt.sign(payload, config.get('auth.jwt.refreshSecret'), {
-    expiresIn: config.get('auth.jwt.refreshExpiresIn'),
+    ...(!expiresAt && { expiresIn: config.get('auth.jwt.refreshExpiresIn') }),
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+    jwtid: tokenId
+  })
+}
+
+/**
+ * jti of the refresh token issued in exchange for the token with this jti.
+ * It is derived with the refresh secret, so the successor of a token can be
+ * found and signed again without its ID being stored.
+ * @param {string} tokenId - jti of the token being exchanged
+ * @returns {string}
+ */
+export function getSuccessorTokenId(tokenId) {
+  return crypto
+    .createHmac('sha256', config.get('auth.jwt.refreshSecret'))
+    .update(tokenId)
+    .digest('base64url')
+}
+
+/**
+ * Generate a short-lived token for the MFA step of login. It proves the
+ * password was correct but cannot be used as an access or refresh token.
+ * @param {Object} user - User object with id
+ * @param {string} purpose - One of MFA.CHALLENGE_PURPOSE
+ * @returns {string} Signed JWT MFA token
+ */
+export function generateMfaToken(user, purpose) {
+  const payload = {
+    userId: Number(user.id),
+    purpose,
+    type: 'mfa'
+  }
+
+  return jwt.sign(payload, config.get('auth.jwt.accessSecret'), {
+    expiresIn: config.get('auth.mfa.challengeExpiresIn'),
     issuer: JWT_ISSUER,
     audience: JWT_AUDIENCE
   })
 }
 
+/**
+ * Expiry time of a token this service signed
+ * @param {string} token - JWT
+ * @returns {Date}
+ */
+export function getTokenExpiry(token) {
+  return new Date(jwt.decode(token).exp * 1000)
+}
+
+/**
+ * Unique ID (jti claim) of a token this service signed
+ * @param {string} token - JWT
+ * @returns {string|undefined}
+ */
+export function getTokenId(token) {
+  return jwt.decode(token).jti
+}
+
 /**
  * Verify and decode an access token
  * @param {string} token - JWT access token
@@ -95,3 +160,27 @@ export function verifyRefreshToken(token) {
     return null
   }
 }
+
+/**
+ * Verify and decode an MFA token
+ * @param {string} token - JWT MFA token
+ * @param {string} purpose - Expected MFA.CHALLENGE_PURPOSE
+ * @returns {Object|null} Decoded payload or null if invalid
+ */
+export function verifyMfaToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, config.get('auth.jwt.accessSecret'), {
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
+    })
+
+    if (decoded.type !== 'mfa' || decoded.purpose !== purpose) {
+      return null
+    }
+
+    return decoded
+  } catch (error) {
+    logger.debug({ err: error }, 'MFA token verification failed')
+    return null
+  }
+}
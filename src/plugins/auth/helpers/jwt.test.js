@@ -3,7 +3,12 @@ import {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
-  verifyRefreshToken
+  verifyRefreshToken,
+  generateMfaToken,
+  verifyMfaToken,
+  getTokenExpiry,
+  getTokenId,
+  getSuccessorTokenId
 } from './jwt.js'
 import { config } from '../../../config.js'
 import jwt from 'jsonwebtoken'
@@ -85,6 +90,20 @@ describe('jwt helper', () => {
       expect(decoded.sessionId).toBe(sessionId)
       expect(decoded.type).toBe('refresh')
     })
+
+    it('signs the given token ID and expiry', () => {
+      const expiresAt = new Date(Date.now() + 60 * 60 * 1000)
+      const token = generateRefreshToken(mockUser, 'session-789', {
+        tokenId: 'token-id-1',
+        expiresAt
+      })
+
+      expect(getTokenId(token)).toBe('token-id-1')
+      expect(getTokenExpiry(token).getTime()).toBe(
+        Math.floor(expiresAt.getTime() / 1000) * 1000
+      )
+      expect(verifyRefreshToken(token).sessionId).toBe('session-789')
+    })
   })
 
   describe('verifyAccessToken', () => {
@@ -208,4 +227,79 @@ describe('jwt helper', () => {
       expect(decoded).toBeNull()
     })
   })
+
+  describe('generateMfaToken / verifyMfaToken', () => {
+    it('round trips a token for the same purpose', () => {
+      const token = generateMfaToken(mockUser, 'verify')
+      const decoded = verifyMfaToken(token, 'verify')
+
+      expect(decoded.userId).toBe(mockUser.id)
+      expect(decoded.purpose).toBe('verify')
+      expect(decoded.type).toBe('mfa')
+    })
+
+    it('rejects a token issued for another purpose', () => {
+      const token = generateMfaToken(mockUser, 'enrol')
+
+      expect(verifyMfaToken(token, 'verify')).toBeNull()
+    })
+
+    it('cannot be used as an access token', () => {
+      const token = generateMfaToken(mockUser, 'verify')
+
+      expect(verifyAccessToken(token)).toBeNull()
+    })
+
+    it('rejects an access token', () => {
+      const accessToken = generateAccessToken(mockUser, 'session-123')
+
+      expect(verifyMfaToken(accessToken, 'verify')).toBeNull()
+    })
+
+    it('rejects invalid token', () => {
+      expect(verifyMfaToken('invalid.mfa.token', 'verify')).toBeNull()
+    })
+  })
+  describe('getTokenExpiry', () => {
+    it('returns the exp claim as a date', () => {
+      const token = generateRefreshToken(mockUser, 'session-123')
+      const { exp } = jwt.decode(token)
+
+      expect(getTokenExpiry(token)).toEqual(new Date(exp * 1000))
+    })
+  })
+
+  describe('getTokenId', () => {
+    it('returns a different ID for every refresh token', () => {
+      const first = generateRefreshToken(mockUser, 'session-123')
+      const second = generateRefreshToken(mockUser, 'session-123')
+
+      expect(getTokenId(first)).toEqual(expect.any(String))
+      expect(getTokenId(first)).not.toBe(getTokenId(second))
+      expect(getTokenId(first)).toBe(jwt.decode(first).jti)
+    })
+  })
+
+  describe('getSuccessorTokenId', () => {
+    it('derives the same successor ID for a token every time', () => {
+      expect(getSuccessorTokenId('token-id-1')).toBe(
+        getSuccessorTokenId('token-id-1')
+      )
+      expect(getSuccessorTokenId('token-id-1')).not.toBe(
+        getSuccessorTokenId('token-id-2')
+      )
+    })
+
+    it('cannot be derived without the refresh secret', () => {
+      const original = config.get('auth.jwt.refreshSecret')
+      const successor = getSuccessorTokenId('token-id-1')
+
+      config.set('auth.jwt.refreshSecret', 'another-secret')
+      try {
+        expect(getSuccessorTokenId('token-id-1')).not.toBe(successor)
+      } finally {
+        config.set('auth.jwt.refreshSecret', original)
+      }
+    })
+  })
 })
@@ -45,6 +45,20 @@ export function isAccountLocked(user) {
   return !shouldResetLockout(user)
 }
 
+/**
+ * Check if account is within an admin-set suspension period
+ * @param {Object} user - User object with suspended_until field
+ * @param {Date} [now]
+ * @returns {boolean} True if account is suspended
+ */
+export function isAccountSuspended(user, now = new Date()) {
+  if (!user.suspended_until) {
+    return false
+  }
+
+  return new Date(user.suspended_until).getTime() > now.getTime()
+}
+
 /**
  * Check if account should be disabled due to inactivity
  * @param {Object} user - User object with last_sign_in_at field
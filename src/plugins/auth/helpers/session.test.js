@@ -3,6 +3,7 @@ import {
   generateSessionId,
   shouldResetLockout,
   isAccountLocked,
+  isAccountSuspended,
   shouldDisableAccount,
   remainingAttempts,
   isLastAttempt
@@ -68,6 +69,32 @@ describe('session helper', () => {
     })
   })
 
+  describe('isAccountSuspended', () => {
+    const now = new Date('2026-06-01T12:00:00Z')
+
+    it('returns false when no suspension is set', () => {
+      expect(isAccountSuspended({ suspended_until: null }, now)).toBe(false)
+    })
+
+    it('returns true before the suspension end date', () => {
+      expect(
+        isAccountSuspended(
+          { suspended_until: new Date('2026-06-02T00:00:00Z') },
+          now
+        )
+      ).toBe(true)
+    })
+
+    it('returns false once the suspension end date has passed', () => {
+      expect(
+        isAccountSuspended(
+          { suspended_until: new Date('2026-06-01T12:00:00Z') },
+          now
+        )
+      ).toBe(false)
+    })
+  })
+
   describe('isAccountLocked', () => {
     beforeEach(() => {
       vi.useFakeTimers()
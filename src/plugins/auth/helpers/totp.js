@@ -0,0 +1,207 @@
+import crypto from 'node:crypto'
+import { MFA } from '../../../common/constants/index.js'
+import { config } from '../../../config.js'
+
+/**
+ * TOTP (RFC 6238) utilities for multi-factor authentication, plus the
+ * encryption of shared secrets at rest and single-use recovery codes.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const BASE32_BITS = 5
+const BYTE_BITS = 8
+const DYNAMIC_OFFSET_MASK = 0x0f
+const CIPHER = 'aes-256-gcm'
+const CIPHER_IV_BYTES = 12
+
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value << BYTE_BITS) | byte
+    bits += BYTE_BITS
+    while (bits >= BASE32_BITS) {
+      output += BASE32_ALPHABET[(value >>> (bits - BASE32_BITS)) & 31]
+      bits -= BASE32_BITS
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (BASE32_BITS - bits)) & 31]
+  }
+
+  return output
+}
+
+function base32Decode(encoded) {
+  const bytes = []
+  let bits = 0
+  let value = 0
+
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character')
+    }
+    value = (value << BASE32_BITS) | index
+    bits += BASE32_BITS
+    if (bits >= BYTE_BITS) {
+      bytes.push((value >>> (bits - BYTE_BITS)) & 255)
+      bits -= BYTE_BITS
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+function encryptionKey() {
+  return crypto
+    .createHash('sha256')
+    .update(config.get('auth.mfa.secretEncryptionKey'))
+    .digest()
+}
+
+/**
+ * Generate a new base32 TOTP shared secret
+ * @returns {string} Base32 encoded secret
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(MFA.SECRET_BYTES))
+}
+
+/**
+ * TOTP time step for a moment in time
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function getTimeStep(now = new Date()) {
+  return Math.floor(now.getTime() / 1000 / MFA.PERIOD_SECONDS)
+}
+
+/**
+ * Generate the TOTP code for a time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+export function generateTotp(secret, step) {
+  const counter = Buffer.alloc(BYTE_BITS)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest()
+  const offset = hmac[hmac.length - 1] & DYNAMIC_OFFSET_MASK
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** MFA.CODE_DIGITS).padStart(MFA.CODE_DIGITS, '0')
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift. Steps at or before
+ * `lastUsedStep` are rejected so an accepted code cannot be replayed.
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number|bigint|null} [options.lastUsedStep]
+ * @returns {number|null} The matching time step, or null when invalid
+ */
+export function verifyTotp(secret, code, { now, lastUsedStep = null } = {}) {
+  const current = getTimeStep(now)
+  const expected = Buffer.from(String(code))
+
+  for (let drift = -MFA.DRIFT_STEPS; drift <= MFA.DRIFT_STEPS; drift++) {
+    const step = current + drift
+    if (lastUsedStep != null && step <= Number(lastUsedStep)) {
+      continue
+    }
+
+    const candidate = Buffer.from(generateTotp(secret, step))
+    if (
+      candidate.length === expected.length &&
+      crypto.timingSafeEqual(candidate, expected)
+    ) {
+      return step
+    }
+  }
+
+  return null
+}
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Normally the user's email address
+ * @returns {string}
+ */
+export function buildProvisioningUri(secret, accountName) {
+  const issuer = config.get('auth.mfa.issuer')
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(MFA.CODE_DIGITS),
+    period: String(MFA.PERIOD_SECONDS)
+  })
+
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}?${params}`
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 encoded secret
+ * @returns {string} iv.tag.ciphertext, each base64url encoded
+ */
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(CIPHER_IV_BYTES)
+  const cipher = crypto.createCipheriv(CIPHER, encryptionKey(), iv)
+  const ciphertext = Buffer.concat([cipher.update(secret), cipher.final()])
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString('base64url'))
+    .join('.')
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value produced by encryptTotpSecret
+ * @returns {string} Base32 encoded secret
+ */
+export function decryptTotpSecret(stored) {
+  const [iv, tag, ciphertext] = stored
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64url'))
+  const decipher = crypto.createDecipheriv(CIPHER, encryptionKey(), iv)
+  decipher.setAuthTag(tag)
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final()
+  ]).toString()
+}
+
+/**
+ * Generate single-use recovery codes, e.g. 3f9a1-c07be
+ * @param {number} count
+ * @returns {string[]}
+ */
+export function generateRecoveryCodes(count) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(MFA.RECOVERY_CODE_BYTES).toString('hex')
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+}
+
+/**
+ * Normalise a recovery code as typed (case, spaces and the dash are ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, '')
+}
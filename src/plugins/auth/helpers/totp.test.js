@@ -0,0 +1,119 @@
+import { describe, test, expect } from 'vitest'
+import {
+  generateTotpSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildProvisioningUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from './totp.js'
+
+// RFC 6238 appendix B shared secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+describe('totp helpers', () => {
+  describe('generateTotpSecret', () => {
+    test('Should generate a 32 character base32 secret', () => {
+      const secret = generateTotpSecret()
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/)
+    })
+
+    test('Should generate unique secrets', () => {
+      expect(generateTotpSecret()).not.toBe(generateTotpSecret())
+    })
+  })
+
+  describe('generateTotp', () => {
+    test.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ])('Should match the RFC 6238 vector at %i seconds', (seconds, code) => {
+      const step = getTimeStep(new Date(seconds * 1000))
+
+      expect(generateTotp(RFC_SECRET, step)).toBe(code)
+    })
+  })
+
+  describe('verifyTotp', () => {
+    const now = new Date(1111111109 * 1000)
+    const step = getTimeStep(now)
+
+    test('Should return the step for a current code', () => {
+      expect(verifyTotp(RFC_SECRET, '081804', { now })).toBe(step)
+    })
+
+    test('Should accept a code from the previous step', () => {
+      const previous = generateTotp(RFC_SECRET, step - 1)
+
+      expect(verifyTotp(RFC_SECRET, previous, { now })).toBe(step - 1)
+    })
+
+    test('Should reject a code outside the drift window', () => {
+      const stale = generateTotp(RFC_SECRET, step - 3)
+
+      expect(verifyTotp(RFC_SECRET, stale, { now })).toBeNull()
+    })
+
+    test('Should reject a code that has already been used', () => {
+      expect(
+        verifyTotp(RFC_SECRET, '081804', { now, lastUsedStep: BigInt(step) })
+      ).toBeNull()
+    })
+
+    test('Should reject malformed codes', () => {
+      expect(verifyTotp(RFC_SECRET, '12', { now })).toBeNull()
+    })
+  })
+
+  describe('buildProvisioningUri', () => {
+    test('Should build an otpauth URI with the issuer and account', () => {
+      const uri = buildProvisioningUri(RFC_SECRET, 'user@example.com')
+
+      expect(uri).toBe(
+        `otpauth://totp/PAFS:user%40example.com?secret=${RFC_SECRET}&issuer=PAFS&algorithm=SHA1&digits=6&period=30`
+      )
+    })
+  })
+
+  describe('encryptTotpSecret / decryptTotpSecret', () => {
+    test('Should round trip a secret', () => {
+      const encrypted = encryptTotpSecret(RFC_SECRET)
+
+      expect(encrypted).not.toContain(RFC_SECRET)
+      expect(decryptTotpSecret(encrypted)).toBe(RFC_SECRET)
+    })
+
+    test('Should use a fresh IV each time', () => {
+      expect(encryptTotpSecret(RFC_SECRET)).not.toBe(
+        encryptTotpSecret(RFC_SECRET)
+      )
+    })
+
+    test('Should reject a tampered value', () => {
+      const [iv, tag] = encryptTotpSecret(RFC_SECRET).split('.')
+      const tampered = [iv, tag, Buffer.from('tampered').toString('base64url')]
+
+      expect(() => decryptTotpSecret(tampered.join('.'))).toThrow()
+    })
+  })
+
+  describe('recovery codes', () => {
+    test('Should generate the requested number of unique codes', () => {
+      const codes = generateRecoveryCodes(10)
+
+      expect(codes).toHaveLength(10)
+      expect(new Set(codes).size).toBe(10)
+      codes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/))
+    })
+
+    test('Should normalise case, spaces and the dash', () => {
+      expect(normalizeRecoveryCode(' 3F9A1-C07BE ')).toBe('3f9a1c07be')
+    })
+  })
+})
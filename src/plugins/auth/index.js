@@ -1,11 +1,12 @@
 import sessionRoutes from './sessions/index.js'
 import passwordRoutes from './password/index.js'
+import mfaRoutes from './mfa/index.js'
 
 const authPlugin = {
   name: 'auth',
   version: '1.0.0',
   register: (server, _options) => {
-    server.route([...sessionRoutes, ...passwordRoutes])
+    server.route([...sessionRoutes, ...passwordRoutes, ...mfaRoutes])
     server.logger.info('Auth plugin registered')
   }
 }
@@ -13,3 +14,4 @@ const authPlugin = {
 export default authPlugin
 export { default as sessionRoutes } from './sessions/index.js'
 export { default as passwordRoutes } from './password/index.js'
+export { default as mfaRoutes } from './mfa/index.js'
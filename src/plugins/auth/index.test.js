@@ -53,6 +53,31 @@ describe('auth plugin', () => {
 
       expect(validateRoute).toBeDefined()
       expect(validateRoute.method).toBe('post')
+
+      // MFA routes
+      for (const path of [
+        '/api/v1/auth/mfa/enrol',
+        '/api/v1/auth/mfa/enrol/confirm',
+        '/api/v1/auth/mfa/verify'
+      ]) {
+        const route = routes.find((r) => r.path === path)
+        expect(route).toBeDefined()
+        expect(route.method).toBe('post')
+      }
+
+      // Signed-in session management
+      const listSessionsRoute = routes.find(
+        (r) => r.path === '/api/v1/auth/sessions'
+      )
+      const revokeSessionRoute = routes.find(
+        (r) => r.path === '/api/v1/auth/sessions/{id}'
+      )
+
+      expect(listSessionsRoute).toBeDefined()
+      expect(listSessionsRoute.method).toBe('get')
+
+      expect(revokeSessionRoute).toBeDefined()
+      expect(revokeSessionRoute.method).toBe('delete')
     })
 
     test('Should have correct plugin name', () => {
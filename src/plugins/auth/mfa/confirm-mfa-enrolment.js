@@ -0,0 +1,73 @@
+import { AuthService } from '../services/auth-service.js'
+import { MfaService } from '../services/mfa-service.js'
+import { mfaEnrolConfirmSchema } from '../schema.js'
+import {
+  authErrorResponse,
+  signedInResponse
+} from '../helpers/auth-response.js'
+import {
+  AUTH_ERROR_CODES,
+  HTTP_STATUS
+} from '../../../common/constants/index.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { getClientIp } from '../../../common/helpers/client-ip.js'
+
+const confirmMfaEnrolment = {
+  method: 'POST',
+  path: '/api/v1/auth/mfa/enrol/confirm',
+  options: {
+    auth: {
+      strategy: 'jwt',
+      mode: 'optional'
+    },
+    description: 'Confirm MFA enrolment',
+    notes:
+      'Turns MFA on once a code from the authenticator app is verified and returns single-use recovery codes. With an MFA token from login this also completes sign-in',
+    tags: ['api', 'auth'],
+    validate: {
+      payload: mfaEnrolConfirmSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    const { mfaToken, code } = request.payload
+    const { prisma } = request
+    const { logger } = request.server
+    const userId = request.auth.credentials?.userId
+
+    if (userId) {
+      const mfaService = new MfaService(prisma, logger)
+      const result = await mfaService.confirmEnrolment(userId, code)
+
+      if (!result.success) {
+        return authErrorResponse(h, result, HTTP_STATUS.BAD_REQUEST)
+      }
+
+      return h
+        .response({ recoveryCodes: result.recoveryCodes })
+        .code(HTTP_STATUS.OK)
+    }
+
+    if (!mfaToken) {
+      return authErrorResponse(h, {
+        errorCode: AUTH_ERROR_CODES.MFA_AUTHENTICATION_REQUIRED
+      })
+    }
+
+    const authService = new AuthService(prisma, logger)
+    const result = await authService.completeMfaEnrolmentLogin(
+      mfaToken,
+      code,
+      getClientIp(request),
+      request.headers['user-agent']
+    )
+
+    if (!result.success) {
+      return authErrorResponse(h, result)
+    }
+
+    return signedInResponse(request, h, result)
+  }
+}
+
+export default confirmMfaEnrolment
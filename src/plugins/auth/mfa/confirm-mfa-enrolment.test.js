@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import confirmMfaEnrolment from './confirm-mfa-enrolment.js'
+import {
+  AUTH_ERROR_CODES,
+  HTTP_STATUS
+} from '../../../common/constants/index.js'
+import { mfaEnrolConfirmSchema } from '../schema.js'
+
+const mockCompleteMfaEnrolmentLogin = vi.fn()
+const mockConfirmEnrolment = vi.fn()
+
+vi.mock('../services/auth-service.js', () => ({
+  AuthService: class {
+    completeMfaEnrolmentLogin = mockCompleteMfaEnrolmentLogin
+  }
+}))
+
+vi.mock('../services/mfa-service.js', () => ({
+  MfaService: class {
+    confirmEnrolment = mockConfirmEnrolment
+  }
+}))
+
+describe('confirm-mfa-enrolment route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      payload: { code: '123456' },
+      auth: { credentials: { userId: 5 } },
+      info: { remoteAddress: '127.0.0.1' },
+      headers: { 'user-agent': 'Mozilla/5.0 (Test)' },
+      prisma: {},
+      server: {
+        logger: {},
+        invalidateAuthCacheForUser: vi.fn()
+      }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('has optional JWT auth and validation', () => {
+    expect(confirmMfaEnrolment.method).toBe('POST')
+    expect(confirmMfaEnrolment.path).toBe('/api/v1/auth/mfa/enrol/confirm')
+    expect(confirmMfaEnrolment.options.auth).toEqual({
+      strategy: 'jwt',
+      mode: 'optional'
+    })
+    expect(confirmMfaEnrolment.options.validate.payload).toBe(
+      mfaEnrolConfirmSchema
+    )
+  })
+
+  describe('signed-in user', () => {
+    it('returns the recovery codes', async () => {
+      mockConfirmEnrolment.mockResolvedValue({
+        success: true,
+        recoveryCodes: ['aaaaa-bbbbb']
+      })
+
+      await confirmMfaEnrolment.handler(mockRequest, mockH)
+
+      expect(mockConfirmEnrolment).toHaveBeenCalledWith(5, '123456')
+      expect(mockH.response).toHaveBeenCalledWith({
+        recoveryCodes: ['aaaaa-bbbbb']
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+      expect(mockCompleteMfaEnrolmentLogin).not.toHaveBeenCalled()
+    })
+
+    it('returns bad request for a wrong code', async () => {
+      mockConfirmEnrolment.mockResolvedValue({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.MFA_CODE_INVALID
+      })
+
+      await confirmMfaEnrolment.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [{ errorCode: AUTH_ERROR_CODES.MFA_CODE_INVALID }]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST)
+    })
+  })
+
+  describe('enrolment required at login', () => {
+    beforeEach(() => {
+      mockRequest.auth.credentials = null
+      mockRequest.payload = { mfaToken: 'mfa-token', code: '123456' }
+    })
+
+    it('signs the user in and returns the recovery codes', async () => {
+      mockCompleteMfaEnrolmentLogin.mockResolvedValue({
+        success: true,
+        user: { id: 9 },
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        expiresIn: '25m',
+        recoveryCodes: ['aaaaa-bbbbb']
+      })
+
+      await confirmMfaEnrolment.handler(mockRequest, mockH)
+
+      expect(mockCompleteMfaEnrolmentLogin).toHaveBeenCalledWith(
+        'mfa-token',
+        '123456',
+        '127.0.0.1',
+        'Mozilla/5.0 (Test)'
+      )
+      expect(mockH.response).toHaveBeenCalledWith({
+        user: { id: 9 },
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        expiresIn: '25m',
+        recoveryCodes: ['aaaaa-bbbbb']
+      })
+      expect(
+        mockRequest.server.invalidateAuthCacheForUser
+      ).toHaveBeenCalledWith(9)
+    })
+
+    it('returns unauthorized when the code or token is rejected', async () => {
+      mockCompleteMfaEnrolmentLogin.mockResolvedValue({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.ACCOUNT_LOCKED,
+        supportCode: AUTH_ERROR_CODES.ACCOUNT_SUPPORT_UNLOCK
+      })
+
+      await confirmMfaEnrolment.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [
+          {
+            errorCode: AUTH_ERROR_CODES.ACCOUNT_LOCKED,
+            supportCode: AUTH_ERROR_CODES.ACCOUNT_SUPPORT_UNLOCK
+          }
+        ]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED)
+    })
+
+    it('requires an MFA token when not signed in', async () => {
+      mockRequest.payload = { code: '123456' }
+
+      await confirmMfaEnrolment.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [{ errorCode: AUTH_ERROR_CODES.MFA_AUTHENTICATION_REQUIRED }]
+      })
+      expect(mockCompleteMfaEnrolmentLogin).not.toHaveBeenCalled()
+    })
+  })
+})
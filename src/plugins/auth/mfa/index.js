@@ -0,0 +1,6 @@
+import startMfaEnrolment from './start-mfa-enrolment.js'
+import confirmMfaEnrolment from './confirm-mfa-enrolment.js'
+import verifyMfa from './verify-mfa.js'
+
+export const mfaRoutes = [startMfaEnrolment, confirmMfaEnrolment, verifyMfa]
+export default mfaRoutes
@@ -0,0 +1,62 @@
+import { AuthService } from '../services/auth-service.js'
+import { MfaService } from '../services/mfa-service.js'
+import { mfaEnrolSchema } from '../schema.js'
+import { authErrorResponse } from '../helpers/auth-response.js'
+import {
+  AUTH_ERROR_CODES,
+  HTTP_STATUS
+} from '../../../common/constants/index.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const startMfaEnrolment = {
+  method: 'POST',
+  path: '/api/v1/auth/mfa/enrol',
+  options: {
+    auth: {
+      strategy: 'jwt',
+      mode: 'optional'
+    },
+    description: 'Start MFA enrolment',
+    notes:
+      'Returns a new TOTP secret and otpauth provisioning URI. Signed-in users send their access token; users who must enrol before signing in send the MFA token from login',
+    tags: ['api', 'auth'],
+    validate: {
+      payload: mfaEnrolSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    const { mfaToken } = request.payload ?? {}
+    const { prisma } = request
+    const { logger } = request.server
+
+    const userId =
+      request.auth.credentials?.userId ??
+      (mfaToken &&
+        new AuthService(prisma, logger).resolveMfaEnrolmentUserId(mfaToken))
+
+    if (!userId) {
+      return authErrorResponse(h, {
+        errorCode: mfaToken
+          ? AUTH_ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID
+          : AUTH_ERROR_CODES.MFA_AUTHENTICATION_REQUIRED
+      })
+    }
+
+    const mfaService = new MfaService(prisma, logger)
+    const result = await mfaService.startEnrolment(userId)
+
+    if (!result.success) {
+      return authErrorResponse(h, result, HTTP_STATUS.BAD_REQUEST)
+    }
+
+    return h
+      .response({
+        secret: result.secret,
+        provisioningUri: result.provisioningUri
+      })
+      .code(HTTP_STATUS.OK)
+  }
+}
+
+export default startMfaEnrolment
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import startMfaEnrolment from './start-mfa-enrolment.js'
+import {
+  AUTH_ERROR_CODES,
+  HTTP_STATUS
+} from '../../../common/constants/index.js'
+import { mfaEnrolSchema } from '../schema.js'
+
+const mockResolveMfaEnrolmentUserId = vi.fn()
+const mockStartEnrolment = vi.fn()
+
+vi.mock('../services/auth-service.js', () => ({
+  AuthService: class {
+    resolveMfaEnrolmentUserId = mockResolveMfaEnrolmentUserId
+  }
+}))
+
+vi.mock('../services/mfa-service.js', () => ({
+  MfaService: class {
+    startEnrolment = mockStartEnrolment
+  }
+}))
+
+describe('start-mfa-enrolment route', () => {
+  let mockRequest
+  let mockH
+
+  const enrolment = {
+    success: true,
+    secret: 'SECRET',
+    provisioningUri: 'otpauth://totp/PAFS:user%40example.com?secret=SECRET'
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      payload: {},
+      auth: { credentials: { userId: 5 } },
+      prisma: {},
+      server: { logger: {} }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+
+    mockStartEnrolment.mockResolvedValue(enrolment)
+  })
+
+  it('has optional JWT auth and validation', () => {
+    expect(startMfaEnrolment.method).toBe('POST')
+    expect(startMfaEnrolment.path).toBe('/api/v1/auth/mfa/enrol')
+    expect(startMfaEnrolment.options.auth).toEqual({
+      strategy: 'jwt',
+      mode: 'optional'
+    })
+    expect(startMfaEnrolment.options.validate.payload).toBe(mfaEnrolSchema)
+  })
+
+  it('starts enrolment for a signed-in user', async () => {
+    await startMfaEnrolment.handler(mockRequest, mockH)
+
+    expect(mockStartEnrolment).toHaveBeenCalledWith(5)
+    expect(mockResolveMfaEnrolmentUserId).not.toHaveBeenCalled()
+    expect(mockH.response).toHaveBeenCalledWith({
+      secret: 'SECRET',
+      provisioningUri: enrolment.provisioningUri
+    })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('starts enrolment from the MFA token when enrolment is required', async () => {
+    mockRequest.auth.credentials = null
+    mockRequest.payload = { mfaToken: 'mfa-token' }
+    mockResolveMfaEnrolmentUserId.mockReturnValue(9)
+
+    await startMfaEnrolment.handler(mockRequest, mockH)
+
+    expect(mockResolveMfaEnrolmentUserId).toHaveBeenCalledWith('mfa-token')
+    expect(mockStartEnrolment).toHaveBeenCalledWith(9)
+  })
+
+  it('rejects an invalid MFA token', async () => {
+    mockRequest.auth.credentials = null
+    mockRequest.payload = { mfaToken: 'bad-token' }
+    mockResolveMfaEnrolmentUserId.mockReturnValue(null)
+
+    await startMfaEnrolment.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      errors: [{ errorCode: AUTH_ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID }]
+    })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED)
+    expect(mockStartEnrolment).not.toHaveBeenCalled()
+  })
+
+  it('requires either a session or an MFA token', async () => {
+    mockRequest.auth.credentials = null
+    mockRequest.payload = null
+
+    await startMfaEnrolment.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      errors: [{ errorCode: AUTH_ERROR_CODES.MFA_AUTHENTICATION_REQUIRED }]
+    })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED)
+  })
+
+  it('returns bad request when MFA is already enabled', async () => {
+    mockStartEnrolment.mockResolvedValue({
+      success: false,
+      errorCode: AUTH_ERROR_CODES.MFA_ALREADY_ENABLED
+    })
+
+    await startMfaEnrolment.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      errors: [{ errorCode: AUTH_ERROR_CODES.MFA_ALREADY_ENABLED }]
+    })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.BAD_REQUEST)
+  })
+})
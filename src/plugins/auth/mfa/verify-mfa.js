@@ -0,0 +1,43 @@
+import { AuthService } from '../services/auth-service.js'
+import { mfaVerifySchema } from '../schema.js'
+import {
+  authErrorResponse,
+  signedInResponse
+} from '../helpers/auth-response.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { getClientIp } from '../../../common/helpers/client-ip.js'
+
+const verifyMfa = {
+  method: 'POST',
+  path: '/api/v1/auth/mfa/verify',
+  options: {
+    auth: false,
+    description: 'Complete login with an MFA code',
+    notes:
+      'Exchange the MFA token from login and a TOTP or recovery code for access and refresh tokens. Wrong codes count towards account lockout',
+    tags: ['api', 'auth'],
+    validate: {
+      payload: mfaVerifySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    const { mfaToken, code } = request.payload
+
+    const authService = new AuthService(request.prisma, request.server.logger)
+    const result = await authService.verifyMfaLogin(
+      mfaToken,
+      code,
+      getClientIp(request),
+      request.headers['user-agent']
+    )
+
+    if (!result.success) {
+      return authErrorResponse(h, result)
+    }
+
+    return signedInResponse(request, h, result)
+  }
+}
+
+export default verifyMfa
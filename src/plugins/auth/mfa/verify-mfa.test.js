@@ -0,0 +1,105 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import verifyMfa from './verify-mfa.js'
+import {
+  AUTH_ERROR_CODES,
+  HTTP_STATUS
+} from '../../../common/constants/index.js'
+import { mfaVerifySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const mockVerifyMfaLogin = vi.fn()
+
+vi.mock('../services/auth-service.js', () => ({
+  AuthService: class {
+    verifyMfaLogin = mockVerifyMfaLogin
+  }
+}))
+
+describe('verify-mfa route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      payload: { mfaToken: 'mfa-token', code: '123456' },
+      info: { remoteAddress: '127.0.0.1' },
+      headers: { 'user-agent': 'Mozilla/5.0 (Test)' },
+      prisma: {},
+      server: {
+        logger: {},
+        invalidateAuthCacheForUser: vi.fn()
+      }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  describe('route configuration', () => {
+    it('is an unauthenticated POST with validation', () => {
+      expect(verifyMfa.method).toBe('POST')
+      expect(verifyMfa.path).toBe('/api/v1/auth/mfa/verify')
+      expect(verifyMfa.options.auth).toBe(false)
+      expect(verifyMfa.options.validate.payload).toBe(mfaVerifySchema)
+      expect(verifyMfa.options.validate.failAction).toBe(validationFailAction)
+    })
+  })
+
+  describe('handler', () => {
+    it('returns tokens once the code is verified', async () => {
+      mockVerifyMfaLogin.mockResolvedValue({
+        success: true,
+        user: { id: 7 },
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        expiresIn: '25m'
+      })
+
+      await verifyMfa.handler(mockRequest, mockH)
+
+      expect(mockVerifyMfaLogin).toHaveBeenCalledWith(
+        'mfa-token',
+        '123456',
+        '127.0.0.1',
+        'Mozilla/5.0 (Test)'
+      )
+      expect(mockH.response).toHaveBeenCalledWith({
+        user: { id: 7 },
+        accessToken: 'access-token',
+        refreshToken: 'refresh-token',
+        expiresIn: '25m'
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+      expect(
+        mockRequest.server.invalidateAuthCacheForUser
+      ).toHaveBeenCalledWith(7)
+    })
+
+    it('returns unauthorized with the lockout warning for a wrong code', async () => {
+      mockVerifyMfaLogin.mockResolvedValue({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.MFA_CODE_INVALID,
+        warningCode: AUTH_ERROR_CODES.LAST_ATTEMPT_WARNING
+      })
+
+      await verifyMfa.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [
+          {
+            errorCode: AUTH_ERROR_CODES.MFA_CODE_INVALID,
+            warningCode: AUTH_ERROR_CODES.LAST_ATTEMPT_WARNING
+          }
+        ]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED)
+      expect(
+        mockRequest.server.invalidateAuthCacheForUser
+      ).not.toHaveBeenCalled()
+    })
+  })
+})
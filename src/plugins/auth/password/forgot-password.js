@@ -3,6 +3,7 @@ import { getEmailService } from '../../../common/services/email/notify-service.j
 import { HTTP_STATUS } from '../../../common/constants/index.js'
 import { forgotPasswordSchema } from '../schema.js'
 import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { getClientIp } from '../../../common/helpers/client-ip.js'
 
 const forgotPassword = {
   method: 'POST',
@@ -28,7 +29,7 @@ const forgotPassword = {
         request.logger,
         emailService
       )
-      await resetService.requestReset(email)
+      await resetService.requestReset(email, getClientIp(request))
       return h.response(successResponse).code(HTTP_STATUS.OK)
     } catch (error) {
       request.logger.error({ err: error }, 'Forgot password failed')
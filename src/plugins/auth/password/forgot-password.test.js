@@ -26,6 +26,7 @@ describe('forgot-password route', () => {
         email: 'test@example.com'
       },
       prisma: {},
+      info: { remoteAddress: '10.0.0.1' },
       logger: {
         error: vi.fn()
       }
@@ -80,13 +81,16 @@ describe('forgot-password route', () => {
       expect(mockRequest.logger.error).toHaveBeenCalled()
     })
 
-    it('calls PasswordService with email from payload', async () => {
+    it('calls PasswordService with email from payload and client IP', async () => {
       mockRequest.payload.email = 'test@example.com'
       mockRequestReset.mockResolvedValue({ sent: true })
 
       await forgotPasswordRoute.handler(mockRequest, mockH)
 
-      expect(mockRequestReset).toHaveBeenCalledWith('test@example.com')
+      expect(mockRequestReset).toHaveBeenCalledWith(
+        'test@example.com',
+        '10.0.0.1'
+      )
     })
   })
 })
@@ -7,6 +7,7 @@ import {
 } from '../../../common/constants/index.js'
 import { passwordFormSchema } from '../schema.js'
 import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { getClientIp } from '../../../common/helpers/client-ip.js'
 
 const resetPassword = {
   method: 'POST',
@@ -47,7 +48,8 @@ const resetPassword = {
       const result = await resetService.resetPassword(
         tokenResult.userId,
         password,
-        token
+        token,
+        getClientIp(request)
       )
 
       if (!result.success) {
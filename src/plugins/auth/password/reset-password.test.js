@@ -35,6 +35,7 @@ describe('reset-password route', () => {
         confirmPassword: 'NewPassword123!'
       },
       prisma: {},
+      info: { remoteAddress: '10.0.0.1' },
       logger: {
         error: vi.fn()
       }
@@ -86,7 +87,8 @@ describe('reset-password route', () => {
       expect(mockResetPassword).toHaveBeenCalledWith(
         1,
         mockRequest.payload.password,
-        mockRequest.payload.token
+        mockRequest.payload.token,
+        '10.0.0.1'
       )
     })
 
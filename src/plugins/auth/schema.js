@@ -79,3 +79,82 @@ export const validateTokenSchema = Joi.object({
   .messages({
     'object.base': VALIDATION_ERROR_CODES.VALIDATION_INVALID_OBJECT
   })
+
+/**
+ * MFA code - a 6 digit TOTP code or a recovery code (e.g. 3f9a1-c07be)
+ */
+const mfaCodeSchema = Joi.string()
+  .trim()
+  .pattern(/^(\d{6}|[0-9a-fA-F]{5}-?[0-9a-fA-F]{5})$/)
+  .required()
+  .messages({
+    'any.required': AUTH_VALIDATION_CODES.MFA_CODE_REQUIRED,
+    'string.empty': AUTH_VALIDATION_CODES.MFA_CODE_REQUIRED,
+    'string.pattern.base': AUTH_VALIDATION_CODES.MFA_CODE_INVALID_FORMAT
+  })
+
+const mfaTokenSchema = Joi.string().trim().max(2000).messages({
+  'any.required': AUTH_VALIDATION_CODES.MFA_TOKEN_REQUIRED,
+  'string.empty': AUTH_VALIDATION_CODES.MFA_TOKEN_REQUIRED
+})
+
+/**
+ * MFA login step - token from login plus the code
+ */
+export const mfaVerifySchema = Joi.object({
+  mfaToken: mfaTokenSchema.required(),
+  code: mfaCodeSchema
+})
+  .options({
+    abortEarly: false
+  })
+  .label('MFA Verify')
+  .messages({
+    'object.base': VALIDATION_ERROR_CODES.VALIDATION_INVALID_OBJECT
+  })
+
+/**
+ * Start MFA enrolment - mfaToken is only sent when enrolment is required
+ * to finish signing in; signed-in users use their access token instead
+ */
+export const mfaEnrolSchema = Joi.object({
+  mfaToken: mfaTokenSchema.optional()
+})
+  .options({
+    abortEarly: false
+  })
+  .label('MFA Enrol')
+  .messages({
+    'object.base': VALIDATION_ERROR_CODES.VALIDATION_INVALID_OBJECT
+  })
+
+/**
+ * Confirm MFA enrolment with a code from the authenticator app
+ */
+export const mfaEnrolConfirmSchema = Joi.object({
+  mfaToken: mfaTokenSchema.optional(),
+  code: mfaCodeSchema
+})
+  .options({
+    abortEarly: false
+  })
+  .label('MFA Enrol Confirm')
+  .messages({
+    'object.base': VALIDATION_ERROR_CODES.VALIDATION_INVALID_OBJECT
+  })
+
+/**
+ * Revoke one of the user's sessions - id as listed by GET /auth/sessions
+ */
+export const revokeSessionSchema = Joi.object({
+  id: Joi.number().integer().positive().required().messages({
+    'any.required': AUTH_VALIDATION_CODES.SESSION_ID_INVALID,
+    'number.base': AUTH_VALIDATION_CODES.SESSION_ID_INVALID,
+    'number.integer': AUTH_VALIDATION_CODES.SESSION_ID_INVALID,
+    'number.positive': AUTH_VALIDATION_CODES.SESSION_ID_INVALID
+  })
+})
+  .label('Revoke Session')
+  .messages({
+    'object.base': VALIDATION_ERROR_CODES.VALIDATION_INVALID_OBJECT
+  })
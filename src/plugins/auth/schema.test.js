@@ -2,8 +2,13 @@ import { describe, it, expect } from 'vitest'
 import {
   loginSchema,
   forgotPasswordSchema,
-  validateTokenSchema
+  validateTokenSchema,
+  mfaVerifySchema,
+  mfaEnrolSchema,
+  mfaEnrolConfirmSchema,
+  revokeSessionSchema
 } from './schema.js'
+import { AUTH_VALIDATION_CODES } from '../../common/constants/auth.js'
 
 describe('Auth Schema', () => {
   describe('Login Schema', () => {
@@ -172,4 +177,96 @@ describe('Auth Schema', () => {
       expect(error.details[0].message).toBe('VALIDATION_TOKEN_TYPE_INVALID')
     })
   })
+
+  describe('MFA Verify Schema', () => {
+    it('accepts a TOTP code', () => {
+      const { error } = mfaVerifySchema.validate({
+        mfaToken: 'token',
+        code: '123456'
+      })
+
+      expect(error).toBeUndefined()
+    })
+
+    it('accepts a recovery code with or without the dash', () => {
+      expect(
+        mfaVerifySchema.validate({ mfaToken: 'token', code: ' 3F9A1-C07BE ' })
+          .error
+      ).toBeUndefined()
+      expect(
+        mfaVerifySchema.validate({ mfaToken: 'token', code: '3f9a1c07be' })
+          .error
+      ).toBeUndefined()
+    })
+
+    it('rejects a malformed code', () => {
+      const { error } = mfaVerifySchema.validate({
+        mfaToken: 'token',
+        code: '12345'
+      })
+
+      expect(error.details[0].message).toBe(
+        AUTH_VALIDATION_CODES.MFA_CODE_INVALID_FORMAT
+      )
+    })
+
+    it('requires the MFA token and code', () => {
+      const { error } = mfaVerifySchema.validate({})
+      const messages = error.details.map((detail) => detail.message)
+
+      expect(messages).toEqual([
+        AUTH_VALIDATION_CODES.MFA_TOKEN_REQUIRED,
+        AUTH_VALIDATION_CODES.MFA_CODE_REQUIRED
+      ])
+    })
+  })
+
+  describe('MFA Enrol Schemas', () => {
+    it('allows enrolment without an MFA token', () => {
+      expect(mfaEnrolSchema.validate({}).error).toBeUndefined()
+      expect(
+        mfaEnrolConfirmSchema.validate({ code: '123456' }).error
+      ).toBeUndefined()
+    })
+
+    it('accepts an MFA token', () => {
+      expect(
+        mfaEnrolConfirmSchema.validate({ mfaToken: 'token', code: '123456' })
+          .error
+      ).toBeUndefined()
+    })
+
+    it('requires a code to confirm', () => {
+      const { error } = mfaEnrolConfirmSchema.validate({ mfaToken: 'token' })
+
+      expect(error.details[0].message).toBe(
+        AUTH_VALIDATION_CODES.MFA_CODE_REQUIRED
+      )
+    })
+  })
+
+  describe('Revoke Session Schema', () => {
+    it('accepts a session id and converts it to a number', () => {
+      const { error, value } = revokeSessionSchema.validate({ id: '12' })
+
+      expect(error).toBeUndefined()
+      expect(value.id).toBe(12)
+    })
+
+    it('rejects a non-numeric session id', () => {
+      const { error } = revokeSessionSchema.validate({ id: 'abc' })
+
+      expect(error.details[0].message).toBe(
+        AUTH_VALIDATION_CODES.SESSION_ID_INVALID
+      )
+    })
+
+    it('rejects a zero session id', () => {
+      const { error } = revokeSessionSchema.validate({ id: 0 })
+
+      expect(error.details[0].message).toBe(
+        AUTH_VALIDATION_CODES.SESSION_ID_INVALID
+      )
+    })
+  })
 })
@@ -4,11 +4,15 @@ import { verifyPassword } from '../helpers/password.js'
 import {
   verifyRefreshToken,
   generateAccessToken,
-  generateRefreshToken
+  generateRefreshToken,
+  getSuccessorTokenId,
+  generateMfaToken,
+  verifyMfaToken
 } from '../helpers/jwt.js'
 import {
   generateSessionId,
   isAccountLocked,
+  isAccountSuspended,
   shouldResetLockout,
   shouldDisableAccount,
   isLastAttempt
@@ -17,12 +21,43 @@ import {
   fetchUserAreas,
   getAreaTypeFlags
 } from '../../areas/helpers/user-areas.js'
+import { MfaService } from './mfa-service.js'
+import { SessionService } from './session-service.js'
+import { SecurityEventService } from '../../audit/services/security-event-service.js'
 import { config } from '../../../config.js'
 import {
   AUTH_ERROR_CODES,
   ACCOUNT_STATUS,
+  MFA,
   PASSWORD
 } from '../../../common/constants/index.js'
+import { SECURITY_EVENT_TYPES } from '../../../common/constants/audit.js'
+
+const LOGIN_USER_SELECT = {
+  id: true,
+  email: true,
+  first_name: true,
+  last_name: true,
+  admin: true,
+  status: true,
+  disabled: true,
+  suspended_until: true,
+  encrypted_password: true,
+  failed_attempts: true,
+  locked_at: true,
+  last_sign_in_at: true,
+  current_sign_in_at: true,
+  current_sign_in_ip: true,
+  mfa_enabled: true,
+  mfa_required: true
+}
+
+// Only needed for the MFA step, so kept out of the password lookup
+const MFA_LOGIN_USER_SELECT = {
+  ...LOGIN_USER_SELECT,
+  mfa_secret: true,
+  mfa_last_used_step: true
+}
 
 // Builds the user DTO returned in both login and refresh responses.
 // Keeping the shape in one place prevents login and refresh from drifting.
@@ -52,9 +87,13 @@ export class AuthService {
   constructor(prisma, logger) {
     this.prisma = prisma
     this.logger = logger
+    this.sessionService = new SessionService(prisma, logger)
+    // Security events are recorded in the background (record() never throws),
+    // so anomaly checks and alert emails stay off the sign-in path
+    this.securityEventService = new SecurityEventService(prisma, logger)
   }
 
-  async login(email, password, ipAddress) {
+  async login(email, password, ipAddress, userAgent) {
     const user = await this.findUserByEmail(email)
     if (!user) {
       // Always perform a full bcrypt comparison to equalise response time and
@@ -62,6 +101,11 @@ export class AuthService {
       // matches any real password; the comparison result is intentionally discarded.
       await bcrypt.compare(password, TIMING_ATTACK_DUMMY_HASH)
       this.logger.info({ email }, 'Login attempt for non-existent user')
+      this.securityEventService.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+        email,
+        ipAddress,
+        details: { reason: 'UNKNOWN_USER' }
+      })
       return { success: false, errorCode: AUTH_ERROR_CODES.INVALID_CREDENTIALS }
     }
 
@@ -89,7 +133,121 @@ export class AuthService {
       return this.handleInvalidPassword(user, ipAddress)
     }
 
-    return this.createSuccessfulLoginResponse(user, ipAddress)
+    if (user.mfa_enabled || user.mfa_required) {
+      return this.createMfaChallengeResponse(user)
+    }
+
+    return this.createSuccessfulLoginResponse(user, ipAddress, userAgent)
+  }
+
+  /**
+   * Second login step for users with MFA enabled. The MFA token from login
+   * proves the password; a wrong code counts as a failed attempt towards
+   * the account lockout, the same as a wrong password.
+   * @param {string} mfaToken - Token returned by login
+   * @param {string} code - TOTP or recovery code
+   * @param {string} ipAddress
+   * @param {string} [userAgent]
+   * @returns {Promise<Object>} Login response or error
+   */
+  async verifyMfaLogin(mfaToken, code, ipAddress, userAgent) {
+    const found = await this._findMfaTokenUser(
+      mfaToken,
+      MFA.CHALLENGE_PURPOSE.VERIFY
+    )
+    if (!found.success) {
+      return found
+    }
+    const { user } = found
+
+    // MFA was reset by an admin after the token was issued
+    if (!user.mfa_enabled) {
+      return {
+        success: false,
+        errorCode: AUTH_ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID
+      }
+    }
+
+    const mfaService = new MfaService(this.prisma, this.logger)
+    if (!(await mfaService.verifyCode(user, code))) {
+      this.logger.info({ userId: user.id }, 'MFA code rejected at login')
+      return this.handleInvalidPassword(
+        user,
+        ipAddress,
+        AUTH_ERROR_CODES.MFA_CODE_INVALID
+      )
+    }
+
+    return this.createSuccessfulLoginResponse(user, ipAddress, userAgent)
+  }
+
+  /**
+   * User ID for an enrolment MFA token, used when MFA is required but the
+   * user has not enrolled yet and so cannot be signed in
+   * @param {string} mfaToken
+   * @returns {number|null}
+   */
+  resolveMfaEnrolmentUserId(mfaToken) {
+    return verifyMfaToken(mfaToken, MFA.CHALLENGE_PURPOSE.ENROL)?.userId ?? null
+  }
+
+  /**
+   * Finish the enrolment that login required and sign the user in. The
+   * recovery codes are returned alongside the tokens.
+   * @param {string} mfaToken - Enrolment token returned by login
+   * @param {string} code - TOTP code from the newly added app
+   * @param {string} ipAddress
+   * @param {string} [userAgent]
+   * @returns {Promise<Object>} Login response with recoveryCodes, or error
+   */
+  async completeMfaEnrolmentLogin(mfaToken, code, ipAddress, userAgent) {
+    const found = await this._findMfaTokenUser(
+      mfaToken,
+      MFA.CHALLENGE_PURPOSE.ENROL
+    )
+    if (!found.success) {
+      return found
+    }
+    const { user } = found
+
+    const mfaService = new MfaService(this.prisma, this.logger)
+    const enrolment = await mfaService.confirmEnrolment(user.id, code)
+    if (!enrolment.success) {
+      if (enrolment.errorCode === AUTH_ERROR_CODES.MFA_CODE_INVALID) {
+        return this.handleInvalidPassword(user, ipAddress, enrolment.errorCode)
+      }
+      return enrolment
+    }
+
+    const loginResponse = await this.createSuccessfulLoginResponse(
+      user,
+      ipAddress,
+      userAgent
+    )
+    return { ...loginResponse, recoveryCodes: enrolment.recoveryCodes }
+  }
+
+  /**
+   * Password accepted; the caller must now supply a code (or enrol first
+   * when MFA is required but not set up). No session is created yet.
+   * @param {Object} user
+   * @returns {Object} { success, mfaChallenge }
+   */
+  createMfaChallengeResponse(user) {
+    const purpose = user.mfa_enabled
+      ? MFA.CHALLENGE_PURPOSE.VERIFY
+      : MFA.CHALLENGE_PURPOSE.ENROL
+
+    this.logger.info({ userId: user.id, purpose }, 'MFA challenge issued')
+
+    return {
+      success: true,
+      mfaChallenge: {
+        mfaToken: generateMfaToken(user, purpose),
+        enrolmentRequired: purpose === MFA.CHALLENGE_PURPOSE.ENROL,
+        expiresIn: config.get('auth.mfa.challengeExpiresIn')
+      }
+    }
   }
 
   async performSecurityChecks(user) {
@@ -98,6 +256,11 @@ export class AuthService {
       return disabledCheck
     }
 
+    const suspendedCheck = this._checkAccountSuspended(user)
+    if (suspendedCheck) {
+      return suspendedCheck
+    }
+
     this._handleLockoutReset(user)
 
     const lockedCheck = this._checkAccountLocked(user)
@@ -135,6 +298,28 @@ export class AuthService {
     }
   }
 
+  /**
+   * Check if account is suspended
+   * @param {Object} user - User object
+   * @returns {Object|null} Error object or null
+   * @private
+   */
+  _checkAccountSuspended(user) {
+    if (!isAccountSuspended(user)) {
+      return null
+    }
+
+    this.logger.info({ userId: user.id }, 'Login attempt for suspended account')
+    return {
+      passed: false,
+      error: {
+        success: false,
+        errorCode: AUTH_ERROR_CODES.ACCOUNT_SUSPENDED,
+        supportCode: AUTH_ERROR_CODES.ACCOUNT_SUPPORT
+      }
+    }
+  }
+
   /**
    * Handle lockout reset if applicable — in-memory only.
    * updateSuccessfulLogin atomically clears failed_attempts and locked_at
@@ -194,11 +379,21 @@ export class AuthService {
     }
   }
 
-  async handleInvalidPassword(user, ipAddress) {
+  async handleInvalidPassword(
+    user,
+    ipAddress,
+    errorCode = AUTH_ERROR_CODES.INVALID_CREDENTIALS
+  ) {
     const { newFailedAttempts, isLocked } = await this.handleFailedAttempt(
       user,
       ipAddress
     )
+    this.securityEventService.record(SECURITY_EVENT_TYPES.LOGIN_FAILED, {
+      userId: user.id,
+      email: user.email,
+      ipAddress,
+      details: { reason: errorCode }
+    })
 
     if (isLocked) {
       return {
@@ -211,15 +406,15 @@ export class AuthService {
     if (isLastAttempt({ ...user, failed_attempts: newFailedAttempts })) {
       return {
         success: false,
-        errorCode: AUTH_ERROR_CODES.INVALID_CREDENTIALS,
+        errorCode,
         warningCode: AUTH_ERROR_CODES.LAST_ATTEMPT_WARNING
       }
     }
 
-    return { success: false, errorCode: AUTH_ERROR_CODES.INVALID_CREDENTIALS }
+    return { success: false, errorCode }
   }
 
-  async createSuccessfulLoginResponse(user, ipAddress) {
+  async createSuccessfulLoginResponse(user, ipAddress, userAgent) {
     const sessionId = generateSessionId()
 
     // Run sequentially rather than in parallel (Promise.all) to halve the
@@ -227,17 +422,26 @@ export class AuthService {
     // Promise.all would hold 2 connections simultaneously per login —
     // at 30 concurrent logins this saturates a pool of 30 (2×30 = 60 needed).
     // Sequential execution uses at most 1 connection per login at any point.
-    // updateSuccessfulLogin atomically writes the new sessionId, which
-    // immediately invalidates any prior session — no separate
-    // invalidateOtherSessions call needed.
+    // createSession also ends the oldest sessions once the user is over
+    // auth.sessions.maxConcurrent.
     const areas = await fetchUserAreas(this.prisma, user.id)
-    await this.updateSuccessfulLogin(user.id, sessionId, ipAddress, {
+    const accessToken = generateAccessToken(user, sessionId, areas)
+    const refreshToken = generateRefreshToken(user, sessionId)
+
+    await this.updateSuccessfulLogin(user.id, ipAddress, {
       signInAt: user.current_sign_in_at,
       signInIp: user.current_sign_in_ip
     })
+    await this.sessionService.createSession(user.id, sessionId, refreshToken, {
+      ipAddress,
+      userAgent
+    })
 
-    const accessToken = generateAccessToken(user, sessionId, areas)
-    const refreshToken = generateRefreshToken(user, sessionId)
+    this.securityEventService.record(SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED, {
+      userId: user.id,
+      email: user.email,
+      ipAddress
+    })
 
     this.logger.info({ userId: user.id }, 'User logged in successfully')
 
@@ -253,24 +457,42 @@ export class AuthService {
   async findUserByEmail(email) {
     return this.prisma.pafs_core_users.findUnique({
       where: { email },
-      select: {
-        id: true,
-        email: true,
-        first_name: true,
-        last_name: true,
-        admin: true,
-        status: true,
-        disabled: true,
-        encrypted_password: true,
-        failed_attempts: true,
-        locked_at: true,
-        last_sign_in_at: true,
-        current_sign_in_at: true,
-        current_sign_in_ip: true
-      }
+      select: LOGIN_USER_SELECT
     })
   }
 
+  /**
+   * Load the user an MFA token was issued to and re-run the account checks,
+   * which may have changed (e.g. locked) since the password step
+   * @param {string} mfaToken
+   * @param {string} purpose - One of MFA.CHALLENGE_PURPOSE
+   * @returns {Promise<Object>} { success, user } or error
+   * @private
+   */
+  async _findMfaTokenUser(mfaToken, purpose) {
+    const decoded = verifyMfaToken(mfaToken, purpose)
+    const user =
+      decoded &&
+      (await this.prisma.pafs_core_users.findUnique({
+        where: { id: decoded.userId },
+        select: MFA_LOGIN_USER_SELECT
+      }))
+
+    if (!user) {
+      return {
+        success: false,
+        errorCode: AUTH_ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID
+      }
+    }
+
+    const securityCheck = await this.performSecurityChecks(user)
+    if (!securityCheck.passed) {
+      return securityCheck.error
+    }
+
+    return { success: true, user }
+  }
+
   async handleFailedAttempt(user, ipAddress) {
     const newFailedAttempts = (user.failed_attempts || 0) + 1
     const maxAttempts = config.get('auth.accountLocking.maxAttempts')
@@ -292,6 +514,12 @@ export class AuthService {
         { userId: user.id },
         'Account locked due to failed attempts'
       )
+      this.securityEventService.record(SECURITY_EVENT_TYPES.ACCOUNT_LOCKED, {
+        userId: user.id,
+        email: user.email,
+        ipAddress,
+        details: { failedAttempts: newFailedAttempts }
+      })
     }
 
     return { newFailedAttempts, isLocked: shouldLock }
@@ -315,20 +543,10 @@ export class AuthService {
   }
 
   async invalidateOtherSessions(userId) {
-    await this.prisma.pafs_core_users.update({
-      where: { id: userId },
-      data: {
-        unique_session_id: null
-      }
-    })
+    await this.sessionService.endAllSessions(userId)
   }
 
-  async updateSuccessfulLogin(
-    userId,
-    sessionId,
-    ipAddress,
-    { signInAt, signInIp } = {}
-  ) {
+  async updateSuccessfulLogin(userId, ipAddress, { signInAt, signInIp } = {}) {
     const now = new Date()
 
     await this.prisma.pafs_core_users.update({
@@ -341,7 +559,6 @@ export class AuthService {
         last_sign_in_ip: signInIp,
         failed_attempts: 0,
         locked_at: null,
-        unique_session_id: sessionId,
         updated_at: now
       }
     })
@@ -368,32 +585,16 @@ export class AuthService {
   }
 
   async logout(userId, sessionId, invalidateAuthCache) {
-    const user = await this.prisma.pafs_core_users.findUnique({
-      where: { id: userId },
-      select: { unique_session_id: true }
-    })
-
-    if (!user) {
-      this.logger.warn({ userId }, 'Logout attempted for non-existent user')
-      return { success: false, errorCode: AUTH_ERROR_CODES.ACCOUNT_NOT_FOUND }
-    }
+    const ended = await this.sessionService.endSession(userId, sessionId)
 
-    if (user.unique_session_id !== sessionId) {
+    if (!ended) {
       this.logger.warn(
         { userId, sessionId },
-        'Logout attempted with mismatched session'
+        'Logout attempted for a session that has already ended'
       )
       return { success: false, errorCode: AUTH_ERROR_CODES.SESSION_MISMATCH }
     }
 
-    await this.prisma.pafs_core_users.update({
-      where: { id: userId },
-      data: {
-        unique_session_id: null,
-        updated_at: new Date()
-      }
-    })
-
     // Evict the in-memory auth cache entry immediately so that any subsequent
     // request carrying this token is rejected at the next validate() call
     // rather than after the 15-minute cache TTL expires.
@@ -404,7 +605,7 @@ export class AuthService {
     return { success: true }
   }
 
-  async refreshSession(refreshToken) {
+  async refreshSession(refreshToken, ipAddress, invalidateAuthCache) {
     const decoded = verifyRefreshToken(refreshToken)
 
     if (!decoded) {
@@ -423,7 +624,7 @@ export class AuthService {
         last_name: true,
         admin: true,
         disabled: true,
-        unique_session_id: true
+        suspended_until: true
       }
     })
 
@@ -446,28 +647,85 @@ export class AuthService {
       }
     }
 
-    if (user.unique_session_id !== decoded.sessionId) {
+    if (isAccountSuspended(user)) {
       this.logger.info(
-        { userId: user.id, tokenSession: decoded.sessionId },
-        'Refresh failed: session mismatch (concurrent login detected)'
+        { userId: user.id },
+        'Refresh attempt for suspended account'
       )
-      return { success: false, errorCode: AUTH_ERROR_CODES.SESSION_MISMATCH }
+      return {
+        success: false,
+        errorCode: AUTH_ERROR_CODES.ACCOUNT_SUSPENDED,
+        supportCode: AUTH_ERROR_CODES.ACCOUNT_SUPPORT
+      }
     }
 
     const newSessionId = generateSessionId()
+    const successorTokenId = decoded.jti && getSuccessorTokenId(decoded.jti)
+    const newRefreshToken = generateRefreshToken(user, newSessionId, {
+      tokenId: successorTokenId
+    })
+
+    // Each refresh token is single use and only valid while its session is
+    // live, so a signed-out session cannot be refreshed
+    const rotation = await this.sessionService.rotateSession(
+      decoded,
+      newSessionId,
+      newRefreshToken,
+      ipAddress
+    )
+
+    if (rotation.errorCode === AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED) {
+      // The token has been copied: whoever holds the current token in this
+      // family is signed out along with the thief
+      this.logger.warn(
+        {
+          securityEvent: 'REFRESH_TOKEN_REUSE',
+          userId: user.id,
+          tokenSession: decoded.sessionId,
+          revokedSession: rotation.revokedSessionId,
+          ipAddress
+        },
+        'Refresh token reuse detected: session revoked'
+      )
+      if (rotation.revokedSessionId) {
+        invalidateAuthCache(user.id, rotation.revokedSessionId)
+      }
+      this.securityEventService.record(
+        SECURITY_EVENT_TYPES.REFRESH_TOKEN_REUSE,
+        { userId: user.id, email: user.email, ipAddress }
+      )
+      return { success: false, errorCode: rotation.errorCode }
+    }
+
+    if (!rotation.success) {
+      this.logger.info(
+        { userId: user.id, tokenSession: decoded.sessionId },
+        'Refresh failed: session has ended'
+      )
+      this.securityEventService.record(SECURITY_EVENT_TYPES.SESSION_MISMATCH, {
+        userId: user.id,
+        email: user.email,
+        ipAddress,
+        details: { source: 'refresh' }
+      })
+      return { success: false, errorCode: rotation.errorCode }
+    }
+
+    // The token was exchanged moments ago (a second tab, or a retried
+    // request), so hand out the successor that exchange issued
+    const { successor } = rotation
+    const sessionId = successor?.sessionId ?? newSessionId
+    const issuedRefreshToken = successor
+      ? generateRefreshToken(user, sessionId, {
+          tokenId: successorTokenId,
+          expiresAt: successor.expiresAt
+        })
+      : newRefreshToken
+
     // Fetch current area assignments so they are preserved in the refreshed token.
     // Users with no area rows (e.g. admin accounts) will receive an empty areas array.
     const areas = await fetchUserAreas(this.prisma, user.id)
-    const newAccessToken = generateAccessToken(user, newSessionId, areas)
-    const newRefreshToken = generateRefreshToken(user, newSessionId)
-
-    await this.prisma.pafs_core_users.update({
-      where: { id: user.id },
-      data: {
-        unique_session_id: newSessionId,
-        updated_at: new Date()
-      }
-    })
+    const newAccessToken = generateAccessToken(user, sessionId, areas)
 
     this.logger.info({ userId: user.id }, 'Session refreshed successfully')
 
@@ -475,7 +733,7 @@ export class AuthService {
       success: true,
       user: buildUserResponse(user, areas),
       accessToken: newAccessToken,
-      refreshToken: newRefreshToken,
+      refreshToken: issuedRefreshToken,
       expiresIn: config.get('auth.jwt.accessExpiresIn')
     }
   }
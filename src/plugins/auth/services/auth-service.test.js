@@ -1,11 +1,44 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { AuthService } from './auth-service.js'
 import { AUTH_ERROR_CODES } from '../../../common/constants/index.js'
+import { SECURITY_EVENT_TYPES } from '../../../common/constants/audit.js'
 
 vi.mock('../helpers/jwt.js')
 vi.mock('../helpers/session.js')
 vi.mock('../helpers/password.js')
 
+const mockVerifyCode = vi.fn()
+const mockConfirmEnrolment = vi.fn()
+
+vi.mock('./mfa-service.js', () => ({
+  MfaService: class {
+    verifyCode = mockVerifyCode
+    confirmEnrolment = mockConfirmEnrolment
+  }
+}))
+
+const mockCreateSession = vi.fn()
+const mockRotateSession = vi.fn()
+const mockEndSession = vi.fn()
+const mockEndAllSessions = vi.fn()
+
+vi.mock('./session-service.js', () => ({
+  SessionService: class {
+    createSession = mockCreateSession
+    rotateSession = mockRotateSession
+    endSession = mockEndSession
+    endAllSessions = mockEndAllSessions
+  }
+}))
+
+const mockRecordSecurityEvent = vi.fn()
+
+vi.mock('../../audit/services/security-event-service.js', () => ({
+  SecurityEventService: class {
+    record = mockRecordSecurityEvent
+  }
+}))
+
 // fetchUserAreas now uses $queryRaw — mock the cache so tests control whether
 // the DB is hit. Default: cache miss so $queryRaw is called.
 vi.mock('../helpers/user-areas-cache.js', () => ({
@@ -24,6 +57,7 @@ describe('AuthService', () => {
     const {
       generateSessionId,
       isAccountLocked,
+      isAccountSuspended,
       shouldResetLockout,
       shouldDisableAccount,
       isLastAttempt
@@ -32,16 +66,22 @@ describe('AuthService', () => {
 
     vi.mocked(verifyRefreshToken).mockReturnValue({
       userId: 1,
-      sessionId: 'session-123'
+      sessionId: 'session-123',
+      jti: 'token-id-1'
     })
     vi.mocked(generateAccessToken).mockReturnValue('access-token')
     vi.mocked(generateRefreshToken).mockReturnValue('refresh-token')
     vi.mocked(generateSessionId).mockReturnValue('session-123')
     vi.mocked(isAccountLocked).mockReturnValue(false)
+    vi.mocked(isAccountSuspended).mockReturnValue(false)
     vi.mocked(shouldResetLockout).mockReturnValue(false)
     vi.mocked(shouldDisableAccount).mockReturnValue(false)
     vi.mocked(isLastAttempt).mockReturnValue(false)
     vi.mocked(verifyPassword).mockResolvedValue(true)
+    mockCreateSession.mockResolvedValue(0)
+    mockRotateSession.mockResolvedValue({ success: true })
+    mockEndSession.mockResolvedValue(true)
+    mockEndAllSessions.mockResolvedValue(1)
 
     mockPrisma = {
       pafs_core_users: {
@@ -80,6 +120,14 @@ describe('AuthService', () => {
 
       expect(result.success).toBe(false)
       expect(result.errorCode).toBe(AUTH_ERROR_CODES.INVALID_CREDENTIALS)
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.LOGIN_FAILED,
+        {
+          email: 'test@example.com',
+          ipAddress: '127.0.0.1',
+          details: { reason: 'UNKNOWN_USER' }
+        }
+      )
     })
 
     it('returns error for pending account', async () => {
@@ -135,6 +183,28 @@ describe('AuthService', () => {
       expect(result.supportCode).toBe(AUTH_ERROR_CODES.ACCOUNT_SUPPORT)
     })
 
+    it('returns error for suspended account', async () => {
+      const { isAccountSuspended } = await import('../helpers/session.js')
+      vi.mocked(isAccountSuspended).mockReturnValue(true)
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: 1,
+        email: 'test@example.com',
+        status: 'active',
+        disabled: false,
+        suspended_until: new Date('2099-01-01')
+      })
+
+      const result = await authService.login(
+        'test@example.com',
+        'password',
+        '127.0.0.1'
+      )
+
+      expect(result.success).toBe(false)
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.ACCOUNT_SUSPENDED)
+      expect(result.supportCode).toBe(AUTH_ERROR_CODES.ACCOUNT_SUPPORT)
+    })
+
     it('returns error for locked account', async () => {
       const { isAccountLocked } = await import('../helpers/session.js')
       vi.mocked(isAccountLocked).mockReturnValue(true)
@@ -240,6 +310,15 @@ describe('AuthService', () => {
           locked_at: expect.any(Date)
         })
       })
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.ACCOUNT_LOCKED,
+        {
+          userId: 1,
+          email: 'test@example.com',
+          ipAddress: '127.0.0.1',
+          details: { failedAttempts: 15 }
+        }
+      )
     })
 
     it('returns error for invalid password', async () => {
@@ -264,6 +343,19 @@ describe('AuthService', () => {
       expect(result.success).toBe(false)
       expect(result.errorCode).toBe(AUTH_ERROR_CODES.INVALID_CREDENTIALS)
       expect(mockPrisma.pafs_core_users.update).toHaveBeenCalled()
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.LOGIN_FAILED,
+        {
+          userId: 1,
+          email: 'test@example.com',
+          ipAddress: '127.0.0.1',
+          details: { reason: AUTH_ERROR_CODES.INVALID_CREDENTIALS }
+        }
+      )
+      expect(mockRecordSecurityEvent).not.toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.ACCOUNT_LOCKED,
+        expect.anything()
+      )
     })
 
     it('successfully logs in user with valid credentials', async () => {
@@ -306,6 +398,10 @@ describe('AuthService', () => {
       expect(result.accessToken).toBe('access-token')
       expect(result.refreshToken).toBe('refresh-token')
       expect(result.expiresIn).toBe('25m')
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+        { userId: 1, email: 'test@example.com', ipAddress: '127.0.0.1' }
+      )
     })
 
     it('includes assigned areas with names in successful login response', async () => {
@@ -387,11 +483,368 @@ describe('AuthService', () => {
         where: { id: 1 },
         data: expect.objectContaining({
           failed_attempts: 0,
-          locked_at: null,
-          unique_session_id: expect.any(String)
+          locked_at: null
         })
       })
     })
+
+    it('records the new session with the client details', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValueOnce({
+        id: 1,
+        email: 'test@example.com',
+        encrypted_password: 'hash',
+        first_name: 'Test',
+        last_name: 'User',
+        admin: false,
+        status: 'active',
+        failed_attempts: 0,
+        locked_at: null
+      })
+      mockPrisma.pafs_core_users.update.mockResolvedValue({})
+
+      await authService.login(
+        'test@example.com',
+        'password',
+        '127.0.0.1',
+        'Mozilla/5.0 (Test)'
+      )
+
+      expect(mockCreateSession).toHaveBeenCalledWith(
+        1,
+        'session-123',
+        'refresh-token',
+        { ipAddress: '127.0.0.1', userAgent: 'Mozilla/5.0 (Test)' }
+      )
+    })
+
+    it('does not wait for security events to be recorded', async () => {
+      mockRecordSecurityEvent.mockReturnValue(new Promise(() => {}))
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValueOnce({
+        id: 1,
+        email: 'test@example.com',
+        encrypted_password: 'hash',
+        status: 'active',
+        failed_attempts: 0,
+        locked_at: null
+      })
+      mockPrisma.pafs_core_users.update.mockResolvedValue({})
+
+      const result = await authService.login(
+        'test@example.com',
+        'password',
+        '127.0.0.1'
+      )
+
+      expect(result.success).toBe(true)
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.LOGIN_SUCCEEDED,
+        { userId: 1, email: 'test@example.com', ipAddress: '127.0.0.1' }
+      )
+    })
+
+    it('does not wait for a failed login to be recorded', async () => {
+      const { verifyPassword } = await import('../helpers/password.js')
+      vi.mocked(verifyPassword).mockResolvedValue(false)
+      mockRecordSecurityEvent.mockReturnValue(new Promise(() => {}))
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValueOnce({
+        id: 1,
+        email: 'test@example.com',
+        encrypted_password: 'hash',
+        status: 'active',
+        failed_attempts: 0,
+        locked_at: null
+      })
+      mockPrisma.pafs_core_users.update.mockResolvedValue({})
+
+      const result = await authService.login(
+        'test@example.com',
+        'wrong',
+        '127.0.0.1'
+      )
+
+      expect(result).toEqual({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.INVALID_CREDENTIALS
+      })
+    })
+
+    it('does not record a session when the password is wrong', async () => {
+      const { verifyPassword } = await import('../helpers/password.js')
+      vi.mocked(verifyPassword).mockResolvedValue(false)
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValueOnce({
+        id: 1,
+        email: 'test@example.com',
+        encrypted_password: 'hash',
+        status: 'active',
+        failed_attempts: 0,
+        locked_at: null
+      })
+      mockPrisma.pafs_core_users.update.mockResolvedValue({})
+
+      await authService.login('test@example.com', 'wrong', '127.0.0.1')
+
+      expect(mockCreateSession).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('MFA login', () => {
+    const mfaUser = {
+      id: 1,
+      email: 'test@example.com',
+      encrypted_password: 'hash',
+      first_name: 'Test',
+      last_name: 'User',
+      admin: false,
+      status: 'active',
+      failed_attempts: 0,
+      mfa_enabled: true,
+      mfa_required: false,
+      mfa_secret: 'encrypted-secret',
+      mfa_last_used_step: null
+    }
+
+    beforeEach(async () => {
+      const { generateMfaToken, verifyMfaToken } =
+        await import('../helpers/jwt.js')
+      vi.mocked(generateMfaToken).mockReturnValue('mfa-token')
+      vi.mocked(verifyMfaToken).mockReturnValue({ userId: 1 })
+      mockPrisma.pafs_core_users.update.mockResolvedValue({})
+    })
+
+    it('returns an MFA challenge instead of tokens when MFA is enabled', async () => {
+      const { generateMfaToken } = await import('../helpers/jwt.js')
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(mfaUser)
+
+      const result = await authService.login(
+        'test@example.com',
+        'password',
+        '127.0.0.1'
+      )
+
+      expect(result).toEqual({
+        success: true,
+        mfaChallenge: {
+          mfaToken: 'mfa-token',
+          enrolmentRequired: false,
+          expiresIn: '5m'
+        }
+      })
+      expect(generateMfaToken).toHaveBeenCalledWith(mfaUser, 'verify')
+      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+    })
+
+    it('requires enrolment when MFA is required but not set up', async () => {
+      const { generateMfaToken } = await import('../helpers/jwt.js')
+      const requiredUser = {
+        ...mfaUser,
+        mfa_enabled: false,
+        mfa_required: true
+      }
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(requiredUser)
+
+      const result = await authService.login(
+        'test@example.com',
+        'password',
+        '127.0.0.1'
+      )
+
+      expect(result.mfaChallenge.enrolmentRequired).toBe(true)
+      expect(generateMfaToken).toHaveBeenCalledWith(requiredUser, 'enrol')
+    })
+
+    describe('verifyMfaLogin', () => {
+      it('signs the user in with a valid code', async () => {
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue(mfaUser)
+        mockVerifyCode.mockResolvedValue(true)
+
+        const result = await authService.verifyMfaLogin(
+          'mfa-token',
+          '123456',
+          '127.0.0.1'
+        )
+
+        expect(mockVerifyCode).toHaveBeenCalledWith(mfaUser, '123456')
+        expect(result.success).toBe(true)
+        expect(result.accessToken).toBe('access-token')
+        expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
+          where: { id: 1 },
+          data: expect.objectContaining({ failed_attempts: 0 })
+        })
+        expect(mockCreateSession).toHaveBeenCalledWith(
+          1,
+          'session-123',
+          'refresh-token',
+          { ipAddress: '127.0.0.1', userAgent: undefined }
+        )
+      })
+
+      it('counts a wrong code as a failed attempt', async () => {
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue(mfaUser)
+        mockVerifyCode.mockResolvedValue(false)
+
+        const result = await authService.verifyMfaLogin(
+          'mfa-token',
+          '000000',
+          '127.0.0.1'
+        )
+
+        expect(result).toEqual({
+          success: false,
+          errorCode: AUTH_ERROR_CODES.MFA_CODE_INVALID
+        })
+        expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
+          where: { id: 1 },
+          data: expect.objectContaining({ failed_attempts: 1 })
+        })
+      })
+
+      it('locks the account after too many wrong codes', async () => {
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+          ...mfaUser,
+          failed_attempts: 14
+        })
+        mockVerifyCode.mockResolvedValue(false)
+
+        const result = await authService.verifyMfaLogin(
+          'mfa-token',
+          '000000',
+          '127.0.0.1'
+        )
+
+        expect(result.errorCode).toBe(AUTH_ERROR_CODES.ACCOUNT_LOCKED)
+      })
+
+      it('rejects the code step for a locked account', async () => {
+        const { isAccountLocked } = await import('../helpers/session.js')
+        vi.mocked(isAccountLocked).mockReturnValue(true)
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue(mfaUser)
+
+        const result = await authService.verifyMfaLogin(
+          'mfa-token',
+          '123456',
+          '127.0.0.1'
+        )
+
+        expect(result.errorCode).toBe(AUTH_ERROR_CODES.ACCOUNT_LOCKED)
+        expect(mockVerifyCode).not.toHaveBeenCalled()
+      })
+
+      it('rejects an invalid or expired MFA token', async () => {
+        const { verifyMfaToken } = await import('../helpers/jwt.js')
+        vi.mocked(verifyMfaToken).mockReturnValue(null)
+
+        const result = await authService.verifyMfaLogin(
+          'bad-token',
+          '123456',
+          '127.0.0.1'
+        )
+
+        expect(result.errorCode).toBe(
+          AUTH_ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID
+        )
+        expect(mockPrisma.pafs_core_users.findUnique).not.toHaveBeenCalled()
+      })
+
+      it('rejects the token when MFA was reset after it was issued', async () => {
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+          ...mfaUser,
+          mfa_enabled: false
+        })
+
+        const result = await authService.verifyMfaLogin(
+          'mfa-token',
+          '123456',
+          '127.0.0.1'
+        )
+
+        expect(result.errorCode).toBe(
+          AUTH_ERROR_CODES.MFA_TOKEN_EXPIRED_OR_INVALID
+        )
+        expect(mockVerifyCode).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('completeMfaEnrolmentLogin', () => {
+      const enrollingUser = {
+        ...mfaUser,
+        mfa_enabled: false,
+        mfa_required: true
+      }
+
+      it('confirms enrolment and signs the user in with recovery codes', async () => {
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue(enrollingUser)
+        mockConfirmEnrolment.mockResolvedValue({
+          success: true,
+          recoveryCodes: ['aaaaa-bbbbb']
+        })
+
+        const result = await authService.completeMfaEnrolmentLogin(
+          'mfa-token',
+          '123456',
+          '127.0.0.1'
+        )
+
+        expect(mockConfirmEnrolment).toHaveBeenCalledWith(1, '123456')
+        expect(result.success).toBe(true)
+        expect(result.accessToken).toBe('access-token')
+        expect(result.recoveryCodes).toEqual(['aaaaa-bbbbb'])
+      })
+
+      it('counts a wrong enrolment code as a failed attempt', async () => {
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue(enrollingUser)
+        mockConfirmEnrolment.mockResolvedValue({
+          success: false,
+          errorCode: AUTH_ERROR_CODES.MFA_CODE_INVALID
+        })
+
+        const result = await authService.completeMfaEnrolmentLogin(
+          'mfa-token',
+          '000000',
+          '127.0.0.1'
+        )
+
+        expect(result.errorCode).toBe(AUTH_ERROR_CODES.MFA_CODE_INVALID)
+        expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
+          where: { id: 1 },
+          data: expect.objectContaining({ failed_attempts: 1 })
+        })
+      })
+
+      it('returns other enrolment errors unchanged', async () => {
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue(enrollingUser)
+        mockConfirmEnrolment.mockResolvedValue({
+          success: false,
+          errorCode: AUTH_ERROR_CODES.MFA_ENROLMENT_NOT_STARTED
+        })
+
+        const result = await authService.completeMfaEnrolmentLogin(
+          'mfa-token',
+          '123456',
+          '127.0.0.1'
+        )
+
+        expect(result.errorCode).toBe(
+          AUTH_ERROR_CODES.MFA_ENROLMENT_NOT_STARTED
+        )
+        expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('resolveMfaEnrolmentUserId', () => {
+      it('returns the user ID from an enrolment token', async () => {
+        const { verifyMfaToken } = await import('../helpers/jwt.js')
+
+        expect(authService.resolveMfaEnrolmentUserId('mfa-token')).toBe(1)
+        expect(verifyMfaToken).toHaveBeenCalledWith('mfa-token', 'enrol')
+      })
+
+      it('returns null for an invalid token', async () => {
+        const { verifyMfaToken } = await import('../helpers/jwt.js')
+        vi.mocked(verifyMfaToken).mockReturnValue(null)
+
+        expect(authService.resolveMfaEnrolmentUserId('bad')).toBeNull()
+      })
+    })
   })
 
   describe('handleFailedAttempt', () => {
@@ -450,11 +903,6 @@ describe('AuthService', () => {
     })
 
     it('successfully logs out user with valid session', async () => {
-      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
-        unique_session_id: 'session-123'
-      })
-      mockPrisma.pafs_core_users.update.mockResolvedValue({})
-
       const result = await authService.logout(
         1,
         'session-123',
@@ -462,13 +910,7 @@ describe('AuthService', () => {
       )
 
       expect(result.success).toBe(true)
-      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
-        where: { id: 1 },
-        data: {
-          unique_session_id: null,
-          updated_at: expect.any(Date)
-        }
-      })
+      expect(mockEndSession).toHaveBeenCalledWith(1, 'session-123')
       expect(mockInvalidateAuthCache).toHaveBeenCalledWith(1, 'session-123')
       expect(mockLogger.info).toHaveBeenCalledWith(
         { userId: 1, sessionId: 'session-123' },
@@ -476,29 +918,8 @@ describe('AuthService', () => {
       )
     })
 
-    it('returns error for non-existent user', async () => {
-      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
-
-      const result = await authService.logout(
-        999,
-        'session-123',
-        mockInvalidateAuthCache
-      )
-
-      expect(result.success).toBe(false)
-      expect(result.errorCode).toBe(AUTH_ERROR_CODES.ACCOUNT_NOT_FOUND)
-      expect(mockLogger.warn).toHaveBeenCalledWith(
-        { userId: 999 },
-        'Logout attempted for non-existent user'
-      )
-      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
-      expect(mockInvalidateAuthCache).not.toHaveBeenCalled()
-    })
-
-    it('returns error for mismatched session', async () => {
-      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
-        unique_session_id: 'different-session'
-      })
+    it('returns error when the session has already ended', async () => {
+      mockEndSession.mockResolvedValue(false)
 
       const result = await authService.logout(
         1,
@@ -510,27 +931,15 @@ describe('AuthService', () => {
       expect(result.errorCode).toBe(AUTH_ERROR_CODES.SESSION_MISMATCH)
       expect(mockLogger.warn).toHaveBeenCalledWith(
         { userId: 1, sessionId: 'session-123' },
-        'Logout attempted with mismatched session'
+        'Logout attempted for a session that has already ended'
       )
-      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
       expect(mockInvalidateAuthCache).not.toHaveBeenCalled()
     })
 
-    it('handles null session ID', async () => {
-      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
-        unique_session_id: null
-      })
-
-      const result = await authService.logout(
-        1,
-        'session-123',
-        mockInvalidateAuthCache
-      )
+    it('only ends the session being logged out', async () => {
+      await authService.logout(1, 'session-123', mockInvalidateAuthCache)
 
-      expect(result.success).toBe(false)
-      expect(result.errorCode).toBe(AUTH_ERROR_CODES.SESSION_MISMATCH)
-      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
-      expect(mockInvalidateAuthCache).not.toHaveBeenCalled()
+      expect(mockEndAllSessions).not.toHaveBeenCalled()
     })
   })
 
@@ -567,17 +976,125 @@ describe('AuthService', () => {
       expect(result.supportCode).toBe(AUTH_ERROR_CODES.ACCOUNT_SUPPORT)
     })
 
-    it('returns error for session mismatch', async () => {
+    it('returns error for suspended user', async () => {
+      const { isAccountSuspended } = await import('../helpers/session.js')
+      vi.mocked(isAccountSuspended).mockReturnValue(true)
       mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
         id: 1,
         disabled: false,
-        unique_session_id: 'different-session'
+        suspended_until: new Date('2099-01-01')
       })
 
       const result = await authService.refreshSession('valid-token')
 
+      expect(result.success).toBe(false)
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.ACCOUNT_SUSPENDED)
+      expect(mockRotateSession).not.toHaveBeenCalled()
+    })
+
+    it('returns error when the session has ended', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: 1,
+        disabled: false
+      })
+      mockRotateSession.mockResolvedValue({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.SESSION_MISMATCH
+      })
+
+      const result = await authService.refreshSession('valid-token', '10.0.0.9')
+
       expect(result.success).toBe(false)
       expect(result.errorCode).toBe(AUTH_ERROR_CODES.SESSION_MISMATCH)
+      expect(result.accessToken).toBeUndefined()
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.SESSION_MISMATCH,
+        {
+          userId: 1,
+          email: undefined,
+          ipAddress: '10.0.0.9',
+          details: { source: 'refresh' }
+        }
+      )
+    })
+
+    describe('when a used refresh token is presented again', () => {
+      let mockInvalidateAuthCache
+
+      beforeEach(() => {
+        mockInvalidateAuthCache = vi.fn()
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+          id: 1,
+          disabled: false
+        })
+        mockRotateSession.mockResolvedValue({
+          success: false,
+          errorCode: AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED,
+          revokedSessionId: 'session-live'
+        })
+      })
+
+      it('rejects the refresh', async () => {
+        const result = await authService.refreshSession(
+          'valid-token',
+          '10.0.0.9',
+          mockInvalidateAuthCache
+        )
+
+        expect(result).toEqual({
+          success: false,
+          errorCode: AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED
+        })
+      })
+
+      it('logs a security event', async () => {
+        await authService.refreshSession(
+          'valid-token',
+          '10.0.0.9',
+          mockInvalidateAuthCache
+        )
+
+        expect(mockLogger.warn).toHaveBeenCalledWith(
+          {
+            securityEvent: 'REFRESH_TOKEN_REUSE',
+            userId: 1,
+            tokenSession: 'session-123',
+            revokedSession: 'session-live',
+            ipAddress: '10.0.0.9'
+          },
+          'Refresh token reuse detected: session revoked'
+        )
+        expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+          SECURITY_EVENT_TYPES.REFRESH_TOKEN_REUSE,
+          { userId: 1, email: undefined, ipAddress: '10.0.0.9' }
+        )
+      })
+
+      it('evicts the revoked session from the auth cache', async () => {
+        await authService.refreshSession(
+          'valid-token',
+          '10.0.0.9',
+          mockInvalidateAuthCache
+        )
+
+        expect(mockInvalidateAuthCache).toHaveBeenCalledWith(1, 'session-live')
+      })
+
+      it('skips cache eviction when the session had already ended', async () => {
+        mockRotateSession.mockResolvedValue({
+          success: false,
+          errorCode: AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED,
+          revokedSessionId: null
+        })
+
+        await authService.refreshSession(
+          'valid-token',
+          '10.0.0.9',
+          mockInvalidateAuthCache
+        )
+
+        expect(mockInvalidateAuthCache).not.toHaveBeenCalled()
+      })
     })
 
     it('returns new tokens on successful refresh', async () => {
@@ -587,8 +1104,7 @@ describe('AuthService', () => {
         first_name: 'Test',
         last_name: 'User',
         admin: false,
-        disabled: false,
-        unique_session_id: 'session-123'
+        disabled: false
       })
       mockPrisma.pafs_core_users.update.mockResolvedValue({})
 
@@ -612,26 +1128,99 @@ describe('AuthService', () => {
       })
     })
 
-    it('updates user session on successful refresh', async () => {
+    it('rotates the session on successful refresh', async () => {
+      const { generateSessionId } = await import('../helpers/session.js')
+      vi.mocked(generateSessionId).mockReturnValue('session-456')
       mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
         id: 1,
         email: 'test@example.com',
         first_name: 'Test',
         last_name: 'User',
         admin: false,
-        disabled: false,
-        unique_session_id: 'session-123'
+        disabled: false
+      })
+
+      await authService.refreshSession('valid-token', '127.0.0.1')
+
+      expect(mockRotateSession).toHaveBeenCalledWith(
+        { userId: 1, sessionId: 'session-123', jti: 'token-id-1' },
+        'session-456',
+        'refresh-token',
+        '127.0.0.1'
+      )
+    })
+
+    it('issues the new refresh token with the ID derived from the old one', async () => {
+      const { generateRefreshToken, getSuccessorTokenId } =
+        await import('../helpers/jwt.js')
+      vi.mocked(getSuccessorTokenId).mockReturnValue('successor-id')
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        id: 1,
+        disabled: false
       })
-      mockPrisma.pafs_core_users.update.mockResolvedValue({})
 
       await authService.refreshSession('valid-token')
 
-      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
-        where: { id: 1 },
-        data: {
-          unique_session_id: 'session-123',
-          updated_at: expect.any(Date)
-        }
+      expect(getSuccessorTokenId).toHaveBeenCalledWith('token-id-1')
+      expect(generateRefreshToken).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 1 }),
+        'session-123',
+        { tokenId: 'successor-id' }
+      )
+    })
+
+    describe('when the token was exchanged moments ago', () => {
+      const expiresAt = new Date('2026-03-08T09:00:00Z')
+
+      beforeEach(async () => {
+        const { generateRefreshToken, getSuccessorTokenId } =
+          await import('../helpers/jwt.js')
+        vi.mocked(getSuccessorTokenId).mockReturnValue('successor-id')
+        vi.mocked(generateRefreshToken)
+          .mockReturnValueOnce('unused-refresh-token')
+          .mockReturnValueOnce('successor-refresh-token')
+        mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+          id: 1,
+          disabled: false
+        })
+        mockRotateSession.mockResolvedValue({
+          success: true,
+          successor: { sessionId: 'session-tab-1', expiresAt }
+        })
+      })
+
+      it('returns the successor already issued', async () => {
+        const { generateAccessToken, generateRefreshToken } =
+          await import('../helpers/jwt.js')
+
+        const result = await authService.refreshSession('valid-token')
+
+        expect(result.success).toBe(true)
+        expect(result.refreshToken).toBe('successor-refresh-token')
+        expect(generateRefreshToken).toHaveBeenLastCalledWith(
+          expect.objectContaining({ id: 1 }),
+          'session-tab-1',
+          { tokenId: 'successor-id', expiresAt }
+        )
+        expect(generateAccessToken).toHaveBeenCalledWith(
+          expect.objectContaining({ id: 1 }),
+          'session-tab-1',
+          []
+        )
+      })
+
+      it('does not treat it as reuse', async () => {
+        const mockInvalidateAuthCache = vi.fn()
+
+        await authService.refreshSession(
+          'valid-token',
+          '10.0.0.9',
+          mockInvalidateAuthCache
+        )
+
+        expect(mockInvalidateAuthCache).not.toHaveBeenCalled()
+        expect(mockRecordSecurityEvent).not.toHaveBeenCalled()
+        expect(mockLogger.warn).not.toHaveBeenCalled()
       })
     })
 
@@ -651,8 +1240,7 @@ describe('AuthService', () => {
         first_name: 'RMA',
         last_name: 'User',
         admin: false,
-        disabled: false,
-        unique_session_id: 'session-123'
+        disabled: false
       })
       mockPrisma.pafs_core_users.update.mockResolvedValue({})
 
@@ -679,8 +1267,7 @@ describe('AuthService', () => {
         first_name: 'Admin',
         last_name: 'User',
         admin: true,
-        disabled: false,
-        unique_session_id: 'session-123'
+        disabled: false
       })
       mockPrisma.pafs_core_users.update.mockResolvedValue({})
 
@@ -757,15 +1344,10 @@ describe('AuthService', () => {
   })
 
   describe('invalidateOtherSessions', () => {
-    it('clears unique_session_id for the given user', async () => {
-      mockPrisma.pafs_core_users.update.mockResolvedValue({})
-
+    it('ends every session for the given user', async () => {
       await authService.invalidateOtherSessions(1)
 
-      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
-        where: { id: 1 },
-        data: { unique_session_id: null }
-      })
+      expect(mockEndAllSessions).toHaveBeenCalledWith(1)
     })
   })
 })
@@ -1,3 +1,5 @@
 export { AuthService } from './auth-service.js'
 export { PasswordService } from './password-service.js'
 export { TokenService } from './token-service.js'
+export { MfaService } from './mfa-service.js'
+export { SessionService } from './session-service.js'
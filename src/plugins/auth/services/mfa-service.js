@@ -0,0 +1,271 @@
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildProvisioningUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from '../helpers/totp.js'
+import { hashToken } from '../helpers/secure-token.js'
+import { config } from '../../../config.js'
+import { AUTH_ERROR_CODES, MFA } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { NotFoundError } from '../../../common/errors/http-errors.js'
+
+// Recovery codes are ten hex characters, which can also be all digits, so an
+// authenticator code is told apart by its length
+const TOTP_CODE_PATTERN = new RegExp(String.raw`^\d{${MFA.CODE_DIGITS}}$`)
+
+const MFA_USER_SELECT = {
+  id: true,
+  email: true,
+  mfa_secret: true,
+  mfa_enabled: true,
+  mfa_last_used_step: true
+}
+
+const CLEARED_MFA = {
+  mfa_secret: null,
+  mfa_enabled: false,
+  mfa_enabled_at: null,
+  mfa_last_used_step: null
+}
+
+/**
+ * TOTP multi-factor authentication: enrolment, code verification during
+ * login and admin reset. Secrets are stored encrypted and only take effect
+ * once the user has proved their authenticator app with a valid code.
+ */
+export class MfaService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Generate a new secret for the user to add to their authenticator app.
+   * Starting again before confirming replaces the pending secret.
+   * @param {number} userId
+   * @returns {Promise<Object>} { success, secret, provisioningUri } or error
+   */
+  async startEnrolment(userId) {
+    const user = await this._findUser(userId)
+    if (!user) {
+      return { success: false, errorCode: AUTH_ERROR_CODES.ACCOUNT_NOT_FOUND }
+    }
+    if (user.mfa_enabled) {
+      return { success: false, errorCode: AUTH_ERROR_CODES.MFA_ALREADY_ENABLED }
+    }
+
+    const secret = generateTotpSecret()
+    await this.prisma.pafs_core_users.update({
+      where: { id: user.id },
+      data: {
+        ...CLEARED_MFA,
+        mfa_secret: encryptTotpSecret(secret),
+        updated_at: new Date()
+      }
+    })
+
+    this.logger.info({ userId }, 'MFA enrolment started')
+
+    return {
+      success: true,
+      secret,
+      provisioningUri: buildProvisioningUri(secret, user.email)
+    }
+  }
+
+  /**
+   * Turn MFA on once the user has entered a valid code from their app, and
+   * issue a fresh set of recovery codes. The codes are only returned here.
+   * @param {number} userId
+   * @param {string} code - TOTP code
+   * @returns {Promise<Object>} { success, recoveryCodes } or error
+   */
+  async confirmEnrolment(userId, code) {
+    const user = await this._findUser(userId)
+    if (!user) {
+      return { success: false, errorCode: AUTH_ERROR_CODES.ACCOUNT_NOT_FOUND }
+    }
+    if (user.mfa_enabled) {
+      return { success: false, errorCode: AUTH_ERROR_CODES.MFA_ALREADY_ENABLED }
+    }
+    if (!user.mfa_secret) {
+      return {
+        success: false,
+        errorCode: AUTH_ERROR_CODES.MFA_ENROLMENT_NOT_STARTED
+      }
+    }
+
+    const step = verifyTotp(decryptTotpSecret(user.mfa_secret), code)
+    if (step === null) {
+      this.logger.info({ userId }, 'MFA enrolment code rejected')
+      return { success: false, errorCode: AUTH_ERROR_CODES.MFA_CODE_INVALID }
+    }
+
+    const recoveryCodes = generateRecoveryCodes(
+      config.get('auth.mfa.recoveryCodeCount')
+    )
+    const now = new Date()
+
+    await this.prisma.$transaction(async (tx) => {
+      await tx.pafs_core_users.update({
+        where: { id: user.id },
+        data: {
+          mfa_enabled: true,
+          mfa_enabled_at: now,
+          mfa_last_used_step: BigInt(step),
+          updated_at: now
+        }
+      })
+      await tx.pafs_core_mfa_recovery_codes.deleteMany({
+        where: { user_id: user.id }
+      })
+      await tx.pafs_core_mfa_recovery_codes.createMany({
+        data: recoveryCodes.map((recoveryCode) => ({
+          user_id: user.id,
+          code_digest: hashToken(normalizeRecoveryCode(recoveryCode)),
+          created_at: now
+        }))
+      })
+    })
+
+    this.logger.info({ userId }, 'MFA enabled')
+
+    return { success: true, recoveryCodes }
+  }
+
+  /**
+   * Check the second factor during login: a TOTP code or an unused recovery
+   * code. Both are consumed with a conditional update so concurrent requests
+   * cannot use the same code twice.
+   * @param {Object} user - User with mfa_secret and mfa_last_used_step
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(user, code) {
+    if (TOTP_CODE_PATTERN.test(code)) {
+      const step = verifyTotp(decryptTotpSecret(user.mfa_secret), code, {
+        lastUsedStep: user.mfa_last_used_step
+      })
+      if (step === null) {
+        return false
+      }
+
+      const { count } = await this.prisma.pafs_core_users.updateMany({
+        where: {
+          id: user.id,
+          OR: [
+            { mfa_last_used_step: null },
+            { mfa_last_used_step: { lt: BigInt(step) } }
+          ]
+        },
+        data: { mfa_last_used_step: BigInt(step) }
+      })
+      return count > 0
+    }
+
+    const { count } = await this.prisma.pafs_core_mfa_recovery_codes.updateMany(
+      {
+        where: {
+          user_id: user.id,
+          code_digest: hashToken(normalizeRecoveryCode(code)),
+          used_at: null
+        },
+        data: { used_at: new Date() }
+      }
+    )
+
+    if (count > 0) {
+      this.logger.warn({ userId: user.id }, 'MFA recovery code used')
+    }
+    return count > 0
+  }
+
+  /**
+   * Admin reset, e.g. after a lost phone. The user enrols again at their next
+   * sign-in if MFA is required for them, or whenever they choose if not.
+   * @param {number} userId
+   * @param {Object} authenticatedUser - Admin resetting MFA
+   * @returns {Promise<Object>} Reset result
+   * @throws {NotFoundError} When the account does not exist
+   */
+  async resetMfa(userId, authenticatedUser) {
+    const user = await this._findUserOrThrow(userId)
+
+    await this.prisma.$transaction(async (tx) => {
+      await tx.pafs_core_users.update({
+        where: { id: user.id },
+        data: { ...CLEARED_MFA, updated_at: new Date() }
+      })
+      await tx.pafs_core_mfa_recovery_codes.deleteMany({
+        where: { user_id: user.id }
+      })
+    })
+
+    this.logger.info(
+      { userId, adminId: authenticatedUser.userId },
+      'MFA reset by admin'
+    )
+
+    return { message: 'MFA reset', userId: Number(userId) }
+  }
+
+  /**
+   * Require (or stop requiring) MFA for an account. Users who are required
+   * but not enrolled must enrol before their next sign-in completes.
+   * @param {number} userId
+   * @param {boolean} required
+   * @param {Object} authenticatedUser - Admin making the change
+   * @returns {Promise<Object>} Update result
+   * @throws {NotFoundError} When the account does not exist
+   */
+  async setMfaRequired(userId, required, authenticatedUser) {
+    const user = await this._findUserOrThrow(userId)
+
+    await this.prisma.pafs_core_users.update({
+      where: { id: user.id },
+      data: { mfa_required: required, updated_at: new Date() }
+    })
+
+    this.logger.info(
+      { userId, required, adminId: authenticatedUser.userId },
+      'MFA requirement updated'
+    )
+
+    return {
+      message: required ? 'MFA required' : 'MFA no longer required',
+      userId: Number(userId),
+      mfaRequired: required,
+      mfaEnabled: user.mfa_enabled
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _findUser(userId) {
+    return this.prisma.pafs_core_users.findUnique({
+      where: { id: BigInt(userId) },
+      select: MFA_USER_SELECT
+    })
+  }
+
+  /**
+   * @private
+   */
+  async _findUserOrThrow(userId) {
+    const user = await this._findUser(userId)
+
+    if (!user) {
+      throw new NotFoundError(
+        `User with ID ${userId} not found`,
+        ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      )
+    }
+
+    return user
+  }
+}
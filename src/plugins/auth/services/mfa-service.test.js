@@ -0,0 +1,319 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MfaService } from './mfa-service.js'
+import {
+  encryptTotpSecret,
+  generateTotp,
+  getTimeStep
+} from '../helpers/totp.js'
+import { hashToken } from '../helpers/secure-token.js'
+import { AUTH_ERROR_CODES } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+describe('MfaService', () => {
+  let service
+  let mockPrisma
+  let mockTx
+  let mockLogger
+
+  const baseUser = {
+    id: BigInt(1),
+    email: 'user@example.com',
+    mfa_secret: null,
+    mfa_enabled: false,
+    mfa_last_used_step: null
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockTx = {
+      pafs_core_users: { update: vi.fn().mockResolvedValue({}) },
+      pafs_core_mfa_recovery_codes: {
+        deleteMany: vi.fn().mockResolvedValue({ count: 0 }),
+        createMany: vi.fn().mockResolvedValue({ count: 10 })
+      }
+    }
+    mockPrisma = {
+      pafs_core_users: {
+        findUnique: vi.fn().mockResolvedValue(baseUser),
+        update: vi.fn().mockResolvedValue({}),
+        updateMany: vi.fn().mockResolvedValue({ count: 1 })
+      },
+      pafs_core_mfa_recovery_codes: {
+        updateMany: vi.fn().mockResolvedValue({ count: 1 })
+      },
+      $transaction: vi.fn((callback) => callback(mockTx))
+    }
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+    service = new MfaService(mockPrisma, mockLogger)
+  })
+
+  describe('startEnrolment', () => {
+    it('stores an encrypted secret and returns the provisioning URI', async () => {
+      const result = await service.startEnrolment(1)
+
+      expect(result.success).toBe(true)
+      expect(result.secret).toMatch(/^[A-Z2-7]{32}$/)
+      expect(result.provisioningUri).toContain(
+        `otpauth://totp/PAFS:user%40example.com?secret=${result.secret}`
+      )
+
+      const { data } = mockPrisma.pafs_core_users.update.mock.calls[0][0]
+      expect(data.mfa_enabled).toBe(false)
+      expect(data.mfa_secret).toEqual(expect.any(String))
+      expect(data.mfa_secret).not.toContain(result.secret)
+    })
+
+    it('refuses when MFA is already enabled', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        ...baseUser,
+        mfa_enabled: true
+      })
+
+      const result = await service.startEnrolment(1)
+
+      expect(result).toEqual({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.MFA_ALREADY_ENABLED
+      })
+      expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+    })
+
+    it('returns an error for an unknown user', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      const result = await service.startEnrolment(1)
+
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.ACCOUNT_NOT_FOUND)
+    })
+  })
+
+  describe('confirmEnrolment', () => {
+    const pendingUser = { ...baseUser, mfa_secret: encryptTotpSecret(SECRET) }
+
+    beforeEach(() => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(pendingUser)
+    })
+
+    it('enables MFA and stores hashed recovery codes', async () => {
+      const step = getTimeStep()
+      const result = await service.confirmEnrolment(
+        1,
+        generateTotp(SECRET, step)
+      )
+
+      expect(result.success).toBe(true)
+      expect(result.recoveryCodes).toHaveLength(10)
+      expect(mockTx.pafs_core_users.update).toHaveBeenCalledWith({
+        where: { id: BigInt(1) },
+        data: {
+          mfa_enabled: true,
+          mfa_enabled_at: expect.any(Date),
+          mfa_last_used_step: BigInt(step),
+          updated_at: expect.any(Date)
+        }
+      })
+      expect(
+        mockTx.pafs_core_mfa_recovery_codes.deleteMany
+      ).toHaveBeenCalledWith({ where: { user_id: BigInt(1) } })
+
+      const { data } =
+        mockTx.pafs_core_mfa_recovery_codes.createMany.mock.calls[0][0]
+      expect(data[0]).toEqual({
+        user_id: BigInt(1),
+        code_digest: hashToken(result.recoveryCodes[0].replace('-', '')),
+        created_at: expect.any(Date)
+      })
+    })
+
+    it('rejects a wrong code', async () => {
+      const result = await service.confirmEnrolment(1, '000000')
+
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.MFA_CODE_INVALID)
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled()
+    })
+
+    it('requires enrolment to have been started', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(baseUser)
+
+      const result = await service.confirmEnrolment(1, '123456')
+
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.MFA_ENROLMENT_NOT_STARTED)
+    })
+
+    it('refuses when MFA is already enabled', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue({
+        ...pendingUser,
+        mfa_enabled: true
+      })
+
+      const result = await service.confirmEnrolment(1, '123456')
+
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.MFA_ALREADY_ENABLED)
+    })
+  })
+
+  describe('verifyCode', () => {
+    const enabledUser = {
+      ...baseUser,
+      mfa_enabled: true,
+      mfa_secret: encryptTotpSecret(SECRET)
+    }
+
+    it('accepts a current TOTP code and records its step', async () => {
+      const step = getTimeStep()
+
+      const valid = await service.verifyCode(
+        enabledUser,
+        generateTotp(SECRET, step)
+      )
+
+      expect(valid).toBe(true)
+      expect(mockPrisma.pafs_core_users.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: BigInt(1),
+          OR: [
+            { mfa_last_used_step: null },
+            { mfa_last_used_step: { lt: BigInt(step) } }
+          ]
+        },
+        data: { mfa_last_used_step: BigInt(step) }
+      })
+    })
+
+    it('rejects a code already used', async () => {
+      const step = getTimeStep()
+
+      const valid = await service.verifyCode(
+        { ...enabledUser, mfa_last_used_step: BigInt(step + 1) },
+        generateTotp(SECRET, step)
+      )
+
+      expect(valid).toBe(false)
+      expect(mockPrisma.pafs_core_users.updateMany).not.toHaveBeenCalled()
+    })
+
+    it('rejects a code that a concurrent request has just used', async () => {
+      mockPrisma.pafs_core_users.updateMany.mockResolvedValue({ count: 0 })
+
+      const valid = await service.verifyCode(
+        enabledUser,
+        generateTotp(SECRET, getTimeStep())
+      )
+
+      expect(valid).toBe(false)
+    })
+
+    it('rejects a wrong TOTP code', async () => {
+      expect(await service.verifyCode(enabledUser, '000000')).toBe(false)
+    })
+
+    it('consumes an unused recovery code', async () => {
+      const valid = await service.verifyCode(enabledUser, 'ABCDE-12345')
+
+      expect(valid).toBe(true)
+      expect(
+        mockPrisma.pafs_core_mfa_recovery_codes.updateMany
+      ).toHaveBeenCalledWith({
+        where: {
+          user_id: BigInt(1),
+          code_digest: hashToken('abcde12345'),
+          used_at: null
+        },
+        data: { used_at: expect.any(Date) }
+      })
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        { userId: BigInt(1) },
+        'MFA recovery code used'
+      )
+    })
+
+    it('consumes an all-digit recovery code typed without its dash', async () => {
+      const valid = await service.verifyCode(enabledUser, '3141592653')
+
+      expect(valid).toBe(true)
+      expect(
+        mockPrisma.pafs_core_mfa_recovery_codes.updateMany
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({
+            code_digest: hashToken('3141592653')
+          })
+        })
+      )
+      expect(mockPrisma.pafs_core_users.updateMany).not.toHaveBeenCalled()
+    })
+
+    it('rejects an unknown or used recovery code', async () => {
+      mockPrisma.pafs_core_mfa_recovery_codes.updateMany.mockResolvedValue({
+        count: 0
+      })
+
+      expect(await service.verifyCode(enabledUser, 'abcde-12345')).toBe(false)
+    })
+  })
+
+  describe('resetMfa', () => {
+    it('clears MFA and deletes recovery codes', async () => {
+      const result = await service.resetMfa(1, { userId: 100 })
+
+      expect(mockTx.pafs_core_users.update).toHaveBeenCalledWith({
+        where: { id: BigInt(1) },
+        data: {
+          mfa_secret: null,
+          mfa_enabled: false,
+          mfa_enabled_at: null,
+          mfa_last_used_step: null,
+          updated_at: expect.any(Date)
+        }
+      })
+      expect(
+        mockTx.pafs_core_mfa_recovery_codes.deleteMany
+      ).toHaveBeenCalledWith({ where: { user_id: BigInt(1) } })
+      expect(result).toEqual({ message: 'MFA reset', userId: 1 })
+    })
+
+    it('throws NotFoundError for an unknown user', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      await expect(service.resetMfa(1, { userId: 100 })).rejects.toMatchObject({
+        statusCode: 404,
+        code: ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      })
+    })
+  })
+
+  describe('setMfaRequired', () => {
+    it('updates the requirement', async () => {
+      const result = await service.setMfaRequired(1, true, { userId: 100 })
+
+      expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
+        where: { id: BigInt(1) },
+        data: { mfa_required: true, updated_at: expect.any(Date) }
+      })
+      expect(result).toEqual({
+        message: 'MFA required',
+        userId: 1,
+        mfaRequired: true,
+        mfaEnabled: false
+      })
+    })
+
+    it('reports when the requirement is removed', async () => {
+      const result = await service.setMfaRequired(1, false, { userId: 100 })
+
+      expect(result.message).toBe('MFA no longer required')
+    })
+
+    it('throws NotFoundError for an unknown user', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      await expect(
+        service.setMfaRequired(1, true, { userId: 100 })
+      ).rejects.toMatchObject({ statusCode: 404 })
+    })
+  })
+})
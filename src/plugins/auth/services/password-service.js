@@ -4,26 +4,44 @@ import {
   checkPasswordHistory,
   getPasswordHistoryLimit
 } from '../helpers/password-history.js'
+import { SessionService } from './session-service.js'
+import { SecurityEventService } from '../../audit/services/security-event-service.js'
 import { config } from '../../../config.js'
 import {
   ACCOUNT_STATUS,
   AUTH_ERROR_CODES,
   PASSWORD
 } from '../../../common/constants/index.js'
+import { SECURITY_EVENT_TYPES } from '../../../common/constants/audit.js'
 
 export class PasswordService {
   constructor(prisma, logger, emailService) {
     this.prisma = prisma
     this.logger = logger
     this.emailService = emailService
+    this.sessionService = new SessionService(prisma, logger)
+    this.securityEventService = new SecurityEventService(prisma, logger)
   }
 
-  async requestReset(email) {
+  /**
+   * Email a reset link. Every request is recorded as a security event,
+   * including those for unknown or disabled accounts, so that repeated
+   * requests for one address can be spotted.
+   * @param {string} email
+   * @param {string} [ipAddress]
+   * @returns {Promise<Object>} { sent }
+   */
+  async requestReset(email, ipAddress) {
     const user = await this.prisma.pafs_core_users.findUnique({
       where: { email },
       select: { id: true, email: true, first_name: true, disabled: true }
     })
 
+    this.securityEventService.record(
+      SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED,
+      { userId: user?.id, email, ipAddress }
+    )
+
     if (!user || user.disabled) {
       this.logger.info(
         { email },
@@ -70,8 +88,9 @@ export class PasswordService {
    * @param {number} userId
    * @param {string} newPassword
    * @param {string|null} rawToken - plain-text reset token (not hashed)
+   * @param {string} [ipAddress]
    */
-  async resetPassword(userId, newPassword, rawToken = null) {
+  async resetPassword(userId, newPassword, rawToken = null, ipAddress = null) {
     // Get current password
     const currentPassword = await this.getCurrentPassword(userId)
 
@@ -127,6 +146,11 @@ export class PasswordService {
       )
     }
 
+    this.securityEventService.record(SECURITY_EVENT_TYPES.PASSWORD_RESET, {
+      userId,
+      ipAddress
+    })
+
     this.logger.info({ userId }, 'Password reset')
     return { success: true }
   }
@@ -175,6 +199,7 @@ export class PasswordService {
    * When hashedToken is provided the UPDATE is conditioned on the token still
    * matching, making token consumption atomic with the password change.
    * Returns true if the row was updated, false if the token was already consumed.
+   * Every session is ended so the new password is needed to sign in again.
    * @param {number} userId
    * @param {string} newPassword - plain-text password (will be hashed internally)
    * @param {string|null} hashedToken - SHA-256 hashed token, or null for unconditional update
@@ -189,7 +214,6 @@ export class PasswordService {
       reset_password_sent_at: null,
       failed_attempts: 0,
       locked_at: null,
-      unique_session_id: null,
       updated_at: new Date()
     }
 
@@ -200,10 +224,14 @@ export class PasswordService {
         where: { id: userId, reset_password_token: hashedToken },
         data
       })
-      return result.count > 0
+      if (result.count === 0) {
+        return false
+      }
+    } else {
+      await this.prisma.pafs_core_users.update({ where: { id: userId }, data })
     }
 
-    await this.prisma.pafs_core_users.update({ where: { id: userId }, data })
+    await this.sessionService.endAllSessions(userId)
     return true
   }
 
@@ -273,11 +301,11 @@ export class PasswordService {
         encrypted_password: hashedPassword,
         failed_attempts: 0,
         locked_at: null,
-        unique_session_id: null,
         status: ACCOUNT_STATUS.ACTIVE,
         updated_at: new Date()
       }
     })
+    await this.sessionService.endAllSessions(userId)
 
     this.logger.info({ userId }, 'Initial password set via invitation')
     return { success: true }
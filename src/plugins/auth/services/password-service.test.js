@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { PasswordService } from './password-service.js'
 import { AUTH_ERROR_CODES } from '../../../common/constants/index.js'
+import { SECURITY_EVENT_TYPES } from '../../../common/constants/audit.js'
 
 vi.mock('../helpers/secure-token.js', () => ({
   generateSecureToken: vi.fn(() => 'mock-token-123'),
@@ -12,6 +13,22 @@ vi.mock('../helpers/password.js', () => ({
   verifyPassword: vi.fn(() => Promise.resolve(false))
 }))
 
+const mockEndAllSessions = vi.fn()
+
+vi.mock('./session-service.js', () => ({
+  SessionService: class {
+    endAllSessions = mockEndAllSessions
+  }
+}))
+
+const mockRecordSecurityEvent = vi.fn()
+
+vi.mock('../../audit/services/security-event-service.js', () => ({
+  SecurityEventService: class {
+    record = mockRecordSecurityEvent
+  }
+}))
+
 vi.mock('../helpers/password-history.js', () => ({
   checkPasswordHistory: vi.fn(() => Promise.resolve({ isReused: false })),
   getPasswordHistoryLimit: vi.fn(() => 5)
@@ -69,9 +86,13 @@ describe('PasswordService', () => {
       mockPrisma.pafs_core_users.findUnique.mockResolvedValue(user)
       mockPrisma.pafs_core_users.update.mockResolvedValue({})
 
-      const result = await service.requestReset('user@test.com')
+      const result = await service.requestReset('user@test.com', '10.0.0.1')
 
       expect(result.sent).toBe(true)
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED,
+        { userId: 1, email: 'user@test.com', ipAddress: '10.0.0.1' }
+      )
       expect(mockPrisma.pafs_core_users.update).toHaveBeenCalledWith({
         where: { id: 1 },
         data: {
@@ -86,10 +107,14 @@ describe('PasswordService', () => {
     it('does not send email for non-existent user', async () => {
       mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
 
-      const result = await service.requestReset('notfound@test.com')
+      const result = await service.requestReset('notfound@test.com', '10.0.0.1')
 
       expect(result.sent).toBe(false)
       expect(mockEmailService.send).not.toHaveBeenCalled()
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.PASSWORD_RESET_REQUESTED,
+        { userId: undefined, email: 'notfound@test.com', ipAddress: '10.0.0.1' }
+      )
     })
 
     it('does not send email for disabled account', async () => {
@@ -118,9 +143,18 @@ describe('PasswordService', () => {
       mockPrisma.pafs_core_users.update.mockResolvedValue({})
       mockPrisma.old_passwords.create.mockResolvedValue({})
 
-      const result = await service.resetPassword(1, 'NewPassword123!')
+      const result = await service.resetPassword(
+        1,
+        'NewPassword123!',
+        null,
+        '10.0.0.1'
+      )
 
       expect(result.success).toBe(true)
+      expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+        SECURITY_EVENT_TYPES.PASSWORD_RESET,
+        { userId: 1, ipAddress: '10.0.0.1' }
+      )
       const updateCall = mockPrisma.pafs_core_users.update.mock.calls[0][0]
       expect(updateCall.where.id).toBe(1)
       expect(updateCall.data.encrypted_password).toBe('hashed-NewPassword123!')
@@ -128,7 +162,6 @@ describe('PasswordService', () => {
       expect(updateCall.data.reset_password_sent_at).toBeNull()
       expect(updateCall.data.failed_attempts).toBe(0)
       expect(updateCall.data.locked_at).toBeNull()
-      expect(updateCall.data.unique_session_id).toBeNull()
     })
 
     it('invalidates all sessions on password reset', async () => {
@@ -141,8 +174,7 @@ describe('PasswordService', () => {
 
       await service.resetPassword(1, 'NewPassword123!')
 
-      const updateCall = mockPrisma.pafs_core_users.update.mock.calls[0][0]
-      expect(updateCall.data.unique_session_id).toBeNull()
+      expect(mockEndAllSessions).toHaveBeenCalledWith(1)
     })
 
     it('rejects password that was used previously', async () => {
@@ -162,6 +194,7 @@ describe('PasswordService', () => {
 
       expect(result.success).toBe(false)
       expect(result.errorCode).toBe('AUTH_PASSWORD_WAS_USED_PREVIOUSLY')
+      expect(mockRecordSecurityEvent).not.toHaveBeenCalled()
     })
 
     it('rejects password that is same as current password', async () => {
@@ -248,8 +281,8 @@ describe('PasswordService', () => {
         'hashed-raw-token-value'
       )
       expect(updateCall.data.reset_password_token).toBeNull()
-      expect(updateCall.data.unique_session_id).toBeNull()
       expect(mockPrisma.pafs_core_users.update).not.toHaveBeenCalled()
+      expect(mockEndAllSessions).toHaveBeenCalledWith(1)
     })
 
     it('returns token error when token already consumed (concurrent request)', async () => {
@@ -268,6 +301,7 @@ describe('PasswordService', () => {
 
       expect(result.success).toBe(false)
       expect(result.errorCode).toBe(AUTH_ERROR_CODES.TOKEN_EXPIRED_OR_INVALID)
+      expect(mockEndAllSessions).not.toHaveBeenCalled()
     })
   })
 
@@ -327,11 +361,11 @@ describe('PasswordService', () => {
           encrypted_password: 'hashed-NewPassword123!',
           failed_attempts: 0,
           locked_at: null,
-          unique_session_id: null,
           status: 'active',
           updated_at: expect.any(Date)
         }
       })
+      expect(mockEndAllSessions).toHaveBeenCalledWith(1)
     })
 
     it('returns error for non-existent user', async () => {
@@ -0,0 +1,440 @@
+import {
+  getSuccessorTokenId,
+  getTokenExpiry,
+  getTokenId
+} from '../helpers/jwt.js'
+import { hashToken } from '../helpers/secure-token.js'
+import { config } from '../../../config.js'
+import { AUTH_ERROR_CODES } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+import { NotFoundError } from '../../../common/errors/http-errors.js'
+
+const SESSION_SELECT = {
+  id: true,
+  session_id: true,
+  user_agent: true,
+  ip_address: true,
+  created_at: true,
+  last_refreshed_at: true,
+  expires_at: true
+}
+
+function formatSession(session, currentSessionId) {
+  return {
+    id: Number(session.id),
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastRefreshedAt: session.last_refreshed_at,
+    expiresAt: session.expires_at,
+    current: session.session_id === currentSessionId
+  }
+}
+
+function refreshTokenRecord(session, refreshToken, now) {
+  return {
+    user_session_id: session.id,
+    user_id: session.user_id,
+    token_digest: hashToken(getTokenId(refreshToken)),
+    created_at: now,
+    expires_at: getTokenExpiry(refreshToken)
+  }
+}
+
+/**
+ * Delete sessions and their refresh token families
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<BigInt>} ids - pafs_core_user_sessions IDs
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+async function deleteSessions(tx, ids) {
+  if (ids.length === 0) {
+    return 0
+  }
+
+  await tx.pafs_core_refresh_tokens.deleteMany({
+    where: { user_session_id: { in: ids } }
+  })
+  const { count } = await tx.pafs_core_user_sessions.deleteMany({
+    where: { id: { in: ids } }
+  })
+  return count
+}
+
+/**
+ * Signed-in sessions, one row per device in pafs_core_user_sessions. The
+ * row's session_id is carried in the tokens and rotated on every refresh,
+ * so deleting the row signs that device out.
+ *
+ * Each refresh token issued for a session is recorded in
+ * pafs_core_refresh_tokens (the session's token family) and can be used
+ * once. A used token presented again means it was copied, so the whole
+ * family and the session are revoked, unless it comes within
+ * auth.sessions.refreshReuseGraceSeconds and its successor is still unused:
+ * two tabs or a retried request refreshing at once then share the successor.
+ */
+export class SessionService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Record a new session at sign-in. Once the user has more than
+   * auth.sessions.maxConcurrent sessions the oldest are ended.
+   * @param {number|BigInt} userId
+   * @param {string} sessionId - Session ID carried in the new tokens
+   * @param {string} refreshToken - The session's refresh token
+   * @param {Object} [client]
+   * @param {string} [client.ipAddress]
+   * @param {string} [client.userAgent]
+   * @returns {Promise<number>} Number of older sessions ended
+   */
+  async createSession(
+    userId,
+    sessionId,
+    refreshToken,
+    { ipAddress, userAgent } = {}
+  ) {
+    const maxConcurrent = Math.max(1, config.get('auth.sessions.maxConcurrent'))
+
+    const endedCount = await this.prisma.$transaction(async (tx) => {
+      const now = new Date()
+      const session = await tx.pafs_core_user_sessions.create({
+        data: {
+          user_id: BigInt(userId),
+          session_id: sessionId,
+          user_agent: userAgent?.slice(0, 512) ?? null,
+          ip_address: ipAddress ?? null,
+          created_at: now,
+          expires_at: getTokenExpiry(refreshToken)
+        },
+        select: { id: true, user_id: true }
+      })
+      await tx.pafs_core_refresh_tokens.create({
+        data: refreshTokenRecord(session, refreshToken, now)
+      })
+
+      const surplus = await tx.pafs_core_user_sessions.findMany({
+        where: { user_id: BigInt(userId) },
+        orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+        skip: maxConcurrent,
+        select: { id: true }
+      })
+      return deleteSessions(
+        tx,
+        surplus.map((row) => row.id)
+      )
+    })
+
+    if (endedCount > 0) {
+      this.logger.info(
+        { userId, endedCount, maxConcurrent },
+        'Oldest sessions ended at sign-in'
+      )
+    }
+
+    return endedCount
+  }
+
+  /**
+   * Exchange a refresh token for the next one in its family and move the
+   * session on to the new session ID. The presented token is claimed with a
+   * conditional update, so it can only ever be exchanged once; a token that
+   * was already used revokes the family and the session, unless it is
+   * presented again within the grace period. The caller then re-signs the
+   * successor already issued for it, so newRefreshToken must carry
+   * getSuccessorTokenId(decoded.jti).
+   * @param {Object} decoded - Verified refresh token claims
+   * @param {number} decoded.userId
+   * @param {string} decoded.sessionId
+   * @param {string} decoded.jti
+   * @param {string} newSessionId
+   * @param {string} newRefreshToken
+   * @param {string} [ipAddress]
+   * @returns {Promise<Object>} { success }, with `successor` ({ sessionId,
+   *   expiresAt }) when the successor is to be re-signed, or error, with the
+   *   revoked session's ID when reuse was detected
+   */
+  async rotateSession(decoded, newSessionId, newRefreshToken, ipAddress) {
+    if (!decoded.jti) {
+      return { success: false, errorCode: AUTH_ERROR_CODES.SESSION_MISMATCH }
+    }
+
+    return this.prisma.$transaction(async (tx) => {
+      const now = new Date()
+      const token = await tx.pafs_core_refresh_tokens.findUnique({
+        where: { token_digest: hashToken(decoded.jti) },
+        select: { id: true, user_session_id: true, user_id: true }
+      })
+
+      if (!token || Number(token.user_id) !== Number(decoded.userId)) {
+        return { success: false, errorCode: AUTH_ERROR_CODES.SESSION_MISMATCH }
+      }
+
+      const { count: claimed } = await tx.pafs_core_refresh_tokens.updateMany({
+        where: { id: token.id, used_at: null },
+        data: { used_at: now }
+      })
+
+      if (claimed === 0) {
+        return (
+          (await this._findGraceSuccessor(tx, token, decoded.jti, now)) ??
+          this._revokeFamily(tx, token)
+        )
+      }
+
+      const { count } = await tx.pafs_core_user_sessions.updateMany({
+        where: {
+          id: token.user_session_id,
+          session_id: decoded.sessionId,
+          expires_at: { gt: now }
+        },
+        data: {
+          session_id: newSessionId,
+          last_refreshed_at: now,
+          expires_at: getTokenExpiry(newRefreshToken),
+          ...(ipAddress && { ip_address: ipAddress })
+        }
+      })
+
+      if (count === 0) {
+        return { success: false, errorCode: AUTH_ERROR_CODES.SESSION_MISMATCH }
+      }
+
+      await tx.pafs_core_refresh_tokens.create({
+        data: refreshTokenRecord(
+          { id: token.user_session_id, user_id: token.user_id },
+          newRefreshToken,
+          now
+        )
+      })
+
+      return { success: true }
+    })
+  }
+
+  /**
+   * End the session a token belongs to (sign-out)
+   * @param {number|BigInt} userId
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} False when the session had already ended
+   */
+  async endSession(userId, sessionId) {
+    const count = await this._endSessions({
+      user_id: BigInt(userId),
+      session_id: sessionId
+    })
+
+    return count > 0
+  }
+
+  /**
+   * End every session for a user, e.g. after a password change
+   * @param {number|BigInt} userId
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  async endAllSessions(userId) {
+    return this._endSessions({ user_id: BigInt(userId) })
+  }
+
+  /**
+   * A user's live sessions, most recent first
+   * @param {number|BigInt} userId
+   * @param {string} [currentSessionId] - Flags the caller's own session
+   * @returns {Promise<Array>}
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await this.prisma.pafs_core_user_sessions.findMany({
+      where: { user_id: BigInt(userId), expires_at: { gt: new Date() } },
+      orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+      select: SESSION_SELECT
+    })
+
+    return sessions.map((session) => formatSession(session, currentSessionId))
+  }
+
+  /**
+   * Sign out one of the user's own sessions by its listed ID
+   * @param {number|BigInt} userId
+   * @param {number} id - Session row ID from listSessions
+   * @returns {Promise<Object>} { success, sessionId } or error
+   */
+  async revokeSession(userId, id) {
+    const session = await this.prisma.pafs_core_user_sessions.findFirst({
+      where: { id: BigInt(id), user_id: BigInt(userId) },
+      select: { id: true, session_id: true }
+    })
+
+    if (!session) {
+      return { success: false, errorCode: AUTH_ERROR_CODES.SESSION_NOT_FOUND }
+    }
+
+    await this._endSessions({ id: session.id })
+
+    this.logger.info({ userId, id }, 'Session revoked by user')
+
+    return { success: true, sessionId: session.session_id }
+  }
+
+  /**
+   * Admin view of who is signed in on an account
+   * @param {number} userId
+   * @returns {Promise<Object>} { userId, sessions }
+   * @throws {NotFoundError} When the account does not exist
+   */
+  async getAccountSessions(userId) {
+    await this._assertUserExists(userId)
+
+    return {
+      userId: Number(userId),
+      sessions: await this.listSessions(userId)
+    }
+  }
+
+  /**
+   * Admin forced sign-out of every session on an account
+   * @param {number} userId
+   * @param {Object} authenticatedUser - Admin signing the user out
+   * @returns {Promise<Object>} Sign-out result
+   * @throws {NotFoundError} When the account does not exist
+   */
+  async signOutAccount(userId, authenticatedUser) {
+    await this._assertUserExists(userId)
+
+    const endedCount = await this.endAllSessions(userId)
+
+    this.logger.info(
+      { userId, endedCount, adminId: authenticatedUser.userId },
+      'User signed out by admin'
+    )
+
+    return {
+      message: 'User signed out of all sessions',
+      userId: Number(userId),
+      endedCount
+    }
+  }
+
+  /**
+   * Remove sessions and refresh tokens that have expired. Used tokens are
+   * kept until they expire so that reuse can still be detected.
+   * @param {Date} [now]
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async deleteExpiredSessions(now = new Date()) {
+    await this.prisma.pafs_core_refresh_tokens.deleteMany({
+      where: { expires_at: { lte: now } }
+    })
+    const { count } = await this.prisma.pafs_core_user_sessions.deleteMany({
+      where: { expires_at: { lte: now } }
+    })
+
+    return count
+  }
+
+  /**
+   * The successor of a token that was exchanged within the grace period, for
+   * the caller to sign again. The claim has just failed, so used_at is read
+   * again: a concurrent exchange may have committed since the first read.
+   * Null when the grace period has passed, the successor has been used or
+   * the session has ended.
+   * @private
+   */
+  async _findGraceSuccessor(tx, token, tokenId, now) {
+    const graceMs = config.get('auth.sessions.refreshReuseGraceSeconds') * 1000
+    const claimedToken = await tx.pafs_core_refresh_tokens.findUnique({
+      where: { id: token.id },
+      select: { used_at: true }
+    })
+    const usedAt = claimedToken?.used_at
+    if (!usedAt || now.getTime() - usedAt.getTime() > graceMs) {
+      return null
+    }
+
+    const successor = await tx.pafs_core_refresh_tokens.findUnique({
+      where: { token_digest: hashToken(getSuccessorTokenId(tokenId)) },
+      select: { user_session_id: true, used_at: true, expires_at: true }
+    })
+    if (
+      !successor ||
+      successor.used_at ||
+      successor.user_session_id !== token.user_session_id
+    ) {
+      return null
+    }
+
+    const session = await tx.pafs_core_user_sessions.findUnique({
+      where: { id: token.user_session_id },
+      select: { session_id: true, expires_at: true }
+    })
+    if (!session || session.expires_at <= now) {
+      return null
+    }
+
+    this.logger.info(
+      { userId: token.user_id, sessionId: session.session_id },
+      'Refresh token presented again within the grace period'
+    )
+    return {
+      success: true,
+      successor: {
+        sessionId: session.session_id,
+        expiresAt: successor.expires_at
+      }
+    }
+  }
+
+  /**
+   * Revoke the family of a reused refresh token along with its session
+   * @private
+   */
+  async _revokeFamily(tx, token) {
+    const session = await tx.pafs_core_user_sessions.findUnique({
+      where: { id: token.user_session_id },
+      select: { session_id: true }
+    })
+
+    await deleteSessions(tx, [token.user_session_id])
+
+    return {
+      success: false,
+      errorCode: AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED,
+      revokedSessionId: session?.session_id ?? null
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _endSessions(where) {
+    return this.prisma.$transaction(async (tx) => {
+      const sessions = await tx.pafs_core_user_sessions.findMany({
+        where,
+        select: { id: true }
+      })
+
+      return deleteSessions(
+        tx,
+        sessions.map((session) => session.id)
+      )
+    })
+  }
+
+  /**
+   * @private
+   */
+  async _assertUserExists(userId) {
+    const user = await this.prisma.pafs_core_users.findUnique({
+      where: { id: BigInt(userId) },
+      select: { id: true }
+    })
+
+    if (!user) {
+      throw new NotFoundError(
+        `User with ID ${userId} not found`,
+        ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      )
+    }
+  }
+}
@@ -0,0 +1,707 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { SessionService } from './session-service.js'
+import {
+  generateRefreshToken,
+  getSuccessorTokenId,
+  getTokenExpiry,
+  getTokenId
+} from '../helpers/jwt.js'
+import { hashToken } from '../helpers/secure-token.js'
+import { config } from '../../../config.js'
+import { AUTH_ERROR_CODES } from '../../../common/constants/index.js'
+import { ACCOUNT_ERROR_CODES } from '../../../common/constants/accounts.js'
+
+describe('SessionService', () => {
+  let service
+  let mockPrisma
+  let mockTx
+  let mockLogger
+
+  const refreshToken = generateRefreshToken({ id: 1 }, 'session-new')
+
+  const storedSession = {
+    id: BigInt(7),
+    session_id: 'session-abc',
+    user_agent: 'Mozilla/5.0 (Test)',
+    ip_address: '127.0.0.1',
+    created_at: new Date('2026-01-01T09:00:00Z'),
+    last_refreshed_at: null,
+    expires_at: new Date('2026-01-08T09:00:00Z')
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.restoreAllMocks()
+
+    mockTx = {
+      pafs_core_user_sessions: {
+        create: vi
+          .fn()
+          .mockResolvedValue({ id: BigInt(7), user_id: BigInt(1) }),
+        findUnique: vi.fn().mockResolvedValue({ session_id: 'session-live' }),
+        findMany: vi.fn().mockResolvedValue([]),
+        updateMany: vi.fn().mockResolvedValue({ count: 1 }),
+        deleteMany: vi.fn().mockResolvedValue({ count: 1 })
+      },
+      pafs_core_refresh_tokens: {
+        create: vi.fn().mockResolvedValue({}),
+        findUnique: vi.fn().mockResolvedValue(null),
+        updateMany: vi.fn().mockResolvedValue({ count: 1 }),
+        deleteMany: vi.fn().mockResolvedValue({ count: 1 })
+      }
+    }
+    mockPrisma = {
+      pafs_core_users: {
+        findUnique: vi.fn().mockResolvedValue({ id: BigInt(1) })
+      },
+      pafs_core_user_sessions: {
+        findMany: vi.fn().mockResolvedValue([]),
+        findFirst: vi.fn().mockResolvedValue(null),
+        deleteMany: vi.fn().mockResolvedValue({ count: 1 })
+      },
+      pafs_core_refresh_tokens: {
+        deleteMany: vi.fn().mockResolvedValue({ count: 1 })
+      },
+      $transaction: vi.fn((callback) => callback(mockTx))
+    }
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+    service = new SessionService(mockPrisma, mockLogger)
+  })
+
+  describe('createSession', () => {
+    it('records the session with its client details and expiry', async () => {
+      const endedCount = await service.createSession(
+        1,
+        'session-new',
+        refreshToken,
+        { ipAddress: '127.0.0.1', userAgent: 'Mozilla/5.0 (Test)' }
+      )
+
+      expect(endedCount).toBe(0)
+      expect(mockTx.pafs_core_user_sessions.create).toHaveBeenCalledWith({
+        data: {
+          user_id: BigInt(1),
+          session_id: 'session-new',
+          user_agent: 'Mozilla/5.0 (Test)',
+          ip_address: '127.0.0.1',
+          created_at: expect.any(Date),
+          expires_at: expect.any(Date)
+        },
+        select: { id: true, user_id: true }
+      })
+      const { expires_at: expiresAt } =
+        mockTx.pafs_core_user_sessions.create.mock.calls[0][0].data
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now())
+      expect(mockTx.pafs_core_user_sessions.deleteMany).not.toHaveBeenCalled()
+    })
+
+    it('starts the refresh token family with a digest of the token ID', async () => {
+      await service.createSession(1, 'session-new', refreshToken)
+
+      expect(mockTx.pafs_core_refresh_tokens.create).toHaveBeenCalledWith({
+        data: {
+          user_session_id: BigInt(7),
+          user_id: BigInt(1),
+          token_digest: hashToken(getTokenId(refreshToken)),
+          created_at: expect.any(Date),
+          expires_at: expect.any(Date)
+        }
+      })
+    })
+
+    it('stores nulls when the client details are unknown', async () => {
+      await service.createSession(1, 'session-new', refreshToken)
+
+      const { data } = mockTx.pafs_core_user_sessions.create.mock.calls[0][0]
+      expect(data.user_agent).toBeNull()
+      expect(data.ip_address).toBeNull()
+    })
+
+    it('truncates long user agents', async () => {
+      await service.createSession(1, 'session-new', refreshToken, {
+        userAgent: 'x'.repeat(600)
+      })
+
+      const { data } = mockTx.pafs_core_user_sessions.create.mock.calls[0][0]
+      expect(data.user_agent).toHaveLength(512)
+    })
+
+    it('ends the oldest sessions beyond the concurrent limit', async () => {
+      vi.spyOn(config, 'get').mockReturnValue(2)
+      mockTx.pafs_core_user_sessions.findMany.mockResolvedValue([
+        { id: BigInt(3) },
+        { id: BigInt(2) }
+      ])
+      mockTx.pafs_core_user_sessions.deleteMany.mockResolvedValue({ count: 2 })
+
+      const endedCount = await service.createSession(
+        1,
+        'session-new',
+        refreshToken
+      )
+
+      expect(endedCount).toBe(2)
+      expect(mockTx.pafs_core_user_sessions.findMany).toHaveBeenCalledWith({
+        where: { user_id: BigInt(1) },
+        orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+        skip: 2,
+        select: { id: true }
+      })
+      expect(mockTx.pafs_core_refresh_tokens.deleteMany).toHaveBeenCalledWith({
+        where: { user_session_id: { in: [BigInt(3), BigInt(2)] } }
+      })
+      expect(mockTx.pafs_core_user_sessions.deleteMany).toHaveBeenCalledWith({
+        where: { id: { in: [BigInt(3), BigInt(2)] } }
+      })
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { userId: 1, endedCount: 2, maxConcurrent: 2 },
+        'Oldest sessions ended at sign-in'
+      )
+    })
+
+    it('always keeps the new session', async () => {
+      vi.spyOn(config, 'get').mockReturnValue(0)
+
+      await service.createSession(1, 'session-new', refreshToken)
+
+      expect(mockTx.pafs_core_user_sessions.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ skip: 1 })
+      )
+    })
+  })
+
+  describe('rotateSession', () => {
+    const decoded = { userId: 1, sessionId: 'session-old', jti: 'token-id-1' }
+    const newRefreshToken = generateRefreshToken({ id: 1 }, 'session-next')
+    const storedToken = {
+      id: BigInt(40),
+      user_session_id: BigInt(7),
+      user_id: BigInt(1)
+    }
+
+    beforeEach(() => {
+      mockTx.pafs_core_refresh_tokens.findUnique.mockResolvedValue(storedToken)
+    })
+
+    it('claims the presented token and moves the session on', async () => {
+      const result = await service.rotateSession(
+        decoded,
+        'session-next',
+        newRefreshToken,
+        '10.0.0.1'
+      )
+
+      expect(result).toEqual({ success: true })
+      expect(mockTx.pafs_core_refresh_tokens.findUnique).toHaveBeenCalledWith({
+        where: { token_digest: hashToken('token-id-1') },
+        select: { id: true, user_session_id: true, user_id: true }
+      })
+      expect(mockTx.pafs_core_refresh_tokens.updateMany).toHaveBeenCalledWith({
+        where: { id: BigInt(40), used_at: null },
+        data: { used_at: expect.any(Date) }
+      })
+      expect(mockTx.pafs_core_user_sessions.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: BigInt(7),
+          session_id: 'session-old',
+          expires_at: { gt: expect.any(Date) }
+        },
+        data: {
+          session_id: 'session-next',
+          last_refreshed_at: expect.any(Date),
+          expires_at: expect.any(Date),
+          ip_address: '10.0.0.1'
+        }
+      })
+    })
+
+    it('adds the new token to the family', async () => {
+      await service.rotateSession(decoded, 'session-next', newRefreshToken)
+
+      expect(mockTx.pafs_core_refresh_tokens.create).toHaveBeenCalledWith({
+        data: {
+          user_session_id: BigInt(7),
+          user_id: BigInt(1),
+          token_digest: hashToken(getTokenId(newRefreshToken)),
+          created_at: expect.any(Date),
+          expires_at: expect.any(Date)
+        }
+      })
+    })
+
+    it('keeps the stored IP address when none is given', async () => {
+      await service.rotateSession(decoded, 'session-next', newRefreshToken)
+
+      const { data } =
+        mockTx.pafs_core_user_sessions.updateMany.mock.calls[0][0]
+      expect(data).not.toHaveProperty('ip_address')
+    })
+
+    it('rejects an unknown token', async () => {
+      mockTx.pafs_core_refresh_tokens.findUnique.mockResolvedValue(null)
+
+      const result = await service.rotateSession(
+        decoded,
+        'session-next',
+        newRefreshToken
+      )
+
+      expect(result).toEqual({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.SESSION_MISMATCH
+      })
+      expect(mockTx.pafs_core_refresh_tokens.updateMany).not.toHaveBeenCalled()
+    })
+
+    it('rejects a token without an ID without touching the database', async () => {
+      const result = await service.rotateSession(
+        { userId: 1, sessionId: 'session-old' },
+        'session-next',
+        newRefreshToken
+      )
+
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.SESSION_MISMATCH)
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled()
+    })
+
+    it('rejects a token recorded for another user', async () => {
+      mockTx.pafs_core_refresh_tokens.findUnique.mockResolvedValue({
+        ...storedToken,
+        user_id: BigInt(2)
+      })
+
+      const result = await service.rotateSession(
+        decoded,
+        'session-next',
+        newRefreshToken
+      )
+
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.SESSION_MISMATCH)
+      expect(mockTx.pafs_core_refresh_tokens.updateMany).not.toHaveBeenCalled()
+    })
+
+    it('does not issue a new token when the session has ended', async () => {
+      mockTx.pafs_core_user_sessions.updateMany.mockResolvedValue({ count: 0 })
+
+      const result = await service.rotateSession(
+        decoded,
+        'session-next',
+        newRefreshToken
+      )
+
+      expect(result).toEqual({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.SESSION_MISMATCH
+      })
+      expect(mockTx.pafs_core_refresh_tokens.create).not.toHaveBeenCalled()
+    })
+
+    it('revokes the family and the session when a used token is presented', async () => {
+      mockTx.pafs_core_refresh_tokens.updateMany.mockResolvedValue({
+        count: 0
+      })
+
+      const result = await service.rotateSession(
+        decoded,
+        'session-next',
+        newRefreshToken
+      )
+
+      expect(result).toEqual({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED,
+        revokedSessionId: 'session-live'
+      })
+      expect(mockTx.pafs_core_refresh_tokens.deleteMany).toHaveBeenCalledWith({
+        where: { user_session_id: { in: [BigInt(7)] } }
+      })
+      expect(mockTx.pafs_core_user_sessions.deleteMany).toHaveBeenCalledWith({
+        where: { id: { in: [BigInt(7)] } }
+      })
+      expect(mockTx.pafs_core_user_sessions.updateMany).not.toHaveBeenCalled()
+      expect(mockTx.pafs_core_refresh_tokens.create).not.toHaveBeenCalled()
+    })
+
+    it('reports reuse with no session ID when the session had already ended', async () => {
+      mockTx.pafs_core_refresh_tokens.updateMany.mockResolvedValue({
+        count: 0
+      })
+      mockTx.pafs_core_user_sessions.findUnique.mockResolvedValue(null)
+
+      const result = await service.rotateSession(
+        decoded,
+        'session-next',
+        newRefreshToken
+      )
+
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED)
+      expect(result.revokedSessionId).toBeNull()
+    })
+  })
+
+  describe('rotateSession within the reuse grace period', () => {
+    const decoded = { userId: 1, sessionId: 'session-old', jti: 'token-id-1' }
+    const successorId = getSuccessorTokenId('token-id-1')
+    let session
+    let tokens
+
+    const successorToken = (sessionId) =>
+      generateRefreshToken({ id: 1 }, sessionId, { tokenId: successorId })
+
+    beforeEach(() => {
+      session = {
+        id: BigInt(7),
+        session_id: 'session-old',
+        expires_at: new Date(Date.now() + 60 * 60 * 1000)
+      }
+      tokens = [
+        {
+          id: BigInt(40),
+          user_session_id: BigInt(7),
+          user_id: BigInt(1),
+          token_digest: hashToken('token-id-1'),
+          used_at: null
+        }
+      ]
+
+      // Stateful stand-in for the two tables, so concurrent rotations see
+      // each other's writes
+      mockTx.pafs_core_refresh_tokens.findUnique.mockImplementation(
+        async ({ where }) =>
+          tokens.find((token) =>
+            where.id
+              ? token.id === where.id
+              : token.token_digest === where.token_digest
+          ) ?? null
+      )
+      mockTx.pafs_core_refresh_tokens.updateMany.mockImplementation(
+        async ({ where, data }) => {
+          const token = tokens.find(
+            (row) => row.id === where.id && row.used_at === null
+          )
+          Object.assign(token ?? {}, data)
+          return { count: token ? 1 : 0 }
+        }
+      )
+      mockTx.pafs_core_refresh_tokens.create.mockImplementation(
+        async ({ data }) => {
+          tokens.push({
+            id: BigInt(40 + tokens.length),
+            used_at: null,
+            ...data
+          })
+        }
+      )
+      mockTx.pafs_core_user_sessions.findUnique.mockImplementation(
+        async () => session
+      )
+      mockTx.pafs_core_user_sessions.updateMany.mockImplementation(
+        async ({ where, data }) => {
+          if (
+            where.session_id !== session.session_id ||
+            session.expires_at <= where.expires_at.gt
+          ) {
+            return { count: 0 }
+          }
+          Object.assign(session, data)
+          return { count: 1 }
+        }
+      )
+
+      // The database serialises transactions that claim the same token on
+      // its row lock; run them one after another in the same way
+      let previous = Promise.resolve()
+      mockPrisma.$transaction.mockImplementation((callback) => {
+        const run = previous.then(() => callback(mockTx))
+        previous = run.catch(() => {})
+        return run
+      })
+    })
+
+    it('gives concurrent refreshes with the same token the same successor', async () => {
+      const firstTabToken = successorToken('session-tab-1')
+
+      const [first, second] = await Promise.all([
+        service.rotateSession(decoded, 'session-tab-1', firstTabToken),
+        service.rotateSession(
+          decoded,
+          'session-tab-2',
+          successorToken('session-tab-2')
+        )
+      ])
+
+      expect(first).toEqual({ success: true })
+      expect(second).toEqual({
+        success: true,
+        successor: {
+          sessionId: 'session-tab-1',
+          expiresAt: getTokenExpiry(firstTabToken)
+        }
+      })
+      expect(session.session_id).toBe('session-tab-1')
+      expect(tokens).toHaveLength(2)
+      expect(mockTx.pafs_core_refresh_tokens.deleteMany).not.toHaveBeenCalled()
+      expect(mockTx.pafs_core_user_sessions.deleteMany).not.toHaveBeenCalled()
+    })
+
+    it('revokes the session when the token is presented after the grace period', async () => {
+      vi.useFakeTimers({ now: new Date('2026-03-01T09:00:00Z') })
+      try {
+        await service.rotateSession(
+          decoded,
+          'session-tab-1',
+          successorToken('session-tab-1')
+        )
+        vi.advanceTimersByTime(
+          (config.get('auth.sessions.refreshReuseGraceSeconds') + 1) * 1000
+        )
+
+        const result = await service.rotateSession(
+          decoded,
+          'session-tab-2',
+          successorToken('session-tab-2')
+        )
+
+        expect(result).toEqual({
+          success: false,
+          errorCode: AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED,
+          revokedSessionId: 'session-tab-1'
+        })
+        expect(mockTx.pafs_core_user_sessions.deleteMany).toHaveBeenCalled()
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('revokes the session when the successor has already been used', async () => {
+      await service.rotateSession(
+        decoded,
+        'session-tab-1',
+        successorToken('session-tab-1')
+      )
+      await service.rotateSession(
+        { userId: 1, sessionId: 'session-tab-1', jti: successorId },
+        'session-later',
+        generateRefreshToken({ id: 1 }, 'session-later', {
+          tokenId: getSuccessorTokenId(successorId)
+        })
+      )
+
+      const result = await service.rotateSession(
+        decoded,
+        'session-tab-2',
+        successorToken('session-tab-2')
+      )
+
+      expect(result.errorCode).toBe(AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED)
+      expect(result.revokedSessionId).toBe('session-later')
+    })
+  })
+
+  describe('endSession', () => {
+    it('deletes the session and its refresh tokens', async () => {
+      mockTx.pafs_core_user_sessions.findMany.mockResolvedValue([
+        { id: BigInt(7) }
+      ])
+
+      const ended = await service.endSession(1, 'session-abc')
+
+      expect(ended).toBe(true)
+      expect(mockTx.pafs_core_user_sessions.findMany).toHaveBeenCalledWith({
+        where: { user_id: BigInt(1), session_id: 'session-abc' },
+        select: { id: true }
+      })
+      expect(mockTx.pafs_core_refresh_tokens.deleteMany).toHaveBeenCalledWith({
+        where: { user_session_id: { in: [BigInt(7)] } }
+      })
+      expect(mockTx.pafs_core_user_sessions.deleteMany).toHaveBeenCalledWith({
+        where: { id: { in: [BigInt(7)] } }
+      })
+    })
+
+    it('returns false when the session had already ended', async () => {
+      expect(await service.endSession(1, 'session-abc')).toBe(false)
+      expect(mockTx.pafs_core_user_sessions.deleteMany).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('endAllSessions', () => {
+    it('deletes every session for the user', async () => {
+      mockTx.pafs_core_user_sessions.findMany.mockResolvedValue([
+        { id: BigInt(5) },
+        { id: BigInt(6) },
+        { id: BigInt(7) }
+      ])
+      mockTx.pafs_core_user_sessions.deleteMany.mockResolvedValue({ count: 3 })
+
+      const endedCount = await service.endAllSessions(1)
+
+      expect(endedCount).toBe(3)
+      expect(mockTx.pafs_core_user_sessions.findMany).toHaveBeenCalledWith({
+        where: { user_id: BigInt(1) },
+        select: { id: true }
+      })
+      expect(mockTx.pafs_core_refresh_tokens.deleteMany).toHaveBeenCalledWith({
+        where: { user_session_id: { in: [BigInt(5), BigInt(6), BigInt(7)] } }
+      })
+    })
+  })
+
+  describe('listSessions', () => {
+    it('returns live sessions and flags the current one', async () => {
+      mockPrisma.pafs_core_user_sessions.findMany.mockResolvedValue([
+        storedSession,
+        { ...storedSession, id: BigInt(6), session_id: 'session-other' }
+      ])
+
+      const sessions = await service.listSessions(1, 'session-abc')
+
+      expect(mockPrisma.pafs_core_user_sessions.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { user_id: BigInt(1), expires_at: { gt: expect.any(Date) } },
+          orderBy: [{ created_at: 'desc' }, { id: 'desc' }]
+        })
+      )
+      expect(sessions).toEqual([
+        {
+          id: 7,
+          userAgent: 'Mozilla/5.0 (Test)',
+          ipAddress: '127.0.0.1',
+          createdAt: storedSession.created_at,
+          lastRefreshedAt: null,
+          expiresAt: storedSession.expires_at,
+          current: true
+        },
+        expect.objectContaining({ id: 6, current: false })
+      ])
+    })
+
+    it('does not expose the session ID', async () => {
+      mockPrisma.pafs_core_user_sessions.findMany.mockResolvedValue([
+        storedSession
+      ])
+
+      const [session] = await service.listSessions(1)
+
+      expect(session).not.toHaveProperty('sessionId')
+      expect(session.current).toBe(false)
+    })
+  })
+
+  describe('revokeSession', () => {
+    it("deletes one of the user's own sessions", async () => {
+      mockPrisma.pafs_core_user_sessions.findFirst.mockResolvedValue({
+        id: BigInt(7),
+        session_id: 'session-abc'
+      })
+      mockTx.pafs_core_user_sessions.findMany.mockResolvedValue([
+        { id: BigInt(7) }
+      ])
+
+      const result = await service.revokeSession(1, 7)
+
+      expect(result).toEqual({ success: true, sessionId: 'session-abc' })
+      expect(mockPrisma.pafs_core_user_sessions.findFirst).toHaveBeenCalledWith(
+        {
+          where: { id: BigInt(7), user_id: BigInt(1) },
+          select: { id: true, session_id: true }
+        }
+      )
+      expect(mockTx.pafs_core_user_sessions.findMany).toHaveBeenCalledWith({
+        where: { id: BigInt(7) },
+        select: { id: true }
+      })
+      expect(mockTx.pafs_core_user_sessions.deleteMany).toHaveBeenCalledWith({
+        where: { id: { in: [BigInt(7)] } }
+      })
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { userId: 1, id: 7 },
+        'Session revoked by user'
+      )
+    })
+
+    it('returns not found for an unknown or another user session', async () => {
+      const result = await service.revokeSession(1, 99)
+
+      expect(result).toEqual({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.SESSION_NOT_FOUND
+      })
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getAccountSessions', () => {
+    it('returns the live sessions on the account', async () => {
+      mockPrisma.pafs_core_user_sessions.findMany.mockResolvedValue([
+        storedSession
+      ])
+
+      const result = await service.getAccountSessions(1)
+
+      expect(result.userId).toBe(1)
+      expect(result.sessions).toHaveLength(1)
+      expect(result.sessions[0].current).toBe(false)
+    })
+
+    it('throws NotFoundError when the account does not exist', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      await expect(service.getAccountSessions(99)).rejects.toMatchObject({
+        statusCode: 404,
+        code: ACCOUNT_ERROR_CODES.USER_NOT_FOUND
+      })
+    })
+  })
+
+  describe('signOutAccount', () => {
+    it('ends every session on the account', async () => {
+      mockTx.pafs_core_user_sessions.findMany.mockResolvedValue([
+        { id: BigInt(5) },
+        { id: BigInt(6) }
+      ])
+      mockTx.pafs_core_user_sessions.deleteMany.mockResolvedValue({ count: 2 })
+
+      const result = await service.signOutAccount(1, { userId: 100 })
+
+      expect(result).toEqual({
+        message: 'User signed out of all sessions',
+        userId: 1,
+        endedCount: 2
+      })
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { userId: 1, endedCount: 2, adminId: 100 },
+        'User signed out by admin'
+      )
+    })
+
+    it('throws NotFoundError when the account does not exist', async () => {
+      mockPrisma.pafs_core_users.findUnique.mockResolvedValue(null)
+
+      await expect(
+        service.signOutAccount(99, { userId: 100 })
+      ).rejects.toMatchObject({ statusCode: 404 })
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('deleteExpiredSessions', () => {
+    it('removes sessions and refresh tokens that have expired', async () => {
+      const now = new Date('2026-02-01T00:00:00Z')
+      mockPrisma.pafs_core_user_sessions.deleteMany.mockResolvedValue({
+        count: 4
+      })
+
+      const count = await service.deleteExpiredSessions(now)
+
+      expect(count).toBe(4)
+      expect(
+        mockPrisma.pafs_core_refresh_tokens.deleteMany
+      ).toHaveBeenCalledWith({ where: { expires_at: { lte: now } } })
+      expect(
+        mockPrisma.pafs_core_user_sessions.deleteMany
+      ).toHaveBeenCalledWith({ where: { expires_at: { lte: now } } })
+    })
+  })
+})
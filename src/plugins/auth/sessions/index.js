@@ -3,12 +3,16 @@ import logout from './logout.js'
 import refresh from './refresh.js'
 import validateToken from './validate-token.js'
 import validateSession from './validate-session.js'
+import listSessions from './list-sessions.js'
+import revokeSession from './revoke-session.js'
 
 export const sessionRoutes = [
   login,
   logout,
   refresh,
   validateToken,
-  validateSession
+  validateSession,
+  listSessions,
+  revokeSession
 ]
 export default sessionRoutes
@@ -0,0 +1,27 @@
+import { SessionService } from '../services/session-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+
+const listSessions = {
+  method: 'GET',
+  path: '/api/v1/auth/sessions',
+  options: {
+    auth: 'jwt',
+    description: 'List signed-in sessions',
+    notes:
+      'Returns the devices the user is signed in on, most recent first. The session making the request is flagged as current',
+    tags: ['api', 'auth']
+  },
+  handler: async (request, h) => {
+    const { userId, sessionId } = request.auth.credentials
+
+    const sessionService = new SessionService(
+      request.prisma,
+      request.server.logger
+    )
+    const sessions = await sessionService.listSessions(userId, sessionId)
+
+    return h.response({ sessions }).code(HTTP_STATUS.OK)
+  }
+}
+
+export default listSessions
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import listSessions from './list-sessions.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+
+const mockListSessions = vi.fn()
+
+vi.mock('../services/session-service.js', () => ({
+  SessionService: class {
+    listSessions = mockListSessions
+  }
+}))
+
+describe('list-sessions route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      auth: { credentials: { userId: 5, sessionId: 'session-abc' } },
+      prisma: {},
+      server: { logger: {} }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('requires JWT auth', () => {
+    expect(listSessions.method).toBe('GET')
+    expect(listSessions.path).toBe('/api/v1/auth/sessions')
+    expect(listSessions.options.auth).toBe('jwt')
+  })
+
+  it('returns the sessions with the current one flagged', async () => {
+    const sessions = [{ id: 7, current: true }]
+    mockListSessions.mockResolvedValue(sessions)
+
+    await listSessions.handler(mockRequest, mockH)
+
+    expect(mockListSessions).toHaveBeenCalledWith(5, 'session-abc')
+    expect(mockH.response).toHaveBeenCalledWith({ sessions })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+})
@@ -2,6 +2,7 @@ import { AuthService } from '../services/auth-service.js'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
 import { loginSchema } from '../schema.js'
 import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { getClientIp } from '../../../common/helpers/client-ip.js'
 
 const login = {
   method: 'POST',
@@ -9,7 +10,8 @@ const login = {
   options: {
     auth: false,
     description: 'User login',
-    notes: 'Authenticate user with email and password',
+    notes:
+      'Authenticate user with email and password. Users with MFA receive an MFA token to complete sign-in instead of tokens',
     tags: ['api', 'auth'],
     validate: {
       payload: loginSchema,
@@ -18,10 +20,15 @@ const login = {
   },
   handler: async (request, h) => {
     const { email, password } = request.payload
-    const ipAddress = request.info.remoteAddress
+    const ipAddress = getClientIp(request)
 
     const authService = new AuthService(request.prisma, request.server.logger)
-    const result = await authService.login(email, password, ipAddress)
+    const result = await authService.login(
+      email,
+      password,
+      ipAddress,
+      request.headers['user-agent']
+    )
 
     if (!result.success) {
       const errorCode = result.errorCode
@@ -38,9 +45,17 @@ const login = {
       return h.response({ errors: [response] }).code(HTTP_STATUS.UNAUTHORIZED)
     }
 
+    // Password accepted but no session yet: the client completes sign-in
+    // at /mfa/verify, or /mfa/enrol when MFA is required and not set up
+    if (result.mfaChallenge) {
+      return h
+        .response({ mfaRequired: true, ...result.mfaChallenge })
+        .code(HTTP_STATUS.OK)
+    }
+
     // Evict any prior session for this user from this instance's cache
     // immediately. Other instances will re-check the DB within
-    // SESSION_VERSION_CACHE_TTL_MS (10 s) via the session version check.
+    // SESSION_STATE_CACHE_TTL_MS (10 s) via the session state check.
     request.server.invalidateAuthCacheForUser(result.user.id)
 
     return h
@@ -27,6 +27,9 @@ describe('login route', () => {
       info: {
         remoteAddress: '127.0.0.1'
       },
+      headers: {
+        'user-agent': 'Mozilla/5.0 (Test)'
+      },
       prisma: {},
       server: {
         logger: {},
@@ -152,6 +155,30 @@ describe('login route', () => {
       expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
     })
 
+    it('returns the MFA challenge without signing in when MFA is needed', async () => {
+      mockLogin.mockResolvedValue({
+        success: true,
+        mfaChallenge: {
+          mfaToken: 'mfa-token',
+          enrolmentRequired: false,
+          expiresIn: '5m'
+        }
+      })
+
+      await loginRoute.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        mfaRequired: true,
+        mfaToken: 'mfa-token',
+        enrolmentRequired: false,
+        expiresIn: '5m'
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+      expect(
+        mockRequest.server.invalidateAuthCacheForUser
+      ).not.toHaveBeenCalled()
+    })
+
     it('calls AuthService with correct parameters', async () => {
       mockLogin.mockResolvedValue({
         success: true,
@@ -166,7 +193,25 @@ describe('login route', () => {
       expect(mockLogin).toHaveBeenCalledWith(
         'test@example.com',
         'password',
-        '127.0.0.1'
+        '127.0.0.1',
+        'Mozilla/5.0 (Test)'
+      )
+    })
+
+    it("passes the user's IP address forwarded by the frontend", async () => {
+      mockLogin.mockResolvedValue({
+        success: false,
+        errorCode: 'AUTH_INVALID_CREDENTIALS'
+      })
+      mockRequest.headers['x-forwarded-for'] = '203.0.113.7'
+
+      await loginRoute.handler(mockRequest, mockH)
+
+      expect(mockLogin).toHaveBeenCalledWith(
+        'test@example.com',
+        'password',
+        '203.0.113.7',
+        'Mozilla/5.0 (Test)'
       )
     })
 
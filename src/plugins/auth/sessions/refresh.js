@@ -1,6 +1,7 @@
 import Joi from 'joi'
 import { AuthService } from '../services/auth-service.js'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { getClientIp } from '../../../common/helpers/client-ip.js'
 
 const refreshSchema = Joi.object({
   refreshToken: Joi.string().required()
@@ -22,7 +23,11 @@ const refresh = {
     const { refreshToken } = request.payload
 
     const authService = new AuthService(request.prisma, request.server.logger)
-    const result = await authService.refreshSession(refreshToken)
+    const result = await authService.refreshSession(
+      refreshToken,
+      getClientIp(request),
+      request.server.invalidateAuthCache
+    )
 
     if (!result.success) {
       const response = { errorCode: result.errorCode }
@@ -36,7 +41,7 @@ const refresh = {
 
     // Evict any prior session for this user from this instance's cache
     // immediately. Other instances will re-check the DB within
-    // SESSION_VERSION_CACHE_TTL_MS (10 s) via the session version check.
+    // SESSION_STATE_CACHE_TTL_MS (10 s) via the session state check.
     request.server.invalidateAuthCacheForUser(result.user.id)
 
     return h
@@ -24,9 +24,13 @@ describe('refresh route', () => {
       payload: {
         refreshToken: 'valid-refresh-token'
       },
+      info: {
+        remoteAddress: '127.0.0.1'
+      },
       prisma: {},
       server: {
         logger: {},
+        invalidateAuthCache: vi.fn(),
         invalidateAuthCacheForUser: vi.fn()
       }
     }
@@ -198,7 +202,25 @@ describe('refresh route', () => {
 
       await refreshRoute.handler(mockRequest, mockH)
 
-      expect(mockRefreshSession).toHaveBeenCalledWith('valid-refresh-token')
+      expect(mockRefreshSession).toHaveBeenCalledWith(
+        'valid-refresh-token',
+        '127.0.0.1',
+        mockRequest.server.invalidateAuthCache
+      )
+    })
+
+    it('returns unauthorized when a used refresh token is presented again', async () => {
+      mockRefreshSession.mockResolvedValue({
+        success: false,
+        errorCode: AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED
+      })
+
+      await refreshRoute.handler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith({
+        errors: [{ errorCode: AUTH_ERROR_CODES.REFRESH_TOKEN_REUSED }]
+      })
+      expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.UNAUTHORIZED)
     })
   })
 })
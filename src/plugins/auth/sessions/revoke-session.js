@@ -0,0 +1,40 @@
+import { SessionService } from '../services/session-service.js'
+import { revokeSessionSchema } from '../schema.js'
+import { authErrorResponse } from '../helpers/auth-response.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+
+const revokeSession = {
+  method: 'DELETE',
+  path: '/api/v1/auth/sessions/{id}',
+  options: {
+    auth: 'jwt',
+    description: 'Sign out a session',
+    notes:
+      'Signs the user out on one of their devices, e.g. a lost laptop. Revoking the current session is the same as logging out',
+    tags: ['api', 'auth'],
+    validate: {
+      params: revokeSessionSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    const { userId } = request.auth.credentials
+
+    const sessionService = new SessionService(
+      request.prisma,
+      request.server.logger
+    )
+    const result = await sessionService.revokeSession(userId, request.params.id)
+
+    if (!result.success) {
+      return authErrorResponse(h, result, HTTP_STATUS.NOT_FOUND)
+    }
+
+    request.server.invalidateAuthCache(userId, result.sessionId)
+
+    return h.response({ success: true }).code(HTTP_STATUS.OK)
+  }
+}
+
+export default revokeSession
@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import revokeSession from './revoke-session.js'
+import {
+  AUTH_ERROR_CODES,
+  HTTP_STATUS
+} from '../../../common/constants/index.js'
+import { revokeSessionSchema } from '../schema.js'
+
+const mockRevokeSession = vi.fn()
+
+vi.mock('../services/session-service.js', () => ({
+  SessionService: class {
+    revokeSession = mockRevokeSession
+  }
+}))
+
+describe('revoke-session route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { id: 7 },
+      auth: { credentials: { userId: 5, sessionId: 'session-current' } },
+      prisma: {},
+      server: { logger: {}, invalidateAuthCache: vi.fn() }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+  })
+
+  it('requires JWT auth and validates the session ID', () => {
+    expect(revokeSession.method).toBe('DELETE')
+    expect(revokeSession.path).toBe('/api/v1/auth/sessions/{id}')
+    expect(revokeSession.options.auth).toBe('jwt')
+    expect(revokeSession.options.validate.params).toBe(revokeSessionSchema)
+  })
+
+  it('revokes the session and evicts it from the auth cache', async () => {
+    mockRevokeSession.mockResolvedValue({
+      success: true,
+      sessionId: 'session-lost-laptop'
+    })
+
+    await revokeSession.handler(mockRequest, mockH)
+
+    expect(mockRevokeSession).toHaveBeenCalledWith(5, 7)
+    expect(mockRequest.server.invalidateAuthCache).toHaveBeenCalledWith(
+      5,
+      'session-lost-laptop'
+    )
+    expect(mockH.response).toHaveBeenCalledWith({ success: true })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
+  it('returns 404 when the session is not found', async () => {
+    mockRevokeSession.mockResolvedValue({
+      success: false,
+      errorCode: AUTH_ERROR_CODES.SESSION_NOT_FOUND
+    })
+
+    await revokeSession.handler(mockRequest, mockH)
+
+    expect(mockRequest.server.invalidateAuthCache).not.toHaveBeenCalled()
+    expect(mockH.response).toHaveBeenCalledWith({
+      errors: [{ errorCode: AUTH_ERROR_CODES.SESSION_NOT_FOUND }]
+    })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND)
+  })
+})
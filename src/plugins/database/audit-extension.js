@@ -1,6 +1,6 @@
 import { Prisma } from '@prisma/client'
 
-const AUDITED_MODELS = new Set([
+export const AUDITED_MODELS = new Set([
   'pafs_core_projects',
   'pafs_core_users',
   'pafs_core_user_areas',
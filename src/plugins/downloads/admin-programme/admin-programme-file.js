@@ -8,19 +8,23 @@ import { fetchPresignedFileResponse } from '../programme/programme-generation-he
 
 const FILE_TYPE_LABELS = {
   fcerm1: 'All_Proposals.xlsx',
-  'benefit-areas': 'All_Benefit_Areas.zip'
+  'benefit-areas': 'All_Benefit_Areas.zip',
+  moderations: 'All_Moderations.zip',
+  'funding-calculators': 'All_Funding_Calculators.zip'
 }
 
 const FILE_KEY_FIELDS = {
   fcerm1: 'fcerm1_filename',
-  'benefit-areas': 'benefit_areas_filename'
+  'benefit-areas': 'benefit_areas_filename',
+  moderations: 'moderation_filename',
+  'funding-calculators': 'funding_calculator_filename'
 }
 
 /**
  * GET /api/v1/admin/downloads/programme/file/{type}
  *
  * Returns a presigned S3 URL for the requested admin system-wide file.
- * type: fcerm1 | benefit-areas
+ * type: fcerm1 | benefit-areas | moderations | funding-calculators
  */
 export const getAdminProgrammeFile = {
   method: 'GET',
@@ -31,7 +35,9 @@ export const getAdminProgrammeFile = {
     tags: ['api', 'admin', 'downloads', 'programme'],
     validate: {
       params: Joi.object({
-        type: Joi.string().valid('fcerm1', 'benefit-areas').required()
+        type: Joi.string()
+          .valid(...Object.keys(FILE_KEY_FIELDS))
+          .required()
       })
     }
   },
@@ -65,10 +65,14 @@ describe('getAdminProgrammeFile route', () => {
     )
   })
 
-  test('validates type param as fcerm1 or benefit-areas', () => {
+  test('validates type param against the served file types', () => {
     const schema = getAdminProgrammeFile.options.validate.params
     expect(schema.validate({ type: 'fcerm1' }).error).toBeUndefined()
     expect(schema.validate({ type: 'benefit-areas' }).error).toBeUndefined()
+    expect(schema.validate({ type: 'moderations' }).error).toBeUndefined()
+    expect(
+      schema.validate({ type: 'funding-calculators' }).error
+    ).toBeUndefined()
     expect(schema.validate({ type: 'unknown' }).error).toBeDefined()
   })
 
@@ -174,6 +178,50 @@ describe('getAdminProgrammeFile route', () => {
     })
   })
 
+  test.each([
+    ['moderations', 'all_moderations.zip', 'All_Moderations.zip'],
+    [
+      'funding-calculators',
+      'all_funding_calculators.zip',
+      'All_Funding_Calculators.zip'
+    ]
+  ])(
+    'returns presigned URL with correct filename for admin %s',
+    async (type, s3Filename, expectedFilename) => {
+      getAdminDownloadRecord.mockResolvedValue({
+        status: 'ready',
+        moderation_filename: 'programme/admin/all_moderations.zip',
+        funding_calculator_filename:
+          'programme/admin/all_funding_calculators.zip'
+      })
+      const s3 = makeS3Service(`https://s3.example.com/${s3Filename}`)
+
+      const h = makeH()
+      await getAdminProgrammeFile.handler(makeRequest(type), h)
+
+      expect(s3.getPresignedDownloadUrl).toHaveBeenCalledWith(
+        'test-bucket',
+        `programme/admin/${s3Filename}`,
+        3600,
+        expectedFilename
+      )
+      expect(h._status).toBe(200)
+    }
+  )
+
+  test('returns 404 when the moderations file was not generated', async () => {
+    getAdminDownloadRecord.mockResolvedValue({
+      status: 'ready',
+      fcerm1_filename: 'programme/admin/all_proposals.xlsx',
+      moderation_filename: null
+    })
+
+    const h = makeH()
+    await getAdminProgrammeFile.handler(makeRequest('moderations'), h)
+
+    expect(h._status).toBe(404)
+  })
+
   test('returns 500 when S3 throws', async () => {
     getAdminDownloadRecord.mockResolvedValue({
       status: 'ready',
@@ -28,11 +28,7 @@ export const generateAdminProgramme = {
 
     try {
       const projectCounts = await getAllProjectCounts(prisma)
-      const record = await startAdminDownload(
-        prisma,
-        requestingUserId,
-        projectCounts.total
-      )
+      const record = await startAdminDownload(prisma, projectCounts.total)
 
       const s3Bucket = config.get('cdpUploader.s3Bucket')
 
@@ -73,7 +73,7 @@ describe('generateAdminProgramme route', () => {
     const h = makeH()
     await generateAdminProgramme.handler(request, h)
 
-    expect(startAdminDownload).toHaveBeenCalledWith(expect.anything(), 99, 500)
+    expect(startAdminDownload).toHaveBeenCalledWith(expect.anything(), 500)
     expect(queueAdminGeneration).toHaveBeenCalledWith(
       expect.objectContaining({
         downloadId: BigInt(7),
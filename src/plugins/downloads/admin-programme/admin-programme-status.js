@@ -32,8 +32,12 @@ export const getAdminProgrammeStatus = {
           status: record?.status ?? 'empty',
           requestedOn: record?.requested_on ?? null,
           numberOfProposals: record?.number_of_proposals ?? null,
+          numberOfProposalsWithModeration:
+            record?.number_of_proposals_with_moderation ?? null,
           hasFcerm1: !!record?.fcerm1_filename,
           hasBenefitAreas: !!record?.benefit_areas_filename,
+          hasModerations: !!record?.moderation_filename,
+          hasFundingCalculators: !!record?.funding_calculator_filename,
           numberOfBenefitAreas: record?.number_of_benefit_areas ?? null,
           progressCurrent: record?.progress_current ?? 0,
           progressTotal: record?.progress_total ?? 0,
@@ -79,6 +79,9 @@ describe('getAdminProgrammeStatus route', () => {
       fcerm1_filename: 'programme/admin/all_proposals.xlsx',
       benefit_areas_filename: 'programme/admin/all_benefit_areas.zip',
       number_of_benefit_areas: 120,
+      moderation_filename: 'programme/admin/all_moderations.zip',
+      number_of_proposals_with_moderation: 14,
+      funding_calculator_filename: null,
       progress_current: 980,
       progress_total: 980,
       progress_message: 'Complete'
@@ -95,6 +98,9 @@ describe('getAdminProgrammeStatus route', () => {
       hasFcerm1: true,
       hasBenefitAreas: true,
       numberOfBenefitAreas: 120,
+      hasModerations: true,
+      numberOfProposalsWithModeration: 14,
+      hasFundingCalculators: false,
       progressCurrent: 980,
       progressTotal: 980,
       progressMessage: 'Complete',
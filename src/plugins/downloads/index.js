@@ -4,7 +4,11 @@ import {
 } from './get-project-fcerm1/get-project-fcerm1.js'
 import { getProgrammeStatus } from './programme/programme-status.js'
 import { generateUserProgramme } from './programme/programme-generate.js'
-import { getUserProgrammeFile } from './programme/programme-file.js'
+import {
+  getUserProgrammeFile,
+  getUserProgrammeHistoryFile
+} from './programme/programme-file.js'
+import { getProgrammeHistory } from './programme/programme-history.js'
 import { getAdminProgrammeStatus } from './admin-programme/admin-programme-status.js'
 import { generateAdminProgramme } from './admin-programme/admin-programme-generate.js'
 import { getAdminProgrammeFile } from './admin-programme/admin-programme-file.js'
@@ -22,6 +26,8 @@ const downloadsPlugin = {
       getProgrammeStatus,
       generateUserProgramme,
       getUserProgrammeFile,
+      getProgrammeHistory,
+      getUserProgrammeHistoryFile,
 
       // Admin system-wide programme downloads (shared)
       getAdminProgrammeStatus,
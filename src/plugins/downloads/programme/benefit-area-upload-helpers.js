@@ -1,13 +1,14 @@
-import { PassThrough } from 'node:stream'
-import { ZipArchive } from 'archiver'
 import { resolveLegacyBenefitAreaFile } from '../../projects/helpers/legacy-file-resolver.js'
 import { userS3Key, adminS3Key } from './programme-generation-helpers.js'
+import {
+  ZIP_STORE,
+  appendS3Files,
+  startZipUpload,
+  zipEntryName
+} from './programme-zip-helpers.js'
 
 // ── Benefit areas ZIP builder ─────────────────────────────────────────────────
 
-// Max concurrent S3 stream-handle fetches when assembling a benefit areas ZIP.
-const S3_DOWNLOAD_CONCURRENCY = 10
-
 // Max concurrent legacy S3-coordinate DB writes during resolution (B6 fix).
 const LEGACY_RESOLUTION_CONCURRENCY = 5
 
@@ -18,8 +19,7 @@ const LEGACY_RESOLUTION_CONCURRENCY = 5
  * archiver reads one ZIP entry at a time, so un-read S3 streams stay paused
  * and are never fully buffered in the heap.
  *
- * Uses STORE compression (level 0) because shapefiles are already compressed
- * ZIPs — re-compressing wastes CPU with no meaningful size reduction.
+ * Uses STORE compression because shapefiles are already compressed ZIPs.
  *
  * @param {Array}  projects  - Resolved project records with S3 coordinates
  * @param {Object} s3Service - S3Service instance (getObjectStream + putObjectStream)
@@ -45,73 +45,31 @@ export async function buildBenefitAreasZip(
     return { count: 0 }
   }
 
-  const archive = new ZipArchive({ zlib: { level: 0 } })
-
-  // readable-stream (used by archiver) provides its own Transform class, not
-  // Node.js's native one.  @aws-sdk/lib-storage checks `instanceof stream.Readable`
-  // which fails for readable-stream instances.  Pipe through a native PassThrough
-  // so the SDK recognises the body as a proper Readable.
-  const passThrough = new PassThrough()
-
-  archive.on('warning', (err) => {
-    if (err.code !== 'ENOENT') {
-      logger?.warn({ err }, 'Archiver warning')
-    }
-  })
-  archive.on('error', (err) => passThrough.destroy(err))
-  archive.pipe(passThrough)
-
-  // Start the multipart upload immediately so it can consume archiver output
-  // as data flows — avoids buffering the entire ZIP before the upload starts.
-  const uploadPromise = s3Service.putObjectStream(
+  const { archive, finish } = startZipUpload(
+    s3Service,
     s3Bucket,
     s3Key,
-    passThrough,
-    'application/zip'
+    logger,
+    ZIP_STORE
   )
 
-  let count = 0
-
-  // Fetch stream handles concurrently (bounded), then register each with
-  // archiver serially.  Archiver reads one entry at a time, so pending S3
-  // streams remain paused — no heap accumulation.
-  for (let i = 0; i < eligible.length; i += S3_DOWNLOAD_CONCURRENCY) {
-    const chunk = eligible.slice(i, i + S3_DOWNLOAD_CONCURRENCY)
-    const streamHandles = await Promise.all(
-      chunk.map(async (project) => {
-        try {
-          const stream = await s3Service.getObjectStream(
-            project.benefit_area_file_s3_bucket,
-            project.benefit_area_file_s3_key
-          )
-          return { project, stream, ok: true }
-        } catch (err) {
-          logger.warn(
-            { err, referenceNumber: project.reference_number },
-            'Skipping benefit area file'
-          )
-          return { ok: false }
-        }
-      })
-    )
-
-    for (const result of streamHandles) {
-      if (!result.ok) {
-        continue
-      }
-      // Sanitise reference_number (may contain '/') so entries are unique
-      // even when projects share an identical filename.
-      const basename = (
-        result.project.benefit_area_file_name || 'benefit_area.zip'
-      ).replaceAll('/', '-')
-      const refPrefix = result.project.reference_number.replaceAll('/', '-')
-      archive.append(result.stream, { name: `${refPrefix}_${basename}` })
-      count++
-    }
-  }
+  const count = await appendS3Files(
+    archive,
+    eligible.map((project) => ({
+      bucket: project.benefit_area_file_s3_bucket,
+      key: project.benefit_area_file_s3_key,
+      name: zipEntryName(
+        project.reference_number,
+        project.benefit_area_file_name || 'benefit_area.zip'
+      ),
+      referenceNumber: project.reference_number
+    })),
+    s3Service,
+    logger,
+    'Skipping benefit area file'
+  )
 
-  archive.finalize()
-  await uploadPromise
+  await finish()
 
   logger?.info(
     { count, totalProjects: projects.length },
@@ -208,6 +166,7 @@ export async function uploadUserBenefitAreas(
   s3Service,
   s3Bucket,
   userId,
+  downloadId,
   projectIds,
   logger
 ) {
@@ -216,7 +175,7 @@ export async function uploadUserBenefitAreas(
     s3Service,
     s3Bucket,
     projectIds,
-    userS3Key(userId, 'benefit_areas.zip'),
+    userS3Key(userId, downloadId, 'benefit_areas.zip'),
     'uploadUserBenefitAreas',
     logger
   )
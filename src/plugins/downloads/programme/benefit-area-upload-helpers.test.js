@@ -197,6 +197,7 @@ describe('uploadUserBenefitAreas', () => {
       s3Service,
       'bucket',
       42,
+      3,
       [1],
       makeLogger()
     )
@@ -222,18 +223,19 @@ describe('uploadUserBenefitAreas', () => {
       s3Service,
       'dest-bucket',
       7,
+      3,
       [2],
       makeLogger()
     )
 
     expect(s3Service.putObjectStream).toHaveBeenCalledWith(
       'dest-bucket',
-      'programme/user_7/benefit_areas.zip',
+      'programme/user_7/3/benefit_areas.zip',
       expect.any(PassThrough),
       'application/zip'
     )
     expect(result).toEqual({
-      filename: 'programme/user_7/benefit_areas.zip',
+      filename: 'programme/user_7/3/benefit_areas.zip',
       count: 1
     })
   })
@@ -267,6 +269,7 @@ describe('uploadUserBenefitAreas', () => {
       s3Service,
       'dest-bucket',
       5,
+      3,
       [99],
       makeLogger()
     )
@@ -278,12 +281,12 @@ describe('uploadUserBenefitAreas', () => {
     )
     expect(s3Service.putObjectStream).toHaveBeenCalledWith(
       'dest-bucket',
-      'programme/user_5/benefit_areas.zip',
+      'programme/user_5/3/benefit_areas.zip',
       expect.any(PassThrough),
       'application/zip'
     )
     expect(result).toEqual({
-      filename: 'programme/user_5/benefit_areas.zip',
+      filename: 'programme/user_5/3/benefit_areas.zip',
       count: 1
     })
   })
@@ -298,6 +301,7 @@ describe('uploadUserBenefitAreas', () => {
       s3Service,
       'bucket',
       1,
+      3,
       [10, 20],
       makeLogger()
     )
@@ -333,6 +337,7 @@ describe('uploadUserBenefitAreas', () => {
       s3Service,
       'bucket',
       1,
+      3,
       [1],
       makeLogger()
     )
@@ -366,6 +371,7 @@ describe('uploadUserBenefitAreas', () => {
       s3Service,
       'dest-bucket',
       1,
+      3,
       [1],
       makeLogger()
     )
@@ -408,6 +414,7 @@ describe('uploadUserBenefitAreas', () => {
       s3Service,
       'bucket',
       1,
+      3,
       [1],
       makeLogger()
     )
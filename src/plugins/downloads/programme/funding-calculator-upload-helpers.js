@@ -0,0 +1,169 @@
+import { config } from '../../../config.js'
+import { buildLegacyS3Key } from '../../projects/helpers/legacy-file-resolver.js'
+import { userS3Key, adminS3Key } from './programme-generation-helpers.js'
+import {
+  ZIP_STORE,
+  appendS3Files,
+  startZipUpload,
+  zipEntryName
+} from './programme-zip-helpers.js'
+
+// ── Funding calculators ZIP builder ───────────────────────────────────────────
+
+/**
+ * Stream a ZIP of legacy funding calculator spreadsheets directly to S3.
+ *
+ * Only legacy projects (migrated from the old PAFS system) have a funding
+ * calculator file. The old system stored it at <slug>/<version>/<filename>,
+ * copied into the uploads bucket under legacy/ — see legacy-file-resolver.js.
+ *
+ * Nothing is left in S3 when none of the calculators can be fetched.
+ *
+ * @param {Array}  projects  - Project records with the funding calculator columns
+ * @param {Object} s3Service - S3Service instance (getObjectStream + putObjectStream + deleteObject)
+ * @param {string} s3Bucket  - Destination S3 bucket
+ * @param {string} s3Key     - Destination S3 key for the output ZIP
+ * @param {Object} logger
+ * @returns {Promise<{ count: number }>}
+ */
+export async function buildFundingCalculatorsZip(
+  projects,
+  s3Service,
+  s3Bucket,
+  s3Key,
+  logger
+) {
+  const eligible = projects.filter(
+    (p) => p.is_legacy && p.funding_calculator_file_name?.trim()
+  )
+
+  logger?.info(
+    { total: projects.length, eligible: eligible.length },
+    'Building funding calculators zip'
+  )
+
+  if (eligible.length === 0) {
+    return { count: 0 }
+  }
+
+  // Spreadsheets are already compressed ZIP containers
+  const { archive, finish, discard } = startZipUpload(
+    s3Service,
+    s3Bucket,
+    s3Key,
+    logger,
+    ZIP_STORE
+  )
+
+  const legacyBucket = config.get('cdpUploader.s3Bucket')
+  const count = await appendS3Files(
+    archive,
+    eligible.map((project) => ({
+      bucket: legacyBucket,
+      key: buildLegacyS3Key(
+        project.slug,
+        project.version,
+        project.funding_calculator_file_name
+      ),
+      name: zipEntryName(
+        project.reference_number,
+        project.funding_calculator_file_name
+      ),
+      referenceNumber: project.reference_number
+    })),
+    s3Service,
+    logger,
+    'Skipping funding calculator file'
+  )
+
+  if (count === 0) {
+    await discard()
+    logger?.info(
+      { totalProjects: projects.length },
+      'No funding calculators could be fetched; zip discarded'
+    )
+    return { count: 0 }
+  }
+
+  await finish()
+
+  logger?.info(
+    { count, totalProjects: projects.length },
+    'Funding calculators zip built'
+  )
+  return { count }
+}
+
+// ── Shared funding calculators ZIP upload logic ──────────────────────────────
+
+async function fetchAndUploadFundingCalculators(
+  prisma,
+  s3Service,
+  s3Bucket,
+  projectIds,
+  s3Key,
+  logger
+) {
+  const projects = await prisma.pafs_core_projects.findMany({
+    where: {
+      id: { in: projectIds.map(BigInt) },
+      is_legacy: true,
+      funding_calculator_file_name: { not: null }
+    },
+    select: {
+      reference_number: true,
+      slug: true,
+      version: true,
+      is_legacy: true,
+      funding_calculator_file_name: true
+    }
+  })
+
+  const { count } = await buildFundingCalculatorsZip(
+    projects,
+    s3Service,
+    s3Bucket,
+    s3Key,
+    logger
+  )
+  if (!count) {
+    return { filename: null, count: 0 }
+  }
+  return { filename: s3Key, count }
+}
+
+export async function uploadUserFundingCalculators(
+  prisma,
+  s3Service,
+  s3Bucket,
+  userId,
+  downloadId,
+  projectIds,
+  logger
+) {
+  return fetchAndUploadFundingCalculators(
+    prisma,
+    s3Service,
+    s3Bucket,
+    projectIds,
+    userS3Key(userId, downloadId, 'funding_calculators.zip'),
+    logger
+  )
+}
+
+export async function uploadAdminFundingCalculators(
+  prisma,
+  s3Service,
+  s3Bucket,
+  projectIds,
+  logger
+) {
+  return fetchAndUploadFundingCalculators(
+    prisma,
+    s3Service,
+    s3Bucket,
+    projectIds,
+    adminS3Key('all_funding_calculators.zip'),
+    logger
+  )
+}
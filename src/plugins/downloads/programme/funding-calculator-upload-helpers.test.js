@@ -0,0 +1,256 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+
+vi.mock('../../../config.js', () => ({
+  config: { get: vi.fn(() => 'uploads-bucket') }
+}))
+
+// ZipArchive mock — constructor returns a shared mock instance reset in beforeEach.
+// Must be a regular function (not arrow) because production code calls it with `new`.
+let mockArchiveInstance
+vi.mock('archiver', () => ({
+  ZipArchive: vi.fn(function ZipArchiveMock() {
+    return mockArchiveInstance
+  })
+}))
+
+const {
+  buildFundingCalculatorsZip,
+  uploadUserFundingCalculators,
+  uploadAdminFundingCalculators
+} = await import('./funding-calculator-upload-helpers.js')
+
+function makeLogger() {
+  return { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+}
+
+function makePrisma(projects = []) {
+  return {
+    pafs_core_projects: { findMany: vi.fn().mockResolvedValue(projects) }
+  }
+}
+
+function makeS3Service(overrides = {}) {
+  return {
+    getObjectStream: vi.fn().mockResolvedValue({}),
+    putObjectStream: vi.fn().mockResolvedValue(undefined),
+    deleteObject: vi.fn().mockResolvedValue(undefined),
+    ...overrides
+  }
+}
+
+function freshArchive() {
+  return { append: vi.fn(), finalize: vi.fn(), on: vi.fn(), pipe: vi.fn() }
+}
+
+const legacyProject = {
+  reference_number: 'AC/2021/00001',
+  slug: 'AC-2021-00001',
+  version: 3,
+  is_legacy: true,
+  funding_calculator_file_name: 'PF_calculator.xlsx'
+}
+
+describe('buildFundingCalculatorsZip', () => {
+  beforeEach(() => {
+    mockArchiveInstance = freshArchive()
+    vi.clearAllMocks()
+  })
+
+  test('returns count 0 without uploading when no legacy project has a calculator', async () => {
+    const s3Service = makeS3Service()
+
+    const result = await buildFundingCalculatorsZip(
+      [
+        { ...legacyProject, is_legacy: false },
+        { ...legacyProject, funding_calculator_file_name: '  ' }
+      ],
+      s3Service,
+      'dest-bucket',
+      'out.zip',
+      makeLogger()
+    )
+
+    expect(result).toEqual({ count: 0 })
+    expect(s3Service.putObjectStream).not.toHaveBeenCalled()
+  })
+
+  test('streams each calculator from its legacy location', async () => {
+    const stream = { pipe: vi.fn() }
+    const s3Service = makeS3Service({
+      getObjectStream: vi.fn().mockResolvedValue(stream)
+    })
+
+    const result = await buildFundingCalculatorsZip(
+      [legacyProject],
+      s3Service,
+      'dest-bucket',
+      'out.zip',
+      makeLogger()
+    )
+
+    expect(s3Service.getObjectStream).toHaveBeenCalledWith(
+      'uploads-bucket',
+      'legacy/AC-2021-00001/3/PF_calculator.xlsx'
+    )
+    expect(mockArchiveInstance.append).toHaveBeenCalledWith(stream, {
+      name: 'AC-2021-00001_PF_calculator.xlsx'
+    })
+    expect(s3Service.putObjectStream).toHaveBeenCalledWith(
+      'dest-bucket',
+      'out.zip',
+      expect.anything(),
+      'application/zip'
+    )
+    expect(mockArchiveInstance.finalize).toHaveBeenCalled()
+    expect(s3Service.deleteObject).not.toHaveBeenCalled()
+    expect(result).toEqual({ count: 1 })
+  })
+
+  test('skips calculators missing from S3', async () => {
+    const s3Error = new Error('NoSuchKey')
+    const s3Service = makeS3Service({
+      getObjectStream: vi.fn().mockRejectedValue(s3Error)
+    })
+    const logger = makeLogger()
+
+    const result = await buildFundingCalculatorsZip(
+      [legacyProject],
+      s3Service,
+      'dest-bucket',
+      'out.zip',
+      logger
+    )
+
+    expect(logger.warn).toHaveBeenCalledWith(
+      { err: s3Error, referenceNumber: 'AC/2021/00001' },
+      'Skipping funding calculator file'
+    )
+    expect(result).toEqual({ count: 0 })
+  })
+
+  test('deletes the empty zip when no calculator could be fetched', async () => {
+    const s3Service = makeS3Service({
+      getObjectStream: vi.fn().mockRejectedValue(new Error('NoSuchKey'))
+    })
+
+    await buildFundingCalculatorsZip(
+      [legacyProject],
+      s3Service,
+      'dest-bucket',
+      'out.zip',
+      makeLogger()
+    )
+
+    expect(mockArchiveInstance.finalize).toHaveBeenCalled()
+    expect(s3Service.deleteObject).toHaveBeenCalledWith(
+      'dest-bucket',
+      'out.zip'
+    )
+  })
+})
+
+describe('uploadUserFundingCalculators', () => {
+  beforeEach(() => {
+    mockArchiveInstance = freshArchive()
+    vi.clearAllMocks()
+  })
+
+  test('queries legacy projects with a calculator file', async () => {
+    const prisma = makePrisma()
+
+    await uploadUserFundingCalculators(
+      prisma,
+      makeS3Service(),
+      'bucket',
+      42,
+      3,
+      [1, 2],
+      makeLogger()
+    )
+
+    expect(prisma.pafs_core_projects.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: {
+          id: { in: [BigInt(1), BigInt(2)] },
+          is_legacy: true,
+          funding_calculator_file_name: { not: null }
+        }
+      })
+    )
+  })
+
+  test('returns null filename when no calculators were added', async () => {
+    const result = await uploadUserFundingCalculators(
+      makePrisma(),
+      makeS3Service(),
+      'bucket',
+      42,
+      3,
+      [1],
+      makeLogger()
+    )
+
+    expect(result).toEqual({ filename: null, count: 0 })
+  })
+
+  test('returns null filename when every calculator is missing from S3', async () => {
+    const s3Service = makeS3Service({
+      getObjectStream: vi.fn().mockRejectedValue(new Error('NoSuchKey'))
+    })
+
+    const result = await uploadUserFundingCalculators(
+      makePrisma([legacyProject]),
+      s3Service,
+      'bucket',
+      42,
+      3,
+      [1],
+      makeLogger()
+    )
+
+    expect(result).toEqual({ filename: null, count: 0 })
+    expect(s3Service.deleteObject).toHaveBeenCalledWith(
+      'bucket',
+      'programme/user_42/3/funding_calculators.zip'
+    )
+  })
+
+  test('returns the user S3 key when calculators were added', async () => {
+    const result = await uploadUserFundingCalculators(
+      makePrisma([legacyProject]),
+      makeS3Service(),
+      'bucket',
+      42,
+      3,
+      [1],
+      makeLogger()
+    )
+
+    expect(result).toEqual({
+      filename: 'programme/user_42/3/funding_calculators.zip',
+      count: 1
+    })
+  })
+})
+
+describe('uploadAdminFundingCalculators', () => {
+  beforeEach(() => {
+    mockArchiveInstance = freshArchive()
+    vi.clearAllMocks()
+  })
+
+  test('returns the admin S3 key when calculators were added', async () => {
+    const result = await uploadAdminFundingCalculators(
+      makePrisma([legacyProject]),
+      makeS3Service(),
+      'bucket',
+      [1],
+      makeLogger()
+    )
+
+    expect(result).toEqual({
+      filename: 'programme/admin/all_funding_calculators.zip',
+      count: 1
+    })
+  })
+})
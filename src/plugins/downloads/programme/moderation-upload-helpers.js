@@ -0,0 +1,218 @@
+import {
+  buildModerationDocument,
+  getModerationFilename
+} from '../../projects/helpers/moderation-document.js'
+import {
+  userS3Key,
+  adminS3Key,
+  resolveAreaHierarchiesBulk
+} from './programme-generation-helpers.js'
+import { ZIP_DEFLATE, startZipUpload } from './programme-zip-helpers.js'
+
+// ── Moderations ZIP builder ───────────────────────────────────────────────────
+
+const MODERATION_PROJECT_SELECT = {
+  id: true,
+  name: true,
+  reference_number: true,
+  slug: true,
+  project_type: true,
+  urgency_reason: true,
+  urgency_details: true,
+  urgency_details_updated_at: true,
+  start_outline_business_case_month: true,
+  start_outline_business_case_year: true,
+  complete_outline_business_case_month: true,
+  complete_outline_business_case_year: true,
+  award_contract_month: true,
+  award_contract_year: true,
+  start_construction_month: true,
+  start_construction_year: true,
+  ready_for_service_month: true,
+  ready_for_service_year: true,
+  earliest_with_gia_month: true,
+  earliest_with_gia_year: true,
+  created_at: true,
+  updated_at: true
+}
+
+// Shape expected by buildModerationDocument (the enriched API project)
+function toModerationProject(project, hierarchy) {
+  return {
+    name: project.name,
+    referenceNumber: project.reference_number,
+    projectType: project.project_type,
+    urgencyReason: project.urgency_reason,
+    urgencyDetails: project.urgency_details,
+    urgencyDetailsUpdatedAt: project.urgency_details_updated_at,
+    rmaName: hierarchy?.rmaName ?? null,
+    psoName: hierarchy?.psoName ?? null,
+    rfccName: hierarchy?.rfccName ?? null,
+    eaAreaName: hierarchy?.eaAreaName ?? null,
+    startOutlineBusinessCaseMonth: project.start_outline_business_case_month,
+    startOutlineBusinessCaseYear: project.start_outline_business_case_year,
+    completeOutlineBusinessCaseMonth:
+      project.complete_outline_business_case_month,
+    completeOutlineBusinessCaseYear:
+      project.complete_outline_business_case_year,
+    awardContractMonth: project.award_contract_month,
+    awardContractYear: project.award_contract_year,
+    startConstructionMonth: project.start_construction_month,
+    startConstructionYear: project.start_construction_year,
+    readyForServiceMonth: project.ready_for_service_month,
+    readyForServiceYear: project.ready_for_service_year,
+    earliestWithGiaMonth: project.earliest_with_gia_month,
+    earliestWithGiaYear: project.earliest_with_gia_year,
+    createdAt: project.created_at,
+    updatedAt: project.updated_at
+  }
+}
+
+/**
+ * Stream a ZIP of moderation documents for the urgent projects directly to
+ * S3. Each document is named with the project's moderation filename, as
+ * served by GET /api/v1/project/{referenceNumber}/moderation.
+ *
+ * @param {Array}  projects  - Project records (MODERATION_PROJECT_SELECT) with
+ *                             `hierarchy` set to their RMA → PSO → EA names
+ * @param {Object} s3Service - S3Service instance (putObjectStream)
+ * @param {string} s3Bucket  - Destination S3 bucket
+ * @param {string} s3Key     - Destination S3 key for the output ZIP
+ * @param {Object} logger
+ * @returns {Promise<{ count: number }>}
+ */
+export async function buildModerationsZip(
+  projects,
+  s3Service,
+  s3Bucket,
+  s3Key,
+  logger
+) {
+  const urgent = projects.filter((p) =>
+    getModerationFilename(p.slug, p.urgency_reason)
+  )
+
+  logger?.info(
+    { total: projects.length, urgent: urgent.length },
+    'Building moderations zip'
+  )
+
+  if (urgent.length === 0) {
+    return { count: 0 }
+  }
+
+  const { archive, finish } = startZipUpload(
+    s3Service,
+    s3Bucket,
+    s3Key,
+    logger,
+    ZIP_DEFLATE
+  )
+
+  const generatedAt = new Date()
+  for (const project of urgent) {
+    archive.append(
+      buildModerationDocument(
+        toModerationProject(project, project.hierarchy),
+        generatedAt
+      ),
+      { name: getModerationFilename(project.slug, project.urgency_reason) }
+    )
+  }
+
+  await finish()
+
+  logger?.info({ count: urgent.length }, 'Moderations zip built')
+  return { count: urgent.length }
+}
+
+// ── Shared moderations ZIP upload logic ──────────────────────────────────────
+
+async function fetchAreaHierarchies(prisma, projectIds) {
+  const areaProjectRows = await prisma.pafs_core_area_projects.findMany({
+    where: { project_id: { in: projectIds } },
+    select: { project_id: true, area_id: true }
+  })
+  const areaByProject = new Map(
+    areaProjectRows.map((row) => [Number(row.project_id), Number(row.area_id)])
+  )
+  const hierarchyByArea = await resolveAreaHierarchiesBulk(prisma, [
+    ...new Set(areaByProject.values())
+  ])
+
+  return (projectId) => hierarchyByArea.get(areaByProject.get(projectId))
+}
+
+async function fetchAndUploadModerations(
+  prisma,
+  s3Service,
+  s3Bucket,
+  projectIds,
+  s3Key,
+  logger
+) {
+  const projects = await prisma.pafs_core_projects.findMany({
+    where: {
+      id: { in: projectIds.map(BigInt) },
+      urgency_reason: { not: null }
+    },
+    select: MODERATION_PROJECT_SELECT
+  })
+
+  const urgent = projects.filter((p) =>
+    getModerationFilename(p.slug, p.urgency_reason)
+  )
+  if (urgent.length === 0) {
+    return { filename: null, count: 0 }
+  }
+
+  const hierarchyFor = await fetchAreaHierarchies(
+    prisma,
+    urgent.map((p) => Number(p.id))
+  )
+
+  const { count } = await buildModerationsZip(
+    urgent.map((p) => ({ ...p, hierarchy: hierarchyFor(Number(p.id)) })),
+    s3Service,
+    s3Bucket,
+    s3Key,
+    logger
+  )
+  return { filename: s3Key, count }
+}
+
+export async function uploadUserModerations(
+  prisma,
+  s3Service,
+  s3Bucket,
+  userId,
+  downloadId,
+  projectIds,
+  logger
+) {
+  return fetchAndUploadModerations(
+    prisma,
+    s3Service,
+    s3Bucket,
+    projectIds,
+    userS3Key(userId, downloadId, 'moderations.zip'),
+    logger
+  )
+}
+
+export async function uploadAdminModerations(
+  prisma,
+  s3Service,
+  s3Bucket,
+  projectIds,
+  logger
+) {
+  return fetchAndUploadModerations(
+    prisma,
+    s3Service,
+    s3Bucket,
+    projectIds,
+    adminS3Key('all_moderations.zip'),
+    logger
+  )
+}
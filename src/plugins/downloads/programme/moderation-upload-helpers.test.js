@@ -0,0 +1,196 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+
+// ZipArchive mock — constructor returns a shared mock instance reset in beforeEach.
+// Must be a regular function (not arrow) because production code calls it with `new`.
+let mockArchiveInstance
+vi.mock('archiver', () => ({
+  ZipArchive: vi.fn(function ZipArchiveMock() {
+    return mockArchiveInstance
+  })
+}))
+
+const { buildModerationsZip, uploadUserModerations, uploadAdminModerations } =
+  await import('./moderation-upload-helpers.js')
+
+function makeLogger() {
+  return { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+}
+
+function makeS3Service() {
+  return { putObjectStream: vi.fn().mockResolvedValue(undefined) }
+}
+
+function freshArchive() {
+  return { append: vi.fn(), finalize: vi.fn(), on: vi.fn(), pipe: vi.fn() }
+}
+
+const urgentProject = {
+  id: BigInt(11),
+  name: 'Flood wall',
+  reference_number: 'ANC501E/000A/001A',
+  slug: 'anc501e-000a-001a',
+  project_type: 'DEF',
+  urgency_reason: 'statutory_need',
+  urgency_details: 'Statutory deadline',
+  urgency_details_updated_at: new Date('2026-04-20T14:05:00Z'),
+  start_construction_month: 3,
+  start_construction_year: 2027,
+  created_at: new Date('2026-01-10T08:00:00Z'),
+  updated_at: new Date('2026-04-20T14:05:00Z')
+}
+
+function makePrisma(projects = [urgentProject]) {
+  return {
+    pafs_core_projects: { findMany: vi.fn().mockResolvedValue(projects) },
+    pafs_core_area_projects: {
+      findMany: vi
+        .fn()
+        .mockResolvedValue([{ project_id: 11, area_id: BigInt(30) }])
+    },
+    pafs_core_areas: {
+      findMany: vi
+        .fn()
+        .mockResolvedValueOnce([
+          { id: BigInt(30), name: 'Anytown Council', parent_id: 20 }
+        ])
+        .mockResolvedValueOnce([
+          { id: BigInt(20), name: 'PSO East', parent_id: 10 }
+        ])
+        .mockResolvedValueOnce([{ id: BigInt(10), name: 'East Anglia' }])
+    }
+  }
+}
+
+describe('buildModerationsZip', () => {
+  beforeEach(() => {
+    mockArchiveInstance = freshArchive()
+    vi.clearAllMocks()
+  })
+
+  test('returns count 0 without uploading when no project is urgent', async () => {
+    const s3Service = makeS3Service()
+
+    const result = await buildModerationsZip(
+      [
+        { ...urgentProject, urgency_reason: 'not_urgent' },
+        { ...urgentProject, urgency_reason: null }
+      ],
+      s3Service,
+      'dest-bucket',
+      'out.zip',
+      makeLogger()
+    )
+
+    expect(result).toEqual({ count: 0 })
+    expect(s3Service.putObjectStream).not.toHaveBeenCalled()
+  })
+
+  test('adds one document per urgent project under its moderation filename', async () => {
+    const s3Service = makeS3Service()
+
+    const result = await buildModerationsZip(
+      [
+        {
+          ...urgentProject,
+          hierarchy: { rmaName: 'Anytown Council', psoName: 'PSO East' }
+        },
+        { ...urgentProject, slug: 'other', urgency_reason: 'not_urgent' }
+      ],
+      s3Service,
+      'dest-bucket',
+      'out.zip',
+      makeLogger()
+    )
+
+    expect(result).toEqual({ count: 1 })
+    expect(mockArchiveInstance.append).toHaveBeenCalledTimes(1)
+    const [document, { name }] = mockArchiveInstance.append.mock.calls[0]
+    expect(name).toBe('ANC501E-000A-001A_moderation_BS.txt')
+    expect(document).toContain('Project name: Flood wall\n')
+    expect(document).toContain('Reason: Statutory Requirement (BS)\n')
+    expect(document).toContain('Risk management authority: Anytown Council\n')
+    expect(document).toContain('Start construction: 03/2027\n')
+    expect(s3Service.putObjectStream).toHaveBeenCalledWith(
+      'dest-bucket',
+      'out.zip',
+      expect.anything(),
+      'application/zip'
+    )
+    expect(mockArchiveInstance.finalize).toHaveBeenCalled()
+  })
+})
+
+describe('uploadUserModerations', () => {
+  beforeEach(() => {
+    mockArchiveInstance = freshArchive()
+    vi.clearAllMocks()
+  })
+
+  test('returns null filename without loading areas when no project is urgent', async () => {
+    const prisma = makePrisma([
+      { ...urgentProject, urgency_reason: 'not_urgent' }
+    ])
+
+    const result = await uploadUserModerations(
+      prisma,
+      makeS3Service(),
+      'bucket',
+      42,
+      3,
+      [11],
+      makeLogger()
+    )
+
+    expect(result).toEqual({ filename: null, count: 0 })
+    expect(prisma.pafs_core_area_projects.findMany).not.toHaveBeenCalled()
+  })
+
+  test('renders the area hierarchy of each project into its document', async () => {
+    const prisma = makePrisma()
+
+    const result = await uploadUserModerations(
+      prisma,
+      makeS3Service(),
+      'bucket',
+      42,
+      3,
+      [11],
+      makeLogger()
+    )
+
+    expect(result).toEqual({
+      filename: 'programme/user_42/3/moderations.zip',
+      count: 1
+    })
+    expect(prisma.pafs_core_area_projects.findMany).toHaveBeenCalledWith({
+      where: { project_id: { in: [11] } },
+      select: { project_id: true, area_id: true }
+    })
+    const [document] = mockArchiveInstance.append.mock.calls[0]
+    expect(document).toContain('Risk management authority: Anytown Council\n')
+    expect(document).toContain('PSO area: PSO East\n')
+    expect(document).toContain('Environment Agency area: East Anglia\n')
+  })
+})
+
+describe('uploadAdminModerations', () => {
+  beforeEach(() => {
+    mockArchiveInstance = freshArchive()
+    vi.clearAllMocks()
+  })
+
+  test('returns the admin S3 key when documents were added', async () => {
+    const result = await uploadAdminModerations(
+      makePrisma(),
+      makeS3Service(),
+      'bucket',
+      [11],
+      makeLogger()
+    )
+
+    expect(result).toEqual({
+      filename: 'programme/admin/all_moderations.zip',
+      count: 1
+    })
+  })
+})
@@ -1,25 +1,53 @@
 import Joi from 'joi'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
-import { getUserDownloadRecord, DOWNLOAD_STATUS } from './programme-service.js'
+import {
+  getUserDownloadRecord,
+  getUserDownloadById,
+  DOWNLOAD_STATUS
+} from './programme-service.js'
 import { fetchPresignedFileResponse } from './programme-generation-helpers.js'
+import { programmeDownloadFileParamsSchema } from '../schema.js'
 
 const FILE_TYPE_LABELS = {
   fcerm1: 'All_Proposals.xlsx',
   'benefit-areas': 'Benefit_Areas.zip',
-  moderations: 'Moderations.zip'
+  moderations: 'Moderations.zip',
+  'funding-calculators': 'Funding_Calculators.zip'
 }
 
 const FILE_KEY_FIELDS = {
   fcerm1: 'fcerm1_filename',
   'benefit-areas': 'benefit_areas_filename',
-  moderations: 'moderation_filename'
+  moderations: 'moderation_filename',
+  'funding-calculators': 'funding_calculator_filename'
+}
+
+async function respondWithFile(request, h, record, type) {
+  if (record?.status !== DOWNLOAD_STATUS.READY) {
+    return h
+      .response({ error: 'Download not ready' })
+      .code(HTTP_STATUS.NOT_FOUND)
+  }
+
+  const s3Key = record[FILE_KEY_FIELDS[type]]
+
+  if (!s3Key) {
+    return h
+      .response({
+        error: `File type '${type}' is not available for this download`
+      })
+      .code(HTTP_STATUS.NOT_FOUND)
+  }
+
+  return fetchPresignedFileResponse(request, h, s3Key, FILE_TYPE_LABELS[type])
 }
 
 /**
  * GET /api/v1/downloads/programme/file/{type}
  *
- * Returns a presigned S3 URL for the requested file type.
- * type: fcerm1 | benefit-areas | moderations
+ * Returns a presigned S3 URL for the requested file type of the user's
+ * latest download.
+ * type: fcerm1 | benefit-areas | moderations | funding-calculators
  */
 export const getUserProgrammeFile = {
   method: 'GET',
@@ -31,7 +59,7 @@ export const getUserProgrammeFile = {
     validate: {
       params: Joi.object({
         type: Joi.string()
-          .valid('fcerm1', 'benefit-areas', 'moderations')
+          .valid(...Object.keys(FILE_KEY_FIELDS))
           .required()
       })
     }
@@ -43,31 +71,48 @@ export const getUserProgrammeFile = {
 
     try {
       const record = await getUserDownloadRecord(prisma, userId)
+      return await respondWithFile(request, h, record, type)
+    } catch (error) {
+      logger.error({ error, userId, type }, 'Failed to get programme file URL')
+      return h
+        .response({ error: 'Failed to generate download URL' })
+        .code(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    }
+  }
+}
 
-      if (record?.status !== DOWNLOAD_STATUS.READY) {
-        return h
-          .response({ error: 'Download not ready' })
-          .code(HTTP_STATUS.NOT_FOUND)
-      }
-
-      const s3Key = record[FILE_KEY_FIELDS[type]]
-
-      if (!s3Key) {
-        return h
-          .response({
-            error: `File type '${type}' is not available for this download`
-          })
-          .code(HTTP_STATUS.NOT_FOUND)
-      }
+/**
+ * GET /api/v1/downloads/programme/{downloadId}/file/{type}
+ *
+ * Returns a presigned S3 URL for a file of one of the user's previous
+ * downloads, as listed by GET /api/v1/downloads/programme/history.
+ * Another user's download is reported as not found.
+ */
+export const getUserProgrammeHistoryFile = {
+  method: 'GET',
+  path: '/api/v1/downloads/programme/{downloadId}/file/{type}',
+  options: {
+    auth: 'jwt',
+    description:
+      'Get presigned URL for a previous user programme download file',
+    tags: ['api', 'downloads', 'programme'],
+    validate: {
+      params: programmeDownloadFileParamsSchema(Object.keys(FILE_KEY_FIELDS))
+    }
+  },
+  handler: async (request, h) => {
+    const { prisma, logger } = request.server
+    const userId = Number(request.auth.credentials.userId)
+    const { downloadId, type } = request.params
 
-      return await fetchPresignedFileResponse(
-        request,
-        h,
-        s3Key,
-        FILE_TYPE_LABELS[type]
-      )
+    try {
+      const record = await getUserDownloadById(prisma, userId, downloadId)
+      return await respondWithFile(request, h, record, type)
     } catch (error) {
-      logger.error({ error, userId, type }, 'Failed to get programme file URL')
+      logger.error(
+        { error, userId, downloadId, type },
+        'Failed to get programme file URL'
+      )
       return h
         .response({ error: 'Failed to generate download URL' })
         .code(HTTP_STATUS.INTERNAL_SERVER_ERROR)
@@ -6,6 +6,7 @@ vi.mock('../../../config.js', () => ({
 
 vi.mock('./programme-service.js', () => ({
   getUserDownloadRecord: vi.fn(),
+  getUserDownloadById: vi.fn(),
   DOWNLOAD_STATUS: {
     READY: 'ready',
     GENERATING: 'generating',
@@ -18,10 +19,12 @@ vi.mock('../../../common/services/file-upload/s3-service.js', () => ({
   getS3Service: vi.fn()
 }))
 
-const { getUserDownloadRecord } = await import('./programme-service.js')
+const { getUserDownloadRecord, getUserDownloadById } =
+  await import('./programme-service.js')
 const { getS3Service } =
   await import('../../../common/services/file-upload/s3-service.js')
-const { getUserProgrammeFile } = await import('./programme-file.js')
+const { getUserProgrammeFile, getUserProgrammeHistoryFile } =
+  await import('./programme-file.js')
 
 // ── helpers ───────────────────────────────────────────────────────────────────
 
@@ -146,6 +149,43 @@ describe('getUserProgrammeFile route', () => {
     expect(h._status).toBe(200)
   })
 
+  test.each([
+    ['moderations', 'moderation_filename', 'Moderations.zip'],
+    [
+      'funding-calculators',
+      'funding_calculator_filename',
+      'Funding_Calculators.zip'
+    ]
+  ])(
+    'returns presigned URL for %s type',
+    async (type, field, expectedFilename) => {
+      getUserDownloadRecord.mockResolvedValue({
+        status: 'ready',
+        [field]: `programme/user_5/${type}.zip`
+      })
+      const s3 = makeS3Service(`https://s3.example.com/${type}.zip`)
+
+      const h = makeH()
+      await getUserProgrammeFile.handler(makeRequest(type), h)
+
+      expect(s3.getPresignedDownloadUrl).toHaveBeenCalledWith(
+        'test-bucket',
+        `programme/user_5/${type}.zip`,
+        3600,
+        expectedFilename
+      )
+      expect(h._status).toBe(200)
+    }
+  )
+
+  test('validates type param against the served file types', () => {
+    const schema = getUserProgrammeFile.options.validate.params
+    expect(
+      schema.validate({ type: 'funding-calculators' }).error
+    ).toBeUndefined()
+    expect(schema.validate({ type: 'unknown' }).error).toBeDefined()
+  })
+
   test('returns 500 when S3 throws', async () => {
     getUserDownloadRecord.mockResolvedValue({
       status: 'ready',
@@ -181,3 +221,95 @@ describe('getUserProgrammeFile route', () => {
     )
   })
 })
+
+describe('getUserProgrammeHistoryFile route', () => {
+  beforeEach(() => vi.clearAllMocks())
+
+  function makeHistoryRequest(downloadId, type, userId = 5) {
+    return { ...makeRequest(type, userId), params: { downloadId, type } }
+  }
+
+  test('has correct method and path', () => {
+    expect(getUserProgrammeHistoryFile.method).toBe('GET')
+    expect(getUserProgrammeHistoryFile.path).toBe(
+      '/api/v1/downloads/programme/{downloadId}/file/{type}'
+    )
+  })
+
+  test('returns presigned URL for a file of a previous download', async () => {
+    getUserDownloadById.mockResolvedValue({
+      status: 'ready',
+      moderation_filename: 'programme/user_5/3/moderations.zip'
+    })
+    const s3 = makeS3Service('https://s3.example.com/moderations.zip')
+
+    const h = makeH()
+    await getUserProgrammeHistoryFile.handler(
+      makeHistoryRequest(3, 'moderations'),
+      h
+    )
+
+    expect(getUserDownloadById).toHaveBeenCalledWith(expect.anything(), 5, 3)
+    expect(s3.getPresignedDownloadUrl).toHaveBeenCalledWith(
+      'test-bucket',
+      'programme/user_5/3/moderations.zip',
+      3600,
+      'Moderations.zip'
+    )
+    expect(h._status).toBe(200)
+  })
+
+  test('returns 404 when the download does not belong to the user', async () => {
+    getUserDownloadById.mockResolvedValue(null)
+
+    const h = makeH()
+    await getUserProgrammeHistoryFile.handler(
+      makeHistoryRequest(3, 'fcerm1'),
+      h
+    )
+
+    expect(h._status).toBe(404)
+  })
+
+  test('returns 404 when the file type was not generated', async () => {
+    getUserDownloadById.mockResolvedValue({
+      status: 'ready',
+      fcerm1_filename: null
+    })
+
+    const h = makeH()
+    await getUserProgrammeHistoryFile.handler(
+      makeHistoryRequest(3, 'fcerm1'),
+      h
+    )
+
+    expect(h._status).toBe(404)
+    expect(h._body).toMatchObject({
+      error: expect.stringContaining("'fcerm1' is not available")
+    })
+  })
+
+  test('validates the download id and type params', () => {
+    const schema = getUserProgrammeHistoryFile.options.validate.params
+    expect(
+      schema.validate({ downloadId: '3', type: 'benefit-areas' }).error
+    ).toBeUndefined()
+    expect(
+      schema.validate({ downloadId: 0, type: 'fcerm1' }).error
+    ).toBeDefined()
+    expect(
+      schema.validate({ downloadId: 3, type: 'other' }).error
+    ).toBeDefined()
+  })
+
+  test('returns 500 when the lookup throws', async () => {
+    getUserDownloadById.mockRejectedValue(new Error('db down'))
+
+    const request = makeHistoryRequest(3, 'fcerm1')
+    const h = makeH()
+    await getUserProgrammeHistoryFile.handler(request, h)
+
+    expect(h._status).toBe(500)
+    expect(request.server.logger.error).toHaveBeenCalled()
+  })
+})
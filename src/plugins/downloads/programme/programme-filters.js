@@ -0,0 +1,102 @@
+import { ProjectFilterService } from '../../projects/services/project-filter-service.js'
+
+/**
+ * Filters a user programme download can be generated with, as stored in
+ * pafs_core_area_downloads.filters. The area is stored separately in area_id.
+ *
+ * @typedef {Object} ProgrammeFilters
+ * @property {string[]} [status] - PROJECT_STATUS values
+ * @property {string[]} [projectType]
+ * @property {number} [financialYearFrom]
+ * @property {number} [financialYearTo]
+ */
+
+/**
+ * Pick the filters out of a validated generate payload
+ * @param {Object} [payload]
+ * @returns {ProgrammeFilters|null} null when no filter was requested
+ */
+export function toProgrammeFilters(payload = {}) {
+  const { status, projectType, financialYearFrom, financialYearTo } =
+    payload ?? {}
+  const filters = {
+    ...(status?.length && { status }),
+    ...(projectType?.length && { projectType }),
+    ...(financialYearFrom != null && { financialYearFrom }),
+    ...(financialYearTo != null && { financialYearTo })
+  }
+  return Object.keys(filters).length > 0 ? filters : null
+}
+
+/**
+ * Prisma where clause for the projects in a filtered programme, built with
+ * the same filters as the project list. A project is in the financial year
+ * range when it starts on or before the last year and ends on or after the
+ * first.
+ * @param {Object} prisma
+ * @param {Object} logger
+ * @param {number[]} areaIds - RMA areas the download is scoped to
+ * @param {ProgrammeFilters|null} filters
+ * @returns {Promise<Object|null>} null when there are no areas
+ */
+export function buildProgrammeProjectWhere(prisma, logger, areaIds, filters) {
+  const { status, projectType, financialYearFrom, financialYearTo } =
+    filters ?? {}
+  return new ProjectFilterService(prisma, logger).buildListWhere({
+    areaIds,
+    status,
+    filters: {
+      projectType,
+      financialStartYearTo: financialYearTo,
+      financialEndYearFrom: financialYearFrom
+    }
+  })
+}
+
+/**
+ * Count the projects a programme download would include
+ * @param {Object} prisma
+ * @param {Object} logger
+ * @param {number[]} areaIds
+ * @param {ProgrammeFilters|null} filters
+ * @returns {Promise<number>}
+ */
+export async function countProgrammeProjects(prisma, logger, areaIds, filters) {
+  const where = await buildProgrammeProjectWhere(
+    prisma,
+    logger,
+    areaIds,
+    filters
+  )
+  return where ? prisma.pafs_core_projects.count({ where }) : 0
+}
+
+/**
+ * IDs of the projects a filtered programme download includes
+ * @param {Object} prisma
+ * @param {Object} logger
+ * @param {number[]} areaIds
+ * @param {ProgrammeFilters} filters
+ * @returns {Promise<number[]>}
+ */
+export async function findProgrammeProjectIds(
+  prisma,
+  logger,
+  areaIds,
+  filters
+) {
+  const where = await buildProgrammeProjectWhere(
+    prisma,
+    logger,
+    areaIds,
+    filters
+  )
+  if (!where) {
+    return []
+  }
+  const rows = await prisma.pafs_core_projects.findMany({
+    where,
+    select: { id: true }
+  })
+  return rows.map((row) => Number(row.id))
+}
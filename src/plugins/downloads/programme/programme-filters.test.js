@@ -0,0 +1,147 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+
+const mockBuildListWhere = vi.fn()
+vi.mock('../../projects/services/project-filter-service.js', () => ({
+  ProjectFilterService: vi.fn(function ProjectFilterServiceMock() {
+    return { buildListWhere: mockBuildListWhere }
+  })
+}))
+
+const {
+  toProgrammeFilters,
+  buildProgrammeProjectWhere,
+  countProgrammeProjects,
+  findProgrammeProjectIds
+} = await import('./programme-filters.js')
+
+function makePrisma() {
+  return {
+    pafs_core_projects: {
+      count: vi.fn().mockResolvedValue(3),
+      findMany: vi.fn().mockResolvedValue([{ id: 1n }, { id: 2n }])
+    }
+  }
+}
+
+const logger = { info: vi.fn(), error: vi.fn() }
+
+describe('toProgrammeFilters', () => {
+  test('returns null when no filter was requested', () => {
+    expect(toProgrammeFilters()).toBeNull()
+    expect(toProgrammeFilters(null)).toBeNull()
+    expect(toProgrammeFilters({ areaId: 2, status: [] })).toBeNull()
+  })
+
+  test('picks the requested filters, leaving out the area', () => {
+    expect(
+      toProgrammeFilters({
+        areaId: 2,
+        status: ['submitted'],
+        projectType: ['DEF'],
+        financialYearFrom: 2025,
+        financialYearTo: 2027
+      })
+    ).toEqual({
+      status: ['submitted'],
+      projectType: ['DEF'],
+      financialYearFrom: 2025,
+      financialYearTo: 2027
+    })
+  })
+})
+
+describe('buildProgrammeProjectWhere', () => {
+  beforeEach(() => vi.clearAllMocks())
+
+  test('builds the where clause with the project list filters', async () => {
+    const where = { id: { in: [1n] } }
+    mockBuildListWhere.mockResolvedValue(where)
+
+    const result = await buildProgrammeProjectWhere(makePrisma(), logger, [4], {
+      status: ['submitted'],
+      projectType: ['DEF'],
+      financialYearFrom: 2025,
+      financialYearTo: 2027
+    })
+
+    expect(result).toBe(where)
+    expect(mockBuildListWhere).toHaveBeenCalledWith({
+      areaIds: [4],
+      status: ['submitted'],
+      filters: {
+        projectType: ['DEF'],
+        financialStartYearTo: 2027,
+        financialEndYearFrom: 2025
+      }
+    })
+  })
+
+  test('applies no filters when none are given', async () => {
+    mockBuildListWhere.mockResolvedValue({})
+
+    await buildProgrammeProjectWhere(makePrisma(), logger, [4], null)
+
+    expect(mockBuildListWhere).toHaveBeenCalledWith({
+      areaIds: [4],
+      status: undefined,
+      filters: {
+        projectType: undefined,
+        financialStartYearTo: undefined,
+        financialEndYearFrom: undefined
+      }
+    })
+  })
+})
+
+describe('countProgrammeProjects', () => {
+  beforeEach(() => vi.clearAllMocks())
+
+  test('counts the projects matching the where clause', async () => {
+    const where = { id: { in: [1n] } }
+    mockBuildListWhere.mockResolvedValue(where)
+    const prisma = makePrisma()
+
+    const result = await countProgrammeProjects(prisma, logger, [4], null)
+
+    expect(result).toBe(3)
+    expect(prisma.pafs_core_projects.count).toHaveBeenCalledWith({ where })
+  })
+
+  test('returns 0 without querying when there are no areas', async () => {
+    mockBuildListWhere.mockResolvedValue(null)
+    const prisma = makePrisma()
+
+    const result = await countProgrammeProjects(prisma, logger, [], null)
+
+    expect(result).toBe(0)
+    expect(prisma.pafs_core_projects.count).not.toHaveBeenCalled()
+  })
+})
+
+describe('findProgrammeProjectIds', () => {
+  beforeEach(() => vi.clearAllMocks())
+
+  test('returns the matching project ids as numbers', async () => {
+    const where = { id: { in: [1n, 2n] } }
+    mockBuildListWhere.mockResolvedValue(where)
+    const prisma = makePrisma()
+
+    const result = await findProgrammeProjectIds(prisma, logger, [4], {
+      status: ['submitted']
+    })
+
+    expect(result).toEqual([1, 2])
+    expect(prisma.pafs_core_projects.findMany).toHaveBeenCalledWith({
+      where,
+      select: { id: true }
+    })
+  })
+
+  test('returns no ids when there are no areas', async () => {
+    mockBuildListWhere.mockResolvedValue(null)
+    const prisma = makePrisma()
+
+    expect(await findProgrammeProjectIds(prisma, logger, [], {})).toEqual([])
+    expect(prisma.pafs_core_projects.findMany).not.toHaveBeenCalled()
+  })
+})
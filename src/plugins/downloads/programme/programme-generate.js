@@ -1,12 +1,15 @@
 import { HTTP_STATUS } from '../../../common/constants/index.js'
 import { config } from '../../../config.js'
 import {
-  getProjectCountsForUser,
+  countUserDownloadProposals,
   startUserDownload,
   queueUserGeneration,
   DOWNLOAD_STATUS
 } from './programme-service.js'
+import { toProgrammeFilters } from './programme-filters.js'
 import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { generateProgrammePayloadSchema } from '../schema.js'
 
 /**
  * POST /api/v1/downloads/programme/generate
@@ -14,8 +17,9 @@ import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.
  * Starts a user-scoped area programme generation. The generation runs
  * asynchronously in the background. Returns 202 Accepted immediately.
  *
- * Only one generation per user can run at a time — any existing record
- * is replaced when generation starts.
+ * The download can be narrowed to one of the user's areas and filtered by
+ * status, project type and financial year range. Each generation is kept in
+ * the user's download history; the oldest are pruned once it is complete.
  */
 export const generateUserProgramme = {
   method: 'POST',
@@ -23,11 +27,17 @@ export const generateUserProgramme = {
   options: {
     auth: 'jwt',
     description: 'Start user area programme generation',
-    tags: ['api', 'downloads', 'programme']
+    tags: ['api', 'downloads', 'programme'],
+    validate: {
+      payload: generateProgrammePayloadSchema,
+      failAction: validationFailAction
+    }
   },
   handler: async (request, h) => {
     const { prisma, logger } = request.server
     const userId = Number(request.auth.credentials.userId)
+    const areaId = request.payload?.areaId ?? null
+    const filters = toProgrammeFilters(request.payload)
 
     try {
       const areaIds = await resolveAccessibleAreaIdsForUser(
@@ -42,15 +52,22 @@ export const generateUserProgramme = {
           .code(HTTP_STATUS.UNPROCESSABLE_ENTITY)
       }
 
-      const projectCounts = await getProjectCountsForUser(
+      if (areaId && !areaIds.some((id) => Number(id) === areaId)) {
+        return h
+          .response({ error: 'Area is not assigned to this user' })
+          .code(HTTP_STATUS.FORBIDDEN)
+      }
+
+      const numberOfProposals = await countUserDownloadProposals(
         prisma,
-        userId,
-        logger
+        logger,
+        { userId, areaIds, areaId, filters }
       )
       const record = await startUserDownload(
         prisma,
         userId,
-        projectCounts.total
+        numberOfProposals,
+        { areaId, filters }
       )
 
       const s3Bucket = config.get('cdpUploader.s3Bucket')
@@ -60,13 +77,15 @@ export const generateUserProgramme = {
           userId,
           downloadId: record.id,
           s3Bucket,
-          requestedOn: record.requested_on
+          requestedOn: record.requested_on,
+          areaId,
+          filters
         },
         request.server.sqs
       )
 
       logger.info(
-        { userId, downloadId: record.id },
+        { userId, downloadId: record.id, areaId, filters },
         'User programme generation queued'
       )
 
@@ -74,7 +93,7 @@ export const generateUserProgramme = {
         .response({
           downloadId: record.id.toString(),
           status: DOWNLOAD_STATUS.GENERATING,
-          numberOfProposals: projectCounts.total
+          numberOfProposals
         })
         .code(HTTP_STATUS.ACCEPTED)
     } catch (error) {
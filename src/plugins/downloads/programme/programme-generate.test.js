@@ -8,7 +8,7 @@ vi.mock('../../../config.js', () => ({
 }))
 
 vi.mock('./programme-service.js', () => ({
-  getProjectCountsForUser: vi.fn(),
+  countUserDownloadProposals: vi.fn(),
   startUserDownload: vi.fn(),
   queueUserGeneration: vi.fn(),
   DOWNLOAD_STATUS: {
@@ -23,7 +23,7 @@ vi.mock('../../areas/helpers/user-areas.js', () => ({
   resolveAccessibleAreaIdsForUser: vi.fn()
 }))
 
-const { getProjectCountsForUser, startUserDownload, queueUserGeneration } =
+const { countUserDownloadProposals, startUserDownload, queueUserGeneration } =
   await import('./programme-service.js')
 
 const { resolveAccessibleAreaIdsForUser } =
@@ -54,10 +54,11 @@ function makeH() {
   return h
 }
 
-function makeRequest(userId = 42) {
+function makeRequest(userId = 42, payload = null) {
   return {
     server: makeServer(),
-    auth: { credentials: { userId } }
+    auth: { credentials: { userId } },
+    payload
   }
 }
 
@@ -89,25 +90,29 @@ describe('generateUserProgramme route', () => {
 
   test('returns 202, creates record, and queues generation when user has areas', async () => {
     resolveAccessibleAreaIdsForUser.mockResolvedValue([1, 2])
-    getProjectCountsForUser.mockResolvedValue({
-      total: 10,
-      submitted: 5,
-      draft: 5,
-      completed: 0,
-      archived: 0
-    })
+    countUserDownloadProposals.mockResolvedValue(10)
     startUserDownload.mockResolvedValue({ id: BigInt(99) })
 
     const request = makeRequest(42)
     const h = makeH()
     await generateUserProgramme.handler(request, h)
 
-    expect(startUserDownload).toHaveBeenCalledWith(expect.anything(), 42, 10)
+    expect(startUserDownload).toHaveBeenCalledWith(expect.anything(), 42, 10, {
+      areaId: null,
+      filters: null
+    })
+    expect(countUserDownloadProposals).toHaveBeenCalledWith(
+      request.server.prisma,
+      request.server.logger,
+      { userId: 42, areaIds: [1, 2], areaId: null, filters: null }
+    )
     expect(queueUserGeneration).toHaveBeenCalledWith(
       expect.objectContaining({
         userId: 42,
         downloadId: BigInt(99),
-        s3Bucket: 'test-bucket'
+        s3Bucket: 'test-bucket',
+        areaId: null,
+        filters: null
       }),
       expect.objectContaining({ send: expect.any(Function) })
     )
@@ -118,6 +123,67 @@ describe('generateUserProgramme route', () => {
     })
   })
 
+  test('scopes the download to the requested area and filters', async () => {
+    resolveAccessibleAreaIdsForUser.mockResolvedValue([1, 2])
+    countUserDownloadProposals.mockResolvedValue(4)
+    startUserDownload.mockResolvedValue({ id: BigInt(100) })
+
+    const request = makeRequest(42, {
+      areaId: 2,
+      status: ['submitted'],
+      financialYearFrom: 2025,
+      financialYearTo: 2027
+    })
+    const h = makeH()
+    await generateUserProgramme.handler(request, h)
+
+    const filters = {
+      status: ['submitted'],
+      financialYearFrom: 2025,
+      financialYearTo: 2027
+    }
+    expect(countUserDownloadProposals).toHaveBeenCalledWith(
+      request.server.prisma,
+      request.server.logger,
+      { userId: 42, areaIds: [1, 2], areaId: 2, filters }
+    )
+    expect(startUserDownload).toHaveBeenCalledWith(expect.anything(), 42, 4, {
+      areaId: 2,
+      filters
+    })
+    expect(queueUserGeneration).toHaveBeenCalledWith(
+      expect.objectContaining({ areaId: 2, filters }),
+      expect.anything()
+    )
+    expect(h._status).toBe(202)
+    expect(h._body).toMatchObject({ numberOfProposals: 4 })
+  })
+
+  test('returns 403 when the area is not assigned to the user', async () => {
+    resolveAccessibleAreaIdsForUser.mockResolvedValue([1, 2])
+
+    const request = makeRequest(42, { areaId: 3 })
+    const h = makeH()
+    await generateUserProgramme.handler(request, h)
+
+    expect(h._status).toBe(403)
+    expect(startUserDownload).not.toHaveBeenCalled()
+    expect(queueUserGeneration).not.toHaveBeenCalled()
+  })
+
+  test('validates the filters in the payload', () => {
+    const schema = generateUserProgramme.options.validate.payload
+
+    expect(schema.validate(null).error).toBeUndefined()
+    expect(
+      schema.validate({ status: ['submitted'], areaId: 2 }).error
+    ).toBeUndefined()
+    expect(schema.validate({ status: ['nope'] }).error).toBeDefined()
+    expect(
+      schema.validate({ financialYearFrom: 2030, financialYearTo: 2025 }).error
+    ).toBeDefined()
+  })
+
   test('returns 500 when service throws', async () => {
     resolveAccessibleAreaIdsForUser.mockRejectedValue(new Error('db down'))
 
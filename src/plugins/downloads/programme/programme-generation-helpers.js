@@ -14,14 +14,20 @@ import { HTTP_STATUS } from '../../../common/constants/index.js'
 
 // ── S3 path helpers ────────────────────────────────────────────────────────────
 
-export function userS3Key(userId, filename) {
-  return `programme/user_${userId}/${filename}`
+// Each user download has its own folder so earlier downloads stay available
+export function userS3Key(userId, downloadId, filename) {
+  return `programme/user_${userId}/${downloadId}/${filename}`
 }
 
 export function adminS3Key(filename) {
   return `programme/admin/${filename}`
 }
 
+// Report subscription runs are kept apart from manual downloads
+export function subscriptionS3Key(subscriptionId, downloadId, filename) {
+  return `programme/subscription_${subscriptionId}/${downloadId}/${filename}`
+}
+
 /**
  * Build a presigned S3 download URL and return the standard download response.
  *
@@ -155,7 +161,7 @@ function buildHierarchyEntry(rma, psoMap, eaMap) {
 
 // Resolves RMA → PSO → EA area hierarchy for a set of area IDs using at most
 // 3 bulk DB queries, regardless of how many areas are provided.
-async function resolveAreaHierarchiesBulk(prisma, areaIds) {
+export async function resolveAreaHierarchiesBulk(prisma, areaIds) {
   if (areaIds.length === 0) {
     return new Map()
   }
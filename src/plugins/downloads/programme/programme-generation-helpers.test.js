@@ -24,6 +24,7 @@ vi.mock('../../projects/helpers/area-hierarchy.js', () => ({
 const {
   userS3Key,
   adminS3Key,
+  subscriptionS3Key,
   loadSingleProjectPresenter,
   loadProjectsForFcerm1,
   uploadFcerm1IfAny
@@ -71,12 +72,16 @@ function makePrisma(overrides = {}) {
 // ── userS3Key ─────────────────────────────────────────────────────────────────
 
 describe('userS3Key', () => {
-  test('returns programme/user_{userId}/{filename} path', () => {
-    expect(userS3Key(42, 'fcerm1.xlsx')).toBe('programme/user_42/fcerm1.xlsx')
+  test('returns programme/user_{userId}/{downloadId}/{filename} path', () => {
+    expect(userS3Key(42, 7, 'fcerm1.xlsx')).toBe(
+      'programme/user_42/7/fcerm1.xlsx'
+    )
   })
 
   test('handles string userId', () => {
-    expect(userS3Key('99', 'file.zip')).toBe('programme/user_99/file.zip')
+    expect(userS3Key('99', BigInt(3), 'file.zip')).toBe(
+      'programme/user_99/3/file.zip'
+    )
   })
 })
 
@@ -90,6 +95,16 @@ describe('adminS3Key', () => {
   })
 })
 
+// ── subscriptionS3Key ─────────────────────────────────────────────────────────
+
+describe('subscriptionS3Key', () => {
+  test('returns programme/subscription_{id}/{downloadId}/{filename} path', () => {
+    expect(subscriptionS3Key(BigInt(5), 12, 'fcerm1_proposals.xlsx')).toBe(
+      'programme/subscription_5/12/fcerm1_proposals.xlsx'
+    )
+  })
+})
+
 // ── loadSingleProjectPresenter ────────────────────────────────────────────────
 
 describe('loadSingleProjectPresenter', () => {
@@ -0,0 +1,59 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { config } from '../../../config.js'
+import { getUserDownloadHistory } from './programme-service.js'
+
+function toHistoryEntry(record) {
+  return {
+    downloadId: record.id.toString(),
+    status: record.status,
+    requestedOn: record.requested_on,
+    areaId: record.area_id == null ? null : Number(record.area_id),
+    filters: record.filters ?? null,
+    numberOfProposals: record.number_of_proposals ?? null,
+    numberOfProposalsWithModeration:
+      record.number_of_proposals_with_moderation ?? null,
+    numberOfBenefitAreas: record.number_of_benefit_areas ?? null,
+    hasFcerm1: !!record.fcerm1_filename,
+    hasBenefitAreas: !!record.benefit_areas_filename,
+    hasModerations: !!record.moderation_filename,
+    hasFundingCalculators: !!record.funding_calculator_filename
+  }
+}
+
+/**
+ * GET /api/v1/downloads/programme/history
+ *
+ * Lists the current user's most recent programme downloads, newest first,
+ * with the area and filters each was generated with. Files of a listed
+ * download are fetched with GET /api/v1/downloads/programme/{downloadId}/file/{type}.
+ */
+export const getProgrammeHistory = {
+  method: 'GET',
+  path: '/api/v1/downloads/programme/history',
+  options: {
+    auth: 'jwt',
+    description: 'List user programme download history',
+    tags: ['api', 'downloads', 'programme']
+  },
+  handler: async (request, h) => {
+    const { prisma, logger } = request.server
+    const userId = Number(request.auth.credentials.userId)
+
+    try {
+      const records = await getUserDownloadHistory(
+        prisma,
+        userId,
+        config.get('programmeDownload.historyLimit')
+      )
+
+      return h
+        .response({ downloads: records.map(toHistoryEntry) })
+        .code(HTTP_STATUS.OK)
+    } catch (error) {
+      logger.error({ error, userId }, 'Failed to get programme history')
+      return h
+        .response({ error: 'Failed to retrieve download history' })
+        .code(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    }
+  }
+}
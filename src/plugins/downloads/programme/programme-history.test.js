@@ -0,0 +1,124 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn((key) => (key === 'programmeDownload.historyLimit' ? 5 : null))
+  }
+}))
+
+vi.mock('./programme-service.js', () => ({
+  getUserDownloadHistory: vi.fn()
+}))
+
+const { getUserDownloadHistory } = await import('./programme-service.js')
+const { getProgrammeHistory } = await import('./programme-history.js')
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+function makeH() {
+  const h = { _body: null, _status: null }
+  h.response = vi.fn((body) => {
+    h._body = body
+    return h
+  })
+  h.code = vi.fn((s) => {
+    h._status = s
+    return h
+  })
+  return h
+}
+
+function makeRequest(userId = 7) {
+  return {
+    server: { logger: { error: vi.fn() }, prisma: {} },
+    auth: { credentials: { userId } }
+  }
+}
+
+// ── tests ─────────────────────────────────────────────────────────────────────
+
+describe('getProgrammeHistory route', () => {
+  beforeEach(() => vi.clearAllMocks())
+
+  test('has correct method and path', () => {
+    expect(getProgrammeHistory.method).toBe('GET')
+    expect(getProgrammeHistory.path).toBe('/api/v1/downloads/programme/history')
+  })
+
+  test('lists the user downloads up to the configured limit', async () => {
+    const requestedOn = new Date('2026-03-01')
+    getUserDownloadHistory.mockResolvedValue([
+      {
+        id: BigInt(12),
+        status: 'ready',
+        requested_on: requestedOn,
+        area_id: BigInt(4),
+        filters: { status: ['submitted'] },
+        number_of_proposals: 8,
+        number_of_proposals_with_moderation: 1,
+        number_of_benefit_areas: 3,
+        fcerm1_filename: 'programme/user_7/12/fcerm1_proposals.xlsx',
+        benefit_areas_filename: 'programme/user_7/12/benefit_areas.zip',
+        moderation_filename: null,
+        funding_calculator_filename: null
+      },
+      { id: BigInt(11), status: 'failed', requested_on: requestedOn }
+    ])
+
+    const h = makeH()
+    await getProgrammeHistory.handler(makeRequest(7), h)
+
+    expect(getUserDownloadHistory).toHaveBeenCalledWith(expect.anything(), 7, 5)
+    expect(h._status).toBe(200)
+    expect(h._body.downloads).toEqual([
+      {
+        downloadId: '12',
+        status: 'ready',
+        requestedOn,
+        areaId: 4,
+        filters: { status: ['submitted'] },
+        numberOfProposals: 8,
+        numberOfProposalsWithModeration: 1,
+        numberOfBenefitAreas: 3,
+        hasFcerm1: true,
+        hasBenefitAreas: true,
+        hasModerations: false,
+        hasFundingCalculators: false
+      },
+      {
+        downloadId: '11',
+        status: 'failed',
+        requestedOn,
+        areaId: null,
+        filters: null,
+        numberOfProposals: null,
+        numberOfProposalsWithModeration: null,
+        numberOfBenefitAreas: null,
+        hasFcerm1: false,
+        hasBenefitAreas: false,
+        hasModerations: false,
+        hasFundingCalculators: false
+      }
+    ])
+  })
+
+  test('returns an empty list when the user has no downloads', async () => {
+    getUserDownloadHistory.mockResolvedValue([])
+
+    const h = makeH()
+    await getProgrammeHistory.handler(makeRequest(), h)
+
+    expect(h._body).toEqual({ downloads: [] })
+  })
+
+  test('returns 500 when service throws', async () => {
+    getUserDownloadHistory.mockRejectedValue(new Error('prisma error'))
+
+    const request = makeRequest()
+    const h = makeH()
+    await getProgrammeHistory.handler(request, h)
+
+    expect(h._status).toBe(500)
+    expect(request.server.logger.error).toHaveBeenCalled()
+  })
+})
@@ -1,3 +1,5 @@
+import { REPORT_SUBSCRIPTION_SCOPE } from '../../../common/constants/report-subscriptions.js'
+
 export const DOWNLOAD_STATUS = {
   EMPTY: 'empty',
   GENERATING: 'generating',
@@ -8,23 +10,70 @@ export const DOWNLOAD_STATUS = {
 // Sentinel value: admin system-wide download has user_id = null
 export const ADMIN_USER_ID = null
 
+// Downloads made by a report subscription (subscription_id set) are not part
+// of the owner's history or the shared admin download
+const NOT_SUBSCRIPTION = { subscription_id: null }
+
+// Newest request first; id breaks ties between requests in the same instant
+const USER_HISTORY_ORDER = [{ requested_on: 'desc' }, { id: 'desc' }]
+
 /**
- * Get the current download record for a user.
+ * Get the user's most recently requested download record.
  * Returns null if no record exists yet.
  */
 export async function getUserDownloadRecord(prisma, userId) {
   return prisma.pafs_core_area_downloads.findFirst({
-    where: { user_id: userId, area_id: null },
-    orderBy: { updated_at: 'desc' }
+    where: { user_id: userId, ...NOT_SUBSCRIPTION },
+    orderBy: USER_HISTORY_ORDER
+  })
+}
+
+/**
+ * Get one of the user's download records by id.
+ * Returns null if it does not exist or belongs to another user.
+ */
+export async function getUserDownloadById(prisma, userId, downloadId) {
+  return prisma.pafs_core_area_downloads.findFirst({
+    where: { id: BigInt(downloadId), user_id: userId, ...NOT_SUBSCRIPTION }
+  })
+}
+
+/**
+ * List the user's download records, newest first.
+ */
+export async function getUserDownloadHistory(prisma, userId, limit) {
+  return prisma.pafs_core_area_downloads.findMany({
+    where: { user_id: userId, ...NOT_SUBSCRIPTION },
+    orderBy: USER_HISTORY_ORDER,
+    take: limit
   })
 }
 
+/**
+ * Delete the user's download records beyond the newest `keep`.
+ * Returns the deleted records so their files can be removed from S3.
+ */
+export async function pruneUserDownloads(prisma, userId, keep) {
+  const expired = await prisma.pafs_core_area_downloads.findMany({
+    where: { user_id: userId, ...NOT_SUBSCRIPTION },
+    orderBy: USER_HISTORY_ORDER,
+    skip: keep
+  })
+  if (expired.length === 0) {
+    return []
+  }
+  await prisma.pafs_core_area_downloads.deleteMany({
+    where: { id: { in: expired.map((record) => record.id) } }
+  })
+  return expired
+}
+
 /**
  * Get the shared admin download record (user_id IS NULL).
  */
 export async function getAdminDownloadRecord(prisma) {
   return prisma.pafs_core_area_downloads.findFirst({
-    where: { user_id: ADMIN_USER_ID, area_id: null },
+    where: { user_id: ADMIN_USER_ID, area_id: null, ...NOT_SUBSCRIPTION },
     orderBy: { updated_at: 'desc' }
   })
 }
@@ -42,20 +91,28 @@ export async function getUserAreaIds(prisma, userId) {
 }
 
 /**
- * Create a new generating record for a user, replacing any previous one.
+ * Create a new generating record for a user. Previous records are kept as
+ * the user's download history (see pruneUserDownloads).
+ * @param {Object} prisma
+ * @param {number} userId
+ * @param {number} proposalCount
+ * @param {Object} [scope]
+ * @param {number|null} [scope.areaId] - Area the download is limited to
+ * @param {Object|null} [scope.filters] - See programme-filters.js
  */
-export async function startUserDownload(prisma, userId, proposalCount) {
+export async function startUserDownload(
+  prisma,
+  userId,
+  proposalCount,
+  { areaId = null, filters = null } = {}
+) {
   const now = new Date()
 
-  // Delete any previous record for this user so we have one record per user
-  await prisma.pafs_core_area_downloads.deleteMany({
-    where: { user_id: userId, area_id: null }
-  })
-
   return prisma.pafs_core_area_downloads.create({
     data: {
       user_id: userId,
-      area_id: null,
+      area_id: areaId,
+      filters: filters ?? undefined,
       status: DOWNLOAD_STATUS.GENERATING,
       requested_on: now,
       number_of_proposals: proposalCount,
@@ -70,19 +127,14 @@ export async function startUserDownload(prisma, userId, proposalCount) {
 
 /**
  * Create or replace the shared admin generating record.
- * requestingUserId is stored in number_of_proposals_with_moderation as a
- * temporary carrier (repurposed) — we look it up at generation time for email.
- * A cleaner approach would add a dedicated column, but this avoids a migration.
+ * The requesting admin is not stored — the generation job receives their
+ * user ID in its queue message and uses it for the completion email.
  */
-export async function startAdminDownload(
-  prisma,
-  requestingUserId,
-  proposalCount
-) {
+export async function startAdminDownload(prisma, proposalCount) {
   const now = new Date()
 
   await prisma.pafs_core_area_downloads.deleteMany({
-    where: { user_id: ADMIN_USER_ID, area_id: null }
+    where: { user_id: ADMIN_USER_ID, area_id: null, ...NOT_SUBSCRIPTION }
   })
 
   return prisma.pafs_core_area_downloads.create({
@@ -92,9 +144,6 @@ export async function startAdminDownload(
       status: DOWNLOAD_STATUS.GENERATING,
       requested_on: now,
       number_of_proposals: proposalCount,
-      // Repurpose this nullable field to carry the requesting admin's user ID
-      // so the background job can look up their email address.
-      number_of_proposals_with_moderation: requestingUserId,
       progress_current: 0,
       progress_total: proposalCount,
       progress_message: 'Starting generation...',
@@ -104,6 +153,65 @@ export async function startAdminDownload(
   })
 }
 
+/**
+ * Create the generating record for a report subscription run. Each run has
+ * its own record, so it never replaces the shared admin download or shows
+ * in the owner's history.
+ * @param {Object} prisma
+ * @param {Object} subscription - pafs_core_report_subscriptions row
+ * @param {number} proposalCount
+ */
+export async function startSubscriptionDownload(
+  prisma,
+  subscription,
+  proposalCount
+) {
+  const now = new Date()
+  const isAdmin = subscription.scope === REPORT_SUBSCRIPTION_SCOPE.ADMIN
+
+  return prisma.pafs_core_area_downloads.create({
+    data: {
+      user_id: isAdmin ? ADMIN_USER_ID : Number(subscription.user_id),
+      subscription_id: subscription.id,
+      area_id:
+        subscription.area_id == null ? null : Number(subscription.area_id),
+      filters: subscription.filters ?? undefined,
+      status: DOWNLOAD_STATUS.GENERATING,
+      requested_on: now,
+      number_of_proposals: proposalCount,
+      progress_current: 0,
+      progress_total: proposalCount,
+      progress_message: 'Starting generation...',
+      created_at: now,
+      updated_at: now
+    }
+  })
+}
+
+/**
+ * Delete the subscription's download records requested before `before`.
+ * Returns the deleted records so their files can be removed from S3.
+ */
+export async function pruneSubscriptionDownloads(
+  prisma,
+  subscriptionId,
+  before
+) {
+  const expired = await prisma.pafs_core_area_downloads.findMany({
+    where: {
+      subscription_id: BigInt(subscriptionId),
+      requested_on: { lt: before }
+    }
+  })
+  if (expired.length === 0) {
+    return []
+  }
+  await prisma.pafs_core_area_downloads.deleteMany({
+    where: { id: { in: expired.map((record) => record.id) } }
+  })
+  return expired
+}
+
 export async function updateDownloadRecord(prisma, id, updates) {
   return prisma.pafs_core_area_downloads.update({
     where: { id },
@@ -3,10 +3,15 @@ import {
   DOWNLOAD_STATUS,
   ADMIN_USER_ID,
   getUserDownloadRecord,
+  getUserDownloadById,
+  getUserDownloadHistory,
+  pruneUserDownloads,
   getAdminDownloadRecord,
   getUserAreaIds,
   startUserDownload,
   startAdminDownload,
+  startSubscriptionDownload,
+  pruneSubscriptionDownloads,
   updateDownloadRecord
 } from './programme-records.js'
 
@@ -18,6 +23,7 @@ describe('programme-records', () => {
     mockPrisma = {
       pafs_core_area_downloads: {
         findFirst: vi.fn(),
+        findMany: vi.fn(),
         deleteMany: vi.fn(),
         create: vi.fn(),
         update: vi.fn()
@@ -60,8 +66,8 @@ describe('programme-records', () => {
       expect(
         mockPrisma.pafs_core_area_downloads.findFirst
       ).toHaveBeenCalledWith({
-        where: { user_id: 42, area_id: null },
-        orderBy: { updated_at: 'desc' }
+        where: { user_id: 42, subscription_id: null },
+        orderBy: [{ requested_on: 'desc' }, { id: 'desc' }]
       })
     })
 
@@ -81,11 +87,87 @@ describe('programme-records', () => {
       expect(
         mockPrisma.pafs_core_area_downloads.findFirst
       ).toHaveBeenCalledWith(
-        expect.objectContaining({ where: { user_id: 123, area_id: null } })
+        expect.objectContaining({
+          where: { user_id: 123, subscription_id: null }
+        })
+      )
+    })
+  })
+
+  // ── getUserDownloadById ───────────────────────────────────────────────────────
+
+  describe('getUserDownloadById', () => {
+    it('looks the record up by id within the user downloads', async () => {
+      const mockRecord = { id: 3n, user_id: 42 }
+      mockPrisma.pafs_core_area_downloads.findFirst.mockResolvedValue(
+        mockRecord
+      )
+
+      const result = await getUserDownloadById(mockPrisma, 42, 3)
+
+      expect(result).toBe(mockRecord)
+      expect(
+        mockPrisma.pafs_core_area_downloads.findFirst
+      ).toHaveBeenCalledWith({
+        where: { id: 3n, user_id: 42, subscription_id: null }
+      })
+    })
+  })
+
+  // ── getUserDownloadHistory ────────────────────────────────────────────────────
+
+  describe('getUserDownloadHistory', () => {
+    it('lists the newest user downloads up to the limit', async () => {
+      const records = [{ id: 2n }, { id: 1n }]
+      mockPrisma.pafs_core_area_downloads.findMany.mockResolvedValue(records)
+
+      const result = await getUserDownloadHistory(mockPrisma, 42, 5)
+
+      expect(result).toBe(records)
+      expect(mockPrisma.pafs_core_area_downloads.findMany).toHaveBeenCalledWith(
+        {
+          where: { user_id: 42, subscription_id: null },
+          orderBy: [{ requested_on: 'desc' }, { id: 'desc' }],
+          take: 5
+        }
       )
     })
   })
 
+  // ── pruneUserDownloads ────────────────────────────────────────────────────────
+
+  describe('pruneUserDownloads', () => {
+    it('deletes the records beyond the newest kept and returns them', async () => {
+      const expired = [{ id: 2n }, { id: 1n }]
+      mockPrisma.pafs_core_area_downloads.findMany.mockResolvedValue(expired)
+
+      const result = await pruneUserDownloads(mockPrisma, 42, 5)
+
+      expect(result).toBe(expired)
+      expect(mockPrisma.pafs_core_area_downloads.findMany).toHaveBeenCalledWith(
+        {
+          where: { user_id: 42, subscription_id: null },
+          orderBy: [{ requested_on: 'desc' }, { id: 'desc' }],
+          skip: 5
+        }
+      )
+      expect(
+        mockPrisma.pafs_core_area_downloads.deleteMany
+      ).toHaveBeenCalledWith({ where: { id: { in: [2n, 1n] } } })
+    })
+
+    it('deletes nothing when the history is within the limit', async () => {
+      mockPrisma.pafs_core_area_downloads.findMany.mockResolvedValue([])
+
+      const result = await pruneUserDownloads(mockPrisma, 42, 5)
+
+      expect(result).toEqual([])
+      expect(
+        mockPrisma.pafs_core_area_downloads.deleteMany
+      ).not.toHaveBeenCalled()
+    })
+  })
+
   // ── getAdminDownloadRecord ────────────────────────────────────────────────────
 
   describe('getAdminDownloadRecord', () => {
@@ -101,7 +183,7 @@ describe('programme-records', () => {
       expect(
         mockPrisma.pafs_core_area_downloads.findFirst
       ).toHaveBeenCalledWith({
-        where: { user_id: null, area_id: null },
+        where: { user_id: null, area_id: null, subscription_id: null },
         orderBy: { updated_at: 'desc' }
       })
     })
@@ -173,11 +255,8 @@ describe('programme-records', () => {
   // ── startUserDownload ─────────────────────────────────────────────────────────
 
   describe('startUserDownload', () => {
-    it('deletes previous records then creates a generating record', async () => {
+    it('creates a generating record and keeps previous records', async () => {
       const mockRecord = { id: 1, status: 'generating' }
-      mockPrisma.pafs_core_area_downloads.deleteMany.mockResolvedValue({
-        count: 0
-      })
       mockPrisma.pafs_core_area_downloads.create.mockResolvedValue(mockRecord)
 
       const result = await startUserDownload(mockPrisma, 42, 10)
@@ -185,9 +264,7 @@ describe('programme-records', () => {
       expect(result).toBe(mockRecord)
       expect(
         mockPrisma.pafs_core_area_downloads.deleteMany
-      ).toHaveBeenCalledWith({
-        where: { user_id: 42, area_id: null }
-      })
+      ).not.toHaveBeenCalled()
       expect(mockPrisma.pafs_core_area_downloads.create).toHaveBeenCalledWith(
         expect.objectContaining({
           data: expect.objectContaining({
@@ -203,8 +280,19 @@ describe('programme-records', () => {
       )
     })
 
+    it('stores the area and filters the download is scoped to', async () => {
+      mockPrisma.pafs_core_area_downloads.create.mockResolvedValue({})
+      const filters = { status: ['submitted'] }
+
+      await startUserDownload(mockPrisma, 42, 3, { areaId: 12, filters })
+
+      const { data } =
+        mockPrisma.pafs_core_area_downloads.create.mock.calls[0][0]
+      expect(data.area_id).toBe(12)
+      expect(data.filters).toBe(filters)
+    })
+
     it('sets requested_on, created_at and updated_at to the same Date instance', async () => {
-      mockPrisma.pafs_core_area_downloads.deleteMany.mockResolvedValue({})
       mockPrisma.pafs_core_area_downloads.create.mockResolvedValue({})
 
       await startUserDownload(mockPrisma, 42, 5)
@@ -219,7 +307,6 @@ describe('programme-records', () => {
     })
 
     it('initialises progress_current to 0 regardless of proposalCount', async () => {
-      mockPrisma.pafs_core_area_downloads.deleteMany.mockResolvedValue({})
       mockPrisma.pafs_core_area_downloads.create.mockResolvedValue({})
 
       await startUserDownload(mockPrisma, 7, 250)
@@ -239,7 +326,7 @@ describe('programme-records', () => {
       mockPrisma.pafs_core_area_downloads.deleteMany.mockResolvedValue({})
       mockPrisma.pafs_core_area_downloads.create.mockResolvedValue(mockRecord)
 
-      const result = await startAdminDownload(mockPrisma, 7, 100)
+      const result = await startAdminDownload(mockPrisma, 100)
 
       expect(result).toBe(mockRecord)
       expect(mockPrisma.pafs_core_area_downloads.create).toHaveBeenCalledWith(
@@ -249,7 +336,6 @@ describe('programme-records', () => {
             area_id: null,
             status: DOWNLOAD_STATUS.GENERATING,
             number_of_proposals: 100,
-            number_of_proposals_with_moderation: 7,
             progress_current: 0,
             progress_total: 100,
             progress_message: 'Starting generation...'
@@ -264,27 +350,119 @@ describe('programme-records', () => {
       })
       mockPrisma.pafs_core_area_downloads.create.mockResolvedValue({})
 
-      await startAdminDownload(mockPrisma, 5, 50)
+      await startAdminDownload(mockPrisma, 50)
 
       expect(
         mockPrisma.pafs_core_area_downloads.deleteMany
       ).toHaveBeenCalledWith({
-        where: { user_id: null, area_id: null }
+        where: { user_id: null, area_id: null, subscription_id: null }
       })
       expect(
         mockPrisma.pafs_core_area_downloads.deleteMany
       ).toHaveBeenCalledTimes(1)
     })
 
-    it('stores the requesting user ID in number_of_proposals_with_moderation', async () => {
+    it('leaves number_of_proposals_with_moderation for generation to fill', async () => {
       mockPrisma.pafs_core_area_downloads.deleteMany.mockResolvedValue({})
       mockPrisma.pafs_core_area_downloads.create.mockResolvedValue({})
 
-      await startAdminDownload(mockPrisma, 42, 10)
+      await startAdminDownload(mockPrisma, 10)
+
+      const { data } =
+        mockPrisma.pafs_core_area_downloads.create.mock.calls[0][0]
+      expect(data).not.toHaveProperty('number_of_proposals_with_moderation')
+    })
+  })
+
+  // ── startSubscriptionDownload ─────────────────────────────────────────────────
+
+  describe('startSubscriptionDownload', () => {
+    const subscription = {
+      id: 3n,
+      user_id: 42n,
+      scope: 'user',
+      area_id: 7n,
+      filters: { status: ['submitted'] }
+    }
+
+    it("creates a separate record for the owner's filtered report", async () => {
+      const mockRecord = { id: 101n, status: 'generating' }
+      mockPrisma.pafs_core_area_downloads.create.mockResolvedValue(mockRecord)
+
+      const result = await startSubscriptionDownload(
+        mockPrisma,
+        subscription,
+        12
+      )
+
+      expect(result).toBe(mockRecord)
+      expect(mockPrisma.pafs_core_area_downloads.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          user_id: 42,
+          subscription_id: 3n,
+          area_id: 7,
+          filters: { status: ['submitted'] },
+          status: DOWNLOAD_STATUS.GENERATING,
+          number_of_proposals: 12,
+          progress_total: 12
+        })
+      })
+      expect(
+        mockPrisma.pafs_core_area_downloads.deleteMany
+      ).not.toHaveBeenCalled()
+    })
+
+    it('leaves the shared admin record alone for the admin report', async () => {
+      mockPrisma.pafs_core_area_downloads.create.mockResolvedValue({})
+
+      await startSubscriptionDownload(
+        mockPrisma,
+        { ...subscription, scope: 'admin', area_id: null, filters: null },
+        300
+      )
 
       const { data } =
         mockPrisma.pafs_core_area_downloads.create.mock.calls[0][0]
-      expect(data.number_of_proposals_with_moderation).toBe(42)
+      expect(data).toMatchObject({
+        user_id: null,
+        subscription_id: 3n,
+        area_id: null
+      })
+      expect(
+        mockPrisma.pafs_core_area_downloads.deleteMany
+      ).not.toHaveBeenCalled()
+    })
+  })
+
+  // ── pruneSubscriptionDownloads ────────────────────────────────────────────────
+
+  describe('pruneSubscriptionDownloads', () => {
+    const before = new Date('2026-10-12T07:00:00Z')
+
+    it('deletes the runs requested before the cut-off and returns them', async () => {
+      const expired = [{ id: 8n }, { id: 6n }]
+      mockPrisma.pafs_core_area_downloads.findMany.mockResolvedValue(expired)
+
+      const result = await pruneSubscriptionDownloads(mockPrisma, 3n, before)
+
+      expect(result).toBe(expired)
+      expect(mockPrisma.pafs_core_area_downloads.findMany).toHaveBeenCalledWith(
+        { where: { subscription_id: 3n, requested_on: { lt: before } } }
+      )
+      expect(
+        mockPrisma.pafs_core_area_downloads.deleteMany
+      ).toHaveBeenCalledWith({ where: { id: { in: [8n, 6n] } } })
+    })
+
+    it('deletes nothing when no run has expired', async () => {
+      mockPrisma.pafs_core_area_downloads.findMany.mockResolvedValue([])
+
+      const result = await pruneSubscriptionDownloads(mockPrisma, 3n, before)
+
+      expect(result).toEqual([])
+      expect(
+        mockPrisma.pafs_core_area_downloads.deleteMany
+      ).not.toHaveBeenCalled()
     })
   })
 
@@ -2,9 +2,14 @@ import { SendMessageCommand } from '@aws-sdk/client-sqs'
 import { config } from '../../../config.js'
 import { getS3Service } from '../../../common/services/file-upload/s3-service.js'
 import { getEmailService } from '../../../common/services/email/notify-service.js'
+import { NOTIFICATION_TYPES } from '../../../common/constants/notifications.js'
+import { REPORT_SUBSCRIPTION_SCOPE } from '../../../common/constants/report-subscriptions.js'
+import { NotificationService } from '../../notifications/services/notification-service.js'
+import { findAuthorisedRecipients } from '../../report-subscriptions/helpers/recipient-access.js'
 import {
   userS3Key,
   adminS3Key,
+  subscriptionS3Key,
   loadProjectsForFcerm1,
   uploadFcerm1IfAny
 } from './programme-generation-helpers.js'
@@ -12,25 +17,54 @@ import {
   uploadUserBenefitAreas,
   uploadAdminBenefitAreas
 } from './benefit-area-upload-helpers.js'
+import {
+  uploadUserModerations,
+  uploadAdminModerations
+} from './moderation-upload-helpers.js'
+import {
+  uploadUserFundingCalculators,
+  uploadAdminFundingCalculators
+} from './funding-calculator-upload-helpers.js'
 import {
   DOWNLOAD_STATUS as DownloadStatus,
   getAdminDownloadRecord,
+  pruneUserDownloads,
+  pruneSubscriptionDownloads,
   updateDownloadRecord
 } from './programme-records.js'
+import {
+  countProgrammeProjects,
+  findProgrammeProjectIds
+} from './programme-filters.js'
+import { getProjectCountsForUser } from './programme-counts.js'
 import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
 
 // Frontend download page path — both user and admin land on the same page
 const DOWNLOAD_PATH = '/downloads'
 
+// Download name of the spreadsheet linked from report subscription emails
+const SUBSCRIPTION_FILE_LABEL = 'All_Proposals.xlsx'
+
+// Record columns holding the S3 key of each generated file
+const DOWNLOAD_FILE_FIELDS = [
+  'fcerm1_filename',
+  'benefit_areas_filename',
+  'moderation_filename',
+  'funding_calculator_filename'
+]
+
 // ── Re-exports — keeps all existing consumers unchanged ──────────────────────
 
 export {
   DOWNLOAD_STATUS,
   ADMIN_USER_ID,
   getUserDownloadRecord,
+  getUserDownloadById,
+  getUserDownloadHistory,
   getAdminDownloadRecord,
   startUserDownload,
-  startAdminDownload
+  startAdminDownload,
+  startSubscriptionDownload
 } from './programme-records.js'
 export {
   getProjectCountsForUser,
@@ -101,6 +135,10 @@ async function sendDownloadEmail(
   }
 }
 
+/**
+ * Write the in-app notification for a finished download, then email the user
+ * unless they have switched programme download emails off.
+ */
 async function notifyByEmail(
   prisma,
   logger,
@@ -112,6 +150,22 @@ async function notifyByEmail(
   if (!userId) {
     return
   }
+  const type = isSuccess
+    ? NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY
+    : NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_FAILED
+  const notificationService = new NotificationService(prisma, logger)
+  await notificationService.create({
+    userId,
+    type,
+    title: isSuccess
+      ? 'Your programme download is ready'
+      : 'Your programme download failed',
+    link: DOWNLOAD_PATH,
+    metadata: { requestedOn: requestedOn ?? null }
+  })
+  if (!(await notificationService.isEmailEnabled(userId, type))) {
+    return
+  }
   const details = await getUserEmailDetails(prisma, userId)
   if (details?.email) {
     await sendDownloadEmail(
@@ -126,13 +180,187 @@ async function notifyByEmail(
   }
 }
 
+/**
+ * Link emailed to report subscription recipients: a presigned URL for the
+ * spreadsheet when there is one, otherwise the download page.
+ */
+async function getRecipientDownloadUrl(logger, s3Bucket, s3Key, isSuccess) {
+  const downloadPageUrl = `${config.get('frontendUrl')}${DOWNLOAD_PATH}`
+  if (!isSuccess || !s3Key) {
+    return downloadPageUrl
+  }
+  try {
+    return await getS3Service(logger).getPresignedDownloadUrl(
+      s3Bucket,
+      s3Key,
+      config.get('reportSubscriptions.linkExpirySeconds'),
+      SUBSCRIPTION_FILE_LABEL
+    )
+  } catch (err) {
+    logger.error({ err, s3Key }, 'Failed to presign report subscription link')
+    return downloadPageUrl
+  }
+}
+
+/**
+ * Email the recipients of a report subscription run. Recipients are checked
+ * again here, since the link gives access to the file without signing in
+ * and their access may have changed since they were added.
+ */
+async function notifyRecipients(
+  prisma,
+  logger,
+  {
+    recipients,
+    scope,
+    ownerId,
+    areaId,
+    requestedOn,
+    s3Bucket,
+    s3Key,
+    isSuccess
+  }
+) {
+  let users = []
+  try {
+    const { authorised } = await findAuthorisedRecipients(prisma, logger, {
+      recipients,
+      scope,
+      ownerId,
+      areaId
+    })
+    users = authorised
+  } catch (err) {
+    logger.error({ err }, 'Failed to look up report subscription recipients')
+    return
+  }
+  if (users.length < recipients.length) {
+    logger.warn(
+      { recipients: recipients.length, authorised: users.length },
+      'Skipping report subscription recipients without access to the report'
+    )
+  }
+  if (users.length === 0) {
+    return
+  }
+
+  const downloadUrl = await getRecipientDownloadUrl(
+    logger,
+    s3Bucket,
+    s3Key,
+    isSuccess
+  )
+  for (const user of users) {
+    await sendDownloadEmail(
+      logger,
+      user.email,
+      user.first_name,
+      user.last_name,
+      requestedOn,
+      downloadUrl,
+      isSuccess
+    )
+  }
+}
+
+/**
+ * Tell whoever is waiting for a finished generation: the recipients when it
+ * was run for a report subscription, otherwise the user who requested it.
+ */
+async function notifyCompletion(
+  prisma,
+  logger,
+  {
+    userId,
+    recipients,
+    scope = REPORT_SUBSCRIPTION_SCOPE.USER,
+    areaId = null,
+    requestedOn,
+    s3Bucket,
+    s3Key,
+    isSuccess
+  }
+) {
+  if (recipients?.length) {
+    await notifyRecipients(prisma, logger, {
+      recipients,
+      scope,
+      ownerId: userId,
+      areaId,
+      requestedOn,
+      s3Bucket,
+      s3Key,
+      isSuccess
+    })
+    return
+  }
+  const downloadUrl = `${config.get('frontendUrl')}${DOWNLOAD_PATH}`
+  await notifyByEmail(
+    prisma,
+    logger,
+    userId,
+    requestedOn,
+    downloadUrl,
+    isSuccess
+  )
+}
+
+// ── Proposal counts ───────────────────────────────────────────────────────────
+
+/**
+ * Number of proposals a user download will cover, recorded when it is
+ * requested. Without an area or filters this is every project in the
+ * user's areas.
+ * @param {Object} prisma
+ * @param {Object} logger
+ * @param {Object} params
+ * @param {number} params.userId
+ * @param {number[]} params.areaIds - The user's accessible RMA areas
+ * @param {number|null} [params.areaId] - Area the download is narrowed to
+ * @param {import('./programme-filters.js').ProgrammeFilters|null} [params.filters]
+ * @returns {Promise<number>}
+ */
+export async function countUserDownloadProposals(
+  prisma,
+  logger,
+  { userId, areaIds, areaId = null, filters = null }
+) {
+  if (!areaId && !filters) {
+    const projectCounts = await getProjectCountsForUser(prisma, userId, logger)
+    return projectCounts.total
+  }
+  return countProgrammeProjects(
+    prisma,
+    logger,
+    areaId ? [areaId] : areaIds,
+    filters
+  )
+}
+
 // ── Shared generation helpers ─────────────────────────────────────────────────
 
-async function fetchUserProjectIds(prisma, userId, logger) {
-  const areaIds = await resolveAccessibleAreaIdsForUser(prisma, logger, userId)
+async function fetchUserProjectIds(
+  prisma,
+  userId,
+  logger,
+  { areaId = null, filters = null } = {}
+) {
+  const accessibleAreaIds = await resolveAccessibleAreaIdsForUser(
+    prisma,
+    logger,
+    userId
+  )
+  // The area was checked when the download was requested; checking again
+  // here drops it if the user has since lost access
+  const areaIds = areaId
+    ? accessibleAreaIds.filter((id) => Number(id) === Number(areaId))
+    : accessibleAreaIds
   if (areaIds.length === 0) {
     return []
   }
+  if (filters) {
+    return findProgrammeProjectIds(prisma, logger, areaIds, filters)
+  }
   const rows = await prisma.pafs_core_area_projects.findMany({
     where: { area_id: { in: areaIds } },
     select: { project_id: true }
@@ -140,6 +368,110 @@ async function fetchUserProjectIds(prisma, userId, logger) {
   return rows.map((r) => r.project_id)
 }
 
+// Delete the S3 files of removed download records; returns how many
+async function deleteDownloadFiles(s3Service, s3Bucket, records) {
+  const s3Keys = records.flatMap((record) =>
+    DOWNLOAD_FILE_FIELDS.map((field) => record[field]).filter(Boolean)
+  )
+  await Promise.all(
+    s3Keys.map((s3Key) => s3Service.deleteObject(s3Bucket, s3Key))
+  )
+  return s3Keys.length
+}
+
+/**
+ * Keep the newest downloads in the user's history and delete the files of
+ * the rest. Fails silently — pruning must never fail a finished download.
+ */
+async function pruneUserHistory(prisma, logger, s3Service, s3Bucket, userId) {
+  try {
+    const expired = await pruneUserDownloads(
+      prisma,
+      userId,
+      config.get('programmeDownload.historyLimit')
+    )
+    const files = await deleteDownloadFiles(s3Service, s3Bucket, expired)
+    if (expired.length > 0) {
+      logger.info(
+        { userId, pruned: expired.length, files },
+        'Pruned user programme download history'
+      )
+    }
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to prune programme download history')
+  }
+}
+
+/**
+ * Delete the subscription's earlier runs once their emailed links have
+ * expired. Fails silently, like pruneUserHistory.
+ */
+async function pruneSubscriptionHistory(
+  prisma,
+  logger,
+  s3Service,
+  s3Bucket,
+  subscriptionId
+) {
+  try {
+    const before = new Date(
+      Date.now() - config.get('reportSubscriptions.linkExpirySeconds') * 1000
+    )
+    const expired = await pruneSubscriptionDownloads(
+      prisma,
+      subscriptionId,
+      before
+    )
+    const files = await deleteDownloadFiles(s3Service, s3Bucket, expired)
+    if (expired.length > 0) {
+      logger.info(
+        { subscriptionId, pruned: expired.length, files },
+        'Pruned report subscription downloads'
+      )
+    }
+  } catch (err) {
+    logger.error(
+      { err, subscriptionId },
+      'Failed to prune report subscription downloads'
+    )
+  }
+}
+
+/**
+ * Mark a report subscription run complete. Subscription runs only produce
+ * the FCERM1 spreadsheet that is emailed to the recipients.
+ */
+async function finaliseSubscriptionDownload({
+  prisma,
+  logger,
+  downloadId,
+  s3Bucket,
+  subscriptionId,
+  count,
+  fcerm1Filename
+}) {
+  await updateDownloadRecord(prisma, downloadId, {
+    status: DownloadStatus.READY,
+    number_of_proposals: count,
+    fcerm1_filename: fcerm1Filename,
+    progress_current: count,
+    progress_message: 'Complete'
+  })
+
+  logger.info(
+    { downloadId, subscriptionId, count },
+    'Report subscription generation complete'
+  )
+
+  await pruneSubscriptionHistory(
+    prisma,
+    logger,
+    getS3Service(logger),
+    s3Bucket,
+    subscriptionId
+  )
+}
+
 async function loadAllProjectsInBatches(
   prisma,
   projectIds,
@@ -169,12 +501,22 @@ export async function runUserGeneration({
   userId,
   downloadId,
   s3Bucket,
-  requestedOn
+  requestedOn,
+  areaId = null,
+  filters = null,
+  subscriptionId = null,
+  recipients = null
 }) {
   try {
-    logger.info({ userId, downloadId }, 'Starting user programme generation')
+    logger.info(
+      { userId, downloadId, areaId, filters, subscriptionId },
+      'Starting user programme generation'
+    )
 
-    const projectIds = await fetchUserProjectIds(prisma, userId, logger)
+    const projectIds = await fetchUserProjectIds(prisma, userId, logger, {
+      areaId,
+      filters
+    })
 
     await updateDownloadRecord(prisma, downloadId, {
       progress_message: `Loading ${projectIds.length} projects...`,
@@ -189,19 +531,65 @@ export async function runUserGeneration({
     })
 
     const s3Service = getS3Service(logger)
-    const fcerm1Key = userS3Key(userId, 'fcerm1_proposals.xlsx')
+    const fcerm1Key = subscriptionId
+      ? subscriptionS3Key(subscriptionId, downloadId, 'fcerm1_proposals.xlsx')
+      : userS3Key(userId, downloadId, 'fcerm1_proposals.xlsx')
     const fcerm1Filename = await uploadFcerm1IfAny(
       s3Service,
       s3Bucket,
       fcerm1Key,
       presenters
     )
+
+    if (subscriptionId) {
+      await finaliseSubscriptionDownload({
+        prisma,
+        logger,
+        downloadId,
+        s3Bucket,
+        subscriptionId,
+        count: presenters.length,
+        fcerm1Filename
+      })
+      await notifyCompletion(prisma, logger, {
+        userId,
+        recipients,
+        areaId,
+        requestedOn,
+        s3Bucket,
+        s3Key: fcerm1Filename,
+        isSuccess: true
+      })
+      return
+    }
+
     const { filename: benefitAreasFilename, count: benefitAreasCount } =
       await uploadUserBenefitAreas(
         prisma,
         s3Service,
         s3Bucket,
         userId,
+        downloadId,
+        projectIds,
+        logger
+      )
+    const { filename: moderationFilename, count: moderationCount } =
+      await uploadUserModerations(
+        prisma,
+        s3Service,
+        s3Bucket,
+        userId,
+        downloadId,
+        projectIds,
+        logger
+      )
+    const { filename: fundingCalculatorFilename } =
+      await uploadUserFundingCalculators(
+        prisma,
+        s3Service,
+        s3Bucket,
+        userId,
+        downloadId,
         projectIds,
         logger
       )
@@ -210,8 +598,11 @@ export async function runUserGeneration({
       status: DownloadStatus.READY,
       number_of_proposals: presenters.length,
       number_of_benefit_areas: benefitAreasCount,
+      number_of_proposals_with_moderation: moderationCount,
       fcerm1_filename: fcerm1Filename,
       benefit_areas_filename: benefitAreasFilename,
+      moderation_filename: moderationFilename,
+      funding_calculator_filename: fundingCalculatorFilename,
       progress_current: presenters.length,
       progress_message: 'Complete'
     })
@@ -221,8 +612,16 @@ export async function runUserGeneration({
       'User programme generation complete'
     )
 
-    const downloadUrl = `${config.get('frontendUrl')}${DOWNLOAD_PATH}`
-    await notifyByEmail(prisma, logger, userId, requestedOn, downloadUrl, true)
+    await pruneUserHistory(prisma, logger, s3Service, s3Bucket, userId)
+
+    await notifyCompletion(prisma, logger, {
+      userId,
+      recipients,
+      requestedOn,
+      s3Bucket,
+      s3Key: fcerm1Filename,
+      isSuccess: true
+    })
   } catch (err) {
     logger.error(
       { err, userId, downloadId },
@@ -234,13 +633,27 @@ export async function runUserGeneration({
       progress_message: 'Generation failed'
     }).catch(() => {})
 
-    const downloadUrl = `${config.get('frontendUrl')}${DOWNLOAD_PATH}`
-    await notifyByEmail(prisma, logger, userId, requestedOn, downloadUrl, false)
+    await notifyCompletion(prisma, logger, {
+      userId,
+      recipients,
+      areaId,
+      requestedOn,
+      isSuccess: false
+    })
   }
 }
 
 export async function queueUserGeneration(params, sqs) {
-  const { downloadId, userId, s3Bucket, requestedOn } = params
+  const {
+    downloadId,
+    userId,
+    s3Bucket,
+    requestedOn,
+    areaId,
+    filters,
+    subscriptionId,
+    recipients
+  } = params
   await sqs.send(
     new SendMessageCommand({
       QueueUrl: config.get('sqsProgrammeGeneration.queueUrl'),
@@ -249,7 +662,11 @@ export async function queueUserGeneration(params, sqs) {
         downloadId: downloadId.toString(),
         userId,
         s3Bucket,
-        requestedOn
+        requestedOn,
+        areaId: areaId ?? null,
+        filters: filters ?? null,
+        subscriptionId: subscriptionId?.toString() ?? null,
+        recipients: recipients ?? null
       })
     })
   )
@@ -261,7 +678,8 @@ async function generateAdminSpreadsheet({
   prisma,
   logger,
   downloadId,
-  s3Bucket
+  s3Bucket,
+  fcerm1Key
 }) {
   const stateRows = await prisma.pafs_core_states.findMany({
     where: { state: { not: 'archived' } },
@@ -287,7 +705,6 @@ async function generateAdminSpreadsheet({
     logger
   )
 
-  const fcerm1Key = adminS3Key('all_proposals.xlsx')
   const fcerm1Filename = await uploadFcerm1IfAny(
     s3Service,
     s3Bucket,
@@ -316,6 +733,22 @@ async function finaliseAdminDownload({
       projectIds,
       logger
     )
+  const { filename: moderationFilename, count: moderationCount } =
+    await uploadAdminModerations(
+      prisma,
+      s3Service,
+      s3Bucket,
+      projectIds,
+      logger
+    )
+  const { filename: fundingCalculatorFilename } =
+    await uploadAdminFundingCalculators(
+      prisma,
+      s3Service,
+      s3Bucket,
+      projectIds,
+      logger
+    )
 
   await updateDownloadRecord(prisma, downloadId, {
     status: DownloadStatus.READY,
@@ -323,12 +756,15 @@ async function finaliseAdminDownload({
     fcerm1_filename: fcerm1Filename,
     benefit_areas_filename: benefitAreasFilename,
     number_of_benefit_areas: benefitAreasCount,
+    moderation_filename: moderationFilename,
+    number_of_proposals_with_moderation: moderationCount,
+    funding_calculator_filename: fundingCalculatorFilename,
     progress_current: projectIds.length,
     progress_message: 'Complete'
   })
 
   logger.info(
-    { downloadId, count, benefitAreasCount },
+    { downloadId, count, benefitAreasCount, moderationCount },
     'Admin programme generation complete'
   )
 }
@@ -339,11 +775,14 @@ export async function runAdminGeneration({
   downloadId,
   s3Bucket,
   requestingUserId,
-  requestedOn
+  requestedOn,
+  subscriptionId = null,
+  recipients = null
 }) {
   // Guard against duplicate concurrent jobs — if another job already moved the
   // record to GENERATING after this one was queued, abort silently.
-  const current = await getAdminDownloadRecord(prisma)
+  // Subscription runs have their own record, so are never duplicates.
+  const current = subscriptionId ? null : await getAdminDownloadRecord(prisma)
   if (
     current?.status === DownloadStatus.GENERATING &&
     current.id !== downloadId
@@ -355,35 +794,54 @@ export async function runAdminGeneration({
     return
   }
 
-  const downloadUrl = `${config.get('frontendUrl')}${DOWNLOAD_PATH}`
-
   try {
     logger.info(
-      { downloadId, requestingUserId },
+      { downloadId, requestingUserId, subscriptionId },
       'Starting admin programme generation'
     )
 
     const { count, fcerm1Filename, projectIds } =
-      await generateAdminSpreadsheet({ prisma, logger, downloadId, s3Bucket })
+      await generateAdminSpreadsheet({
+        prisma,
+        logger,
+        downloadId,
+        s3Bucket,
+        fcerm1Key: subscriptionId
+          ? subscriptionS3Key(subscriptionId, downloadId, 'all_proposals.xlsx')
+          : adminS3Key('all_proposals.xlsx')
+      })
 
-    await finaliseAdminDownload({
-      prisma,
-      logger,
-      downloadId,
-      s3Bucket,
-      count,
-      fcerm1Filename,
-      projectIds
-    })
+    if (subscriptionId) {
+      await finaliseSubscriptionDownload({
+        prisma,
+        logger,
+        downloadId,
+        s3Bucket,
+        subscriptionId,
+        count,
+        fcerm1Filename
+      })
+    } else {
+      await finaliseAdminDownload({
+        prisma,
+        logger,
+        downloadId,
+        s3Bucket,
+        count,
+        fcerm1Filename,
+        projectIds
+      })
+    }
 
-    await notifyByEmail(
-      prisma,
-      logger,
-      requestingUserId,
+    await notifyCompletion(prisma, logger, {
+      userId: requestingUserId,
+      recipients,
+      scope: REPORT_SUBSCRIPTION_SCOPE.ADMIN,
       requestedOn,
-      downloadUrl,
-      true
-    )
+      s3Bucket,
+      s3Key: fcerm1Filename,
+      isSuccess: true
+    })
   } catch (err) {
     logger.error({ err, downloadId }, 'Admin programme generation failed')
 
@@ -392,19 +850,25 @@ export async function runAdminGeneration({
       progress_message: 'Generation failed'
     }).catch(() => {})
 
-    await notifyByEmail(
-      prisma,
-      logger,
-      requestingUserId,
+    await notifyCompletion(prisma, logger, {
+      userId: requestingUserId,
+      recipients,
+      scope: REPORT_SUBSCRIPTION_SCOPE.ADMIN,
       requestedOn,
-      downloadUrl,
-      false
-    )
+      isSuccess: false
+    })
   }
 }
 
 export async function queueAdminGeneration(params, sqs) {
-  const { downloadId, s3Bucket, requestingUserId, requestedOn } = params
+  const {
+    downloadId,
+    s3Bucket,
+    requestingUserId,
+    requestedOn,
+    subscriptionId,
+    recipients
+  } = params
   await sqs.send(
     new SendMessageCommand({
       QueueUrl: config.get('sqsProgrammeGeneration.queueUrl'),
@@ -413,7 +877,9 @@ export async function queueAdminGeneration(params, sqs) {
         downloadId: downloadId.toString(),
         s3Bucket,
         requestingUserId,
-        requestedOn
+        requestedOn,
+        subscriptionId: subscriptionId?.toString() ?? null,
+        recipients: recipients ?? null
       })
     })
   )
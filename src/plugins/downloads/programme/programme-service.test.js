@@ -28,6 +28,8 @@ vi.mock('../../../config.js', () => ({
     get: vi.fn((key) => {
       if (key === 'cdpUploader.s3Bucket') return 'test-bucket'
       if (key === 'frontendUrl') return 'http://localhost:3000'
+      if (key === 'programmeDownload.historyLimit') return 5
+      if (key === 'reportSubscriptions.linkExpirySeconds') return 604800
       if (key === 'notify.templateProgrammeDownloadComplete') {
         return 'tpl-complete'
       }
@@ -80,6 +82,7 @@ const {
   queueAdminGeneration,
   runUserGeneration,
   runAdminGeneration,
+  countUserDownloadProposals,
   DOWNLOAD_STATUS
 } = await import('./programme-service.js')
 
@@ -89,6 +92,7 @@ function makePrisma(overrides = {}) {
   return {
     pafs_core_area_downloads: {
       findFirst: vi.fn().mockResolvedValue(null),
+      findMany: vi.fn().mockResolvedValue([]),
       deleteMany: vi.fn().mockResolvedValue({}),
       create: vi.fn().mockResolvedValue({ id: BigInt(1) }),
       update: vi.fn().mockResolvedValue({})
@@ -108,7 +112,14 @@ function makePrisma(overrides = {}) {
       findMany: vi.fn().mockResolvedValue([]),
       findFirst: vi.fn().mockResolvedValue(null)
     },
-    pafs_core_users: { findFirst: vi.fn().mockResolvedValue(null) },
+    pafs_core_users: {
+      findFirst: vi.fn().mockResolvedValue(null),
+      findMany: vi.fn().mockResolvedValue([])
+    },
+    pafs_core_notifications: { create: vi.fn().mockResolvedValue({}) },
+    pafs_core_notification_preferences: {
+      findFirst: vi.fn().mockResolvedValue(null)
+    },
     pafs_core_funding_values: { findMany: vi.fn().mockResolvedValue([]) },
     pafs_core_flood_protection_outcomes: {
       findMany: vi.fn().mockResolvedValue([])
@@ -133,7 +144,7 @@ function makeLogger() {
 // â”€â”€ getUserDownloadRecord â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 
 describe('getUserDownloadRecord', () => {
-  test('queries by user_id and area_id=null', async () => {
+  test('queries the newest record by user_id', async () => {
     const prisma = makePrisma()
     prisma.pafs_core_area_downloads.findFirst.mockResolvedValue({
       id: 1,
@@ -143,7 +154,7 @@ describe('getUserDownloadRecord', () => {
     const result = await getUserDownloadRecord(prisma, 7)
 
     expect(prisma.pafs_core_area_downloads.findFirst).toHaveBeenCalledWith(
-      expect.objectContaining({ where: { user_id: 7, area_id: null } })
+      expect.objectContaining({ where: { user_id: 7, subscription_id: null } })
     )
     expect(result.status).toBe('ready')
   })
@@ -167,7 +178,9 @@ describe('getAdminDownloadRecord', () => {
     await getAdminDownloadRecord(prisma)
 
     expect(prisma.pafs_core_area_downloads.findFirst).toHaveBeenCalledWith(
-      expect.objectContaining({ where: { user_id: null, area_id: null } })
+      expect.objectContaining({
+        where: { user_id: null, area_id: null, subscription_id: null }
+      })
     )
   })
 })
@@ -403,7 +416,7 @@ describe('getAllProjectCounts', () => {
 // â”€â”€ startUserDownload â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 
 describe('startUserDownload', () => {
-  test('deletes any previous record then creates a new generating record', async () => {
+  test('keeps previous records and creates a new generating record', async () => {
     const prisma = makePrisma()
     prisma.pafs_core_area_downloads.create.mockResolvedValue({
       id: BigInt(5),
@@ -412,9 +425,7 @@ describe('startUserDownload', () => {
 
     const result = await startUserDownload(prisma, 7, 42)
 
-    expect(prisma.pafs_core_area_downloads.deleteMany).toHaveBeenCalledWith(
-      expect.objectContaining({ where: { user_id: 7, area_id: null } })
-    )
+    expect(prisma.pafs_core_area_downloads.deleteMany).not.toHaveBeenCalled()
     expect(prisma.pafs_core_area_downloads.create).toHaveBeenCalledWith(
       expect.objectContaining({
         data: expect.objectContaining({
@@ -432,15 +443,14 @@ describe('startUserDownload', () => {
 // â”€â”€ startAdminDownload â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
 
 describe('startAdminDownload', () => {
-  test('creates admin record with user_id=null and stores requestingUserId', async () => {
+  test('creates admin record with user_id=null', async () => {
     const prisma = makePrisma()
     prisma.pafs_core_area_downloads.create.mockResolvedValue({ id: BigInt(3) })
 
-    await startAdminDownload(prisma, 99, 500)
+    await startAdminDownload(prisma, 500)
 
     const createCall = prisma.pafs_core_area_downloads.create.mock.calls[0][0]
     expect(createCall.data.user_id).toBeNull()
-    expect(createCall.data.number_of_proposals_with_moderation).toBe(99)
     expect(createCall.data.number_of_proposals).toBe(500)
     expect(createCall.data.status).toBe(DOWNLOAD_STATUS.GENERATING)
   })
@@ -448,10 +458,12 @@ describe('startAdminDownload', () => {
   test('deletes previous admin record before creating', async () => {
     const prisma = makePrisma()
 
-    await startAdminDownload(prisma, 1, 10)
+    await startAdminDownload(prisma, 10)
 
     expect(prisma.pafs_core_area_downloads.deleteMany).toHaveBeenCalledWith(
-      expect.objectContaining({ where: { user_id: null, area_id: null } })
+      expect.objectContaining({
+        where: { user_id: null, area_id: null, subscription_id: null }
+      })
     )
   })
 })
@@ -477,12 +489,86 @@ describe('queueUserGeneration', () => {
       type: 'user',
       downloadId: '1',
       userId: 5,
-      s3Bucket: 'bucket'
+      s3Bucket: 'bucket',
+      areaId: null,
+      filters: null
     })
     expect(mockSend.mock.calls[0][0].input.QueueUrl).toBe(
       'http://localhost:4566/000000000000/pafs_programme_generation'
     )
   })
+
+  test('includes the area and filters the download is scoped to', async () => {
+    const mockSend = vi.fn().mockResolvedValue({})
+    const filters = { status: ['submitted'], financialYearFrom: 2025 }
+
+    await queueUserGeneration(
+      {
+        userId: 5,
+        downloadId: BigInt(1),
+        s3Bucket: 'bucket',
+        areaId: 12,
+        filters
+      },
+      { send: mockSend }
+    )
+
+    const body = JSON.parse(mockSend.mock.calls[0][0].input.MessageBody)
+    expect(body).toMatchObject({ areaId: 12, filters })
+  })
+
+  test('includes the report subscription and its recipients', async () => {
+    const mockSend = vi.fn().mockResolvedValue({})
+
+    await queueUserGeneration(
+      {
+        userId: 5,
+        downloadId: BigInt(1),
+        s3Bucket: 'bucket',
+        subscriptionId: BigInt(3),
+        recipients: ['team@example.gov.uk']
+      },
+      { send: mockSend }
+    )
+
+    const body = JSON.parse(mockSend.mock.calls[0][0].input.MessageBody)
+    expect(body).toMatchObject({
+      subscriptionId: '3',
+      recipients: ['team@example.gov.uk']
+    })
+  })
+})
+
+// ── countUserDownloadProposals ────────────────────────────────────────────────
+
+describe('countUserDownloadProposals', () => {
+  test('counts every project in the user areas when unfiltered', async () => {
+    const prisma = makePrisma()
+    prisma.pafs_core_projects.count = vi.fn()
+
+    const count = await countUserDownloadProposals(prisma, makeLogger(), {
+      userId: 5,
+      areaIds: [1]
+    })
+
+    expect(count).toBe(0)
+    expect(prisma.pafs_core_projects.count).not.toHaveBeenCalled()
+  })
+
+  test('counts only the projects matching the area and filters', async () => {
+    const prisma = makePrisma()
+    prisma.pafs_core_projects.count = vi.fn().mockResolvedValue(7)
+
+    const count = await countUserDownloadProposals(prisma, makeLogger(), {
+      userId: 5,
+      areaIds: [1, 2],
+      areaId: 2,
+      filters: { status: ['submitted'] }
+    })
+
+    expect(count).toBe(7)
+    expect(prisma.pafs_core_projects.count).toHaveBeenCalledOnce()
+  })
 })
 
 // ── runUserGeneration ─────────────────────────────────────────────────────────
@@ -520,6 +606,324 @@ describe('runUserGeneration', () => {
     expect(lastUpdate.status).toBe(DOWNLOAD_STATUS.READY)
   })
 
+  test('records no moderation or funding calculator files when no project needs them', async () => {
+    const prisma = makePrisma()
+    prisma.pafs_core_user_areas.findMany.mockResolvedValue([
+      { area_id: BigInt(1) }
+    ])
+
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({ putObject: vi.fn().mockResolvedValue({}) })
+
+    await runUserGeneration({
+      prisma,
+      logger: makeLogger(),
+      userId: 5,
+      downloadId: BigInt(1),
+      s3Bucket: 'bucket'
+    })
+
+    const lastUpdate =
+      prisma.pafs_core_area_downloads.update.mock.calls.at(-1)[0].data
+    expect(lastUpdate).toMatchObject({
+      status: DOWNLOAD_STATUS.READY,
+      moderation_filename: null,
+      number_of_proposals_with_moderation: 0,
+      funding_calculator_filename: null
+    })
+  })
+
+  test('only includes projects in the requested area', async () => {
+    const prisma = makePrisma()
+    prisma.$queryRaw.mockResolvedValue([
+      { area_id: BigInt(1), primary: true, name: 'RMA 1', area_type: 'RMA' },
+      { area_id: BigInt(2), primary: false, name: 'RMA 2', area_type: 'RMA' }
+    ])
+
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({ putObject: vi.fn().mockResolvedValue({}) })
+
+    await runUserGeneration({
+      prisma,
+      logger: makeLogger(),
+      userId: 5,
+      downloadId: BigInt(1),
+      s3Bucket: 'bucket',
+      areaId: 2
+    })
+
+    expect(prisma.pafs_core_area_projects.findMany).toHaveBeenCalledWith({
+      where: { area_id: { in: [2] } },
+      select: { project_id: true }
+    })
+  })
+
+  test('prunes the oldest downloads and their files once generation is complete', async () => {
+    const prisma = makePrisma()
+    prisma.pafs_core_area_downloads.findMany.mockResolvedValue([
+      {
+        id: BigInt(1),
+        fcerm1_filename: 'programme/user_5/1/fcerm1_proposals.xlsx',
+        benefit_areas_filename: null,
+        moderation_filename: 'programme/user_5/1/moderations.zip',
+        funding_calculator_filename: null
+      }
+    ])
+    const deleteObject = vi.fn().mockResolvedValue({})
+
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({
+      putObject: vi.fn().mockResolvedValue({}),
+      deleteObject
+    })
+
+    await runUserGeneration({
+      prisma,
+      logger: makeLogger(),
+      userId: 5,
+      downloadId: BigInt(7),
+      s3Bucket: 'bucket'
+    })
+
+    expect(prisma.pafs_core_area_downloads.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { user_id: 5, subscription_id: null },
+        skip: 5
+      })
+    )
+    expect(prisma.pafs_core_area_downloads.deleteMany).toHaveBeenCalledWith({
+      where: { id: { in: [BigInt(1)] } }
+    })
+    expect(deleteObject).toHaveBeenCalledWith(
+      'bucket',
+      'programme/user_5/1/fcerm1_proposals.xlsx'
+    )
+    expect(deleteObject).toHaveBeenCalledWith(
+      'bucket',
+      'programme/user_5/1/moderations.zip'
+    )
+    expect(deleteObject).toHaveBeenCalledTimes(2)
+  })
+
+  test('keeps the download ready when pruning the history fails', async () => {
+    const prisma = makePrisma()
+    prisma.pafs_core_area_downloads.findMany.mockRejectedValue(
+      new Error('db blip')
+    )
+
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({ putObject: vi.fn().mockResolvedValue({}) })
+
+    const logger = makeLogger()
+    await runUserGeneration({
+      prisma,
+      logger,
+      userId: 5,
+      downloadId: BigInt(8),
+      s3Bucket: 'bucket'
+    })
+
+    const updateCalls = prisma.pafs_core_area_downloads.update.mock.calls.map(
+      (c) => c[0].data
+    )
+    expect(updateCalls.some((d) => d.status === DOWNLOAD_STATUS.FAILED)).toBe(
+      false
+    )
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 5 }),
+      'Failed to prune programme download history'
+    )
+  })
+
+  test('emails report subscription recipients a presigned link instead of the requester', async () => {
+    const prisma = makePrisma()
+    prisma.$queryRaw.mockResolvedValue([
+      { area_id: BigInt(10), primary: true, name: 'Test RMA', area_type: 'RMA' }
+    ])
+    prisma.pafs_core_area_projects.findMany.mockResolvedValue([
+      { project_id: 1 }
+    ])
+    prisma.pafs_core_projects.findMany.mockResolvedValue([
+      { id: BigInt(1), reference_number: 'ABC001' }
+    ])
+    prisma.pafs_core_users.findMany.mockResolvedValue([
+      {
+        id: BigInt(8),
+        email: 'team@example.gov.uk',
+        first_name: 'Team',
+        last_name: 'Lead',
+        admin: false
+      }
+    ])
+
+    const mockSend = vi.fn().mockResolvedValue({})
+    const { getEmailService } =
+      await import('../../../common/services/email/notify-service.js')
+    getEmailService.mockReturnValue({ send: mockSend })
+
+    const mockPresign = vi
+      .fn()
+      .mockResolvedValue('https://s3.example/proposals.xlsx?sig')
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({
+      putObject: vi.fn().mockResolvedValue({}),
+      getPresignedDownloadUrl: mockPresign
+    })
+
+    const logger = makeLogger()
+    await runUserGeneration({
+      prisma,
+      logger,
+      userId: 5,
+      downloadId: BigInt(12),
+      s3Bucket: 'bucket',
+      subscriptionId: '3',
+      recipients: ['team@example.gov.uk', 'gone@example.gov.uk']
+    })
+
+    expect(prisma.pafs_core_users.findMany).toHaveBeenCalledWith({
+      where: {
+        email: { in: ['team@example.gov.uk', 'gone@example.gov.uk'] },
+        status: 'active',
+        disabled: false
+      },
+      select: {
+        id: true,
+        email: true,
+        first_name: true,
+        last_name: true,
+        admin: true
+      }
+    })
+    expect(mockPresign).toHaveBeenCalledWith(
+      'bucket',
+      'programme/subscription_3/12/fcerm1_proposals.xlsx',
+      604800,
+      'All_Proposals.xlsx'
+    )
+    expect(mockSend).toHaveBeenCalledOnce()
+    expect(mockSend).toHaveBeenCalledWith(
+      'tpl-complete',
+      'team@example.gov.uk',
+      expect.objectContaining({
+        full_name: 'Team Lead',
+        download_url: 'https://s3.example/proposals.xlsx?sig'
+      }),
+      'programme-download-complete'
+    )
+    expect(logger.warn).toHaveBeenCalledWith(
+      { recipients: 2, authorised: 1 },
+      'Skipping report subscription recipients without access to the report'
+    )
+    expect(prisma.pafs_core_notifications.create).not.toHaveBeenCalled()
+  })
+
+  test("keeps report subscription runs out of the owner's history", async () => {
+    const prisma = makePrisma()
+    prisma.$queryRaw.mockResolvedValue([
+      { area_id: BigInt(10), primary: true, name: 'Test RMA', area_type: 'RMA' }
+    ])
+    prisma.pafs_core_area_projects.findMany.mockResolvedValue([
+      { project_id: 1 }
+    ])
+    prisma.pafs_core_projects.findMany.mockResolvedValue([
+      { id: BigInt(1), reference_number: 'ABC001' }
+    ])
+    prisma.pafs_core_area_downloads.findMany.mockResolvedValue([
+      {
+        id: BigInt(4),
+        fcerm1_filename: 'programme/subscription_3/4/fcerm1_proposals.xlsx'
+      }
+    ])
+    const putObject = vi.fn().mockResolvedValue({})
+    const deleteObject = vi.fn().mockResolvedValue({})
+
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({ putObject, deleteObject })
+
+    await runUserGeneration({
+      prisma,
+      logger: makeLogger(),
+      userId: 5,
+      downloadId: BigInt(12),
+      s3Bucket: 'bucket',
+      subscriptionId: '3',
+      recipients: ['team@example.gov.uk']
+    })
+
+    expect(putObject).toHaveBeenCalledOnce()
+    expect(putObject.mock.calls[0][1]).toBe(
+      'programme/subscription_3/12/fcerm1_proposals.xlsx'
+    )
+    expect(prisma.pafs_core_area_downloads.update).toHaveBeenLastCalledWith({
+      where: { id: BigInt(12) },
+      data: expect.objectContaining({
+        status: DOWNLOAD_STATUS.READY,
+        fcerm1_filename: 'programme/subscription_3/12/fcerm1_proposals.xlsx'
+      })
+    })
+    expect(prisma.pafs_core_area_downloads.findMany).toHaveBeenCalledOnce()
+    expect(prisma.pafs_core_area_downloads.findMany).toHaveBeenCalledWith({
+      where: {
+        subscription_id: BigInt(3),
+        requested_on: { lt: expect.any(Date) }
+      }
+    })
+    expect(deleteObject).toHaveBeenCalledWith(
+      'bucket',
+      'programme/subscription_3/4/fcerm1_proposals.xlsx'
+    )
+  })
+
+  test('does not email recipients who cannot access the report area', async () => {
+    const prisma = makePrisma()
+    prisma.$queryRaw
+      // Owner's areas, then the recipient's
+      .mockResolvedValueOnce([
+        { area_id: BigInt(10), primary: true, name: 'Owner', area_type: 'RMA' }
+      ])
+      .mockResolvedValueOnce([
+        { area_id: BigInt(20), primary: true, name: 'Other', area_type: 'RMA' }
+      ])
+    prisma.pafs_core_users.findMany.mockResolvedValue([
+      {
+        id: BigInt(8),
+        email: 'team@example.gov.uk',
+        first_name: 'Team',
+        last_name: 'Lead',
+        admin: false
+      }
+    ])
+
+    const mockSend = vi.fn().mockResolvedValue({})
+    const { getEmailService } =
+      await import('../../../common/services/email/notify-service.js')
+    getEmailService.mockReturnValue({ send: mockSend })
+
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({ putObject: vi.fn().mockResolvedValue({}) })
+
+    await runUserGeneration({
+      prisma,
+      logger: makeLogger(),
+      userId: 5,
+      downloadId: BigInt(12),
+      s3Bucket: 'bucket',
+      areaId: 10,
+      subscriptionId: '3',
+      recipients: ['team@example.gov.uk']
+    })
+
+    expect(mockSend).not.toHaveBeenCalled()
+  })
+
   test('marks record as FAILED when an error occurs', async () => {
     const prisma = makePrisma()
     prisma.$queryRaw.mockRejectedValue(new Error('db crash'))
@@ -567,12 +971,35 @@ describe('queueAdminGeneration', () => {
       type: 'admin',
       downloadId: '10',
       s3Bucket: 'bucket',
-      requestingUserId: 99
+      requestingUserId: 99,
+      subscriptionId: null,
+      recipients: null
     })
     expect(mockSend.mock.calls[0][0].input.QueueUrl).toBe(
       'http://localhost:4566/000000000000/pafs_programme_generation'
     )
   })
+
+  test('includes the report subscription and its recipients', async () => {
+    const mockSend = vi.fn().mockResolvedValue({})
+
+    await queueAdminGeneration(
+      {
+        downloadId: BigInt(10),
+        s3Bucket: 'bucket',
+        requestingUserId: 99,
+        subscriptionId: BigInt(3),
+        recipients: ['team@example.gov.uk']
+      },
+      { send: mockSend }
+    )
+
+    const body = JSON.parse(mockSend.mock.calls[0][0].input.MessageBody)
+    expect(body).toMatchObject({
+      subscriptionId: '3',
+      recipients: ['team@example.gov.uk']
+    })
+  })
 })
 
 // ── runAdminGeneration ────────────────────────────────────────────────────────
@@ -667,6 +1094,84 @@ describe('runAdminGeneration', () => {
       }),
       'programme-download-complete'
     )
+    expect(prisma.pafs_core_notifications.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        user_id: 99n,
+        type: 'programme_download_ready',
+        link: '/downloads'
+      })
+    })
+  })
+
+  test('links report subscription recipients to the download page when generation fails', async () => {
+    const prisma = makePrisma()
+    prisma.pafs_core_states.findMany.mockRejectedValue(
+      new Error('query failed')
+    )
+    prisma.pafs_core_users.findMany.mockResolvedValue([
+      {
+        id: BigInt(8),
+        email: 'team@example.gov.uk',
+        first_name: 'Team',
+        last_name: null,
+        admin: true
+      }
+    ])
+
+    const mockSend = vi.fn().mockResolvedValue({})
+    const { getEmailService } =
+      await import('../../../common/services/email/notify-service.js')
+    getEmailService.mockReturnValue({ send: mockSend })
+
+    await runAdminGeneration({
+      prisma,
+      logger: makeLogger(),
+      downloadId: BigInt(12),
+      s3Bucket: 'bucket',
+      requestingUserId: 99,
+      subscriptionId: '3',
+      recipients: ['team@example.gov.uk']
+    })
+
+    expect(mockSend).toHaveBeenCalledWith(
+      'tpl-failed',
+      'team@example.gov.uk',
+      expect.objectContaining({
+        download_url: 'http://localhost:3000/downloads'
+      }),
+      'programme-download-failed'
+    )
+  })
+
+  test('writes the in-app notification but skips the email when the user opted out', async () => {
+    const prisma = makePrisma()
+    prisma.pafs_core_users.findFirst.mockResolvedValue({
+      email: 'admin@example.gov.uk',
+      first_name: 'Admin'
+    })
+    prisma.pafs_core_notification_preferences.findFirst.mockResolvedValue({
+      email_enabled: false
+    })
+
+    const mockSend = vi.fn().mockResolvedValue({})
+    const { getEmailService } =
+      await import('../../../common/services/email/notify-service.js')
+    getEmailService.mockReturnValue({ send: mockSend })
+
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({ putObject: vi.fn().mockResolvedValue({}) })
+
+    await runAdminGeneration({
+      prisma,
+      logger: makeLogger(),
+      downloadId: BigInt(12),
+      s3Bucket: 'bucket',
+      requestingUserId: 99
+    })
+
+    expect(prisma.pafs_core_notifications.create).toHaveBeenCalled()
+    expect(mockSend).not.toHaveBeenCalled()
   })
 
   test('swallows updateDownloadRecord failure on admin error path', async () => {
@@ -714,6 +1219,61 @@ describe('runAdminGeneration', () => {
     expect(prisma.pafs_core_states.findMany).not.toHaveBeenCalled()
     expect(prisma.pafs_core_area_downloads.update).not.toHaveBeenCalled()
   })
+
+  test('runs a report subscription alongside a manual admin download', async () => {
+    const prisma = makePrisma()
+    prisma.pafs_core_area_downloads.findFirst.mockResolvedValue({
+      id: BigInt(99),
+      status: DOWNLOAD_STATUS.GENERATING
+    })
+    prisma.pafs_core_users.findMany.mockResolvedValue([
+      {
+        id: BigInt(8),
+        email: 'admin@example.gov.uk',
+        first_name: 'Admin',
+        last_name: null,
+        admin: true
+      },
+      {
+        id: BigInt(9),
+        email: 'user@example.gov.uk',
+        first_name: 'User',
+        last_name: null,
+        admin: false
+      }
+    ])
+
+    const mockSend = vi.fn().mockResolvedValue({})
+    const { getEmailService } =
+      await import('../../../common/services/email/notify-service.js')
+    getEmailService.mockReturnValue({ send: mockSend })
+
+    const putObject = vi.fn().mockResolvedValue({})
+    const { getS3Service } =
+      await import('../../../common/services/file-upload/s3-service.js')
+    getS3Service.mockReturnValue({ putObject })
+
+    await runAdminGeneration({
+      prisma,
+      logger: makeLogger(),
+      downloadId: BigInt(15),
+      s3Bucket: 'bucket',
+      requestingUserId: 99,
+      subscriptionId: '3',
+      recipients: ['admin@example.gov.uk', 'user@example.gov.uk']
+    })
+
+    expect(prisma.pafs_core_area_downloads.findFirst).not.toHaveBeenCalled()
+    expect(putObject).not.toHaveBeenCalled()
+    expect(prisma.pafs_core_area_downloads.update).toHaveBeenLastCalledWith({
+      where: { id: BigInt(15) },
+      data: expect.objectContaining({ status: DOWNLOAD_STATUS.READY })
+    })
+    const { data } = prisma.pafs_core_area_downloads.update.mock.lastCall[0]
+    expect(data).not.toHaveProperty('benefit_areas_filename')
+    expect(mockSend).toHaveBeenCalledOnce()
+    expect(mockSend.mock.calls[0][1]).toBe('admin@example.gov.uk')
+  })
 })
 
 // â”€â”€ tabulateCounts â€” rejected and unknown branches â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
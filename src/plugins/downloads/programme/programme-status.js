@@ -32,6 +32,8 @@ export const getProgrammeStatus = {
         .response({
           status: record?.status ?? 'empty',
           requestedOn: record?.requested_on ?? null,
+          areaId: record?.area_id == null ? null : Number(record.area_id),
+          filters: record?.filters ?? null,
           numberOfProposals: record?.number_of_proposals ?? null,
           numberOfProposalsWithModeration:
             record?.number_of_proposals_with_moderation ?? null,
@@ -39,6 +41,7 @@ export const getProgrammeStatus = {
           hasFcerm1: !!record?.fcerm1_filename,
           hasBenefitAreas: !!record?.benefit_areas_filename,
           hasModerations: !!record?.moderation_filename,
+          hasFundingCalculators: !!record?.funding_calculator_filename,
           progressCurrent: record?.progress_current ?? 0,
           progressTotal: record?.progress_total ?? 0,
           progressMessage: record?.progress_message ?? null,
@@ -61,6 +61,8 @@ describe('getProgrammeStatus route', () => {
     expect(h._body).toMatchObject({
       status: 'empty',
       requestedOn: null,
+      areaId: null,
+      filters: null,
       hasFcerm1: false,
       hasBenefitAreas: false,
       hasModerations: false,
@@ -80,6 +82,7 @@ describe('getProgrammeStatus route', () => {
       fcerm1_filename: 'programme/user_7/fcerm1.xlsx',
       benefit_areas_filename: 'programme/user_7/benefit_areas.zip',
       moderation_filename: null,
+      funding_calculator_filename: 'programme/user_7/funding_calculators.zip',
       progress_current: 42,
       progress_total: 42,
       progress_message: 'Complete'
@@ -98,12 +101,30 @@ describe('getProgrammeStatus route', () => {
       hasFcerm1: true,
       hasBenefitAreas: true,
       hasModerations: false,
+      hasFundingCalculators: true,
       progressCurrent: 42,
       progressTotal: 42,
       progressMessage: 'Complete'
     })
   })
 
+  test('includes the area and filters the download was generated with', async () => {
+    getUserDownloadRecord.mockResolvedValue({
+      status: 'ready',
+      area_id: 12n,
+      filters: { status: ['submitted'], financialYearFrom: 2025 }
+    })
+    getProjectCountsForUser.mockResolvedValue(MOCK_COUNTS)
+
+    const h = makeH()
+    await getProgrammeStatus.handler(makeRequest(), h)
+
+    expect(h._body).toMatchObject({
+      areaId: 12,
+      filters: { status: ['submitted'], financialYearFrom: 2025 }
+    })
+  })
+
   test('returns 500 when service throws', async () => {
     getUserDownloadRecord.mockRejectedValue(new Error('prisma error'))
     getProjectCountsForUser.mockResolvedValue(MOCK_COUNTS)
@@ -0,0 +1,132 @@
+import { PassThrough } from 'node:stream'
+import { constants as zlibConstants } from 'node:zlib'
+import { ZipArchive } from 'archiver'
+
+// Max concurrent S3 stream-handle fetches when assembling a ZIP.
+const S3_DOWNLOAD_CONCURRENCY = 10
+
+// Files that are already compressed (shapefile ZIPs, spreadsheets) are stored
+// as-is — re-compressing wastes CPU with no meaningful size reduction.
+export const ZIP_STORE = zlibConstants.Z_NO_COMPRESSION
+export const ZIP_DEFLATE = zlibConstants.Z_DEFAULT_COMPRESSION
+
+/**
+ * Open a ZIP archive whose output is streamed to S3 by multipart upload as
+ * entries are appended, so the whole ZIP is never buffered in the heap.
+ *
+ * @param {Object} s3Service - S3Service instance (putObjectStream)
+ * @param {string} s3Bucket  - Destination S3 bucket
+ * @param {string} s3Key     - Destination S3 key for the output ZIP
+ * @param {Object} logger
+ * @param {number} [level]   - zlib compression level (ZIP_STORE or ZIP_DEFLATE)
+ * @returns {{ archive: Object, finish: () => Promise<void>, discard: () => Promise<void> }}
+ *   `discard` completes the upload and then deletes the object, for when no
+ *   entry could be appended
+ */
+export function startZipUpload(
+  s3Service,
+  s3Bucket,
+  s3Key,
+  logger,
+  level = ZIP_STORE
+) {
+  const archive = new ZipArchive({ zlib: { level } })
+
+  // readable-stream (used by archiver) provides its own Transform class, not
+  // Node.js's native one.  @aws-sdk/lib-storage checks `instanceof stream.Readable`
+  // which fails for readable-stream instances.  Pipe through a native PassThrough
+  // so the SDK recognises the body as a proper Readable.
+  const passThrough = new PassThrough()
+
+  archive.on('warning', (err) => {
+    if (err.code !== 'ENOENT') {
+      logger?.warn({ err }, 'Archiver warning')
+    }
+  })
+  archive.on('error', (err) => passThrough.destroy(err))
+  archive.pipe(passThrough)
+
+  // Start the multipart upload immediately so it can consume archiver output
+  // as data flows — avoids buffering the entire ZIP before the upload starts.
+  const uploadPromise = s3Service.putObjectStream(
+    s3Bucket,
+    s3Key,
+    passThrough,
+    'application/zip'
+  )
+
+  return {
+    archive,
+    finish: async () => {
+      archive.finalize()
+      await uploadPromise
+    },
+    discard: async () => {
+      archive.finalize()
+      await uploadPromise
+      await s3Service.deleteObject(s3Bucket, s3Key)
+    }
+  }
+}
+
+/**
+ * Append S3 objects to an open archive. A file that cannot be fetched is
+ * logged and skipped rather than failing the whole ZIP.
+ *
+ * Stream handles are fetched concurrently (bounded), then registered with
+ * archiver serially.  Archiver reads one entry at a time, so pending S3
+ * streams remain paused — no heap accumulation.
+ *
+ * @param {Object} archive   - Archive returned by startZipUpload
+ * @param {Array<{ bucket: string, key: string, name: string, referenceNumber: string }>} files
+ * @param {Object} s3Service - S3Service instance (getObjectStream)
+ * @param {Object} logger
+ * @param {string} skipMessage - Log message for a file that could not be fetched
+ * @returns {Promise<number>} Number of files appended
+ */
+export async function appendS3Files(
+  archive,
+  files,
+  s3Service,
+  logger,
+  skipMessage
+) {
+  let count = 0
+
+  for (let i = 0; i < files.length; i += S3_DOWNLOAD_CONCURRENCY) {
+    const chunk = files.slice(i, i + S3_DOWNLOAD_CONCURRENCY)
+    const streamHandles = await Promise.all(
+      chunk.map(async (file) => {
+        try {
+          const stream = await s3Service.getObjectStream(file.bucket, file.key)
+          return { file, stream, ok: true }
+        } catch (err) {
+          logger.warn(
+            { err, referenceNumber: file.referenceNumber },
+            skipMessage
+          )
+          return { ok: false }
+        }
+      })
+    )
+
+    for (const result of streamHandles) {
+      if (!result.ok) {
+        continue
+      }
+      archive.append(result.stream, { name: result.file.name })
+      count++
+    }
+  }
+
+  return count
+}
+
+/**
+ * ZIP entry name prefixed with the project reference number so entries stay
+ * unique even when projects share an identical filename.
+ * Reference numbers (and legacy filenames) may contain '/', which is replaced.
+ */
+export function zipEntryName(referenceNumber, filename) {
+  return `${referenceNumber.replaceAll('/', '-')}_${filename.replaceAll('/', '-')}`
+}
@@ -0,0 +1,221 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { PassThrough } from 'stream'
+
+// ZipArchive mock — constructor returns a shared mock instance reset in beforeEach.
+// Must be a regular function (not arrow) because production code calls it with `new`.
+let mockArchiveInstance
+vi.mock('archiver', () => ({
+  ZipArchive: vi.fn(function ZipArchiveMock() {
+    return mockArchiveInstance
+  })
+}))
+
+const { ZipArchive } = await import('archiver')
+const { ZIP_STORE, ZIP_DEFLATE, startZipUpload, appendS3Files, zipEntryName } =
+  await import('./programme-zip-helpers.js')
+
+function makeLogger() {
+  return { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+}
+
+function makeS3Service(overrides = {}) {
+  return {
+    getObjectStream: vi.fn().mockResolvedValue({}),
+    putObjectStream: vi.fn().mockResolvedValue(undefined),
+    ...overrides
+  }
+}
+
+function freshArchive() {
+  return { append: vi.fn(), finalize: vi.fn(), on: vi.fn(), pipe: vi.fn() }
+}
+
+describe('startZipUpload', () => {
+  beforeEach(() => {
+    mockArchiveInstance = freshArchive()
+    vi.clearAllMocks()
+  })
+
+  test('starts the multipart upload before any entry is appended', () => {
+    const s3Service = makeS3Service()
+
+    startZipUpload(s3Service, 'dest-bucket', 'out.zip', makeLogger())
+
+    expect(ZipArchive).toHaveBeenCalledWith({ zlib: { level: ZIP_STORE } })
+    expect(mockArchiveInstance.pipe).toHaveBeenCalledWith(
+      expect.any(PassThrough)
+    )
+    expect(s3Service.putObjectStream).toHaveBeenCalledWith(
+      'dest-bucket',
+      'out.zip',
+      expect.any(PassThrough),
+      'application/zip'
+    )
+  })
+
+  test('uses the requested compression level', () => {
+    startZipUpload(makeS3Service(), 'b', 'k', makeLogger(), ZIP_DEFLATE)
+
+    expect(ZipArchive).toHaveBeenCalledWith({ zlib: { level: ZIP_DEFLATE } })
+  })
+
+  test('finish finalises the archive and waits for the upload', async () => {
+    let resolveUpload
+    const s3Service = makeS3Service({
+      putObjectStream: vi.fn(
+        () =>
+          new Promise((resolve) => {
+            resolveUpload = resolve
+          })
+      )
+    })
+
+    const { finish } = startZipUpload(s3Service, 'b', 'k', makeLogger())
+    let finished = false
+    const finishing = finish().then(() => {
+      finished = true
+    })
+
+    expect(mockArchiveInstance.finalize).toHaveBeenCalled()
+    await Promise.resolve()
+    expect(finished).toBe(false)
+
+    resolveUpload()
+    await finishing
+    expect(finished).toBe(true)
+  })
+
+  test('discard finalises the archive and deletes the uploaded object', async () => {
+    const s3Service = makeS3Service({
+      deleteObject: vi.fn().mockResolvedValue(undefined)
+    })
+
+    const { discard } = startZipUpload(s3Service, 'b', 'k', makeLogger())
+    await discard()
+
+    expect(mockArchiveInstance.finalize).toHaveBeenCalled()
+    expect(s3Service.putObjectStream).toHaveBeenCalled()
+    expect(s3Service.deleteObject).toHaveBeenCalledWith('b', 'k')
+  })
+
+  test('logs archiver warnings other than ENOENT', () => {
+    const logger = makeLogger()
+    startZipUpload(makeS3Service(), 'b', 'k', logger)
+
+    const onWarning = mockArchiveInstance.on.mock.calls.find(
+      ([event]) => event === 'warning'
+    )[1]
+    onWarning({ code: 'ENOENT' })
+    expect(logger.warn).not.toHaveBeenCalled()
+
+    const err = { code: 'EOTHER' }
+    onWarning(err)
+    expect(logger.warn).toHaveBeenCalledWith({ err }, 'Archiver warning')
+  })
+
+  test('destroys the upload stream when the archive errors', () => {
+    const s3Service = makeS3Service()
+    startZipUpload(s3Service, 'b', 'k', makeLogger())
+
+    const passThrough = s3Service.putObjectStream.mock.calls[0][2]
+    const destroy = vi
+      .spyOn(passThrough, 'destroy')
+      .mockImplementation(() => passThrough)
+    const onError = mockArchiveInstance.on.mock.calls.find(
+      ([event]) => event === 'error'
+    )[1]
+    const err = new Error('archive failed')
+    onError(err)
+
+    expect(destroy).toHaveBeenCalledWith(err)
+  })
+})
+
+describe('appendS3Files', () => {
+  beforeEach(() => {
+    mockArchiveInstance = freshArchive()
+    vi.clearAllMocks()
+  })
+
+  test('appends each fetched stream under its entry name', async () => {
+    const stream = { pipe: vi.fn() }
+    const s3Service = makeS3Service({
+      getObjectStream: vi.fn().mockResolvedValue(stream)
+    })
+
+    const count = await appendS3Files(
+      mockArchiveInstance,
+      [{ bucket: 'src', key: 'a/b.xlsx', name: 'REF_b.xlsx' }],
+      s3Service,
+      makeLogger(),
+      'Skipping file'
+    )
+
+    expect(s3Service.getObjectStream).toHaveBeenCalledWith('src', 'a/b.xlsx')
+    expect(mockArchiveInstance.append).toHaveBeenCalledWith(stream, {
+      name: 'REF_b.xlsx'
+    })
+    expect(count).toBe(1)
+  })
+
+  test('skips files that cannot be fetched and logs the given message', async () => {
+    const s3Error = new Error('NoSuchKey')
+    const s3Service = makeS3Service({
+      getObjectStream: vi
+        .fn()
+        .mockRejectedValueOnce(s3Error)
+        .mockResolvedValueOnce({})
+    })
+    const logger = makeLogger()
+
+    const count = await appendS3Files(
+      mockArchiveInstance,
+      [
+        { bucket: 'src', key: 'missing', name: 'A', referenceNumber: 'REF1' },
+        { bucket: 'src', key: 'present', name: 'B', referenceNumber: 'REF2' }
+      ],
+      s3Service,
+      logger,
+      'Skipping file'
+    )
+
+    expect(logger.warn).toHaveBeenCalledWith(
+      { err: s3Error, referenceNumber: 'REF1' },
+      'Skipping file'
+    )
+    expect(mockArchiveInstance.append).toHaveBeenCalledTimes(1)
+    expect(count).toBe(1)
+  })
+
+  test('fetches more than one chunk of files', async () => {
+    const s3Service = makeS3Service()
+    const files = Array.from({ length: 12 }, (_, i) => ({
+      bucket: 'src',
+      key: `k${i}`,
+      name: `n${i}`
+    }))
+
+    const count = await appendS3Files(
+      mockArchiveInstance,
+      files,
+      s3Service,
+      makeLogger(),
+      'Skipping file'
+    )
+
+    expect(s3Service.getObjectStream).toHaveBeenCalledTimes(12)
+    expect(count).toBe(12)
+  })
+})
+
+describe('zipEntryName', () => {
+  test('prefixes the filename with the reference number', () => {
+    expect(zipEntryName('AC/2021/00001', 'calc.xlsx')).toBe(
+      'AC-2021-00001_calc.xlsx'
+    )
+  })
+
+  test('replaces slashes in the filename', () => {
+    expect(zipEntryName('REF', 'a/b.zip')).toBe('REF_a-b.zip')
+  })
+})
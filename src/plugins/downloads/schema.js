@@ -0,0 +1,48 @@
+import Joi from 'joi'
+import {
+  areaIdSchema,
+  financialYearFilterSchema,
+  multiValueFilterSchema,
+  rangeEndSchema
+} from '../../common/schemas/index.js'
+import {
+  LEGACY_PROJECT_TYPES,
+  PROJECT_STATUS,
+  PROJECT_TYPES
+} from '../../common/constants/project.js'
+
+/**
+ * Payload for starting a user programme download. Every field is optional;
+ * without any the download covers every project the user can see.
+ * The financial year range includes projects running in any year within it.
+ */
+export const generateProgrammePayloadSchema = Joi.object({
+  areaId: areaIdSchema.label('Area'),
+  status: multiValueFilterSchema(Object.values(PROJECT_STATUS)).label('Status'),
+  projectType: multiValueFilterSchema([
+    ...new Set([
+      ...Object.values(PROJECT_TYPES),
+      ...Object.values(LEGACY_PROJECT_TYPES)
+    ])
+  ]).label('Project Type'),
+  financialYearFrom: financialYearFilterSchema.label('Financial Year From'),
+  financialYearTo: rangeEndSchema(
+    financialYearFilterSchema,
+    'financialYearFrom'
+  ).label('Financial Year To')
+})
+  .allow(null)
+  .label('Programme download')
+
+/**
+ * Path parameters for a file of a previous user programme download
+ * @param {string[]} fileTypes - File types the route serves
+ */
+export function programmeDownloadFileParamsSchema(fileTypes) {
+  return Joi.object({
+    downloadId: Joi.number().integer().positive().required(),
+    type: Joi.string()
+      .valid(...fileTypes)
+      .required()
+  })
+}
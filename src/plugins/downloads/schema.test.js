@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import {
+  generateProgrammePayloadSchema,
+  programmeDownloadFileParamsSchema
+} from './schema.js'
+
+describe('downloads schemas', () => {
+  describe('generateProgrammePayloadSchema', () => {
+    it('accepts an empty payload', () => {
+      expect(
+        generateProgrammePayloadSchema.validate(null).error
+      ).toBeUndefined()
+      expect(generateProgrammePayloadSchema.validate({}).error).toBeUndefined()
+    })
+
+    it('accepts an area with status, project type and year filters', () => {
+      const { error, value } = generateProgrammePayloadSchema.validate({
+        areaId: 3,
+        status: 'submitted,approved',
+        projectType: ['DEF', 'PLP'],
+        financialYearFrom: 2025,
+        financialYearTo: 2030
+      })
+
+      expect(error).toBeUndefined()
+      expect(value.status).toEqual(['submitted', 'approved'])
+      expect(value.projectType).toEqual(['DEF', 'PLP'])
+    })
+
+    it.each([
+      [{ areaId: -1 }],
+      [{ status: ['unknown'] }],
+      [{ projectType: ['XYZ'] }],
+      [{ financialYearFrom: 1999 }],
+      [{ financialYearFrom: 2030, financialYearTo: 2025 }],
+      [{ unexpected: true }]
+    ])('rejects %o', (payload) => {
+      expect(
+        generateProgrammePayloadSchema.validate(payload).error
+      ).toBeDefined()
+    })
+  })
+
+  describe('programmeDownloadFileParamsSchema', () => {
+    const schema = programmeDownloadFileParamsSchema(['fcerm1', 'moderations'])
+
+    it('accepts a download id and known file type', () => {
+      const { error, value } = schema.validate({
+        downloadId: '12',
+        type: 'fcerm1'
+      })
+
+      expect(error).toBeUndefined()
+      expect(value.downloadId).toBe(12)
+    })
+
+    it('rejects an unknown file type', () => {
+      expect(
+        schema.validate({ downloadId: 12, type: 'other' }).error
+      ).toBeDefined()
+    })
+
+    it('rejects an invalid download id', () => {
+      expect(
+        schema.validate({ downloadId: 'abc', type: 'fcerm1' }).error
+      ).toBeDefined()
+    })
+  })
+})
@@ -1,7 +1,9 @@
 import Joi from 'joi'
 import { ProjectService } from '../../projects/services/project-service.js'
+import { ProjectStateService } from '../../projects/services/project-state-service.js'
+import { checkStatusTransition } from '../../projects/helpers/project-state-machine.js'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
-import { PROJECT_STATUS } from '../../../common/constants/project.js'
+import { PROJECT_STATUS_ACTORS } from '../../../common/constants/project.js'
 import {
   buildSuccessResponse,
   buildErrorResponse
@@ -22,6 +24,10 @@ import { validationFailAction } from '../../../common/helpers/validation-fail-ac
  *   - Batch update     → multi-item proposals array (max 100)
  *   - Mixed statuses   → each item specifies its own status
  *
+ * Transitions are checked against the project state machine with the
+ * `external` actor and recorded in the status history with the optional
+ * per-item reason.
+ *
  * Error strategy: process all items, collect per-item errors, return 207
  * Multi-Status when some succeed and some fail; 200 when all succeed;
  * 422 when all fail; 400 when the payload itself is invalid.
@@ -46,6 +52,15 @@ const proposalItemSchema = Joi.object({
     .messages({
       'any.only': `Status must be one of: ${ALLOWED_EXTERNAL_STATUSES.join(', ')}`,
       'any.required': 'status is required for each proposal'
+    }),
+  reason: Joi.string()
+    .trim()
+    .max(2000)
+    .allow('', null)
+    .optional()
+    .label('Reason')
+    .messages({
+      'string.max': 'reason must be 2000 characters or fewer'
     })
 })
 
@@ -57,7 +72,8 @@ const externalUpdateProposalStatus = {
     description: 'Update proposal status (external)',
     notes:
       'Updates the status of one or more FCERM project proposals. ' +
-      'Each proposal specifies its own reference number and target status (`draft`, `approved`, or `rejected`). ' +
+      'Each proposal specifies its own reference number and target status (`draft`, `approved`, or `rejected`), ' +
+      'plus an optional reason that is recorded in the project status history. ' +
       'Authentication is handled by the CDP API Gateway using AWS Cognito ' +
       'client-credentials; this endpoint must NOT be called directly — ' +
       'always go via the public API Gateway. ' +
@@ -87,11 +103,16 @@ const externalUpdateProposalStatus = {
         request.server.logger
       )
 
+      const stateService = new ProjectStateService(
+        request.prisma,
+        request.server.logger
+      )
+
       const results = []
       let hasSuccess = false
       let hasFailure = false
 
-      for (const { referenceNumber: raw, status } of proposals) {
+      for (const { referenceNumber: raw, status, reason } of proposals) {
         // Normalise: replace hyphens used as URL separators back to slashes
         const referenceNumber = raw.replaceAll('-', '/')
 
@@ -114,12 +135,13 @@ const externalUpdateProposalStatus = {
             continue
           }
 
-          const stateRecord = await request.prisma.pafs_core_states.findFirst({
-            where: { project_id: Number(project.id) },
-            select: { state: true }
-          })
-          const currentState = stateRecord?.state ?? null
-          if (currentState !== PROJECT_STATUS.SUBMITTED) {
+          const currentState = await stateService.getCurrentState(project.id)
+          const transitionCheck = checkStatusTransition(
+            currentState,
+            status,
+            PROJECT_STATUS_ACTORS.EXTERNAL
+          )
+          if (!transitionCheck.allowed) {
             request.metrics.counter('externalStatusUpdateItem', 1, {
               outcome: 'invalid_state',
               status
@@ -134,7 +156,13 @@ const externalUpdateProposalStatus = {
             continue
           }
 
-          await projectService.upsertProjectState(project.id, status)
+          await stateService.transition({
+            projectId: project.id,
+            fromState: currentState,
+            toState: status,
+            actorType: PROJECT_STATUS_ACTORS.EXTERNAL,
+            reason: reason || null
+          })
 
           request.metrics.counter('externalStatusUpdateItem', 1, {
             outcome: 'success',
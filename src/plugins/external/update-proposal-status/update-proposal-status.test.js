@@ -24,13 +24,19 @@ function buildH() {
  * Build a minimal Hapi-like request object for the external proposals route.
  */
 function buildRequest(proposals = [], overrides = {}) {
+  const tx = {
+    pafs_core_states: { upsert: vi.fn().mockResolvedValue({}) },
+    pafs_core_state_transitions: { create: vi.fn().mockResolvedValue({}) }
+  }
   return {
     payload: { proposals },
     metrics: { counter: vi.fn() },
+    tx,
     prisma: {
       pafs_core_states: {
         findFirst: vi.fn().mockResolvedValue({ state: 'submitted' })
-      }
+      },
+      $transaction: vi.fn(async (callback) => callback(tx))
     },
     server: {
       logger: {
@@ -98,6 +104,19 @@ describe('externalUpdateProposalStatus route', () => {
       expect(error).toBeUndefined()
     })
 
+    it('should accept an optional reason per proposal', async () => {
+      const { error } = schema.validate({
+        proposals: [
+          {
+            referenceNumber: 'REF-001',
+            status: 'rejected',
+            reason: 'Outside funding criteria'
+          }
+        ]
+      })
+      expect(error).toBeUndefined()
+    })
+
     it('should accept mixed statuses in a batch', async () => {
       const { error } = schema.validate({
         proposals: [
@@ -181,9 +200,6 @@ describe('externalUpdateProposalStatus route', () => {
       ProjectService.prototype.getProjectByReference = vi
         .fn()
         .mockResolvedValue(mockProject)
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({ id: 1n, state: 'approved' })
 
       const { h } = buildH()
       const request = buildRequest([
@@ -212,9 +228,6 @@ describe('externalUpdateProposalStatus route', () => {
       ProjectService.prototype.getProjectByReference = vi
         .fn()
         .mockResolvedValue(mockProject)
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({})
 
       const { h } = buildH()
       const request = buildRequest([
@@ -237,9 +250,6 @@ describe('externalUpdateProposalStatus route', () => {
         .fn()
         .mockResolvedValueOnce(projects[0])
         .mockResolvedValueOnce(projects[1])
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({})
 
       const { h } = buildH()
       const request = buildRequest([
@@ -266,23 +276,60 @@ describe('externalUpdateProposalStatus route', () => {
       })
     })
 
-    it('should call upsertProjectState with the per-proposal status', async () => {
+    it('should write the per-proposal status and record the transition', async () => {
       const mockProject = { id: 5n, reference_number: 'ANC501E/000A/001A' }
       ProjectService.prototype.getProjectByReference = vi
         .fn()
         .mockResolvedValue(mockProject)
-      const upsertSpy = (ProjectService.prototype.upsertProjectState = vi
+
+      const { h } = buildH()
+      const request = buildRequest([
+        {
+          referenceNumber: 'ANC501E-000A-001A',
+          status: 'draft',
+          reason: 'Returned for more detail'
+        }
+      ])
+
+      await externalUpdateProposalStatus.options.handler(request, h)
+
+      expect(request.tx.pafs_core_states.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { project_id: 5 },
+          update: expect.objectContaining({ state: 'draft' })
+        })
+      )
+      expect(
+        request.tx.pafs_core_state_transitions.create
+      ).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          project_id: 5,
+          from_state: 'submitted',
+          to_state: 'draft',
+          actor_type: 'external',
+          actor_id: null,
+          reason: 'Returned for more detail'
+        })
+      })
+    })
+
+    it('should record a null reason when none is given', async () => {
+      ProjectService.prototype.getProjectByReference = vi
         .fn()
-        .mockResolvedValue({}))
+        .mockResolvedValue({ id: 6n, reference_number: 'ANC501E/000A/001A' })
 
       const { h } = buildH()
       const request = buildRequest([
-        { referenceNumber: 'ANC501E-000A-001A', status: 'draft' }
+        { referenceNumber: 'ANC501E-000A-001A', status: 'approved' }
       ])
 
       await externalUpdateProposalStatus.options.handler(request, h)
 
-      expect(upsertSpy).toHaveBeenCalledWith(5n, 'draft')
+      expect(
+        request.tx.pafs_core_state_transitions.create
+      ).toHaveBeenCalledWith({
+        data: expect.objectContaining({ reason: null })
+      })
     })
   })
 
@@ -367,19 +414,17 @@ describe('externalUpdateProposalStatus route', () => {
       )
     })
 
-    it('should return 422 when upsertProjectState throws', async () => {
+    it('should return 422 when the state transition throws', async () => {
       const mockProject = { id: 3n, reference_number: 'ANC501E/000A/001A' }
       ProjectService.prototype.getProjectByReference = vi
         .fn()
         .mockResolvedValue(mockProject)
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockRejectedValue(new Error('Write failed'))
 
       const { h } = buildH()
       const request = buildRequest([
         { referenceNumber: 'ANC501E-000A-001A', status: 'approved' }
       ])
+      request.prisma.$transaction.mockRejectedValue(new Error('Write failed'))
 
       const result = await externalUpdateProposalStatus.options.handler(
         request,
@@ -423,7 +468,27 @@ describe('externalUpdateProposalStatus route', () => {
           }
         ]
       })
-      expect(ProjectService.prototype.upsertProjectState).not.toHaveBeenCalled()
+      expect(request.prisma.$transaction).not.toHaveBeenCalled()
+    })
+
+    it('should return 422 when the proposal has no state record', async () => {
+      ProjectService.prototype.getProjectByReference = vi
+        .fn()
+        .mockResolvedValue({ id: 1n, reference_number: 'ANC501E/000A/001A' })
+
+      const { h } = buildH()
+      const request = buildRequest([
+        { referenceNumber: 'ANC501E-000A-001A', status: 'rejected' }
+      ])
+      request.prisma.pafs_core_states.findFirst.mockResolvedValue(null)
+
+      const result = await externalUpdateProposalStatus.options.handler(
+        request,
+        h
+      )
+
+      expect(result.statusCode).toBe(HTTP_STATUS.UNPROCESSABLE_ENTITY)
+      expect(result.data.errors[0].errorCode).toBe('INVALID_STATE')
     })
 
     it('should return 207 when one proposal is submitted and another is not', async () => {
@@ -434,9 +499,6 @@ describe('externalUpdateProposalStatus route', () => {
         .fn()
         .mockResolvedValueOnce(project1)
         .mockResolvedValueOnce(project2)
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({})
 
       const h = {
         response: vi.fn().mockReturnValue({
@@ -457,9 +519,7 @@ describe('externalUpdateProposalStatus route', () => {
       )
 
       expect(result.statusCode).toBe(207)
-      expect(ProjectService.prototype.upsertProjectState).toHaveBeenCalledTimes(
-        1
-      )
+      expect(request.prisma.$transaction).toHaveBeenCalledTimes(1)
     })
   })
 
@@ -475,10 +535,6 @@ describe('externalUpdateProposalStatus route', () => {
         .mockResolvedValueOnce(mockProject) // first succeeds
         .mockResolvedValueOnce(null) // second not found
 
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({})
-
       const h = {
         response: vi.fn().mockReturnValue({
           code: vi.fn().mockReturnValue({ statusCode: 207 })
@@ -520,10 +576,6 @@ describe('externalUpdateProposalStatus route', () => {
         .mockResolvedValueOnce(mockProject)
         .mockRejectedValueOnce(new Error('Timeout'))
 
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({})
-
       const h = {
         response: vi.fn().mockReturnValue({
           code: vi.fn().mockReturnValue({ statusCode: 207 })
@@ -553,10 +605,6 @@ describe('externalUpdateProposalStatus route', () => {
         .mockResolvedValueOnce(null)
         .mockResolvedValueOnce(project3)
 
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({})
-
       const h = {
         response: vi.fn().mockReturnValue({
           code: vi.fn().mockReturnValue({ statusCode: 207 })
@@ -573,10 +621,8 @@ describe('externalUpdateProposalStatus route', () => {
         h
       )
 
-      // upsertProjectState called twice (once for each found project)
-      expect(ProjectService.prototype.upsertProjectState).toHaveBeenCalledTimes(
-        2
-      )
+      // Transition written twice (once for each found project)
+      expect(request.prisma.$transaction).toHaveBeenCalledTimes(2)
       expect(result.statusCode).toBe(207)
     })
   })
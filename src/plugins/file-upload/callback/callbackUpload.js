@@ -56,7 +56,8 @@ async function processCallbackPayload(
       actualStatus,
       errorMessages,
       logger,
-      metrics
+      metrics,
+      uploadRecord.entity_type
     )
     actualStatus = validationResult.actualStatus
     hasErrors = hasErrors || validationResult.hasErrors
@@ -256,7 +256,8 @@ describe('callbackUpload', () => {
         'ready',
         [],
         mockLogger,
-        mockRequest.metrics
+        mockRequest.metrics,
+        uploadRecord.entity_type
       )
       expect(mockProcessHelpers.buildBaseUpdateData).toHaveBeenCalled()
       expect(mockProcessHelpers.addErrorInfo).toHaveBeenCalled()
@@ -49,7 +49,8 @@ async function syncWithCdpUploader(
       actualStatus,
       errorMessages,
       logger,
-      metrics
+      metrics,
+      uploadRecord.entity_type
     )
     actualStatus = validationResult.actualStatus
     hasErrors = hasErrors || validationResult.hasErrors
@@ -1,4 +1,5 @@
 import { UPLOAD_STATUS } from '../../../common/constants/index.js'
+import { UPLOAD_ENTITY_TYPES } from '../../../common/constants/file-upload.js'
 import {
   generateDownloadUrl,
   updateBenefitAreaFile,
@@ -133,6 +134,8 @@ export function updateRecordFromCdp(uploadRecord, actualStatus, updateData) {
 /**
  * Perform host application validation on uploaded ZIP file.
  * Validates ZIP contents and updates status/errors if validation fails.
+ * Account import spreadsheets are not shapefiles and are checked when the
+ * import is run instead.
  *
  * @param {string} uploadId
  * @param {Object} fileData - file data from cdpStatus.form.file
@@ -140,6 +143,7 @@ export function updateRecordFromCdp(uploadRecord, actualStatus, updateData) {
  * @param {string[]} errorMessages - mutable array to append errors to
  * @param {Object} logger
  * @param {Object} metrics
+ * @param {string|null} [entityType] - file_uploads.entity_type
  * @returns {Promise<{actualStatus: string, hasErrors: boolean}>}
  */
 export async function performHostApplicationValidation(
@@ -148,12 +152,17 @@ export async function performHostApplicationValidation(
   actualStatus,
   errorMessages,
   logger,
-  metrics
+  metrics,
+  entityType = null
 ) {
   let updatedStatus = actualStatus
   let hasErrors = false
 
-  if (!fileData.s3Bucket || !fileData.s3Key) {
+  if (
+    !fileData.s3Bucket ||
+    !fileData.s3Key ||
+    entityType === UPLOAD_ENTITY_TYPES.ACCOUNT_IMPORT
+  ) {
     return { actualStatus: updatedStatus, hasErrors }
   }
 
@@ -296,6 +296,21 @@ describe('upload-processing-helpers', () => {
       expect(result).toEqual({ actualStatus: 'ready', hasErrors: false })
     })
 
+    test('should skip ZIP validation for account import spreadsheets', async () => {
+      const result = await performHostApplicationValidation(
+        'upload-1',
+        { s3Bucket: 'bucket', s3Key: 'users.xlsx' },
+        'ready',
+        [],
+        mockLogger,
+        mockMetrics,
+        'account_import'
+      )
+
+      expect(mockValidateZipFileFromS3).not.toHaveBeenCalled()
+      expect(result).toEqual({ actualStatus: 'ready', hasErrors: false })
+    })
+
     test('should return success status when ZIP validation passes', async () => {
       mockValidateZipFileFromS3.mockResolvedValue({
         isValid: true,
@@ -3,6 +3,10 @@ import { randomUUID } from 'node:crypto'
 import { config } from '../../../config.js'
 import { getCdpUploaderService } from '../../../common/services/file-upload/cdp-uploader-service.js'
 import { HTTP_STATUS, UPLOAD_STATUS } from '../../../common/constants/index.js'
+import {
+  ACCOUNT_IMPORT_MIME_TYPES,
+  UPLOAD_ENTITY_TYPES
+} from '../../../common/constants/file-upload.js'
 
 const initiateUploadSchema = {
   payload: Joi.object({
@@ -43,6 +47,17 @@ function getInitialUploadStatus(downloadUrls) {
   return downloadUrls ? UPLOAD_STATUS.PROCESSING : UPLOAD_STATUS.PENDING
 }
 
+/**
+ * Spreadsheet uploads for account import accept CSV/XLSX instead of the
+ * configured shapefile ZIP types
+ * @private
+ */
+function getUploadMimeTypes(entityType) {
+  return entityType === UPLOAD_ENTITY_TYPES.ACCOUNT_IMPORT
+    ? ACCOUNT_IMPORT_MIME_TYPES
+    : undefined
+}
+
 /**
  * Create upload record in database
  * @private
@@ -140,7 +155,8 @@ const initiateUpload = {
         redirect: payload.redirect || '/upload-complete',
         callback: callbackUrl,
         metadata: uploadMetadata,
-        downloadUrls: payload.downloadUrls
+        downloadUrls: payload.downloadUrls,
+        mimeTypes: getUploadMimeTypes(payload.entityType)
       })
 
       // Store upload record in database
@@ -164,6 +164,27 @@ describe('initiateUpload', () => {
     })
   })
 
+  test('should allow spreadsheets for account import uploads', async () => {
+    mockRequest.payload = { entityType: 'account_import' }
+    mockCdpUploaderService.initiate.mockResolvedValue({
+      uploadId: 'test-upload-123',
+      uploadUrl: '/upload-and-scan/test-upload-123',
+      statusUrl: 'http://localhost:7337/status/test-upload-123'
+    })
+    mockPrisma.file_uploads.create.mockResolvedValue({ id: 1 })
+
+    await initiateUpload.handler(mockRequest, mockH)
+
+    expect(mockCdpUploaderService.initiate).toHaveBeenCalledWith(
+      expect.objectContaining({
+        mimeTypes: [
+          'text/csv',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        ]
+      })
+    )
+  })
+
   test('should handle errors', async () => {
     mockCdpUploaderService.initiate.mockRejectedValue(
       new Error('CDP service error')
@@ -2,6 +2,10 @@ import hapiAuthJwt2 from 'hapi-auth-jwt2'
 import { AUTH_ERROR_CODES } from '../../common/constants/auth.js'
 import { HTTP_STATUS, SIZE } from '../../common/constants/common.js'
 import { getAreaTypeFlags } from '../areas/helpers/user-areas.js'
+import { isAccountSuspended } from '../auth/helpers/session.js'
+import { SecurityEventService } from '../audit/services/security-event-service.js'
+import { SECURITY_EVENT_TYPES } from '../../common/constants/audit.js'
+import { getClientIp } from '../../common/helpers/client-ip.js'
 
 async function fetchUser(request, userId) {
   return request.prisma.pafs_core_users.findUnique({
@@ -12,22 +16,33 @@ async function fetchUser(request, userId) {
       first_name: true,
       last_name: true,
       admin: true,
+      area_manager: true,
       disabled: true,
-      locked_at: true,
-      unique_session_id: true
+      suspended_until: true,
+      locked_at: true
     }
   })
 }
 
-// Lightweight single-column select used by the session version check path.
-// Much cheaper than fetchUser — no joins, minimal network payload.
-async function fetchSessionVersion(request, userId) {
-  return request.prisma.pafs_core_users.findUnique({
-    where: { id: userId },
-    select: { unique_session_id: true }
+// Unique-index lookup of the token's session row, used on both the full and
+// the cached validation paths.
+async function fetchSession(request, sessionId) {
+  return request.prisma.pafs_core_user_sessions.findUnique({
+    where: { session_id: sessionId },
+    select: { user_id: true, expires_at: true }
   })
 }
 
+function isSessionActive(session, decoded) {
+  return (
+    Boolean(session) &&
+    Number(session.user_id) === Number(decoded.userId) &&
+    new Date(session.expires_at).getTime() > Date.now()
+  )
+}
+
+const ACCESS_TOKEN_TYPE = 'access'
+
 function invalidResponse(errorCode) {
   return {
     isValid: false,
@@ -35,8 +50,14 @@ function invalidResponse(errorCode) {
   }
 }
 
+// MFA challenge tokens are signed with the same secret, so the type is
+// checked as verifyAccessToken does
 function checkDecoded(decoded, request) {
-  if (!decoded?.userId || !decoded?.sessionId) {
+  if (
+    !decoded?.userId ||
+    !decoded?.sessionId ||
+    decoded.type !== ACCESS_TOKEN_TYPE
+  ) {
     request.app.jwtErrorCode = AUTH_ERROR_CODES.TOKEN_EXPIRED_OR_INVALID
     return invalidResponse(AUTH_ERROR_CODES.TOKEN_EXPIRED_OR_INVALID)
   }
@@ -51,7 +72,7 @@ function checkUserExists(user, request) {
   return null
 }
 
-function checkUserStatus(user, decoded, request) {
+function checkUserStatus(user, request) {
   if (user.disabled) {
     request.server.logger.warn(
       { userId: user.id },
@@ -61,6 +82,15 @@ function checkUserStatus(user, decoded, request) {
     return invalidResponse(AUTH_ERROR_CODES.ACCOUNT_DISABLED)
   }
 
+  if (isAccountSuspended(user)) {
+    request.server.logger.warn(
+      { userId: user.id },
+      'JWT validation failed: account suspended'
+    )
+    request.app.jwtErrorCode = AUTH_ERROR_CODES.ACCOUNT_SUSPENDED
+    return invalidResponse(AUTH_ERROR_CODES.ACCOUNT_SUSPENDED)
+  }
+
   if (user.locked_at) {
     request.server.logger.warn(
       { userId: user.id },
@@ -70,15 +100,56 @@ function checkUserStatus(user, decoded, request) {
     return invalidResponse(AUTH_ERROR_CODES.ACCOUNT_LOCKED)
   }
 
-  if (user.unique_session_id !== decoded.sessionId) {
-    request.server.logger.warn(
-      { userId: user.id, tokenSession: decoded.sessionId },
-      'JWT validation failed: session mismatch (concurrent login detected)'
+  return null
+}
+
+// A token for an ended session is either a stale client or a copied token,
+// so it is recorded as a security event as well as logged. The event is
+// written in the background, at most once per session per
+// MISMATCH_EVENT_WINDOW_MS, so a client retrying with a dead token neither
+// waits on the insert nor floods the event log. record() never throws.
+function rejectEndedSession(decoded, request, mismatchLog) {
+  request.server.logger.warn(
+    { userId: decoded.userId, tokenSession: decoded.sessionId },
+    'JWT validation failed: session has ended (signed out or superseded)'
+  )
+  if (mismatchLog.shouldRecord(decoded.sessionId)) {
+    new SecurityEventService(request.prisma, request.server.logger).record(
+      SECURITY_EVENT_TYPES.SESSION_MISMATCH,
+      {
+        userId: decoded.userId,
+        ipAddress: getClientIp(request),
+        details: { source: 'access-token' }
+      }
+    )
+  }
+  request.app.jwtErrorCode = AUTH_ERROR_CODES.SESSION_MISMATCH
+  return invalidResponse(AUTH_ERROR_CODES.SESSION_MISMATCH)
+}
+
+// Suspending or disabling an account ends its sessions, so when a cached
+// session turns out to have ended the account is checked as well: a suspended
+// user is then told ACCOUNT_SUSPENDED rather than SESSION_MISMATCH
+async function rejectEndedCachedSession(decoded, request, mismatchLog) {
+  try {
+    const user = await fetchUser(request, decoded.userId)
+    const statusErr = user && checkUserStatus(user, request)
+    if (statusErr) {
+      return statusErr
+    }
+  } catch (error) {
+    request.server.logger.error(
+      { err: error },
+      'Error fetching user for an ended session'
     )
-    request.app.jwtErrorCode = AUTH_ERROR_CODES.SESSION_MISMATCH
-    return invalidResponse(AUTH_ERROR_CODES.SESSION_MISMATCH)
   }
+  return rejectEndedSession(decoded, request, mismatchLog)
+}
 
+function checkSession(session, decoded, request, mismatchLog) {
+  if (!isSessionActive(session, decoded)) {
+    return rejectEndedSession(decoded, request, mismatchLog)
+  }
   return null
 }
 
@@ -91,6 +162,7 @@ function buildCredentials(user, decoded, areas) {
     firstName: user.first_name,
     lastName: user.last_name,
     isAdmin: user.admin,
+    isAreaManager: Boolean(user.area_manager),
     sessionId: decoded.sessionId,
     areas,
     ...areaFlags
@@ -104,29 +176,30 @@ function buildCredentials(user, decoded, areas) {
 //   (3 DB queries). A cache entry is only ever keyed against the sessionId that
 //   was current at the time the entry was written, so it cannot outlive its JWT.
 //
-// Tier 2 — SESSION VERSION cache (10 sec TTL, keyed by userId):
-//   Stores only `unique_session_id` from the DB. Checked on every tier-1 cache
-//   hit. If the version is stale (TTL expired) a single cheap DB query re-fetches
-//   it. This bounds the concurrent-login detection window to 10 s across every
-//   instance, instead of the full 15-min auth cache lifetime.
+// Tier 2 — SESSION STATE cache (10 sec TTL, keyed userId:sessionId):
+//   Stores only whether the session row in pafs_core_user_sessions is still
+//   live. Checked on every tier-1 cache hit. If the state is stale (TTL
+//   expired) a single cheap DB query re-fetches it. This bounds the window in
+//   which a signed-out or superseded session is still accepted to 10 s across
+//   every instance, instead of the full 15-min auth cache lifetime.
 //
-// On the instance that handles a new login, `invalidateUser` is called
-// immediately (both tiers), giving instant eviction with zero window.
-// On other instances the worst-case window is the SESSION_VERSION_CACHE_TTL_MS.
+// On the instance that handles a login, logout or sign-out, the cache is
+// invalidated immediately (both tiers), giving instant eviction with zero window.
+// On other instances the worst-case window is the SESSION_STATE_CACHE_TTL_MS.
 const AUTH_CACHE_TTL_MS = SIZE.LENGTH_15 * 60 * 1_000 // 15 minutes — matches JWT accessExpiresIn
-// 10-second window: cheap enough (single-column PK lookup, ~1 ms) at typical
-// concurrency (75 users ≈ 7–8 DB version-checks/s) while limiting the
-// concurrent-login exposure window to 10 s on any instance.
+// 10-second window: cheap enough (unique-index lookup, ~1 ms) at typical
+// concurrency (75 users ≈ 7–8 DB session checks/s) while limiting the
+// ended-session exposure window to 10 s on any instance.
 // SNS fan-out is unavailable in this infrastructure; this TTL is the knob
 // to trade off DB load against invalidation latency across instances.
-const SESSION_VERSION_CACHE_TTL_MS = 10 * 1_000 // 10 seconds
+const SESSION_STATE_CACHE_TTL_MS = 10 * 1_000 // 10 seconds
 // Cap the store at 500 entries (handles well above the maximum concurrent
 // session count in any realistic scenario) to prevent unbounded memory growth.
 const AUTH_CACHE_MAX_SIZE = 500
 
 function buildAuthCache() {
   const store = new Map() // tier-1: full auth results, 15-min TTL
-  const versionStore = new Map() // tier-2: unique_session_id per userId, 10-sec TTL
+  const sessionStore = new Map() // tier-2: session live flag per userId:sessionId, 10-sec TTL
 
   function get(userId, sessionId) {
     const key = `${userId}:${sessionId}`
@@ -149,88 +222,115 @@ function buildAuthCache() {
     store.set(key, { result, expiresAt: Date.now() + AUTH_CACHE_TTL_MS })
   }
 
-  function getSessionVersion(userId) {
-    const entry = versionStore.get(String(userId))
+  // Returns true/false for a known session state, or null when not cached
+  function getSessionState(userId, sessionId) {
+    const key = `${userId}:${sessionId}`
+    const entry = sessionStore.get(key)
     if (!entry) {
       return null
     }
     if (Date.now() > entry.expiresAt) {
-      versionStore.delete(String(userId))
+      sessionStore.delete(key)
       return null
     }
-    return entry.sessionId
+    return entry.active
   }
 
-  function setSessionVersion(userId, sessionId) {
-    if (versionStore.size >= AUTH_CACHE_MAX_SIZE) {
-      versionStore.delete(versionStore.keys().next().value)
+  function setSessionState(userId, sessionId, active) {
+    if (sessionStore.size >= AUTH_CACHE_MAX_SIZE) {
+      sessionStore.delete(sessionStore.keys().next().value)
     }
-    versionStore.set(String(userId), {
-      sessionId,
-      expiresAt: Date.now() + SESSION_VERSION_CACHE_TTL_MS
+    sessionStore.set(`${userId}:${sessionId}`, {
+      active,
+      expiresAt: Date.now() + SESSION_STATE_CACHE_TTL_MS
     })
   }
 
   // Remove a specific session entry immediately — called on logout so that a
   // revoked session is rejected on the next request rather than after cache TTL.
-  // Also clears the version entry so the next request re-checks DB.
+  // Also clears the session state so the next request re-checks DB.
   function invalidate(userId, sessionId) {
-    store.delete(`${userId}:${sessionId}`)
-    versionStore.delete(String(userId))
+    const key = `${userId}:${sessionId}`
+    store.delete(key)
+    sessionStore.delete(key)
   }
 
-  // Remove ALL cache entries for a user — called on login and role-change so
-  // the old session and stale credentials are not served from cache.
+  // Remove ALL cache entries for a user — called on login, sign-out of all
+  // sessions and role-change so ended sessions and stale credentials are not
+  // served from cache.
   function invalidateUser(userId) {
     const prefix = `${userId}:`
-    for (const key of store.keys()) {
-      if (key.startsWith(prefix)) {
-        store.delete(key)
+    for (const cache of [store, sessionStore]) {
+      for (const key of cache.keys()) {
+        if (key.startsWith(prefix)) {
+          cache.delete(key)
+        }
       }
     }
-    versionStore.delete(String(userId))
   }
 
   return {
     get,
     set,
-    getSessionVersion,
-    setSessionVersion,
+    getSessionState,
+    setSessionState,
     invalidate,
     invalidateUser
   }
 }
 
+// Ended sessions already recorded as a SESSION_MISMATCH event, so repeated
+// requests with the same dead token are only recorded once per window
+const MISMATCH_EVENT_WINDOW_MS = 5 * 60 * 1_000 // 5 minutes
+
+function buildMismatchLog() {
+  const recordedAt = new Map() // sessionId -> time the event was recorded
+
+  // True when no event has been recorded for the session within the window;
+  // the session is then marked as recorded
+  function shouldRecord(sessionId) {
+    const now = Date.now()
+    const last = recordedAt.get(sessionId)
+    if (last !== undefined && now - last < MISMATCH_EVENT_WINDOW_MS) {
+      return false
+    }
+    recordedAt.delete(sessionId)
+    if (recordedAt.size >= AUTH_CACHE_MAX_SIZE) {
+      recordedAt.delete(recordedAt.keys().next().value)
+    }
+    recordedAt.set(sessionId, now)
+    return true
+  }
+
+  return { shouldRecord }
+}
+
 // Called on every tier-1 cache hit to confirm the session has not been
-// superseded by a newer login on another instance. Uses the tier-2 version
-// cache so the DB is only hit once per SESSION_VERSION_CACHE_TTL_MS window.
-// Returns the AUTH_ERROR_CODE string if the session is stale, or null if valid.
-async function verifySessionVersion(cache, decoded, request) {
-  const cachedVersion = cache.getSessionVersion(decoded.userId)
-  if (cachedVersion !== null) {
-    const sessionMatches = cachedVersion === decoded.sessionId
-    return sessionMatches ? null : AUTH_ERROR_CODES.SESSION_MISMATCH
+// signed out or superseded on another instance. Uses the tier-2 session state
+// cache so the DB is only hit once per SESSION_STATE_CACHE_TTL_MS window.
+// Returns the AUTH_ERROR_CODE string if the session has ended, or null if valid.
+async function verifySessionState(cache, decoded, request) {
+  const cachedState = cache.getSessionState(decoded.userId, decoded.sessionId)
+  if (cachedState !== null) {
+    return cachedState ? null : AUTH_ERROR_CODES.SESSION_MISMATCH
   }
   try {
-    const row = await fetchSessionVersion(request, decoded.userId)
-    if (!row) {
-      return AUTH_ERROR_CODES.ACCOUNT_NOT_FOUND
-    }
-    cache.setSessionVersion(decoded.userId, row.unique_session_id)
-    const sessionMatches = row.unique_session_id === decoded.sessionId
-    return sessionMatches ? null : AUTH_ERROR_CODES.SESSION_MISMATCH
+    const session = await fetchSession(request, decoded.sessionId)
+    const active = isSessionActive(session, decoded)
+    cache.setSessionState(decoded.userId, decoded.sessionId, active)
+    return active ? null : AUTH_ERROR_CODES.SESSION_MISMATCH
   } catch (error) {
     // Allow through on DB error — cached result is still trustworthy and
     // blocking legitimate users on a transient failure would be worse.
     request.server.logger.error(
       { err: error },
-      'Error fetching session version from DB'
+      'Error fetching session state from DB'
     )
     return null
   }
 }
 
-function createValidateFn(cache) {
+function createValidateFn(cache, mismatchLog) {
   return async function validate(decoded, request) {
     const decodedErr = checkDecoded(decoded, request)
     if (decodedErr) {
@@ -239,23 +339,10 @@ function createValidateFn(cache) {
 
     const cached = cache.get(decoded.userId, decoded.sessionId)
     if (cached) {
-      const versionErrCode = await verifySessionVersion(cache, decoded, request)
-      if (versionErrCode) {
+      const sessionErrCode = await verifySessionState(cache, decoded, request)
+      if (sessionErrCode) {
         cache.invalidate(decoded.userId, decoded.sessionId)
-        if (versionErrCode === AUTH_ERROR_CODES.SESSION_MISMATCH) {
-          request.server.logger.warn(
-            { userId: decoded.userId, tokenSession: decoded.sessionId },
-            'JWT validation failed: session superseded (concurrent login detected)'
-          )
-        }
-        if (versionErrCode === AUTH_ERROR_CODES.ACCOUNT_NOT_FOUND) {
-          request.server.logger.warn(
-            { userId: decoded.userId },
-            'JWT validation failed: account not found during session version check'
-          )
-        }
-        request.app.jwtErrorCode = versionErrCode
-        return invalidResponse(versionErrCode)
+        return rejectEndedCachedSession(decoded, request, mismatchLog)
       }
       return cached
     }
@@ -268,18 +355,24 @@ function createValidateFn(cache) {
         return existsErr
       }
 
-      const statusErr = checkUserStatus(user, decoded, request)
+      const statusErr = checkUserStatus(user, request)
       if (statusErr) {
         return statusErr
       }
 
+      const session = await fetchSession(request, decoded.sessionId)
+      const sessionErr = checkSession(session, decoded, request, mismatchLog)
+      if (sessionErr) {
+        return sessionErr
+      }
+
       const areas = decoded.areas ?? []
       const result = {
         isValid: true,
         credentials: buildCredentials(user, decoded, areas)
       }
       cache.set(decoded.userId, decoded.sessionId, result)
-      cache.setSessionVersion(decoded.userId, decoded.sessionId)
+      cache.setSessionState(decoded.userId, decoded.sessionId, true)
       return result
     } catch (error) {
       request.server.logger.error({ err: error }, 'Error validating JWT token')
@@ -311,7 +404,7 @@ export default {
 
     server.auth.strategy('jwt', 'jwt', {
       key: options.accessSecret,
-      validate: createValidateFn(authCache),
+      validate: createValidateFn(authCache, buildMismatchLog()),
       verifyOptions: {
         issuer: options.issuer,
         audience: options.audience
@@ -3,6 +3,24 @@ import jwtAuthPlugin from './jwt-auth.js'
 
 vi.mock('hapi-auth-jwt2')
 
+const mockRecordSecurityEvent = vi.fn()
+
+vi.mock('../audit/services/security-event-service.js', () => ({
+  SecurityEventService: class {
+    record = mockRecordSecurityEvent
+  }
+}))
+
+const SESSION_SELECT = { user_id: true, expires_at: true }
+
+// pafs_core_user_sessions row for a session that has not ended
+function liveSession(userId) {
+  return {
+    user_id: BigInt(userId),
+    expires_at: new Date(Date.now() + 60 * 60 * 1000)
+  }
+}
+
 describe('jwt-auth plugin', () => {
   let mockServer
   let mockOptions
@@ -129,7 +147,10 @@ describe('jwt-auth plugin', () => {
       const validateFn = mockServer.auth.strategy.mock.calls[0][2].validate
       const mockReq = {
         prisma: {
-          pafs_core_users: { findUnique: vi.fn() }
+          pafs_core_users: { findUnique: vi.fn() },
+          pafs_core_user_sessions: {
+            findUnique: vi.fn().mockResolvedValue(liveSession(1))
+          }
         },
         server: { logger: { error: vi.fn(), warn: vi.fn() } },
         app: {}
@@ -141,19 +162,24 @@ describe('jwt-auth plugin', () => {
         last_name: 'B',
         admin: false,
         disabled: false,
-        locked_at: null,
-        unique_session_id: 'session-evict'
+        locked_at: null
       })
 
       // Populate the cache
-      await validateFn({ userId: 1, sessionId: 'session-evict' }, mockReq)
+      await validateFn(
+        { userId: 1, sessionId: 'session-evict', type: 'access' },
+        mockReq
+      )
       expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledOnce()
 
       // Evict via the decorated helper
       invalidateAuthCache(1, 'session-evict')
 
       // Next validation must hit DB again — cache entry is gone
-      await validateFn({ userId: 1, sessionId: 'session-evict' }, mockReq)
+      await validateFn(
+        { userId: 1, sessionId: 'session-evict', type: 'access' },
+        mockReq
+      )
       expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledTimes(2)
     })
 
@@ -166,11 +192,16 @@ describe('jwt-auth plugin', () => {
 
       const validateFn = mockServer.auth.strategy.mock.calls[0][2].validate
       const mockReq = {
-        prisma: { pafs_core_users: { findUnique: vi.fn() } },
+        prisma: {
+          pafs_core_users: { findUnique: vi.fn() },
+          pafs_core_user_sessions: {
+            findUnique: vi.fn().mockResolvedValue(liveSession(2))
+          }
+        },
         server: { logger: { error: vi.fn(), warn: vi.fn() } },
         app: {}
       }
-      const baseUser = {
+      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue({
         id: 2,
         email: 'u@b.com',
         first_name: 'U',
@@ -178,20 +209,17 @@ describe('jwt-auth plugin', () => {
         admin: false,
         disabled: false,
         locked_at: null
-      }
-
-      // Populate the cache with two distinct sessions for the same user
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue({
-        ...baseUser,
-        unique_session_id: 'sess-a'
       })
-      await validateFn({ userId: 2, sessionId: 'sess-a' }, mockReq)
 
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue({
-        ...baseUser,
-        unique_session_id: 'sess-b'
-      })
-      await validateFn({ userId: 2, sessionId: 'sess-b' }, mockReq)
+      // Populate the cache with two distinct sessions for the same user
+      await validateFn(
+        { userId: 2, sessionId: 'sess-a', type: 'access' },
+        mockReq
+      )
+      await validateFn(
+        { userId: 2, sessionId: 'sess-b', type: 'access' },
+        mockReq
+      )
 
       expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledTimes(2)
 
@@ -199,17 +227,14 @@ describe('jwt-auth plugin', () => {
       invalidateAuthCacheForUser(2)
 
       // Both cache entries are gone — DB must be queried for each
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue({
-        ...baseUser,
-        unique_session_id: 'sess-a'
-      })
-      await validateFn({ userId: 2, sessionId: 'sess-a' }, mockReq)
-
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue({
-        ...baseUser,
-        unique_session_id: 'sess-b'
-      })
-      await validateFn({ userId: 2, sessionId: 'sess-b' }, mockReq)
+      await validateFn(
+        { userId: 2, sessionId: 'sess-a', type: 'access' },
+        mockReq
+      )
+      await validateFn(
+        { userId: 2, sessionId: 'sess-b', type: 'access' },
+        mockReq
+      )
 
       expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledTimes(4)
     })
@@ -221,32 +246,41 @@ describe('jwt-auth plugin', () => {
 
       const validateFn = mockServer.auth.strategy.mock.calls[0][2].validate
       const mockReq = {
-        prisma: { pafs_core_users: { findUnique: vi.fn() } },
+        prisma: {
+          pafs_core_users: { findUnique: vi.fn() },
+          pafs_core_user_sessions: {
+            // sess-3 belongs to user 3, sess-4 to user 4
+            findUnique: vi.fn(({ where }) =>
+              Promise.resolve(liveSession(where.session_id.slice(-1)))
+            )
+          }
+        },
         server: { logger: { error: vi.fn(), warn: vi.fn() } },
         app: {}
       }
 
-      const makeUser = (id, sessionId) => ({
+      const makeUser = (id) => ({
         id,
         email: `u${id}@b.com`,
         first_name: 'U',
         last_name: 'B',
         admin: false,
         disabled: false,
-        locked_at: null,
-        unique_session_id: sessionId
+        locked_at: null
       })
 
       // Populate cache for user 3 and user 4
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue(
-        makeUser(3, 'sess-3')
+      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue(makeUser(3))
+      await validateFn(
+        { userId: 3, sessionId: 'sess-3', type: 'access' },
+        mockReq
       )
-      await validateFn({ userId: 3, sessionId: 'sess-3' }, mockReq)
 
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue(
-        makeUser(4, 'sess-4')
+      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue(makeUser(4))
+      await validateFn(
+        { userId: 4, sessionId: 'sess-4', type: 'access' },
+        mockReq
       )
-      await validateFn({ userId: 4, sessionId: 'sess-4' }, mockReq)
 
       expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledTimes(2)
 
@@ -254,72 +288,73 @@ describe('jwt-auth plugin', () => {
       invalidateAuthCacheForUser(3)
 
       // User 3 must re-query DB; user 4 is still cached
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue(
-        makeUser(3, 'sess-3')
+      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue(makeUser(3))
+      await validateFn(
+        { userId: 3, sessionId: 'sess-3', type: 'access' },
+        mockReq
+      )
+      await validateFn(
+        { userId: 4, sessionId: 'sess-4', type: 'access' },
+        mockReq
       )
-      await validateFn({ userId: 3, sessionId: 'sess-3' }, mockReq)
-      await validateFn({ userId: 4, sessionId: 'sess-4' }, mockReq)
 
       // Only user 3 triggered a DB query; user 4 hit cache
       expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledTimes(3)
     })
 
-    it('invalidate clears version cache so a co-cached session re-checks DB for version on next hit', async () => {
+    it('invalidate leaves the other sessions of the same user cached', async () => {
       await jwtAuthPlugin.register(mockServer, mockOptions)
 
       const [, , invalidateAuthCache] = mockServer.decorate.mock.calls[0]
       const validateFn = mockServer.auth.strategy.mock.calls[0][2].validate
       const mockReq = {
-        prisma: { pafs_core_users: { findUnique: vi.fn() } },
+        prisma: {
+          pafs_core_users: { findUnique: vi.fn() },
+          pafs_core_user_sessions: {
+            findUnique: vi.fn().mockResolvedValue(liveSession(10))
+          }
+        },
         server: { logger: { error: vi.fn(), warn: vi.fn() } },
         app: {}
       }
-      const makeUser = (sessionId) => ({
+      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue({
         id: 10,
         email: 'u@test.com',
         first_name: 'U',
         last_name: 'T',
         admin: false,
         disabled: false,
-        locked_at: null,
-        unique_session_id: sessionId
+        locked_at: null
       })
 
-      // Populate auth cache for two sessions of the same user.
-      // After both, version cache holds 'sess-y' (the last setSessionVersion call).
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue(
-        makeUser('sess-x')
+      // Populate auth cache for two sessions of the same user (two devices)
+      await validateFn(
+        { userId: 10, sessionId: 'sess-x', type: 'access' },
+        mockReq
       )
-      await validateFn({ userId: 10, sessionId: 'sess-x' }, mockReq)
-
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue(
-        makeUser('sess-y')
+      await validateFn(
+        { userId: 10, sessionId: 'sess-y', type: 'access' },
+        mockReq
       )
-      await validateFn({ userId: 10, sessionId: 'sess-y' }, mockReq)
       expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledTimes(2)
+      expect(
+        mockReq.prisma.pafs_core_user_sessions.findUnique
+      ).toHaveBeenCalledTimes(2)
 
-      // Invalidate 'sess-x' — also clears the version cache for user 10
+      // Sign out 'sess-x' only
       invalidateAuthCache(10, 'sess-x')
 
-      // '10:sess-y' is still in auth cache, but version cache was wiped by invalidate.
-      // The next hit must trigger a lightweight DB version re-check.
-      mockReq.prisma.pafs_core_users.findUnique.mockResolvedValue({
-        unique_session_id: 'sess-y'
-      })
+      // '10:sess-y' is served from both cache tiers without touching the DB
       const result = await validateFn(
-        { userId: 10, sessionId: 'sess-y' },
+        { userId: 10, sessionId: 'sess-y', type: 'access' },
         mockReq
       )
 
       expect(result.isValid).toBe(true)
-      // Third call is the lightweight version re-check
-      expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledTimes(3)
+      expect(mockReq.prisma.pafs_core_users.findUnique).toHaveBeenCalledTimes(2)
       expect(
-        mockReq.prisma.pafs_core_users.findUnique
-      ).toHaveBeenLastCalledWith({
-        where: { id: 10 },
-        select: { unique_session_id: true }
-      })
+        mockReq.prisma.pafs_core_user_sessions.findUnique
+      ).toHaveBeenCalledTimes(2)
     })
   })
 
@@ -329,12 +364,18 @@ describe('jwt-auth plugin', () => {
 
     beforeEach(async () => {
       await jwtAuthPlugin.register(mockServer, mockOptions)
-      validateFn = mockServer.auth.strategy.mock.calls[0][2].validate
+      const { validate } = mockServer.auth.strategy.mock.calls[0][2]
+      // Tokens below are access tokens unless a test sets another type
+      validateFn = (decoded, request) =>
+        validate(decoded && { type: 'access', ...decoded }, request)
 
       mockRequest = {
         prisma: {
           pafs_core_users: {
             findUnique: vi.fn()
+          },
+          pafs_core_user_sessions: {
+            findUnique: vi.fn().mockResolvedValue(liveSession(1))
           }
         },
         server: {
@@ -343,6 +384,7 @@ describe('jwt-auth plugin', () => {
             warn: vi.fn()
           }
         },
+        info: { remoteAddress: '10.0.0.1' },
         app: {}
       }
     })
@@ -442,6 +484,24 @@ describe('jwt-auth plugin', () => {
         })
       })
 
+      it.each([['mfa'], ['refresh'], [undefined]])(
+        'returns invalid for a token of type %s',
+        async (type) => {
+          const result = await validateFn(
+            { userId: 1, sessionId: 'session-123', type },
+            mockRequest
+          )
+
+          expect(result.isValid).toBe(false)
+          expect(result.artifacts).toEqual({
+            errorCode: 'AUTH_TOKEN_EXPIRED_INVALID'
+          })
+          expect(
+            mockRequest.prisma.pafs_core_users.findUnique
+          ).not.toHaveBeenCalled()
+        }
+      )
+
       it('returns invalid for empty string sessionId', async () => {
         const result = await validateFn(
           { userId: 1, sessionId: '' },
@@ -478,11 +538,15 @@ describe('jwt-auth plugin', () => {
             first_name: true,
             last_name: true,
             admin: true,
+            area_manager: true,
             disabled: true,
-            locked_at: true,
-            unique_session_id: true
+            suspended_until: true,
+            locked_at: true
           }
         })
+        expect(
+          mockRequest.prisma.pafs_core_user_sessions.findUnique
+        ).not.toHaveBeenCalled()
       })
 
       it('does not log warning for non-existent user', async () => {
@@ -503,8 +567,7 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: false,
           disabled: true,
-          locked_at: null,
-          unique_session_id: 'session-123'
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -520,8 +583,7 @@ describe('jwt-auth plugin', () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
           id: 1,
           disabled: true,
-          locked_at: null,
-          unique_session_id: 'session-123'
+          locked_at: null
         })
 
         await validateFn({ userId: 1, sessionId: 'session-123' }, mockRequest)
@@ -536,8 +598,7 @@ describe('jwt-auth plugin', () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
           id: 1,
           disabled: true,
-          locked_at: null,
-          unique_session_id: 'different-session'
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -564,8 +625,7 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: false,
           disabled: false,
-          locked_at: lockedAt,
-          unique_session_id: 'session-123'
+          locked_at: lockedAt
         })
 
         const result = await validateFn(
@@ -581,8 +641,7 @@ describe('jwt-auth plugin', () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
           id: 1,
           disabled: false,
-          locked_at: new Date(),
-          unique_session_id: 'session-123'
+          locked_at: new Date()
         })
 
         await validateFn({ userId: 1, sessionId: 'session-123' }, mockRequest)
@@ -597,8 +656,7 @@ describe('jwt-auth plugin', () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
           id: 1,
           disabled: false,
-          locked_at: new Date(),
-          unique_session_id: 'session-123'
+          locked_at: new Date()
         })
 
         const result = await validateFn(
@@ -613,8 +671,7 @@ describe('jwt-auth plugin', () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
           id: 1,
           disabled: false,
-          locked_at: new Date(),
-          unique_session_id: 'different-session'
+          locked_at: new Date()
         })
 
         const result = await validateFn(
@@ -632,20 +689,41 @@ describe('jwt-auth plugin', () => {
     })
 
     describe('session validation', () => {
-      it('returns invalid for session mismatch', async () => {
-        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
-          id: 1,
-          email: 'test@example.com',
-          first_name: 'Test',
-          last_name: 'User',
-          admin: false,
-          disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-old'
+      const activeUser = {
+        id: 1,
+        email: 'test@example.com',
+        first_name: 'Test',
+        last_name: 'User',
+        admin: false,
+        disabled: false,
+        locked_at: null
+      }
+
+      it('looks up the session carried in the token', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+          activeUser
+        )
+
+        await validateFn({ userId: 1, sessionId: 'session-123' }, mockRequest)
+
+        expect(
+          mockRequest.prisma.pafs_core_user_sessions.findUnique
+        ).toHaveBeenCalledWith({
+          where: { session_id: 'session-123' },
+          select: SESSION_SELECT
         })
+      })
+
+      it('returns invalid when the session has ended (signed out or superseded)', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+          activeUser
+        )
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          null
+        )
 
         const result = await validateFn(
-          { userId: 1, sessionId: 'session-new' },
+          { userId: 1, sessionId: 'session-old' },
           mockRequest
         )
 
@@ -653,29 +731,146 @@ describe('jwt-auth plugin', () => {
         expect(result.artifacts).toEqual({ errorCode: 'AUTH_SESSION_MISMATCH' })
       })
 
-      it('logs warning for session mismatch with token session', async () => {
-        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
-          id: 1,
-          disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-old'
-        })
+      it('logs warning for an ended session with token session', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+          activeUser
+        )
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          null
+        )
 
-        await validateFn({ userId: 1, sessionId: 'session-new' }, mockRequest)
+        await validateFn({ userId: 1, sessionId: 'session-old' }, mockRequest)
 
         expect(mockRequest.server.logger.warn).toHaveBeenCalledWith(
-          { userId: 1, tokenSession: 'session-new' },
-          'JWT validation failed: session mismatch (concurrent login detected)'
+          { userId: 1, tokenSession: 'session-old' },
+          'JWT validation failed: session has ended (signed out or superseded)'
+        )
+      })
+
+      it('records a security event for an ended session', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+          activeUser
+        )
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          null
+        )
+
+        await validateFn({ userId: 1, sessionId: 'session-old' }, mockRequest)
+
+        expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+          'SESSION_MISMATCH',
+          {
+            userId: 1,
+            ipAddress: '10.0.0.1',
+            details: { source: 'access-token' }
+          }
+        )
+      })
+
+      it('does not wait for the security event to be written', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+          activeUser
+        )
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          null
+        )
+        mockRecordSecurityEvent.mockReturnValueOnce(new Promise(() => {}))
+
+        const result = await validateFn(
+          { userId: 1, sessionId: 'session-old' },
+          mockRequest
+        )
+
+        expect(result.artifacts).toEqual({ errorCode: 'AUTH_SESSION_MISMATCH' })
+        expect(mockRecordSecurityEvent).toHaveBeenCalledOnce()
+      })
+
+      it('records the security event once per ended session within the window', async () => {
+        vi.useFakeTimers()
+        try {
+          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+            activeUser
+          )
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+            null
+          )
+
+          await validateFn({ userId: 1, sessionId: 'session-a' }, mockRequest)
+          await validateFn({ userId: 1, sessionId: 'session-a' }, mockRequest)
+          await validateFn({ userId: 1, sessionId: 'session-b' }, mockRequest)
+          expect(mockRecordSecurityEvent).toHaveBeenCalledTimes(2)
+
+          vi.advanceTimersByTime(5 * 60 * 1000)
+          await validateFn({ userId: 1, sessionId: 'session-a' }, mockRequest)
+          expect(mockRecordSecurityEvent).toHaveBeenCalledTimes(3)
+          expect(mockRequest.server.logger.warn).toHaveBeenCalledTimes(4)
+        } finally {
+          vi.useRealTimers()
+        }
+      })
+
+      it('returns invalid when the session has expired', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+          activeUser
+        )
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          { user_id: BigInt(1), expires_at: new Date(Date.now() - 1000) }
+        )
+
+        const result = await validateFn(
+          { userId: 1, sessionId: 'session-123' },
+          mockRequest
+        )
+
+        expect(result.isValid).toBe(false)
+        expect(result.artifacts).toEqual({ errorCode: 'AUTH_SESSION_MISMATCH' })
+      })
+
+      it('returns invalid when the session belongs to another user', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+          activeUser
         )
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          liveSession(2)
+        )
+
+        const result = await validateFn(
+          { userId: 1, sessionId: 'session-123' },
+          mockRequest
+        )
+
+        expect(result.isValid).toBe(false)
+        expect(result.artifacts).toEqual({ errorCode: 'AUTH_SESSION_MISMATCH' })
       })
 
-      it('returns invalid when user session is null (logged out)', async () => {
+      it('accepts any live session when the user has several', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
+          activeUser
+        )
+
+        const laptop = await validateFn(
+          { userId: 1, sessionId: 'session-laptop' },
+          mockRequest
+        )
+        const phone = await validateFn(
+          { userId: 1, sessionId: 'session-phone' },
+          mockRequest
+        )
+
+        expect(laptop.isValid).toBe(true)
+        expect(phone.isValid).toBe(true)
+      })
+    })
+
+    describe('suspended account', () => {
+      it('returns invalid with the suspended error code during a suspension', async () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
           id: 1,
           email: 'test@example.com',
+          admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: null
+          suspended_until: new Date(Date.now() + 24 * 60 * 60 * 1000),
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -684,30 +879,26 @@ describe('jwt-auth plugin', () => {
         )
 
         expect(result.isValid).toBe(false)
-        expect(mockRequest.server.logger.warn).toHaveBeenCalledWith(
-          { userId: 1, tokenSession: 'session-123' },
-          'JWT validation failed: session mismatch (concurrent login detected)'
-        )
+        expect(result.artifacts.errorCode).toBe('AUTH_ACCOUNT_SUSPENDED')
+        expect(mockRequest.app.jwtErrorCode).toBe('AUTH_ACCOUNT_SUSPENDED')
       })
 
-      it('detects concurrent login when session changed', async () => {
+      it('returns valid once the suspension end date has passed', async () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
           id: 1,
+          email: 'test@example.com',
+          admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-from-another-device'
+          suspended_until: new Date(Date.now() - 1000),
+          locked_at: null
         })
 
         const result = await validateFn(
-          { userId: 1, sessionId: 'session-from-this-device' },
+          { userId: 1, sessionId: 'session-123' },
           mockRequest
         )
 
-        expect(result.isValid).toBe(false)
-        expect(mockRequest.server.logger.warn).toHaveBeenCalledWith(
-          { userId: 1, tokenSession: 'session-from-this-device' },
-          'JWT validation failed: session mismatch (concurrent login detected)'
-        )
+        expect(result.isValid).toBe(true)
       })
     })
 
@@ -720,8 +911,7 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: true,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-123'
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -736,6 +926,7 @@ describe('jwt-auth plugin', () => {
           firstName: 'Test',
           lastName: 'User',
           isAdmin: true,
+          isAreaManager: false,
           sessionId: 'session-123',
           areas: [],
           primaryAreaType: null,
@@ -745,6 +936,30 @@ describe('jwt-auth plugin', () => {
         })
       })
 
+      it('flags area managers in the credentials', async () => {
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
+          id: 3,
+          email: 'pso.lead@example.com',
+          first_name: 'Pso',
+          last_name: 'Lead',
+          admin: false,
+          area_manager: true,
+          disabled: false,
+          locked_at: null
+        })
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          liveSession(3)
+        )
+
+        const result = await validateFn(
+          { userId: 3, sessionId: 'session-789' },
+          mockRequest
+        )
+
+        expect(result.isValid).toBe(true)
+        expect(result.credentials.isAreaManager).toBe(true)
+      })
+
       it('returns valid for non-admin user', async () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
           id: 2,
@@ -753,9 +968,11 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-456'
+          locked_at: null
         })
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          liveSession(2)
+        )
 
         const result = await validateFn(
           { userId: 2, sessionId: 'session-456' },
@@ -764,6 +981,7 @@ describe('jwt-auth plugin', () => {
 
         expect(result.isValid).toBe(true)
         expect(result.credentials.isAdmin).toBe(false)
+        expect(result.credentials.isAreaManager).toBe(false)
         expect(result.credentials).toHaveProperty('areas')
         expect(result.credentials).toHaveProperty('primaryAreaType')
         expect(result.credentials).toHaveProperty('isRma')
@@ -779,8 +997,7 @@ describe('jwt-auth plugin', () => {
           last_name: 'Doe',
           admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-123'
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -809,8 +1026,7 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-xyz'
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -830,8 +1046,7 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-123'
+          locked_at: null
         })
 
         await validateFn({ userId: 1, sessionId: 'session-123' }, mockRequest)
@@ -934,9 +1149,11 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-123'
+          locked_at: null
         })
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          liveSession(largeId)
+        )
 
         const result = await validateFn(
           { userId: largeId, sessionId: 'session-123' },
@@ -957,8 +1174,7 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: longSessionId
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -979,8 +1195,7 @@ describe('jwt-auth plugin', () => {
           last_name: 'User',
           admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-123'
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -1003,8 +1218,7 @@ describe('jwt-auth plugin', () => {
           last_name: "O'Brien-Smith",
           admin: false,
           disabled: false,
-          locked_at: null,
-          unique_session_id: 'session-123'
+          locked_at: null
         })
 
         const result = await validateFn(
@@ -1027,8 +1241,7 @@ describe('jwt-auth plugin', () => {
         last_name: 'User',
         admin: false,
         disabled: false,
-        locked_at: null,
-        unique_session_id: 'session-abc'
+        locked_at: null
       }
 
       it('serves the second request from cache — no further DB queries', async () => {
@@ -1064,8 +1277,7 @@ describe('jwt-auth plugin', () => {
 
       it('bypasses cache for a different sessionId — new token after refresh', async () => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
-          ...activeUser,
-          unique_session_id: 'session-new'
+          ...activeUser
         })
 
         await validateFn({ userId: 1, sessionId: 'session-abc' }, mockRequest)
@@ -1140,10 +1352,12 @@ describe('jwt-auth plugin', () => {
               last_name: 'U',
               admin: false,
               disabled: false,
-              locked_at: null,
-              unique_session_id: `s-${where.id}`
+              locked_at: null
             })
         )
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockImplementation(
+          ({ where }) => Promise.resolve(liveSession(where.session_id.slice(2)))
+        )
 
         for (let i = 1; i <= 500; i++) {
           await validateFn({ userId: i, sessionId: `s-${i}` }, mockRequest)
@@ -1163,9 +1377,9 @@ describe('jwt-auth plugin', () => {
         ).toHaveBeenCalledTimes(502)
       })
 
-      it('evicts the oldest versionStore entry when version cache reaches max size (500)', async () => {
-        // Fill the version cache by triggering 500 full validations — each one
-        // calls setSessionVersion internally, keyed by userId.
+      it('evicts the oldest session state entry when the state cache reaches max size (500)', async () => {
+        // Fill the session state cache by triggering 500 full validations —
+        // each one calls setSessionState internally, keyed userId:sessionId.
         mockRequest.prisma.pafs_core_users.findUnique.mockImplementation(
           ({ where }) =>
             Promise.resolve({
@@ -1175,42 +1389,34 @@ describe('jwt-auth plugin', () => {
               last_name: 'U',
               admin: false,
               disabled: false,
-              locked_at: null,
-              unique_session_id: `s-${where.id}`
+              locked_at: null
             })
         )
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockImplementation(
+          ({ where }) => Promise.resolve(liveSession(where.session_id.slice(2)))
+        )
 
         for (let i = 1; i <= 500; i++) {
           await validateFn({ userId: i, sessionId: `s-${i}` }, mockRequest)
         }
 
-        // Adding entry 501 must evict entry 1 from versionStore.
-        // Verify by advancing past the version TTL for user 1 and confirming
-        // a DB call is needed (entry 1 is gone, not just expired).
-        vi.useFakeTimers()
-        try {
-          await validateFn({ userId: 501, sessionId: 's-501' }, mockRequest)
+        // Adding entry 501 evicts entry 1 from both tiers, so user 1 is
+        // re-validated in full: one user lookup and one session lookup
+        await validateFn({ userId: 501, sessionId: 's-501' }, mockRequest)
+        const sessionCallsBefore =
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mock.calls
+            .length
 
-          // user 1 is back in the auth cache from the loop above.
-          // Trigger a version check: since versionStore entry 1 was evicted,
-          // the verify path must hit DB to re-fetch it.
-          vi.advanceTimersByTime(10 * 1000 + 1) // expire all version entries
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
-            unique_session_id: 's-1'
-          })
-          const callsBefore =
-            mockRequest.prisma.pafs_core_users.findUnique.mock.calls.length
-          await validateFn({ userId: 1, sessionId: 's-1' }, mockRequest)
-          expect(
-            mockRequest.prisma.pafs_core_users.findUnique.mock.calls.length
-          ).toBe(callsBefore + 1)
-        } finally {
-          vi.useRealTimers()
-        }
+        await validateFn({ userId: 1, sessionId: 's-1' }, mockRequest)
+
+        expect(
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mock.calls
+            .length
+        ).toBe(sessionCallsBefore + 1)
       })
     })
 
-    describe('session version verification on cache hit', () => {
+    describe('session state verification on cache hit', () => {
       // A fresh userId range (5x) avoids any cross-test cache sharing even
       // though each test gets a fresh authCache via the parent beforeEach.
       const verUser = {
@@ -1220,20 +1426,21 @@ describe('jwt-auth plugin', () => {
         last_name: 'Test',
         admin: false,
         disabled: false,
-        locked_at: null,
-        unique_session_id: 'vsess-1'
+        locked_at: null
       }
 
-      it('serves cached result without a DB call when version cache is warm and matches', async () => {
+      beforeEach(() => {
         mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(verUser)
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          liveSession(50)
+        )
+      })
 
-        // First call populates auth cache and warms version cache
+      it('serves cached result without a DB call when the session state cache is warm', async () => {
+        // First call populates auth cache and warms session state cache
         await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
-        expect(
-          mockRequest.prisma.pafs_core_users.findUnique
-        ).toHaveBeenCalledOnce()
 
-        // Second call: auth HIT + version HIT (matches) — no DB query at all
+        // Second call: auth HIT + state HIT (live) — no DB query at all
         const result = await validateFn(
           { userId: 50, sessionId: 'vsess-1' },
           mockRequest
@@ -1243,58 +1450,54 @@ describe('jwt-auth plugin', () => {
         expect(
           mockRequest.prisma.pafs_core_users.findUnique
         ).toHaveBeenCalledOnce()
+        expect(
+          mockRequest.prisma.pafs_core_user_sessions.findUnique
+        ).toHaveBeenCalledOnce()
       })
 
-      it('re-checks DB via lightweight select when version cache TTL (10 s) expires and session still matches', async () => {
+      it('re-checks only the session row when the state cache TTL (10 s) expires and the session is still live', async () => {
         vi.useFakeTimers()
         try {
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
-          )
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
 
-          // Expire only the version cache (10 s), leaving the 15-min auth cache alive
+          // Expire only the session state cache (10 s), leaving the 15-min auth cache alive
           vi.advanceTimersByTime(10 * 1000 + 1)
 
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
-            unique_session_id: 'vsess-1'
-          })
           const result = await validateFn(
             { userId: 50, sessionId: 'vsess-1' },
             mockRequest
           )
 
           expect(result.isValid).toBe(true)
-          // One full-user fetch (initial) + one lightweight version check
+          // One full-user fetch (initial) only; the session row is looked up again
           expect(
             mockRequest.prisma.pafs_core_users.findUnique
+          ).toHaveBeenCalledOnce()
+          expect(
+            mockRequest.prisma.pafs_core_user_sessions.findUnique
           ).toHaveBeenCalledTimes(2)
-          // Version check must use the single-column select, not the full select
           expect(
-            mockRequest.prisma.pafs_core_users.findUnique
+            mockRequest.prisma.pafs_core_user_sessions.findUnique
           ).toHaveBeenLastCalledWith({
-            where: { id: 50 },
-            select: { unique_session_id: true }
+            where: { session_id: 'vsess-1' },
+            select: SESSION_SELECT
           })
         } finally {
           vi.useRealTimers()
         }
       })
 
-      it('returns SESSION_MISMATCH when version DB check detects a newer session (concurrent login on another instance)', async () => {
+      it('returns SESSION_MISMATCH when the session was ended on another instance', async () => {
         vi.useFakeTimers()
         try {
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
-          )
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
 
           vi.advanceTimersByTime(10 * 1000 + 1)
 
-          // DB now has a different session — a new login superseded this one
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
-            unique_session_id: 'vsess-2'
-          })
+          // The session row has gone — signed out elsewhere or superseded
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+            null
+          )
           const result = await validateFn(
             { userId: 50, sessionId: 'vsess-1' },
             mockRequest
@@ -1306,8 +1509,13 @@ describe('jwt-auth plugin', () => {
           })
           expect(mockRequest.server.logger.warn).toHaveBeenCalledWith(
             { userId: 50, tokenSession: 'vsess-1' },
-            'JWT validation failed: session superseded (concurrent login detected)'
+            'JWT validation failed: session has ended (signed out or superseded)'
+          )
+          expect(mockRecordSecurityEvent).toHaveBeenCalledWith(
+            'SESSION_MISMATCH',
+            expect.objectContaining({ userId: 50 })
           )
+          // The account is re-checked once the session is found to have ended
           expect(
             mockRequest.prisma.pafs_core_users.findUnique
           ).toHaveBeenCalledTimes(2)
@@ -1316,66 +1524,84 @@ describe('jwt-auth plugin', () => {
         }
       })
 
-      it('evicts the auth cache entry after a version mismatch so the next request re-validates from DB', async () => {
+      it('returns ACCOUNT_SUSPENDED when a cached user has since been suspended', async () => {
         vi.useFakeTimers()
         try {
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
-          )
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
 
-          vi.advanceTimersByTime(10 * 1000 + 1)
-
-          // Version check detects mismatch — also evicts the auth cache entry
+          // Suspended on another instance: the user's sessions have been ended
           mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
-            unique_session_id: 'vsess-2'
+            ...verUser,
+            suspended_until: new Date(Date.now() + 24 * 60 * 60 * 1000)
           })
-          await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+            null
+          )
+          vi.advanceTimersByTime(10 * 1000 + 1)
 
-          // Restore full user mock; the evicted entry must trigger a full DB fetch
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
+          const result = await validateFn(
+            { userId: 50, sessionId: 'vsess-1' },
+            mockRequest
           )
-          await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
 
-          // initial full fetch + lightweight version check (mismatch) + full re-fetch
-          expect(
-            mockRequest.prisma.pafs_core_users.findUnique
-          ).toHaveBeenCalledTimes(3)
+          expect(result.isValid).toBe(false)
+          expect(result.artifacts).toEqual({
+            errorCode: 'AUTH_ACCOUNT_SUSPENDED'
+          })
+          expect(mockRequest.app.jwtErrorCode).toBe('AUTH_ACCOUNT_SUSPENDED')
+          expect(mockRecordSecurityEvent).not.toHaveBeenCalled()
         } finally {
           vi.useRealTimers()
         }
       })
 
-      it('returns ACCOUNT_NOT_FOUND and evicts auth cache when version DB check returns null', async () => {
+      it('returns SESSION_MISMATCH when the account check for an ended session fails', async () => {
         vi.useFakeTimers()
         try {
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
-          )
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
 
+          mockRequest.prisma.pafs_core_users.findUnique.mockRejectedValue(
+            new Error('Connection refused')
+          )
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+            null
+          )
           vi.advanceTimersByTime(10 * 1000 + 1)
 
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(null)
           const result = await validateFn(
             { userId: 50, sessionId: 'vsess-1' },
             mockRequest
           )
 
-          expect(result.isValid).toBe(false)
           expect(result.artifacts).toEqual({
-            errorCode: 'AUTH_ACCOUNT_NOT_FOUND'
+            errorCode: 'AUTH_SESSION_MISMATCH'
           })
-          expect(mockRequest.server.logger.warn).toHaveBeenCalledWith(
-            { userId: 50 },
-            'JWT validation failed: account not found during session version check'
+          expect(mockRequest.server.logger.error).toHaveBeenCalledWith(
+            { err: expect.any(Error) },
+            'Error fetching user for an ended session'
           )
-          // Auth cache evicted — next call must go to DB
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
+        } finally {
+          vi.useRealTimers()
+        }
+      })
+
+      it('evicts the auth cache entry after the session has ended so the next request re-validates from DB', async () => {
+        vi.useFakeTimers()
+        try {
+          await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
+
+          vi.advanceTimersByTime(10 * 1000 + 1)
+
+          // State check finds the session ended — also evicts the auth cache entry
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+            null
           )
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
+
+          // The evicted entry must trigger a full DB fetch
+          await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
+
+          // initial full fetch + account check on the ended session + full re-fetch
           expect(
             mockRequest.prisma.pafs_core_users.findUnique
           ).toHaveBeenCalledTimes(3)
@@ -1384,18 +1610,15 @@ describe('jwt-auth plugin', () => {
         }
       })
 
-      it('allows request through and logs error when version DB check throws a transient failure', async () => {
+      it('allows request through and logs error when the session DB check throws a transient failure', async () => {
         vi.useFakeTimers()
         try {
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
-          )
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
 
           vi.advanceTimersByTime(10 * 1000 + 1)
 
           const dbError = new Error('Connection refused')
-          mockRequest.prisma.pafs_core_users.findUnique.mockRejectedValue(
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mockRejectedValue(
             dbError
           )
           const result = await validateFn(
@@ -1407,37 +1630,53 @@ describe('jwt-auth plugin', () => {
           expect(result.isValid).toBe(true)
           expect(mockRequest.server.logger.error).toHaveBeenCalledWith(
             { err: dbError },
-            'Error fetching session version from DB'
+            'Error fetching session state from DB'
           )
         } finally {
           vi.useRealTimers()
         }
       })
 
-      it('detects version mismatch from version cache hit — no DB call required', async () => {
+      it("rejects a disabled user's next request on the instance that disabled them", async () => {
+        const invalidateAuthCacheForUser = mockServer.decorate.mock.calls.find(
+          ([, name]) => name === 'invalidateAuthCacheForUser'
+        )[2]
+        await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
+
+        // What disabling does: flag the user, end their sessions, drop the cache
+        mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
+          ...verUser,
+          disabled: true
+        })
+        mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+          null
+        )
+        invalidateAuthCacheForUser(50)
+
+        const result = await validateFn(
+          { userId: 50, sessionId: 'vsess-1' },
+          mockRequest
+        )
+
+        expect(result.isValid).toBe(false)
+        expect(result.artifacts).toEqual({ errorCode: 'AUTH_ACCOUNT_DISABLED' })
+      })
+
+      it("rejects a disabled user's next request on another instance once the session state expires", async () => {
         vi.useFakeTimers()
         try {
-          // Step 1: Populate '50:vsess-1' in auth cache; version = 'vsess-1'
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
-          )
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
 
-          // Step 2: Expire the version cache
-          vi.advanceTimersByTime(10 * 1000 + 1)
-
-          // Step 3: Full miss for 'vsess-2' → sets version = 'vsess-2' in version cache
+          // Disabled elsewhere: the user's sessions have been ended
           mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
             ...verUser,
-            unique_session_id: 'vsess-2'
+            disabled: true
           })
-          await validateFn({ userId: 50, sessionId: 'vsess-2' }, mockRequest)
-          const callCountAfterBothValidations =
-            mockRequest.prisma.pafs_core_users.findUnique.mock.calls.length
+          mockRequest.prisma.pafs_core_user_sessions.findUnique.mockResolvedValue(
+            null
+          )
+          vi.advanceTimersByTime(10 * 1000 + 1)
 
-          // Step 4: '50:vsess-1' still in auth cache (15-min TTL not reached);
-          //         version cache HIT returns 'vsess-2' ≠ 'vsess-1' → SESSION_MISMATCH,
-          //         no DB call needed
           const result = await validateFn(
             { userId: 50, sessionId: 'vsess-1' },
             mockRequest
@@ -1445,51 +1684,34 @@ describe('jwt-auth plugin', () => {
 
           expect(result.isValid).toBe(false)
           expect(result.artifacts).toEqual({
-            errorCode: 'AUTH_SESSION_MISMATCH'
+            errorCode: 'AUTH_ACCOUNT_DISABLED'
           })
-          expect(mockRequest.server.logger.warn).toHaveBeenCalledWith(
-            { userId: 50, tokenSession: 'vsess-1' },
-            'JWT validation failed: session superseded (concurrent login detected)'
-          )
-          // No additional DB call — mismatch detected entirely from version cache
-          expect(
-            mockRequest.prisma.pafs_core_users.findUnique.mock.calls.length
-          ).toBe(callCountAfterBothValidations)
         } finally {
           vi.useRealTimers()
         }
       })
 
-      it('version cache TTL is 10 s — fresh at 9 s, expired at 11 s', async () => {
+      it('session state cache TTL is 10 s — fresh at 9 s, expired at 11 s', async () => {
         vi.useFakeTimers()
         try {
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue(
-            verUser
-          )
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
 
-          // Still within TTL — version cache serves the check, no DB call
+          // Still within TTL — state cache serves the check, no DB call
           vi.advanceTimersByTime(9 * 1000)
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
           expect(
-            mockRequest.prisma.pafs_core_users.findUnique
+            mockRequest.prisma.pafs_core_user_sessions.findUnique
           ).toHaveBeenCalledOnce()
 
-          // Past TTL — version expired, DB re-checked
+          // Past TTL — state expired, DB re-checked
           vi.advanceTimersByTime(2 * 1000) // total elapsed: 11 s
-          mockRequest.prisma.pafs_core_users.findUnique.mockResolvedValue({
-            unique_session_id: 'vsess-1'
-          })
           await validateFn({ userId: 50, sessionId: 'vsess-1' }, mockRequest)
           expect(
-            mockRequest.prisma.pafs_core_users.findUnique
+            mockRequest.prisma.pafs_core_user_sessions.findUnique
           ).toHaveBeenCalledTimes(2)
           expect(
             mockRequest.prisma.pafs_core_users.findUnique
-          ).toHaveBeenLastCalledWith({
-            where: { id: 50 },
-            select: { unique_session_id: true }
-          })
+          ).toHaveBeenCalledOnce()
         } finally {
           vi.useRealTimers()
         }
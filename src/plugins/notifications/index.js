@@ -0,0 +1,30 @@
+import listNotifications from './list-notifications/list-notifications.js'
+import unreadCount from './unread-count/unread-count.js'
+import markRead from './mark-read/mark-read.js'
+import markAllRead from './mark-read/mark-all-read.js'
+import getPreferences from './notification-preferences/get-preferences.js'
+import updatePreferences from './notification-preferences/update-preferences.js'
+
+const notificationsPlugin = {
+  name: 'notifications',
+  version: '1.0.0',
+  register: (server, _options) => {
+    server.route([
+      listNotifications,
+      unreadCount,
+      markRead,
+      markAllRead,
+      getPreferences,
+      updatePreferences
+    ])
+    server.logger.info('Notifications plugin registered')
+  }
+}
+
+export default notificationsPlugin
+export { default as listNotifications } from './list-notifications/list-notifications.js'
+export { default as unreadCount } from './unread-count/unread-count.js'
+export { default as markRead } from './mark-read/mark-read.js'
+export { default as markAllRead } from './mark-read/mark-all-read.js'
+export { default as getPreferences } from './notification-preferences/get-preferences.js'
+export { default as updatePreferences } from './notification-preferences/update-preferences.js'
@@ -0,0 +1,44 @@
+import { describe, test, expect, vi } from 'vitest'
+import Hapi from '@hapi/hapi'
+
+const module = await import('./index.js')
+const notificationsPlugin = module.default
+
+describe('notifications plugin', () => {
+  test('Should register the notification routes', async () => {
+    const server = Hapi.server()
+    const mockLogger = { info: vi.fn() }
+
+    server.decorate('server', 'logger', mockLogger)
+    server.auth.scheme('jwt', () => ({ authenticate: vi.fn() }))
+    server.auth.strategy('jwt', 'jwt')
+
+    await server.register(notificationsPlugin)
+
+    const routes = server
+      .table()
+      .map((r) => `${r.method} ${r.path}`)
+      .sort()
+
+    expect(routes).toEqual([
+      'get /api/v1/notifications',
+      'get /api/v1/notifications/preferences',
+      'get /api/v1/notifications/unread-count',
+      'patch /api/v1/notifications/read-all',
+      'patch /api/v1/notifications/{notificationId}/read',
+      'put /api/v1/notifications/preferences'
+    ])
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      'Notifications plugin registered'
+    )
+  })
+
+  test('Should re-export each route', () => {
+    expect(module.listNotifications.path).toBe('/api/v1/notifications')
+    expect(module.unreadCount.path).toBe('/api/v1/notifications/unread-count')
+    expect(module.markRead.method).toBe('PATCH')
+    expect(module.markAllRead.path).toBe('/api/v1/notifications/read-all')
+    expect(module.getPreferences.method).toBe('GET')
+    expect(module.updatePreferences.method).toBe('PUT')
+  })
+})
@@ -0,0 +1,57 @@
+import { NotificationService } from '../services/notification-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { getNotificationsQuerySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const listNotifications = {
+  method: 'GET',
+  path: '/api/v1/notifications',
+  options: {
+    auth: 'jwt',
+    description: 'List notifications for the current user',
+    notes:
+      'Returns in-app notifications for the signed-in user, newest first, ' +
+      'with the total unread count. Set unreadOnly=true to hide read items.',
+    tags: ['api', 'notifications'],
+    validate: {
+      query: getNotificationsQuerySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      const { unreadOnly, page, pageSize } = request.query
+      const notificationService = new NotificationService(
+        request.prisma,
+        request.server.logger
+      )
+
+      const result = await request.metrics.timer(
+        'dbQueryDuration',
+        () =>
+          notificationService.getNotifications({
+            userId: request.auth.credentials.userId,
+            unreadOnly,
+            page,
+            pageSize
+          }),
+        { operation: 'getNotifications' }
+      )
+
+      return buildSuccessResponse(h, result, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        NOTIFICATION_ERROR_CODES.RETRIEVAL_FAILED,
+        'Failed to retrieve notifications'
+      )
+    }
+  }
+}
+
+export default listNotifications
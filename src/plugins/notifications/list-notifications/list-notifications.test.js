@@ -0,0 +1,89 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import listNotifications from './list-notifications.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { NotificationService } from '../services/notification-service.js'
+
+vi.mock('../services/notification-service.js')
+
+describe('list-notifications route', () => {
+  let mockRequest
+  let mockH
+
+  const inbox = {
+    data: [{ id: 1, type: 'programme_download_ready', read: false }],
+    pagination: { page: 1, pageSize: 20, total: 1 },
+    unreadCount: 1
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      query: { unreadOnly: false, page: 1, pageSize: 20 },
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } },
+      metrics: { timer: vi.fn(async (_name, fn) => fn()) }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    NotificationService.prototype.getNotifications = vi
+      .fn()
+      .mockResolvedValue(inbox)
+  })
+
+  describe('route configuration', () => {
+    test('Should be a GET on the notifications path', () => {
+      expect(listNotifications.method).toBe('GET')
+      expect(listNotifications.path).toBe('/api/v1/notifications')
+      expect(listNotifications.options.auth).toBe('jwt')
+      expect(listNotifications.options.tags).toEqual(['api', 'notifications'])
+    })
+
+    test('Should default unreadOnly to false', () => {
+      const { error, value } =
+        listNotifications.options.validate.query.validate({})
+      expect(error).toBeUndefined()
+      expect(value.unreadOnly).toBe(false)
+    })
+  })
+
+  describe('handler', () => {
+    test('Should return the signed-in user inbox', async () => {
+      mockRequest.query.unreadOnly = true
+
+      const result = await listNotifications.handler(mockRequest, mockH)
+
+      expect(
+        NotificationService.prototype.getNotifications
+      ).toHaveBeenCalledWith({
+        userId: 5,
+        unreadOnly: true,
+        page: 1,
+        pageSize: 20
+      })
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual(inbox)
+    })
+
+    test('Should return 500 when the lookup fails', async () => {
+      NotificationService.prototype.getNotifications = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await listNotifications.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        NOTIFICATION_ERROR_CODES.RETRIEVAL_FAILED
+      )
+    })
+  })
+})
@@ -0,0 +1,39 @@
+import { NotificationService } from '../services/notification-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const markAllRead = {
+  method: 'PATCH',
+  path: '/api/v1/notifications/read-all',
+  options: {
+    auth: 'jwt',
+    description: 'Mark all notifications as read',
+    notes: 'Marks every unread notification for the signed-in user as read.',
+    tags: ['api', 'notifications']
+  },
+  handler: async (request, h) => {
+    try {
+      const notificationService = new NotificationService(
+        request.prisma,
+        request.server.logger
+      )
+      const updated = await notificationService.markAllRead(
+        request.auth.credentials.userId
+      )
+
+      return buildSuccessResponse(h, { updated }, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        NOTIFICATION_ERROR_CODES.UPDATE_FAILED,
+        'Failed to mark notifications as read'
+      )
+    }
+  }
+}
+
+export default markAllRead
@@ -0,0 +1,58 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import markAllRead from './mark-all-read.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { NotificationService } from '../services/notification-service.js'
+
+vi.mock('../services/notification-service.js')
+
+describe('mark-all-read route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    NotificationService.prototype.markAllRead = vi.fn().mockResolvedValue(4)
+  })
+
+  test('Should be a PATCH on the read-all path', () => {
+    expect(markAllRead.method).toBe('PATCH')
+    expect(markAllRead.path).toBe('/api/v1/notifications/read-all')
+    expect(markAllRead.options.auth).toBe('jwt')
+  })
+
+  test('Should return how many notifications were marked', async () => {
+    const result = await markAllRead.handler(mockRequest, mockH)
+
+    expect(NotificationService.prototype.markAllRead).toHaveBeenCalledWith(5)
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data).toEqual({ updated: 4 })
+  })
+
+  test('Should return 500 when the update fails', async () => {
+    NotificationService.prototype.markAllRead = vi
+      .fn()
+      .mockRejectedValue(new Error('Database error'))
+
+    const result = await markAllRead.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    expect(result.data.errors[0].errorCode).toBe(
+      NOTIFICATION_ERROR_CODES.UPDATE_FAILED
+    )
+  })
+})
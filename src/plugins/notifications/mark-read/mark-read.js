@@ -0,0 +1,48 @@
+import { NotificationService } from '../services/notification-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { notificationParamsSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const markRead = {
+  method: 'PATCH',
+  path: '/api/v1/notifications/{notificationId}/read',
+  options: {
+    auth: 'jwt',
+    description: 'Mark a notification as read',
+    notes:
+      'Marks a notification for the signed-in user as read. ' +
+      'Notifications belonging to other users return 404.',
+    tags: ['api', 'notifications'],
+    validate: {
+      params: notificationParamsSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      const notificationService = new NotificationService(
+        request.prisma,
+        request.server.logger
+      )
+      const notification = await notificationService.markRead(
+        request.auth.credentials.userId,
+        request.params.notificationId
+      )
+
+      return buildSuccessResponse(h, notification, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        NOTIFICATION_ERROR_CODES.UPDATE_FAILED,
+        'Failed to mark notification as read'
+      )
+    }
+  }
+}
+
+export default markRead
@@ -0,0 +1,97 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import markRead from './mark-read.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  NOTIFICATION_ERROR_CODES,
+  NOTIFICATION_VALIDATION_CODES
+} from '../../../common/constants/notifications.js'
+import { NotFoundError } from '../../../common/errors/http-errors.js'
+import { NotificationService } from '../services/notification-service.js'
+
+vi.mock('../services/notification-service.js')
+
+describe('mark-read route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { notificationId: 12 },
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    NotificationService.prototype.markRead = vi
+      .fn()
+      .mockResolvedValue({ id: 12, read: true })
+  })
+
+  describe('route configuration', () => {
+    test('Should be a PATCH on the notification read path', () => {
+      expect(markRead.method).toBe('PATCH')
+      expect(markRead.path).toBe('/api/v1/notifications/{notificationId}/read')
+      expect(markRead.options.auth).toBe('jwt')
+    })
+
+    test('Should reject a non-numeric notification id', () => {
+      const { error } = markRead.options.validate.params.validate({
+        notificationId: 'abc'
+      })
+      expect(error.details[0].message).toBe(
+        NOTIFICATION_VALIDATION_CODES.ID_INVALID
+      )
+    })
+  })
+
+  describe('handler', () => {
+    test('Should mark the notification as read', async () => {
+      const result = await markRead.handler(mockRequest, mockH)
+
+      expect(NotificationService.prototype.markRead).toHaveBeenCalledWith(5, 12)
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({ id: 12, read: true })
+    })
+
+    test('Should return 404 when the notification belongs to someone else', async () => {
+      NotificationService.prototype.markRead = vi
+        .fn()
+        .mockRejectedValue(
+          new NotFoundError(
+            'Notification not found',
+            NOTIFICATION_ERROR_CODES.NOT_FOUND,
+            null
+          )
+        )
+
+      const result = await markRead.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(result.data.errors[0].errorCode).toBe(
+        NOTIFICATION_ERROR_CODES.NOT_FOUND
+      )
+    })
+
+    test('Should return 500 when the update fails', async () => {
+      NotificationService.prototype.markRead = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await markRead.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        NOTIFICATION_ERROR_CODES.UPDATE_FAILED
+      )
+    })
+  })
+})
@@ -0,0 +1,41 @@
+import { NotificationService } from '../services/notification-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const getPreferences = {
+  method: 'GET',
+  path: '/api/v1/notifications/preferences',
+  options: {
+    auth: 'jwt',
+    description: 'Get notification email preferences',
+    notes:
+      'Lists every notification type with whether it also sends an email. ' +
+      'Types with editable=false always email and cannot be switched off.',
+    tags: ['api', 'notifications']
+  },
+  handler: async (request, h) => {
+    try {
+      const notificationService = new NotificationService(
+        request.prisma,
+        request.server.logger
+      )
+      const preferences = await notificationService.getPreferences(
+        request.auth.credentials.userId
+      )
+
+      return buildSuccessResponse(h, { preferences }, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        NOTIFICATION_ERROR_CODES.RETRIEVAL_FAILED,
+        'Failed to retrieve notification preferences'
+      )
+    }
+  }
+}
+
+export default getPreferences
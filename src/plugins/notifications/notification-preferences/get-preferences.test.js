@@ -0,0 +1,64 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import getPreferences from './get-preferences.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { NotificationService } from '../services/notification-service.js'
+
+vi.mock('../services/notification-service.js')
+
+describe('get-preferences route', () => {
+  let mockRequest
+  let mockH
+
+  const preferences = [
+    { type: 'account_approved', emailEnabled: true, editable: false }
+  ]
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    NotificationService.prototype.getPreferences = vi
+      .fn()
+      .mockResolvedValue(preferences)
+  })
+
+  test('Should be a GET on the preferences path', () => {
+    expect(getPreferences.method).toBe('GET')
+    expect(getPreferences.path).toBe('/api/v1/notifications/preferences')
+    expect(getPreferences.options.auth).toBe('jwt')
+  })
+
+  test('Should return the signed-in user preferences', async () => {
+    const result = await getPreferences.handler(mockRequest, mockH)
+
+    expect(NotificationService.prototype.getPreferences).toHaveBeenCalledWith(5)
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data).toEqual({ preferences })
+  })
+
+  test('Should return 500 when the lookup fails', async () => {
+    NotificationService.prototype.getPreferences = vi
+      .fn()
+      .mockRejectedValue(new Error('Database error'))
+
+    const result = await getPreferences.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    expect(result.data.errors[0].errorCode).toBe(
+      NOTIFICATION_ERROR_CODES.RETRIEVAL_FAILED
+    )
+  })
+})
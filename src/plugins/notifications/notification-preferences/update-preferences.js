@@ -0,0 +1,48 @@
+import { NotificationService } from '../services/notification-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { updatePreferencesSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const updatePreferences = {
+  method: 'PUT',
+  path: '/api/v1/notifications/preferences',
+  options: {
+    auth: 'jwt',
+    description: 'Update notification email preferences',
+    notes:
+      'Saves whether each listed notification type also sends an email. ' +
+      'Types not listed keep their current setting.',
+    tags: ['api', 'notifications'],
+    validate: {
+      payload: updatePreferencesSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      const notificationService = new NotificationService(
+        request.prisma,
+        request.server.logger
+      )
+      const preferences = await notificationService.updatePreferences(
+        request.auth.credentials.userId,
+        request.payload.preferences
+      )
+
+      return buildSuccessResponse(h, { preferences }, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        NOTIFICATION_ERROR_CODES.UPDATE_FAILED,
+        'Failed to update notification preferences'
+      )
+    }
+  }
+}
+
+export default updatePreferences
@@ -0,0 +1,124 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import updatePreferences from './update-preferences.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  NOTIFICATION_ERROR_CODES,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_VALIDATION_CODES
+} from '../../../common/constants/notifications.js'
+import { UnprocessableEntityError } from '../../../common/errors/http-errors.js'
+import { NotificationService } from '../services/notification-service.js'
+
+vi.mock('../services/notification-service.js')
+
+describe('update-preferences route', () => {
+  let mockRequest
+  let mockH
+
+  const payload = {
+    preferences: [
+      { type: NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED, emailEnabled: true }
+    ]
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      payload,
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    NotificationService.prototype.updatePreferences = vi
+      .fn()
+      .mockResolvedValue([])
+  })
+
+  describe('route configuration', () => {
+    test('Should be a PUT on the preferences path', () => {
+      expect(updatePreferences.method).toBe('PUT')
+      expect(updatePreferences.path).toBe('/api/v1/notifications/preferences')
+      expect(updatePreferences.options.auth).toBe('jwt')
+    })
+
+    test('Should reject an unknown notification type', () => {
+      const { error } = updatePreferences.options.validate.payload.validate({
+        preferences: [{ type: 'nope', emailEnabled: true }]
+      })
+      expect(error.details[0].message).toBe(
+        NOTIFICATION_VALIDATION_CODES.TYPE_INVALID
+      )
+    })
+
+    test('Should reject the same type listed twice', () => {
+      const { error } = updatePreferences.options.validate.payload.validate({
+        preferences: [payload.preferences[0], payload.preferences[0]]
+      })
+      expect(error.details[0].message).toBe(
+        NOTIFICATION_VALIDATION_CODES.PREFERENCES_INVALID
+      )
+    })
+
+    test('Should reject an empty list', () => {
+      const { error } = updatePreferences.options.validate.payload.validate({
+        preferences: []
+      })
+      expect(error.details[0].message).toBe(
+        NOTIFICATION_VALIDATION_CODES.PREFERENCES_INVALID
+      )
+    })
+  })
+
+  describe('handler', () => {
+    test('Should save the preferences for the signed-in user', async () => {
+      const result = await updatePreferences.handler(mockRequest, mockH)
+
+      expect(
+        NotificationService.prototype.updatePreferences
+      ).toHaveBeenCalledWith(5, payload.preferences)
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({ preferences: [] })
+    })
+
+    test('Should return 422 when a required email is switched off', async () => {
+      NotificationService.prototype.updatePreferences = vi
+        .fn()
+        .mockRejectedValue(
+          new UnprocessableEntityError(
+            'Cannot be switched off',
+            NOTIFICATION_ERROR_CODES.PREFERENCE_NOT_EDITABLE,
+            'preferences'
+          )
+        )
+
+      const result = await updatePreferences.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.UNPROCESSABLE_ENTITY)
+      expect(result.data.errors[0].errorCode).toBe(
+        NOTIFICATION_ERROR_CODES.PREFERENCE_NOT_EDITABLE
+      )
+    })
+
+    test('Should return 500 when the save fails', async () => {
+      NotificationService.prototype.updatePreferences = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await updatePreferences.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        NOTIFICATION_ERROR_CODES.UPDATE_FAILED
+      )
+    })
+  })
+})
@@ -0,0 +1,64 @@
+import Joi from 'joi'
+import { pageSchema, pageSizeSchema } from '../../common/schemas/index.js'
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_VALIDATION_CODES
+} from '../../common/constants/notifications.js'
+
+/**
+ * Query schema for the notification inbox
+ */
+export const getNotificationsQuerySchema = Joi.object({
+  unreadOnly: Joi.boolean().default(false).label('Unread Only'),
+  page: pageSchema,
+  pageSize: pageSizeSchema()
+})
+
+/**
+ * Path params for a single notification
+ */
+export const notificationParamsSchema = Joi.object({
+  notificationId: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .label('Notification ID')
+    .messages({
+      'number.base': NOTIFICATION_VALIDATION_CODES.ID_INVALID,
+      'number.integer': NOTIFICATION_VALIDATION_CODES.ID_INVALID,
+      'number.positive': NOTIFICATION_VALIDATION_CODES.ID_INVALID
+    })
+})
+
+/**
+ * Payload schema for saving email preferences
+ */
+export const updatePreferencesSchema = Joi.object({
+  preferences: Joi.array()
+    .items(
+      Joi.object({
+        type: Joi.string()
+          .valid(...Object.values(NOTIFICATION_TYPES))
+          .required()
+          .label('Type')
+          .messages({
+            'any.only': NOTIFICATION_VALIDATION_CODES.TYPE_INVALID,
+            'any.required': NOTIFICATION_VALIDATION_CODES.TYPE_INVALID
+          }),
+        emailEnabled: Joi.boolean().required().label('Email Enabled').messages({
+          'boolean.base': NOTIFICATION_VALIDATION_CODES.PREFERENCES_INVALID,
+          'any.required': NOTIFICATION_VALIDATION_CODES.PREFERENCES_INVALID
+        })
+      })
+    )
+    .min(1)
+    .unique('type')
+    .required()
+    .label('Preferences')
+    .messages({
+      'array.base': NOTIFICATION_VALIDATION_CODES.PREFERENCES_INVALID,
+      'array.min': NOTIFICATION_VALIDATION_CODES.PREFERENCES_INVALID,
+      'array.unique': NOTIFICATION_VALIDATION_CODES.PREFERENCES_INVALID,
+      'any.required': NOTIFICATION_VALIDATION_CODES.PREFERENCES_INVALID
+    })
+})
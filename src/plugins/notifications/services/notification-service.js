@@ -0,0 +1,266 @@
+import {
+  NOTIFICATION_EMAIL_SETTINGS,
+  NOTIFICATION_ERROR_CODES
+} from '../../../common/constants/notifications.js'
+import {
+  NotFoundError,
+  UnprocessableEntityError
+} from '../../../common/errors/http-errors.js'
+import {
+  buildPaginationMeta,
+  normalizePaginationParams
+} from '../../../common/helpers/pagination.js'
+
+export class NotificationService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Write an in-app notification.
+   * Never throws — a notification failure must not block the event that raised it.
+   * @param {Object} notification
+   * @param {bigint|number} notification.userId - Recipient
+   * @param {string} notification.type - One of NOTIFICATION_TYPES
+   * @param {string} notification.title
+   * @param {string|null} [notification.body]
+   * @param {string|null} [notification.link] - Frontend path
+   * @param {Object|null} [notification.metadata]
+   * @returns {Promise<Object|null>} Created row, or null on failure
+   */
+  async create({
+    userId,
+    type,
+    title,
+    body = null,
+    link = null,
+    metadata = null
+  }) {
+    try {
+      return await this.prisma.pafs_core_notifications.create({
+        data: {
+          user_id: BigInt(userId),
+          type,
+          title,
+          body,
+          link,
+          metadata,
+          created_at: new Date()
+        }
+      })
+    } catch (error) {
+      this.logger.error(
+        { error: error.message, userId, type },
+        'Failed to create in-app notification'
+      )
+      return null
+    }
+  }
+
+  /**
+   * Whether an event of this type should also be emailed to the user
+   * @param {bigint|number} userId
+   * @param {string} type - One of NOTIFICATION_TYPES
+   * @returns {Promise<boolean>}
+   */
+  async isEmailEnabled(userId, type) {
+    const settings = NOTIFICATION_EMAIL_SETTINGS[type]
+    if (!settings || settings.emailRequired) {
+      return true
+    }
+
+    try {
+      const preference =
+        await this.prisma.pafs_core_notification_preferences.findFirst({
+          where: { user_id: BigInt(userId), type },
+          select: { email_enabled: true }
+        })
+      return preference?.email_enabled ?? settings.emailDefault
+    } catch (error) {
+      this.logger.warn(
+        { error: error.message, userId, type },
+        'Could not read notification preference, using default'
+      )
+      return settings.emailDefault
+    }
+  }
+
+  /**
+   * Paginated inbox for a user, newest first
+   * @param {Object} params
+   * @param {bigint|number} params.userId
+   * @param {boolean} [params.unreadOnly]
+   * @param {number} [params.page]
+   * @param {number} [params.pageSize]
+   * @returns {Promise<Object>} { data, pagination, unreadCount }
+   */
+  async getNotifications({ userId, unreadOnly = false, page, pageSize }) {
+    const {
+      page: normalizedPage,
+      pageSize: normalizedSize,
+      skip,
+      take
+    } = normalizePaginationParams(page, pageSize)
+
+    const where = { user_id: BigInt(userId) }
+    if (unreadOnly) {
+      where.read_at = null
+    }
+
+    const [rows, total, unreadCount] = await Promise.all([
+      this.prisma.pafs_core_notifications.findMany({
+        where,
+        orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+        skip,
+        take
+      }),
+      this.prisma.pafs_core_notifications.count({ where }),
+      this.countUnread(userId)
+    ])
+
+    return {
+      data: rows.map((row) => this._formatNotification(row)),
+      pagination: buildPaginationMeta(normalizedPage, normalizedSize, total),
+      unreadCount
+    }
+  }
+
+  /**
+   * @param {bigint|number} userId
+   * @returns {Promise<number>}
+   */
+  async countUnread(userId) {
+    return this.prisma.pafs_core_notifications.count({
+      where: { user_id: BigInt(userId), read_at: null }
+    })
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {bigint|number} userId
+   * @param {bigint|number} notificationId
+   * @returns {Promise<Object>} Formatted notification
+   * @throws {NotFoundError} When the notification is not the user's
+   */
+  async markRead(userId, notificationId) {
+    const existing = await this.prisma.pafs_core_notifications.findFirst({
+      where: { id: BigInt(notificationId), user_id: BigInt(userId) }
+    })
+
+    if (!existing) {
+      throw new NotFoundError(
+        'Notification not found',
+        NOTIFICATION_ERROR_CODES.NOT_FOUND,
+        null
+      )
+    }
+
+    if (existing.read_at) {
+      return this._formatNotification(existing)
+    }
+
+    const updated = await this.prisma.pafs_core_notifications.update({
+      where: { id: existing.id },
+      data: { read_at: new Date() }
+    })
+    return this._formatNotification(updated)
+  }
+
+  /**
+   * Mark every unread notification for the user as read
+   * @param {bigint|number} userId
+   * @returns {Promise<number>} Number of notifications updated
+   */
+  async markAllRead(userId) {
+    const { count } = await this.prisma.pafs_core_notifications.updateMany({
+      where: { user_id: BigInt(userId), read_at: null },
+      data: { read_at: new Date() }
+    })
+    return count
+  }
+
+  /**
+   * Email preference for every notification type, saved or default
+   * @param {bigint|number} userId
+   * @returns {Promise<Object[]>} [{ type, emailEnabled, editable }]
+   */
+  async getPreferences(userId) {
+    const rows = await this.prisma.pafs_core_notification_preferences.findMany({
+      where: { user_id: BigInt(userId) },
+      select: { type: true, email_enabled: true }
+    })
+    const saved = new Map(rows.map((row) => [row.type, row.email_enabled]))
+
+    return Object.entries(NOTIFICATION_EMAIL_SETTINGS).map(
+      ([type, settings]) => ({
+        type,
+        emailEnabled: settings.emailRequired
+          ? true
+          : (saved.get(type) ?? settings.emailDefault),
+        editable: !settings.emailRequired
+      })
+    )
+  }
+
+  /**
+   * Save email preferences
+   * @param {bigint|number} userId
+   * @param {Object[]} preferences - [{ type, emailEnabled }]
+   * @returns {Promise<Object[]>} Full preference list after the update
+   * @throws {UnprocessableEntityError} When a required email is switched off
+   */
+  async updatePreferences(userId, preferences) {
+    const locked = preferences.find(
+      (p) =>
+        NOTIFICATION_EMAIL_SETTINGS[p.type]?.emailRequired && !p.emailEnabled
+    )
+    if (locked) {
+      throw new UnprocessableEntityError(
+        `Emails for '${locked.type}' cannot be switched off`,
+        NOTIFICATION_ERROR_CODES.PREFERENCE_NOT_EDITABLE,
+        'preferences'
+      )
+    }
+
+    const now = new Date()
+    await this.prisma.$transaction(
+      preferences.map(({ type, emailEnabled }) =>
+        this.prisma.pafs_core_notification_preferences.upsert({
+          where: { user_id_type: { user_id: BigInt(userId), type } },
+          update: { email_enabled: emailEnabled, updated_at: now },
+          create: {
+            user_id: BigInt(userId),
+            type,
+            email_enabled: emailEnabled,
+            updated_at: now
+          }
+        })
+      )
+    )
+
+    this.logger.info(
+      { userId, types: preferences.map((p) => p.type) },
+      'Notification preferences updated'
+    )
+
+    return this.getPreferences(userId)
+  }
+
+  /**
+   * @private
+   */
+  _formatNotification(row) {
+    return {
+      id: Number(row.id),
+      type: row.type,
+      title: row.title,
+      body: row.body,
+      link: row.link,
+      metadata: row.metadata,
+      read: row.read_at !== null,
+      readAt: row.read_at,
+      createdAt: row.created_at
+    }
+  }
+}
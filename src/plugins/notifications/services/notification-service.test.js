@@ -0,0 +1,331 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { NotificationService } from './notification-service.js'
+import {
+  NOTIFICATION_ERROR_CODES,
+  NOTIFICATION_TYPES
+} from '../../../common/constants/notifications.js'
+import {
+  NotFoundError,
+  UnprocessableEntityError
+} from '../../../common/errors/http-errors.js'
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn((key) => (key === 'pagination.maxPageSize' ? 100 : 20))
+  }
+}))
+
+describe('NotificationService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+
+  const createdAt = new Date('2026-04-01T08:00:00Z')
+  const row = (overrides) => ({
+    id: 1n,
+    user_id: 5n,
+    type: NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY,
+    title: 'Your programme download is ready',
+    body: null,
+    link: '/downloads',
+    metadata: null,
+    read_at: null,
+    created_at: createdAt,
+    ...overrides
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockPrisma = {
+      pafs_core_notifications: {
+        create: vi.fn().mockResolvedValue(row()),
+        findMany: vi.fn().mockResolvedValue([]),
+        findFirst: vi.fn(),
+        count: vi.fn().mockResolvedValue(0),
+        update: vi.fn(),
+        updateMany: vi.fn().mockResolvedValue({ count: 0 })
+      },
+      pafs_core_notification_preferences: {
+        findFirst: vi.fn().mockResolvedValue(null),
+        findMany: vi.fn().mockResolvedValue([]),
+        upsert: vi.fn((args) => args)
+      },
+      $transaction: vi.fn().mockResolvedValue([])
+    }
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    service = new NotificationService(mockPrisma, mockLogger)
+  })
+
+  describe('create', () => {
+    test('Should write the notification for the user', async () => {
+      const result = await service.create({
+        userId: 5,
+        type: NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY,
+        title: 'Your programme download is ready',
+        link: '/downloads'
+      })
+
+      expect(result).toEqual(row())
+      expect(mockPrisma.pafs_core_notifications.create).toHaveBeenCalledWith({
+        data: {
+          user_id: 5n,
+          type: NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY,
+          title: 'Your programme download is ready',
+          body: null,
+          link: '/downloads',
+          metadata: null,
+          created_at: expect.any(Date)
+        }
+      })
+    })
+
+    test('Should log and return null instead of throwing', async () => {
+      mockPrisma.pafs_core_notifications.create.mockRejectedValue(
+        new Error('DB down')
+      )
+
+      const result = await service.create({
+        userId: 5,
+        type: NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY,
+        title: 'Ready'
+      })
+
+      expect(result).toBeNull()
+      expect(mockLogger.error).toHaveBeenCalled()
+    })
+  })
+
+  describe('isEmailEnabled', () => {
+    test('Should always email for required types without a lookup', async () => {
+      expect(
+        await service.isEmailEnabled(5, NOTIFICATION_TYPES.ACCOUNT_APPROVED)
+      ).toBe(true)
+      expect(
+        mockPrisma.pafs_core_notification_preferences.findFirst
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should use the saved preference', async () => {
+      mockPrisma.pafs_core_notification_preferences.findFirst.mockResolvedValue(
+        { email_enabled: false }
+      )
+
+      expect(
+        await service.isEmailEnabled(
+          5,
+          NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY
+        )
+      ).toBe(false)
+    })
+
+    test('Should fall back to the type default', async () => {
+      expect(
+        await service.isEmailEnabled(
+          5,
+          NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY
+        )
+      ).toBe(true)
+      expect(
+        await service.isEmailEnabled(
+          5,
+          NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED
+        )
+      ).toBe(false)
+    })
+
+    test('Should fall back to the default when the lookup fails', async () => {
+      mockPrisma.pafs_core_notification_preferences.findFirst.mockRejectedValue(
+        new Error('DB down')
+      )
+
+      expect(
+        await service.isEmailEnabled(
+          5,
+          NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_FAILED
+        )
+      ).toBe(true)
+      expect(mockLogger.warn).toHaveBeenCalled()
+    })
+  })
+
+  describe('getNotifications', () => {
+    test('Should return a page of notifications with the unread count', async () => {
+      mockPrisma.pafs_core_notifications.findMany.mockResolvedValue([
+        row({ read_at: createdAt })
+      ])
+      mockPrisma.pafs_core_notifications.count
+        .mockResolvedValueOnce(1)
+        .mockResolvedValueOnce(3)
+
+      const result = await service.getNotifications({
+        userId: 5,
+        page: 1,
+        pageSize: 10
+      })
+
+      expect(mockPrisma.pafs_core_notifications.findMany).toHaveBeenCalledWith({
+        where: { user_id: 5n },
+        orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+        skip: 0,
+        take: 10
+      })
+      expect(result.data).toEqual([
+        {
+          id: 1,
+          type: NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY,
+          title: 'Your programme download is ready',
+          body: null,
+          link: '/downloads',
+          metadata: null,
+          read: true,
+          readAt: createdAt,
+          createdAt
+        }
+      ])
+      expect(result.pagination).toMatchObject({ page: 1, total: 1 })
+      expect(result.unreadCount).toBe(3)
+    })
+
+    test('Should only return unread notifications when asked', async () => {
+      await service.getNotifications({ userId: 5, unreadOnly: true })
+
+      expect(mockPrisma.pafs_core_notifications.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { user_id: 5n, read_at: null } })
+      )
+    })
+  })
+
+  describe('markRead', () => {
+    test('Should stamp read_at on an unread notification', async () => {
+      mockPrisma.pafs_core_notifications.findFirst.mockResolvedValue(row())
+      mockPrisma.pafs_core_notifications.update.mockResolvedValue(
+        row({ read_at: createdAt })
+      )
+
+      const result = await service.markRead(5, 1)
+
+      expect(mockPrisma.pafs_core_notifications.findFirst).toHaveBeenCalledWith(
+        {
+          where: { id: 1n, user_id: 5n }
+        }
+      )
+      expect(mockPrisma.pafs_core_notifications.update).toHaveBeenCalledWith({
+        where: { id: 1n },
+        data: { read_at: expect.any(Date) }
+      })
+      expect(result.read).toBe(true)
+    })
+
+    test('Should leave an already read notification alone', async () => {
+      mockPrisma.pafs_core_notifications.findFirst.mockResolvedValue(
+        row({ read_at: createdAt })
+      )
+
+      await service.markRead(5, 1)
+
+      expect(mockPrisma.pafs_core_notifications.update).not.toHaveBeenCalled()
+    })
+
+    test('Should throw NotFoundError for another user notification', async () => {
+      mockPrisma.pafs_core_notifications.findFirst.mockResolvedValue(null)
+
+      const error = await service.markRead(5, 99).catch((e) => e)
+
+      expect(error).toBeInstanceOf(NotFoundError)
+      expect(error.code).toBe(NOTIFICATION_ERROR_CODES.NOT_FOUND)
+    })
+  })
+
+  describe('markAllRead', () => {
+    test('Should update every unread notification for the user', async () => {
+      mockPrisma.pafs_core_notifications.updateMany.mockResolvedValue({
+        count: 4
+      })
+
+      expect(await service.markAllRead(5)).toBe(4)
+      expect(
+        mockPrisma.pafs_core_notifications.updateMany
+      ).toHaveBeenCalledWith({
+        where: { user_id: 5n, read_at: null },
+        data: { read_at: expect.any(Date) }
+      })
+    })
+  })
+
+  describe('getPreferences', () => {
+    test('Should merge saved preferences over the defaults', async () => {
+      mockPrisma.pafs_core_notification_preferences.findMany.mockResolvedValue([
+        {
+          type: NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY,
+          email_enabled: false
+        },
+        // Required types ignore any stored value
+        { type: NOTIFICATION_TYPES.ACCOUNT_APPROVED, email_enabled: false }
+      ])
+
+      const result = await service.getPreferences(5)
+
+      expect(result).toContainEqual({
+        type: NOTIFICATION_TYPES.PROGRAMME_DOWNLOAD_READY,
+        emailEnabled: false,
+        editable: true
+      })
+      expect(result).toContainEqual({
+        type: NOTIFICATION_TYPES.ACCOUNT_APPROVED,
+        emailEnabled: true,
+        editable: false
+      })
+      expect(result).toContainEqual({
+        type: NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED,
+        emailEnabled: false,
+        editable: true
+      })
+      expect(result).toHaveLength(Object.keys(NOTIFICATION_TYPES).length)
+    })
+  })
+
+  describe('updatePreferences', () => {
+    test('Should upsert each preference in one transaction', async () => {
+      await service.updatePreferences(5, [
+        { type: NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED, emailEnabled: true }
+      ])
+
+      expect(
+        mockPrisma.pafs_core_notification_preferences.upsert
+      ).toHaveBeenCalledWith({
+        where: {
+          user_id_type: {
+            user_id: 5n,
+            type: NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED
+          }
+        },
+        update: { email_enabled: true, updated_at: expect.any(Date) },
+        create: {
+          user_id: 5n,
+          type: NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED,
+          email_enabled: true,
+          updated_at: expect.any(Date)
+        }
+      })
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1)
+      expect(mockLogger.info).toHaveBeenCalled()
+    })
+
+    test('Should refuse to switch off a required email', async () => {
+      const error = await service
+        .updatePreferences(5, [
+          {
+            type: NOTIFICATION_TYPES.ACCOUNT_INACTIVITY_WARNING,
+            emailEnabled: false
+          }
+        ])
+        .catch((e) => e)
+
+      expect(error).toBeInstanceOf(UnprocessableEntityError)
+      expect(error.code).toBe(NOTIFICATION_ERROR_CODES.PREFERENCE_NOT_EDITABLE)
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,39 @@
+import { NotificationService } from '../services/notification-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const unreadCount = {
+  method: 'GET',
+  path: '/api/v1/notifications/unread-count',
+  options: {
+    auth: 'jwt',
+    description: 'Count unread notifications for the current user',
+    notes: 'Lightweight count for the header badge; polled by the frontend.',
+    tags: ['api', 'notifications']
+  },
+  handler: async (request, h) => {
+    try {
+      const notificationService = new NotificationService(
+        request.prisma,
+        request.server.logger
+      )
+      const count = await notificationService.countUnread(
+        request.auth.credentials.userId
+      )
+
+      return buildSuccessResponse(h, { unreadCount: count }, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        NOTIFICATION_ERROR_CODES.RETRIEVAL_FAILED,
+        'Failed to count unread notifications'
+      )
+    }
+  }
+}
+
+export default unreadCount
@@ -0,0 +1,58 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import unreadCount from './unread-count.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { NOTIFICATION_ERROR_CODES } from '../../../common/constants/notifications.js'
+import { NotificationService } from '../services/notification-service.js'
+
+vi.mock('../services/notification-service.js')
+
+describe('unread-count route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    NotificationService.prototype.countUnread = vi.fn().mockResolvedValue(3)
+  })
+
+  test('Should be a GET on the unread count path', () => {
+    expect(unreadCount.method).toBe('GET')
+    expect(unreadCount.path).toBe('/api/v1/notifications/unread-count')
+    expect(unreadCount.options.auth).toBe('jwt')
+  })
+
+  test('Should return the unread count for the signed-in user', async () => {
+    const result = await unreadCount.handler(mockRequest, mockH)
+
+    expect(NotificationService.prototype.countUnread).toHaveBeenCalledWith(5)
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data).toEqual({ unreadCount: 3 })
+  })
+
+  test('Should return 500 when the count fails', async () => {
+    NotificationService.prototype.countUnread = vi
+      .fn()
+      .mockRejectedValue(new Error('Database error'))
+
+    const result = await unreadCount.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    expect(result.data.errors[0].errorCode).toBe(
+      NOTIFICATION_ERROR_CODES.RETRIEVAL_FAILED
+    )
+  })
+})
@@ -0,0 +1,159 @@
+import Joi from 'joi'
+import {
+  ProjectBulkStatusService,
+  BULK_STATUS_OUTCOMES
+} from '../services/project-bulk-status-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_STATUS,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+
+export const BULK_STATUS_MAX_PROJECTS = 500
+
+/**
+ * Bulk project status change (including bulk archive)
+ *
+ * Admins and PSO users can move up to BULK_STATUS_MAX_PROJECTS projects to
+ * one status. Each project is checked against the state machine and the
+ * user's area access on its own, exactly as the single update-status route.
+ *
+ * Error strategy matches external/update-proposal-status: process all items,
+ * return 200 when all succeed, 207 Multi-Status when some fail and 422 when
+ * all fail.
+ */
+const bulkStatus = {
+  method: 'POST',
+  path: '/api/v1/projects/bulk/status',
+  options: {
+    auth: 'jwt',
+    description: 'Update the status of many projects',
+    notes:
+      'Admin and PSO users only. Moves every listed project to the same status, ' +
+      'recording the reason in each project status history. ' +
+      `Accepts up to ${BULK_STATUS_MAX_PROJECTS} reference numbers. ` +
+      'Returns per-item results; HTTP 207 is returned when at least one item fails.',
+    tags: ['api', 'projects'],
+    validate: {
+      payload: Joi.object({
+        referenceNumbers: Joi.array()
+          .items(Joi.string().trim().min(1).max(255))
+          .min(1)
+          .max(BULK_STATUS_MAX_PROJECTS)
+          .unique()
+          .required()
+          .label('Reference Numbers')
+          .messages({
+            'array.min': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+            'array.max': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+            'array.unique': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+            'any.required': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
+          }),
+        status: Joi.string()
+          .valid(...Object.values(PROJECT_STATUS))
+          .required()
+          .label('Status')
+          .messages({
+            'any.only': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+            'any.required': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
+          }),
+        reason: Joi.string()
+          .trim()
+          .max(2000)
+          .allow('', null)
+          .optional()
+          .label('Reason')
+          .messages({
+            'string.max': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
+          })
+      }),
+      failAction: validationFailAction
+    },
+    handler: async (request, h) => {
+      const { referenceNumbers, status, reason } = request.payload
+      const { credentials } = request.auth
+
+      if (!credentials.isAdmin && !credentials.isPso) {
+        return buildErrorResponse(h, HTTP_STATUS.FORBIDDEN, [
+          {
+            errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS,
+            message:
+              'Only admin and PSO users can change project status in bulk'
+          }
+        ])
+      }
+
+      if (status === PROJECT_STATUS.SUBMITTED) {
+        return buildErrorResponse(h, HTTP_STATUS.UNPROCESSABLE_ENTITY, [
+          {
+            errorCode: PROJECT_VALIDATION_MESSAGES.SUBMISSION_ENDPOINT_REQUIRED,
+            message:
+              'Projects must be submitted through the submit endpoint so submission rules are applied'
+          }
+        ])
+      }
+
+      try {
+        const bulkService = new ProjectBulkStatusService(
+          request.prisma,
+          request.server.logger
+        )
+        const outcomes = await bulkService.updateStatuses({
+          // Hyphens are accepted as URL-safe separators, as elsewhere
+          referenceNumbers: [
+            ...new Set(referenceNumbers.map((ref) => ref.replaceAll('-', '/')))
+          ],
+          status,
+          reason: reason || null,
+          credentials
+        })
+
+        for (const { outcome } of outcomes) {
+          request.metrics.counter('bulkStatusUpdateItem', 1, {
+            outcome,
+            status
+          })
+        }
+        const results = outcomes.map(({ outcome: _o, ...rest }) => rest)
+        const hasSuccess = outcomes.some(
+          (r) => r.outcome === BULK_STATUS_OUTCOMES.SUCCESS
+        )
+        const hasFailure = outcomes.some(
+          (r) => r.outcome !== BULK_STATUS_OUTCOMES.SUCCESS
+        )
+
+        if (!hasSuccess) {
+          // All failed — return 422 with full result set
+          return buildErrorResponse(
+            h,
+            HTTP_STATUS.UNPROCESSABLE_ENTITY,
+            results.map(({ success: _s, ...rest }) => rest)
+          )
+        }
+
+        if (hasFailure) {
+          // Partial success — 207 Multi-Status
+          return h.response({ results }).code(HTTP_STATUS.MULTI_STATUS)
+        }
+
+        return buildSuccessResponse(h, { results })
+      } catch (error) {
+        request.server.logger.error(
+          { error: error.message, status },
+          'Failed to update project statuses in bulk'
+        )
+        return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+          { errorCode: PROJECT_ERROR_CODES.STATUS_UPDATE_FAILED }
+        ])
+      }
+    }
+  }
+}
+
+export default bulkStatus
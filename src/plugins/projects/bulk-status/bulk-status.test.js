@@ -0,0 +1,234 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import bulkStatus, { BULK_STATUS_MAX_PROJECTS } from './bulk-status.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_STATUS,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { ProjectBulkStatusService } from '../services/project-bulk-status-service.js'
+
+vi.mock(
+  '../services/project-bulk-status-service.js',
+  async (importOriginal) => {
+    const actual = await importOriginal()
+    return {
+      ...actual,
+      ProjectBulkStatusService: vi.fn()
+    }
+  }
+)
+
+const success = (referenceNumber) => ({
+  referenceNumber,
+  success: true,
+  outcome: 'success',
+  previousStatus: PROJECT_STATUS.DRAFT,
+  status: PROJECT_STATUS.ARCHIVED
+})
+
+const failure = (referenceNumber) => ({
+  referenceNumber,
+  success: false,
+  outcome: 'not_found',
+  errorCode: PROJECT_ERROR_CODES.NOT_FOUND,
+  message: `Project '${referenceNumber}' was not found`
+})
+
+describe('bulk-status route', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+  let mockUpdateStatuses
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+    mockUpdateStatuses = vi.fn()
+    ProjectBulkStatusService.mockImplementation(function () {
+      this.updateStatuses = mockUpdateStatuses
+    })
+
+    mockRequest = {
+      payload: {
+        referenceNumbers: ['AC-2021-00001-000', 'AC/2021/00002/000'],
+        status: PROJECT_STATUS.ARCHIVED,
+        reason: 'Programme closed'
+      },
+      prisma: {},
+      auth: {
+        credentials: { userId: 1, isAdmin: true, areas: [] }
+      },
+      server: { logger: mockLogger },
+      metrics: { counter: vi.fn() }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+  })
+
+  describe('route configuration', () => {
+    test('Should be a POST on /api/v1/projects/bulk/status', () => {
+      expect(bulkStatus.method).toBe('POST')
+      expect(bulkStatus.path).toBe('/api/v1/projects/bulk/status')
+      expect(bulkStatus.options.auth).toBe('jwt')
+    })
+
+    test('Should accept up to the maximum number of projects', () => {
+      const schema = bulkStatus.options.validate.payload
+      const refs = (count) =>
+        Array.from({ length: count }, (_, i) => `AC/2021/${i}/000`)
+
+      expect(
+        schema.validate({
+          referenceNumbers: refs(BULK_STATUS_MAX_PROJECTS),
+          status: 'archived'
+        }).error
+      ).toBeUndefined()
+      expect(
+        schema.validate({
+          referenceNumbers: refs(BULK_STATUS_MAX_PROJECTS + 1),
+          status: 'archived'
+        }).error.message
+      ).toBe(PROJECT_VALIDATION_MESSAGES.INVALID_DATA)
+    })
+
+    test('Should reject duplicate reference numbers', () => {
+      const { error } = bulkStatus.options.validate.payload.validate({
+        referenceNumbers: ['AC/1', 'AC/1'],
+        status: 'archived'
+      })
+      expect(error.message).toBe(PROJECT_VALIDATION_MESSAGES.INVALID_DATA)
+    })
+  })
+
+  test('Should send submissions to the submit endpoint', async () => {
+    mockRequest.payload.status = PROJECT_STATUS.SUBMITTED
+
+    const result = await bulkStatus.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.UNPROCESSABLE_ENTITY)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.SUBMISSION_ENDPOINT_REQUIRED
+    )
+    expect(mockUpdateStatuses).not.toHaveBeenCalled()
+  })
+
+  test('Should return 403 for users who are not admin or PSO', async () => {
+    mockRequest.auth.credentials = { userId: 2, isRma: true, areas: [] }
+
+    const result = await bulkStatus.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS
+    )
+    expect(mockUpdateStatuses).not.toHaveBeenCalled()
+  })
+
+  test('Should return 200 when every project is updated', async () => {
+    mockUpdateStatuses.mockResolvedValue([
+      success('AC/2021/00001/000'),
+      success('AC/2021/00002/000')
+    ])
+
+    const result = await bulkStatus.options.handler(mockRequest, mockH)
+
+    expect(mockUpdateStatuses).toHaveBeenCalledWith({
+      referenceNumbers: ['AC/2021/00001/000', 'AC/2021/00002/000'],
+      status: PROJECT_STATUS.ARCHIVED,
+      reason: 'Programme closed',
+      credentials: mockRequest.auth.credentials
+    })
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data.results[0]).toEqual({
+      referenceNumber: 'AC/2021/00001/000',
+      success: true,
+      previousStatus: PROJECT_STATUS.DRAFT,
+      status: PROJECT_STATUS.ARCHIVED
+    })
+    expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+      'bulkStatusUpdateItem',
+      1,
+      { outcome: 'success', status: PROJECT_STATUS.ARCHIVED }
+    )
+  })
+
+  test('Should allow PSO users', async () => {
+    mockRequest.auth.credentials = { userId: 3, isPso: true, areas: [] }
+    mockUpdateStatuses.mockResolvedValue([success('AC/2021/00001/000')])
+
+    const result = await bulkStatus.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+  })
+
+  test('Should collapse reference numbers that only differ by separator', async () => {
+    mockRequest.payload.referenceNumbers = ['AC-1', 'AC/1']
+    mockUpdateStatuses.mockResolvedValue([success('AC/1')])
+
+    await bulkStatus.options.handler(mockRequest, mockH)
+
+    expect(mockUpdateStatuses).toHaveBeenCalledWith(
+      expect.objectContaining({ referenceNumbers: ['AC/1'] })
+    )
+  })
+
+  test('Should return 207 when some projects fail', async () => {
+    mockUpdateStatuses.mockResolvedValue([
+      success('AC/2021/00001/000'),
+      failure('AC/2021/00002/000')
+    ])
+
+    const result = await bulkStatus.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.MULTI_STATUS)
+    expect(result.data.results).toHaveLength(2)
+    expect(result.data.results[1]).toEqual({
+      referenceNumber: 'AC/2021/00002/000',
+      success: false,
+      errorCode: PROJECT_ERROR_CODES.NOT_FOUND,
+      message: "Project 'AC/2021/00002/000' was not found"
+    })
+  })
+
+  test('Should return 422 when every project fails', async () => {
+    mockUpdateStatuses.mockResolvedValue([
+      failure('AC/2021/00001/000'),
+      failure('AC/2021/00002/000')
+    ])
+
+    const result = await bulkStatus.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.UNPROCESSABLE_ENTITY)
+    expect(result.data.errors).toEqual([
+      {
+        referenceNumber: 'AC/2021/00001/000',
+        errorCode: PROJECT_ERROR_CODES.NOT_FOUND,
+        message: "Project 'AC/2021/00001/000' was not found"
+      },
+      {
+        referenceNumber: 'AC/2021/00002/000',
+        errorCode: PROJECT_ERROR_CODES.NOT_FOUND,
+        message: "Project 'AC/2021/00002/000' was not found"
+      }
+    ])
+  })
+
+  test('Should return 500 when the bulk update throws', async () => {
+    mockUpdateStatuses.mockRejectedValue(new Error('DB down'))
+
+    const result = await bulkStatus.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_ERROR_CODES.STATUS_UPDATE_FAILED
+    )
+    expect(mockLogger.error).toHaveBeenCalled()
+  })
+})
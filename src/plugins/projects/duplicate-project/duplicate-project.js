@@ -0,0 +1,200 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectDuplicateService } from '../services/project-duplicate-service.js'
+import { AreaService } from '../../areas/services/area-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { projectNameSchema } from '../../../common/schemas/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+import { canCreateProject } from '../helpers/project-permissions.js'
+import { fetchProjectAreaId } from '../helpers/project-download-permissions.js'
+import { resolveStatusActor } from '../helpers/project-state-machine.js'
+import { validateProjectName } from '../helpers/project-validations/validate-project-name.js'
+import { validateRfccCode } from '../helpers/project-validations/validate-rfcc-code.js'
+
+export const MAX_DUPLICATE_YEAR_SHIFT = 10
+
+/**
+ * Load the source project and check the user may create a project in its
+ * area. Returns { source, areaId } or { errorResponse }.
+ */
+async function loadSource(request, h, projectService, referenceNumber) {
+  const source = await projectService.getProjectByReference(referenceNumber)
+  if (!source) {
+    return {
+      errorResponse: buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+          message: `Project '${referenceNumber}' not found`
+        }
+      ])
+    }
+  }
+
+  const areaId = await fetchProjectAreaId(request.prisma, source.id)
+  const access = canCreateProject(request.auth.credentials, areaId)
+  if (!areaId || !access.allowed) {
+    return {
+      errorResponse: buildErrorResponse(h, HTTP_STATUS.FORBIDDEN, [
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CREATE,
+          message:
+            access.reason ??
+            'You do not have permission to duplicate this project'
+        }
+      ])
+    }
+  }
+
+  return { source, areaId }
+}
+
+function recordOutcome(request, outcome) {
+  request.metrics.counter('proposalOperation', 1, {
+    operation: 'duplicate',
+    outcome
+  })
+}
+
+/**
+ * Requests turned away with a 4xx (unknown project, no access, name or RFCC
+ * problems) are counted as rejected rather than as duplications.
+ */
+function reject(request, errorResponse) {
+  recordOutcome(request, 'rejected')
+  return errorResponse
+}
+
+async function processDuplicate(request, h) {
+  const referenceNumber = request.params.referenceNumber.replaceAll('-', '/')
+  const { name, includeFunding, yearShift } = request.payload
+  const { credentials } = request.auth
+  const { logger } = request.server
+
+  const projectService = new ProjectService(request.prisma, logger)
+  const { source, areaId, errorResponse } = await loadSource(
+    request,
+    h,
+    projectService,
+    referenceNumber
+  )
+  if (errorResponse) {
+    return reject(request, errorResponse)
+  }
+
+  const nameError = await validateProjectName(
+    projectService,
+    name,
+    null,
+    credentials.userId,
+    logger,
+    h
+  )
+  if (nameError) {
+    return reject(request, nameError)
+  }
+
+  const areaService = new AreaService(request.prisma, logger)
+  const area = await areaService.getAreaByIdWithParents(areaId)
+  const rfccError = validateRfccCode(
+    area,
+    areaId,
+    credentials.userId,
+    logger,
+    h
+  )
+  if (rfccError) {
+    return reject(request, rfccError)
+  }
+
+  const duplicateService = new ProjectDuplicateService(request.prisma, logger)
+  const project = await duplicateService.duplicateProject({
+    source,
+    name,
+    areaId,
+    rmaName: area.name,
+    rfccCode: area.PSO.sub_type,
+    userId: credentials.userId,
+    actorType: resolveStatusActor(credentials) ?? undefined,
+    includeFunding,
+    yearShift
+  })
+
+  const response = buildSuccessResponse(
+    h,
+    {
+      success: true,
+      data: {
+        id: String(project.id),
+        referenceNumber: project.reference_number,
+        slug: project.slug,
+        name: project.name,
+        duplicatedFrom: referenceNumber
+      }
+    },
+    HTTP_STATUS.CREATED
+  )
+  recordOutcome(request, 'success')
+
+  return response
+}
+
+const duplicateProject = {
+  method: 'POST',
+  path: '/api/v1/project/{referenceNumber}/duplicate',
+  options: {
+    auth: 'jwt',
+    description: 'Create a new draft project from an existing one',
+    notes:
+      'Creates a draft with a new reference number, copying basic details, risks, ' +
+      'environmental benefits, NFM measures and land-use changes. Set includeFunding ' +
+      'to also copy funding sources and the spend profile; yearShift moves the ' +
+      'financial year range and spend profile forward. Submission dates, the ' +
+      'timeline and the benefit area file are not copied. The new name must be unique. ' +
+      'Only RMA users with access to the project area, or admins, can duplicate.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number')
+      }),
+      payload: Joi.object({
+        name: projectNameSchema,
+        includeFunding: Joi.boolean().default(false).label('Include Funding'),
+        yearShift: Joi.number()
+          .integer()
+          .min(0)
+          .max(MAX_DUPLICATE_YEAR_SHIFT)
+          .default(0)
+          .label('Year Shift')
+      }),
+      failAction: validationFailAction
+    },
+    handler: async (request, h) => {
+      try {
+        return await processDuplicate(request, h)
+      } catch (error) {
+        request.server.logger.error(
+          { err: error, referenceNumber: request.params.referenceNumber },
+          'Error duplicating project'
+        )
+        recordOutcome(request, 'error')
+
+        return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+          {
+            errorCode: PROJECT_ERROR_CODES.DUPLICATE_FAILED,
+            message: 'An error occurred while duplicating the project'
+          }
+        ])
+      }
+    }
+  }
+}
+
+export default duplicateProject
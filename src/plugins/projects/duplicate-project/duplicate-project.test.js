@@ -0,0 +1,256 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import duplicateProject, {
+  MAX_DUPLICATE_YEAR_SHIFT
+} from './duplicate-project.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_STATUS_ACTORS,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectDuplicateService } from '../services/project-duplicate-service.js'
+import { AreaService } from '../../areas/services/area-service.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../services/project-duplicate-service.js')
+vi.mock('../../areas/services/area-service.js')
+
+describe('duplicate-project route', () => {
+  let mockRequest
+  let mockH
+
+  const source = { id: 10n, reference_number: 'ANC501E/000A/001A' }
+  const area = { id: 3, name: 'Test RMA', PSO: { id: 2, sub_type: 'AN' } }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { referenceNumber: 'ANC501E-000A-001A' },
+      payload: { name: 'Flood wall 2027', includeFunding: true, yearShift: 1 },
+      auth: {
+        credentials: {
+          userId: 7,
+          isRma: true,
+          isAdmin: false,
+          areas: [{ areaId: 3 }]
+        }
+      },
+      prisma: {
+        pafs_core_area_projects: {
+          findFirst: vi.fn().mockResolvedValue({ area_id: 3 })
+        }
+      },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } },
+      metrics: { counter: vi.fn() }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue(source)
+    ProjectService.prototype.checkDuplicateProjectName = vi
+      .fn()
+      .mockResolvedValue({ isValid: true })
+    AreaService.prototype.getAreaByIdWithParents = vi
+      .fn()
+      .mockResolvedValue(area)
+    ProjectDuplicateService.prototype.duplicateProject = vi
+      .fn()
+      .mockResolvedValue({
+        id: 11n,
+        reference_number: 'ANC501E/000A/002A',
+        slug: 'ANC501E-000A-002A',
+        name: 'Flood wall 2027'
+      })
+  })
+
+  describe('route configuration', () => {
+    test('Should be a POST on the duplicate path', () => {
+      expect(duplicateProject.method).toBe('POST')
+      expect(duplicateProject.path).toBe(
+        '/api/v1/project/{referenceNumber}/duplicate'
+      )
+      expect(duplicateProject.options.auth).toBe('jwt')
+    })
+
+    test('Should require a name and default the optional fields', () => {
+      const schema = duplicateProject.options.validate.payload
+
+      expect(schema.validate({}).error.details[0].message).toBe(
+        PROJECT_VALIDATION_MESSAGES.NAME_REQUIRED
+      )
+
+      const { error, value } = schema.validate({ name: 'Copy' })
+      expect(error).toBeUndefined()
+      expect(value).toEqual({
+        name: 'Copy',
+        includeFunding: false,
+        yearShift: 0
+      })
+    })
+
+    test('Should cap the year shift', () => {
+      const { error } = duplicateProject.options.validate.payload.validate({
+        name: 'Copy',
+        yearShift: MAX_DUPLICATE_YEAR_SHIFT + 1
+      })
+      expect(error).toBeDefined()
+    })
+  })
+
+  describe('handler', () => {
+    test('Should create the duplicate and return 201', async () => {
+      const result = await duplicateProject.options.handler(mockRequest, mockH)
+
+      expect(
+        ProjectService.prototype.getProjectByReference
+      ).toHaveBeenCalledWith('ANC501E/000A/001A')
+      expect(
+        ProjectDuplicateService.prototype.duplicateProject
+      ).toHaveBeenCalledWith({
+        source,
+        name: 'Flood wall 2027',
+        areaId: 3,
+        rmaName: 'Test RMA',
+        rfccCode: 'AN',
+        userId: 7,
+        actorType: PROJECT_STATUS_ACTORS.RMA,
+        includeFunding: true,
+        yearShift: 1
+      })
+      expect(result.statusCode).toBe(HTTP_STATUS.CREATED)
+      expect(result.data.data).toEqual({
+        id: '11',
+        referenceNumber: 'ANC501E/000A/002A',
+        slug: 'ANC501E-000A-002A',
+        name: 'Flood wall 2027',
+        duplicatedFrom: 'ANC501E/000A/001A'
+      })
+      expect(mockRequest.metrics.counter).toHaveBeenCalledOnce()
+      expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+        'proposalOperation',
+        1,
+        { operation: 'duplicate', outcome: 'success' }
+      )
+    })
+
+    test('Should return 404 when the source project does not exist', async () => {
+      ProjectService.prototype.getProjectByReference = vi
+        .fn()
+        .mockResolvedValue(null)
+
+      const result = await duplicateProject.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(result.data.errors[0].errorCode).toBe(
+        PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND
+      )
+      expect(mockRequest.metrics.counter).toHaveBeenCalledOnce()
+      expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+        'proposalOperation',
+        1,
+        { operation: 'duplicate', outcome: 'rejected' }
+      )
+    })
+
+    test('Should return 403 when the user has no access to the area', async () => {
+      mockRequest.auth.credentials.areas = [{ areaId: 99 }]
+
+      const result = await duplicateProject.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+      expect(result.data.errors[0].errorCode).toBe(
+        PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CREATE
+      )
+      expect(
+        ProjectDuplicateService.prototype.duplicateProject
+      ).not.toHaveBeenCalled()
+      expect(mockRequest.metrics.counter).toHaveBeenCalledOnce()
+      expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+        'proposalOperation',
+        1,
+        { operation: 'duplicate', outcome: 'rejected' }
+      )
+    })
+
+    test('Should return 403 for PSO users', async () => {
+      mockRequest.auth.credentials = {
+        userId: 8,
+        isPso: true,
+        areas: [{ areaId: 2 }]
+      }
+
+      const result = await duplicateProject.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+    })
+
+    test('Should return 409 when the new name is taken', async () => {
+      ProjectService.prototype.checkDuplicateProjectName = vi
+        .fn()
+        .mockResolvedValue({
+          isValid: false,
+          errors: {
+            errorCode: PROJECT_VALIDATION_MESSAGES.NAME_DUPLICATE,
+            field: 'name'
+          }
+        })
+
+      const result = await duplicateProject.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.CONFLICT)
+      expect(
+        ProjectDuplicateService.prototype.duplicateProject
+      ).not.toHaveBeenCalled()
+      expect(mockRequest.metrics.counter).toHaveBeenCalledOnce()
+      expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+        'proposalOperation',
+        1,
+        { operation: 'duplicate', outcome: 'rejected' }
+      )
+    })
+
+    test('Should return 400 when the area has no RFCC code', async () => {
+      AreaService.prototype.getAreaByIdWithParents = vi
+        .fn()
+        .mockResolvedValue({ id: 3, name: 'Test RMA', PSO: null })
+
+      const result = await duplicateProject.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.BAD_REQUEST)
+      expect(mockRequest.metrics.counter).toHaveBeenCalledOnce()
+      expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+        'proposalOperation',
+        1,
+        { operation: 'duplicate', outcome: 'rejected' }
+      )
+    })
+
+    test('Should return 500 when the copy fails', async () => {
+      ProjectDuplicateService.prototype.duplicateProject = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await duplicateProject.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        PROJECT_ERROR_CODES.DUPLICATE_FAILED
+      )
+      expect(mockRequest.metrics.counter).toHaveBeenCalledOnce()
+      expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+        'proposalOperation',
+        1,
+        { operation: 'duplicate', outcome: 'error' }
+      )
+    })
+  })
+})
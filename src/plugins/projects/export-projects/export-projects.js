@@ -0,0 +1,112 @@
+import {
+  ProjectExportService,
+  PROJECT_EXPORT_STATUS,
+  buildExportFilename
+} from '../services/project-export-service.js'
+import { PROJECT_EXPORT_CONTENT_TYPES } from '../helpers/project-export-columns.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { getProjectsExportQuerySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { PROJECT_ERROR_CODES } from '../../../common/constants/project.js'
+import {
+  buildErrorResponse,
+  buildSuccessResponse
+} from '../../../common/helpers/response-builder.js'
+import {
+  narrowToRequestedArea,
+  resolveUserAreaIds
+} from '../../areas/helpers/user-areas.js'
+import { config } from '../../../config.js'
+
+const exportProjects = {
+  method: 'GET',
+  path: '/api/v1/projects/export',
+  options: {
+    auth: 'jwt',
+    description: 'Export projects',
+    notes:
+      'Exports the project list as CSV or XLSX using the same filters and sorting as GET /api/v1/projects. ' +
+      'Choose columns with columns=referenceNumber,name,status. ' +
+      'Small exports are streamed back directly; larger ones return 202 with an exportId ' +
+      'to poll at GET /api/v1/projects/export/{exportId}.',
+    tags: ['api', 'projects'],
+    validate: {
+      query: getProjectsExportQuerySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    const { logger } = request.server
+
+    try {
+      const {
+        search,
+        areaId,
+        status,
+        sortBy,
+        sortOrder,
+        format,
+        columns,
+        ...filters
+      } = request.query
+      const credentials = request.auth.credentials
+
+      const userAreaIds = await resolveUserAreaIds(
+        request.prisma,
+        logger,
+        credentials
+      )
+      const areaIds = narrowToRequestedArea(userAreaIds, areaId, credentials)
+      const query = {
+        search,
+        areaIds,
+        status,
+        filters,
+        sortBy,
+        sortOrder,
+        columns
+      }
+
+      const exportService = new ProjectExportService(request.prisma, logger)
+      const { where, total } = await request.metrics.timer(
+        'dbQueryDuration',
+        () => exportService.prepare(query),
+        { operation: 'exportProjects' }
+      )
+
+      if (total > config.get('projectExport.syncRowLimit')) {
+        const record = await exportService.queueExport(
+          { userId: credentials.userId, format, query, total },
+          request.server.sqs
+        )
+        return buildSuccessResponse(
+          h,
+          {
+            exportId: record.id.toString(),
+            status: PROJECT_EXPORT_STATUS.GENERATING,
+            rowCount: total
+          },
+          HTTP_STATUS.ACCEPTED
+        )
+      }
+
+      return h
+        .response(exportService.createStream(where, { ...query, format }))
+        .code(HTTP_STATUS.OK)
+        .header('Content-Type', PROJECT_EXPORT_CONTENT_TYPES[format])
+        .header(
+          'Content-Disposition',
+          `attachment; filename="${buildExportFilename(format)}"`
+        )
+    } catch (error) {
+      logger.error({ error }, 'Failed to export projects')
+      return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+        {
+          errorCode: PROJECT_ERROR_CODES.EXPORT_FAILED
+        }
+      ])
+    }
+  }
+}
+
+export default exportProjects
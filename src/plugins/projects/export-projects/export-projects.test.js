@@ -0,0 +1,211 @@
+import { Readable } from 'node:stream'
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import exportProjects from './export-projects.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_ERROR_CODES } from '../../../common/constants/project.js'
+import { ProjectExportService } from '../services/project-export-service.js'
+import { resolveUserAreaIds } from '../../areas/helpers/user-areas.js'
+
+vi.mock('../services/project-export-service.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    ProjectExportService: vi.fn()
+  }
+})
+
+vi.mock('../../areas/helpers/user-areas.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    resolveUserAreaIds: vi.fn()
+  }
+})
+
+vi.mock('../../../config.js', async (importOriginal) => {
+  const { config } = await importOriginal()
+  return {
+    config: {
+      get: vi.fn((key) =>
+        key === 'projectExport.syncRowLimit' ? 100 : config.get(key)
+      )
+    }
+  }
+})
+
+describe('export-projects route', () => {
+  let mockRequest
+  let mockH
+  let mockResponse
+  let mockLogger
+  let mockService
+  const stream = Readable.from(['csv'])
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    mockService = {
+      prepare: vi.fn().mockResolvedValue({ where: {}, total: 3 }),
+      createStream: vi.fn().mockReturnValue(stream),
+      queueExport: vi.fn().mockResolvedValue({ id: 12n })
+    }
+    ProjectExportService.mockImplementation(function () {
+      return mockService
+    })
+
+    mockRequest = {
+      query: {
+        format: 'csv',
+        sortBy: 'updatedAt',
+        sortOrder: 'desc'
+      },
+      prisma: {},
+      server: {
+        logger: mockLogger,
+        sqs: { send: vi.fn() }
+      },
+      auth: {
+        credentials: {
+          userId: 4,
+          isAdmin: false,
+          isRma: true,
+          areas: [{ areaId: 1, areaType: 'RMA' }]
+        }
+      },
+      metrics: {
+        timer: vi.fn(async (_name, fn) => fn())
+      }
+    }
+
+    mockResponse = {
+      code: vi.fn().mockReturnThis(),
+      header: vi.fn().mockReturnThis()
+    }
+    mockH = {
+      response: vi.fn((data) => {
+        mockResponse.data = data
+        return mockResponse
+      })
+    }
+
+    resolveUserAreaIds.mockResolvedValue([1, 2])
+  })
+
+  test('Should be a GET route on /api/v1/projects/export', () => {
+    expect(exportProjects.method).toBe('GET')
+    expect(exportProjects.path).toBe('/api/v1/projects/export')
+    expect(exportProjects.options.auth).toBe('jwt')
+    expect(exportProjects.options.tags).toEqual(['api', 'projects'])
+  })
+
+  test('Should stream small exports with download headers', async () => {
+    await exportProjects.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(stream)
+    expect(mockResponse.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    expect(mockResponse.header).toHaveBeenCalledWith(
+      'Content-Type',
+      'text/csv; charset=utf-8'
+    )
+    expect(mockResponse.header).toHaveBeenCalledWith(
+      'Content-Disposition',
+      expect.stringMatching(/^attachment; filename="projects_.*\.csv"$/)
+    )
+    expect(mockService.queueExport).not.toHaveBeenCalled()
+  })
+
+  test('Should pass list filters scoped to the user areas', async () => {
+    mockRequest.query = {
+      ...mockRequest.query,
+      search: 'flood',
+      status: ['draft'],
+      projectType: ['DEF'],
+      columns: ['name', 'status']
+    }
+
+    await exportProjects.handler(mockRequest, mockH)
+
+    const query = {
+      search: 'flood',
+      areaIds: [1, 2],
+      status: ['draft'],
+      filters: { projectType: ['DEF'] },
+      sortBy: 'updatedAt',
+      sortOrder: 'desc',
+      columns: ['name', 'status']
+    }
+    expect(mockService.prepare).toHaveBeenCalledWith(query)
+    expect(mockService.createStream).toHaveBeenCalledWith(
+      {},
+      {
+        ...query,
+        format: 'csv'
+      }
+    )
+  })
+
+  test('Should narrow to a requested area within scope', async () => {
+    mockRequest.query.areaId = 2
+
+    await exportProjects.handler(mockRequest, mockH)
+
+    expect(mockService.prepare).toHaveBeenCalledWith(
+      expect.objectContaining({ areaIds: [2] })
+    )
+  })
+
+  test('Should ignore a requested area outside scope', async () => {
+    mockRequest.query.areaId = 99
+
+    await exportProjects.handler(mockRequest, mockH)
+
+    expect(mockService.prepare).toHaveBeenCalledWith(
+      expect.objectContaining({ areaIds: [1, 2] })
+    )
+  })
+
+  test('Should use XLSX headers for XLSX exports', async () => {
+    mockRequest.query.format = 'xlsx'
+
+    await exportProjects.handler(mockRequest, mockH)
+
+    expect(mockResponse.header).toHaveBeenCalledWith(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    )
+  })
+
+  test('Should queue large exports and return 202', async () => {
+    mockService.prepare.mockResolvedValue({ where: {}, total: 101 })
+
+    await exportProjects.handler(mockRequest, mockH)
+
+    expect(mockService.queueExport).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 4, format: 'csv', total: 101 }),
+      mockRequest.server.sqs
+    )
+    expect(mockService.createStream).not.toHaveBeenCalled()
+    expect(mockResponse.data).toEqual({
+      exportId: '12',
+      status: 'generating',
+      rowCount: 101
+    })
+    expect(mockResponse.code).toHaveBeenCalledWith(HTTP_STATUS.ACCEPTED)
+  })
+
+  test('Should return 500 when the export fails', async () => {
+    mockService.prepare.mockRejectedValue(new Error('DB down'))
+
+    await exportProjects.handler(mockRequest, mockH)
+
+    expect(mockResponse.data).toEqual({
+      errors: [{ errorCode: PROJECT_ERROR_CODES.EXPORT_FAILED }]
+    })
+    expect(mockResponse.code).toHaveBeenCalledWith(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    )
+    expect(mockLogger.error).toHaveBeenCalled()
+  })
+})
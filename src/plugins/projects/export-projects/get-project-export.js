@@ -0,0 +1,100 @@
+import Joi from 'joi'
+import {
+  ProjectExportService,
+  PROJECT_EXPORT_STATUS,
+  buildExportFilename
+} from '../services/project-export-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_ERROR_CODES } from '../../../common/constants/project.js'
+import {
+  buildErrorResponse,
+  buildSuccessResponse
+} from '../../../common/helpers/response-builder.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { getS3Service } from '../../../common/services/file-upload/s3-service.js'
+import { buildPresignedResponse } from '../../downloads/programme/programme-generation-helpers.js'
+import { config } from '../../../config.js'
+
+/**
+ * GET /api/v1/projects/export/{exportId}
+ *
+ * Status of a background project export. Once ready, includes a presigned
+ * S3 URL for the file. Users only see their own exports.
+ */
+const getProjectExport = {
+  method: 'GET',
+  path: '/api/v1/projects/export/{exportId}',
+  options: {
+    auth: 'jwt',
+    description: 'Get project export status',
+    notes:
+      'Returns the status of a background project export, with a download URL once ready',
+    tags: ['api', 'projects'],
+    validate: {
+      params: Joi.object({
+        exportId: Joi.number().integer().positive().required().messages({
+          'number.base': PROJECT_ERROR_CODES.EXPORT_NOT_FOUND,
+          'number.positive': PROJECT_ERROR_CODES.EXPORT_NOT_FOUND
+        })
+      }),
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    const { logger } = request.server
+    const { exportId } = request.params
+    const { userId } = request.auth.credentials
+
+    try {
+      const exportService = new ProjectExportService(request.prisma, logger)
+      const record = await request.metrics.timer(
+        'dbQueryDuration',
+        () => exportService.getExport(BigInt(exportId), userId),
+        { operation: 'getProjectExport' }
+      )
+
+      if (!record) {
+        return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+          {
+            errorCode: PROJECT_ERROR_CODES.EXPORT_NOT_FOUND,
+            message: `Project export ${exportId} not found`
+          }
+        ])
+      }
+
+      const download =
+        record.status === PROJECT_EXPORT_STATUS.READY && record.s3_key
+          ? await buildPresignedResponse(
+              request,
+              getS3Service(logger),
+              config.get('cdpUploader.s3Bucket'),
+              record.s3_key,
+              buildExportFilename(record.format, record.requested_on)
+            )
+          : null
+
+      return buildSuccessResponse(
+        h,
+        {
+          exportId: record.id.toString(),
+          status: record.status,
+          format: record.format,
+          rowCount: record.row_count,
+          requestedOn: record.requested_on,
+          completedAt: record.completed_at,
+          download
+        },
+        HTTP_STATUS.OK
+      )
+    } catch (error) {
+      logger.error({ error, exportId }, 'Failed to get project export')
+      return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+        {
+          errorCode: PROJECT_ERROR_CODES.EXPORT_FAILED
+        }
+      ])
+    }
+  }
+}
+
+export default getProjectExport
@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import getProjectExport from './get-project-export.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_ERROR_CODES } from '../../../common/constants/project.js'
+import { ProjectExportService } from '../services/project-export-service.js'
+import { buildPresignedResponse } from '../../downloads/programme/programme-generation-helpers.js'
+
+vi.mock('../services/project-export-service.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    ProjectExportService: vi.fn()
+  }
+})
+
+vi.mock('../../downloads/programme/programme-generation-helpers.js', () => ({
+  buildPresignedResponse: vi.fn()
+}))
+
+vi.mock('../../../common/services/file-upload/s3-service.js', () => ({
+  getS3Service: vi.fn(() => ({}))
+}))
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn(() => 'uploads-bucket')
+  }
+}))
+
+describe('get-project-export route', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+  let mockService
+
+  const record = {
+    id: 12n,
+    user_id: 4n,
+    status: 'ready',
+    format: 'xlsx',
+    row_count: 2500,
+    s3_key: 'project-exports/user_4/12.xlsx',
+    requested_on: new Date('2026-05-01T10:00:00Z'),
+    completed_at: new Date('2026-05-01T10:02:00Z')
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn() }
+    mockService = { getExport: vi.fn().mockResolvedValue(record) }
+    ProjectExportService.mockImplementation(function () {
+      return mockService
+    })
+    buildPresignedResponse.mockResolvedValue({
+      downloadUrl: 'https://s3/url',
+      expiresAt: '2026-05-01T11:02:00.000Z',
+      filename: 'projects_2026-05-01.xlsx'
+    })
+
+    mockRequest = {
+      params: { exportId: 12 },
+      prisma: {},
+      server: { logger: mockLogger },
+      auth: { credentials: { userId: 4 } },
+      metrics: {
+        timer: vi.fn(async (_name, fn) => fn())
+      }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+  })
+
+  test('Should be a GET route on /api/v1/projects/export/{exportId}', () => {
+    expect(getProjectExport.method).toBe('GET')
+    expect(getProjectExport.path).toBe('/api/v1/projects/export/{exportId}')
+    expect(getProjectExport.options.auth).toBe('jwt')
+  })
+
+  test('Should return a download URL for a ready export', async () => {
+    const result = await getProjectExport.handler(mockRequest, mockH)
+
+    expect(mockService.getExport).toHaveBeenCalledWith(12n, 4)
+    expect(buildPresignedResponse).toHaveBeenCalledWith(
+      mockRequest,
+      {},
+      'uploads-bucket',
+      'project-exports/user_4/12.xlsx',
+      'projects_2026-05-01.xlsx'
+    )
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data).toEqual({
+      exportId: '12',
+      status: 'ready',
+      format: 'xlsx',
+      rowCount: 2500,
+      requestedOn: record.requested_on,
+      completedAt: record.completed_at,
+      download: {
+        downloadUrl: 'https://s3/url',
+        expiresAt: '2026-05-01T11:02:00.000Z',
+        filename: 'projects_2026-05-01.xlsx'
+      }
+    })
+  })
+
+  test('Should return no download while generating', async () => {
+    mockService.getExport.mockResolvedValue({
+      ...record,
+      status: 'generating',
+      s3_key: null,
+      completed_at: null
+    })
+
+    const result = await getProjectExport.handler(mockRequest, mockH)
+
+    expect(buildPresignedResponse).not.toHaveBeenCalled()
+    expect(result.data.status).toBe('generating')
+    expect(result.data.download).toBeNull()
+  })
+
+  test("Should return 404 for another user's or unknown export", async () => {
+    mockService.getExport.mockResolvedValue(null)
+
+    const result = await getProjectExport.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_ERROR_CODES.EXPORT_NOT_FOUND
+    )
+  })
+
+  test('Should return 500 when the lookup fails', async () => {
+    mockService.getExport.mockRejectedValue(new Error('DB down'))
+
+    const result = await getProjectExport.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_ERROR_CODES.EXPORT_FAILED
+    )
+    expect(mockLogger.error).toHaveBeenCalled()
+  })
+})
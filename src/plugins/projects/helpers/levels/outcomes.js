@@ -0,0 +1,22 @@
+import {
+  floodProtectionOutcomesSchema,
+  floodProtection2040OutcomesSchema,
+  coastalErosionProtectionOutcomesSchema
+} from '../../../../common/schemas/project.js'
+import { PROJECT_VALIDATION_LEVELS } from '../../../../common/constants/project.js'
+
+/**
+ * OUTCOMES: OM2/OM3 outcome rows per financial year.
+ * Each array replaces the stored rows of that type; omitted types are untouched.
+ */
+export const outcomesLevels = (referenceNumber) => ({
+  [PROJECT_VALIDATION_LEVELS.OUTCOMES]: {
+    name: PROJECT_VALIDATION_LEVELS.OUTCOMES,
+    fields: {
+      referenceNumber,
+      floodProtectionOutcomes: floodProtectionOutcomesSchema,
+      floodProtection2040Outcomes: floodProtection2040OutcomesSchema,
+      coastalErosionProtectionOutcomes: coastalErosionProtectionOutcomesSchema
+    }
+  }
+})
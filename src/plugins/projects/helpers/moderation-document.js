@@ -0,0 +1,110 @@
+/**
+ * Moderation document for urgent projects
+ *
+ * Plain-text summary of why a project is urgent, which the PSO sends on with
+ * the proposal. Saved under the project's moderationFilename (see
+ * project-enricher.js), so only urgent projects have one.
+ */
+import {
+  URGENCY_CODES,
+  URGENCY_REASONS
+} from '../../../common/constants/project.js'
+import { MODERATION_LABELS } from '../../downloads/helpers/fcerm1/fcerm1-labels.js'
+import { formatDate } from './proposal-payload-helpers.js'
+
+const NOT_PROVIDED = 'Not provided'
+
+// [label, field prefix] — each date is stored as <prefix>Month/<prefix>Year
+const KEY_DATES = [
+  ['Start outline business case', 'startOutlineBusinessCase'],
+  ['Complete outline business case', 'completeOutlineBusinessCase'],
+  ['Award main contract', 'awardContract'],
+  ['Start construction', 'startConstruction'],
+  ['Ready for service', 'readyForService'],
+  ['Earliest start with grant in aid', 'earliestWithGia']
+]
+
+function formatTimestamp(value) {
+  if (!value) {
+    return NOT_PROVIDED
+  }
+  return `${new Date(value).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+}
+
+function line(label, value) {
+  return `${label}: ${value ?? NOT_PROVIDED}`
+}
+
+function section(heading, lines) {
+  return [heading, '-'.repeat(heading.length), ...lines].join('\n')
+}
+
+function urgencyReasonText(urgencyReason) {
+  const label = MODERATION_LABELS[urgencyReason] ?? urgencyReason
+  const code = URGENCY_CODES[urgencyReason]
+  return code ? `${label} (${code})` : label
+}
+
+/**
+ * Filename of a project's moderation document, e.g. SLUG_moderation_BS.txt
+ * @param {string} slug
+ * @param {string} urgencyReason
+ * @returns {string|null} null when the project is not urgent
+ */
+export function getModerationFilename(slug, urgencyReason) {
+  if (!urgencyReason || urgencyReason === URGENCY_REASONS.NOT_URGENT) {
+    return null
+  }
+
+  const code = URGENCY_CODES[urgencyReason] ?? 'UNK'
+  return `${(slug ?? '').toUpperCase()}_moderation_${code}.txt`
+}
+
+/**
+ * Render the moderation document for an urgent project
+ * @param {Object} project - Enriched project from getProjectByReferenceNumber
+ * @param {Date} [generatedAt]
+ * @returns {string}
+ */
+export function buildModerationDocument(project, generatedAt = new Date()) {
+  const sections = [
+    [
+      'Moderation for urgent project',
+      '',
+      line('Project name', project.name),
+      line('Reference number', project.referenceNumber),
+      line('Project type', project.projectType)
+    ].join('\n'),
+    section('Urgency', [
+      line('Reason', urgencyReasonText(project.urgencyReason)),
+      line(
+        'Details last updated',
+        formatTimestamp(project.urgencyDetailsUpdatedAt)
+      ),
+      'Details:',
+      project.urgencyDetails?.trim() || NOT_PROVIDED
+    ]),
+    section('Areas', [
+      line('Risk management authority', project.rmaName),
+      line('PSO area', project.psoName),
+      line('Regional flood and coastal committee', project.rfccName),
+      line('Environment Agency area', project.eaAreaName)
+    ]),
+    section(
+      'Key dates',
+      KEY_DATES.map(([label, prefix]) =>
+        line(
+          label,
+          formatDate(project[`${prefix}Month`], project[`${prefix}Year`])
+        )
+      )
+    ),
+    section('Record', [
+      line('Created', formatTimestamp(project.createdAt)),
+      line('Last updated', formatTimestamp(project.updatedAt)),
+      line('Generated', formatTimestamp(generatedAt))
+    ])
+  ]
+
+  return `${sections.join('\n\n')}\n`
+}
@@ -0,0 +1,140 @@
+import { describe, test, expect } from 'vitest'
+import {
+  buildModerationDocument,
+  getModerationFilename
+} from './moderation-document.js'
+
+const GENERATED_AT = new Date('2026-05-01T09:30:00Z')
+
+const urgentProject = {
+  name: 'Flood wall',
+  referenceNumber: 'ANC501E/000A/001A',
+  projectType: 'DEF',
+  urgencyReason: 'statutory_need',
+  urgencyDetails: 'Statutory deadline of March 2027.\nWorks must start now. ',
+  urgencyDetailsUpdatedAt: new Date('2026-04-20T14:05:00Z'),
+  rmaName: 'Anytown Council',
+  psoName: 'PSO East',
+  rfccName: 'Anglian (Great Ouse)',
+  eaAreaName: 'East Anglia',
+  startOutlineBusinessCaseMonth: 4,
+  startOutlineBusinessCaseYear: 2026,
+  completeOutlineBusinessCaseMonth: 10,
+  completeOutlineBusinessCaseYear: 2026,
+  awardContractMonth: 1,
+  awardContractYear: 2027,
+  startConstructionMonth: 3,
+  startConstructionYear: 2027,
+  readyForServiceMonth: 12,
+  readyForServiceYear: 2028,
+  earliestWithGiaMonth: null,
+  earliestWithGiaYear: null,
+  createdAt: new Date('2026-01-10T08:00:00Z'),
+  updatedAt: new Date('2026-04-20T14:05:00Z')
+}
+
+describe('buildModerationDocument', () => {
+  test('Should render every section of the document', () => {
+    expect(buildModerationDocument(urgentProject, GENERATED_AT)).toBe(
+      [
+        'Moderation for urgent project',
+        '',
+        'Project name: Flood wall',
+        'Reference number: ANC501E/000A/001A',
+        'Project type: DEF',
+        '',
+        'Urgency',
+        '-------',
+        'Reason: Statutory Requirement (BS)',
+        'Details last updated: 2026-04-20 14:05 UTC',
+        'Details:',
+        'Statutory deadline of March 2027.\nWorks must start now.',
+        '',
+        'Areas',
+        '-----',
+        'Risk management authority: Anytown Council',
+        'PSO area: PSO East',
+        'Regional flood and coastal committee: Anglian (Great Ouse)',
+        'Environment Agency area: East Anglia',
+        '',
+        'Key dates',
+        '---------',
+        'Start outline business case: 04/2026',
+        'Complete outline business case: 10/2026',
+        'Award main contract: 01/2027',
+        'Start construction: 03/2027',
+        'Ready for service: 12/2028',
+        'Earliest start with grant in aid: Not provided',
+        '',
+        'Record',
+        '------',
+        'Created: 2026-01-10 08:00 UTC',
+        'Last updated: 2026-04-20 14:05 UTC',
+        'Generated: 2026-05-01 09:30 UTC',
+        ''
+      ].join('\n')
+    )
+  })
+
+  test('Should mark missing details and areas as not provided', () => {
+    const document = buildModerationDocument(
+      {
+        ...urgentProject,
+        urgencyDetails: '  ',
+        urgencyDetailsUpdatedAt: null,
+        psoName: null,
+        eaAreaName: undefined
+      },
+      GENERATED_AT
+    )
+
+    expect(document).toContain('Details last updated: Not provided\n')
+    expect(document).toContain('Details:\nNot provided\n')
+    expect(document).toContain('PSO area: Not provided\n')
+    expect(document).toContain('Environment Agency area: Not provided\n')
+  })
+
+  test('Should accept timestamps as strings', () => {
+    const document = buildModerationDocument(
+      { ...urgentProject, createdAt: '2026-01-10T08:00:00.000Z' },
+      GENERATED_AT
+    )
+
+    expect(document).toContain('Created: 2026-01-10 08:00 UTC\n')
+  })
+
+  test.each([
+    ['legal_need', 'Legal Agreement (BL)'],
+    ['health_and_safety', 'Health and Safety (HS)'],
+    ['emergency_works', 'Emergency (EM)'],
+    ['time_limited', 'Time Constrained Contribution (TL)']
+  ])('Should label the %s urgency reason', (urgencyReason, expected) => {
+    const document = buildModerationDocument(
+      { ...urgentProject, urgencyReason },
+      GENERATED_AT
+    )
+
+    expect(document).toContain(`Reason: ${expected}\n`)
+  })
+})
+
+describe('getModerationFilename', () => {
+  test('Should name the file from the upper-cased slug and urgency code', () => {
+    expect(getModerationFilename('anc501e-000a-001a', 'statutory_need')).toBe(
+      'ANC501E-000A-001A_moderation_BS.txt'
+    )
+  })
+
+  test.each([null, undefined, 'not_urgent'])(
+    'Should return null when the urgency reason is %s',
+    (urgencyReason) => {
+      expect(getModerationFilename('slug', urgencyReason)).toBeNull()
+    }
+  )
+
+  test('Should fall back to UNK for an unknown urgency reason', () => {
+    expect(getModerationFilename('x', 'something_else')).toBe(
+      'X_moderation_UNK.txt'
+    )
+  })
+})
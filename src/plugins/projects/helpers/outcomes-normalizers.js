@@ -0,0 +1,43 @@
+import { PROJECT_VALIDATION_LEVELS } from '../../../common/constants/project.js'
+import {
+  OUTCOME_TABLES,
+  ProjectOutcomesService
+} from '../services/project-outcomes-service.js'
+
+/**
+ * Save outcome rows to their own tables at the OUTCOMES level and strip them
+ * from the payload so they are not written to pafs_core_projects.
+ */
+export const handleOutcomesData = async (
+  enrichedPayload,
+  validationLevel,
+  projectService,
+  existingProjectId = null
+) => {
+  if (validationLevel !== PROJECT_VALIDATION_LEVELS.OUTCOMES) {
+    return
+  }
+
+  const outcomes = {}
+  for (const type of Object.keys(OUTCOME_TABLES)) {
+    if (enrichedPayload[type] !== undefined) {
+      outcomes[type] = enrichedPayload[type]
+      delete enrichedPayload[type]
+    }
+  }
+  if (Object.keys(outcomes).length === 0) {
+    return
+  }
+
+  const projectId =
+    existingProjectId ??
+    (await projectService.getProjectIdByReference(
+      enrichedPayload.referenceNumber
+    ))
+
+  const outcomesService = new ProjectOutcomesService(
+    projectService.prisma,
+    projectService.logger
+  )
+  await outcomesService.replaceOutcomes(projectId, outcomes)
+}
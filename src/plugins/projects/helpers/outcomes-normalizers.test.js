@@ -0,0 +1,79 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { handleOutcomesData } from './outcomes-normalizers.js'
+import { PROJECT_VALIDATION_LEVELS } from '../../../common/constants/project.js'
+import { ProjectOutcomesService } from '../services/project-outcomes-service.js'
+
+vi.mock('../services/project-outcomes-service.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  return { ...actual, ProjectOutcomesService: vi.fn() }
+})
+
+describe('handleOutcomesData', () => {
+  let projectService
+  let replaceOutcomes
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    replaceOutcomes = vi.fn()
+    ProjectOutcomesService.mockImplementation(function () {
+      this.replaceOutcomes = replaceOutcomes
+    })
+    projectService = {
+      prisma: {},
+      logger: {},
+      getProjectIdByReference: vi.fn().mockResolvedValue(42)
+    }
+  })
+
+  test('Should do nothing for other levels', async () => {
+    const payload = { floodProtectionOutcomes: [] }
+
+    await handleOutcomesData(
+      payload,
+      PROJECT_VALIDATION_LEVELS.APPROACH,
+      projectService
+    )
+
+    expect(replaceOutcomes).not.toHaveBeenCalled()
+    expect(payload.floodProtectionOutcomes).toEqual([])
+  })
+
+  test('Should save outcomes and strip them from the payload', async () => {
+    const rows = [{ financialYear: 2025, householdsAtReducedRisk: 3 }]
+    const payload = {
+      referenceNumber: 'ANC501E/000A/001A',
+      floodProtectionOutcomes: rows
+    }
+
+    await handleOutcomesData(
+      payload,
+      PROJECT_VALIDATION_LEVELS.OUTCOMES,
+      projectService,
+      7
+    )
+
+    expect(replaceOutcomes).toHaveBeenCalledWith(7, {
+      floodProtectionOutcomes: rows
+    })
+    expect(payload).toEqual({ referenceNumber: 'ANC501E/000A/001A' })
+    expect(projectService.getProjectIdByReference).not.toHaveBeenCalled()
+  })
+
+  test('Should look up the project id when it is not known', async () => {
+    await handleOutcomesData(
+      {
+        referenceNumber: 'ANC501E/000A/001A',
+        coastalErosionProtectionOutcomes: []
+      },
+      PROJECT_VALIDATION_LEVELS.OUTCOMES,
+      projectService
+    )
+
+    expect(projectService.getProjectIdByReference).toHaveBeenCalledWith(
+      'ANC501E/000A/001A'
+    )
+    expect(replaceOutcomes).toHaveBeenCalledWith(42, {
+      coastalErosionProtectionOutcomes: []
+    })
+  })
+})
@@ -262,6 +262,12 @@ export {
   syncGrowthFundingFlag
 } from './funding-sources-normalizers.js'
 
+/**
+ * Outcome rows (OM2/OM3) live in their own tables.
+ * Re-exported here so upsert can import every normalizer from one place.
+ */
+export { handleOutcomesData } from './outcomes-normalizers.js'
+
 /**
  * Sanitizes WLC cost fields (for validation stage) by removing commas
  * and trimming whitespace. Keeps empty string as-is so required validation
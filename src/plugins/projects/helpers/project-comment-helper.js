@@ -0,0 +1,86 @@
+import { ProjectService } from '../services/project-service.js'
+import { AreaService } from '../../areas/services/area-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_VALIDATION_MESSAGES } from '../../../common/constants/project.js'
+import { buildErrorResponse } from '../../../common/helpers/response-builder.js'
+import { fetchProjectAreaId } from './project-download-permissions.js'
+import { canCommentOnProject } from './project-permissions.js'
+
+/**
+ * Check the user may read and write comments on the project.
+ * Admins skip the area lookup.
+ * @returns {Promise<Object>} { allowed: boolean, reason: string }
+ */
+async function checkCommentAccess(request, project) {
+  const { credentials } = request.auth
+  if (credentials.isAdmin) {
+    return { allowed: true }
+  }
+
+  const areaId = await fetchProjectAreaId(request.prisma, project.id)
+  const areaDetails = areaId
+    ? await new AreaService(
+        request.prisma,
+        request.server.logger
+      ).getAreaByIdWithParents(areaId)
+    : null
+
+  return canCommentOnProject(credentials, areaDetails)
+}
+
+/**
+ * Load the project from the referenceNumber path param, check comment access
+ * and run the operation. Unexpected errors become a 500 with the given code.
+ *
+ * @param {Object} request - Hapi request
+ * @param {Object} h - Hapi response toolkit
+ * @param {Function} operation - async (project, request, h) => response
+ * @param {string} errorCode - Error code for unexpected failures
+ * @param {string} logMessage - Logged when the operation throws
+ * @returns {Promise<Object>} Hapi response
+ */
+export async function withCommentableProject(
+  request,
+  h,
+  operation,
+  errorCode,
+  logMessage
+) {
+  const { logger } = request.server
+  const referenceNumber = request.params.referenceNumber.replaceAll('-', '/')
+
+  try {
+    const projectService = new ProjectService(request.prisma, logger)
+    const project = await projectService.getProjectByReference(referenceNumber)
+
+    if (!project) {
+      return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+          message: `Project '${referenceNumber}' not found`
+        }
+      ])
+    }
+
+    const accessCheck = await checkCommentAccess(request, project)
+    if (!accessCheck.allowed) {
+      logger.warn(
+        { userId: request.auth.credentials.userId, referenceNumber },
+        'Comment access denied: user lacks access to project area'
+      )
+      return buildErrorResponse(h, HTTP_STATUS.FORBIDDEN, [
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_COMMENT,
+          message: accessCheck.reason
+        }
+      ])
+    }
+
+    return await operation(project, request, h)
+  } catch (error) {
+    logger.error({ error: error.message, referenceNumber }, logMessage)
+    return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+      { errorCode }
+    ])
+  }
+}
@@ -0,0 +1,135 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { withCommentableProject } from './project-comment-helper.js'
+import { ProjectService } from '../services/project-service.js'
+import { AreaService } from '../../areas/services/area-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_VALIDATION_MESSAGES } from '../../../common/constants/project.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../../areas/services/area-service.js')
+
+describe('project-comment-helper', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+  let operation
+
+  const project = { id: 7n, reference_number: 'AC/2021/00001/000' }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+    operation = vi.fn().mockResolvedValue('ok')
+
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue(project)
+    AreaService.prototype.getAreaByIdWithParents = vi.fn().mockResolvedValue({
+      id: 20,
+      PSO: { id: 5 },
+      EA: { id: 1 }
+    })
+
+    mockRequest = {
+      params: { referenceNumber: 'AC-2021-00001-000' },
+      prisma: {
+        pafs_core_area_projects: {
+          findFirst: vi.fn().mockResolvedValue({ area_id: 20 })
+        }
+      },
+      auth: {
+        credentials: { userId: 3, isAdmin: false, areas: [{ areaId: 20 }] }
+      },
+      server: { logger: mockLogger }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+  })
+
+  const run = () =>
+    withCommentableProject(
+      mockRequest,
+      mockH,
+      operation,
+      'COMMENT_ERROR',
+      'Comment operation failed'
+    )
+
+  test('Should run the operation for users in the project area', async () => {
+    const result = await run()
+
+    expect(result).toBe('ok')
+    expect(ProjectService.prototype.getProjectByReference).toHaveBeenCalledWith(
+      'AC/2021/00001/000'
+    )
+    expect(operation).toHaveBeenCalledWith(project, mockRequest, mockH)
+  })
+
+  test('Should allow EA users through the grandparent area', async () => {
+    mockRequest.auth.credentials.areas = [{ areaId: 1 }]
+
+    expect(await run()).toBe('ok')
+  })
+
+  test('Should skip the area lookup for admins', async () => {
+    mockRequest.auth.credentials = { userId: 1, isAdmin: true, areas: [] }
+
+    expect(await run()).toBe('ok')
+    expect(
+      mockRequest.prisma.pafs_core_area_projects.findFirst
+    ).not.toHaveBeenCalled()
+  })
+
+  test('Should return 404 when the project does not exist', async () => {
+    ProjectService.prototype.getProjectByReference.mockResolvedValue(null)
+
+    const result = await run()
+
+    expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND
+    )
+    expect(operation).not.toHaveBeenCalled()
+  })
+
+  test('Should return 403 for users outside the project hierarchy', async () => {
+    mockRequest.auth.credentials.areas = [{ areaId: 99 }]
+
+    const result = await run()
+
+    expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_COMMENT
+    )
+    expect(mockLogger.warn).toHaveBeenCalled()
+    expect(operation).not.toHaveBeenCalled()
+  })
+
+  test('Should return 403 when the project has no area', async () => {
+    mockRequest.prisma.pafs_core_area_projects.findFirst.mockResolvedValue(null)
+
+    const result = await run()
+
+    expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+    expect(AreaService.prototype.getAreaByIdWithParents).not.toHaveBeenCalled()
+  })
+
+  test('Should return 500 with the error code when the operation throws', async () => {
+    operation.mockRejectedValue(new Error('DB down'))
+
+    const result = await run()
+
+    expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    expect(result.data).toEqual({ errors: [{ errorCode: 'COMMENT_ERROR' }] })
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      { error: 'DB down', referenceNumber: 'AC/2021/00001/000' },
+      'Comment operation failed'
+    )
+  })
+})
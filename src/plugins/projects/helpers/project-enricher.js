@@ -7,11 +7,9 @@ import {
   buildLegacyS3Key,
   resolveLegacyBenefitAreaFile
 } from './legacy-file-resolver.js'
-import {
-  URGENCY_REASONS,
-  URGENCY_CODES
-} from '../../../common/constants/project.js'
+import { getModerationFilename } from './moderation-document.js'
 import { resolveStatus } from './project-formatter.js'
+import { ProjectOutcomesService } from '../services/project-outcomes-service.js'
 import { config } from '../../../config.js'
 
 // Per-process deduplication lock: prevents concurrent requests for the same
@@ -46,15 +44,10 @@ async function enrichAreaHierarchy(prisma, rawProject, apiData) {
 }
 
 function enrichModerationFilename(_prisma, _rawProject, apiData) {
-  const { slug, urgencyReason } = apiData
-
-  if (!urgencyReason || urgencyReason === URGENCY_REASONS.NOT_URGENT) {
-    apiData.moderationFilename = null
-    return
-  }
-
-  const code = URGENCY_CODES[urgencyReason] ?? 'UNK'
-  apiData.moderationFilename = `${(slug ?? '').toUpperCase()}_moderation_${code}.txt`
+  apiData.moderationFilename = getModerationFilename(
+    apiData.slug,
+    apiData.urgencyReason
+  )
 }
 
 function enrichProjectStatus(_prisma, _rawProject, apiData) {
@@ -162,6 +155,17 @@ async function enrichFundingCalculatorDownloadUrl(
   apiData.fundingCalculatorDownloadUrl = downloadUrl
 }
 
+async function enrichOutcomes(prisma, rawProject, apiData, logger) {
+  if (rawProject.id == null) {
+    return
+  }
+
+  const outcomes = await new ProjectOutcomesService(prisma, logger).getOutcomes(
+    rawProject.id
+  )
+  Object.assign(apiData, outcomes)
+}
+
 // ---------------------------------------------------------------------------
 // Enrichment pipeline
 // ---------------------------------------------------------------------------
@@ -176,6 +180,10 @@ const URL_ENRICHMENT_STEPS = [
   enrichFundingCalculatorDownloadUrl
 ]
 
+// Related-record loads, skipped on the scalar write/validation path for the
+// same reason as the json aggregations (see ProjectService._queryProjectScalar)
+const RELATED_RECORD_ENRICHMENT_STEPS = [enrichOutcomes]
+
 export async function enrichProjectResponse(
   prisma,
   rawProject,
@@ -191,7 +199,11 @@ export async function enrichProjectResponse(
   // Run async enrichments in parallel — all return Promises
   const asyncSteps = options.skipUrlEnrichment
     ? ASYNC_ENRICHMENT_STEPS
-    : [...ASYNC_ENRICHMENT_STEPS, ...URL_ENRICHMENT_STEPS]
+    : [
+        ...ASYNC_ENRICHMENT_STEPS,
+        ...URL_ENRICHMENT_STEPS,
+        ...RELATED_RECORD_ENRICHMENT_STEPS
+      ]
   await Promise.all(
     asyncSteps.map((step) => step(prisma, rawProject, apiData, logger))
   )
@@ -27,23 +27,7 @@ vi.mock('./project-formatter.js', () => ({
   resolveStatus: vi.fn()
 }))
 
-vi.mock('../../../common/constants/project.js', () => ({
-  URGENCY_REASONS: {
-    NOT_URGENT: 'not_urgent',
-    STATUTORY_NEED: 'statutory_need',
-    LEGAL_NEED: 'legal_need',
-    HEALTH_AND_SAFETY: 'health_and_safety',
-    EMERGENCY_WORKS: 'emergency_works',
-    TIME_LIMITED: 'time_limited'
-  },
-  URGENCY_CODES: {
-    statutory_need: 'BS',
-    legal_need: 'BL',
-    health_and_safety: 'HS',
-    emergency_works: 'EM',
-    time_limited: 'TL'
-  }
-}))
+vi.mock('../services/project-outcomes-service.js')
 
 import { resolveAreaHierarchy } from './area-hierarchy.js'
 import { resolveStatus } from './project-formatter.js'
@@ -56,6 +40,7 @@ import {
   resolveLegacyBenefitAreaFile
 } from './legacy-file-resolver.js'
 import { config } from '../../../config.js'
+import { ProjectOutcomesService } from '../services/project-outcomes-service.js'
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -116,6 +101,11 @@ describe('enrichProjectResponse', () => {
     // Default mock: resolveLegacyBenefitAreaFile returns null (non-legacy / no file)
     resolveLegacyBenefitAreaFile.mockResolvedValue(null)
     config.get.mockReturnValue('mock-s3-bucket')
+    ProjectOutcomesService.prototype.getOutcomes = vi.fn().mockResolvedValue({
+      floodProtectionOutcomes: [],
+      floodProtection2040Outcomes: [],
+      coastalErosionProtectionOutcomes: []
+    })
   })
 
   // ---------------------------------------------------------------------------
@@ -769,4 +759,43 @@ describe('enrichProjectResponse', () => {
       expect(generateDownloadUrl).toHaveBeenCalled()
     })
   })
+
+  // ---------------------------------------------------------------------------
+  // enrichOutcomes step
+  // ---------------------------------------------------------------------------
+
+  describe('enrichOutcomes', () => {
+    test('Should attach outcome rows to apiData', async () => {
+      const floodProtectionOutcomes = [
+        { financialYear: 2025, householdsAtReducedRisk: 10 }
+      ]
+      ProjectOutcomesService.prototype.getOutcomes = vi.fn().mockResolvedValue({
+        floodProtectionOutcomes,
+        floodProtection2040Outcomes: [],
+        coastalErosionProtectionOutcomes: []
+      })
+      const api = buildApiData()
+
+      await enrichProjectResponse(prisma, buildRawProject({ id: 7 }), api)
+
+      expect(ProjectOutcomesService.prototype.getOutcomes).toHaveBeenCalledWith(
+        7
+      )
+      expect(api.floodProtectionOutcomes).toEqual(floodProtectionOutcomes)
+      expect(api.coastalErosionProtectionOutcomes).toEqual([])
+    })
+
+    test('Should skip outcomes when skipUrlEnrichment is true', async () => {
+      const api = buildApiData()
+
+      await enrichProjectResponse(prisma, buildRawProject(), api, undefined, {
+        skipUrlEnrichment: true
+      })
+
+      expect(
+        ProjectOutcomesService.prototype.getOutcomes
+      ).not.toHaveBeenCalled()
+      expect(api.floodProtectionOutcomes).toBeUndefined()
+    })
+  })
 })
@@ -0,0 +1,139 @@
+/**
+ * Project list export columns and CSV formatting
+ *
+ * Columns are keyed by the API field name used by the list endpoint, so
+ * ?columns=referenceNumber,name,status reads the same as the JSON response.
+ */
+import { PROJECT_SELECT_FIELDS, resolveStatus } from './project-formatter.js'
+
+export const PROJECT_EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx'
+}
+
+export const PROJECT_EXPORT_CONTENT_TYPES = {
+  [PROJECT_EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [PROJECT_EXPORT_FORMATS.XLSX]:
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+}
+
+const yesNo = (value) => (value ? 'Yes' : 'No')
+
+/**
+ * Each column reads from the raw project row plus the resolved
+ * { state, areaName } of that project.
+ */
+export const PROJECT_EXPORT_COLUMNS = {
+  referenceNumber: {
+    header: 'Reference number',
+    value: (project) => project.reference_number
+  },
+  name: { header: 'Project name', value: (project) => project.name },
+  rmaName: {
+    header: 'Risk management authority',
+    value: (project, { areaName }) => areaName || project.rma_name || null
+  },
+  status: {
+    header: 'Status',
+    value: (project, { state }) =>
+      resolveStatus(
+        state,
+        project.is_legacy ?? false,
+        project.is_revised ?? false
+      )
+  },
+  projectType: {
+    header: 'Project type',
+    value: (project) => project.project_type
+  },
+  interventionTypes: {
+    header: 'Intervention types',
+    value: (project) => project.project_intervention_types
+  },
+  mainRisk: { header: 'Main risk', value: (project) => project.main_risk },
+  urgencyReason: {
+    header: 'Urgency reason',
+    value: (project) => project.urgency_reason
+  },
+  financialStartYear: {
+    header: 'Financial start year',
+    value: (project) => project.earliest_start_year
+  },
+  financialEndYear: {
+    header: 'Financial end year',
+    value: (project) => project.project_end_financial_year
+  },
+  isLegacy: {
+    header: 'Legacy',
+    value: (project) => yesNo(project.is_legacy)
+  },
+  createdAt: { header: 'Created', value: (project) => project.created_at },
+  updatedAt: {
+    header: 'Last updated',
+    value: (project) => project.updated_at
+  },
+  submittedAt: {
+    header: 'Submitted',
+    value: (project) => project.submitted_at
+  }
+}
+
+export const DEFAULT_EXPORT_COLUMNS = Object.keys(PROJECT_EXPORT_COLUMNS)
+
+export const PROJECT_EXPORT_SELECT_FIELDS = {
+  ...PROJECT_SELECT_FIELDS,
+  project_type: true,
+  project_intervention_types: true,
+  main_risk: true,
+  urgency_reason: true,
+  earliest_start_year: true,
+  project_end_financial_year: true
+}
+
+/**
+ * Values of the selected columns for one project
+ * @param {Object} project - Row selected with PROJECT_EXPORT_SELECT_FIELDS
+ * @param {Object} context - { state, areaName } for the project
+ * @param {string[]} columns - Keys of PROJECT_EXPORT_COLUMNS
+ * @returns {Array} Cell values in column order
+ */
+export function toExportRow(project, context, columns) {
+  return columns.map(
+    (column) => PROJECT_EXPORT_COLUMNS[column].value(project, context) ?? null
+  )
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+/**
+ * Format one CSV cell: dates as ISO strings, text quoted when needed and
+ * prefixed with ' when it would otherwise be read as a formula
+ * @param {*} value
+ * @returns {string}
+ */
+export function toCsvCell(value) {
+  if (value == null) {
+    return ''
+  }
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  if (typeof value === 'number') {
+    return String(value)
+  }
+
+  let text = String(value)
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+/**
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line including the trailing CRLF
+ */
+export function toCsvLine(values) {
+  return `${values.map(toCsvCell).join(',')}\r\n`
+}
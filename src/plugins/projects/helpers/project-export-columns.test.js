@@ -0,0 +1,102 @@
+import { describe, test, expect } from 'vitest'
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  PROJECT_EXPORT_COLUMNS,
+  toCsvCell,
+  toCsvLine,
+  toExportRow
+} from './project-export-columns.js'
+
+describe('project-export-columns', () => {
+  const project = {
+    id: 1n,
+    reference_number: 'AC/2021/00001/000',
+    name: 'Flood Scheme',
+    rma_name: 'Stored RMA',
+    is_legacy: true,
+    is_revised: false,
+    project_type: 'DEF',
+    project_intervention_types: 'NFM,SUDS',
+    main_risk: 'fluvial_flooding',
+    urgency_reason: null,
+    earliest_start_year: 2026,
+    project_end_financial_year: 2030,
+    created_at: new Date('2026-01-01T00:00:00Z'),
+    updated_at: new Date('2026-02-01T00:00:00Z'),
+    submitted_at: null
+  }
+
+  describe('DEFAULT_EXPORT_COLUMNS', () => {
+    test('Should include every column', () => {
+      expect(DEFAULT_EXPORT_COLUMNS).toEqual(
+        Object.keys(PROJECT_EXPORT_COLUMNS)
+      )
+    })
+  })
+
+  describe('toExportRow', () => {
+    test('Should return the selected columns in order', () => {
+      expect(
+        toExportRow(project, { state: 'submitted', areaName: 'Area RMA' }, [
+          'name',
+          'referenceNumber',
+          'financialEndYear'
+        ])
+      ).toEqual(['Flood Scheme', 'AC/2021/00001/000', 2030])
+    })
+
+    test('Should prefer the resolved area name over rma_name', () => {
+      expect(
+        toExportRow(project, { areaName: 'Area RMA' }, ['rmaName'])
+      ).toEqual(['Area RMA'])
+      expect(toExportRow(project, {}, ['rmaName'])).toEqual(['Stored RMA'])
+    })
+
+    test('Should resolve the display status like the list', () => {
+      expect(toExportRow(project, { state: 'draft' }, ['status'])).toEqual([
+        'revise'
+      ])
+      expect(
+        toExportRow({ ...project, is_legacy: false }, {}, ['status'])
+      ).toEqual(['draft'])
+    })
+
+    test('Should format booleans and keep missing values as null', () => {
+      expect(
+        toExportRow(project, {}, ['isLegacy', 'urgencyReason', 'submittedAt'])
+      ).toEqual(['Yes', null, null])
+    })
+  })
+
+  describe('toCsvCell', () => {
+    test('Should leave plain values unquoted', () => {
+      expect(toCsvCell('Flood Scheme')).toBe('Flood Scheme')
+      expect(toCsvCell(2026)).toBe('2026')
+      expect(toCsvCell(null)).toBe('')
+    })
+
+    test('Should write dates as ISO strings', () => {
+      expect(toCsvCell(new Date('2026-01-01T00:00:00Z'))).toBe(
+        '2026-01-01T00:00:00.000Z'
+      )
+    })
+
+    test('Should quote commas, quotes and line breaks', () => {
+      expect(toCsvCell('NFM,SUDS')).toBe('"NFM,SUDS"')
+      expect(toCsvCell('The "big" one')).toBe('"The ""big"" one"')
+      expect(toCsvCell('line\nbreak')).toBe('"line\nbreak"')
+    })
+
+    test('Should neutralise values a spreadsheet would run as formulas', () => {
+      expect(toCsvCell('=SUM(A1)')).toBe("'=SUM(A1)")
+      expect(toCsvCell('@cmd')).toBe("'@cmd")
+      expect(toCsvCell(-5)).toBe('-5')
+    })
+  })
+
+  describe('toCsvLine', () => {
+    test('Should join cells and end with CRLF', () => {
+      expect(toCsvLine(['a', 'b,c', null])).toBe('a,"b,c",\r\n')
+    })
+  })
+})
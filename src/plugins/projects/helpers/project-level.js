@@ -12,6 +12,7 @@ import { wlcLevels } from './levels/wlc.js'
 import { wlbLevels } from './levels/wlb.js'
 import { carbonLevels } from './levels/carbon.js'
 import { fundingSourceLevels } from './levels/funding-sources.js'
+import { outcomesLevels } from './levels/outcomes.js'
 import { staleLevels } from './levels/stale.js'
 
 const referenceNumber = projectReferenceNumberSchema.required().messages({
@@ -30,7 +31,8 @@ export const VALIDATION_LEVELS = {
   ...wlcLevels(referenceNumber),
   ...wlbLevels(referenceNumber),
   ...carbonLevels(referenceNumber),
-  ...fundingSourceLevels(referenceNumber)
+  ...fundingSourceLevels(referenceNumber),
+  ...outcomesLevels(referenceNumber)
   // Add more levels as needed
 }
 
@@ -0,0 +1,160 @@
+/**
+ * Project list filters, sorting and facets
+ *
+ * Filters on pafs_core_projects columns are built here as Prisma conditions.
+ * Area and status filters live in ProjectFilterService because they need
+ * pre-queries against the join tables.
+ */
+
+export const SORT_ORDERS = {
+  ASC: 'asc',
+  DESC: 'desc'
+}
+
+/**
+ * Sortable API fields. Nullable columns sort their nulls last in both
+ * directions so unsubmitted projects do not crowd the top of the list.
+ */
+export const PROJECT_SORT_FIELDS = {
+  updatedAt: { column: 'updated_at' },
+  createdAt: { column: 'created_at' },
+  submittedAt: { column: 'submitted_at', nullable: true },
+  name: { column: 'name', nullable: true },
+  referenceNumber: { column: 'reference_number' },
+  financialStartYear: { column: 'earliest_start_year', nullable: true },
+  financialEndYear: { column: 'project_end_financial_year', nullable: true }
+}
+
+export const DEFAULT_SORT_FIELD = 'updatedAt'
+
+/**
+ * Facets counted on pafs_core_projects columns, keyed by their filter name.
+ * Status is counted separately from pafs_core_states.
+ */
+export const PROJECT_COLUMN_FACETS = {
+  projectType: { column: 'project_type' },
+  interventionType: { column: 'project_intervention_types', isList: true },
+  mainRisk: { column: 'main_risk' },
+  urgencyReason: { column: 'urgency_reason' },
+  isLegacy: { column: 'is_legacy', nullValue: false }
+}
+
+function rangeCondition(column, from, to) {
+  if (from == null && to == null) {
+    return null
+  }
+  return {
+    [column]: {
+      ...(from != null && { gte: from }),
+      ...(to != null && { lte: to })
+    }
+  }
+}
+
+const FILTER_BUILDERS = {
+  projectType: ({ projectType }) =>
+    projectType?.length ? { project_type: { in: projectType } } : null,
+
+  // Stored as a comma-separated list, e.g. "NFM,SUDS"
+  interventionType: ({ interventionType }) =>
+    interventionType?.length
+      ? {
+          OR: interventionType.map((type) => ({
+            project_intervention_types: { contains: type }
+          }))
+        }
+      : null,
+
+  mainRisk: ({ mainRisk }) =>
+    mainRisk?.length ? { main_risk: { in: mainRisk } } : null,
+
+  urgencyReason: ({ urgencyReason }) =>
+    urgencyReason?.length ? { urgency_reason: { in: urgencyReason } } : null,
+
+  financialStartYear: ({ financialStartYearFrom, financialStartYearTo }) =>
+    rangeCondition(
+      'earliest_start_year',
+      financialStartYearFrom,
+      financialStartYearTo
+    ),
+
+  financialEndYear: ({ financialEndYearFrom, financialEndYearTo }) =>
+    rangeCondition(
+      'project_end_financial_year',
+      financialEndYearFrom,
+      financialEndYearTo
+    ),
+
+  submittedAt: ({ submittedFrom, submittedTo }) =>
+    rangeCondition('submitted_at', submittedFrom, submittedTo),
+
+  // A missing is_legacy is treated as false, matching formatProject
+  isLegacy: ({ isLegacy }) => {
+    if (isLegacy == null) {
+      return null
+    }
+    return isLegacy
+      ? { is_legacy: true }
+      : { OR: [{ is_legacy: false }, { is_legacy: null }] }
+  }
+}
+
+/**
+ * Build Prisma conditions for the column filters
+ * @param {Object} filters - Validated list query filters
+ * @param {string} [excludeFilter] - Filter to leave out (used for facet counts)
+ * @returns {Object[]} Conditions to AND together
+ */
+export function buildProjectFilterConditions(filters = {}, excludeFilter) {
+  return Object.entries(FILTER_BUILDERS)
+    .filter(([name]) => name !== excludeFilter)
+    .map(([, build]) => build(filters))
+    .filter(Boolean)
+}
+
+/**
+ * Build the Prisma orderBy for the list, with id as a stable tie-breaker
+ * @param {string} [sortBy] - Key of PROJECT_SORT_FIELDS
+ * @param {string} [sortOrder] - asc or desc
+ * @returns {Object[]}
+ */
+export function buildProjectOrderBy(
+  sortBy = DEFAULT_SORT_FIELD,
+  sortOrder = SORT_ORDERS.DESC
+) {
+  const { column, nullable } =
+    PROJECT_SORT_FIELDS[sortBy] ?? PROJECT_SORT_FIELDS[DEFAULT_SORT_FIELD]
+  return [
+    { [column]: nullable ? { sort: sortOrder, nulls: 'last' } : sortOrder },
+    { id: sortOrder }
+  ]
+}
+
+/**
+ * Turn Prisma groupBy rows into facet buckets, largest first.
+ * List columns are split so "NFM,SUDS" counts towards both NFM and SUDS.
+ * @param {Object[]} rows - groupBy rows with _count._all
+ * @param {Object} facet - Entry of PROJECT_COLUMN_FACETS
+ * @returns {Array<{ value: *, count: number }>}
+ */
+export function toFacetBuckets(rows, { column, isList = false, nullValue }) {
+  const counts = new Map()
+  for (const row of rows) {
+    const raw = row[column] ?? nullValue
+    if (raw == null || raw === '') {
+      continue
+    }
+    const values = isList
+      ? String(raw)
+          .split(',')
+          .map((v) => v.trim())
+          .filter(Boolean)
+      : [raw]
+    for (const value of values) {
+      counts.set(value, (counts.get(value) ?? 0) + row._count._all)
+    }
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(b.value))
+}
@@ -0,0 +1,129 @@
+import { describe, test, expect } from 'vitest'
+import {
+  PROJECT_COLUMN_FACETS,
+  buildProjectFilterConditions,
+  buildProjectOrderBy,
+  toFacetBuckets
+} from './project-list-filters.js'
+
+describe('project-list-filters', () => {
+  describe('buildProjectFilterConditions', () => {
+    test('Should return no conditions without filters', () => {
+      expect(buildProjectFilterConditions()).toEqual([])
+    })
+
+    test('Should build a condition per filter', () => {
+      const submittedFrom = new Date('2026-01-01')
+
+      expect(
+        buildProjectFilterConditions({
+          projectType: ['DEF', 'REP'],
+          interventionType: ['NFM', 'SUDS'],
+          mainRisk: ['fluvial_flooding'],
+          urgencyReason: ['legal_need'],
+          financialStartYearFrom: 2026,
+          financialEndYearTo: 2031,
+          submittedFrom,
+          isLegacy: true
+        })
+      ).toEqual([
+        { project_type: { in: ['DEF', 'REP'] } },
+        {
+          OR: [
+            { project_intervention_types: { contains: 'NFM' } },
+            { project_intervention_types: { contains: 'SUDS' } }
+          ]
+        },
+        { main_risk: { in: ['fluvial_flooding'] } },
+        { urgency_reason: { in: ['legal_need'] } },
+        { earliest_start_year: { gte: 2026 } },
+        { project_end_financial_year: { lte: 2031 } },
+        { submitted_at: { gte: submittedFrom } },
+        { is_legacy: true }
+      ])
+    })
+
+    test('Should treat a missing legacy flag as not legacy', () => {
+      expect(buildProjectFilterConditions({ isLegacy: false })).toEqual([
+        { OR: [{ is_legacy: false }, { is_legacy: null }] }
+      ])
+    })
+
+    test('Should ignore empty lists', () => {
+      expect(buildProjectFilterConditions({ projectType: [] })).toEqual([])
+    })
+
+    test('Should leave out the excluded filter', () => {
+      expect(
+        buildProjectFilterConditions(
+          { projectType: ['DEF'], mainRisk: ['sea_flooding'] },
+          'projectType'
+        )
+      ).toEqual([{ main_risk: { in: ['sea_flooding'] } }])
+    })
+  })
+
+  describe('buildProjectOrderBy', () => {
+    test('Should default to most recently updated first', () => {
+      expect(buildProjectOrderBy()).toEqual([
+        { updated_at: 'desc' },
+        { id: 'desc' }
+      ])
+    })
+
+    test('Should sort nullable columns with nulls last', () => {
+      expect(buildProjectOrderBy('submittedAt', 'asc')).toEqual([
+        { submitted_at: { sort: 'asc', nulls: 'last' } },
+        { id: 'asc' }
+      ])
+    })
+
+    test('Should fall back to the default field for unknown fields', () => {
+      expect(buildProjectOrderBy('unknown', 'asc')[0]).toEqual({
+        updated_at: 'asc'
+      })
+    })
+  })
+
+  describe('toFacetBuckets', () => {
+    test('Should order buckets by count and skip empty values', () => {
+      const rows = [
+        { project_type: 'DEF', _count: { _all: 3 } },
+        { project_type: 'REP', _count: { _all: 5 } },
+        { project_type: null, _count: { _all: 2 } }
+      ]
+
+      expect(toFacetBuckets(rows, PROJECT_COLUMN_FACETS.projectType)).toEqual([
+        { value: 'REP', count: 5 },
+        { value: 'DEF', count: 3 }
+      ])
+    })
+
+    test('Should split list columns across their values', () => {
+      const rows = [
+        { project_intervention_types: 'NFM,SUDS', _count: { _all: 2 } },
+        { project_intervention_types: 'NFM', _count: { _all: 1 } }
+      ]
+
+      expect(
+        toFacetBuckets(rows, PROJECT_COLUMN_FACETS.interventionType)
+      ).toEqual([
+        { value: 'NFM', count: 3 },
+        { value: 'SUDS', count: 2 }
+      ])
+    })
+
+    test('Should count a missing legacy flag as false', () => {
+      const rows = [
+        { is_legacy: true, _count: { _all: 1 } },
+        { is_legacy: false, _count: { _all: 2 } },
+        { is_legacy: null, _count: { _all: 4 } }
+      ]
+
+      expect(toFacetBuckets(rows, PROJECT_COLUMN_FACETS.isLegacy)).toEqual([
+        { value: false, count: 6 },
+        { value: true, count: 1 }
+      ])
+    })
+  })
+})
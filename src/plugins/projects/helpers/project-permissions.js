@@ -125,3 +125,30 @@ export function canUpdateProject(credentials, projectAreaDetails) {
       'You do not have permission to update this project. You must have access to the project area or its parent PSO area.'
   }
 }
+
+/**
+ * Check if user can read and write comments on a project
+ * Rules:
+ * - Anyone who can update the project (admin, RMA area, parent PSO area)
+ * - EA users with access to the EA grandparent area, who moderate the proposal
+ *
+ * @param {Object} credentials - User credentials with isAdmin and areas
+ * @param {Object} projectAreaDetails - Area object with parent information
+ * @returns {Object} { allowed: boolean, reason: string }
+ */
+export function canCommentOnProject(credentials, projectAreaDetails) {
+  const updateCheck = canUpdateProject(credentials, projectAreaDetails)
+  if (updateCheck.allowed || !projectAreaDetails) {
+    return updateCheck
+  }
+
+  if (hasAccessToParentEa(credentials.areas, projectAreaDetails)) {
+    return { allowed: true }
+  }
+
+  return {
+    allowed: false,
+    reason:
+      'You do not have permission to comment on this project. You must have access to the project area or its parent PSO or EA area.'
+  }
+}
@@ -4,7 +4,8 @@ import {
   hasAccessToParentPso,
   hasAccessToParentEa,
   canCreateProject,
-  canUpdateProject
+  canUpdateProject,
+  canCommentOnProject
 } from './project-permissions.js'
 
 describe('project-permissions', () => {
@@ -386,4 +387,53 @@ describe('project-permissions', () => {
       ).toBe(false)
     })
   })
+
+  describe('canCommentOnProject', () => {
+    const projectAreaDetails = {
+      id: 5,
+      area_type: 'RMA',
+      PSO: { id: 3 },
+      EA: { id: 1 }
+    }
+
+    it('should allow anyone who can update the project', () => {
+      expect(
+        canCommentOnProject(
+          { isAdmin: false, areas: [{ areaId: 3 }] },
+          projectAreaDetails
+        ).allowed
+      ).toBe(true)
+      expect(
+        canCommentOnProject({ isAdmin: true, areas: [] }, null).allowed
+      ).toBe(true)
+    })
+
+    it('should allow users with access to the EA grandparent area', () => {
+      expect(
+        canCommentOnProject(
+          { isAdmin: false, areas: [{ areaId: 1 }] },
+          projectAreaDetails
+        ).allowed
+      ).toBe(true)
+    })
+
+    it('should deny users without access to the project hierarchy', () => {
+      const result = canCommentOnProject(
+        { isAdmin: false, areas: [{ areaId: 99 }] },
+        projectAreaDetails
+      )
+
+      expect(result.allowed).toBe(false)
+      expect(result.reason).toContain('comment on this project')
+    })
+
+    it('should deny non-admins when the project area is unknown', () => {
+      expect(
+        canCommentOnProject({ isAdmin: false, areas: [{ areaId: 1 }] }, null)
+      ).toEqual({
+        allowed: false,
+        reason: 'Project area information not found'
+      })
+    })
+  })
 })
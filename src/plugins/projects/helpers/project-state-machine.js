@@ -0,0 +1,84 @@
+/**
+ * Project status state machine
+ * Single source of truth for which status changes are legal and who may make them.
+ * Transition rules live in PROJECT_STATUS_TRANSITIONS (common/constants/project.js).
+ */
+import {
+  PROJECT_STATUS,
+  PROJECT_STATUS_ACTORS,
+  PROJECT_STATUS_TRANSITIONS,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+
+/**
+ * Normalise a stored state. Projects without a pafs_core_states row are drafts.
+ * @param {string|null|undefined} state
+ * @returns {string}
+ */
+export function normaliseStatus(state) {
+  return state || PROJECT_STATUS.DRAFT
+}
+
+/**
+ * Resolve the state machine actor for an authenticated user.
+ * Admin takes precedence over the primary area type.
+ * EA users have no status transitions, so they resolve to null.
+ *
+ * @param {Object} credentials - JWT credentials with isAdmin, isPso, isRma
+ * @returns {string|null} One of PROJECT_STATUS_ACTORS, or null
+ */
+export function resolveStatusActor(credentials) {
+  if (credentials?.isAdmin) {
+    return PROJECT_STATUS_ACTORS.ADMIN
+  }
+  if (credentials?.isPso) {
+    return PROJECT_STATUS_ACTORS.PSO
+  }
+  if (credentials?.isRma) {
+    return PROJECT_STATUS_ACTORS.RMA
+  }
+  return null
+}
+
+/**
+ * List the statuses an actor may move a project to from its current status
+ * @param {string|null} fromStatus - Current status
+ * @param {string} actor - One of PROJECT_STATUS_ACTORS
+ * @returns {string[]} Reachable statuses
+ */
+export function getAllowedTransitions(fromStatus, actor) {
+  const targets = PROJECT_STATUS_TRANSITIONS[normaliseStatus(fromStatus)] ?? {}
+  return Object.entries(targets)
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([toStatus]) => toStatus)
+}
+
+/**
+ * Check whether a status transition is legal and permitted for the actor
+ * @param {string|null} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {string|null} actor - One of PROJECT_STATUS_ACTORS
+ * @returns {{ allowed: boolean, errorCode?: string, reason?: string }}
+ */
+export function checkStatusTransition(fromStatus, toStatus, actor) {
+  const from = normaliseStatus(fromStatus)
+  const actors = PROJECT_STATUS_TRANSITIONS[from]?.[toStatus]
+
+  if (!actors) {
+    return {
+      allowed: false,
+      errorCode: PROJECT_VALIDATION_MESSAGES.INVALID_STATUS_TRANSITION,
+      reason: `A project cannot move from '${from}' to '${toStatus}'`
+    }
+  }
+
+  if (!actor || !actors.includes(actor)) {
+    return {
+      allowed: false,
+      errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS,
+      reason: `You do not have permission to move a project from '${from}' to '${toStatus}'`
+    }
+  }
+
+  return { allowed: true }
+}
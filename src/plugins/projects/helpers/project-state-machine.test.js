@@ -0,0 +1,125 @@
+import { describe, test, expect } from 'vitest'
+import {
+  normaliseStatus,
+  resolveStatusActor,
+  getAllowedTransitions,
+  checkStatusTransition
+} from './project-state-machine.js'
+import {
+  PROJECT_STATUS,
+  PROJECT_STATUS_ACTORS,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+
+const { DRAFT, REVISE, SUBMITTED, APPROVED, REJECTED, ARCHIVED, COMPLETED } =
+  PROJECT_STATUS
+const { ADMIN, PSO, RMA, EXTERNAL } = PROJECT_STATUS_ACTORS
+
+describe('project-state-machine', () => {
+  describe('normaliseStatus', () => {
+    test('treats a missing state as draft', () => {
+      expect(normaliseStatus(null)).toBe(DRAFT)
+      expect(normaliseStatus(undefined)).toBe(DRAFT)
+      expect(normaliseStatus('')).toBe(DRAFT)
+    })
+
+    test('returns a stored state unchanged', () => {
+      expect(normaliseStatus(APPROVED)).toBe(APPROVED)
+    })
+  })
+
+  describe('resolveStatusActor', () => {
+    test('prefers admin over area type', () => {
+      expect(resolveStatusActor({ isAdmin: true, isRma: true })).toBe(ADMIN)
+    })
+
+    test('resolves PSO and RMA users', () => {
+      expect(resolveStatusActor({ isPso: true })).toBe(PSO)
+      expect(resolveStatusActor({ isRma: true })).toBe(RMA)
+    })
+
+    test('returns null for EA users and missing credentials', () => {
+      expect(resolveStatusActor({ isEa: true })).toBeNull()
+      expect(resolveStatusActor(undefined)).toBeNull()
+    })
+  })
+
+  describe('getAllowedTransitions', () => {
+    test('lists the submission target for RMA users on a draft', () => {
+      expect(getAllowedTransitions(DRAFT, RMA)).toEqual([SUBMITTED])
+    })
+
+    test('lets PSO users send a submitted project back for revision', () => {
+      expect(getAllowedTransitions(SUBMITTED, PSO)).toEqual([REVISE])
+    })
+
+    test('lists the external decisions on a submitted project', () => {
+      expect(getAllowedTransitions(SUBMITTED, EXTERNAL).sort()).toEqual(
+        [APPROVED, DRAFT, REJECTED].sort()
+      )
+    })
+
+    test('treats a missing state as draft', () => {
+      expect(getAllowedTransitions(null, RMA)).toEqual([SUBMITTED])
+    })
+
+    test('returns nothing from a completed project', () => {
+      expect(getAllowedTransitions(COMPLETED, ADMIN)).toEqual([])
+    })
+
+    test('returns nothing for an unknown state', () => {
+      expect(getAllowedTransitions('unknown', ADMIN)).toEqual([])
+    })
+  })
+
+  describe('checkStatusTransition', () => {
+    test.each([
+      [DRAFT, SUBMITTED, RMA],
+      [REVISE, SUBMITTED, PSO],
+      [SUBMITTED, REVISE, PSO],
+      [SUBMITTED, APPROVED, EXTERNAL],
+      [SUBMITTED, REJECTED, EXTERNAL],
+      [SUBMITTED, DRAFT, EXTERNAL],
+      [APPROVED, COMPLETED, ADMIN],
+      [REJECTED, ARCHIVED, PSO],
+      [ARCHIVED, DRAFT, ADMIN]
+    ])('allows %s → %s for %s', (from, to, actor) => {
+      expect(checkStatusTransition(from, to, actor)).toEqual({ allowed: true })
+    })
+
+    test('rejects a transition that is not defined', () => {
+      expect(checkStatusTransition(DRAFT, APPROVED, ADMIN)).toEqual({
+        allowed: false,
+        errorCode: PROJECT_VALIDATION_MESSAGES.INVALID_STATUS_TRANSITION,
+        reason: "A project cannot move from 'draft' to 'approved'"
+      })
+    })
+
+    test('rejects any move out of completed', () => {
+      const result = checkStatusTransition(COMPLETED, DRAFT, ADMIN)
+      expect(result.errorCode).toBe(
+        PROJECT_VALIDATION_MESSAGES.INVALID_STATUS_TRANSITION
+      )
+    })
+
+    test('rejects a defined transition for an actor that may not make it', () => {
+      expect(checkStatusTransition(SUBMITTED, APPROVED, RMA)).toEqual({
+        allowed: false,
+        errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS,
+        reason:
+          "You do not have permission to move a project from 'submitted' to 'approved'"
+      })
+    })
+
+    test('rejects when there is no actor', () => {
+      const result = checkStatusTransition(DRAFT, SUBMITTED, null)
+      expect(result.errorCode).toBe(
+        PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS
+      )
+    })
+
+    test('treats a missing current state as draft', () => {
+      expect(checkStatusTransition(null, SUBMITTED, RMA).allowed).toBe(true)
+    })
+  })
+})
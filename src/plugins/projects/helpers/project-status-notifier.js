@@ -0,0 +1,87 @@
+import { config } from '../../../config.js'
+import { getEmailService } from '../../../common/services/email/notify-service.js'
+import { NOTIFICATION_TYPES } from '../../../common/constants/notifications.js'
+import { NotificationService } from '../../notifications/services/notification-service.js'
+
+/**
+ * Tell the project creator their project changed status: always in-app, and
+ * by email when they have opted in. Skipped when the creator made the change
+ * themselves. Fails silently — a notification failure must never undo or
+ * block a status change that has already been committed.
+ *
+ * @param {Object} prisma
+ * @param {Object} logger
+ * @param {Object} transition
+ * @param {bigint|number} transition.projectId
+ * @param {string|null} transition.fromState
+ * @param {string} transition.toState
+ * @param {bigint|number|null} [transition.actorId]
+ * @param {string|null} [transition.reason]
+ * @returns {Promise<void>}
+ */
+export async function notifyProjectStatusChange(
+  prisma,
+  logger,
+  { projectId, fromState, toState, actorId = null, reason = null }
+) {
+  try {
+    const project = await prisma.pafs_core_projects.findFirst({
+      where: { id: BigInt(projectId) },
+      select: { reference_number: true, name: true, creator_id: true }
+    })
+
+    if (
+      !project?.creator_id ||
+      String(project.creator_id) === String(actorId)
+    ) {
+      return
+    }
+
+    const userId = project.creator_id
+    const type = NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED
+    const projectName = project.name || project.reference_number
+    const notificationService = new NotificationService(prisma, logger)
+
+    await notificationService.create({
+      userId,
+      type,
+      title: `${projectName} is now ${toState}`,
+      body: reason,
+      metadata: {
+        referenceNumber: project.reference_number,
+        fromStatus: fromState ?? null,
+        toStatus: toState
+      }
+    })
+
+    if (!(await notificationService.isEmailEnabled(userId, type))) {
+      return
+    }
+
+    const user = await prisma.pafs_core_users.findFirst({
+      where: { id: BigInt(userId) },
+      select: { email: true, first_name: true }
+    })
+    if (!user?.email) {
+      return
+    }
+
+    await getEmailService(logger).send(
+      config.get('notify.templateProjectStatusChanged'),
+      user.email,
+      {
+        first_name: user.first_name,
+        project_name: projectName,
+        reference_number: project.reference_number,
+        status: toState,
+        reason: reason ?? ''
+      },
+      'project-status-changed'
+    )
+  } catch (error) {
+    logger.warn(
+      { error: error.message, projectId, toState },
+      'Failed to notify project creator of status change'
+    )
+  }
+}
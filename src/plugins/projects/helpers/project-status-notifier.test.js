@@ -0,0 +1,126 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { notifyProjectStatusChange } from './project-status-notifier.js'
+import { NOTIFICATION_TYPES } from '../../../common/constants/notifications.js'
+import { NotificationService } from '../../notifications/services/notification-service.js'
+
+const mockSend = vi.fn()
+
+vi.mock('../../notifications/services/notification-service.js')
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({ send: mockSend }))
+}))
+vi.mock('../../../config.js', () => ({
+  config: { get: vi.fn(() => 'status-template-id') }
+}))
+
+describe('notifyProjectStatusChange', () => {
+  let mockPrisma
+  let mockLogger
+
+  const transition = {
+    projectId: 42n,
+    fromState: 'draft',
+    toState: 'archived',
+    actorId: 1n,
+    reason: 'Superseded'
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockPrisma = {
+      pafs_core_projects: {
+        findFirst: vi.fn().mockResolvedValue({
+          reference_number: 'ANC501E/000A/001A',
+          name: 'Flood wall',
+          creator_id: 7n
+        })
+      },
+      pafs_core_users: {
+        findFirst: vi
+          .fn()
+          .mockResolvedValue({ email: 'rma@example.com', first_name: 'Sam' })
+      }
+    }
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    NotificationService.prototype.create = vi.fn().mockResolvedValue({})
+    NotificationService.prototype.isEmailEnabled = vi
+      .fn()
+      .mockResolvedValue(false)
+  })
+
+  test('Should notify the creator in-app', async () => {
+    await notifyProjectStatusChange(mockPrisma, mockLogger, transition)
+
+    expect(NotificationService.prototype.create).toHaveBeenCalledWith({
+      userId: 7n,
+      type: NOTIFICATION_TYPES.PROJECT_STATUS_CHANGED,
+      title: 'Flood wall is now archived',
+      body: 'Superseded',
+      metadata: {
+        referenceNumber: 'ANC501E/000A/001A',
+        fromStatus: 'draft',
+        toStatus: 'archived'
+      }
+    })
+    expect(mockSend).not.toHaveBeenCalled()
+  })
+
+  test('Should also email the creator when they have opted in', async () => {
+    NotificationService.prototype.isEmailEnabled = vi
+      .fn()
+      .mockResolvedValue(true)
+
+    await notifyProjectStatusChange(mockPrisma, mockLogger, transition)
+
+    expect(mockSend).toHaveBeenCalledWith(
+      'status-template-id',
+      'rma@example.com',
+      {
+        first_name: 'Sam',
+        project_name: 'Flood wall',
+        reference_number: 'ANC501E/000A/001A',
+        status: 'archived',
+        reason: 'Superseded'
+      },
+      'project-status-changed'
+    )
+  })
+
+  test('Should skip when the creator made the change', async () => {
+    await notifyProjectStatusChange(mockPrisma, mockLogger, {
+      ...transition,
+      actorId: 7
+    })
+
+    expect(NotificationService.prototype.create).not.toHaveBeenCalled()
+  })
+
+  test('Should skip projects without a creator', async () => {
+    mockPrisma.pafs_core_projects.findFirst.mockResolvedValue({
+      reference_number: 'ANC501E/000A/001A',
+      name: 'Flood wall',
+      creator_id: null
+    })
+
+    await notifyProjectStatusChange(mockPrisma, mockLogger, transition)
+
+    expect(NotificationService.prototype.create).not.toHaveBeenCalled()
+  })
+
+  test('Should log and swallow failures', async () => {
+    NotificationService.prototype.isEmailEnabled = vi
+      .fn()
+      .mockResolvedValue(true)
+    mockSend.mockRejectedValueOnce(new Error('Notify down'))
+
+    await expect(
+      notifyProjectStatusChange(mockPrisma, mockLogger, transition)
+    ).resolves.toBeUndefined()
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ error: 'Notify down', projectId: 42n }),
+      'Failed to notify project creator of status change'
+    )
+  })
+})
@@ -0,0 +1,37 @@
+import { PROJECT_VALIDATION_MESSAGES } from '../../../../../common/constants/project.js'
+import { hasValue } from './submission-utils.js'
+
+/**
+ * Outcome row arrays attached to the enriched project (see enrichOutcomes).
+ */
+export const OUTCOME_FIELDS = [
+  'floodProtectionOutcomes',
+  'floodProtection2040Outcomes',
+  'coastalErosionProtectionOutcomes'
+]
+
+/**
+ * Every OM2/OM3 outcome row must fall within the proposal financial year
+ * range [financialStartYear, financialEndYear] inclusive.
+ * Skipped when the range itself is incomplete — the basic details rules
+ * report that.
+ * Returns SUBMISSION_OUTCOMES_OUT_OF_RANGE on the first row outside the range.
+ */
+export const validateOutcomes = (p) => {
+  if (!hasValue(p.financialStartYear) || !hasValue(p.financialEndYear)) {
+    return null
+  }
+  const startYear = Number(p.financialStartYear)
+  const endYear = Number(p.financialEndYear)
+
+  const outOfRange = OUTCOME_FIELDS.flatMap((field) => p[field] ?? []).some(
+    (row) => {
+      const fy = Number(row.financialYear)
+      return fy < startYear || fy > endYear
+    }
+  )
+
+  return outOfRange
+    ? PROJECT_VALIDATION_MESSAGES.SUBMISSION_OUTCOMES_OUT_OF_RANGE
+    : null
+}
@@ -0,0 +1,53 @@
+import { describe, test, expect } from 'vitest'
+import { PROJECT_VALIDATION_MESSAGES } from '../../../../../common/constants/project.js'
+import { validateOutcomes } from './validate-outcomes.js'
+
+const { SUBMISSION_OUTCOMES_OUT_OF_RANGE } = PROJECT_VALIDATION_MESSAGES
+
+const project = (overrides = {}) => ({
+  financialStartYear: 2025,
+  financialEndYear: 2027,
+  floodProtectionOutcomes: [{ financialYear: 2025 }, { financialYear: 2027 }],
+  floodProtection2040Outcomes: [{ financialYear: 2026 }],
+  coastalErosionProtectionOutcomes: [],
+  ...overrides
+})
+
+describe('validateOutcomes', () => {
+  test('passes when every row is within the financial year range', () => {
+    expect(validateOutcomes(project())).toBeNull()
+  })
+
+  test('passes when the project has no outcome rows', () => {
+    expect(
+      validateOutcomes({ financialStartYear: 2025, financialEndYear: 2027 })
+    ).toBeNull()
+  })
+
+  test('fails when a row is before the start year', () => {
+    expect(
+      validateOutcomes(
+        project({ floodProtectionOutcomes: [{ financialYear: 2024 }] })
+      )
+    ).toBe(SUBMISSION_OUTCOMES_OUT_OF_RANGE)
+  })
+
+  test('fails when a row is after the end year', () => {
+    expect(
+      validateOutcomes(
+        project({ coastalErosionProtectionOutcomes: [{ financialYear: 2028 }] })
+      )
+    ).toBe(SUBMISSION_OUTCOMES_OUT_OF_RANGE)
+  })
+
+  test('skips the check when the financial year range is incomplete', () => {
+    expect(
+      validateOutcomes(
+        project({
+          financialEndYear: null,
+          floodProtectionOutcomes: [{ financialYear: 2040 }]
+        })
+      )
+    ).toBeNull()
+  })
+})
@@ -2,6 +2,7 @@ import {
   PROJECT_TYPES,
   PROJECT_INTERVENTION_TYPES,
   PROJECT_RISK_TYPES,
+  PROJECT_READINESS_SECTIONS,
   PROJECT_VALIDATION_MESSAGES,
   URGENCY_REASONS
 } from '../../../../common/constants/project.js'
@@ -12,14 +13,24 @@ import {
   fyEndOrdinal,
   currentFYStartYear
 } from './submission/submission-date-utils.js'
-import { hasValue, MANDATORY_WL_TYPES } from './submission/submission-utils.js'
 import {
+  hasValue,
+  MANDATORY_WL_TYPES,
+  NFM_INTERVENTION_TYPES
+} from './submission/submission-utils.js'
+import {
+  DIRECT_SPENDING_SOURCE_FLAGS,
   validateFundingSources,
   validateFundingSourceValues,
   validateFundingContributors
 } from './submission/validate-funding-sources.js'
 import { validateEnvironmentalBenefits } from './submission/validate-environmental-benefits.js'
 import { validateNfm } from './submission/validate-nfm.js'
+import {
+  OUTCOME_FIELDS,
+  validateOutcomes
+} from './submission/validate-outcomes.js'
+import { ENVIRONMENTAL_BENEFITS_FIELDS } from '../../../../common/schemas/project/environment-benefits.js'
 import { computeCarbonResults } from '../../carbon-impact/carbon-impact.js'
 
 // Project type groupings used across validation rules
@@ -421,41 +432,248 @@ const validateCarbon = (p) => {
   return null
 }
 
+const hasNfmIntervention = (p) =>
+  parseRisks(p.projectInterventionTypes).some((i) =>
+    NFM_INTERVENTION_TYPES.has(i)
+  )
+
+const GIA_FIELDS = [
+  'couldStartEarly',
+  'earliestWithGiaMonth',
+  'earliestWithGiaYear'
+]
+
+const timelineFields = (p) => [
+  ...(SIMPLIFIED_DATE_TYPES.has(p.projectType)
+    ? SIMPLIFIED_REQUIRED_DATE_FIELDS
+    : REQUIRED_DATE_FIELDS),
+  ...GIA_FIELDS
+]
+
+const RISK_FIELDS = [
+  'risks',
+  'noPropertiesAtRisk',
+  'maintainingExistingAssets',
+  'reducingFloodRisk50Plus',
+  'reducingFloodRiskLess50',
+  'increasingFloodResilience',
+  'noPropertiesAtCoastalErosionRisk',
+  'propertiesBenefitMaintainingAssetsCoastal',
+  'propertiesBenefitInvestmentCoastalErosion',
+  'percentProperties20PercentDeprived',
+  'percentProperties40PercentDeprived',
+  'currentFloodFluvialRisk',
+  'currentFloodSurfaceWaterRisk',
+  'currentCoastalErosionRisk'
+]
+
+/**
+ * Submission rules grouped into readiness sections, in the order the errors
+ * are reported. Each rule lists the fields it covers, or derives them from
+ * the project; applies() marks sections that do not apply to the project so
+ * they are left out of the completion percentage.
+ */
+const SUBMISSION_SECTIONS = [
+  {
+    section: PROJECT_READINESS_SECTIONS.BASIC_DETAILS,
+    rules: [
+      {
+        check: validateProjectType,
+        fields: [
+          'projectType',
+          'projectInterventionTypes',
+          'mainInterventionType'
+        ]
+      },
+      {
+        check: validateFinancialYears,
+        fields: ['financialStartYear', 'financialEndYear']
+      },
+      { check: validateBenefitArea, fields: ['benefitAreaFileName'] }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.DATES,
+    rules: [
+      {
+        check: (p, now) => validateImportantDates(p, now),
+        fields: timelineFields
+      }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.FUNDING_SOURCES,
+    rules: [
+      { check: validateFundingSources, fields: ['pafs_core_funding_values'] },
+      {
+        check: validateFundingSourceValues,
+        fields: ['pafs_core_funding_values', ...DIRECT_SPENDING_SOURCE_FLAGS]
+      }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.CONTRIBUTORS,
+    rules: [
+      {
+        check: validateFundingContributors,
+        fields: ['pafs_core_funding_contributors']
+      }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.RISKS,
+    rules: [{ check: validateRiskAndProperties, fields: RISK_FIELDS }]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.OUTCOMES,
+    rules: [{ check: validateOutcomes, fields: OUTCOME_FIELDS }]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.APPROACH,
+    rules: [{ check: validateGoals, fields: ['approach'] }]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.ENVIRONMENTAL_BENEFITS,
+    rules: [
+      {
+        check: validateEnvironmentalBenefits,
+        fields: [
+          'environmentalBenefits',
+          ...ENVIRONMENTAL_BENEFITS_FIELDS.flatMap(({ gate, quantity }) => [
+            gate,
+            quantity
+          ])
+        ]
+      }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.NFM,
+    applies: (p) =>
+      MANDATORY_WL_TYPES.has(p.projectType) && hasNfmIntervention(p),
+    rules: [
+      {
+        check: validateNfm,
+        fields: [
+          'naturalFloodRiskMeasuresIncluded',
+          'nfmSelectedMeasures',
+          'pafs_core_nfm_measures',
+          'nfmLandUseChange',
+          'pafs_core_nfm_land_use_changes',
+          'nfmLandownerConsent',
+          'nfmExperienceLevel',
+          'nfmProjectReadiness'
+        ]
+      }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.URGENCY,
+    rules: [
+      { check: validateUrgency, fields: ['urgencyReason', 'urgencyDetails'] }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.WLC_WLB,
+    applies: (p) => MANDATORY_WL_TYPES.has(p.projectType),
+    rules: [
+      {
+        check: validateWlc,
+        fields: [
+          'wlcEstimatedWholeLifePvCosts',
+          'wlcEstimatedDesignConstructionCosts',
+          'wlcEstimatedRiskContingencyCosts',
+          'wlcEstimatedFutureCosts'
+        ]
+      },
+      { check: validateWlb, fields: ['wlbEstimatedWholeLifePvBenefits'] }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.CONFIDENCE,
+    applies: (p) => MANDATORY_WL_TYPES.has(p.projectType),
+    rules: [
+      {
+        check: validateConfidence,
+        fields: [
+          'confidenceHomesBetterProtected',
+          'confidenceHomesByGatewayFour',
+          'confidenceSecuredPartnershipFunding'
+        ]
+      }
+    ]
+  },
+  {
+    section: PROJECT_READINESS_SECTIONS.CARBON,
+    applies: (p) => !CARBON_FREE_TYPES.has(p.projectType),
+    rules: [
+      {
+        check: validateCarbon,
+        fields: ['carbonOperationalCostForecast']
+      }
+    ]
+  }
+]
+
 // ---------------------------------------------------------------------------
 // Main export
 // ---------------------------------------------------------------------------
 export function validateSubmission(project, now = new Date()) {
   const errors = []
 
-  const checks = [
-    validateProjectType,
-    validateFinancialYears,
-    validateBenefitArea,
-    (p) => validateImportantDates(p, now),
-    validateFundingSources,
-    validateFundingSourceValues,
-    validateFundingContributors,
-    validateRiskAndProperties,
-    validateGoals,
-    validateEnvironmentalBenefits,
-    validateNfm,
-    validateUrgency,
-    validateWlc,
-    validateWlb,
-    validateConfidence,
-    validateCarbon
-  ]
-
-  for (const check of checks) {
-    const errorCode = check(project)
-    if (errorCode) {
-      errors.push(errorCode)
+  for (const { rules } of SUBMISSION_SECTIONS) {
+    for (const { check } of rules) {
+      const errorCode = check(project, now)
+      if (errorCode) {
+        errors.push(errorCode)
+      }
     }
   }
 
   return errors
 }
 
+/**
+ * Runs every submission rule and reports the result per section, for the
+ * task list page. Read-only — nothing is written.
+ *
+ * @param {Object} project - Project as returned by getProjectByReferenceNumber
+ * @param {Date} [now]
+ * @returns {{ ready: boolean, completionPercentage: number, sections: Object[] }}
+ *   sections: [{ section, applicable, passed, errors: [{ errorCode, fields }] }]
+ */
+export function checkSubmissionReadiness(project, now = new Date()) {
+  const sections = SUBMISSION_SECTIONS.map(({ section, applies, rules }) => {
+    const errors = []
+    for (const { check, fields } of rules) {
+      const errorCode = check(project, now)
+      if (errorCode) {
+        errors.push({
+          errorCode,
+          fields: typeof fields === 'function' ? fields(project) : fields
+        })
+      }
+    }
+    return {
+      section,
+      applicable: applies ? applies(project) : true,
+      passed: errors.length === 0,
+      errors
+    }
+  })
+
+  const applicable = sections.filter((s) => s.applicable)
+  const passed = applicable.filter((s) => s.passed).length
+
+  return {
+    ready: sections.every((s) => s.passed),
+    completionPercentage: applicable.length
+      ? Math.floor((passed / applicable.length) * 100)
+      : 100,
+    sections
+  }
+}
+
 /**
  * Validates that the requesting user has permission to submit the project.
  *
@@ -1,6 +1,7 @@
 import { describe, test, expect, vi, beforeEach } from 'vitest'
 import {
   validateSubmission,
+  checkSubmissionReadiness,
   canSubmitProject,
   MANDATORY_WL_TYPES,
   OPTIONAL_WL_TYPES,
@@ -11,6 +12,7 @@ import {
   PROJECT_TYPES,
   PROJECT_INTERVENTION_TYPES,
   PROJECT_RISK_TYPES,
+  PROJECT_READINESS_SECTIONS,
   PROJECT_VALIDATION_MESSAGES,
   URGENCY_REASONS
 } from '../../../../common/constants/project.js'
@@ -1815,3 +1817,92 @@ describe('canSubmitProject', () => {
     })
   })
 })
+
+// ─── checkSubmissionReadiness ─────────────────────────────────────────────────
+
+describe('checkSubmissionReadiness', () => {
+  const sectionOf = (result, name) =>
+    result.sections.find((s) => s.section === name)
+
+  beforeEach(() => {
+    canUpdateProject.mockReset()
+  })
+
+  test('reports every section as passed for a valid DEF project', () => {
+    const result = checkSubmissionReadiness(validDefProject())
+
+    expect(result.ready).toBe(true)
+    expect(result.completionPercentage).toBe(100)
+    expect(result.sections.map((s) => s.section)).toEqual(
+      Object.values(PROJECT_READINESS_SECTIONS)
+    )
+    expect(result.sections.every((s) => s.passed)).toBe(true)
+  })
+
+  test('marks WLC/WLB, confidence and NFM as not applicable for ELO', () => {
+    const result = checkSubmissionReadiness(validEloProject())
+
+    expect(result.ready).toBe(true)
+    for (const name of [
+      PROJECT_READINESS_SECTIONS.WLC_WLB,
+      PROJECT_READINESS_SECTIONS.CONFIDENCE,
+      PROJECT_READINESS_SECTIONS.NFM
+    ]) {
+      expect(sectionOf(result, name).applicable).toBe(false)
+    }
+  })
+
+  test('reports failing sections with their error codes and fields', () => {
+    const result = checkSubmissionReadiness(
+      validDefProject({ approach: '', wlbEstimatedWholeLifePvBenefits: null })
+    )
+
+    expect(result.ready).toBe(false)
+    const approach = sectionOf(result, PROJECT_READINESS_SECTIONS.APPROACH)
+    expect(approach.passed).toBe(false)
+    expect(approach.errors).toEqual([
+      {
+        errorCode: PROJECT_VALIDATION_MESSAGES.SUBMISSION_GOALS_INCOMPLETE,
+        fields: ['approach']
+      }
+    ])
+    const wlb = sectionOf(result, PROJECT_READINESS_SECTIONS.WLC_WLB)
+    expect(wlb.errors[0].fields).toEqual(['wlbEstimatedWholeLifePvBenefits'])
+  })
+
+  test('floors the completion percentage over applicable sections', () => {
+    // DEF with NFM has 13 applicable sections — one failing leaves 12/13 = 92.3%
+    const result = checkSubmissionReadiness(validDefProject({ approach: '' }))
+
+    expect(result.sections.filter((s) => s.applicable)).toHaveLength(13)
+    expect(result.completionPercentage).toBe(92)
+  })
+
+  test('reports outcome rows outside the financial year range', () => {
+    const result = checkSubmissionReadiness(
+      validDefProject({
+        floodProtectionOutcomes: [{ financialYear: 2030 }]
+      })
+    )
+
+    const outcomes = sectionOf(result, PROJECT_READINESS_SECTIONS.OUTCOMES)
+    expect(outcomes.passed).toBe(false)
+    expect(outcomes.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.SUBMISSION_OUTCOMES_OUT_OF_RANGE
+    )
+  })
+
+  test('reports the same error codes as validateSubmission', () => {
+    const project = validDefProject({
+      projectType: null,
+      benefitAreaFileName: null,
+      approach: '',
+      urgencyReason: null
+    })
+
+    const codes = checkSubmissionReadiness(project).sections.flatMap((s) =>
+      s.errors.map((e) => e.errorCode)
+    )
+    expect(codes).toEqual(validateSubmission(project))
+  })
+})
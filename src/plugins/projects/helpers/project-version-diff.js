@@ -0,0 +1,240 @@
+/**
+ * Project version snapshots and field-level diffs
+ *
+ * A snapshot is a JSON-safe copy of the enriched project (API field names)
+ * plus its child rows, taken when the project is submitted. Child rows are
+ * keyed by their natural key (financial year, measure type, ...) so a diff
+ * reports "2026 fcermGia changed" rather than "row 3 changed" when rows are
+ * re-created with new IDs on every upsert.
+ */
+
+// Fields that change on every save or are derived per request — never
+// meaningful to a moderator comparing two submissions.
+const VOLATILE_PROJECT_FIELDS = new Set([
+  'id',
+  'version',
+  'projectState',
+  'createdAt',
+  'updatedAt',
+  'submittedAt',
+  'benefitAreaFileUpdatedAt',
+  'benefitAreaFileDownloadUrl',
+  'benefitAreaFileDownloadExpiry',
+  'benefitAreaFileBase64',
+  'fundingCalculatorUpdatedAt',
+  'fundingCalculatorDownloadUrl'
+])
+
+// Joined tables are stored as their own snapshot lists, not as project fields
+const CHILD_TABLES = new Set([
+  'pafs_core_funding_values',
+  'pafs_core_funding_contributors',
+  'pafs_core_nfm_measures',
+  'pafs_core_nfm_land_use_changes'
+])
+
+const OUTCOME_COLUMNS = {
+  households_at_reduced_risk: 'householdsAtReducedRisk',
+  moved_from_very_significant_and_significant_to_moderate_or_low:
+    'movedFromVerySignificantAndSignificantToModerateOrLow',
+  households_protected_from_loss_in_20_percent_most_deprived:
+    'householdsProtectedFromLossIn20PercentMostDeprived',
+  households_protected_through_plp_measures:
+    'householdsProtectedThroughPlpMeasures',
+  households_protected_from_loss_in_next_20_years:
+    'householdsProtectedFromLossInNext20Years',
+  non_residential_properties: 'nonResidentialProperties'
+}
+
+// How rows in each snapshot list are matched between versions
+const ROW_KEYS = {
+  fundingValues: (row) => String(row.financialYear),
+  fundingContributors: (row) =>
+    `${row.financialYear}:${row.contributorType}:${row.name}`,
+  nfmMeasures: (row) => String(row.measureType),
+  nfmLandUseChanges: (row) => String(row.landUseType),
+  'outcomes.floodProtection': (row) => String(row.financialYear),
+  'outcomes.floodProtection2040': (row) => String(row.financialYear),
+  'outcomes.coastalErosionProtection': (row) => String(row.financialYear)
+}
+
+export const DIFF_CHANGE_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+}
+
+/**
+ * Convert BigInt and Prisma Decimal values so the snapshot can be stored as JSONB
+ * @param {*} value
+ * @returns {*} JSON-safe copy
+ */
+export function toSnapshotJson(value) {
+  if (value == null) {
+    return null
+  }
+  return JSON.parse(
+    JSON.stringify(value, (_, v) => {
+      if (typeof v === 'bigint') {
+        return Number(v)
+      }
+      // Prisma Decimal objects have a toFixed method
+      if (
+        v !== null &&
+        typeof v === 'object' &&
+        typeof v.toFixed === 'function'
+      ) {
+        return Number(v.toString())
+      }
+      return v
+    })
+  )
+}
+
+function mapOutcomeRows(rows = []) {
+  return rows
+    .map((row) => {
+      const mapped = { financialYear: row.financial_year }
+      for (const [column, field] of Object.entries(OUTCOME_COLUMNS)) {
+        if (row[column] !== undefined) {
+          mapped[field] = row[column]
+        }
+      }
+      return mapped
+    })
+    .sort((a, b) => a.financialYear - b.financialYear)
+}
+
+function omit(row, fields) {
+  return Object.fromEntries(
+    Object.entries(row).filter(([key]) => !fields.includes(key))
+  )
+}
+
+/**
+ * Contributors reference funding values by ID, which changes whenever the
+ * funding rows are rebuilt. Store the financial year instead.
+ */
+function mapContributors(contributors = [], fundingValues = []) {
+  const yearByFundingValueId = new Map(
+    fundingValues.map((fv) => [String(fv.id), fv.financialYear])
+  )
+  return contributors.map((contributor) => ({
+    financialYear:
+      yearByFundingValueId.get(String(contributor.fundingValueId)) ?? null,
+    ...omit(contributor, ['fundingValueId', 'createdAt', 'updatedAt'])
+  }))
+}
+
+/**
+ * Build the immutable snapshot stored for a project version
+ * @param {Object} project - Enriched project from getProjectByReferenceNumber
+ * @param {Object} outcomes - Raw outcome rows
+ * @param {Array} [outcomes.floodProtection]
+ * @param {Array} [outcomes.floodProtection2040]
+ * @param {Array} [outcomes.coastalErosionProtection]
+ * @returns {Object} JSON-safe snapshot
+ */
+export function buildProjectSnapshot(project, outcomes = {}) {
+  const details = {}
+  for (const [field, value] of Object.entries(project)) {
+    if (!VOLATILE_PROJECT_FIELDS.has(field) && !CHILD_TABLES.has(field)) {
+      details[field] = value
+    }
+  }
+
+  const fundingValues = project.pafs_core_funding_values ?? []
+
+  return toSnapshotJson({
+    project: details,
+    fundingValues: fundingValues
+      .map((fv) => omit(fv, ['id']))
+      .sort((a, b) => a.financialYear - b.financialYear),
+    fundingContributors: mapContributors(
+      project.pafs_core_funding_contributors,
+      fundingValues
+    ),
+    nfmMeasures: project.pafs_core_nfm_measures ?? [],
+    nfmLandUseChanges: project.pafs_core_nfm_land_use_changes ?? [],
+    outcomes: {
+      floodProtection: mapOutcomeRows(outcomes.floodProtection),
+      floodProtection2040: mapOutcomeRows(outcomes.floodProtection2040),
+      coastalErosionProtection: mapOutcomeRows(
+        outcomes.coastalErosionProtection
+      )
+    }
+  })
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+function diffObjects(path, before = {}, after = {}, changes = []) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  for (const key of [...keys].sort()) {
+    if (!isEqual(before[key], after[key])) {
+      changes.push({
+        field: path ? `${path}.${key}` : key,
+        changeType: DIFF_CHANGE_TYPES.CHANGED,
+        from: before[key] ?? null,
+        to: after[key] ?? null
+      })
+    }
+  }
+  return changes
+}
+
+function diffRows(section, before = [], after = [], changes = []) {
+  const keyOf = ROW_KEYS[section]
+  const beforeByKey = new Map(before.map((row) => [keyOf(row), row]))
+  const afterByKey = new Map(after.map((row) => [keyOf(row), row]))
+
+  for (const [key, row] of beforeByKey) {
+    if (!afterByKey.has(key)) {
+      changes.push({
+        field: `${section}[${key}]`,
+        changeType: DIFF_CHANGE_TYPES.REMOVED,
+        from: row,
+        to: null
+      })
+    }
+  }
+
+  for (const [key, row] of afterByKey) {
+    const previous = beforeByKey.get(key)
+    if (previous) {
+      diffObjects(`${section}[${key}]`, previous, row, changes)
+    } else {
+      changes.push({
+        field: `${section}[${key}]`,
+        changeType: DIFF_CHANGE_TYPES.ADDED,
+        from: null,
+        to: row
+      })
+    }
+  }
+
+  return changes
+}
+
+/**
+ * Field-level differences between two snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<{ field: string, changeType: string, from: *, to: * }>}
+ */
+export function diffProjectSnapshots(before, after) {
+  const changes = []
+
+  diffObjects('project', before?.project, after?.project, changes)
+
+  for (const section of Object.keys(ROW_KEYS)) {
+    const [root, child] = section.split('.')
+    const pick = (snapshot) =>
+      child ? snapshot?.[root]?.[child] : snapshot?.[root]
+    diffRows(section, pick(before), pick(after), changes)
+  }
+
+  return changes
+}
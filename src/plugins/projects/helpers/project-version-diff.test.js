@@ -0,0 +1,301 @@
+import { describe, test, expect } from 'vitest'
+import {
+  buildProjectSnapshot,
+  diffProjectSnapshots,
+  toSnapshotJson,
+  DIFF_CHANGE_TYPES
+} from './project-version-diff.js'
+
+const baseProject = () => ({
+  id: 10,
+  referenceNumber: 'ANC501E/000A/001A',
+  version: 1,
+  name: 'Flood wall',
+  projectState: 'draft',
+  updatedAt: new Date('2026-01-01T00:00:00Z'),
+  benefitAreaFileDownloadUrl: 'https://s3/presigned',
+  wlcEstimatedWholeLifePvCosts: 1000n,
+  pafs_core_funding_values: [
+    { id: 2, financialYear: 2027, fcermGia: 200, total: 200 },
+    { id: 1, financialYear: 2026, fcermGia: 100, total: 100 }
+  ],
+  pafs_core_funding_contributors: [
+    {
+      name: 'Council',
+      contributorType: 'public_contributions',
+      fundingValueId: 1,
+      amount: 50,
+      createdAt: '2026-01-01'
+    }
+  ],
+  pafs_core_nfm_measures: [{ measureType: 'leaky_barriers', lengthKm: 1 }],
+  pafs_core_nfm_land_use_changes: [
+    { landUseType: 'woodland', areaBeforeHectares: 1, areaAfterHectares: 2 }
+  ]
+})
+
+describe('toSnapshotJson', () => {
+  test('converts BigInt and Decimal-like values to numbers', () => {
+    const decimal = { toFixed: () => '1.50', toString: () => '1.5' }
+    expect(toSnapshotJson({ a: 5n, b: decimal, c: 'x' })).toEqual({
+      a: 5,
+      b: 1.5,
+      c: 'x'
+    })
+  })
+
+  test('returns null for null input', () => {
+    expect(toSnapshotJson(null)).toBeNull()
+  })
+})
+
+describe('buildProjectSnapshot', () => {
+  test('drops volatile fields and splits out child rows', () => {
+    const snapshot = buildProjectSnapshot(baseProject())
+
+    expect(snapshot.project).toEqual({
+      referenceNumber: 'ANC501E/000A/001A',
+      name: 'Flood wall',
+      wlcEstimatedWholeLifePvCosts: 1000
+    })
+    expect(snapshot.nfmMeasures).toEqual([
+      { measureType: 'leaky_barriers', lengthKm: 1 }
+    ])
+    expect(snapshot.nfmLandUseChanges).toHaveLength(1)
+  })
+
+  test('sorts funding values by year and drops their ids', () => {
+    const { fundingValues } = buildProjectSnapshot(baseProject())
+
+    expect(fundingValues).toEqual([
+      { financialYear: 2026, fcermGia: 100, total: 100 },
+      { financialYear: 2027, fcermGia: 200, total: 200 }
+    ])
+  })
+
+  test('keys contributors by financial year instead of funding value id', () => {
+    const { fundingContributors } = buildProjectSnapshot(baseProject())
+
+    expect(fundingContributors).toEqual([
+      {
+        financialYear: 2026,
+        name: 'Council',
+        contributorType: 'public_contributions',
+        amount: 50
+      }
+    ])
+  })
+
+  test('maps outcome rows to API field names', () => {
+    const snapshot = buildProjectSnapshot(baseProject(), {
+      floodProtection: [
+        {
+          id: 3,
+          project_id: 10n,
+          financial_year: 2027,
+          households_at_reduced_risk: 12
+        },
+        {
+          id: 4,
+          project_id: 10n,
+          financial_year: 2026,
+          households_at_reduced_risk: 5
+        }
+      ],
+      coastalErosionProtection: [
+        {
+          financial_year: 2026,
+          households_protected_from_loss_in_next_20_years: 3
+        }
+      ]
+    })
+
+    expect(snapshot.outcomes).toEqual({
+      floodProtection: [
+        { financialYear: 2026, householdsAtReducedRisk: 5 },
+        { financialYear: 2027, householdsAtReducedRisk: 12 }
+      ],
+      floodProtection2040: [],
+      coastalErosionProtection: [
+        { financialYear: 2026, householdsProtectedFromLossInNext20Years: 3 }
+      ]
+    })
+  })
+
+  test('defaults missing child rows to empty lists', () => {
+    const snapshot = buildProjectSnapshot({ id: 1, name: 'Bare' })
+
+    expect(snapshot.fundingValues).toEqual([])
+    expect(snapshot.fundingContributors).toEqual([])
+    expect(snapshot.nfmMeasures).toEqual([])
+    expect(snapshot.nfmLandUseChanges).toEqual([])
+  })
+})
+
+describe('diffProjectSnapshots', () => {
+  test('returns no changes for identical snapshots', () => {
+    const snapshot = buildProjectSnapshot(baseProject())
+    expect(diffProjectSnapshots(snapshot, snapshot)).toEqual([])
+  })
+
+  test('ignores volatile fields between submissions', () => {
+    const later = baseProject()
+    later.updatedAt = new Date('2026-03-01T00:00:00Z')
+    later.projectState = 'revise'
+    later.pafs_core_funding_values = later.pafs_core_funding_values.map(
+      (fv) => ({ ...fv, id: fv.id + 100 })
+    )
+    later.pafs_core_funding_contributors[0].fundingValueId = 101
+
+    expect(
+      diffProjectSnapshots(
+        buildProjectSnapshot(baseProject()),
+        buildProjectSnapshot(later)
+      )
+    ).toEqual([])
+  })
+
+  test('reports changed project fields', () => {
+    const later = baseProject()
+    later.name = 'Flood wall phase 2'
+
+    expect(
+      diffProjectSnapshots(
+        buildProjectSnapshot(baseProject()),
+        buildProjectSnapshot(later)
+      )
+    ).toEqual([
+      {
+        field: 'project.name',
+        changeType: DIFF_CHANGE_TYPES.CHANGED,
+        from: 'Flood wall',
+        to: 'Flood wall phase 2'
+      }
+    ])
+  })
+
+  test('reports fields added and removed on the project', () => {
+    const later = baseProject()
+    delete later.wlcEstimatedWholeLifePvCosts
+    later.mainRisk = 'fluvial_flooding'
+
+    const changes = diffProjectSnapshots(
+      buildProjectSnapshot(baseProject()),
+      buildProjectSnapshot(later)
+    )
+
+    expect(changes).toEqual([
+      {
+        field: 'project.mainRisk',
+        changeType: DIFF_CHANGE_TYPES.CHANGED,
+        from: null,
+        to: 'fluvial_flooding'
+      },
+      {
+        field: 'project.wlcEstimatedWholeLifePvCosts',
+        changeType: DIFF_CHANGE_TYPES.CHANGED,
+        from: 1000,
+        to: null
+      }
+    ])
+  })
+
+  test('matches funding rows by financial year', () => {
+    const later = baseProject()
+    later.pafs_core_funding_values = [
+      { id: 9, financialYear: 2026, fcermGia: 150, total: 150 },
+      { id: 8, financialYear: 2028, fcermGia: 10, total: 10 }
+    ]
+    later.pafs_core_funding_contributors = []
+
+    const changes = diffProjectSnapshots(
+      buildProjectSnapshot(baseProject()),
+      buildProjectSnapshot(later)
+    )
+
+    expect(changes).toEqual([
+      {
+        field: 'fundingValues[2027]',
+        changeType: DIFF_CHANGE_TYPES.REMOVED,
+        from: { financialYear: 2027, fcermGia: 200, total: 200 },
+        to: null
+      },
+      {
+        field: 'fundingValues[2026].fcermGia',
+        changeType: DIFF_CHANGE_TYPES.CHANGED,
+        from: 100,
+        to: 150
+      },
+      {
+        field: 'fundingValues[2026].total',
+        changeType: DIFF_CHANGE_TYPES.CHANGED,
+        from: 100,
+        to: 150
+      },
+      {
+        field: 'fundingValues[2028]',
+        changeType: DIFF_CHANGE_TYPES.ADDED,
+        from: null,
+        to: { financialYear: 2028, fcermGia: 10, total: 10 }
+      },
+      {
+        field: 'fundingContributors[2026:public_contributions:Council]',
+        changeType: DIFF_CHANGE_TYPES.REMOVED,
+        from: {
+          financialYear: 2026,
+          name: 'Council',
+          contributorType: 'public_contributions',
+          amount: 50
+        },
+        to: null
+      }
+    ])
+  })
+
+  test('reports NFM and outcome changes by their natural keys', () => {
+    const later = baseProject()
+    later.pafs_core_nfm_measures = [
+      { measureType: 'leaky_barriers', lengthKm: 3 }
+    ]
+
+    const changes = diffProjectSnapshots(
+      buildProjectSnapshot(baseProject(), {
+        floodProtection: [
+          { financial_year: 2026, households_at_reduced_risk: 5 }
+        ]
+      }),
+      buildProjectSnapshot(later, {
+        floodProtection: [
+          { financial_year: 2026, households_at_reduced_risk: 8 }
+        ]
+      })
+    )
+
+    expect(changes.map((c) => c.field)).toEqual([
+      'nfmMeasures[leaky_barriers].lengthKm',
+      'outcomes.floodProtection[2026].householdsAtReducedRisk'
+    ])
+  })
+
+  test('treats missing snapshot sections as empty', () => {
+    const changes = diffProjectSnapshots(
+      {},
+      { project: { name: 'New' }, fundingValues: [{ financialYear: 2026 }] }
+    )
+
+    expect(changes).toEqual([
+      {
+        field: 'project.name',
+        changeType: DIFF_CHANGE_TYPES.CHANGED,
+        from: null,
+        to: 'New'
+      },
+      {
+        field: 'fundingValues[2026]',
+        changeType: DIFF_CHANGE_TYPES.ADDED,
+        from: null,
+        to: { financialYear: 2026 }
+      }
+    ])
+  })
+})
@@ -27,7 +27,8 @@ import {
   buildInterventionTypes,
   buildNfmMeasures,
   buildNfmLandUseChanges,
-  buildFundingSources
+  buildFundingSources,
+  buildOutcomesByYear
 } from './proposal-payload-helpers.js'
 
 export { fetchShapefileBase64 } from './proposal-payload-helpers.js'
@@ -314,7 +315,13 @@ export function buildProposalPayload(
     ...buildGatewayDates(project),
     ...risksAndProperties,
     ...environmentalBenefits,
-    outcome_measures: { om2, om3, om4a, om4b },
+    outcome_measures: {
+      om2,
+      om3,
+      om4a,
+      om4b,
+      ...buildOutcomesByYear(project)
+    },
     ...buildGoalsAndApproach(project),
     ...nfmMeasures,
     ...buildNfmDetails(project),
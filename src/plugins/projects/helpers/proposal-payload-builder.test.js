@@ -1334,6 +1334,53 @@ describe('buildEnvironmentalBenefits', () => {
   })
 })
 
+// ─── Per-year outcomes ───────────────────────────────────────────────────────
+
+describe('buildOutcomesByYear', () => {
+  test('maps outcome rows per financial year inside outcome_measures', () => {
+    const payload = buildProposalPayload(
+      {
+        ...MINIMAL_PROJECT,
+        floodProtectionOutcomes: [
+          {
+            financialYear: 2027,
+            householdsAtReducedRisk: 5,
+            householdsProtectedThroughPlpMeasures: null
+          },
+          {
+            financialYear: 2026,
+            householdsAtReducedRisk: 10,
+            nonResidentialProperties: 2
+          }
+        ],
+        coastalErosionProtectionOutcomes: [
+          { financialYear: 2026, householdsProtectedFromLossInNext20Years: 4 }
+        ]
+      },
+      null
+    )
+
+    const { om2_by_year: om2, om3_by_year: om3 } = payload.outcome_measures
+    expect(om2.map((row) => row.financial_year)).toEqual([2026, 2027])
+    expect(om2[0]).toMatchObject({
+      households_at_reduced_risk: 10,
+      non_residential_properties: 2,
+      households_protected_through_plp_measures: null
+    })
+    expect(om3[0]).toMatchObject({
+      financial_year: 2026,
+      households_protected_from_loss_in_next_20_years: 4
+    })
+    expect(payload.outcome_measures.om2_2040_by_year).toEqual([])
+  })
+
+  test('returns empty arrays when the project has no outcomes', () => {
+    const payload = buildProposalPayload(MINIMAL_PROJECT, null)
+    expect(payload.outcome_measures.om2_by_year).toEqual([])
+    expect(payload.outcome_measures.om3_by_year).toEqual([])
+  })
+})
+
 // ─── fetchShapefileBase64 ─────────────────────────────────────────────────────
 
 describe('fetchShapefileBase64', () => {
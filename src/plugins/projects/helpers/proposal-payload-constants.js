@@ -132,3 +132,45 @@ export const NFM_LAND_USE_FIELD_MAP = {
     after: 'coastal_margins_after'
   }
 }
+
+/**
+ * Per-year outcome fields → payload keys, keyed by outcome_measures entry.
+ * Keys match the legacy outcome table columns.
+ */
+export const OUTCOME_FIELD_MAP = {
+  om2_by_year: {
+    source: 'floodProtectionOutcomes',
+    fields: {
+      householdsAtReducedRisk: 'households_at_reduced_risk',
+      movedFromVerySignificantAndSignificantToModerateOrLow:
+        'moved_from_very_significant_and_significant_to_moderate_or_low',
+      householdsProtectedFromLossIn20PercentMostDeprived:
+        'households_protected_from_loss_in_20_percent_most_deprived',
+      householdsProtectedThroughPlpMeasures:
+        'households_protected_through_plp_measures',
+      nonResidentialProperties: 'non_residential_properties'
+    }
+  },
+  om2_2040_by_year: {
+    source: 'floodProtection2040Outcomes',
+    fields: {
+      householdsAtReducedRisk: 'households_at_reduced_risk',
+      movedFromVerySignificantAndSignificantToModerateOrLow:
+        'moved_from_very_significant_and_significant_to_moderate_or_low',
+      householdsProtectedFromLossIn20PercentMostDeprived:
+        'households_protected_from_loss_in_20_percent_most_deprived',
+      nonResidentialProperties: 'non_residential_properties'
+    }
+  },
+  om3_by_year: {
+    source: 'coastalErosionProtectionOutcomes',
+    fields: {
+      householdsAtReducedRisk: 'households_at_reduced_risk',
+      householdsProtectedFromLossInNext20Years:
+        'households_protected_from_loss_in_next_20_years',
+      householdsProtectedFromLossIn20PercentMostDeprived:
+        'households_protected_from_loss_in_20_percent_most_deprived',
+      nonResidentialProperties: 'non_residential_properties'
+    }
+  }
+}
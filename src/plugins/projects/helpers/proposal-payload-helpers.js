@@ -9,7 +9,8 @@ import { RFCC_CODE_NAMES } from '../../downloads/helpers/fcerm1/fcerm1-labels.js
 import { getS3Service } from '../../../common/services/file-upload/s3-service.js'
 import {
   NFM_MEASURE_FIELD_MAP,
-  NFM_LAND_USE_FIELD_MAP
+  NFM_LAND_USE_FIELD_MAP,
+  OUTCOME_FIELD_MAP
 } from './proposal-payload-constants.js'
 
 // ---------------------------------------------------------------------------
@@ -193,6 +194,33 @@ export function buildInterventionTypes(typesString) {
   return Object.fromEntries(allTypes.map((t) => [t, active.has(t)]))
 }
 
+// ---------------------------------------------------------------------------
+// Outcome builders
+// ---------------------------------------------------------------------------
+
+/**
+ * Build the per-year outcome arrays (om2_by_year, om2_2040_by_year,
+ * om3_by_year) from the outcome rows on the enriched project.
+ * Rows are ordered by financial year.
+ * @param {Object} project
+ * @returns {Object}
+ */
+export function buildOutcomesByYear(project) {
+  const result = {}
+  for (const [key, { source, fields }] of Object.entries(OUTCOME_FIELD_MAP)) {
+    result[key] = [...(project[source] ?? [])]
+      .sort((a, b) => a.financialYear - b.financialYear)
+      .map((row) => {
+        const entry = { financial_year: row.financialYear }
+        for (const [field, payloadKey] of Object.entries(fields)) {
+          entry[payloadKey] = toNumber(row[field])
+        }
+        return entry
+      })
+  }
+  return result
+}
+
 // ---------------------------------------------------------------------------
 // NFM and funding builders
 // ---------------------------------------------------------------------------
@@ -50,7 +50,10 @@ const minimalValidPayload = {
       om4b_kilometres_of_watercourse_comprehensive: null,
       om4b_kilometres_of_watercourse_partial: null,
       om4b_kilometres_of_watercourse_single: null
-    }
+    },
+    om2_by_year: [],
+    om2_2040_by_year: [],
+    om3_by_year: []
   },
   confidence: {
     homes_better_protected: null,
@@ -95,11 +95,36 @@ const om4bSchema = Joi.object({
   om4b_kilometres_of_watercourse_single: nullableDecimal.required()
 })
 
+const om2ByYearSchema = Joi.object({
+  financial_year: Joi.number().integer().required(),
+  households_at_reduced_risk: nullableWhole,
+  moved_from_very_significant_and_significant_to_moderate_or_low: nullableWhole,
+  households_protected_from_loss_in_20_percent_most_deprived: nullableWhole,
+  households_protected_through_plp_measures: nullableWhole,
+  non_residential_properties: nullableWhole
+})
+
+const om2040ByYearSchema = om2ByYearSchema.fork(
+  ['households_protected_through_plp_measures'],
+  (schema) => schema.forbidden()
+)
+
+const om3ByYearSchema = Joi.object({
+  financial_year: Joi.number().integer().required(),
+  households_at_reduced_risk: nullableWhole,
+  households_protected_from_loss_in_next_20_years: nullableWhole,
+  households_protected_from_loss_in_20_percent_most_deprived: nullableWhole,
+  non_residential_properties: nullableWhole
+})
+
 const outcomeMeasuresSchema = Joi.object({
   om2: om2Schema.required(),
   om3: om3Schema.required(),
   om4a: om4aSchema.required(),
-  om4b: om4bSchema.required()
+  om4b: om4bSchema.required(),
+  om2_by_year: Joi.array().items(om2ByYearSchema).required(),
+  om2_2040_by_year: Joi.array().items(om2040ByYearSchema).required(),
+  om3_by_year: Joi.array().items(om3ByYearSchema).required()
 })
 
 const confidenceSchema = Joi.object({
@@ -60,7 +60,10 @@ const base = () => ({
       om4b_kilometres_of_watercourse_comprehensive: null,
       om4b_kilometres_of_watercourse_partial: null,
       om4b_kilometres_of_watercourse_single: null
-    }
+    },
+    om2_by_year: [],
+    om2_2040_by_year: [],
+    om3_by_year: []
   },
   confidence: {
     homes_better_protected: null,
@@ -233,6 +236,77 @@ describe('om2 / om3 property count fields (whole numbers only)', () => {
   })
 })
 
+// ---------------------------------------------------------------------------
+// Per-year outcomes
+// ---------------------------------------------------------------------------
+
+describe('per-year outcome arrays', () => {
+  const withOutcomes = (overrides) => ({
+    ...base(),
+    outcome_measures: { ...base().outcome_measures, ...overrides }
+  })
+
+  it('accepts om2, om2 2040 and om3 rows', () => {
+    expect(
+      validate(
+        withOutcomes({
+          om2_by_year: [
+            {
+              financial_year: 2026,
+              households_at_reduced_risk: 10,
+              households_protected_through_plp_measures: null
+            }
+          ],
+          om2_2040_by_year: [
+            { financial_year: 2026, households_at_reduced_risk: 12 }
+          ],
+          om3_by_year: [
+            {
+              financial_year: 2026,
+              households_protected_from_loss_in_next_20_years: 3
+            }
+          ]
+        })
+      )
+    ).toBeUndefined()
+  })
+
+  it('requires a financial year on each row', () => {
+    expect(
+      validate(
+        withOutcomes({ om2_by_year: [{ households_at_reduced_risk: 1 }] })
+      )
+    ).toBeDefined()
+  })
+
+  it('rejects PLP measures on om2 2040 rows', () => {
+    expect(
+      validate(
+        withOutcomes({
+          om2_2040_by_year: [
+            {
+              financial_year: 2026,
+              households_protected_through_plp_measures: 1
+            }
+          ]
+        })
+      )
+    ).toBeDefined()
+  })
+
+  it('rejects a decimal count', () => {
+    expect(
+      validate(
+        withOutcomes({
+          om3_by_year: [
+            { financial_year: 2026, non_residential_properties: 1.5 }
+          ]
+        })
+      )
+    ).toBeDefined()
+  })
+})
+
 // ---------------------------------------------------------------------------
 // om4a / om4b — required nullable decimal fields
 // ---------------------------------------------------------------------------
@@ -1,11 +1,26 @@
 import checkProjectName from './check-project-name/check-project-name.js'
 import getProject from './get-project/get-project.js'
 import upsertProject from './upsert-project/upsert-project.js'
+import duplicateProject from './duplicate-project/duplicate-project.js'
 import updateStatus from './update-status/update-status.js'
+import bulkStatus from './bulk-status/bulk-status.js'
+import statusHistory from './status-history/status-history.js'
+import listVersions from './list-versions/list-versions.js'
+import versionDiff from './version-diff/version-diff.js'
+import projectAudit from './project-audit/project-audit.js'
+import getProjectOutcomes from './project-outcomes/get-project-outcomes.js'
+import updateProjectOutcomes from './project-outcomes/update-project-outcomes.js'
+import listComments from './project-comments/list-comments.js'
+import addComment from './project-comments/add-comment.js'
+import resolveComment from './project-comments/resolve-comment.js'
 import downloadBenefitAreaFile from './download-benefit-area-file/download-benefit-area-file.js'
 import deleteBenefitAreaFile from './delete-benefit-area-file/delete-benefit-area-file.js'
 import listProjects from './list-projects/list-projects.js'
+import exportProjects from './export-projects/export-projects.js'
+import getProjectExport from './export-projects/get-project-export.js'
 import carbonImpact from './carbon-impact/carbon-impact.js'
+import projectReadiness from './project-readiness/project-readiness.js'
+import projectModeration from './project-moderation/project-moderation.js'
 import submitProject from './submit-project/submit-project.js'
 import resubmitProject from './resubmit-project/resubmit-project.js'
 import markSubmittedToPol from './mark-submitted-to-pol/mark-submitted-to-pol.js'
@@ -18,11 +33,26 @@ const projectsPlugin = {
       checkProjectName,
       getProject,
       upsertProject,
+      duplicateProject,
       updateStatus,
+      bulkStatus,
+      statusHistory,
+      listVersions,
+      versionDiff,
+      projectAudit,
+      getProjectOutcomes,
+      updateProjectOutcomes,
+      listComments,
+      addComment,
+      resolveComment,
       downloadBenefitAreaFile,
       deleteBenefitAreaFile,
       listProjects,
+      exportProjects,
+      getProjectExport,
       carbonImpact,
+      projectReadiness,
+      projectModeration,
       submitProject,
       resubmitProject,
       markSubmittedToPol
@@ -35,11 +65,26 @@ export default projectsPlugin
 export { default as checkProjectName } from './check-project-name/check-project-name.js'
 export { default as getProject } from './get-project/get-project.js'
 export { default as upsertProject } from './upsert-project/upsert-project.js'
+export { default as duplicateProject } from './duplicate-project/duplicate-project.js'
 export { default as downloadBenefitAreaFile } from './download-benefit-area-file/download-benefit-area-file.js'
 export { default as deleteBenefitAreaFile } from './delete-benefit-area-file/delete-benefit-area-file.js'
 export { default as listProjects } from './list-projects/list-projects.js'
+export { default as exportProjects } from './export-projects/export-projects.js'
+export { default as getProjectExport } from './export-projects/get-project-export.js'
 export { default as updateStatus } from './update-status/update-status.js'
+export { default as bulkStatus } from './bulk-status/bulk-status.js'
+export { default as statusHistory } from './status-history/status-history.js'
+export { default as listVersions } from './list-versions/list-versions.js'
+export { default as versionDiff } from './version-diff/version-diff.js'
+export { default as projectAudit } from './project-audit/project-audit.js'
+export { default as getProjectOutcomes } from './project-outcomes/get-project-outcomes.js'
+export { default as updateProjectOutcomes } from './project-outcomes/update-project-outcomes.js'
+export { default as listComments } from './project-comments/list-comments.js'
+export { default as addComment } from './project-comments/add-comment.js'
+export { default as resolveComment } from './project-comments/resolve-comment.js'
 export { default as carbonImpact } from './carbon-impact/carbon-impact.js'
+export { default as projectReadiness } from './project-readiness/project-readiness.js'
+export { default as projectModeration } from './project-moderation/project-moderation.js'
 export { default as submitProject } from './submit-project/submit-project.js'
 export { default as resubmitProject } from './resubmit-project/resubmit-project.js'
 export { default as markSubmittedToPol } from './mark-submitted-to-pol/mark-submitted-to-pol.js'
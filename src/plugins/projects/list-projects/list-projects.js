@@ -7,7 +7,10 @@ import {
   buildErrorResponse,
   buildSuccessResponse
 } from '../../../common/helpers/response-builder.js'
-import { resolveUserAreaIds } from '../../areas/helpers/user-areas.js'
+import {
+  narrowToRequestedArea,
+  resolveUserAreaIds
+} from '../../areas/helpers/user-areas.js'
 
 const listProjects = {
   method: 'GET',
@@ -15,7 +18,11 @@ const listProjects = {
   options: {
     auth: 'jwt',
     description: 'List projects',
-    notes: 'Returns paginated list of projects filtered by user role',
+    notes:
+      'Returns paginated list of projects filtered by user role. ' +
+      'Status, project type, intervention type, main risk and urgency reason accept several values; ' +
+      'financial start/end years and submission date accept ranges. ' +
+      'Set includeFacets=true for per-value counts of each filter.',
     tags: ['api', 'projects'],
     validate: {
       query: getProjectsQuerySchema,
@@ -24,7 +31,17 @@ const listProjects = {
   },
   handler: async (request, h) => {
     try {
-      const { search, areaId, status, page, pageSize } = request.query
+      const {
+        search,
+        areaId,
+        status,
+        sortBy,
+        sortOrder,
+        includeFacets,
+        page,
+        pageSize,
+        ...filters
+      } = request.query
       const credentials = request.auth.credentials
 
       // Resolve area IDs based on user role
@@ -34,20 +51,8 @@ const listProjects = {
         credentials
       )
 
-      // Resolve the effective area IDs for the query.
-      // Admin can narrow to a single area via the optional areaId query param.
-      // Non-admin users are always scoped to their resolved area IDs; they may
-      // narrow further by selecting a specific area — only if it is within their scope.
-      let areaIds = userAreaIds
-      if (areaId) {
-        const isInScope =
-          credentials.isAdmin ||
-          userAreaIds?.map(String).includes(String(areaId))
-        if (isInScope) {
-          areaIds = [areaId]
-        }
-        // areaId outside the user's permitted scope is silently ignored
-      }
+      // Admin can narrow to any area; other users only within their scope
+      const areaIds = narrowToRequestedArea(userAreaIds, areaId, credentials)
 
       const projectService = new ProjectFilterService(
         request.prisma,
@@ -61,6 +66,10 @@ const listProjects = {
             search,
             areaIds,
             status,
+            filters,
+            sortBy,
+            sortOrder,
+            includeFacets,
             page,
             pageSize
           }),
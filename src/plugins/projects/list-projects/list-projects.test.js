@@ -98,7 +98,10 @@ describe('list-projects route', () => {
     test('Should have description and notes', () => {
       expect(listProjects.options.description).toBe('List projects')
       expect(listProjects.options.notes).toBe(
-        'Returns paginated list of projects filtered by user role'
+        'Returns paginated list of projects filtered by user role. ' +
+          'Status, project type, intervention type, main risk and urgency reason accept several values; ' +
+          'financial start/end years and submission date accept ranges. ' +
+          'Set includeFacets=true for per-value counts of each filter.'
       )
     })
 
@@ -107,6 +110,47 @@ describe('list-projects route', () => {
       expect(listProjects.options.validate.query).toBeDefined()
       expect(listProjects.options.validate.failAction).toBeDefined()
     })
+
+    test('Should accept multi-value filters as lists or repeated values', () => {
+      const { error, value } = listProjects.options.validate.query.validate({
+        status: 'draft,submitted',
+        projectType: ['DEF', 'PLP'],
+        interventionType: 'NFM'
+      })
+
+      expect(error).toBeUndefined()
+      expect(value.status).toEqual(['draft', 'submitted'])
+      expect(value.projectType).toEqual(['DEF', 'PLP'])
+      expect(value.interventionType).toEqual(['NFM'])
+      expect(value.sortBy).toBe('updatedAt')
+      expect(value.sortOrder).toBe('desc')
+      expect(value.includeFacets).toBe(false)
+    })
+
+    test('Should reject an unknown filter value', () => {
+      const { error } = listProjects.options.validate.query.validate({
+        mainRisk: 'volcanic_flooding'
+      })
+
+      expect(error.details[0].message).toBe('FILTER_VALUE_INVALID')
+    })
+
+    test('Should reject a financial year range that ends before it starts', () => {
+      const { error } = listProjects.options.validate.query.validate({
+        financialStartYearFrom: 2030,
+        financialStartYearTo: 2028
+      })
+
+      expect(error.details[0].message).toBe('FILTER_RANGE_INVALID')
+    })
+
+    test('Should reject an unknown sort field', () => {
+      const { error } = listProjects.options.validate.query.validate({
+        sortBy: 'rmaName'
+      })
+
+      expect(error.details[0].message).toBe('FILTER_SORT_INVALID')
+    })
   })
 
   describe('handler', () => {
@@ -585,6 +629,36 @@ describe('list-projects route', () => {
       expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
     })
 
+    test('Should pass column filters, sorting and facets to the query', async () => {
+      mockPrisma.pafs_core_projects.groupBy = vi.fn().mockResolvedValue([])
+      mockRequest.query = {
+        page: 1,
+        pageSize: 10,
+        projectType: ['DEF'],
+        isLegacy: false,
+        sortBy: 'name',
+        sortOrder: 'asc',
+        includeFacets: true
+      }
+
+      await listProjects.handler(mockRequest, mockH)
+
+      expect(mockPrisma.pafs_core_projects.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({
+            AND: [
+              { project_type: { in: ['DEF'] } },
+              { OR: [{ is_legacy: false }, { is_legacy: null }] }
+            ]
+          }),
+          orderBy: [{ name: { sort: 'asc', nulls: 'last' } }, { id: 'asc' }]
+        })
+      )
+      expect(mockH.response).toHaveBeenCalledWith(
+        expect.objectContaining({ facets: expect.any(Object) })
+      )
+    })
+
     test('Should record dbQueryDuration timer metric', async () => {
       await listProjects.handler(mockRequest, mockH)
 
@@ -0,0 +1,77 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectVersionService } from '../services/project-version-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_VALIDATION_MESSAGES } from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+
+const listVersions = {
+  method: 'GET',
+  path: '/api/v1/project/{referenceNumber}/versions',
+  options: {
+    auth: 'jwt',
+    description: 'List the submitted versions of a project',
+    notes:
+      'Returns the immutable snapshots taken each time the project was submitted, newest first. ' +
+      'Use the diff endpoint to compare two versions.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number')
+      }),
+      failAction: validationFailAction
+    },
+    handler: async (request, h) => {
+      const referenceNumber = request.params.referenceNumber.replaceAll(
+        '-',
+        '/'
+      )
+
+      try {
+        const projectService = new ProjectService(
+          request.prisma,
+          request.server.logger
+        )
+        const project =
+          await projectService.getProjectByReference(referenceNumber)
+
+        if (!project) {
+          return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+            {
+              errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+              message: `Project '${referenceNumber}' not found`
+            }
+          ])
+        }
+
+        const versionService = new ProjectVersionService(
+          request.prisma,
+          request.server.logger
+        )
+        const versions = await versionService.listVersions(project.id)
+
+        return buildSuccessResponse(h, {
+          success: true,
+          data: {
+            referenceNumber: project.reference_number,
+            versions
+          }
+        })
+      } catch (error) {
+        request.server.logger.error(
+          { error: error.message, referenceNumber },
+          'Failed to retrieve project versions'
+        )
+        return h
+          .response({ error: 'Failed to retrieve project versions' })
+          .code(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      }
+    }
+  }
+}
+
+export default listVersions
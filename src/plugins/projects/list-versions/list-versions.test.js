@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import listVersions from './list-versions.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectVersionService } from '../services/project-version-service.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../services/project-version-service.js')
+
+describe('list-versions route', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  const versions = [
+    {
+      version: 2,
+      state: 'submitted',
+      createdBy: 7,
+      createdByName: 'Jane Smith',
+      createdAt: new Date('2026-02-01T00:00:00Z')
+    }
+  ]
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      params: { referenceNumber: 'ANC501E-000A-001A' },
+      prisma: {},
+      auth: { credentials: { userId: 1 } },
+      server: { logger: mockLogger }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue({ id: 3n, reference_number: 'ANC501E/000A/001A' })
+    ProjectVersionService.prototype.listVersions = vi
+      .fn()
+      .mockResolvedValue(versions)
+  })
+
+  describe('route configuration', () => {
+    test('Should be a GET on the versions path', () => {
+      expect(listVersions.method).toBe('GET')
+      expect(listVersions.path).toBe(
+        '/api/v1/project/{referenceNumber}/versions'
+      )
+    })
+
+    test('Should use JWT authentication', () => {
+      expect(listVersions.options.auth).toBe('jwt')
+    })
+
+    test('Should have proper tags', () => {
+      expect(listVersions.options.tags).toEqual(['api', 'projects'])
+    })
+  })
+
+  describe('handler', () => {
+    test('Should return the project versions', async () => {
+      const result = await listVersions.options.handler(mockRequest, mockH)
+
+      expect(
+        ProjectService.prototype.getProjectByReference
+      ).toHaveBeenCalledWith('ANC501E/000A/001A')
+      expect(ProjectVersionService.prototype.listVersions).toHaveBeenCalledWith(
+        3n
+      )
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({
+        success: true,
+        data: { referenceNumber: 'ANC501E/000A/001A', versions }
+      })
+    })
+
+    test('Should return 404 when project not found', async () => {
+      ProjectService.prototype.getProjectByReference = vi
+        .fn()
+        .mockResolvedValue(null)
+
+      const result = await listVersions.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(result.data.errors[0].errorCode).toBe('PROJECT_NOT_FOUND')
+      expect(
+        ProjectVersionService.prototype.listVersions
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should return 500 when the lookup fails', async () => {
+      ProjectVersionService.prototype.listVersions = vi
+        .fn()
+        .mockRejectedValue(new Error('DB down'))
+
+      const result = await listVersions.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data).toEqual({
+        error: 'Failed to retrieve project versions'
+      })
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        { error: 'DB down', referenceNumber: 'ANC501E/000A/001A' },
+        'Failed to retrieve project versions'
+      )
+    })
+  })
+})
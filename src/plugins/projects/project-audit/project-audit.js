@@ -0,0 +1,102 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { AuditService } from '../../audit/services/audit-service.js'
+import { getProjectAuditQuerySchema } from '../../audit/schema.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { AUDIT_ERROR_CODES } from '../../../common/constants/audit.js'
+import { PROJECT_VALIDATION_MESSAGES } from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+
+const projectAudit = {
+  method: 'GET',
+  path: '/api/v1/project/{referenceNumber}/audit',
+  options: {
+    auth: 'jwt',
+    description: 'Get the audit trail of a project',
+    notes:
+      'Returns paginated field-level changes, newest first, to the project and its state, ' +
+      'funding values, funding contributors and NFM rows, with the name of the user who ' +
+      'made each change. Admins can set includeArchived=true to also read archived records from S3.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number')
+      }),
+      query: getProjectAuditQuerySchema,
+      failAction: validationFailAction
+    },
+    handler: async (request, h) => {
+      const referenceNumber = request.params.referenceNumber.replaceAll(
+        '-',
+        '/'
+      )
+      const { page, pageSize, includeArchived } = request.query
+
+      // Reading the archives downloads files holding every project's history
+      if (includeArchived && !request.auth.credentials.isAdmin) {
+        return buildErrorResponse(h, HTTP_STATUS.FORBIDDEN, [
+          {
+            errorCode: AUDIT_ERROR_CODES.UNAUTHORIZED,
+            message: 'Admin access required to read archived audit records'
+          }
+        ])
+      }
+
+      try {
+        const projectService = new ProjectService(
+          request.prisma,
+          request.server.logger
+        )
+        const project =
+          await projectService.getProjectByReference(referenceNumber)
+
+        if (!project) {
+          return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+            {
+              errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+              message: `Project '${referenceNumber}' not found`
+            }
+          ])
+        }
+
+        const auditService = new AuditService(
+          request.prisma,
+          request.server.logger
+        )
+        const result = await request.metrics.timer(
+          'dbQueryDuration',
+          () =>
+            auditService.getProjectAuditTrail(project.id, {
+              page,
+              pageSize,
+              includeArchived
+            }),
+          { operation: 'getProjectAudit' }
+        )
+
+        return buildSuccessResponse(h, {
+          success: true,
+          data: {
+            referenceNumber: project.reference_number,
+            records: result.data
+          },
+          pagination: result.pagination
+        })
+      } catch (error) {
+        request.server.logger.error(
+          { error: error.message, referenceNumber },
+          'Failed to retrieve project audit trail'
+        )
+        return h
+          .response({ error: 'Failed to retrieve project audit trail' })
+          .code(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      }
+    }
+  }
+}
+
+export default projectAudit
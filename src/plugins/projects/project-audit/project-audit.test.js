@@ -0,0 +1,167 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import projectAudit from './project-audit.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ProjectService } from '../services/project-service.js'
+import { AuditService } from '../../audit/services/audit-service.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../../audit/services/audit-service.js')
+
+describe('project-audit route', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  const auditResult = {
+    data: [
+      {
+        id: 10,
+        source: 'database',
+        model: 'pafs_core_projects',
+        entityId: '3',
+        action: 'UPDATE',
+        changedBy: '7',
+        changedByName: 'Jane Smith',
+        changedAt: new Date('2026-01-01T10:00:00Z'),
+        changes: [
+          { field: 'name', column: 'name', before: 'Old', after: 'New' }
+        ],
+        before: { name: 'Old' },
+        after: { name: 'New' }
+      }
+    ],
+    pagination: { page: 1, pageSize: 20, total: 1 }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      params: { referenceNumber: 'ANC501E-000A-001A' },
+      query: { page: 1, pageSize: 20, includeArchived: false },
+      prisma: {},
+      auth: { credentials: { userId: 1 } },
+      server: { logger: mockLogger },
+      metrics: { timer: vi.fn(async (_name, fn) => fn()) }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue({ id: 3n, reference_number: 'ANC501E/000A/001A' })
+    AuditService.prototype.getProjectAuditTrail = vi
+      .fn()
+      .mockResolvedValue(auditResult)
+  })
+
+  describe('route configuration', () => {
+    test('Should be a GET on the audit path', () => {
+      expect(projectAudit.method).toBe('GET')
+      expect(projectAudit.path).toBe('/api/v1/project/{referenceNumber}/audit')
+    })
+
+    test('Should use JWT authentication', () => {
+      expect(projectAudit.options.auth).toBe('jwt')
+    })
+
+    test('Should default includeArchived to false', () => {
+      const { value } = projectAudit.options.validate.query.validate({})
+      expect(value.includeArchived).toBe(false)
+      expect(value.page).toBe(1)
+    })
+  })
+
+  describe('handler', () => {
+    test('Should return the paginated audit trail', async () => {
+      const result = await projectAudit.options.handler(mockRequest, mockH)
+
+      expect(
+        ProjectService.prototype.getProjectByReference
+      ).toHaveBeenCalledWith('ANC501E/000A/001A')
+      expect(AuditService.prototype.getProjectAuditTrail).toHaveBeenCalledWith(
+        3n,
+        {
+          page: 1,
+          pageSize: 20,
+          includeArchived: false
+        }
+      )
+      expect(mockRequest.metrics.timer).toHaveBeenCalledWith(
+        'dbQueryDuration',
+        expect.any(Function),
+        { operation: 'getProjectAudit' }
+      )
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({
+        success: true,
+        data: {
+          referenceNumber: 'ANC501E/000A/001A',
+          records: auditResult.data
+        },
+        pagination: auditResult.pagination
+      })
+    })
+
+    test('Should pass includeArchived through to the service for an admin', async () => {
+      mockRequest.query.includeArchived = true
+      mockRequest.auth.credentials.isAdmin = true
+
+      await projectAudit.options.handler(mockRequest, mockH)
+
+      expect(AuditService.prototype.getProjectAuditTrail).toHaveBeenCalledWith(
+        3n,
+        expect.objectContaining({ includeArchived: true })
+      )
+    })
+
+    test('Should return 403 when a non-admin asks for archived records', async () => {
+      mockRequest.query.includeArchived = true
+
+      const result = await projectAudit.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+      expect(result.data.errors[0].errorCode).toBe('AUDIT_UNAUTHORIZED')
+      expect(
+        ProjectService.prototype.getProjectByReference
+      ).not.toHaveBeenCalled()
+      expect(AuditService.prototype.getProjectAuditTrail).not.toHaveBeenCalled()
+    })
+
+    test('Should return 404 when the project does not exist', async () => {
+      ProjectService.prototype.getProjectByReference = vi
+        .fn()
+        .mockResolvedValue(null)
+
+      const result = await projectAudit.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(result.data.errors[0].errorCode).toBe('PROJECT_NOT_FOUND')
+      expect(AuditService.prototype.getProjectAuditTrail).not.toHaveBeenCalled()
+    })
+
+    test('Should return 500 when the audit lookup fails', async () => {
+      AuditService.prototype.getProjectAuditTrail = vi
+        .fn()
+        .mockRejectedValue(new Error('S3 unavailable'))
+
+      const result = await projectAudit.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data).toEqual({
+        error: 'Failed to retrieve project audit trail'
+      })
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        { error: 'S3 unavailable', referenceNumber: 'ANC501E/000A/001A' },
+        'Failed to retrieve project audit trail'
+      )
+    })
+  })
+})
@@ -0,0 +1,120 @@
+import Joi from 'joi'
+import { ProjectCommentService } from '../services/project-comment-service.js'
+import { VALIDATION_LEVELS } from '../helpers/project-level.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_COMMENT_SECTIONS,
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+import { withCommentableProject } from '../helpers/project-comment-helper.js'
+
+export const COMMENT_BODY_MAX_LENGTH = 5000
+
+// Replies belong to their thread, so only new threads take an anchor
+const anchorSchema = (schema) =>
+  Joi.when('parentId', {
+    is: Joi.exist(),
+    then: Joi.forbidden(),
+    otherwise: schema.allow(null).optional()
+  }).messages({
+    'any.only': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+    'any.unknown': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
+  })
+
+const addComment = {
+  method: 'POST',
+  path: '/api/v1/project/{referenceNumber}/comments',
+  options: {
+    auth: 'jwt',
+    description: 'Add a comment to a project',
+    notes:
+      'Starts a new comment thread, optionally anchored to a proposal section ' +
+      'and/or validation level, or replies to an existing thread via parentId.',
+    tags: ['api', 'projects', 'comments'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number')
+      }),
+      payload: Joi.object({
+        body: Joi.string()
+          .trim()
+          .min(1)
+          .max(COMMENT_BODY_MAX_LENGTH)
+          .required()
+          .label('Body')
+          .messages({
+            'string.empty': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+            'string.max': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+            'any.required': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
+          }),
+        parentId: Joi.number()
+          .integer()
+          .positive()
+          .optional()
+          .label('Parent ID')
+          .messages({
+            'number.base': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+            'number.integer': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+            'number.positive': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
+          }),
+        section: anchorSchema(
+          Joi.string().valid(...Object.values(PROJECT_COMMENT_SECTIONS))
+        ).label('Section'),
+        validationLevel: anchorSchema(
+          Joi.string().valid(...Object.keys(VALIDATION_LEVELS))
+        ).label('Validation Level')
+      }),
+      failAction: validationFailAction
+    },
+    handler: async (request, h) =>
+      withCommentableProject(
+        request,
+        h,
+        async (project) => {
+          const { body, parentId, section, validationLevel } = request.payload
+          const commentService = new ProjectCommentService(
+            request.prisma,
+            request.server.logger
+          )
+
+          let parent = null
+          if (parentId) {
+            parent = await commentService.getComment(project.id, parentId)
+            if (!parent) {
+              return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+                {
+                  errorCode: PROJECT_VALIDATION_MESSAGES.COMMENT_NOT_FOUND,
+                  message: `Comment ${parentId} not found on this project`
+                }
+              ])
+            }
+          }
+
+          const comment = await commentService.addComment({
+            projectId: project.id,
+            userId: request.auth.credentials.userId,
+            body,
+            parent,
+            section: section ?? null,
+            validationLevel: validationLevel ?? null
+          })
+
+          return buildSuccessResponse(
+            h,
+            { success: true, data: comment },
+            HTTP_STATUS.CREATED
+          )
+        },
+        PROJECT_ERROR_CODES.COMMENT_SAVE_FAILED,
+        'Failed to add project comment'
+      )
+  }
+}
+
+export default addComment
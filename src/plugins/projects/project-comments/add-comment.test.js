@@ -0,0 +1,146 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import addComment, { COMMENT_BODY_MAX_LENGTH } from './add-comment.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { ProjectCommentService } from '../services/project-comment-service.js'
+import { withCommentableProject } from '../helpers/project-comment-helper.js'
+
+vi.mock('../services/project-comment-service.js')
+vi.mock('../helpers/project-comment-helper.js')
+
+describe('add-comment route', () => {
+  let mockRequest
+  let mockH
+  const project = { id: 7n, reference_number: 'AC/2021/00001/000' }
+  const schema = addComment.options.validate.payload
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    withCommentableProject.mockImplementation((request, h, operation) =>
+      operation(project, request, h)
+    )
+    ProjectCommentService.prototype.getComment = vi.fn()
+    ProjectCommentService.prototype.addComment = vi
+      .fn()
+      .mockResolvedValue({ id: 5, body: 'Looks good' })
+
+    mockRequest = {
+      params: { referenceNumber: 'AC-2021-00001-000' },
+      payload: { body: 'Looks good' },
+      prisma: {},
+      auth: { credentials: { userId: 3 } },
+      server: { logger: { info: vi.fn(), error: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+  })
+
+  describe('payload validation', () => {
+    test('Should accept a thread anchored to a section and validation level', () => {
+      const { error } = schema.validate({
+        body: 'Check the contributions',
+        section: 'funding-sources',
+        validationLevel: 'FUNDING_SOURCES_SELECTED'
+      })
+      expect(error).toBeUndefined()
+    })
+
+    test('Should reject unknown anchors', () => {
+      expect(
+        schema.validate({ body: 'x', section: 'budget' }).error.message
+      ).toBe(PROJECT_VALIDATION_MESSAGES.INVALID_DATA)
+      expect(
+        schema.validate({ body: 'x', validationLevel: 'NOT_A_LEVEL' }).error
+          .message
+      ).toBe(PROJECT_VALIDATION_MESSAGES.INVALID_DATA)
+    })
+
+    test('Should reject anchors on replies', () => {
+      const { error } = schema.validate({
+        body: 'x',
+        parentId: 1,
+        section: 'nfm'
+      })
+      expect(error.message).toBe(PROJECT_VALIDATION_MESSAGES.INVALID_DATA)
+    })
+
+    test('Should reject empty and oversized bodies', () => {
+      expect(schema.validate({ body: '   ' }).error).toBeDefined()
+      expect(
+        schema.validate({ body: 'a'.repeat(COMMENT_BODY_MAX_LENGTH + 1) }).error
+      ).toBeDefined()
+    })
+  })
+
+  test('Should be a POST on the project comments path', () => {
+    expect(addComment.method).toBe('POST')
+    expect(addComment.path).toBe('/api/v1/project/{referenceNumber}/comments')
+  })
+
+  test('Should start a new thread and return 201', async () => {
+    mockRequest.payload.section = 'funding-sources'
+
+    const result = await addComment.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.CREATED)
+    expect(result.data).toEqual({
+      success: true,
+      data: { id: 5, body: 'Looks good' }
+    })
+    expect(ProjectCommentService.prototype.addComment).toHaveBeenCalledWith({
+      projectId: 7n,
+      userId: 3,
+      body: 'Looks good',
+      parent: null,
+      section: 'funding-sources',
+      validationLevel: null
+    })
+    expect(ProjectCommentService.prototype.getComment).not.toHaveBeenCalled()
+    expect(withCommentableProject).toHaveBeenCalledWith(
+      mockRequest,
+      mockH,
+      expect.any(Function),
+      PROJECT_ERROR_CODES.COMMENT_SAVE_FAILED,
+      'Failed to add project comment'
+    )
+  })
+
+  test('Should reply to a comment on the same project', async () => {
+    const parent = { id: 2n, parent_id: null }
+    ProjectCommentService.prototype.getComment.mockResolvedValue(parent)
+    mockRequest.payload.parentId = 2
+
+    const result = await addComment.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.CREATED)
+    expect(ProjectCommentService.prototype.getComment).toHaveBeenCalledWith(
+      7n,
+      2
+    )
+    expect(ProjectCommentService.prototype.addComment).toHaveBeenCalledWith(
+      expect.objectContaining({ parent })
+    )
+  })
+
+  test('Should return 404 when the parent comment is not on the project', async () => {
+    ProjectCommentService.prototype.getComment.mockResolvedValue(null)
+    mockRequest.payload.parentId = 99
+
+    const result = await addComment.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.COMMENT_NOT_FOUND
+    )
+    expect(ProjectCommentService.prototype.addComment).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,59 @@
+import Joi from 'joi'
+import { ProjectCommentService } from '../services/project-comment-service.js'
+import { PROJECT_ERROR_CODES } from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { withCommentableProject } from '../helpers/project-comment-helper.js'
+
+const listComments = {
+  method: 'GET',
+  path: '/api/v1/project/{referenceNumber}/comments',
+  options: {
+    auth: 'jwt',
+    description: 'List comment threads on a project',
+    notes:
+      'Returns the comment threads on a project, oldest first, each with its ' +
+      'replies. Pass resolved=true|false to only return resolved or open threads.',
+    tags: ['api', 'projects', 'comments'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number')
+      }),
+      query: Joi.object({
+        resolved: Joi.boolean().optional().label('Resolved')
+      }),
+      failAction: validationFailAction
+    },
+    handler: async (request, h) =>
+      withCommentableProject(
+        request,
+        h,
+        async (project) => {
+          const commentService = new ProjectCommentService(
+            request.prisma,
+            request.server.logger
+          )
+          const threads = await request.metrics.timer(
+            'dbQueryDuration',
+            () =>
+              commentService.listThreads(project.id, {
+                resolved: request.query.resolved
+              }),
+            { operation: 'listProjectComments' }
+          )
+
+          return buildSuccessResponse(h, {
+            success: true,
+            data: {
+              referenceNumber: project.reference_number,
+              threads
+            }
+          })
+        },
+        PROJECT_ERROR_CODES.COMMENTS_RETRIEVAL_FAILED,
+        'Failed to retrieve project comments'
+      )
+  }
+}
+
+export default listComments
@@ -0,0 +1,83 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import listComments from './list-comments.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_ERROR_CODES } from '../../../common/constants/project.js'
+import { ProjectCommentService } from '../services/project-comment-service.js'
+import { withCommentableProject } from '../helpers/project-comment-helper.js'
+
+vi.mock('../services/project-comment-service.js')
+vi.mock('../helpers/project-comment-helper.js')
+
+describe('list-comments route', () => {
+  let mockRequest
+  let mockH
+  const project = { id: 7n, reference_number: 'AC/2021/00001/000' }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    withCommentableProject.mockImplementation((request, h, operation) =>
+      operation(project, request, h)
+    )
+    ProjectCommentService.prototype.listThreads = vi
+      .fn()
+      .mockResolvedValue([{ id: 1, replies: [] }])
+
+    mockRequest = {
+      params: { referenceNumber: 'AC-2021-00001-000' },
+      query: {},
+      prisma: {},
+      auth: { credentials: { userId: 3 } },
+      server: { logger: { info: vi.fn(), error: vi.fn() } },
+      metrics: { timer: vi.fn(async (_name, fn) => fn()) }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+  })
+
+  test('Should be a GET on the project comments path', () => {
+    expect(listComments.method).toBe('GET')
+    expect(listComments.path).toBe('/api/v1/project/{referenceNumber}/comments')
+    expect(listComments.options.auth).toBe('jwt')
+  })
+
+  test('Should validate the resolved filter as a boolean', () => {
+    const schema = listComments.options.validate.query
+
+    expect(schema.validate({ resolved: 'true' }).value).toEqual({
+      resolved: true
+    })
+    expect(schema.validate({ resolved: 'maybe' }).error).toBeDefined()
+  })
+
+  test('Should return the project threads', async () => {
+    mockRequest.query.resolved = false
+
+    const result = await listComments.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data).toEqual({
+      success: true,
+      data: {
+        referenceNumber: 'AC/2021/00001/000',
+        threads: [{ id: 1, replies: [] }]
+      }
+    })
+    expect(ProjectCommentService.prototype.listThreads).toHaveBeenCalledWith(
+      7n,
+      { resolved: false }
+    )
+    expect(withCommentableProject).toHaveBeenCalledWith(
+      mockRequest,
+      mockH,
+      expect.any(Function),
+      PROJECT_ERROR_CODES.COMMENTS_RETRIEVAL_FAILED,
+      'Failed to retrieve project comments'
+    )
+  })
+})
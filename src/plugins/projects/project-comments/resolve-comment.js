@@ -0,0 +1,86 @@
+import Joi from 'joi'
+import { ProjectCommentService } from '../services/project-comment-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+import { withCommentableProject } from '../helpers/project-comment-helper.js'
+
+const resolveComment = {
+  method: 'PATCH',
+  path: '/api/v1/project/{referenceNumber}/comments/{commentId}',
+  options: {
+    auth: 'jwt',
+    description: 'Resolve or reopen a comment thread',
+    notes:
+      'Sets the resolved state of a comment thread. Only top-level comments ' +
+      'carry a resolved state; replies follow their thread.',
+    tags: ['api', 'projects', 'comments'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number'),
+        commentId: Joi.number()
+          .integer()
+          .positive()
+          .required()
+          .label('Comment ID')
+      }),
+      payload: Joi.object({
+        resolved: Joi.boolean().required().label('Resolved').messages({
+          'boolean.base': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+          'any.required': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
+        })
+      }),
+      failAction: validationFailAction
+    },
+    handler: async (request, h) =>
+      withCommentableProject(
+        request,
+        h,
+        async (project) => {
+          const { commentId } = request.params
+          const commentService = new ProjectCommentService(
+            request.prisma,
+            request.server.logger
+          )
+
+          const comment = await commentService.getComment(project.id, commentId)
+          if (!comment) {
+            return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+              {
+                errorCode: PROJECT_VALIDATION_MESSAGES.COMMENT_NOT_FOUND,
+                message: `Comment ${commentId} not found on this project`
+              }
+            ])
+          }
+
+          if (comment.parent_id != null) {
+            return buildErrorResponse(h, HTTP_STATUS.UNPROCESSABLE_ENTITY, [
+              {
+                errorCode: PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
+                message: 'Only top-level comments can be resolved'
+              }
+            ])
+          }
+
+          const updated = await commentService.setResolved({
+            comment,
+            resolved: request.payload.resolved,
+            userId: request.auth.credentials.userId
+          })
+
+          return buildSuccessResponse(h, { success: true, data: updated })
+        },
+        PROJECT_ERROR_CODES.COMMENT_SAVE_FAILED,
+        'Failed to update project comment'
+      )
+  }
+}
+
+export default resolveComment
@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import resolveComment from './resolve-comment.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { ProjectCommentService } from '../services/project-comment-service.js'
+import { withCommentableProject } from '../helpers/project-comment-helper.js'
+
+vi.mock('../services/project-comment-service.js')
+vi.mock('../helpers/project-comment-helper.js')
+
+describe('resolve-comment route', () => {
+  let mockRequest
+  let mockH
+  const project = { id: 7n, reference_number: 'AC/2021/00001/000' }
+  const thread = { id: 2n, parent_id: null }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    withCommentableProject.mockImplementation((request, h, operation) =>
+      operation(project, request, h)
+    )
+    ProjectCommentService.prototype.getComment = vi
+      .fn()
+      .mockResolvedValue(thread)
+    ProjectCommentService.prototype.setResolved = vi
+      .fn()
+      .mockResolvedValue({ id: 2, resolved: true })
+
+    mockRequest = {
+      params: { referenceNumber: 'AC-2021-00001-000', commentId: 2 },
+      payload: { resolved: true },
+      prisma: {},
+      auth: { credentials: { userId: 3 } },
+      server: { logger: { info: vi.fn(), error: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+  })
+
+  test('Should be a PATCH on a single comment', () => {
+    expect(resolveComment.method).toBe('PATCH')
+    expect(resolveComment.path).toBe(
+      '/api/v1/project/{referenceNumber}/comments/{commentId}'
+    )
+  })
+
+  test('Should require the resolved flag', () => {
+    const { error } = resolveComment.options.validate.payload.validate({})
+    expect(error.message).toBe(PROJECT_VALIDATION_MESSAGES.INVALID_DATA)
+  })
+
+  test('Should resolve the thread', async () => {
+    const result = await resolveComment.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data).toEqual({
+      success: true,
+      data: { id: 2, resolved: true }
+    })
+    expect(ProjectCommentService.prototype.setResolved).toHaveBeenCalledWith({
+      comment: thread,
+      resolved: true,
+      userId: 3
+    })
+    expect(withCommentableProject).toHaveBeenCalledWith(
+      mockRequest,
+      mockH,
+      expect.any(Function),
+      PROJECT_ERROR_CODES.COMMENT_SAVE_FAILED,
+      'Failed to update project comment'
+    )
+  })
+
+  test('Should return 404 when the comment is not on the project', async () => {
+    ProjectCommentService.prototype.getComment.mockResolvedValue(null)
+
+    const result = await resolveComment.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.COMMENT_NOT_FOUND
+    )
+  })
+
+  test('Should return 422 for replies', async () => {
+    ProjectCommentService.prototype.getComment.mockResolvedValue({
+      id: 3n,
+      parent_id: 2n
+    })
+
+    const result = await resolveComment.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.UNPROCESSABLE_ENTITY)
+    expect(ProjectCommentService.prototype.setResolved).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,104 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildErrorResponse } from '../../../common/helpers/response-builder.js'
+import { validateDownloadPermissions } from '../helpers/project-download-permissions.js'
+import { buildModerationDocument } from '../helpers/moderation-document.js'
+
+const TEXT_CONTENT_TYPE = 'text/plain; charset=utf-8'
+
+const handler = async (request, h) => {
+  const referenceNumber = request.params.referenceNumber.replaceAll('-', '/')
+  const { logger } = request.server
+
+  try {
+    const projectService = new ProjectService(request.prisma, logger)
+    const project = await request.metrics.timer(
+      'dbQueryDuration',
+      () =>
+        projectService.getProjectByReferenceNumber(referenceNumber, {
+          skipUrlEnrichment: true
+        }),
+      { operation: 'getProjectModeration' }
+    )
+
+    if (!project) {
+      return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+          message: `Project '${referenceNumber}' not found`
+        }
+      ])
+    }
+
+    const permissionError = await validateDownloadPermissions(
+      request.auth.credentials,
+      project.areaId,
+      request.prisma,
+      h,
+      logger,
+      referenceNumber
+    )
+    if (permissionError) {
+      return permissionError
+    }
+
+    // The enricher only names a moderation file for urgent projects
+    if (!project.moderationFilename) {
+      return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+        {
+          errorCode: PROJECT_ERROR_CODES.MODERATION_NOT_REQUIRED,
+          message: `Project '${referenceNumber}' is not urgent`
+        }
+      ])
+    }
+
+    return h
+      .response(buildModerationDocument(project))
+      .code(HTTP_STATUS.OK)
+      .header('Content-Type', TEXT_CONTENT_TYPE)
+      .header(
+        'Content-Disposition',
+        `attachment; filename="${project.moderationFilename}"`
+      )
+  } catch (error) {
+    logger.error(
+      { error: error.message, referenceNumber },
+      'Failed to generate moderation document'
+    )
+    return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+      {
+        errorCode: PROJECT_ERROR_CODES.MODERATION_FAILED,
+        message: 'Failed to generate moderation document'
+      }
+    ])
+  }
+}
+
+const projectModeration = {
+  method: 'GET',
+  path: '/api/v1/project/{referenceNumber}/moderation',
+  options: {
+    auth: 'jwt',
+    description: 'Download the moderation document for an urgent project',
+    notes:
+      'Renders the urgency reason and details, area hierarchy, key dates and ' +
+      'timestamps as a text file named after the urgency code, e.g. ' +
+      'SLUG_moderation_BS.txt. Returns 404 for projects that are not urgent.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number')
+      }),
+      failAction: validationFailAction
+    },
+    handler
+  }
+}
+
+export default projectModeration
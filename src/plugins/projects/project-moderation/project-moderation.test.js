@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import projectModeration from './project-moderation.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { ProjectService } from '../services/project-service.js'
+import { validateDownloadPermissions } from '../helpers/project-download-permissions.js'
+import { buildModerationDocument } from '../helpers/moderation-document.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../helpers/project-download-permissions.js')
+vi.mock('../helpers/moderation-document.js')
+
+describe('project-moderation route', () => {
+  let mockRequest
+  let mockH
+  let mockResponse
+
+  const project = {
+    referenceNumber: 'ANC501E/000A/001A',
+    areaId: 3,
+    urgencyReason: 'statutory_need',
+    moderationFilename: 'ANC501E-000A-001A_moderation_BS.txt'
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { referenceNumber: 'ANC501E-000A-001A' },
+      auth: { credentials: { userId: 7, isRma: true, areas: [{ areaId: 3 }] } },
+      prisma: {},
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } },
+      metrics: { timer: vi.fn(async (_name, fn) => fn()) }
+    }
+
+    mockResponse = {
+      code: vi.fn().mockReturnThis(),
+      header: vi.fn().mockReturnThis()
+    }
+    mockH = {
+      response: vi.fn((data) => {
+        mockResponse.data = data
+        return mockResponse
+      })
+    }
+
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockResolvedValue(project)
+    validateDownloadPermissions.mockResolvedValue(null)
+    buildModerationDocument.mockReturnValue('Moderation for urgent project\n')
+  })
+
+  test('Should be a GET on the moderation path', () => {
+    expect(projectModeration.method).toBe('GET')
+    expect(projectModeration.path).toBe(
+      '/api/v1/project/{referenceNumber}/moderation'
+    )
+    expect(projectModeration.options.auth).toBe('jwt')
+  })
+
+  test('Should return the moderation document as a text file', async () => {
+    const result = await projectModeration.options.handler(mockRequest, mockH)
+
+    expect(
+      ProjectService.prototype.getProjectByReferenceNumber
+    ).toHaveBeenCalledWith('ANC501E/000A/001A', { skipUrlEnrichment: true })
+    expect(validateDownloadPermissions).toHaveBeenCalledWith(
+      mockRequest.auth.credentials,
+      3,
+      mockRequest.prisma,
+      mockH,
+      mockRequest.server.logger,
+      'ANC501E/000A/001A'
+    )
+    expect(buildModerationDocument).toHaveBeenCalledWith(project)
+    expect(result.data).toBe('Moderation for urgent project\n')
+    expect(mockResponse.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    expect(mockResponse.header).toHaveBeenCalledWith(
+      'Content-Type',
+      'text/plain; charset=utf-8'
+    )
+    expect(mockResponse.header).toHaveBeenCalledWith(
+      'Content-Disposition',
+      'attachment; filename="ANC501E-000A-001A_moderation_BS.txt"'
+    )
+  })
+
+  test('Should return 404 when the project does not exist', async () => {
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockResolvedValue(null)
+
+    await projectModeration.options.handler(mockRequest, mockH)
+
+    expect(mockResponse.code).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND)
+    expect(mockResponse.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND
+    )
+    expect(buildModerationDocument).not.toHaveBeenCalled()
+  })
+
+  test('Should return 404 when the project is not urgent', async () => {
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockResolvedValue({
+        ...project,
+        urgencyReason: 'not_urgent',
+        moderationFilename: null
+      })
+
+    await projectModeration.options.handler(mockRequest, mockH)
+
+    expect(mockResponse.code).toHaveBeenCalledWith(HTTP_STATUS.NOT_FOUND)
+    expect(mockResponse.data.errors[0].errorCode).toBe(
+      PROJECT_ERROR_CODES.MODERATION_NOT_REQUIRED
+    )
+    expect(buildModerationDocument).not.toHaveBeenCalled()
+  })
+
+  test('Should return the permission error when the user lacks access', async () => {
+    const forbidden = { statusCode: HTTP_STATUS.FORBIDDEN }
+    validateDownloadPermissions.mockResolvedValue(forbidden)
+
+    const result = await projectModeration.options.handler(mockRequest, mockH)
+
+    expect(result).toBe(forbidden)
+    expect(buildModerationDocument).not.toHaveBeenCalled()
+  })
+
+  test('Should return 500 when loading the project fails', async () => {
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockRejectedValue(new Error('Database error'))
+
+    await projectModeration.options.handler(mockRequest, mockH)
+
+    expect(mockResponse.code).toHaveBeenCalledWith(
+      HTTP_STATUS.INTERNAL_SERVER_ERROR
+    )
+    expect(mockResponse.data.errors[0].errorCode).toBe(
+      PROJECT_ERROR_CODES.MODERATION_FAILED
+    )
+    expect(mockRequest.server.logger.error).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,82 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectOutcomesService } from '../services/project-outcomes-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+
+const paramsSchema = Joi.object({
+  referenceNumber: Joi.string().required().label('Reference Number')
+})
+
+const notFound = (h, referenceNumber) =>
+  buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+    {
+      errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+      message: `Project '${referenceNumber}' not found`
+    }
+  ])
+
+const getProjectOutcomes = {
+  method: 'GET',
+  path: '/api/v1/project/{referenceNumber}/outcomes',
+  options: {
+    auth: 'jwt',
+    description: 'Get outcome measures per financial year for a project',
+    notes:
+      'Returns the OM2 flood protection, OM2 2040 and OM3 coastal erosion ' +
+      'protection outcome rows, one per financial year, ordered by year.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: paramsSchema,
+      failAction: validationFailAction
+    },
+    handler: async (request, h) => {
+      const referenceNumber = request.params.referenceNumber.replaceAll(
+        '-',
+        '/'
+      )
+      const { logger } = request.server
+
+      try {
+        const projectService = new ProjectService(request.prisma, logger)
+        const project =
+          await projectService.getProjectByReference(referenceNumber)
+        if (!project) {
+          return notFound(h, referenceNumber)
+        }
+
+        const outcomesService = new ProjectOutcomesService(
+          request.prisma,
+          logger
+        )
+        const outcomes = await outcomesService.getOutcomes(project.id)
+
+        return buildSuccessResponse(h, {
+          success: true,
+          data: { referenceNumber, ...outcomes }
+        })
+      } catch (error) {
+        logger.error(
+          { err: error, referenceNumber },
+          'Failed to retrieve project outcomes'
+        )
+        return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+          {
+            errorCode: PROJECT_ERROR_CODES.OUTCOMES_RETRIEVAL_FAILED,
+            message: 'Failed to retrieve project outcomes'
+          }
+        ])
+      }
+    }
+  }
+}
+
+export default getProjectOutcomes
@@ -0,0 +1,100 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import getProjectOutcomes from './get-project-outcomes.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectOutcomesService } from '../services/project-outcomes-service.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../services/project-outcomes-service.js')
+
+describe('get-project-outcomes route', () => {
+  let mockRequest
+  let mockH
+
+  const outcomes = {
+    floodProtectionOutcomes: [
+      { financialYear: 2025, householdsAtReducedRisk: 10 }
+    ],
+    floodProtection2040Outcomes: [],
+    coastalErosionProtectionOutcomes: []
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { referenceNumber: 'ANC501E-000A-001A' },
+      auth: { credentials: { userId: 7 } },
+      prisma: {},
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue({ id: 10n })
+    ProjectOutcomesService.prototype.getOutcomes = vi
+      .fn()
+      .mockResolvedValue(outcomes)
+  })
+
+  test('Should be a GET on the outcomes path', () => {
+    expect(getProjectOutcomes.method).toBe('GET')
+    expect(getProjectOutcomes.path).toBe(
+      '/api/v1/project/{referenceNumber}/outcomes'
+    )
+    expect(getProjectOutcomes.options.auth).toBe('jwt')
+  })
+
+  test('Should return the outcome rows for the project', async () => {
+    const result = await getProjectOutcomes.options.handler(mockRequest, mockH)
+
+    expect(ProjectService.prototype.getProjectByReference).toHaveBeenCalledWith(
+      'ANC501E/000A/001A'
+    )
+    expect(ProjectOutcomesService.prototype.getOutcomes).toHaveBeenCalledWith(
+      10n
+    )
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data).toEqual({
+      success: true,
+      data: { referenceNumber: 'ANC501E/000A/001A', ...outcomes }
+    })
+  })
+
+  test('Should return 404 when the project does not exist', async () => {
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue(null)
+
+    const result = await getProjectOutcomes.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND
+    )
+  })
+
+  test('Should return 500 when loading fails', async () => {
+    ProjectOutcomesService.prototype.getOutcomes = vi
+      .fn()
+      .mockRejectedValue(new Error('Database error'))
+
+    const result = await getProjectOutcomes.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_ERROR_CODES.OUTCOMES_RETRIEVAL_FAILED
+    )
+  })
+})
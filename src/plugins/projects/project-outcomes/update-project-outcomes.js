@@ -0,0 +1,113 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectOutcomesService } from '../services/project-outcomes-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { projectOutcomesSchema } from '../../../common/schemas/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+import { canUpdateProject } from '../helpers/project-permissions.js'
+
+const paramsSchema = Joi.object({
+  referenceNumber: Joi.string().required().label('Reference Number')
+})
+
+const notFound = (h, referenceNumber) =>
+  buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+    {
+      errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+      message: `Project '${referenceNumber}' not found`
+    }
+  ])
+
+const updateProjectOutcomes = {
+  method: 'PUT',
+  path: '/api/v1/project/{referenceNumber}/outcomes',
+  options: {
+    auth: 'jwt',
+    description: 'Replace outcome measures per financial year for a project',
+    notes:
+      'Each outcome type sent replaces every stored row of that type; send an ' +
+      'empty array to clear it. Types that are not sent are left unchanged. ' +
+      'Years outside the project financial year range are accepted here but ' +
+      'block submission. Only users who can update the project may save.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: paramsSchema,
+      payload: projectOutcomesSchema,
+      failAction: validationFailAction
+    },
+    handler: async (request, h) => {
+      const referenceNumber = request.params.referenceNumber.replaceAll(
+        '-',
+        '/'
+      )
+      const { credentials } = request.auth
+      const { logger } = request.server
+
+      try {
+        const projectService = new ProjectService(request.prisma, logger)
+        const project = await projectService.getProjectByReferenceNumber(
+          referenceNumber,
+          { skipUrlEnrichment: true }
+        )
+        if (!project) {
+          return notFound(h, referenceNumber)
+        }
+
+        const updateCheck = canUpdateProject(credentials, {
+          id: project.areaId,
+          PSO: project.psoAreaId == null ? null : { id: project.psoAreaId }
+        })
+        if (!updateCheck.allowed) {
+          return buildErrorResponse(h, HTTP_STATUS.FORBIDDEN, [
+            {
+              errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_UPDATE,
+              message: updateCheck.reason
+            }
+          ])
+        }
+
+        const outcomesService = new ProjectOutcomesService(
+          request.prisma,
+          logger
+        )
+        await outcomesService.replaceOutcomes(project.id, request.payload)
+        const outcomes = await outcomesService.getOutcomes(project.id)
+
+        request.metrics.counter('proposalOperation', 1, {
+          operation: 'outcomes',
+          outcome: 'success'
+        })
+
+        return buildSuccessResponse(h, {
+          success: true,
+          data: { referenceNumber, ...outcomes }
+        })
+      } catch (error) {
+        logger.error(
+          { err: error, referenceNumber },
+          'Failed to save project outcomes'
+        )
+        request.metrics.counter('proposalOperation', 1, {
+          operation: 'outcomes',
+          outcome: 'error'
+        })
+        return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+          {
+            errorCode: PROJECT_ERROR_CODES.OUTCOMES_SAVE_FAILED,
+            message: 'Failed to save project outcomes'
+          }
+        ])
+      }
+    }
+  }
+}
+
+export default updateProjectOutcomes
@@ -0,0 +1,174 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import updateProjectOutcomes from './update-project-outcomes.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectOutcomesService } from '../services/project-outcomes-service.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../services/project-outcomes-service.js')
+
+describe('update-project-outcomes route', () => {
+  let mockRequest
+  let mockH
+
+  const payload = {
+    floodProtectionOutcomes: [
+      { financialYear: 2025, householdsAtReducedRisk: 10 }
+    ]
+  }
+  const outcomes = {
+    ...payload,
+    floodProtection2040Outcomes: [],
+    coastalErosionProtectionOutcomes: []
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { referenceNumber: 'ANC501E-000A-001A' },
+      payload,
+      auth: {
+        credentials: { userId: 7, isRma: true, areas: [{ areaId: 3 }] }
+      },
+      prisma: {},
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } },
+      metrics: { counter: vi.fn() }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockResolvedValue({ id: '10', areaId: 3, psoAreaId: 2 })
+    ProjectOutcomesService.prototype.replaceOutcomes = vi
+      .fn()
+      .mockResolvedValue(['floodProtectionOutcomes'])
+    ProjectOutcomesService.prototype.getOutcomes = vi
+      .fn()
+      .mockResolvedValue(outcomes)
+  })
+
+  describe('route configuration', () => {
+    test('Should be a PUT on the outcomes path', () => {
+      expect(updateProjectOutcomes.method).toBe('PUT')
+      expect(updateProjectOutcomes.path).toBe(
+        '/api/v1/project/{referenceNumber}/outcomes'
+      )
+      expect(updateProjectOutcomes.options.auth).toBe('jwt')
+    })
+
+    test('Should require at least one outcome type', () => {
+      const { error } = updateProjectOutcomes.options.validate.payload.validate(
+        {}
+      )
+      expect(error.details[0].message).toBe(
+        PROJECT_VALIDATION_MESSAGES.OUTCOMES_REQUIRED
+      )
+    })
+  })
+
+  describe('handler', () => {
+    test('Should replace the outcomes and return the stored rows', async () => {
+      const result = await updateProjectOutcomes.options.handler(
+        mockRequest,
+        mockH
+      )
+
+      expect(
+        ProjectService.prototype.getProjectByReferenceNumber
+      ).toHaveBeenCalledWith('ANC501E/000A/001A', { skipUrlEnrichment: true })
+      expect(
+        ProjectOutcomesService.prototype.replaceOutcomes
+      ).toHaveBeenCalledWith('10', payload)
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({
+        success: true,
+        data: { referenceNumber: 'ANC501E/000A/001A', ...outcomes }
+      })
+      expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+        'proposalOperation',
+        1,
+        { operation: 'outcomes', outcome: 'success' }
+      )
+    })
+
+    test('Should allow users with access to the parent PSO area', async () => {
+      mockRequest.auth.credentials = {
+        userId: 8,
+        isPso: true,
+        areas: [{ areaId: 2 }]
+      }
+
+      const result = await updateProjectOutcomes.options.handler(
+        mockRequest,
+        mockH
+      )
+
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    })
+
+    test('Should return 404 when the project does not exist', async () => {
+      ProjectService.prototype.getProjectByReferenceNumber = vi
+        .fn()
+        .mockResolvedValue(null)
+
+      const result = await updateProjectOutcomes.options.handler(
+        mockRequest,
+        mockH
+      )
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(
+        ProjectOutcomesService.prototype.replaceOutcomes
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should return 403 when the user cannot update the project', async () => {
+      mockRequest.auth.credentials.areas = [{ areaId: 99 }]
+
+      const result = await updateProjectOutcomes.options.handler(
+        mockRequest,
+        mockH
+      )
+
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+      expect(result.data.errors[0].errorCode).toBe(
+        PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_UPDATE
+      )
+      expect(
+        ProjectOutcomesService.prototype.replaceOutcomes
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should return 500 when saving fails', async () => {
+      ProjectOutcomesService.prototype.replaceOutcomes = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await updateProjectOutcomes.options.handler(
+        mockRequest,
+        mockH
+      )
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        PROJECT_ERROR_CODES.OUTCOMES_SAVE_FAILED
+      )
+      expect(mockRequest.metrics.counter).toHaveBeenCalledWith(
+        'proposalOperation',
+        1,
+        { operation: 'outcomes', outcome: 'error' }
+      )
+    })
+  })
+})
@@ -0,0 +1,97 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+import {
+  canSubmitProject,
+  checkSubmissionReadiness
+} from '../helpers/project-validations/validate-submission.js'
+
+const handler = async (request, h) => {
+  const referenceNumber = request.params.referenceNumber.replaceAll('-', '/')
+  const { credentials } = request.auth
+  const { logger } = request.server
+
+  try {
+    const projectService = new ProjectService(request.prisma, logger)
+    const project = await request.metrics.timer(
+      'dbQueryDuration',
+      () => projectService.getProjectByReferenceNumber(referenceNumber),
+      { operation: 'getProjectReadiness' }
+    )
+
+    if (!project) {
+      return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+          message: `Project '${referenceNumber}' not found`
+        }
+      ])
+    }
+
+    // Same area rules as submission — the checklist is for people who can submit
+    const permissionCheck = canSubmitProject(credentials, {
+      id: project.areaId,
+      PSO: project.psoAreaId == null ? null : { id: project.psoAreaId }
+    })
+    if (!permissionCheck.allowed) {
+      return buildErrorResponse(h, HTTP_STATUS.FORBIDDEN, [
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_SUBMIT,
+          message: permissionCheck.reason
+        }
+      ])
+    }
+
+    return buildSuccessResponse(h, {
+      success: true,
+      data: {
+        referenceNumber,
+        ...checkSubmissionReadiness(project)
+      }
+    })
+  } catch (error) {
+    logger.error(
+      { error: error.message, referenceNumber },
+      'Failed to check project submission readiness'
+    )
+    return buildErrorResponse(h, HTTP_STATUS.INTERNAL_SERVER_ERROR, [
+      {
+        errorCode: PROJECT_ERROR_CODES.READINESS_FAILED,
+        message: 'Failed to check project submission readiness'
+      }
+    ])
+  }
+}
+
+const projectReadiness = {
+  method: 'GET',
+  path: '/api/v1/project/{referenceNumber}/readiness',
+  options: {
+    auth: 'jwt',
+    description: 'Get the pre-submission readiness checklist for a project',
+    notes:
+      'Runs every submission rule without changing the project and returns a ' +
+      'per-section checklist with the failing error codes and fields, plus an ' +
+      'overall completion percentage. Sections that do not apply to the project ' +
+      'type are marked applicable: false and left out of the percentage.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number')
+      }),
+      failAction: validationFailAction
+    },
+    handler
+  }
+}
+
+export default projectReadiness
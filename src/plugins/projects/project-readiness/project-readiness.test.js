@@ -0,0 +1,145 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import projectReadiness from './project-readiness.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+import { ProjectService } from '../services/project-service.js'
+import {
+  canSubmitProject,
+  checkSubmissionReadiness
+} from '../helpers/project-validations/validate-submission.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../helpers/project-validations/validate-submission.js')
+
+describe('project-readiness route', () => {
+  let mockRequest
+  let mockH
+
+  const project = {
+    referenceNumber: 'ANC501E/000A/001A',
+    areaId: 3,
+    psoAreaId: 2
+  }
+  const readiness = {
+    ready: false,
+    completionPercentage: 90,
+    sections: [
+      {
+        section: 'approach',
+        applicable: true,
+        passed: false,
+        errors: [
+          { errorCode: 'SUBMISSION_GOALS_INCOMPLETE', fields: ['approach'] }
+        ]
+      }
+    ]
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { referenceNumber: 'ANC501E-000A-001A' },
+      auth: { credentials: { userId: 7, isRma: true, areas: [{ areaId: 3 }] } },
+      prisma: {},
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } },
+      metrics: { timer: vi.fn(async (_name, fn) => fn()) }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockResolvedValue(project)
+    canSubmitProject.mockReturnValue({ allowed: true })
+    checkSubmissionReadiness.mockReturnValue(readiness)
+  })
+
+  test('Should be a GET on the readiness path', () => {
+    expect(projectReadiness.method).toBe('GET')
+    expect(projectReadiness.path).toBe(
+      '/api/v1/project/{referenceNumber}/readiness'
+    )
+    expect(projectReadiness.options.auth).toBe('jwt')
+  })
+
+  test('Should return the readiness checklist for the project', async () => {
+    const result = await projectReadiness.options.handler(mockRequest, mockH)
+
+    expect(
+      ProjectService.prototype.getProjectByReferenceNumber
+    ).toHaveBeenCalledWith('ANC501E/000A/001A')
+    expect(canSubmitProject).toHaveBeenCalledWith(
+      mockRequest.auth.credentials,
+      { id: 3, PSO: { id: 2 } }
+    )
+    expect(checkSubmissionReadiness).toHaveBeenCalledWith(project)
+    expect(result.statusCode).toBe(HTTP_STATUS.OK)
+    expect(result.data).toEqual({
+      success: true,
+      data: { referenceNumber: 'ANC501E/000A/001A', ...readiness }
+    })
+  })
+
+  test('Should pass a null PSO when the project has no PSO area', async () => {
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockResolvedValue({ ...project, psoAreaId: null })
+
+    await projectReadiness.options.handler(mockRequest, mockH)
+
+    expect(canSubmitProject).toHaveBeenCalledWith(
+      mockRequest.auth.credentials,
+      { id: 3, PSO: null }
+    )
+  })
+
+  test('Should return 404 when the project does not exist', async () => {
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockResolvedValue(null)
+
+    const result = await projectReadiness.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND
+    )
+    expect(checkSubmissionReadiness).not.toHaveBeenCalled()
+  })
+
+  test('Should return 403 when the user cannot submit the project', async () => {
+    canSubmitProject.mockReturnValue({ allowed: false, reason: 'No access' })
+
+    const result = await projectReadiness.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+    expect(result.data.errors[0]).toEqual({
+      errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_SUBMIT,
+      message: 'No access'
+    })
+    expect(checkSubmissionReadiness).not.toHaveBeenCalled()
+  })
+
+  test('Should return 500 when loading the project fails', async () => {
+    ProjectService.prototype.getProjectByReferenceNumber = vi
+      .fn()
+      .mockRejectedValue(new Error('Database error'))
+
+    const result = await projectReadiness.options.handler(mockRequest, mockH)
+
+    expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    expect(result.data.errors[0].errorCode).toBe(
+      PROJECT_ERROR_CODES.READINESS_FAILED
+    )
+    expect(mockRequest.server.logger.error).toHaveBeenCalled()
+  })
+})
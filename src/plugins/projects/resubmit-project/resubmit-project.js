@@ -1,8 +1,10 @@
 import Joi from 'joi'
 import { ProjectService } from '../services/project-service.js'
+import { recordStateTransition } from '../services/project-state-service.js'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
 import {
   PROJECT_STATUS,
+  PROJECT_STATUS_ACTORS,
   PROJECT_VALIDATION_MESSAGES
 } from '../../../common/constants/project.js'
 import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
@@ -57,8 +59,9 @@ async function loadProjectForResubmit(
 }
 
 /**
- * Build and send the resubmission payload, stamp submitted_at, and return
- * the success response. Called once access and state checks have passed.
+ * Build and send the resubmission payload, stamp submitted_at, record the
+ * admin resend in the status history, and return the success response.
+ * Called once access and state checks have passed.
  */
 async function performResubmission(
   request,
@@ -98,6 +101,24 @@ async function performResubmission(
     )
   }
 
+  try {
+    await recordStateTransition(request.prisma, {
+      projectId: project.id,
+      fromState: PROJECT_STATUS.SUBMITTED,
+      toState: PROJECT_STATUS.SUBMITTED,
+      actorType: PROJECT_STATUS_ACTORS.ADMIN,
+      actorId: credentials.userId,
+      reason: result.success
+        ? 'Resubmitted to external system'
+        : 'Resubmission to external system failed'
+    })
+  } catch (historyError) {
+    logger.warn(
+      { error: historyError.message, referenceNumber },
+      'Failed to record resubmission in status history'
+    )
+  }
+
   if (result.success) {
     logger.info(
       { referenceNumber, userId: credentials.userId },
@@ -69,6 +69,9 @@ const buildMockRequest = (overrides = {}) => ({
     },
     pafs_core_users: {
       findFirst: vi.fn().mockResolvedValue({ email: 'creator@example.com' })
+    },
+    pafs_core_state_transitions: {
+      create: vi.fn().mockResolvedValue({ id: BigInt(1) })
     }
   },
   ...overrides
@@ -261,6 +264,49 @@ describe('resubmit-project handler — submission outcome', () => {
     expect(request.server.logger.warn).toHaveBeenCalled()
   })
 
+  test('records the admin resend in the status history', async () => {
+    await resubmitProjectRoute.options.handler(request, h)
+    expect(
+      request.prisma.pafs_core_state_transitions.create
+    ).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        project_id: Number(PROJECT_ID),
+        from_state: PROJECT_STATUS.SUBMITTED,
+        to_state: PROJECT_STATUS.SUBMITTED,
+        actor_type: 'admin',
+        actor_id: BigInt(1),
+        reason: 'Resubmitted to external system'
+      })
+    })
+  })
+
+  test('records a failed resend in the status history', async () => {
+    mockExternalService.send.mockResolvedValue({
+      success: false,
+      error: 'Timeout'
+    })
+    await resubmitProjectRoute.options.handler(request, h)
+    expect(
+      request.prisma.pafs_core_state_transitions.create
+    ).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        reason: 'Resubmission to external system failed'
+      })
+    })
+  })
+
+  test('logs warning and continues when the history write fails', async () => {
+    request.prisma.pafs_core_state_transitions.create.mockRejectedValue(
+      new Error('DB error')
+    )
+    await resubmitProjectRoute.options.handler(request, h)
+    expect(h.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    expect(request.server.logger.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ error: 'DB error' }),
+      'Failed to record resubmission in status history'
+    )
+  })
+
   test('logs success info on successful resubmit', async () => {
     await resubmitProjectRoute.options.handler(request, h)
     expect(request.server.logger.info).toHaveBeenCalled()
@@ -2,6 +2,9 @@ import Joi from 'joi'
 import {
   searchSchema,
   areaIdSchema,
+  financialYearFilterSchema,
+  multiValueFilterSchema,
+  rangeEndSchema,
   pageSchema,
   pageSizeSchema
 } from '../../common/schemas/index.js'
@@ -9,28 +12,115 @@ import {
   projectNameSchema,
   projectReferenceNumberSchema
 } from '../../common/schemas/project.js'
-import { PROJECT_VALIDATION_MESSAGES } from '../../common/constants/project.js'
+import {
+  LEGACY_PROJECT_TYPES,
+  PROJECT_INTERVENTION_TYPES,
+  PROJECT_RISK_TYPES,
+  PROJECT_STATUS,
+  PROJECT_TYPES,
+  PROJECT_VALIDATION_MESSAGES,
+  URGENCY_REASONS
+} from '../../common/constants/project.js'
+import {
+  PROJECT_SORT_FIELDS,
+  DEFAULT_SORT_FIELD,
+  SORT_ORDERS
+} from './helpers/project-list-filters.js'
+import {
+  PROJECT_EXPORT_COLUMNS,
+  PROJECT_EXPORT_FORMATS
+} from './helpers/project-export-columns.js'
 import {
   generateSchemaForLevel,
   VALIDATION_LEVELS
 } from './helpers/project-level.js'
-import { VALIDATION_ERROR_CODES } from '../../common/constants/common.js'
+import {
+  FILTER_VALIDATION_CODES,
+  VALIDATION_ERROR_CODES
+} from '../../common/constants/common.js'
+
+const dateFilterSchema = Joi.date().iso().optional().messages({
+  'date.base': FILTER_VALIDATION_CODES.DATE_INVALID,
+  'date.format': FILTER_VALIDATION_CODES.DATE_INVALID
+})
 
 /**
  * Query schema for listing projects
- * Combines common filter and pagination schemas
+ * Combines common filter and pagination schemas with multi-value project
+ * filters (repeat the parameter or comma-separate the values), sorting and
+ * optional facet counts
  */
 export const getProjectsQuerySchema = Joi.object({
   search: searchSchema,
   areaId: areaIdSchema,
-  status: Joi.string()
-    .valid('draft', 'submitted', 'archived')
-    .optional()
-    .label('Status'),
+  status: multiValueFilterSchema(Object.values(PROJECT_STATUS)).label('Status'),
+  projectType: multiValueFilterSchema([
+    ...new Set([
+      ...Object.values(PROJECT_TYPES),
+      ...Object.values(LEGACY_PROJECT_TYPES)
+    ])
+  ]).label('Project Type'),
+  interventionType: multiValueFilterSchema(
+    Object.values(PROJECT_INTERVENTION_TYPES)
+  ).label('Intervention Type'),
+  mainRisk: multiValueFilterSchema(Object.values(PROJECT_RISK_TYPES)).label(
+    'Main Risk'
+  ),
+  urgencyReason: multiValueFilterSchema(Object.values(URGENCY_REASONS)).label(
+    'Urgency Reason'
+  ),
+  financialStartYearFrom: financialYearFilterSchema.label(
+    'Financial Start Year From'
+  ),
+  financialStartYearTo: rangeEndSchema(
+    financialYearFilterSchema,
+    'financialStartYearFrom'
+  ).label('Financial Start Year To'),
+  financialEndYearFrom: financialYearFilterSchema.label(
+    'Financial End Year From'
+  ),
+  financialEndYearTo: rangeEndSchema(
+    financialYearFilterSchema,
+    'financialEndYearFrom'
+  ).label('Financial End Year To'),
+  submittedFrom: dateFilterSchema.label('Submitted From'),
+  submittedTo: rangeEndSchema(dateFilterSchema, 'submittedFrom').label(
+    'Submitted To'
+  ),
+  isLegacy: Joi.boolean().optional().label('Legacy'),
+  sortBy: Joi.string()
+    .valid(...Object.keys(PROJECT_SORT_FIELDS))
+    .default(DEFAULT_SORT_FIELD)
+    .label('Sort By')
+    .messages({ 'any.only': FILTER_VALIDATION_CODES.SORT_INVALID }),
+  sortOrder: Joi.string()
+    .valid(...Object.values(SORT_ORDERS))
+    .default(SORT_ORDERS.DESC)
+    .label('Sort Order')
+    .messages({ 'any.only': FILTER_VALIDATION_CODES.SORT_INVALID }),
+  includeFacets: Joi.boolean().default(false).label('Include Facets'),
   page: pageSchema,
   pageSize: pageSizeSchema()
 })
 
+/**
+ * Query schema for exporting projects
+ * Same filters and sorting as the list, without pagination or facets,
+ * plus the file format and the columns to include (default all)
+ */
+export const getProjectsExportQuerySchema = getProjectsQuerySchema
+  .fork(['includeFacets', 'page', 'pageSize'], (schema) => schema.strip())
+  .keys({
+    format: Joi.string()
+      .valid(...Object.values(PROJECT_EXPORT_FORMATS))
+      .default(PROJECT_EXPORT_FORMATS.CSV)
+      .label('Format')
+      .messages({ 'any.only': FILTER_VALIDATION_CODES.VALUE_INVALID }),
+    columns: multiValueFilterSchema(Object.keys(PROJECT_EXPORT_COLUMNS)).label(
+      'Columns'
+    )
+  })
+
 export const validateProjectName = Joi.object({
   name: projectNameSchema,
   referenceNumber: projectReferenceNumberSchema
@@ -0,0 +1,220 @@
+/**
+ * ProjectBulkStatusService
+ *
+ * Moves many projects to one status in a single request. Projects, current
+ * states and areas are loaded up front in a few queries; each project is then
+ * checked and transitioned on its own, so one failure never blocks the rest.
+ * Every transition goes through ProjectStateService, which writes the status
+ * history row and the audited pafs_core_states change for that project.
+ */
+import { AreaService } from '../../areas/services/area-service.js'
+import { ProjectStateService } from './project-state-service.js'
+import {
+  checkStatusTransition,
+  normaliseStatus,
+  resolveStatusActor
+} from '../helpers/project-state-machine.js'
+import { canUpdateProject } from '../helpers/project-permissions.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+
+export const BULK_STATUS_OUTCOMES = {
+  SUCCESS: 'success',
+  NOT_FOUND: 'not_found',
+  INVALID_STATE: 'invalid_state',
+  FORBIDDEN: 'forbidden',
+  ERROR: 'error'
+}
+
+export class ProjectBulkStatusService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+    this.stateService = new ProjectStateService(prisma, logger)
+    this.areaService = new AreaService(prisma, logger)
+  }
+
+  /**
+   * Move each project to the target status
+   * @param {Object} params
+   * @param {string[]} params.referenceNumbers - Slash-separated reference numbers
+   * @param {string} params.status - Target status
+   * @param {string|null} [params.reason] - Recorded in every project's status history
+   * @param {Object} params.credentials - JWT credentials of the requesting user
+   * @returns {Promise<Object[]>} One result per reference number, in request order
+   */
+  async updateStatuses({
+    referenceNumbers,
+    status,
+    reason = null,
+    credentials
+  }) {
+    const projects = await this._findProjects(referenceNumbers)
+    const projectIds = [...projects.values()].map((p) => Number(p.id))
+    const [states, areaIds] = await Promise.all([
+      this._findStates(projectIds),
+      this._findAreaIds(projectIds, credentials)
+    ])
+
+    const results = []
+    for (const referenceNumber of referenceNumbers) {
+      const project = projects.get(referenceNumber)
+      results.push(
+        project
+          ? await this._updateOne({
+              project,
+              currentState: normaliseStatus(states.get(Number(project.id))),
+              areaId: areaIds.get(Number(project.id)),
+              status,
+              reason,
+              credentials
+            })
+          : {
+              referenceNumber,
+              success: false,
+              outcome: BULK_STATUS_OUTCOMES.NOT_FOUND,
+              errorCode: PROJECT_ERROR_CODES.NOT_FOUND,
+              message: `Project '${referenceNumber}' was not found`
+            }
+      )
+    }
+
+    this.logger.info(
+      {
+        userId: credentials.userId,
+        status,
+        requested: referenceNumbers.length,
+        updated: results.filter((r) => r.success).length
+      },
+      'Bulk project status update processed'
+    )
+
+    return results
+  }
+
+  /**
+   * @private
+   */
+  async _updateOne({
+    project,
+    currentState,
+    areaId,
+    status,
+    reason,
+    credentials
+  }) {
+    const referenceNumber = project.reference_number
+    const actor = resolveStatusActor(credentials)
+
+    const transitionCheck = checkStatusTransition(currentState, status, actor)
+    if (!transitionCheck.allowed) {
+      return {
+        referenceNumber,
+        success: false,
+        outcome: BULK_STATUS_OUTCOMES.INVALID_STATE,
+        errorCode: transitionCheck.errorCode,
+        message: transitionCheck.reason
+      }
+    }
+
+    try {
+      const accessCheck = await this._checkAreaAccess(credentials, areaId)
+      if (!accessCheck.allowed) {
+        return {
+          referenceNumber,
+          success: false,
+          outcome: BULK_STATUS_OUTCOMES.FORBIDDEN,
+          errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS,
+          message: accessCheck.reason
+        }
+      }
+
+      await this.stateService.transition({
+        projectId: project.id,
+        fromState: currentState,
+        toState: status,
+        actorType: actor,
+        actorId: credentials.userId,
+        reason
+      })
+
+      return {
+        referenceNumber,
+        success: true,
+        outcome: BULK_STATUS_OUTCOMES.SUCCESS,
+        previousStatus: currentState,
+        status
+      }
+    } catch (error) {
+      this.logger.error(
+        { error: error.message, referenceNumber, status },
+        'Bulk status update failed for project'
+      )
+      return {
+        referenceNumber,
+        success: false,
+        outcome: BULK_STATUS_OUTCOMES.ERROR,
+        errorCode: PROJECT_ERROR_CODES.STATUS_UPDATE_FAILED,
+        message: `Failed to update status for project '${referenceNumber}'`
+      }
+    }
+  }
+
+  /**
+   * Same rule as the single update-status route: admins skip the lookup,
+   * everyone else needs the project's RMA area or its parent PSO.
+   * Area details are cached by AreaService, so repeated areas are cheap.
+   * @private
+   */
+  async _checkAreaAccess(credentials, areaId) {
+    if (credentials.isAdmin) {
+      return { allowed: true }
+    }
+    const areaDetails = areaId
+      ? await this.areaService.getAreaByIdWithParents(areaId)
+      : null
+    return canUpdateProject(credentials, areaDetails)
+  }
+
+  /**
+   * @private
+   */
+  async _findProjects(referenceNumbers) {
+    const rows = await this.prisma.pafs_core_projects.findMany({
+      where: { reference_number: { in: referenceNumbers }, version: 1 },
+      select: { id: true, reference_number: true }
+    })
+    return new Map(rows.map((row) => [row.reference_number, row]))
+  }
+
+  /**
+   * @private
+   */
+  async _findStates(projectIds) {
+    if (projectIds.length === 0) {
+      return new Map()
+    }
+    const rows = await this.prisma.pafs_core_states.findMany({
+      where: { project_id: { in: projectIds } },
+      select: { project_id: true, state: true }
+    })
+    return new Map(rows.map((row) => [Number(row.project_id), row.state]))
+  }
+
+  /**
+   * Project → area ID, only needed for non-admin users
+   * @private
+   */
+  async _findAreaIds(projectIds, credentials) {
+    if (credentials.isAdmin || projectIds.length === 0) {
+      return new Map()
+    }
+    const rows = await this.prisma.pafs_core_area_projects.findMany({
+      where: { project_id: { in: projectIds } },
+      select: { project_id: true, area_id: true }
+    })
+    return new Map(rows.map((row) => [Number(row.project_id), row.area_id]))
+  }
+}
@@ -0,0 +1,220 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import {
+  ProjectBulkStatusService,
+  BULK_STATUS_OUTCOMES
+} from './project-bulk-status-service.js'
+import { ProjectStateService } from './project-state-service.js'
+import { AreaService } from '../../areas/services/area-service.js'
+import {
+  PROJECT_ERROR_CODES,
+  PROJECT_STATUS,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
+
+vi.mock('./project-state-service.js')
+vi.mock('../../areas/services/area-service.js')
+
+describe('ProjectBulkStatusService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+
+  const admin = { userId: 1, isAdmin: true, areas: [] }
+  const pso = {
+    userId: 2,
+    isAdmin: false,
+    isPso: true,
+    areas: [{ areaId: 5, areaType: 'PSO' }]
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockPrisma = {
+      pafs_core_projects: {
+        findMany: vi.fn().mockResolvedValue([
+          { id: 1n, reference_number: 'AC/2021/00001/000' },
+          { id: 2n, reference_number: 'AC/2021/00002/000' }
+        ])
+      },
+      pafs_core_states: {
+        findMany: vi.fn().mockResolvedValue([
+          { project_id: 1, state: PROJECT_STATUS.DRAFT },
+          { project_id: 2, state: PROJECT_STATUS.APPROVED }
+        ])
+      },
+      pafs_core_area_projects: {
+        findMany: vi.fn().mockResolvedValue([
+          { project_id: 1, area_id: 10 },
+          { project_id: 2, area_id: 11 }
+        ])
+      }
+    }
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    ProjectStateService.prototype.transition = vi
+      .fn()
+      .mockResolvedValue(undefined)
+    AreaService.prototype.getAreaByIdWithParents = vi.fn((areaId) =>
+      Promise.resolve(
+        areaId === 10
+          ? { id: 10, PSO: { id: 5 } }
+          : { id: Number(areaId), PSO: { id: 6 } }
+      )
+    )
+
+    service = new ProjectBulkStatusService(mockPrisma, mockLogger)
+  })
+
+  test('Should archive every project an admin may move', async () => {
+    mockPrisma.pafs_core_states.findMany.mockResolvedValue([
+      { project_id: 1, state: PROJECT_STATUS.DRAFT }
+    ])
+
+    const results = await service.updateStatuses({
+      referenceNumbers: ['AC/2021/00001/000', 'AC/2021/00002/000'],
+      status: PROJECT_STATUS.ARCHIVED,
+      reason: 'Programme closed',
+      credentials: admin
+    })
+
+    expect(results).toEqual([
+      {
+        referenceNumber: 'AC/2021/00001/000',
+        success: true,
+        outcome: BULK_STATUS_OUTCOMES.SUCCESS,
+        previousStatus: PROJECT_STATUS.DRAFT,
+        status: PROJECT_STATUS.ARCHIVED
+      },
+      {
+        referenceNumber: 'AC/2021/00002/000',
+        success: true,
+        outcome: BULK_STATUS_OUTCOMES.SUCCESS,
+        // No state row → draft
+        previousStatus: PROJECT_STATUS.DRAFT,
+        status: PROJECT_STATUS.ARCHIVED
+      }
+    ])
+    expect(ProjectStateService.prototype.transition).toHaveBeenCalledTimes(2)
+    expect(ProjectStateService.prototype.transition).toHaveBeenCalledWith({
+      projectId: 1n,
+      fromState: PROJECT_STATUS.DRAFT,
+      toState: PROJECT_STATUS.ARCHIVED,
+      actorType: 'admin',
+      actorId: 1,
+      reason: 'Programme closed'
+    })
+    // Admins skip the area lookups
+    expect(mockPrisma.pafs_core_area_projects.findMany).not.toHaveBeenCalled()
+  })
+
+  test('Should load projects, states and areas in batch', async () => {
+    await service.updateStatuses({
+      referenceNumbers: ['AC/2021/00001/000', 'AC/2021/00002/000'],
+      status: PROJECT_STATUS.ARCHIVED,
+      credentials: pso
+    })
+
+    expect(mockPrisma.pafs_core_projects.findMany).toHaveBeenCalledWith({
+      where: {
+        reference_number: { in: ['AC/2021/00001/000', 'AC/2021/00002/000'] },
+        version: 1
+      },
+      select: { id: true, reference_number: true }
+    })
+    expect(mockPrisma.pafs_core_states.findMany).toHaveBeenCalledTimes(1)
+    expect(mockPrisma.pafs_core_area_projects.findMany).toHaveBeenCalledWith({
+      where: { project_id: { in: [1, 2] } },
+      select: { project_id: true, area_id: true }
+    })
+  })
+
+  test('Should report projects that do not exist', async () => {
+    const results = await service.updateStatuses({
+      referenceNumbers: ['AC/2021/00009/000'],
+      status: PROJECT_STATUS.ARCHIVED,
+      credentials: admin
+    })
+
+    expect(results).toEqual([
+      {
+        referenceNumber: 'AC/2021/00009/000',
+        success: false,
+        outcome: BULK_STATUS_OUTCOMES.NOT_FOUND,
+        errorCode: PROJECT_ERROR_CODES.NOT_FOUND,
+        message: "Project 'AC/2021/00009/000' was not found"
+      }
+    ])
+  })
+
+  test('Should reject transitions the state machine does not allow', async () => {
+    const results = await service.updateStatuses({
+      referenceNumbers: ['AC/2021/00002/000'],
+      status: PROJECT_STATUS.REVISE,
+      credentials: pso
+    })
+
+    expect(results[0]).toMatchObject({
+      success: false,
+      outcome: BULK_STATUS_OUTCOMES.INVALID_STATE,
+      errorCode: PROJECT_VALIDATION_MESSAGES.INVALID_STATUS_TRANSITION
+    })
+    expect(ProjectStateService.prototype.transition).not.toHaveBeenCalled()
+  })
+
+  test('Should reject projects outside the PSO user areas', async () => {
+    mockPrisma.pafs_core_states.findMany.mockResolvedValue([])
+
+    const results = await service.updateStatuses({
+      referenceNumbers: ['AC/2021/00001/000', 'AC/2021/00002/000'],
+      status: PROJECT_STATUS.ARCHIVED,
+      credentials: pso
+    })
+
+    expect(results[0]).toMatchObject({ success: true })
+    expect(results[1]).toMatchObject({
+      success: false,
+      outcome: BULK_STATUS_OUTCOMES.FORBIDDEN,
+      errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS
+    })
+    expect(ProjectStateService.prototype.transition).toHaveBeenCalledTimes(1)
+  })
+
+  test('Should reject projects with no area for non-admins', async () => {
+    mockPrisma.pafs_core_states.findMany.mockResolvedValue([])
+    mockPrisma.pafs_core_area_projects.findMany.mockResolvedValue([])
+
+    const results = await service.updateStatuses({
+      referenceNumbers: ['AC/2021/00001/000'],
+      status: PROJECT_STATUS.ARCHIVED,
+      credentials: pso
+    })
+
+    expect(results[0]).toMatchObject({
+      success: false,
+      outcome: BULK_STATUS_OUTCOMES.FORBIDDEN,
+      message: 'Project area information not found'
+    })
+  })
+
+  test('Should carry on after a project fails to update', async () => {
+    mockPrisma.pafs_core_states.findMany.mockResolvedValue([])
+    ProjectStateService.prototype.transition
+      .mockRejectedValueOnce(new Error('DB error'))
+      .mockResolvedValueOnce(undefined)
+
+    const results = await service.updateStatuses({
+      referenceNumbers: ['AC/2021/00001/000', 'AC/2021/00002/000'],
+      status: PROJECT_STATUS.ARCHIVED,
+      credentials: admin
+    })
+
+    expect(results[0]).toMatchObject({
+      success: false,
+      outcome: BULK_STATUS_OUTCOMES.ERROR,
+      errorCode: PROJECT_ERROR_CODES.STATUS_UPDATE_FAILED
+    })
+    expect(results[1]).toMatchObject({ success: true })
+    expect(mockLogger.error).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,181 @@
+/**
+ * ProjectCommentService
+ *
+ * Moderation comments on projects. A top-level comment starts a thread that
+ * can be resolved and reopened; replies always point at the thread root, so
+ * threads are one level deep however deep the reply chain in the UI.
+ */
+
+export class ProjectCommentService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * List comment threads for a project, oldest first, replies nested
+   * @param {bigint|number} projectId
+   * @param {Object} [options]
+   * @param {boolean} [options.resolved] - Only threads in this resolved state
+   * @returns {Promise<Object[]>}
+   */
+  async listThreads(projectId, { resolved } = {}) {
+    const rows = await this.prisma.pafs_core_project_comments.findMany({
+      where: { project_id: Number(projectId) },
+      orderBy: [{ created_at: 'asc' }, { id: 'asc' }]
+    })
+
+    if (rows.length === 0) {
+      return []
+    }
+
+    const authorNames = await this._resolveAuthorNames(rows)
+    const threads = new Map()
+
+    for (const row of rows.filter((r) => r.parent_id == null)) {
+      threads.set(String(row.id), {
+        ...this._formatComment(row, authorNames),
+        replies: []
+      })
+    }
+    for (const row of rows.filter((r) => r.parent_id != null)) {
+      threads
+        .get(String(row.parent_id))
+        ?.replies.push(this._formatComment(row, authorNames))
+    }
+
+    const result = [...threads.values()]
+    return resolved === undefined
+      ? result
+      : result.filter((thread) => thread.resolved === resolved)
+  }
+
+  /**
+   * Find a single comment belonging to a project
+   * @param {bigint|number} projectId
+   * @param {bigint|number} commentId
+   * @returns {Promise<Object|null>} Raw comment row
+   */
+  async getComment(projectId, commentId) {
+    return this.prisma.pafs_core_project_comments.findFirst({
+      where: { id: BigInt(commentId), project_id: Number(projectId) }
+    })
+  }
+
+  /**
+   * Add a comment or a reply
+   * @param {Object} params
+   * @param {bigint|number} params.projectId
+   * @param {bigint|number} params.userId - Author
+   * @param {string} params.body
+   * @param {Object|null} [params.parent] - Comment being replied to (raw row)
+   * @param {string|null} [params.section] - Anchor for new threads
+   * @param {string|null} [params.validationLevel] - Anchor for new threads
+   * @returns {Promise<Object>} Formatted comment
+   */
+  async addComment({
+    projectId,
+    userId,
+    body,
+    parent = null,
+    section = null,
+    validationLevel = null
+  }) {
+    const now = new Date()
+    const row = await this.prisma.pafs_core_project_comments.create({
+      data: {
+        project_id: Number(projectId),
+        // Replies to replies join the root thread
+        parent_id: parent ? (parent.parent_id ?? parent.id) : null,
+        user_id: BigInt(userId),
+        body,
+        section: parent ? null : section,
+        validation_level: parent ? null : validationLevel,
+        created_at: now,
+        updated_at: now
+      }
+    })
+
+    this.logger.info(
+      {
+        projectId,
+        commentId: row.id,
+        parentId: row.parent_id,
+        userId
+      },
+      'Project comment added'
+    )
+
+    const authorNames = await this._resolveAuthorNames([row])
+    return this._formatComment(row, authorNames)
+  }
+
+  /**
+   * Resolve or reopen a thread
+   * @param {Object} params
+   * @param {Object} params.comment - Thread root (raw row)
+   * @param {boolean} params.resolved
+   * @param {bigint|number} params.userId - User making the change
+   * @returns {Promise<Object>} Formatted comment
+   */
+  async setResolved({ comment, resolved, userId }) {
+    const now = new Date()
+    const row = await this.prisma.pafs_core_project_comments.update({
+      where: { id: comment.id },
+      data: {
+        resolved,
+        resolved_by: resolved ? BigInt(userId) : null,
+        resolved_at: resolved ? now : null,
+        updated_at: now
+      }
+    })
+
+    this.logger.info(
+      { commentId: row.id, projectId: row.project_id, resolved, userId },
+      'Project comment thread resolution changed'
+    )
+
+    const authorNames = await this._resolveAuthorNames([row])
+    return this._formatComment(row, authorNames)
+  }
+
+  /**
+   * @private
+   */
+  _formatComment(row, authorNames) {
+    return {
+      id: Number(row.id),
+      parentId: row.parent_id == null ? null : Number(row.parent_id),
+      body: row.body,
+      section: row.section,
+      validationLevel: row.validation_level,
+      authorId: Number(row.user_id),
+      authorName: authorNames.get(String(row.user_id)) ?? null,
+      resolved: row.resolved,
+      resolvedBy: row.resolved_by == null ? null : Number(row.resolved_by),
+      resolvedAt: row.resolved_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }
+  }
+
+  /**
+   * Map author user IDs to display names in a single query
+   * @private
+   */
+  async _resolveAuthorNames(rows) {
+    const userIds = [...new Set(rows.map((r) => String(r.user_id)))]
+
+    const users = await this.prisma.pafs_core_users.findMany({
+      where: { id: { in: userIds.map(BigInt) } },
+      select: { id: true, first_name: true, last_name: true }
+    })
+
+    return new Map(
+      users.map((u) => [
+        String(u.id),
+        `${u.first_name} ${u.last_name}`.trim() || null
+      ])
+    )
+  }
+}
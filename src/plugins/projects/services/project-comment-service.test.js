@@ -0,0 +1,232 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { ProjectCommentService } from './project-comment-service.js'
+
+describe('ProjectCommentService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+
+  const createdAt = new Date('2026-03-01T10:00:00Z')
+  const row = (overrides) => ({
+    id: 1n,
+    project_id: 7,
+    parent_id: null,
+    user_id: 10n,
+    body: 'Please check the funding profile',
+    section: 'funding-sources',
+    validation_level: null,
+    resolved: false,
+    resolved_by: null,
+    resolved_at: null,
+    created_at: createdAt,
+    updated_at: createdAt,
+    ...overrides
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockPrisma = {
+      pafs_core_project_comments: {
+        findMany: vi.fn().mockResolvedValue([]),
+        findFirst: vi.fn(),
+        create: vi.fn(),
+        update: vi.fn()
+      },
+      pafs_core_users: {
+        findMany: vi.fn().mockResolvedValue([
+          { id: 10n, first_name: 'Pat', last_name: 'Jones' },
+          { id: 11n, first_name: 'Sam', last_name: 'Lee' }
+        ])
+      }
+    }
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    service = new ProjectCommentService(mockPrisma, mockLogger)
+  })
+
+  describe('listThreads', () => {
+    test('Should return an empty list without looking up users', async () => {
+      const result = await service.listThreads(7)
+
+      expect(result).toEqual([])
+      expect(
+        mockPrisma.pafs_core_project_comments.findMany
+      ).toHaveBeenCalledWith({
+        where: { project_id: 7 },
+        orderBy: [{ created_at: 'asc' }, { id: 'asc' }]
+      })
+      expect(mockPrisma.pafs_core_users.findMany).not.toHaveBeenCalled()
+    })
+
+    test('Should nest replies under their thread with author names', async () => {
+      mockPrisma.pafs_core_project_comments.findMany.mockResolvedValue([
+        row(),
+        row({ id: 2n, section: null, body: 'Second thread' }),
+        row({
+          id: 3n,
+          parent_id: 1n,
+          user_id: 11n,
+          section: null,
+          body: 'Updated'
+        })
+      ])
+
+      const result = await service.listThreads(7)
+
+      expect(result).toHaveLength(2)
+      expect(result[0]).toMatchObject({
+        id: 1,
+        parentId: null,
+        section: 'funding-sources',
+        authorId: 10,
+        authorName: 'Pat Jones',
+        resolved: false
+      })
+      expect(result[0].replies).toEqual([
+        expect.objectContaining({
+          id: 3,
+          parentId: 1,
+          body: 'Updated',
+          authorName: 'Sam Lee'
+        })
+      ])
+      expect(result[1].replies).toEqual([])
+      expect(mockPrisma.pafs_core_users.findMany).toHaveBeenCalledWith({
+        where: { id: { in: [10n, 11n] } },
+        select: { id: true, first_name: true, last_name: true }
+      })
+    })
+
+    test('Should filter threads by resolved state', async () => {
+      mockPrisma.pafs_core_project_comments.findMany.mockResolvedValue([
+        row(),
+        row({ id: 2n, resolved: true })
+      ])
+
+      const open = await service.listThreads(7, { resolved: false })
+      const resolved = await service.listThreads(7, { resolved: true })
+
+      expect(open.map((t) => t.id)).toEqual([1])
+      expect(resolved.map((t) => t.id)).toEqual([2])
+    })
+  })
+
+  describe('getComment', () => {
+    test('Should scope the lookup to the project', async () => {
+      mockPrisma.pafs_core_project_comments.findFirst.mockResolvedValue(row())
+
+      const result = await service.getComment(7n, 1)
+
+      expect(result).toEqual(row())
+      expect(
+        mockPrisma.pafs_core_project_comments.findFirst
+      ).toHaveBeenCalledWith({ where: { id: 1n, project_id: 7 } })
+    })
+  })
+
+  describe('addComment', () => {
+    test('Should start an anchored thread', async () => {
+      mockPrisma.pafs_core_project_comments.create.mockResolvedValue(
+        row({ validation_level: 'FUNDING_SOURCES_SELECTED' })
+      )
+
+      const result = await service.addComment({
+        projectId: 7n,
+        userId: 10,
+        body: 'Please check the funding profile',
+        section: 'funding-sources',
+        validationLevel: 'FUNDING_SOURCES_SELECTED'
+      })
+
+      expect(mockPrisma.pafs_core_project_comments.create).toHaveBeenCalledWith(
+        {
+          data: expect.objectContaining({
+            project_id: 7,
+            parent_id: null,
+            user_id: 10n,
+            section: 'funding-sources',
+            validation_level: 'FUNDING_SOURCES_SELECTED'
+          })
+        }
+      )
+      expect(result).toMatchObject({
+        id: 1,
+        validationLevel: 'FUNDING_SOURCES_SELECTED',
+        authorName: 'Pat Jones'
+      })
+      expect(mockLogger.info).toHaveBeenCalled()
+    })
+
+    test('Should attach replies to the thread root without anchors', async () => {
+      mockPrisma.pafs_core_project_comments.create.mockResolvedValue(
+        row({ id: 4n, parent_id: 1n, section: null })
+      )
+
+      await service.addComment({
+        projectId: 7,
+        userId: 10,
+        body: 'Reply to a reply',
+        parent: row({ id: 3n, parent_id: 1n }),
+        section: 'nfm'
+      })
+
+      expect(mockPrisma.pafs_core_project_comments.create).toHaveBeenCalledWith(
+        {
+          data: expect.objectContaining({
+            parent_id: 1n,
+            section: null,
+            validation_level: null
+          })
+        }
+      )
+    })
+  })
+
+  describe('setResolved', () => {
+    test('Should record who resolved the thread and when', async () => {
+      mockPrisma.pafs_core_project_comments.update.mockResolvedValue(
+        row({ resolved: true, resolved_by: 11n, resolved_at: createdAt })
+      )
+
+      const result = await service.setResolved({
+        comment: row(),
+        resolved: true,
+        userId: 11
+      })
+
+      expect(mockPrisma.pafs_core_project_comments.update).toHaveBeenCalledWith(
+        {
+          where: { id: 1n },
+          data: expect.objectContaining({
+            resolved: true,
+            resolved_by: 11n,
+            resolved_at: expect.any(Date)
+          })
+        }
+      )
+      expect(result).toMatchObject({ resolved: true, resolvedBy: 11 })
+    })
+
+    test('Should clear the resolution when reopening', async () => {
+      mockPrisma.pafs_core_project_comments.update.mockResolvedValue(row())
+
+      await service.setResolved({
+        comment: row({ resolved: true }),
+        resolved: false,
+        userId: 11
+      })
+
+      expect(mockPrisma.pafs_core_project_comments.update).toHaveBeenCalledWith(
+        {
+          where: { id: 1n },
+          data: expect.objectContaining({
+            resolved: false,
+            resolved_by: null,
+            resolved_at: null
+          })
+        }
+      )
+    })
+  })
+})
@@ -0,0 +1,357 @@
+/**
+ * ProjectDuplicateService
+ *
+ * Creates a new draft proposal from an existing one. Only the sections an RMA
+ * would normally carry over year on year are copied; everything tied to the
+ * original submission (timestamps, benefit area file, funding calculator,
+ * timeline) is left blank so the new draft has to be completed and submitted
+ * on its own.
+ */
+import {
+  PROJECT_STATUS,
+  PROJECT_STATUS_ACTORS
+} from '../../../common/constants/project.js'
+import { PASSWORD } from '../../../common/constants/common.js'
+import { generateProjectReferenceNumber } from './project-reference-service.js'
+import { recordStateTransition } from './project-state-service.js'
+
+const BASIC_DETAIL_COLUMNS = [
+  'project_type',
+  'project_intervention_types',
+  'main_intervention_type',
+  'project_location',
+  'project_location_zoom_level',
+  'region',
+  'county',
+  'parliamentary_constituency',
+  'grid_reference'
+]
+
+// Shifted together with funding so the profile stays inside the project range
+const FINANCIAL_YEAR_COLUMNS = [
+  'earliest_start_year',
+  'project_end_financial_year'
+]
+
+const RISK_COLUMNS = [
+  'project_risks_protected_against',
+  'main_risk',
+  'current_flood_fluvial_risk',
+  'current_flood_surface_water_risk',
+  'current_coastal_erosion_risk',
+  'no_properties_at_flood_risk',
+  'properties_benefit_maintaining_assets',
+  'properties_benefit_50_percent_reduction',
+  'properties_benefit_less_50_percent_reduction',
+  'properties_benefit_individual_intervention',
+  'no_properties_at_coastal_erosion_risk',
+  'properties_benefit_maintaining_assets_coastal',
+  'properties_benefit_investment_coastal_erosion',
+  'percent_properties_20_percent_deprived',
+  'percent_properties_40_percent_deprived'
+]
+
+const ENVIRONMENTAL_BENEFIT_COLUMNS = [
+  'environmental_benefits',
+  'intertidal_habitat',
+  'hectares_of_intertidal_habitat_created_or_enhanced',
+  'woodland',
+  'hectares_of_woodland_habitat_created_or_enhanced',
+  'wet_woodland',
+  'hectares_of_wet_woodland_habitat_created_or_enhanced',
+  'wetland_or_wet_grassland',
+  'hectares_of_wetland_or_wet_grassland_created_or_enhanced',
+  'grassland',
+  'hectares_of_grassland_habitat_created_or_enhanced',
+  'heathland',
+  'hectares_of_heathland_created_or_enhanced',
+  'ponds_lakes',
+  'hectares_of_pond_or_lake_habitat_created_or_enhanced',
+  'arable_land',
+  'hectares_of_arable_land_lake_habitat_created_or_enhanced',
+  'comprehensive_restoration',
+  'kilometres_of_watercourse_enhanced_or_created_comprehensive',
+  'partial_restoration',
+  'kilometres_of_watercourse_enhanced_or_created_partial',
+  'create_habitat_watercourse',
+  'kilometres_of_watercourse_enhanced_or_created_single'
+]
+
+const NFM_COLUMNS = [
+  'natural_flood_risk_measures_included',
+  'nfm_selected_measures',
+  'nfm_land_use_change',
+  'nfm_landowner_consent',
+  'nfm_experience_level',
+  'nfm_project_readiness'
+]
+
+const FUNDING_SOURCE_COLUMNS = [
+  'fcerm_gia',
+  'local_levy',
+  'internal_drainage_boards',
+  'public_contributions',
+  'public_contributor_names',
+  'private_contributions',
+  'private_contributor_names',
+  'other_ea_contributions',
+  'other_ea_contributor_names',
+  'growth_funding',
+  'not_yet_identified',
+  'funding_sources_visited',
+  'asset_replacement_allowance',
+  'environment_statutory_funding',
+  'frequently_flooded_communities',
+  'other_additional_grant_in_aid',
+  'other_government_department',
+  'recovery',
+  'summer_economic_fund'
+]
+
+const FUNDING_VALUE_COLUMNS = [
+  'fcerm_gia',
+  'local_levy',
+  'internal_drainage_boards',
+  'public_contributions',
+  'private_contributions',
+  'other_ea_contributions',
+  'not_yet_identified',
+  'total',
+  'asset_replacement_allowance',
+  'environment_statutory_funding',
+  'frequently_flooded_communities',
+  'other_additional_grant_in_aid',
+  'other_government_department',
+  'recovery',
+  'summer_economic_fund'
+]
+
+function pickColumns(row, columns) {
+  return Object.fromEntries(columns.map((column) => [column, row[column]]))
+}
+
+function shiftYear(year, yearShift) {
+  return year == null ? year : year + yearShift
+}
+
+export class ProjectDuplicateService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Create a new draft from an existing project
+   * @param {Object} params
+   * @param {Object} params.source - Raw pafs_core_projects row to copy
+   * @param {string} params.name - Name for the new project (already checked for uniqueness)
+   * @param {number} params.areaId - Owning area of the new project
+   * @param {string|null} params.rmaName - Name of the owning area
+   * @param {string} params.rfccCode - RFCC code for the new reference number
+   * @param {bigint|number} params.userId - Becomes the creator of the new project
+   * @param {string} [params.actorType] - One of PROJECT_STATUS_ACTORS, for the status history
+   * @param {boolean} [params.includeFunding] - Copy funding sources and the spend profile
+   * @param {number} [params.yearShift] - Financial years to move the project range and spend profile forward
+   * @returns {Promise<Object>} { id, reference_number, slug, name }
+   */
+  async duplicateProject({
+    source,
+    name,
+    areaId,
+    rmaName,
+    rfccCode,
+    userId,
+    actorType = PROJECT_STATUS_ACTORS.RMA,
+    includeFunding = false,
+    yearShift = 0
+  }) {
+    const [nfmMeasures, landUseChanges, funding] = await Promise.all([
+      this.prisma.pafs_core_nfm_measures.findMany({
+        where: { project_id: source.id }
+      }),
+      this.prisma.pafs_core_nfm_land_use_changes.findMany({
+        where: { project_id: source.id }
+      }),
+      includeFunding ? this._findFunding(source.id) : null
+    ])
+
+    const referenceNumber = await generateProjectReferenceNumber(
+      this.prisma,
+      this.logger,
+      rfccCode
+    )
+    const now = new Date()
+
+    const project = await this.prisma.$transaction(async (tx) => {
+      const created = await tx.pafs_core_projects.create({
+        data: {
+          ...this._buildProjectData(source, includeFunding, yearShift),
+          reference_number: referenceNumber,
+          slug: referenceNumber.replaceAll('/', '-'),
+          version: 1,
+          name,
+          rma_name: rmaName ?? source.rma_name,
+          creator_id: Number(userId),
+          is_legacy: false,
+          updated_by_id: BigInt(userId),
+          updated_by_type: PASSWORD.ARCHIVABLE_TYPE.USER,
+          created_at: now,
+          updated_at: now
+        },
+        select: { id: true, reference_number: true, slug: true, name: true }
+      })
+
+      await tx.pafs_core_states.create({
+        data: {
+          project_id: Number(created.id),
+          state: PROJECT_STATUS.DRAFT,
+          created_at: now,
+          updated_at: now
+        }
+      })
+      await tx.pafs_core_area_projects.create({
+        data: {
+          project_id: Number(created.id),
+          area_id: Number(areaId),
+          owner: true,
+          created_at: now,
+          updated_at: now
+        }
+      })
+
+      await this._copyNfmData(tx, created.id, nfmMeasures, landUseChanges, now)
+      if (funding) {
+        await this._copyFunding(tx, created.id, funding, yearShift, now)
+      }
+
+      await recordStateTransition(tx, {
+        projectId: created.id,
+        fromState: null,
+        toState: PROJECT_STATUS.DRAFT,
+        actorType,
+        actorId: userId,
+        reason: `Duplicated from ${source.reference_number}`,
+        createdAt: now
+      })
+
+      return created
+    })
+
+    this.logger.info(
+      {
+        sourceReferenceNumber: source.reference_number,
+        referenceNumber: project.reference_number,
+        userId,
+        includeFunding,
+        yearShift
+      },
+      'Project duplicated'
+    )
+
+    return project
+  }
+
+  /**
+   * @private
+   */
+  _buildProjectData(source, includeFunding, yearShift) {
+    const data = {
+      ...pickColumns(source, BASIC_DETAIL_COLUMNS),
+      ...pickColumns(source, RISK_COLUMNS),
+      ...pickColumns(source, ENVIRONMENTAL_BENEFIT_COLUMNS),
+      ...pickColumns(source, NFM_COLUMNS),
+      ...(includeFunding ? pickColumns(source, FUNDING_SOURCE_COLUMNS) : {})
+    }
+
+    for (const column of FINANCIAL_YEAR_COLUMNS) {
+      data[column] = shiftYear(source[column], yearShift)
+    }
+
+    return data
+  }
+
+  /**
+   * @private
+   */
+  async _findFunding(projectId) {
+    const values = await this.prisma.pafs_core_funding_values.findMany({
+      where: { project_id: projectId },
+      orderBy: { financial_year: 'asc' }
+    })
+    const contributors = values.length
+      ? await this.prisma.pafs_core_funding_contributors.findMany({
+          where: { funding_value_id: { in: values.map((v) => v.id) } }
+        })
+      : []
+    return { values, contributors }
+  }
+
+  /**
+   * @private
+   */
+  async _copyNfmData(tx, projectId, nfmMeasures, landUseChanges, now) {
+    if (nfmMeasures.length) {
+      await tx.pafs_core_nfm_measures.createMany({
+        data: nfmMeasures.map((measure) => ({
+          project_id: projectId,
+          measure_type: measure.measure_type,
+          area_hectares: measure.area_hectares,
+          storage_volume_m3: measure.storage_volume_m3,
+          length_km: measure.length_km,
+          width_m: measure.width_m,
+          created_at: now,
+          updated_at: now
+        }))
+      })
+    }
+
+    if (landUseChanges.length) {
+      await tx.pafs_core_nfm_land_use_changes.createMany({
+        data: landUseChanges.map((change) => ({
+          project_id: projectId,
+          land_use_type: change.land_use_type,
+          area_before_hectares: change.area_before_hectares,
+          area_after_hectares: change.area_after_hectares,
+          created_at: now,
+          updated_at: now
+        }))
+      })
+    }
+  }
+
+  /**
+   * Contributors hang off a funding value row, so each year is created on
+   * its own to get the new id before its contributors are copied.
+   * @private
+   */
+  async _copyFunding(tx, projectId, { values, contributors }, yearShift, now) {
+    for (const value of values) {
+      const created = await tx.pafs_core_funding_values.create({
+        data: {
+          ...pickColumns(value, FUNDING_VALUE_COLUMNS),
+          project_id: projectId,
+          financial_year: value.financial_year + yearShift
+        },
+        select: { id: true }
+      })
+
+      const yearContributors = contributors.filter(
+        (c) => String(c.funding_value_id) === String(value.id)
+      )
+      if (yearContributors.length) {
+        await tx.pafs_core_funding_contributors.createMany({
+          data: yearContributors.map((contributor) => ({
+            funding_value_id: created.id,
+            name: contributor.name,
+            contributor_type: contributor.contributor_type,
+            amount: contributor.amount,
+            secured: contributor.secured,
+            constrained: contributor.constrained,
+            created_at: now,
+            updated_at: now
+          }))
+        })
+      }
+    }
+  }
+}
@@ -0,0 +1,277 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { ProjectDuplicateService } from './project-duplicate-service.js'
+import {
+  PROJECT_STATUS,
+  PROJECT_STATUS_ACTORS
+} from '../../../common/constants/project.js'
+import { generateProjectReferenceNumber } from './project-reference-service.js'
+
+vi.mock('./project-reference-service.js', () => ({
+  generateProjectReferenceNumber: vi.fn()
+}))
+
+describe('ProjectDuplicateService', () => {
+  let service
+  let mockPrisma
+  let mockTx
+  let mockLogger
+
+  const source = {
+    id: 10n,
+    reference_number: 'ANC501E/000A/001A',
+    name: 'Flood wall',
+    rma_name: 'Old RMA name',
+    project_type: 'DEF',
+    project_intervention_types: 'NFM',
+    main_intervention_type: 'NFM',
+    earliest_start_year: 2025,
+    project_end_financial_year: 2030,
+    project_risks_protected_against: 'fluvial_flooding',
+    main_risk: 'fluvial_flooding',
+    environmental_benefits: true,
+    woodland: true,
+    natural_flood_risk_measures_included: true,
+    fcerm_gia: true,
+    public_contributor_names: 'Council',
+    submitted_at: new Date('2025-03-01'),
+    submitted_to_pol: new Date('2025-03-02'),
+    benefit_area_file_name: 'area.zip',
+    benefit_area_file_s3_key: 'benefit/area.zip',
+    start_construction_year: 2026,
+    is_legacy: true
+  }
+
+  const input = {
+    source,
+    name: 'Flood wall 2027',
+    areaId: 3,
+    rmaName: 'Test RMA',
+    rfccCode: 'AN',
+    userId: 7,
+    actorType: PROJECT_STATUS_ACTORS.RMA
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockTx = {
+      pafs_core_projects: {
+        create: vi.fn().mockResolvedValue({
+          id: 11n,
+          reference_number: 'ANC501E/000A/002A',
+          slug: 'ANC501E-000A-002A',
+          name: 'Flood wall 2027'
+        })
+      },
+      pafs_core_states: { create: vi.fn() },
+      pafs_core_area_projects: { create: vi.fn() },
+      pafs_core_nfm_measures: { createMany: vi.fn() },
+      pafs_core_nfm_land_use_changes: { createMany: vi.fn() },
+      pafs_core_funding_values: {
+        create: vi
+          .fn()
+          .mockResolvedValueOnce({ id: 501n })
+          .mockResolvedValueOnce({ id: 502n })
+      },
+      pafs_core_funding_contributors: { createMany: vi.fn() },
+      pafs_core_state_transitions: { create: vi.fn() }
+    }
+
+    mockPrisma = {
+      pafs_core_nfm_measures: {
+        findMany: vi.fn().mockResolvedValue([
+          {
+            id: 1n,
+            project_id: 10n,
+            measure_type: 'leaky_barriers',
+            area_hectares: null,
+            storage_volume_m3: '12.00',
+            length_km: '1.50',
+            width_m: null
+          }
+        ])
+      },
+      pafs_core_nfm_land_use_changes: {
+        findMany: vi.fn().mockResolvedValue([])
+      },
+      pafs_core_funding_values: {
+        findMany: vi.fn().mockResolvedValue([
+          {
+            id: 101n,
+            project_id: 10n,
+            financial_year: 2025,
+            fcerm_gia: 100n,
+            total: 100n
+          },
+          {
+            id: 102n,
+            project_id: 10n,
+            financial_year: 2026,
+            fcerm_gia: 50n,
+            total: 80n
+          }
+        ])
+      },
+      pafs_core_funding_contributors: {
+        findMany: vi.fn().mockResolvedValue([
+          {
+            id: 1,
+            funding_value_id: 102n,
+            name: 'Council',
+            contributor_type: 'public_contributions',
+            amount: 30n,
+            secured: true,
+            constrained: false
+          }
+        ])
+      },
+      $transaction: vi.fn((fn) => fn(mockTx))
+    }
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    generateProjectReferenceNumber.mockResolvedValue('ANC501E/000A/002A')
+
+    service = new ProjectDuplicateService(mockPrisma, mockLogger)
+  })
+
+  test('Should create a draft with a new reference number and name', async () => {
+    const result = await service.duplicateProject(input)
+
+    expect(generateProjectReferenceNumber).toHaveBeenCalledWith(
+      mockPrisma,
+      mockLogger,
+      'AN'
+    )
+    const { data } = mockTx.pafs_core_projects.create.mock.calls[0][0]
+    expect(data).toMatchObject({
+      reference_number: 'ANC501E/000A/002A',
+      slug: 'ANC501E-000A-002A',
+      version: 1,
+      name: 'Flood wall 2027',
+      rma_name: 'Test RMA',
+      creator_id: 7,
+      is_legacy: false,
+      project_type: 'DEF',
+      main_risk: 'fluvial_flooding',
+      woodland: true,
+      natural_flood_risk_measures_included: true,
+      earliest_start_year: 2025,
+      project_end_financial_year: 2030
+    })
+    expect(result.reference_number).toBe('ANC501E/000A/002A')
+  })
+
+  test('Should not carry over submission, benefit area or timeline data', async () => {
+    await service.duplicateProject(input)
+
+    const { data } = mockTx.pafs_core_projects.create.mock.calls[0][0]
+    expect(data).not.toHaveProperty('submitted_at')
+    expect(data).not.toHaveProperty('submitted_to_pol')
+    expect(data).not.toHaveProperty('benefit_area_file_name')
+    expect(data).not.toHaveProperty('benefit_area_file_s3_key')
+    expect(data).not.toHaveProperty('start_construction_year')
+    expect(data).not.toHaveProperty('id')
+  })
+
+  test('Should set the draft state, owning area and status history', async () => {
+    await service.duplicateProject(input)
+
+    expect(mockTx.pafs_core_states.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        project_id: 11,
+        state: PROJECT_STATUS.DRAFT
+      })
+    })
+    expect(mockTx.pafs_core_area_projects.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ project_id: 11, area_id: 3, owner: true })
+    })
+    expect(mockTx.pafs_core_state_transitions.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        project_id: 11,
+        from_state: null,
+        to_state: PROJECT_STATUS.DRAFT,
+        actor_type: PROJECT_STATUS_ACTORS.RMA,
+        actor_id: 7n,
+        reason: 'Duplicated from ANC501E/000A/001A'
+      })
+    })
+  })
+
+  test('Should copy NFM measures onto the new project', async () => {
+    await service.duplicateProject(input)
+
+    expect(mockTx.pafs_core_nfm_measures.createMany).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({
+          project_id: 11n,
+          measure_type: 'leaky_barriers',
+          storage_volume_m3: '12.00',
+          length_km: '1.50'
+        })
+      ]
+    })
+    expect(
+      mockTx.pafs_core_nfm_land_use_changes.createMany
+    ).not.toHaveBeenCalled()
+  })
+
+  test('Should leave funding behind unless asked', async () => {
+    await service.duplicateProject(input)
+
+    const { data } = mockTx.pafs_core_projects.create.mock.calls[0][0]
+    expect(data).not.toHaveProperty('fcerm_gia')
+    expect(mockPrisma.pafs_core_funding_values.findMany).not.toHaveBeenCalled()
+    expect(mockTx.pafs_core_funding_values.create).not.toHaveBeenCalled()
+  })
+
+  test('Should copy funding shifted by the requested number of years', async () => {
+    await service.duplicateProject({
+      ...input,
+      includeFunding: true,
+      yearShift: 2
+    })
+
+    const { data } = mockTx.pafs_core_projects.create.mock.calls[0][0]
+    expect(data).toMatchObject({
+      fcerm_gia: true,
+      public_contributor_names: 'Council',
+      earliest_start_year: 2027,
+      project_end_financial_year: 2032
+    })
+
+    expect(mockTx.pafs_core_funding_values.create).toHaveBeenNthCalledWith(1, {
+      data: expect.objectContaining({
+        project_id: 11n,
+        financial_year: 2027,
+        fcerm_gia: 100n,
+        total: 100n
+      }),
+      select: { id: true }
+    })
+    expect(mockTx.pafs_core_funding_values.create).toHaveBeenNthCalledWith(2, {
+      data: expect.objectContaining({ financial_year: 2028, total: 80n }),
+      select: { id: true }
+    })
+    expect(
+      mockTx.pafs_core_funding_contributors.createMany
+    ).toHaveBeenCalledTimes(1)
+    expect(
+      mockTx.pafs_core_funding_contributors.createMany
+    ).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({
+          funding_value_id: 502n,
+          name: 'Council',
+          amount: 30n,
+          secured: true
+        })
+      ]
+    })
+  })
+
+  test('Should propagate failures from the transaction', async () => {
+    mockTx.pafs_core_projects.create.mockRejectedValue(new Error('DB error'))
+
+    await expect(service.duplicateProject(input)).rejects.toThrow('DB error')
+  })
+})
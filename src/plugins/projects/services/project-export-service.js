@@ -0,0 +1,311 @@
+/**
+ * ProjectExportService
+ *
+ * Writes the filtered project list as CSV or XLSX. Small exports are streamed
+ * straight back to the caller; larger ones are queued on the programme
+ * generation SQS queue, written to S3 by the consumer and tracked in
+ * pafs_core_project_exports until the user downloads them.
+ */
+import { PassThrough, Readable } from 'node:stream'
+import ExcelJS from 'exceljs'
+import { SendMessageCommand } from '@aws-sdk/client-sqs'
+import { config } from '../../../config.js'
+import { getS3Service } from '../../../common/services/file-upload/s3-service.js'
+import { resolveAreaNames } from '../helpers/project-formatter.js'
+import { buildProjectOrderBy } from '../helpers/project-list-filters.js'
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  PROJECT_EXPORT_COLUMNS,
+  PROJECT_EXPORT_CONTENT_TYPES,
+  PROJECT_EXPORT_FORMATS,
+  PROJECT_EXPORT_SELECT_FIELDS,
+  toCsvLine,
+  toExportRow
+} from '../helpers/project-export-columns.js'
+import { ProjectFilterService } from './project-filter-service.js'
+
+export const PROJECT_EXPORT_STATUS = {
+  GENERATING: 'generating',
+  READY: 'ready',
+  FAILED: 'failed'
+}
+
+// SQS message type handled by the programme generation consumer
+export const PROJECT_EXPORT_MESSAGE_TYPE = 'projectExport'
+
+const XLSX_COLUMN_WIDTH = 24
+
+/**
+ * Suggested download filename, e.g. projects_2026-05-01.csv
+ * @param {string} format - One of PROJECT_EXPORT_FORMATS
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function buildExportFilename(format, date = new Date()) {
+  return `projects_${date.toISOString().slice(0, 10)}.${format}`
+}
+
+export class ProjectExportService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+    this.filterService = new ProjectFilterService(prisma, logger)
+  }
+
+  /**
+   * Resolve the where clause for an export query and count the matching rows
+   * @param {Object} query
+   * @param {string} [query.search]
+   * @param {number[]|null} [query.areaIds] - Already scoped to the user
+   * @param {string[]} [query.status]
+   * @param {Object} [query.filters] - Column filters (see project-list-filters)
+   * @returns {Promise<{ where: Object|null, total: number }>}
+   */
+  async prepare({ search, areaIds, status, filters }) {
+    const where = await this.filterService.buildListWhere({
+      search,
+      areaIds,
+      status,
+      filters
+    })
+    const total = where
+      ? await this.prisma.pafs_core_projects.count({ where })
+      : 0
+    return { where, total }
+  }
+
+  /**
+   * Stream the export file
+   * @param {Object|null} where - From prepare; null exports headers only
+   * @param {Object} options
+   * @param {string} options.format - One of PROJECT_EXPORT_FORMATS
+   * @param {string[]} [options.columns] - Keys of PROJECT_EXPORT_COLUMNS
+   * @param {string} [options.sortBy]
+   * @param {string} [options.sortOrder]
+   * @returns {import('node:stream').Readable}
+   */
+  createStream(
+    where,
+    { format, columns = DEFAULT_EXPORT_COLUMNS, sortBy, sortOrder }
+  ) {
+    const selected = columns?.length ? columns : DEFAULT_EXPORT_COLUMNS
+    const batches = this._rowBatches(where, selected, sortBy, sortOrder)
+    return format === PROJECT_EXPORT_FORMATS.XLSX
+      ? this._xlsxStream(batches, selected)
+      : this._csvStream(batches, selected)
+  }
+
+  /**
+   * Record a background export and queue it for the SQS consumer
+   * @param {Object} params
+   * @param {number|string} params.userId - Requesting user
+   * @param {string} params.format
+   * @param {Object} params.query - Scoped query, as passed to prepare
+   * @param {number} params.total - Matching row count
+   * @param {Object} sqs - SQS client
+   * @returns {Promise<Object>} The pafs_core_project_exports record
+   */
+  async queueExport({ userId, format, query, total }, sqs) {
+    const record = await this.prisma.pafs_core_project_exports.create({
+      data: {
+        user_id: BigInt(userId),
+        status: PROJECT_EXPORT_STATUS.GENERATING,
+        format,
+        // Dates become ISO strings, which Prisma accepts in filters
+        query: JSON.parse(JSON.stringify(query)),
+        row_count: total,
+        requested_on: new Date()
+      }
+    })
+
+    try {
+      await sqs.send(
+        new SendMessageCommand({
+          QueueUrl: config.get('sqsProgrammeGeneration.queueUrl'),
+          MessageBody: JSON.stringify({
+            type: PROJECT_EXPORT_MESSAGE_TYPE,
+            exportId: record.id.toString()
+          })
+        })
+      )
+    } catch (error) {
+      await this._update(record.id, { status: PROJECT_EXPORT_STATUS.FAILED })
+      throw error
+    }
+
+    this.logger.info(
+      { exportId: record.id, userId, total },
+      'Project export queued'
+    )
+    return record
+  }
+
+  /**
+   * Generate a queued export and upload it to S3. Never throws — failures
+   * are recorded on the export so the user sees them.
+   * @param {bigint} exportId
+   */
+  async runExport(exportId) {
+    const record = await this.prisma.pafs_core_project_exports.findUnique({
+      where: { id: exportId }
+    })
+    if (record?.status !== PROJECT_EXPORT_STATUS.GENERATING) {
+      this.logger.warn(
+        { exportId, status: record?.status },
+        'Project export is not pending — skipping'
+      )
+      return
+    }
+
+    const { format, query } = record
+    const s3Key = `${config.get('projectExport.s3Prefix')}/user_${record.user_id}/${record.id}.${format}`
+
+    try {
+      const { where, total } = await this.prepare(query)
+      await getS3Service(this.logger).putObjectStream(
+        config.get('cdpUploader.s3Bucket'),
+        s3Key,
+        this.createStream(where, { ...query, format }),
+        PROJECT_EXPORT_CONTENT_TYPES[format]
+      )
+
+      await this._update(record.id, {
+        status: PROJECT_EXPORT_STATUS.READY,
+        row_count: total,
+        s3_key: s3Key,
+        completed_at: new Date()
+      })
+      this.logger.info({ exportId, total }, 'Project export complete')
+    } catch (error) {
+      this.logger.error({ error, exportId }, 'Project export failed')
+      await this._update(record.id, {
+        status: PROJECT_EXPORT_STATUS.FAILED,
+        completed_at: new Date()
+      }).catch(() => {})
+    }
+  }
+
+  /**
+   * A user's background export
+   * @param {bigint} exportId
+   * @param {number|string} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getExport(exportId, userId) {
+    return this.prisma.pafs_core_project_exports.findFirst({
+      where: { id: exportId, user_id: BigInt(userId) }
+    })
+  }
+
+  /**
+   * @private
+   */
+  async _update(id, data) {
+    return this.prisma.pafs_core_project_exports.update({
+      where: { id },
+      data: { ...data, updated_at: new Date() }
+    })
+  }
+
+  /**
+   * Read matching projects a batch at a time, in list order
+   * @private
+   */
+  async *_rowBatches(where, columns, sortBy, sortOrder) {
+    if (!where) {
+      return
+    }
+    const batchSize = config.get('projectExport.batchSize')
+    const orderBy = buildProjectOrderBy(sortBy, sortOrder)
+
+    for (let skip = 0; ; skip += batchSize) {
+      const projects = await this.prisma.pafs_core_projects.findMany({
+        where,
+        select: PROJECT_EXPORT_SELECT_FIELDS,
+        orderBy,
+        skip,
+        take: batchSize
+      })
+      if (projects.length > 0) {
+        yield await this._toRows(projects, columns)
+      }
+      if (projects.length < batchSize) {
+        return
+      }
+    }
+  }
+
+  /**
+   * Resolve current state and area name for a batch of projects
+   * @private
+   */
+  async _toRows(projects, columns) {
+    const projectIds = projects.map((p) => Number(p.id))
+    const [states, areaNames] = await Promise.all([
+      this.prisma.pafs_core_states.findMany({
+        where: { project_id: { in: projectIds } },
+        select: { project_id: true, state: true }
+      }),
+      resolveAreaNames(this.prisma, projectIds)
+    ])
+    const statesMap = new Map(
+      states.map((s) => [Number(s.project_id), s.state])
+    )
+
+    return projects.map((project) => {
+      const projectId = Number(project.id)
+      return toExportRow(
+        project,
+        {
+          state: statesMap.get(projectId),
+          areaName: areaNames.get(projectId)
+        },
+        columns
+      )
+    })
+  }
+
+  /**
+   * @private
+   */
+  _csvStream(batches, columns) {
+    const headers = columns.map(
+      (column) => PROJECT_EXPORT_COLUMNS[column].header
+    )
+    return Readable.from(
+      (async function* () {
+        // Byte order mark so Excel opens the file as UTF-8
+        yield `\uFEFF${toCsvLine(headers)}`
+        for await (const rows of batches) {
+          yield rows.map(toCsvLine).join('')
+        }
+      })()
+    )
+  }
+
+  /**
+   * @private
+   */
+  _xlsxStream(batches, columns) {
+    const stream = new PassThrough()
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream })
+    const sheet = workbook.addWorksheet('Projects')
+    sheet.columns = columns.map((column) => ({
+      header: PROJECT_EXPORT_COLUMNS[column].header,
+      width: XLSX_COLUMN_WIDTH
+    }))
+
+    const write = async () => {
+      for await (const rows of batches) {
+        for (const row of rows) {
+          sheet.addRow(row).commit()
+        }
+      }
+      sheet.commit()
+      await workbook.commit()
+    }
+    write().catch((error) => stream.destroy(error))
+
+    return stream
+  }
+}
@@ -0,0 +1,347 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import ExcelJS from 'exceljs'
+
+const mockS3Service = {
+  putObjectStream: vi.fn()
+}
+
+vi.mock('../../../common/services/file-upload/s3-service.js', () => ({
+  getS3Service: vi.fn(() => mockS3Service)
+}))
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn(
+      (key) =>
+        ({
+          'projectExport.batchSize': 2,
+          'projectExport.s3Prefix': 'project-exports',
+          'cdpUploader.s3Bucket': 'uploads-bucket',
+          'sqsProgrammeGeneration.queueUrl': 'http://queue'
+        })[key]
+    )
+  }
+}))
+
+vi.mock('@aws-sdk/client-sqs', () => ({
+  SendMessageCommand: vi.fn(function SendMessageCommand(input) {
+    this.input = input
+  })
+}))
+
+const { ProjectExportService, PROJECT_EXPORT_STATUS, buildExportFilename } =
+  await import('./project-export-service.js')
+
+const readStream = async (stream) => {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk))
+  }
+  return Buffer.concat(chunks)
+}
+
+const makeProject = (id, name) => ({
+  id: BigInt(id),
+  reference_number: `AC/2021/0000${id}/000`,
+  name,
+  rma_name: null,
+  is_legacy: false,
+  is_revised: false,
+  created_at: new Date('2026-01-01T00:00:00Z'),
+  updated_at: new Date('2026-01-02T00:00:00Z'),
+  submitted_at: null
+})
+
+describe('ProjectExportService', () => {
+  let service
+  let mockPrisma
+  let mockLogger
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockPrisma = {
+      pafs_core_projects: {
+        findMany: vi.fn().mockResolvedValue([]),
+        count: vi.fn().mockResolvedValue(0)
+      },
+      pafs_core_states: {
+        findMany: vi.fn().mockResolvedValue([])
+      },
+      pafs_core_area_projects: {
+        findMany: vi.fn().mockResolvedValue([])
+      },
+      pafs_core_areas: {
+        findMany: vi.fn().mockResolvedValue([])
+      },
+      pafs_core_project_exports: {
+        create: vi.fn(),
+        update: vi.fn().mockResolvedValue({}),
+        findUnique: vi.fn(),
+        findFirst: vi.fn()
+      }
+    }
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    service = new ProjectExportService(mockPrisma, mockLogger)
+  })
+
+  describe('buildExportFilename', () => {
+    test('Should include the date and format', () => {
+      expect(
+        buildExportFilename('xlsx', new Date('2026-05-01T10:00:00Z'))
+      ).toBe('projects_2026-05-01.xlsx')
+    })
+  })
+
+  describe('prepare', () => {
+    test('Should count projects matching the list filters', async () => {
+      mockPrisma.pafs_core_projects.count.mockResolvedValue(12)
+
+      const { where, total } = await service.prepare({
+        search: 'flood',
+        areaIds: null,
+        filters: { projectType: ['DEF'] }
+      })
+
+      expect(total).toBe(12)
+      expect(where.AND).toEqual([{ project_type: { in: ['DEF'] } }])
+      expect(mockPrisma.pafs_core_projects.count).toHaveBeenCalledWith({
+        where
+      })
+    })
+
+    test('Should match nothing for users with no areas', async () => {
+      const result = await service.prepare({ areaIds: [] })
+
+      expect(result).toEqual({ where: null, total: 0 })
+      expect(mockPrisma.pafs_core_projects.count).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('createStream', () => {
+    test('Should write CSV headers and rows across batches', async () => {
+      mockPrisma.pafs_core_projects.findMany
+        .mockResolvedValueOnce([makeProject(1, 'One'), makeProject(2, 'Two')])
+        .mockResolvedValueOnce([makeProject(3, 'Three, "quoted"')])
+      mockPrisma.pafs_core_states.findMany.mockResolvedValue([
+        { project_id: 1, state: 'submitted' },
+        { project_id: 3, state: 'approved' }
+      ])
+
+      const csv = (
+        await readStream(
+          service.createStream(
+            {},
+            {
+              format: 'csv',
+              columns: ['referenceNumber', 'name', 'status'],
+              sortBy: 'name',
+              sortOrder: 'asc'
+            }
+          )
+        )
+      ).toString('utf8')
+
+      expect(csv).toBe(
+        '\uFEFFReference number,Project name,Status\r\n' +
+          'AC/2021/00001/000,One,submitted\r\n' +
+          'AC/2021/00002/000,Two,draft\r\n' +
+          'AC/2021/00003/000,"Three, ""quoted""",approved\r\n'
+      )
+      expect(mockPrisma.pafs_core_projects.findMany).toHaveBeenCalledTimes(2)
+      expect(mockPrisma.pafs_core_projects.findMany).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          skip: 2,
+          take: 2,
+          orderBy: [{ name: { sort: 'asc', nulls: 'last' } }, { id: 'asc' }]
+        })
+      )
+    })
+
+    test('Should use area names from resolveAreaNames', async () => {
+      mockPrisma.pafs_core_projects.findMany.mockResolvedValueOnce([
+        makeProject(1, 'One')
+      ])
+      mockPrisma.pafs_core_area_projects.findMany.mockResolvedValue([
+        { project_id: 1, area_id: 5 }
+      ])
+      mockPrisma.pafs_core_areas.findMany.mockResolvedValue([
+        { id: 5, name: 'Thames RMA' }
+      ])
+
+      const csv = (
+        await readStream(
+          service.createStream({}, { format: 'csv', columns: ['rmaName'] })
+        )
+      ).toString('utf8')
+
+      expect(csv).toContain('Thames RMA\r\n')
+    })
+
+    test('Should write only headers when nothing matches', async () => {
+      const csv = (
+        await readStream(
+          service.createStream(null, { format: 'csv', columns: ['name'] })
+        )
+      ).toString('utf8')
+
+      expect(csv).toBe('\uFEFFProject name\r\n')
+      expect(mockPrisma.pafs_core_projects.findMany).not.toHaveBeenCalled()
+    })
+
+    test('Should write an XLSX workbook', async () => {
+      mockPrisma.pafs_core_projects.findMany.mockResolvedValueOnce([
+        makeProject(1, 'One')
+      ])
+
+      const buffer = await readStream(
+        service.createStream(
+          {},
+          { format: 'xlsx', columns: ['referenceNumber', 'name'] }
+        )
+      )
+
+      const workbook = new ExcelJS.Workbook()
+      await workbook.xlsx.load(buffer)
+      const sheet = workbook.getWorksheet('Projects')
+      expect(sheet.getRow(1).values.slice(1)).toEqual([
+        'Reference number',
+        'Project name'
+      ])
+      expect(sheet.getRow(2).values.slice(1)).toEqual([
+        'AC/2021/00001/000',
+        'One'
+      ])
+    })
+  })
+
+  describe('queueExport', () => {
+    test('Should record the export and send an SQS message', async () => {
+      mockPrisma.pafs_core_project_exports.create.mockResolvedValue({ id: 9n })
+      const sqs = { send: vi.fn().mockResolvedValue({}) }
+      const query = {
+        areaIds: [1],
+        filters: { submittedFrom: new Date('2026-01-01T00:00:00Z') }
+      }
+
+      const record = await service.queueExport(
+        { userId: 4, format: 'xlsx', query, total: 5000 },
+        sqs
+      )
+
+      expect(record.id).toBe(9n)
+      expect(mockPrisma.pafs_core_project_exports.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          user_id: 4n,
+          status: PROJECT_EXPORT_STATUS.GENERATING,
+          format: 'xlsx',
+          row_count: 5000,
+          query: {
+            areaIds: [1],
+            filters: { submittedFrom: '2026-01-01T00:00:00.000Z' }
+          }
+        })
+      })
+      expect(sqs.send.mock.calls[0][0].input).toEqual({
+        QueueUrl: 'http://queue',
+        MessageBody: JSON.stringify({ type: 'projectExport', exportId: '9' })
+      })
+    })
+
+    test('Should mark the export failed when queueing fails', async () => {
+      mockPrisma.pafs_core_project_exports.create.mockResolvedValue({ id: 9n })
+      const sqs = { send: vi.fn().mockRejectedValue(new Error('SQS down')) }
+
+      await expect(
+        service.queueExport(
+          { userId: 4, format: 'csv', query: {}, total: 5000 },
+          sqs
+        )
+      ).rejects.toThrow('SQS down')
+      expect(mockPrisma.pafs_core_project_exports.update).toHaveBeenCalledWith({
+        where: { id: 9n },
+        data: expect.objectContaining({ status: PROJECT_EXPORT_STATUS.FAILED })
+      })
+    })
+  })
+
+  describe('runExport', () => {
+    const record = {
+      id: 9n,
+      user_id: 4n,
+      status: 'generating',
+      format: 'csv',
+      query: { areaIds: null, columns: ['name'] }
+    }
+
+    test('Should upload the file and mark the export ready', async () => {
+      mockPrisma.pafs_core_project_exports.findUnique.mockResolvedValue(record)
+      mockPrisma.pafs_core_projects.count.mockResolvedValue(1)
+      mockPrisma.pafs_core_projects.findMany.mockResolvedValueOnce([
+        makeProject(1, 'One')
+      ])
+      let uploaded
+      mockS3Service.putObjectStream.mockImplementation(
+        async (_bucket, _key, stream) => {
+          uploaded = (await readStream(stream)).toString('utf8')
+        }
+      )
+
+      await service.runExport(9n)
+
+      expect(mockS3Service.putObjectStream).toHaveBeenCalledWith(
+        'uploads-bucket',
+        'project-exports/user_4/9.csv',
+        expect.anything(),
+        'text/csv; charset=utf-8'
+      )
+      expect(uploaded).toBe('\uFEFFProject name\r\nOne\r\n')
+      expect(mockPrisma.pafs_core_project_exports.update).toHaveBeenCalledWith({
+        where: { id: 9n },
+        data: expect.objectContaining({
+          status: PROJECT_EXPORT_STATUS.READY,
+          row_count: 1,
+          s3_key: 'project-exports/user_4/9.csv'
+        })
+      })
+    })
+
+    test('Should mark the export failed when the upload fails', async () => {
+      mockPrisma.pafs_core_project_exports.findUnique.mockResolvedValue(record)
+      mockS3Service.putObjectStream.mockRejectedValue(new Error('S3 down'))
+
+      await service.runExport(9n)
+
+      expect(mockPrisma.pafs_core_project_exports.update).toHaveBeenCalledWith({
+        where: { id: 9n },
+        data: expect.objectContaining({ status: PROJECT_EXPORT_STATUS.FAILED })
+      })
+      expect(mockLogger.error).toHaveBeenCalled()
+    })
+
+    test('Should skip exports that are no longer pending', async () => {
+      mockPrisma.pafs_core_project_exports.findUnique.mockResolvedValue({
+        ...record,
+        status: 'ready'
+      })
+
+      await service.runExport(9n)
+
+      expect(mockS3Service.putObjectStream).not.toHaveBeenCalled()
+      expect(mockLogger.warn).toHaveBeenCalled()
+    })
+  })
+
+  describe('getExport', () => {
+    test("Should only find the user's own export", async () => {
+      mockPrisma.pafs_core_project_exports.findFirst.mockResolvedValue(null)
+
+      const result = await service.getExport(9n, '4')
+
+      expect(result).toBeNull()
+      expect(
+        mockPrisma.pafs_core_project_exports.findFirst
+      ).toHaveBeenCalledWith({ where: { id: 9n, user_id: 4n } })
+    })
+  })
+})
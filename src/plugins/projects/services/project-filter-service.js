@@ -7,6 +7,12 @@ import {
   formatProject,
   resolveAreaNames
 } from '../helpers/project-formatter.js'
+import {
+  PROJECT_COLUMN_FACETS,
+  buildProjectFilterConditions,
+  buildProjectOrderBy,
+  toFacetBuckets
+} from '../helpers/project-list-filters.js'
 import { PROJECT_STATUS } from '../../../common/constants/project.js'
 import { SIZE } from '../../../common/constants/common.js'
 
@@ -17,6 +23,16 @@ import { SIZE } from '../../../common/constants/common.js'
  */
 const toProjectIdSet = (rows) => new Set(rows.map((r) => BigInt(r.project_id)))
 
+/**
+ * Accept a single status or a list of statuses
+ * @param {string|string[]} [status]
+ * @returns {string[]}
+ */
+const toStatusList = (status) => (status == null ? [] : [].concat(status))
+
+// Status facet counts cover every status, including archived
+const FACET_STATUSES = Object.values(PROJECT_STATUS)
+
 export class ProjectFilterService {
   constructor(prisma, logger) {
     this.prisma = prisma
@@ -24,16 +40,30 @@ export class ProjectFilterService {
   }
 
   /**
-   * Get projects with filters and pagination
+   * Get projects with filters, sorting and pagination
    * @param {Object} params - Query parameters
    * @param {string} [params.search] - Search term for project number/name
    * @param {number[]} [params.areaIds] - Filter by area IDs (RMA area IDs)
-   * @param {string} [params.status] - Filter by status (draft, submitted, archived)
+   * @param {string|string[]} [params.status] - Filter by one or more statuses
+   * @param {Object} [params.filters] - Column filters (see project-list-filters)
+   * @param {string} [params.sortBy] - Key of PROJECT_SORT_FIELDS
+   * @param {string} [params.sortOrder] - asc or desc
+   * @param {boolean} [params.includeFacets] - Add per-value counts for each filter
    * @param {number} [params.page] - Page number
    * @param {number} [params.pageSize] - Records per page
-   * @returns {Promise<Object>} Paginated projects with metadata
+   * @returns {Promise<Object>} Paginated projects with metadata, plus facets when requested
    */
-  async getProjects({ search, areaIds, status, page, pageSize }) {
+  async getProjects({
+    search,
+    areaIds,
+    status,
+    filters = {},
+    sortBy,
+    sortOrder,
+    includeFacets = false,
+    page,
+    pageSize
+  }) {
     const pagination = normalizePaginationParams(page, pageSize)
 
     // areaIds === null  → admin/unrestricted, no area filter
@@ -41,20 +71,28 @@ export class ProjectFilterService {
     if (Array.isArray(areaIds) && areaIds.length === 0) {
       return {
         data: [],
-        pagination: buildPaginationMeta(pagination.page, pagination.pageSize, 0)
+        pagination: buildPaginationMeta(
+          pagination.page,
+          pagination.pageSize,
+          0
+        ),
+        ...(includeFacets && { facets: {} })
       }
     }
-    const where = await this._buildWhereClause(search, areaIds, status)
+    const where = await this._buildWhereClause(search, areaIds, status, filters)
 
-    const [projects, total] = await Promise.all([
+    const [projects, total, facets] = await Promise.all([
       this.prisma.pafs_core_projects.findMany({
         where,
         select: PROJECT_SELECT_FIELDS,
-        orderBy: { updated_at: 'desc' },
+        orderBy: buildProjectOrderBy(sortBy, sortOrder),
         skip: pagination.skip,
         take: pagination.take
       }),
-      this.prisma.pafs_core_projects.count({ where })
+      this.prisma.pafs_core_projects.count({ where }),
+      includeFacets
+        ? this._buildFacets(search, areaIds, status, filters)
+        : undefined
     ])
 
     const paginationMeta = buildPaginationMeta(
@@ -64,7 +102,7 @@ export class ProjectFilterService {
     )
 
     if (projects.length === 0) {
-      return { data: [], pagination: paginationMeta }
+      return { data: [], pagination: paginationMeta, ...(facets && { facets }) }
     }
 
     const projectIds = projects.map((p) => Number(p.id))
@@ -91,7 +129,24 @@ export class ProjectFilterService {
 
     this.logger.info({ total, page: pagination.page }, 'Projects retrieved')
 
-    return { data: formattedProjects, pagination: paginationMeta }
+    return {
+      data: formattedProjects,
+      pagination: paginationMeta,
+      ...(facets && { facets })
+    }
+  }
+
+  /**
+   * Where clause for the list filters, shared with the project export
+   * @param {Object} params - search, areaIds, status and filters as for getProjects
+   * @returns {Promise<Object|null>} Prisma where clause, or null when the
+   * user has no area assignments and must see nothing
+   */
+  async buildListWhere({ search, areaIds, status, filters = {} }) {
+    if (Array.isArray(areaIds) && areaIds.length === 0) {
+      return null
+    }
+    return this._buildWhereClause(search, areaIds, status, filters)
   }
 
   /**
@@ -99,13 +154,77 @@ export class ProjectFilterService {
    * Pre-queries related tables for areaIds/status since no Prisma relations are defined
    * @param {string} [search] - Search term
    * @param {number[]} [areaIds] - Area ID filters
-   * @param {string} [status] - Status filter
+   * @param {string|string[]} [status] - Status filter
+   * @param {Object} [filters] - Column filters
    * @returns {Promise<Object>} Prisma where clause
    * @private
    */
-  async _buildWhereClause(search, areaIds, status) {
+  async _buildWhereClause(search, areaIds, status, filters = {}) {
+    const baseWhere = await this._buildAreaStatusWhere(
+      areaIds,
+      toStatusList(status)
+    )
+    return this._applyFilters(baseWhere, search, filters)
+  }
+
+  /**
+   * Build the area and status part of the where clause
+   * @param {number[]} [areaIds] - Area ID filters
+   * @param {string[]} statuses - Status filters
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _buildAreaStatusWhere(areaIds, statuses) {
     const where = {}
 
+    // Pre-query related tables to build the id filter (inclusion + exclusion)
+    const idFilter = await this._buildIdFilter(areaIds, statuses)
+    if (idFilter) {
+      where.id = idFilter
+    }
+
+    // Failed submissions: submitted but never sent to PoL
+    if (statuses.includes(PROJECT_STATUS.SUBMITTED)) {
+      if (statuses.length === 1) {
+        where.submitted_to_pol = null
+      } else {
+        where.AND = [await this._buildUnsentSubmissionCondition()]
+      }
+    }
+
+    return where
+  }
+
+  /**
+   * Alongside other statuses, only submitted projects need the PoL check
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _buildUnsentSubmissionCondition() {
+    const submitted = await this.prisma.pafs_core_states.findMany({
+      where: { state: PROJECT_STATUS.SUBMITTED },
+      select: { project_id: true }
+    })
+    return {
+      OR: [
+        { submitted_to_pol: null },
+        { id: { notIn: [...toProjectIdSet(submitted)] } }
+      ]
+    }
+  }
+
+  /**
+   * Add the search term and column filters to an area/status where clause
+   * @param {Object} baseWhere - From _buildAreaStatusWhere
+   * @param {string} [search] - Search term
+   * @param {Object} [filters] - Column filters
+   * @param {string} [excludeFilter] - Column filter to leave out
+   * @returns {Object} Prisma where clause
+   * @private
+   */
+  _applyFilters(baseWhere, search, filters = {}, excludeFilter = null) {
+    const where = { ...baseWhere }
+
     if (search?.trim()) {
       const searchTerm = search.trim()
       where.OR = [
@@ -115,29 +234,76 @@ export class ProjectFilterService {
       ]
     }
 
-    // Pre-query related tables to build the id filter (inclusion + exclusion)
-    const idFilter = await this._buildIdFilter(areaIds, status)
-    if (idFilter) {
-      where.id = idFilter
+    const conditions = [
+      ...(baseWhere.AND ?? []),
+      ...buildProjectFilterConditions(filters, excludeFilter)
+    ]
+    if (conditions.length > 0) {
+      where.AND = conditions
     }
 
-    // Failed submissions: submitted but never sent to PoL
-    if (status === PROJECT_STATUS.SUBMITTED) {
-      where.submitted_to_pol = null
+    return where
+  }
+
+  /**
+   * Count projects per filter value. Each facet applies every other filter
+   * but not its own, so the counts show what selecting a value would return.
+   * @returns {Promise<Object>} Facet name → [{ value, count }]
+   * @private
+   */
+  async _buildFacets(search, areaIds, status, filters) {
+    const [baseWhere, allStatusesWhere] = await Promise.all([
+      this._buildAreaStatusWhere(areaIds, toStatusList(status)),
+      this._buildAreaStatusWhere(areaIds, FACET_STATUSES)
+    ])
+
+    const [statusFacet, ...columnFacets] = await Promise.all([
+      this._countStatuses(
+        this._applyFilters(allStatusesWhere, search, filters)
+      ),
+      ...Object.entries(PROJECT_COLUMN_FACETS).map(async ([name, facet]) => {
+        const rows = await this.prisma.pafs_core_projects.groupBy({
+          by: [facet.column],
+          where: this._applyFilters(baseWhere, search, filters, name),
+          _count: { _all: true }
+        })
+        return [name, toFacetBuckets(rows, facet)]
+      })
+    ])
+
+    return { status: statusFacet, ...Object.fromEntries(columnFacets) }
+  }
+
+  /**
+   * Count matching projects per state
+   * @private
+   */
+  async _countStatuses(where) {
+    const projects = await this.prisma.pafs_core_projects.findMany({
+      where,
+      select: { id: true }
+    })
+    if (projects.length === 0) {
+      return []
     }
 
-    return where
+    const rows = await this.prisma.pafs_core_states.groupBy({
+      by: ['state'],
+      where: { project_id: { in: projects.map((p) => Number(p.id)) } },
+      _count: { _all: true }
+    })
+    return toFacetBuckets(rows, { column: 'state' })
   }
 
   /**
    * Build the id filter clause combining area, status inclusion, and archived exclusion.
    * All needed queries run in parallel for performance.
    * @param {number[]} [areaIds] - Area ID filters
-   * @param {string} [status] - Status filter (when absent, archived projects are excluded)
+   * @param {string[]} statuses - Status filters (when empty, archived projects are excluded)
    * @returns {Promise<Object|null>} Prisma id filter clause ({ in, notIn }) or null
    * @private
    */
-  async _buildIdFilter(areaIds, status) {
+  async _buildIdFilter(areaIds, statuses) {
     const hasAreaFilter = areaIds?.length > 0
     const queries = []
     const queryKeys = []
@@ -154,13 +320,15 @@ export class ProjectFilterService {
       )
     }
 
-    if (status) {
-      // Include only projects matching the requested status
+    if (statuses.length > 0) {
+      // Include only projects matching the requested statuses
       queryKeys.push('status')
       queries.push(
         this.prisma.pafs_core_states
           .findMany({
-            where: { state: status },
+            where: {
+              state: statuses.length === 1 ? statuses[0] : { in: statuses }
+            },
             select: { project_id: true }
           })
           .then(toProjectIdSet)
@@ -408,6 +408,199 @@ describe('ProjectFilterService', () => {
     })
   })
 
+  describe('sorting and column filters', () => {
+    beforeEach(() => {
+      mockPrisma.pafs_core_projects.findMany.mockResolvedValue([])
+      mockPrisma.pafs_core_projects.count.mockResolvedValue(0)
+    })
+
+    test('Should sort by most recently updated by default', async () => {
+      await service.getProjects({ page: 1, pageSize: 10 })
+
+      expect(mockPrisma.pafs_core_projects.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          orderBy: [{ updated_at: 'desc' }, { id: 'desc' }]
+        })
+      )
+    })
+
+    test('Should sort by the requested field and direction', async () => {
+      await service.getProjects({
+        sortBy: 'financialStartYear',
+        sortOrder: 'asc',
+        page: 1,
+        pageSize: 10
+      })
+
+      expect(mockPrisma.pafs_core_projects.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          orderBy: [
+            { earliest_start_year: { sort: 'asc', nulls: 'last' } },
+            { id: 'asc' }
+          ]
+        })
+      )
+    })
+
+    test('Should AND the column filters together', async () => {
+      await service.getProjects({
+        filters: {
+          mainRisk: ['tidal_flooding'],
+          financialStartYearFrom: 2026,
+          financialStartYearTo: 2028
+        },
+        page: 1,
+        pageSize: 10
+      })
+
+      const { where } = mockPrisma.pafs_core_projects.findMany.mock.calls[0][0]
+      expect(where.AND).toEqual([
+        { main_risk: { in: ['tidal_flooding'] } },
+        { earliest_start_year: { gte: 2026, lte: 2028 } }
+      ])
+    })
+
+    test('Should not add facets unless asked', async () => {
+      const result = await service.getProjects({ page: 1, pageSize: 10 })
+
+      expect(result.facets).toBeUndefined()
+    })
+  })
+
+  describe('multiple statuses', () => {
+    test('Should include projects in any of the statuses', async () => {
+      mockPrisma.pafs_core_states.findMany.mockResolvedValue([
+        { project_id: 1 },
+        { project_id: 2 }
+      ])
+
+      const where = await service._buildWhereClause(null, null, [
+        'draft',
+        'archived'
+      ])
+
+      expect(mockPrisma.pafs_core_states.findMany).toHaveBeenCalledWith({
+        where: { state: { in: ['draft', 'archived'] } },
+        select: { project_id: true }
+      })
+      expect(where.id).toEqual({ in: [BigInt(1), BigInt(2)] })
+      expect(where.submitted_to_pol).toBeUndefined()
+      expect(where.AND).toBeUndefined()
+    })
+
+    test('Should only apply the PoL check to submitted projects', async () => {
+      mockPrisma.pafs_core_states.findMany
+        .mockResolvedValueOnce([{ project_id: 1 }, { project_id: 2 }])
+        .mockResolvedValueOnce([{ project_id: 2 }])
+
+      const where = await service._buildWhereClause(null, null, [
+        'draft',
+        'submitted'
+      ])
+
+      expect(where.submitted_to_pol).toBeUndefined()
+      expect(where.AND).toEqual([
+        {
+          OR: [{ submitted_to_pol: null }, { id: { notIn: [BigInt(2)] } }]
+        }
+      ])
+    })
+  })
+
+  describe('facets', () => {
+    beforeEach(() => {
+      mockPrisma.pafs_core_projects.count.mockResolvedValue(0)
+      mockPrisma.pafs_core_projects.groupBy = vi.fn().mockResolvedValue([])
+      mockPrisma.pafs_core_states.groupBy = vi.fn().mockResolvedValue([])
+    })
+
+    test('Should count each filter value with the other filters applied', async () => {
+      mockPrisma.pafs_core_projects.findMany
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ id: BigInt(1) }, { id: BigInt(2) }])
+      mockPrisma.pafs_core_projects.groupBy.mockImplementation(
+        async ({ by }) =>
+          by[0] === 'project_type'
+            ? [
+                { project_type: 'DEF', _count: { _all: 4 } },
+                { project_type: 'REP', _count: { _all: 1 } }
+              ]
+            : []
+      )
+      mockPrisma.pafs_core_states.groupBy.mockResolvedValue([
+        { state: 'draft', _count: { _all: 12 } },
+        { state: 'submitted', _count: { _all: 3 } }
+      ])
+
+      const result = await service.getProjects({
+        filters: { projectType: ['DEF'], mainRisk: ['sea_flooding'] },
+        includeFacets: true,
+        page: 1,
+        pageSize: 10
+      })
+
+      expect(result.facets).toEqual({
+        status: [
+          { value: 'draft', count: 12 },
+          { value: 'submitted', count: 3 }
+        ],
+        projectType: [
+          { value: 'DEF', count: 4 },
+          { value: 'REP', count: 1 }
+        ],
+        interventionType: [],
+        mainRisk: [],
+        urgencyReason: [],
+        isLegacy: []
+      })
+
+      const projectTypeCall = mockPrisma.pafs_core_projects.groupBy.mock.calls
+        .map(([args]) => args)
+        .find((args) => args.by[0] === 'project_type')
+      expect(projectTypeCall.where.AND).toEqual([
+        { main_risk: { in: ['sea_flooding'] } }
+      ])
+      expect(mockPrisma.pafs_core_states.groupBy).toHaveBeenCalledWith({
+        by: ['state'],
+        where: { project_id: { in: [1, 2] } },
+        _count: { _all: true }
+      })
+    })
+
+    test('Should return empty facets when the user has no areas', async () => {
+      const result = await service.getProjects({
+        areaIds: [],
+        includeFacets: true
+      })
+
+      expect(result.facets).toEqual({})
+    })
+  })
+
+  describe('buildListWhere', () => {
+    test('Should return null when the user has no areas', async () => {
+      const where = await service.buildListWhere({ areaIds: [] })
+
+      expect(where).toBeNull()
+      expect(mockPrisma.pafs_core_area_projects.findMany).not.toHaveBeenCalled()
+    })
+
+    test('Should build the same where clause as the list', async () => {
+      const where = await service.buildListWhere({
+        search: 'flood',
+        areaIds: null,
+        filters: { mainRisk: ['tidal_flooding'] }
+      })
+
+      expect(where).toEqual(
+        await service._buildWhereClause('flood', null, undefined, {
+          mainRisk: ['tidal_flooding']
+        })
+      )
+      expect(where.AND).toEqual([{ main_risk: { in: ['tidal_flooding'] } }])
+    })
+  })
+
   describe('_buildWhereClause', () => {
     test('Should return empty where clause when no filters provided', async () => {
       const where = await service._buildWhereClause(null, null, null)
@@ -0,0 +1,136 @@
+/**
+ * ProjectOutcomesService
+ *
+ * Reads and replaces the per-financial-year outcome rows (OM2, OM2 2040 and
+ * OM3) held in their own tables outside pafs_core_projects.
+ */
+
+/**
+ * API outcome type → table and API field → column mapping
+ */
+export const OUTCOME_TABLES = {
+  floodProtectionOutcomes: {
+    table: 'pafs_core_flood_protection_outcomes',
+    columns: {
+      householdsAtReducedRisk: 'households_at_reduced_risk',
+      movedFromVerySignificantAndSignificantToModerateOrLow:
+        'moved_from_very_significant_and_significant_to_moderate_or_low',
+      householdsProtectedFromLossIn20PercentMostDeprived:
+        'households_protected_from_loss_in_20_percent_most_deprived',
+      householdsProtectedThroughPlpMeasures:
+        'households_protected_through_plp_measures',
+      nonResidentialProperties: 'non_residential_properties'
+    }
+  },
+  floodProtection2040Outcomes: {
+    table: 'pafs_core_flood_protection2040_outcomes',
+    columns: {
+      householdsAtReducedRisk: 'households_at_reduced_risk',
+      movedFromVerySignificantAndSignificantToModerateOrLow:
+        'moved_from_very_significant_and_significant_to_moderate_or_low',
+      householdsProtectedFromLossIn20PercentMostDeprived:
+        'households_protected_from_loss_in_20_percent_most_deprived',
+      nonResidentialProperties: 'non_residential_properties'
+    }
+  },
+  coastalErosionProtectionOutcomes: {
+    table: 'pafs_core_coastal_erosion_protection_outcomes',
+    columns: {
+      householdsAtReducedRisk: 'households_at_reduced_risk',
+      householdsProtectedFromLossInNext20Years:
+        'households_protected_from_loss_in_next_20_years',
+      householdsProtectedFromLossIn20PercentMostDeprived:
+        'households_protected_from_loss_in_20_percent_most_deprived',
+      nonResidentialProperties: 'non_residential_properties'
+    }
+  }
+}
+
+const OUTCOME_TYPES = Object.keys(OUTCOME_TABLES)
+
+function toApiRow(row, columns) {
+  const apiRow = { financialYear: row.financial_year }
+  for (const [field, column] of Object.entries(columns)) {
+    apiRow[field] = row[column] ?? null
+  }
+  return apiRow
+}
+
+function toDbRow(row, columns, projectId) {
+  const dbRow = {
+    project_id: BigInt(projectId),
+    financial_year: row.financialYear
+  }
+  for (const [field, column] of Object.entries(columns)) {
+    dbRow[column] = row[field] ?? null
+  }
+  return dbRow
+}
+
+export class ProjectOutcomesService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Get every outcome row for a project, ordered by financial year
+   * @param {bigint|number} projectId
+   * @returns {Promise<Object>} { floodProtectionOutcomes, floodProtection2040Outcomes, coastalErosionProtectionOutcomes }
+   */
+  async getOutcomes(projectId) {
+    const where = { project_id: BigInt(projectId) }
+    const results = await Promise.all(
+      OUTCOME_TYPES.map((type) =>
+        this.prisma[OUTCOME_TABLES[type].table].findMany({
+          where,
+          orderBy: { financial_year: 'asc' }
+        })
+      )
+    )
+
+    return Object.fromEntries(
+      OUTCOME_TYPES.map((type, i) => [
+        type,
+        results[i].map((row) => toApiRow(row, OUTCOME_TABLES[type].columns))
+      ])
+    )
+  }
+
+  /**
+   * Replace the stored rows for each outcome type present in `outcomes`.
+   * Types that are not present are left as they are; an empty array clears
+   * that type. All writes happen in one transaction.
+   *
+   * @param {bigint|number} projectId
+   * @param {Object} outcomes - Validated payload (see projectOutcomesSchema)
+   * @returns {Promise<string[]>} The outcome types that were replaced
+   */
+  async replaceOutcomes(projectId, outcomes) {
+    const types = OUTCOME_TYPES.filter((type) => Array.isArray(outcomes[type]))
+    if (types.length === 0) {
+      return []
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      for (const type of types) {
+        const { table, columns } = OUTCOME_TABLES[type]
+        await tx[table].deleteMany({
+          where: { project_id: BigInt(projectId) }
+        })
+        if (outcomes[type].length > 0) {
+          await tx[table].createMany({
+            data: outcomes[type].map((row) => toDbRow(row, columns, projectId))
+          })
+        }
+      }
+    })
+
+    this.logger.info(
+      { projectId: String(projectId), types },
+      'Project outcomes replaced'
+    )
+
+    return types
+  }
+}
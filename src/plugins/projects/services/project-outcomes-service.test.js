@@ -0,0 +1,165 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { ProjectOutcomesService } from './project-outcomes-service.js'
+
+describe('ProjectOutcomesService', () => {
+  let service
+  let mockPrisma
+  let mockTx
+  let mockLogger
+
+  const tableMock = () => ({
+    findMany: vi.fn().mockResolvedValue([]),
+    deleteMany: vi.fn(),
+    createMany: vi.fn()
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockTx = {
+      pafs_core_flood_protection_outcomes: tableMock(),
+      pafs_core_flood_protection2040_outcomes: tableMock(),
+      pafs_core_coastal_erosion_protection_outcomes: tableMock()
+    }
+    mockPrisma = {
+      pafs_core_flood_protection_outcomes: tableMock(),
+      pafs_core_flood_protection2040_outcomes: tableMock(),
+      pafs_core_coastal_erosion_protection_outcomes: tableMock(),
+      $transaction: vi.fn((fn) => fn(mockTx))
+    }
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    service = new ProjectOutcomesService(mockPrisma, mockLogger)
+  })
+
+  describe('getOutcomes', () => {
+    test('Should map rows from each table to API fields', async () => {
+      mockPrisma.pafs_core_flood_protection_outcomes.findMany.mockResolvedValue(
+        [
+          {
+            id: 1,
+            project_id: 10n,
+            financial_year: 2025,
+            households_at_reduced_risk: 12,
+            moved_from_very_significant_and_significant_to_moderate_or_low:
+              null,
+            households_protected_from_loss_in_20_percent_most_deprived: 3,
+            households_protected_through_plp_measures: 1,
+            non_residential_properties: 4
+          }
+        ]
+      )
+      mockPrisma.pafs_core_coastal_erosion_protection_outcomes.findMany.mockResolvedValue(
+        [
+          {
+            id: 2,
+            project_id: 10n,
+            financial_year: 2026,
+            households_at_reduced_risk: 5,
+            households_protected_from_loss_in_next_20_years: 6,
+            households_protected_from_loss_in_20_percent_most_deprived: null,
+            non_residential_properties: null
+          }
+        ]
+      )
+
+      const result = await service.getOutcomes(10)
+
+      expect(
+        mockPrisma.pafs_core_flood_protection_outcomes.findMany
+      ).toHaveBeenCalledWith({
+        where: { project_id: 10n },
+        orderBy: { financial_year: 'asc' }
+      })
+      expect(result).toEqual({
+        floodProtectionOutcomes: [
+          {
+            financialYear: 2025,
+            householdsAtReducedRisk: 12,
+            movedFromVerySignificantAndSignificantToModerateOrLow: null,
+            householdsProtectedFromLossIn20PercentMostDeprived: 3,
+            householdsProtectedThroughPlpMeasures: 1,
+            nonResidentialProperties: 4
+          }
+        ],
+        floodProtection2040Outcomes: [],
+        coastalErosionProtectionOutcomes: [
+          {
+            financialYear: 2026,
+            householdsAtReducedRisk: 5,
+            householdsProtectedFromLossInNext20Years: 6,
+            householdsProtectedFromLossIn20PercentMostDeprived: null,
+            nonResidentialProperties: null
+          }
+        ]
+      })
+    })
+  })
+
+  describe('replaceOutcomes', () => {
+    test('Should replace only the outcome types provided', async () => {
+      const types = await service.replaceOutcomes(10, {
+        floodProtectionOutcomes: [
+          { financialYear: 2025, householdsAtReducedRisk: 7 }
+        ]
+      })
+
+      expect(types).toEqual(['floodProtectionOutcomes'])
+      expect(
+        mockTx.pafs_core_flood_protection_outcomes.deleteMany
+      ).toHaveBeenCalledWith({ where: { project_id: 10n } })
+      expect(
+        mockTx.pafs_core_flood_protection_outcomes.createMany
+      ).toHaveBeenCalledWith({
+        data: [
+          {
+            project_id: 10n,
+            financial_year: 2025,
+            households_at_reduced_risk: 7,
+            moved_from_very_significant_and_significant_to_moderate_or_low:
+              null,
+            households_protected_from_loss_in_20_percent_most_deprived: null,
+            households_protected_through_plp_measures: null,
+            non_residential_properties: null
+          }
+        ]
+      })
+      expect(
+        mockTx.pafs_core_flood_protection2040_outcomes.deleteMany
+      ).not.toHaveBeenCalled()
+      expect(
+        mockTx.pafs_core_coastal_erosion_protection_outcomes.deleteMany
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should clear a type when given an empty array', async () => {
+      await service.replaceOutcomes(10, { floodProtection2040Outcomes: [] })
+
+      expect(
+        mockTx.pafs_core_flood_protection2040_outcomes.deleteMany
+      ).toHaveBeenCalled()
+      expect(
+        mockTx.pafs_core_flood_protection2040_outcomes.createMany
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should not open a transaction when nothing is provided', async () => {
+      const types = await service.replaceOutcomes(10, {})
+
+      expect(types).toEqual([])
+      expect(mockPrisma.$transaction).not.toHaveBeenCalled()
+    })
+
+    test('Should propagate failures from the transaction', async () => {
+      mockTx.pafs_core_flood_protection_outcomes.createMany.mockRejectedValue(
+        new Error('DB error')
+      )
+
+      await expect(
+        service.replaceOutcomes(10, {
+          floodProtectionOutcomes: [{ financialYear: 2025 }]
+        })
+      ).rejects.toThrow('DB error')
+    })
+  })
+})
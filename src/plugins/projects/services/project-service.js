@@ -8,6 +8,7 @@ import { ProjectMapper } from '../helpers/project-mapper.js'
 import { enrichProjectResponse } from '../helpers/project-enricher.js'
 import { generateProjectReferenceNumber } from './project-reference-service.js'
 import { ProjectNfmService } from './project-nfm-service.js'
+import { recordStateTransition } from './project-state-service.js'
 import {
   requiresLegacyMigration,
   executeLegacyProjectTypeMigration
@@ -453,7 +454,8 @@ export class ProjectService extends ProjectNfmService {
     projectId,
     referenceNumber,
     now,
-    isLegacy
+    isLegacy,
+    transition
   ) {
     await tx.pafs_core_states.upsert({
       where: { project_id: Number(projectId) },
@@ -473,6 +475,14 @@ export class ProjectService extends ProjectNfmService {
       where: { reference_number: referenceNumber },
       data: projectData
     })
+    if (transition) {
+      await recordStateTransition(tx, {
+        ...transition,
+        projectId,
+        toState: PROJECT_STATUS.SUBMITTED,
+        createdAt: now
+      })
+    }
   }
 
   /**
@@ -481,11 +491,20 @@ export class ProjectService extends ProjectNfmService {
    * When isLegacy is true, also sets is_revised = true so the project is no
    * longer counted as pending revision.
    *
+   * When transition is given, the state history row is written in the same
+   * transaction.
+   *
    * @param {bigint} projectId
    * @param {string} referenceNumber
    * @param {boolean} isLegacy
+   * @param {Object} [transition] - { fromState, actorType, actorId, reason }
    */
-  async transitionToSubmitted(projectId, referenceNumber, isLegacy = false) {
+  async transitionToSubmitted(
+    projectId,
+    referenceNumber,
+    isLegacy = false,
+    transition = null
+  ) {
     const now = new Date()
     await this.prisma.$transaction((tx) =>
       this._submitStateAndTimestamp(
@@ -493,7 +512,8 @@ export class ProjectService extends ProjectNfmService {
         projectId,
         referenceNumber,
         now,
-        isLegacy
+        isLegacy,
+        transition
       )
     )
   }
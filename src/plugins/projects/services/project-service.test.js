@@ -881,7 +881,8 @@ describe('ProjectService', () => {
         pafs_core_states: { upsert: vi.fn().mockResolvedValue({}) },
         pafs_core_projects: {
           updateMany: vi.fn().mockResolvedValue({ count: 1 })
-        }
+        },
+        pafs_core_state_transitions: { create: vi.fn().mockResolvedValue({}) }
       }
       mockPrisma.$transaction = vi.fn(async (callback) => callback(mockTx))
     })
@@ -944,6 +945,32 @@ describe('ProjectService', () => {
       const [{ data }] = mockTx.pafs_core_projects.updateMany.mock.calls[0]
       expect(data).not.toHaveProperty('is_revised')
     })
+
+    test('does not record history when no transition is given', async () => {
+      await service.transitionToSubmitted(BigInt(99), 'LCR/123/456')
+      expect(mockTx.pafs_core_state_transitions.create).not.toHaveBeenCalled()
+    })
+
+    test('records the transition in the same transaction when given', async () => {
+      await service.transitionToSubmitted(BigInt(99), 'LCR/123/456', false, {
+        fromState: PROJECT_STATUS.REVISE,
+        actorType: 'pso',
+        actorId: BigInt(4)
+      })
+      const [{ data: projectData }] =
+        mockTx.pafs_core_projects.updateMany.mock.calls[0]
+      expect(mockTx.pafs_core_state_transitions.create).toHaveBeenCalledWith({
+        data: {
+          project_id: 99,
+          from_state: PROJECT_STATUS.REVISE,
+          to_state: PROJECT_STATUS.SUBMITTED,
+          actor_type: 'pso',
+          actor_id: BigInt(4),
+          reason: null,
+          created_at: projectData.submitted_at
+        }
+      })
+    })
   })
 
   // ─── getProjectForSubmission ───────────────────────────────────────────────
@@ -0,0 +1,173 @@
+/**
+ * ProjectStateService
+ *
+ * Reads and writes project status through the state machine and records every
+ * transition in pafs_core_state_transitions. pafs_core_states only ever holds
+ * the current status; the transitions table holds the full history.
+ */
+import { normaliseStatus } from '../helpers/project-state-machine.js'
+import { notifyProjectStatusChange } from '../helpers/project-status-notifier.js'
+
+/**
+ * Write a single state transition history row.
+ * Accepts either the Prisma client or a transaction client so callers that
+ * already run inside $transaction (e.g. transitionToSubmitted) can reuse it.
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} transition
+ * @param {bigint|number} transition.projectId
+ * @param {string|null} transition.fromState
+ * @param {string} transition.toState
+ * @param {string} transition.actorType - One of PROJECT_STATUS_ACTORS
+ * @param {bigint|number|null} [transition.actorId]
+ * @param {string|null} [transition.reason]
+ * @param {Date} [transition.createdAt]
+ * @returns {Promise<Object>} Created history row
+ */
+export function recordStateTransition(
+  client,
+  {
+    projectId,
+    fromState,
+    toState,
+    actorType,
+    actorId = null,
+    reason = null,
+    createdAt = new Date()
+  }
+) {
+  return client.pafs_core_state_transitions.create({
+    data: {
+      project_id: Number(projectId),
+      from_state: fromState ?? null,
+      to_state: toState,
+      actor_type: actorType,
+      actor_id: actorId == null ? null : BigInt(actorId),
+      reason: reason ?? null,
+      created_at: createdAt
+    }
+  })
+}
+
+export class ProjectStateService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Get the current status of a project.
+   * Projects without a state row are treated as draft.
+   * @param {bigint|number} projectId
+   * @returns {Promise<string>}
+   */
+  async getCurrentState(projectId) {
+    const stateRecord = await this.prisma.pafs_core_states.findFirst({
+      where: { project_id: Number(projectId) },
+      select: { state: true }
+    })
+    return normaliseStatus(stateRecord?.state)
+  }
+
+  /**
+   * Move a project to a new status and record the transition atomically,
+   * then notify the project creator.
+   * Callers are responsible for checking the transition with the state machine first.
+   *
+   * @param {Object} transition - See recordStateTransition
+   * @returns {Promise<void>}
+   */
+  async transition(transition) {
+    const now = new Date()
+    const { projectId, toState } = transition
+
+    try {
+      await this.prisma.$transaction(async (tx) => {
+        await tx.pafs_core_states.upsert({
+          where: { project_id: Number(projectId) },
+          update: { state: toState, updated_at: now },
+          create: {
+            project_id: Number(projectId),
+            state: toState,
+            created_at: now,
+            updated_at: now
+          }
+        })
+        await recordStateTransition(tx, { ...transition, createdAt: now })
+      })
+    } catch (error) {
+      this.logger.error(
+        {
+          err: error,
+          projectId,
+          fromState: transition.fromState,
+          toState
+        },
+        'Error transitioning project state'
+      )
+      throw error
+    }
+
+    await notifyProjectStatusChange(this.prisma, this.logger, transition)
+  }
+
+  /**
+   * Get the status history of a project, oldest first, with actor names resolved
+   * @param {bigint|number} projectId
+   * @returns {Promise<Object[]>}
+   */
+  async getHistory(projectId) {
+    const rows = await this.prisma.pafs_core_state_transitions.findMany({
+      where: { project_id: Number(projectId) },
+      orderBy: [{ created_at: 'asc' }, { id: 'asc' }]
+    })
+
+    if (rows.length === 0) {
+      return []
+    }
+
+    const actorNames = await this._resolveActorNames(rows)
+
+    return rows.map((row) => ({
+      id: Number(row.id),
+      fromStatus: row.from_state,
+      toStatus: row.to_state,
+      actorType: row.actor_type,
+      actorId: row.actor_id == null ? null : Number(row.actor_id),
+      actorName:
+        row.actor_id == null
+          ? null
+          : (actorNames.get(String(row.actor_id)) ?? null),
+      reason: row.reason,
+      createdAt: row.created_at
+    }))
+  }
+
+  /**
+   * Map actor user IDs to display names in a single query
+   * @private
+   */
+  async _resolveActorNames(rows) {
+    const actorIds = [
+      ...new Set(
+        rows.filter((r) => r.actor_id != null).map((r) => String(r.actor_id))
+      )
+    ]
+
+    if (actorIds.length === 0) {
+      return new Map()
+    }
+
+    const users = await this.prisma.pafs_core_users.findMany({
+      where: { id: { in: actorIds.map(BigInt) } },
+      select: { id: true, first_name: true, last_name: true }
+    })
+
+    return new Map(
+      users.map((u) => [
+        String(u.id),
+        `${u.first_name} ${u.last_name}`.trim() || null
+      ])
+    )
+  }
+}
@@ -0,0 +1,310 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import {
+  ProjectStateService,
+  recordStateTransition
+} from './project-state-service.js'
+import { notifyProjectStatusChange } from '../helpers/project-status-notifier.js'
+
+vi.mock('../helpers/project-status-notifier.js', () => ({
+  notifyProjectStatusChange: vi.fn().mockResolvedValue(undefined)
+}))
+
+describe('recordStateTransition', () => {
+  test('writes a history row with normalised ids', async () => {
+    const createdAt = new Date('2026-02-01T09:00:00Z')
+    const client = {
+      pafs_core_state_transitions: {
+        create: vi.fn().mockResolvedValue({ id: 1n })
+      }
+    }
+
+    await recordStateTransition(client, {
+      projectId: 10n,
+      fromState: 'draft',
+      toState: 'submitted',
+      actorType: 'rma',
+      actorId: 7,
+      reason: 'Ready',
+      createdAt
+    })
+
+    expect(client.pafs_core_state_transitions.create).toHaveBeenCalledWith({
+      data: {
+        project_id: 10,
+        from_state: 'draft',
+        to_state: 'submitted',
+        actor_type: 'rma',
+        actor_id: 7n,
+        reason: 'Ready',
+        created_at: createdAt
+      }
+    })
+  })
+
+  test('defaults optional fields to null', async () => {
+    const client = {
+      pafs_core_state_transitions: { create: vi.fn().mockResolvedValue({}) }
+    }
+
+    await recordStateTransition(client, {
+      projectId: 10,
+      toState: 'approved',
+      actorType: 'external'
+    })
+
+    const { data } = client.pafs_core_state_transitions.create.mock.calls[0][0]
+    expect(data.from_state).toBeNull()
+    expect(data.actor_id).toBeNull()
+    expect(data.reason).toBeNull()
+    expect(data.created_at).toBeInstanceOf(Date)
+  })
+})
+
+describe('ProjectStateService', () => {
+  let mockPrisma
+  let mockTx
+  let mockLogger
+  let service
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockTx = {
+      pafs_core_states: { upsert: vi.fn().mockResolvedValue({}) },
+      pafs_core_state_transitions: { create: vi.fn().mockResolvedValue({}) }
+    }
+    mockPrisma = {
+      pafs_core_states: { findFirst: vi.fn() },
+      pafs_core_state_transitions: { findMany: vi.fn() },
+      pafs_core_users: { findMany: vi.fn() },
+      $transaction: vi.fn(async (callback) => callback(mockTx))
+    }
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    service = new ProjectStateService(mockPrisma, mockLogger)
+  })
+
+  describe('getCurrentState', () => {
+    test('returns the stored state', async () => {
+      mockPrisma.pafs_core_states.findFirst.mockResolvedValue({
+        state: 'submitted'
+      })
+
+      expect(await service.getCurrentState(5n)).toBe('submitted')
+      expect(mockPrisma.pafs_core_states.findFirst).toHaveBeenCalledWith({
+        where: { project_id: 5 },
+        select: { state: true }
+      })
+    })
+
+    test('returns draft when no state row exists', async () => {
+      mockPrisma.pafs_core_states.findFirst.mockResolvedValue(null)
+
+      expect(await service.getCurrentState(5n)).toBe('draft')
+    })
+  })
+
+  describe('transition', () => {
+    test('updates the current state and records history in one transaction', async () => {
+      await service.transition({
+        projectId: 5n,
+        fromState: 'submitted',
+        toState: 'revise',
+        actorType: 'pso',
+        actorId: 9,
+        reason: 'Needs costs'
+      })
+
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1)
+      expect(mockTx.pafs_core_states.upsert).toHaveBeenCalledWith({
+        where: { project_id: 5 },
+        update: { state: 'revise', updated_at: expect.any(Date) },
+        create: {
+          project_id: 5,
+          state: 'revise',
+          created_at: expect.any(Date),
+          updated_at: expect.any(Date)
+        }
+      })
+      expect(mockTx.pafs_core_state_transitions.create).toHaveBeenCalledWith({
+        data: {
+          project_id: 5,
+          from_state: 'submitted',
+          to_state: 'revise',
+          actor_type: 'pso',
+          actor_id: 9n,
+          reason: 'Needs costs',
+          created_at: expect.any(Date)
+        }
+      })
+    })
+
+    test('notifies the project creator once the transaction commits', async () => {
+      const transition = {
+        projectId: 5n,
+        fromState: 'submitted',
+        toState: 'revise',
+        actorType: 'pso',
+        actorId: 9,
+        reason: 'Needs costs'
+      }
+
+      await service.transition(transition)
+
+      expect(notifyProjectStatusChange).toHaveBeenCalledWith(
+        mockPrisma,
+        mockLogger,
+        transition
+      )
+    })
+
+    test('uses the same timestamp for the state and history rows', async () => {
+      await service.transition({
+        projectId: 5,
+        fromState: 'approved',
+        toState: 'completed',
+        actorType: 'admin',
+        actorId: 1
+      })
+
+      const stateTime =
+        mockTx.pafs_core_states.upsert.mock.calls[0][0].update.updated_at
+      const historyTime =
+        mockTx.pafs_core_state_transitions.create.mock.calls[0][0].data
+          .created_at
+      expect(historyTime).toBe(stateTime)
+    })
+
+    test('logs and rethrows when the transaction fails', async () => {
+      const error = new Error('Write failed')
+      mockPrisma.$transaction.mockRejectedValue(error)
+
+      await expect(
+        service.transition({
+          projectId: 5,
+          fromState: 'submitted',
+          toState: 'approved',
+          actorType: 'external'
+        })
+      ).rejects.toThrow('Write failed')
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        {
+          err: error,
+          projectId: 5,
+          fromState: 'submitted',
+          toState: 'approved'
+        },
+        'Error transitioning project state'
+      )
+      expect(notifyProjectStatusChange).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getHistory', () => {
+    test('returns an empty list without looking up users', async () => {
+      mockPrisma.pafs_core_state_transitions.findMany.mockResolvedValue([])
+
+      expect(await service.getHistory(5)).toEqual([])
+      expect(mockPrisma.pafs_core_users.findMany).not.toHaveBeenCalled()
+    })
+
+    test('maps rows oldest first and resolves actor names', async () => {
+      const first = new Date('2026-01-01T09:00:00Z')
+      const second = new Date('2026-01-02T09:00:00Z')
+      mockPrisma.pafs_core_state_transitions.findMany.mockResolvedValue([
+        {
+          id: 1n,
+          from_state: 'draft',
+          to_state: 'submitted',
+          actor_type: 'rma',
+          actor_id: 7n,
+          reason: null,
+          created_at: first
+        },
+        {
+          id: 2n,
+          from_state: 'submitted',
+          to_state: 'approved',
+          actor_type: 'external',
+          actor_id: null,
+          reason: 'Approved by PD',
+          created_at: second
+        }
+      ])
+      mockPrisma.pafs_core_users.findMany.mockResolvedValue([
+        { id: 7n, first_name: 'Jane', last_name: 'Smith' }
+      ])
+
+      const history = await service.getHistory(5n)
+
+      expect(
+        mockPrisma.pafs_core_state_transitions.findMany
+      ).toHaveBeenCalledWith({
+        where: { project_id: 5 },
+        orderBy: [{ created_at: 'asc' }, { id: 'asc' }]
+      })
+      expect(mockPrisma.pafs_core_users.findMany).toHaveBeenCalledWith({
+        where: { id: { in: [7n] } },
+        select: { id: true, first_name: true, last_name: true }
+      })
+      expect(history).toEqual([
+        {
+          id: 1,
+          fromStatus: 'draft',
+          toStatus: 'submitted',
+          actorType: 'rma',
+          actorId: 7,
+          actorName: 'Jane Smith',
+          reason: null,
+          createdAt: first
+        },
+        {
+          id: 2,
+          fromStatus: 'submitted',
+          toStatus: 'approved',
+          actorType: 'external',
+          actorId: null,
+          actorName: null,
+          reason: 'Approved by PD',
+          createdAt: second
+        }
+      ])
+    })
+
+    test('skips the user lookup when no row has an actor id', async () => {
+      mockPrisma.pafs_core_state_transitions.findMany.mockResolvedValue([
+        {
+          id: 1n,
+          from_state: 'submitted',
+          to_state: 'rejected',
+          actor_type: 'external',
+          actor_id: null,
+          reason: null,
+          created_at: new Date()
+        }
+      ])
+
+      await service.getHistory(5)
+
+      expect(mockPrisma.pafs_core_users.findMany).not.toHaveBeenCalled()
+    })
+
+    test('returns a null name when the actor no longer exists', async () => {
+      mockPrisma.pafs_core_state_transitions.findMany.mockResolvedValue([
+        {
+          id: 1n,
+          from_state: 'approved',
+          to_state: 'archived',
+          actor_type: 'admin',
+          actor_id: 99n,
+          reason: null,
+          created_at: new Date()
+        }
+      ])
+      mockPrisma.pafs_core_users.findMany.mockResolvedValue([])
+
+      const [row] = await service.getHistory(5)
+
+      expect(row.actorName).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,196 @@
+/**
+ * ProjectVersionService
+ *
+ * Freezes an immutable snapshot of a project on every submission in
+ * pafs_core_project_versions and compares snapshots field by field.
+ * pafs_core_projects itself is still edited in place as version 1.
+ */
+import {
+  buildProjectSnapshot,
+  diffProjectSnapshots
+} from '../helpers/project-version-diff.js'
+
+export class ProjectVersionService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Load the outcome rows held outside v_project_full
+   * @private
+   */
+  async _fetchOutcomes(projectId) {
+    const where = { project_id: BigInt(projectId) }
+    const [floodProtection, floodProtection2040, coastalErosionProtection] =
+      await Promise.all([
+        this.prisma.pafs_core_flood_protection_outcomes.findMany({ where }),
+        this.prisma.pafs_core_flood_protection2040_outcomes.findMany({ where }),
+        this.prisma.pafs_core_coastal_erosion_protection_outcomes.findMany({
+          where
+        })
+      ])
+    return { floodProtection, floodProtection2040, coastalErosionProtection }
+  }
+
+  /**
+   * Store the next version snapshot for a project
+   * @param {Object} project - Enriched project from getProjectByReferenceNumber
+   * @param {Object} options
+   * @param {string} options.state - Status the project moved to
+   * @param {bigint|number|null} [options.userId] - Submitting user
+   * @returns {Promise<number>} The new version number
+   */
+  async createSnapshot(project, { state, userId = null }) {
+    const projectId = Number(project.id)
+    const outcomes = await this._fetchOutcomes(projectId)
+    const snapshot = buildProjectSnapshot(project, outcomes)
+
+    try {
+      const version = await this.prisma.$transaction(async (tx) => {
+        const latest = await tx.pafs_core_project_versions.findFirst({
+          where: { project_id: projectId },
+          orderBy: { version: 'desc' },
+          select: { version: true }
+        })
+        const nextVersion = (latest?.version ?? 0) + 1
+
+        await tx.pafs_core_project_versions.create({
+          data: {
+            project_id: projectId,
+            reference_number: project.referenceNumber,
+            version: nextVersion,
+            state,
+            snapshot,
+            created_by: userId == null ? null : BigInt(userId)
+          }
+        })
+        return nextVersion
+      })
+
+      this.logger.info(
+        { referenceNumber: project.referenceNumber, version },
+        'Project version snapshot created'
+      )
+      return version
+    } catch (error) {
+      this.logger.error(
+        { err: error, referenceNumber: project.referenceNumber },
+        'Error creating project version snapshot'
+      )
+      throw error
+    }
+  }
+
+  /**
+   * List the versions of a project, newest first, without their snapshots
+   * @param {bigint|number} projectId
+   * @returns {Promise<Object[]>}
+   */
+  async listVersions(projectId) {
+    const rows = await this.prisma.pafs_core_project_versions.findMany({
+      where: { project_id: Number(projectId) },
+      orderBy: { version: 'desc' },
+      select: {
+        version: true,
+        state: true,
+        created_by: true,
+        created_at: true
+      }
+    })
+
+    const userNames = await this._resolveUserNames(rows)
+
+    return rows.map((row) => ({
+      version: row.version,
+      state: row.state,
+      createdBy: row.created_by == null ? null : Number(row.created_by),
+      createdByName:
+        row.created_by == null
+          ? null
+          : (userNames.get(String(row.created_by)) ?? null),
+      createdAt: row.created_at
+    }))
+  }
+
+  /**
+   * Get a single version including its snapshot
+   * @param {bigint|number} projectId
+   * @param {number} version
+   * @returns {Promise<Object|null>}
+   */
+  async getVersion(projectId, version) {
+    return this.prisma.pafs_core_project_versions.findUnique({
+      where: {
+        project_id_version: { project_id: Number(projectId), version }
+      }
+    })
+  }
+
+  /**
+   * Compare two versions of a project
+   * @param {bigint|number} projectId
+   * @param {number} fromVersion
+   * @param {number} toVersion
+   * @returns {Promise<Object>} { from, to, changes } with missingVersions
+   *   listing any version that does not exist
+   */
+  async diffVersions(projectId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(projectId, fromVersion),
+      this.getVersion(projectId, toVersion)
+    ])
+
+    const missingVersions = [
+      [fromVersion, from],
+      [toVersion, to]
+    ]
+      .filter(([, row]) => !row)
+      .map(([version]) => version)
+
+    if (missingVersions.length > 0) {
+      return { missingVersions }
+    }
+
+    return {
+      missingVersions: [],
+      from: {
+        version: from.version,
+        state: from.state,
+        createdAt: from.created_at
+      },
+      to: { version: to.version, state: to.state, createdAt: to.created_at },
+      changes: diffProjectSnapshots(from.snapshot, to.snapshot)
+    }
+  }
+
+  /**
+   * Map creator user IDs to display names in a single query
+   * @private
+   */
+  async _resolveUserNames(rows) {
+    const userIds = [
+      ...new Set(
+        rows
+          .filter((r) => r.created_by != null)
+          .map((r) => String(r.created_by))
+      )
+    ]
+
+    if (userIds.length === 0) {
+      return new Map()
+    }
+
+    const users = await this.prisma.pafs_core_users.findMany({
+      where: { id: { in: userIds.map(BigInt) } },
+      select: { id: true, first_name: true, last_name: true }
+    })
+
+    return new Map(
+      users.map((u) => [
+        String(u.id),
+        `${u.first_name} ${u.last_name}`.trim() || null
+      ])
+    )
+  }
+}
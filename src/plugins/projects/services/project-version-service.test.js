@@ -0,0 +1,245 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { ProjectVersionService } from './project-version-service.js'
+
+describe('ProjectVersionService', () => {
+  let mockPrisma
+  let mockTx
+  let mockLogger
+  let service
+
+  const project = {
+    id: 10,
+    referenceNumber: 'ANC501E/000A/001A',
+    name: 'Flood wall',
+    pafs_core_funding_values: [{ id: 1, financialYear: 2026, fcermGia: 5n }]
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockTx = {
+      pafs_core_project_versions: {
+        findFirst: vi.fn().mockResolvedValue(null),
+        create: vi.fn().mockResolvedValue({})
+      }
+    }
+    mockPrisma = {
+      pafs_core_flood_protection_outcomes: {
+        findMany: vi
+          .fn()
+          .mockResolvedValue([
+            { financial_year: 2026, households_at_reduced_risk: 4 }
+          ])
+      },
+      pafs_core_flood_protection2040_outcomes: {
+        findMany: vi.fn().mockResolvedValue([])
+      },
+      pafs_core_coastal_erosion_protection_outcomes: {
+        findMany: vi.fn().mockResolvedValue([])
+      },
+      pafs_core_project_versions: {
+        findMany: vi.fn(),
+        findUnique: vi.fn()
+      },
+      pafs_core_users: { findMany: vi.fn().mockResolvedValue([]) },
+      $transaction: vi.fn(async (callback) => callback(mockTx))
+    }
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    service = new ProjectVersionService(mockPrisma, mockLogger)
+  })
+
+  describe('createSnapshot', () => {
+    test('stores version 1 for the first submission', async () => {
+      const version = await service.createSnapshot(project, {
+        state: 'submitted',
+        userId: 7
+      })
+
+      expect(version).toBe(1)
+      expect(
+        mockPrisma.pafs_core_flood_protection_outcomes.findMany
+      ).toHaveBeenCalledWith({ where: { project_id: 10n } })
+      expect(mockTx.pafs_core_project_versions.create).toHaveBeenCalledWith({
+        data: {
+          project_id: 10,
+          reference_number: 'ANC501E/000A/001A',
+          version: 1,
+          state: 'submitted',
+          snapshot: expect.objectContaining({
+            project: {
+              referenceNumber: 'ANC501E/000A/001A',
+              name: 'Flood wall'
+            },
+            fundingValues: [{ financialYear: 2026, fcermGia: 5 }],
+            outcomes: expect.objectContaining({
+              floodProtection: [
+                { financialYear: 2026, householdsAtReducedRisk: 4 }
+              ]
+            })
+          }),
+          created_by: 7n
+        }
+      })
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { referenceNumber: 'ANC501E/000A/001A', version: 1 },
+        'Project version snapshot created'
+      )
+    })
+
+    test('increments from the latest stored version', async () => {
+      mockTx.pafs_core_project_versions.findFirst.mockResolvedValue({
+        version: 3
+      })
+
+      const version = await service.createSnapshot(project, {
+        state: 'submitted'
+      })
+
+      expect(version).toBe(4)
+      expect(mockTx.pafs_core_project_versions.findFirst).toHaveBeenCalledWith({
+        where: { project_id: 10 },
+        orderBy: { version: 'desc' },
+        select: { version: true }
+      })
+      expect(
+        mockTx.pafs_core_project_versions.create.mock.calls[0][0].data
+          .created_by
+      ).toBeNull()
+    })
+
+    test('logs and rethrows when the write fails', async () => {
+      const error = new Error('duplicate key')
+      mockPrisma.$transaction.mockRejectedValue(error)
+
+      await expect(
+        service.createSnapshot(project, { state: 'submitted' })
+      ).rejects.toThrow('duplicate key')
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        { err: error, referenceNumber: 'ANC501E/000A/001A' },
+        'Error creating project version snapshot'
+      )
+    })
+  })
+
+  describe('listVersions', () => {
+    test('returns versions newest first with creator names', async () => {
+      const createdAt = new Date('2026-02-01T00:00:00Z')
+      mockPrisma.pafs_core_project_versions.findMany.mockResolvedValue([
+        {
+          version: 2,
+          state: 'submitted',
+          created_by: 7n,
+          created_at: createdAt
+        },
+        {
+          version: 1,
+          state: 'submitted',
+          created_by: null,
+          created_at: createdAt
+        }
+      ])
+      mockPrisma.pafs_core_users.findMany.mockResolvedValue([
+        { id: 7n, first_name: 'Jane', last_name: 'Smith' }
+      ])
+
+      const versions = await service.listVersions(10n)
+
+      expect(
+        mockPrisma.pafs_core_project_versions.findMany
+      ).toHaveBeenCalledWith({
+        where: { project_id: 10 },
+        orderBy: { version: 'desc' },
+        select: {
+          version: true,
+          state: true,
+          created_by: true,
+          created_at: true
+        }
+      })
+      expect(versions).toEqual([
+        {
+          version: 2,
+          state: 'submitted',
+          createdBy: 7,
+          createdByName: 'Jane Smith',
+          createdAt
+        },
+        {
+          version: 1,
+          state: 'submitted',
+          createdBy: null,
+          createdByName: null,
+          createdAt
+        }
+      ])
+    })
+
+    test('skips the user lookup when there are no versions', async () => {
+      mockPrisma.pafs_core_project_versions.findMany.mockResolvedValue([])
+
+      expect(await service.listVersions(10)).toEqual([])
+      expect(mockPrisma.pafs_core_users.findMany).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getVersion', () => {
+    test('looks up the version by its compound key', async () => {
+      mockPrisma.pafs_core_project_versions.findUnique.mockResolvedValue({
+        version: 2
+      })
+
+      expect(await service.getVersion(10n, 2)).toEqual({ version: 2 })
+      expect(
+        mockPrisma.pafs_core_project_versions.findUnique
+      ).toHaveBeenCalledWith({
+        where: { project_id_version: { project_id: 10, version: 2 } }
+      })
+    })
+  })
+
+  describe('diffVersions', () => {
+    const createdAt = new Date('2026-02-01T00:00:00Z')
+
+    test('returns the field-level changes between two versions', async () => {
+      mockPrisma.pafs_core_project_versions.findUnique
+        .mockResolvedValueOnce({
+          version: 1,
+          state: 'submitted',
+          created_at: createdAt,
+          snapshot: { project: { name: 'Old' } }
+        })
+        .mockResolvedValueOnce({
+          version: 2,
+          state: 'submitted',
+          created_at: createdAt,
+          snapshot: { project: { name: 'New' } }
+        })
+
+      const diff = await service.diffVersions(10, 1, 2)
+
+      expect(diff).toEqual({
+        missingVersions: [],
+        from: { version: 1, state: 'submitted', createdAt },
+        to: { version: 2, state: 'submitted', createdAt },
+        changes: [
+          {
+            field: 'project.name',
+            changeType: 'changed',
+            from: 'Old',
+            to: 'New'
+          }
+        ]
+      })
+    })
+
+    test('lists the versions that do not exist', async () => {
+      mockPrisma.pafs_core_project_versions.findUnique
+        .mockResolvedValueOnce({ version: 1, snapshot: {} })
+        .mockResolvedValueOnce(null)
+
+      expect(await service.diffVersions(10, 1, 5)).toEqual({
+        missingVersions: [5]
+      })
+    })
+  })
+})
@@ -0,0 +1,86 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectStateService } from '../services/project-state-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_VALIDATION_MESSAGES } from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+
+const statusHistory = {
+  method: 'GET',
+  path: '/api/v1/project/{referenceNumber}/status-history',
+  options: {
+    auth: 'jwt',
+    description: 'Get the status history of a project',
+    notes:
+      'Returns every status transition for a project, oldest first, ' +
+      'with the actor type, actor name and optional reason.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number')
+      }),
+      failAction: validationFailAction
+    },
+    handler: async (request, h) => {
+      const referenceNumber = request.params.referenceNumber.replaceAll(
+        '-',
+        '/'
+      )
+
+      try {
+        const projectService = new ProjectService(
+          request.prisma,
+          request.server.logger
+        )
+        const project =
+          await projectService.getProjectByReference(referenceNumber)
+
+        if (!project) {
+          return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+            {
+              errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+              message: `Project '${referenceNumber}' not found`
+            }
+          ])
+        }
+
+        const stateService = new ProjectStateService(
+          request.prisma,
+          request.server.logger
+        )
+        const [currentStatus, history] = await request.metrics.timer(
+          'dbQueryDuration',
+          () =>
+            Promise.all([
+              stateService.getCurrentState(project.id),
+              stateService.getHistory(project.id)
+            ]),
+          { operation: 'getStatusHistory' }
+        )
+
+        return buildSuccessResponse(h, {
+          success: true,
+          data: {
+            referenceNumber: project.reference_number,
+            currentStatus,
+            history
+          }
+        })
+      } catch (error) {
+        request.server.logger.error(
+          { error: error.message, referenceNumber },
+          'Failed to retrieve project status history'
+        )
+        return h
+          .response({ error: 'Failed to retrieve project status history' })
+          .code(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      }
+    }
+  }
+}
+
+export default statusHistory
@@ -0,0 +1,145 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import statusHistory from './status-history.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectStateService } from '../services/project-state-service.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../services/project-state-service.js')
+
+describe('status-history route', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  const history = [
+    {
+      id: 1,
+      fromStatus: 'draft',
+      toStatus: 'submitted',
+      actorType: 'rma',
+      actorId: 7,
+      actorName: 'Jane Smith',
+      reason: null,
+      createdAt: new Date('2026-01-01T10:00:00Z')
+    }
+  ]
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      params: { referenceNumber: 'ANC501E-000A-001A' },
+      prisma: {},
+      auth: { credentials: { userId: 1 } },
+      server: { logger: mockLogger },
+      metrics: { timer: vi.fn(async (_name, fn) => fn()) }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue({ id: 3n, reference_number: 'ANC501E/000A/001A' })
+    ProjectStateService.prototype.getCurrentState = vi
+      .fn()
+      .mockResolvedValue('submitted')
+    ProjectStateService.prototype.getHistory = vi
+      .fn()
+      .mockResolvedValue(history)
+  })
+
+  describe('route configuration', () => {
+    test('Should be a GET on the status-history path', () => {
+      expect(statusHistory.method).toBe('GET')
+      expect(statusHistory.path).toBe(
+        '/api/v1/project/{referenceNumber}/status-history'
+      )
+    })
+
+    test('Should use JWT authentication', () => {
+      expect(statusHistory.options.auth).toBe('jwt')
+    })
+
+    test('Should have proper tags', () => {
+      expect(statusHistory.options.tags).toEqual(['api', 'projects'])
+    })
+
+    test('Should require a reference number', () => {
+      const schema = statusHistory.options.validate.params
+      expect(schema.validate({}).error).toBeDefined()
+      expect(
+        schema.validate({ referenceNumber: 'ANC501E-000A-001A' }).error
+      ).toBeUndefined()
+    })
+  })
+
+  describe('handler', () => {
+    test('Should return the current status and history', async () => {
+      const result = await statusHistory.options.handler(mockRequest, mockH)
+
+      expect(
+        ProjectService.prototype.getProjectByReference
+      ).toHaveBeenCalledWith('ANC501E/000A/001A')
+      expect(
+        ProjectStateService.prototype.getCurrentState
+      ).toHaveBeenCalledWith(3n)
+      expect(ProjectStateService.prototype.getHistory).toHaveBeenCalledWith(3n)
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({
+        success: true,
+        data: {
+          referenceNumber: 'ANC501E/000A/001A',
+          currentStatus: 'submitted',
+          history
+        }
+      })
+    })
+
+    test('Should time the history query', async () => {
+      await statusHistory.options.handler(mockRequest, mockH)
+
+      expect(mockRequest.metrics.timer).toHaveBeenCalledWith(
+        'dbQueryDuration',
+        expect.any(Function),
+        { operation: 'getStatusHistory' }
+      )
+    })
+
+    test('Should return 404 when project not found', async () => {
+      ProjectService.prototype.getProjectByReference = vi
+        .fn()
+        .mockResolvedValue(null)
+
+      const result = await statusHistory.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(result.data.errors[0].errorCode).toBe('PROJECT_NOT_FOUND')
+      expect(ProjectStateService.prototype.getHistory).not.toHaveBeenCalled()
+    })
+
+    test('Should return 500 when the history lookup fails', async () => {
+      ProjectStateService.prototype.getHistory = vi
+        .fn()
+        .mockRejectedValue(new Error('DB down'))
+
+      const result = await statusHistory.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data).toEqual({
+        error: 'Failed to retrieve project status history'
+      })
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        { error: 'DB down', referenceNumber: 'ANC501E/000A/001A' },
+        'Failed to retrieve project status history'
+      )
+    })
+  })
+})
@@ -1,10 +1,10 @@
 import Joi from 'joi'
 import { config } from '../../../config.js'
 import { ProjectService } from '../services/project-service.js'
+import { ProjectVersionService } from '../services/project-version-service.js'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
 import {
   PROJECT_STATUS,
-  EDITABLE_STATUSES,
   PROJECT_VALIDATION_MESSAGES
 } from '../../../common/constants/project.js'
 import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
@@ -17,8 +17,15 @@ import {
   validateSubmission,
   canSubmitProject
 } from '../helpers/project-validations/validate-submission.js'
+import {
+  checkStatusTransition,
+  resolveStatusActor
+} from '../helpers/project-state-machine.js'
 import { sendExternalSubmissionMessage } from '../../../common/helpers/sqs/send-external-submission-message.js'
 
+const getProjectState = (project) =>
+  project.projectState ?? project.state ?? project.status
+
 const loadProject = async (projectService, referenceNumber, h) => {
   try {
     const project =
@@ -90,7 +97,12 @@ const transitionToSubmitted = async (
     await projectService.transitionToSubmitted(
       project.id,
       referenceNumber,
-      project.isLegacy
+      project.isLegacy,
+      {
+        fromState: getProjectState(project),
+        actorType: resolveStatusActor(credentials),
+        actorId: credentials.userId
+      }
     )
     logger.info(
       { referenceNumber, userId: credentials.userId },
@@ -108,6 +120,26 @@ const transitionToSubmitted = async (
   }
 }
 
+/**
+ * Only draft and revise projects can be submitted here. The state machine also
+ * allows an admin submitted → submitted resend, but that goes through the
+ * admin resubmit endpoint, so it is rejected here.
+ */
+const isSubmittableState = (projectState, credentials) => {
+  if (projectState === PROJECT_STATUS.SUBMITTED) {
+    return false
+  }
+  const transitionCheck = checkStatusTransition(
+    projectState,
+    PROJECT_STATUS.SUBMITTED,
+    resolveStatusActor(credentials)
+  )
+  return (
+    transitionCheck.errorCode !==
+    PROJECT_VALIDATION_MESSAGES.INVALID_STATUS_TRANSITION
+  )
+}
+
 const validateProjectForSubmission = async (
   projectService,
   referenceNumber,
@@ -127,8 +159,8 @@ const validateProjectForSubmission = async (
     return { project: null, errorResponse: projectErr }
   }
 
-  const projectState = project.projectState ?? project.state ?? project.status
-  if (!EDITABLE_STATUSES.includes(projectState)) {
+  const projectState = getProjectState(project)
+  if (!isSubmittableState(projectState, credentials)) {
     return {
       project: null,
       errorResponse: buildErrorResponse(h, HTTP_STATUS.UNPROCESSABLE_ENTITY, [
@@ -170,6 +202,29 @@ const validateProjectForSubmission = async (
   return { project, errorResponse: null }
 }
 
+/**
+ * Freeze a version snapshot of the submitted project. The submission is
+ * already committed, so a failure here is logged rather than returned.
+ */
+const snapshotSubmittedVersion = async (request, project, credentials) => {
+  const { logger } = request.server
+  try {
+    const versionService = new ProjectVersionService(request.prisma, logger)
+    await versionService.createSnapshot(project, {
+      state: PROJECT_STATUS.SUBMITTED,
+      userId: credentials.userId
+    })
+  } catch (snapshotError) {
+    logger.error(
+      {
+        error: snapshotError.message,
+        referenceNumber: project.referenceNumber
+      },
+      'Failed to create version snapshot for submitted project'
+    )
+  }
+}
+
 const handler = async (request, h) => {
   const referenceNumber = request.params.referenceNumber.replaceAll('-', '/')
   const { credentials } = request.auth
@@ -205,6 +260,8 @@ const handler = async (request, h) => {
     return transitionErr
   }
 
+  await snapshotSubmittedVersion(request, project, credentials)
+
   try {
     await sendExternalSubmissionMessage(
       request.server.sqs,
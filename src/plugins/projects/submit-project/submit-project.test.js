@@ -11,6 +11,9 @@ import {
 vi.mock('../services/project-service.js', () => ({
   ProjectService: vi.fn()
 }))
+vi.mock('../services/project-version-service.js', () => ({
+  ProjectVersionService: vi.fn()
+}))
 vi.mock('../helpers/project-validations/validate-submission.js', () => ({
   validateSubmission: vi.fn(),
   canSubmitProject: vi.fn()
@@ -38,6 +41,7 @@ vi.mock('../../../config.js', () => ({
 }))
 
 import { ProjectService } from '../services/project-service.js'
+import { ProjectVersionService } from '../services/project-version-service.js'
 import {
   validateSubmission,
   canSubmitProject
@@ -120,6 +124,7 @@ describe('submitProject route definition', () => {
 
 describe('submit-project handler', () => {
   let mockProjectService
+  let mockVersionService
   let request
   let h
 
@@ -135,6 +140,11 @@ describe('submit-project handler', () => {
       return mockProjectService
     })
 
+    mockVersionService = { createSnapshot: vi.fn().mockResolvedValue(1) }
+    ProjectVersionService.mockImplementation(function () {
+      return mockVersionService
+    })
+
     validateSubmission.mockReturnValue([])
     canSubmitProject.mockReturnValue({ allowed: true })
 
@@ -188,7 +198,9 @@ describe('submit-project handler', () => {
   test.each([
     PROJECT_STATUS.SUBMITTED,
     PROJECT_STATUS.APPROVED,
-    PROJECT_STATUS.ARCHIVED
+    PROJECT_STATUS.REJECTED,
+    PROJECT_STATUS.ARCHIVED,
+    PROJECT_STATUS.COMPLETED
   ])('returns 422 when project is in %s state', async (state) => {
     mockProjectService.getProjectByReferenceNumber.mockResolvedValue({
       ...DRAFT_PROJECT,
@@ -227,6 +239,17 @@ describe('submit-project handler', () => {
     expect(h.code).not.toHaveBeenCalledWith(HTTP_STATUS.UNPROCESSABLE_ENTITY)
   })
 
+  test('returns 422 for an admin when the project is already submitted', async () => {
+    request.auth.credentials.isAdmin = true
+    mockProjectService.getProjectByReferenceNumber.mockResolvedValue({
+      ...DRAFT_PROJECT,
+      projectState: PROJECT_STATUS.SUBMITTED
+    })
+    await submitProjectRoute.options.handler(request, h)
+    expect(h.code).toHaveBeenCalledWith(HTTP_STATUS.UNPROCESSABLE_ENTITY)
+    expect(mockProjectService.transitionToSubmitted).not.toHaveBeenCalled()
+  })
+
   test('returns 422 with PROJECT_NOT_DRAFT errorCode when not editable', async () => {
     mockProjectService.getProjectByReferenceNumber.mockResolvedValue({
       ...DRAFT_PROJECT,
@@ -347,6 +370,34 @@ describe('submit-project handler', () => {
     expect(validateSubmission).toHaveBeenCalledWith(DRAFT_PROJECT)
   })
 
+  // ─── Version snapshot ─────────────────────────────────────────────────────
+
+  test('snapshots the submitted project as a new version', async () => {
+    await submitProjectRoute.options.handler(request, h)
+    expect(mockVersionService.createSnapshot).toHaveBeenCalledWith(
+      DRAFT_PROJECT,
+      { state: PROJECT_STATUS.SUBMITTED, userId: BigInt(1) }
+    )
+  })
+
+  test('does not snapshot when the submission fails', async () => {
+    mockProjectService.transitionToSubmitted.mockRejectedValue(
+      new Error('DB error')
+    )
+    await submitProjectRoute.options.handler(request, h)
+    expect(mockVersionService.createSnapshot).not.toHaveBeenCalled()
+  })
+
+  test('logs and still succeeds when the snapshot fails', async () => {
+    mockVersionService.createSnapshot.mockRejectedValue(new Error('tx failed'))
+    await submitProjectRoute.options.handler(request, h)
+    expect(request.server.logger.error).toHaveBeenCalledWith(
+      expect.objectContaining({ error: 'tx failed' }),
+      'Failed to create version snapshot for submitted project'
+    )
+    expect(h.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+  })
+
   // ─── Successful submission ────────────────────────────────────────────────
 
   test('calls transitionToSubmitted with project id, referenceNumber and isLegacy', async () => {
@@ -354,7 +405,40 @@ describe('submit-project handler', () => {
     expect(mockProjectService.transitionToSubmitted).toHaveBeenCalledWith(
       DRAFT_PROJECT.id,
       'LCR/123/456',
-      DRAFT_PROJECT.isLegacy
+      DRAFT_PROJECT.isLegacy,
+      expect.any(Object)
+    )
+  })
+
+  test('records the transition from the current state with the submitting user', async () => {
+    await submitProjectRoute.options.handler(request, h)
+    expect(mockProjectService.transitionToSubmitted).toHaveBeenCalledWith(
+      DRAFT_PROJECT.id,
+      'LCR/123/456',
+      DRAFT_PROJECT.isLegacy,
+      {
+        fromState: PROJECT_STATUS.DRAFT,
+        actorType: 'rma',
+        actorId: BigInt(1)
+      }
+    )
+  })
+
+  test('records the admin as the actor when an admin submits', async () => {
+    request.auth.credentials.isAdmin = true
+    mockProjectService.getProjectByReferenceNumber.mockResolvedValue({
+      ...DRAFT_PROJECT,
+      projectState: PROJECT_STATUS.REVISE
+    })
+    await submitProjectRoute.options.handler(request, h)
+    expect(mockProjectService.transitionToSubmitted).toHaveBeenCalledWith(
+      DRAFT_PROJECT.id,
+      'LCR/123/456',
+      DRAFT_PROJECT.isLegacy,
+      expect.objectContaining({
+        fromState: PROJECT_STATUS.REVISE,
+        actorType: 'admin'
+      })
     )
   })
 
@@ -367,7 +451,8 @@ describe('submit-project handler', () => {
     expect(mockProjectService.transitionToSubmitted).toHaveBeenCalledWith(
       DRAFT_PROJECT.id,
       'LCR/123/456',
-      true
+      true,
+      expect.any(Object)
     )
   })
 
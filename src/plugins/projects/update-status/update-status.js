@@ -1,5 +1,7 @@
 import Joi from 'joi'
 import { ProjectService } from '../services/project-service.js'
+import { ProjectStateService } from '../services/project-state-service.js'
+import { AreaService } from '../../areas/services/area-service.js'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
 import {
   PROJECT_STATUS,
@@ -10,9 +12,93 @@ import {
   buildSuccessResponse,
   buildErrorResponse
 } from '../../../common/helpers/response-builder.js'
+import {
+  checkStatusTransition,
+  resolveStatusActor
+} from '../helpers/project-state-machine.js'
+import { canUpdateProject } from '../helpers/project-permissions.js'
 
 const validStatuses = Object.values(PROJECT_STATUS)
 
+/**
+ * Check the user has area access to the project.
+ * Admins skip the lookup; everyone else needs RMA or parent PSO access.
+ */
+async function checkAreaAccess(request, project) {
+  const { credentials } = request.auth
+  if (credentials.isAdmin) {
+    return { allowed: true }
+  }
+
+  const areaProject = await request.prisma.pafs_core_area_projects.findFirst({
+    where: { project_id: Number(project.id) },
+    select: { area_id: true }
+  })
+  if (!areaProject) {
+    return canUpdateProject(credentials, null)
+  }
+
+  const areaService = new AreaService(request.prisma, request.server.logger)
+  const areaDetails = await areaService.getAreaByIdWithParents(
+    areaProject.area_id
+  )
+
+  return canUpdateProject(credentials, areaDetails)
+}
+
+/**
+ * Validate the requested transition against the state machine and the
+ * user's area access. Returns an error response, or null when allowed.
+ */
+async function validateTransition(request, h, project, currentState, status) {
+  const { credentials } = request.auth
+
+  if (status === PROJECT_STATUS.SUBMITTED) {
+    return buildErrorResponse(h, HTTP_STATUS.UNPROCESSABLE_ENTITY, [
+      {
+        errorCode: PROJECT_VALIDATION_MESSAGES.SUBMISSION_ENDPOINT_REQUIRED,
+        message:
+          'Projects must be submitted through the submit endpoint so submission rules are applied'
+      }
+    ])
+  }
+
+  const transitionCheck = checkStatusTransition(
+    currentState,
+    status,
+    resolveStatusActor(credentials)
+  )
+  if (!transitionCheck.allowed) {
+    const statusCode =
+      transitionCheck.errorCode ===
+      PROJECT_VALIDATION_MESSAGES.INVALID_STATUS_TRANSITION
+        ? HTTP_STATUS.UNPROCESSABLE_ENTITY
+        : HTTP_STATUS.FORBIDDEN
+    return buildErrorResponse(h, statusCode, [
+      { errorCode: transitionCheck.errorCode, message: transitionCheck.reason }
+    ])
+  }
+
+  const accessCheck = await checkAreaAccess(request, project)
+  if (!accessCheck.allowed) {
+    request.server.logger.warn(
+      {
+        userId: credentials.userId,
+        referenceNumber: project.reference_number
+      },
+      'User does not have permission to change project status'
+    )
+    return buildErrorResponse(h, HTTP_STATUS.FORBIDDEN, [
+      {
+        errorCode: PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS,
+        message: accessCheck.reason
+      }
+    ])
+  }
+
+  return null
+}
+
 const updateStatus = {
   method: 'PUT',
   path: '/api/v1/project/{referenceNumber}/status',
@@ -20,7 +106,9 @@ const updateStatus = {
     auth: 'jwt',
     description: 'Update the status of a project',
     notes:
-      'Updates the state of an existing project identified by its reference number.',
+      'Updates the state of an existing project identified by its reference number. ' +
+      'Only transitions permitted by the project state machine for the user role are accepted, ' +
+      'and every transition is recorded in the status history.',
     tags: ['api', 'projects'],
     validate: {
       params: Joi.object({
@@ -34,6 +122,15 @@ const updateStatus = {
           .messages({
             'any.only': PROJECT_VALIDATION_MESSAGES.INVALID_DATA,
             'any.required': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
+          }),
+        reason: Joi.string()
+          .trim()
+          .max(2000)
+          .allow('', null)
+          .optional()
+          .label('Reason')
+          .messages({
+            'string.max': PROJECT_VALIDATION_MESSAGES.INVALID_DATA
           })
       }),
       failAction: validationFailAction
@@ -43,7 +140,8 @@ const updateStatus = {
         '-',
         '/'
       )
-      const { status } = request.payload
+      const { status, reason } = request.payload
+      const { credentials } = request.auth
 
       try {
         const projectService = new ProjectService(
@@ -63,12 +161,37 @@ const updateStatus = {
           ])
         }
 
-        await projectService.upsertProjectState(project.id, status)
+        const stateService = new ProjectStateService(
+          request.prisma,
+          request.server.logger
+        )
+        const currentState = await stateService.getCurrentState(project.id)
+
+        const errorResponse = await validateTransition(
+          request,
+          h,
+          project,
+          currentState,
+          status
+        )
+        if (errorResponse) {
+          return errorResponse
+        }
+
+        await stateService.transition({
+          projectId: project.id,
+          fromState: currentState,
+          toState: status,
+          actorType: resolveStatusActor(credentials),
+          actorId: credentials.userId,
+          reason: reason || null
+        })
 
         return buildSuccessResponse(h, {
           success: true,
           data: {
             referenceNumber: project.reference_number,
+            previousStatus: currentState,
             status
           }
         })
@@ -1,16 +1,28 @@
 import { describe, test, expect, beforeEach, vi } from 'vitest'
 import updateStatus from './update-status.js'
 import { HTTP_STATUS } from '../../../common/constants/index.js'
-import { PROJECT_STATUS } from '../../../common/constants/project.js'
+import {
+  PROJECT_STATUS,
+  PROJECT_VALIDATION_MESSAGES
+} from '../../../common/constants/project.js'
 import { ProjectService } from '../services/project-service.js'
+import { ProjectStateService } from '../services/project-state-service.js'
+import { AreaService } from '../../areas/services/area-service.js'
 
 vi.mock('../services/project-service.js')
+vi.mock('../services/project-state-service.js')
+vi.mock('../../areas/services/area-service.js')
 
 describe('update-status route', () => {
   let mockRequest
   let mockH
   let mockLogger
 
+  const mockProject = {
+    id: 1n,
+    reference_number: 'ANC501E/000A/001A'
+  }
+
   beforeEach(() => {
     vi.clearAllMocks()
 
@@ -25,12 +37,18 @@ describe('update-status route', () => {
         referenceNumber: 'ANC501E-000A-001A'
       },
       payload: {
-        status: 'submitted'
+        status: 'approved'
+      },
+      prisma: {
+        pafs_core_area_projects: {
+          findFirst: vi.fn().mockResolvedValue({ area_id: 10 })
+        }
       },
-      prisma: {},
       auth: {
         credentials: {
-          userId: 123
+          userId: 123,
+          isAdmin: true,
+          areas: []
         }
       },
       server: {
@@ -44,6 +62,19 @@ describe('update-status route', () => {
         code: vi.fn((statusCode) => ({ data, statusCode }))
       }))
     }
+
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue(mockProject)
+    ProjectStateService.prototype.getCurrentState = vi
+      .fn()
+      .mockResolvedValue(PROJECT_STATUS.SUBMITTED)
+    ProjectStateService.prototype.transition = vi
+      .fn()
+      .mockResolvedValue(undefined)
+    AreaService.prototype.getAreaByIdWithParents = vi
+      .fn()
+      .mockResolvedValue({ id: 10, PSO: { id: 5 } })
   })
 
   describe('route configuration', () => {
@@ -74,56 +105,60 @@ describe('update-status route', () => {
       expect(updateStatus.options.validate.payload).toBeDefined()
       expect(updateStatus.options.validate.params).toBeDefined()
     })
+
+    test('Should accept an optional reason', () => {
+      const { error } = updateStatus.options.validate.payload.validate({
+        status: 'approved',
+        reason: 'Signed off at board'
+      })
+      expect(error).toBeUndefined()
+    })
+
+    test('Should reject an unknown status', () => {
+      const { error } = updateStatus.options.validate.payload.validate({
+        status: 'unknown'
+      })
+      expect(error).toBeDefined()
+    })
   })
 
   describe('handler', () => {
-    test('Should update project status successfully', async () => {
-      const mockProject = {
-        id: 1n,
-        reference_number: 'ANC501E/000A/001A'
-      }
-
-      ProjectService.prototype.getProjectByReference = vi
-        .fn()
-        .mockResolvedValue(mockProject)
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({ id: 1n, state: 'submitted' })
+    test('Should update project status and record the transition', async () => {
+      mockRequest.payload.reason = 'Approved offline'
 
       const result = await updateStatus.options.handler(mockRequest, mockH)
 
       expect(
         ProjectService.prototype.getProjectByReference
       ).toHaveBeenCalledWith('ANC501E/000A/001A')
-      expect(ProjectService.prototype.upsertProjectState).toHaveBeenCalledWith(
-        1n,
-        'submitted'
-      )
+      expect(ProjectStateService.prototype.transition).toHaveBeenCalledWith({
+        projectId: 1n,
+        fromState: 'submitted',
+        toState: 'approved',
+        actorType: 'admin',
+        actorId: 123,
+        reason: 'Approved offline'
+      })
       expect(result.statusCode).toBe(HTTP_STATUS.OK)
       expect(result.data).toEqual({
         success: true,
         data: {
           referenceNumber: 'ANC501E/000A/001A',
-          status: 'submitted'
+          previousStatus: 'submitted',
+          status: 'approved'
         }
       })
     })
 
-    test('Should convert hyphens to slashes in reference number', async () => {
-      const mockProject = {
-        id: 2n,
-        reference_number: 'ANC501E/000A/001A'
-      }
-
-      ProjectService.prototype.getProjectByReference = vi
-        .fn()
-        .mockResolvedValue(mockProject)
-      ProjectService.prototype.upsertProjectState = vi
-        .fn()
-        .mockResolvedValue({ id: 2n, state: 'draft' })
+    test('Should store a null reason when none is given', async () => {
+      await updateStatus.options.handler(mockRequest, mockH)
 
-      mockRequest.payload.status = 'draft'
+      expect(ProjectStateService.prototype.transition).toHaveBeenCalledWith(
+        expect.objectContaining({ reason: null })
+      )
+    })
 
+    test('Should convert hyphens to slashes in reference number', async () => {
       await updateStatus.options.handler(mockRequest, mockH)
 
       expect(
@@ -148,15 +183,129 @@ describe('update-status route', () => {
           }
         ]
       })
-      expect(ProjectService.prototype.upsertProjectState).not.toHaveBeenCalled()
+      expect(ProjectStateService.prototype.transition).not.toHaveBeenCalled()
     })
 
-    test('Should return 500 when service throws error', async () => {
-      const dbError = new Error('Database connection failed')
+    test('Should direct submissions to the submit endpoint', async () => {
+      ProjectStateService.prototype.getCurrentState = vi
+        .fn()
+        .mockResolvedValue(PROJECT_STATUS.DRAFT)
+      mockRequest.payload.status = PROJECT_STATUS.SUBMITTED
+
+      const result = await updateStatus.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.UNPROCESSABLE_ENTITY)
+      expect(result.data.errors[0].errorCode).toBe(
+        PROJECT_VALIDATION_MESSAGES.SUBMISSION_ENDPOINT_REQUIRED
+      )
+      expect(ProjectStateService.prototype.transition).not.toHaveBeenCalled()
+    })
+
+    test('Should return 422 for a transition the state machine does not allow', async () => {
+      ProjectStateService.prototype.getCurrentState = vi
+        .fn()
+        .mockResolvedValue(PROJECT_STATUS.DRAFT)
+      mockRequest.payload.status = PROJECT_STATUS.APPROVED
 
+      const result = await updateStatus.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.UNPROCESSABLE_ENTITY)
+      expect(result.data.errors[0]).toEqual({
+        errorCode: PROJECT_VALIDATION_MESSAGES.INVALID_STATUS_TRANSITION,
+        message: "A project cannot move from 'draft' to 'approved'"
+      })
+      expect(ProjectStateService.prototype.transition).not.toHaveBeenCalled()
+    })
+
+    test('Should return 403 when the role may not make the transition', async () => {
+      mockRequest.auth.credentials = {
+        userId: 123,
+        isRma: true,
+        areas: [{ areaId: 10 }]
+      }
+
+      const result = await updateStatus.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+      expect(result.data.errors[0].errorCode).toBe(
+        PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS
+      )
+      expect(ProjectStateService.prototype.transition).not.toHaveBeenCalled()
+    })
+
+    test('Should return 403 when the user has no access to the project area', async () => {
+      mockRequest.auth.credentials = {
+        userId: 123,
+        isPso: true,
+        areas: [{ areaId: 99 }]
+      }
+      mockRequest.payload.status = PROJECT_STATUS.REVISE
+
+      const result = await updateStatus.options.handler(mockRequest, mockH)
+
+      expect(AreaService.prototype.getAreaByIdWithParents).toHaveBeenCalledWith(
+        10
+      )
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+      expect(result.data.errors[0].errorCode).toBe(
+        PROJECT_VALIDATION_MESSAGES.NOT_ALLOWED_TO_CHANGE_STATUS
+      )
+      expect(mockLogger.warn).toHaveBeenCalled()
+      expect(ProjectStateService.prototype.transition).not.toHaveBeenCalled()
+    })
+
+    test('Should return 403 when the project has no area', async () => {
+      mockRequest.prisma.pafs_core_area_projects.findFirst.mockResolvedValue(
+        null
+      )
+      mockRequest.auth.credentials = {
+        userId: 123,
+        isPso: true,
+        areas: [{ areaId: 5 }]
+      }
+      mockRequest.payload.status = PROJECT_STATUS.REVISE
+
+      const result = await updateStatus.options.handler(mockRequest, mockH)
+
+      expect(
+        AreaService.prototype.getAreaByIdWithParents
+      ).not.toHaveBeenCalled()
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+    })
+
+    test('Should allow a PSO user with access to the parent PSO area', async () => {
+      mockRequest.auth.credentials = {
+        userId: 77,
+        isPso: true,
+        areas: [{ areaId: 5 }]
+      }
+      mockRequest.payload.status = PROJECT_STATUS.REVISE
+
+      const result = await updateStatus.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(ProjectStateService.prototype.transition).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fromState: 'submitted',
+          toState: 'revise',
+          actorType: 'pso',
+          actorId: 77
+        })
+      )
+    })
+
+    test('Should skip the area lookup for admins', async () => {
+      await updateStatus.options.handler(mockRequest, mockH)
+
+      expect(
+        mockRequest.prisma.pafs_core_area_projects.findFirst
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should return 500 when service throws error', async () => {
       ProjectService.prototype.getProjectByReference = vi
         .fn()
-        .mockRejectedValue(dbError)
+        .mockRejectedValue(new Error('Database connection failed'))
 
       const result = await updateStatus.options.handler(mockRequest, mockH)
 
@@ -168,22 +317,14 @@ describe('update-status route', () => {
         {
           error: 'Database connection failed',
           referenceNumber: 'ANC501E/000A/001A',
-          status: 'submitted'
+          status: 'approved'
         },
         'Failed to update project status'
       )
     })
 
-    test('Should return 500 when upsertProjectState throws error', async () => {
-      const mockProject = {
-        id: 1n,
-        reference_number: 'ANC501E/000A/001A'
-      }
-
-      ProjectService.prototype.getProjectByReference = vi
-        .fn()
-        .mockResolvedValue(mockProject)
-      ProjectService.prototype.upsertProjectState = vi
+    test('Should return 500 when the transition fails', async () => {
+      ProjectStateService.prototype.transition = vi
         .fn()
         .mockRejectedValue(new Error('State update failed'))
 
@@ -194,37 +335,5 @@ describe('update-status route', () => {
         error: 'Failed to update project status'
       })
     })
-
-    test('Should handle all valid status values', async () => {
-      const mockProject = {
-        id: 1n,
-        reference_number: 'ANC501E/000A/001A'
-      }
-
-      for (const status of Object.values(PROJECT_STATUS)) {
-        vi.clearAllMocks()
-
-        ProjectService.prototype.getProjectByReference = vi
-          .fn()
-          .mockResolvedValue(mockProject)
-        ProjectService.prototype.upsertProjectState = vi
-          .fn()
-          .mockResolvedValue({ id: 1n, state: status })
-
-        mockRequest.payload.status = status
-
-        mockH = {
-          response: vi.fn((data) => ({
-            data,
-            code: vi.fn((statusCode) => ({ data, statusCode }))
-          }))
-        }
-
-        const result = await updateStatus.options.handler(mockRequest, mockH)
-
-        expect(result.statusCode).toBe(HTTP_STATUS.OK)
-        expect(result.data.data.status).toBe(status)
-      }
-    })
   })
 })
@@ -38,7 +38,8 @@ import {
   normalizeCarbonFields,
   flushOutOfRangeFundingData,
   flushAllFundingData,
-  syncGrowthFundingFlag
+  syncGrowthFundingFlag,
+  handleOutcomesData
 } from '../helpers/payload-normalizers.js'
 
 /**
@@ -232,6 +233,13 @@ const applyPayloadNormalizers = async (
     existingProject,
     projectService
   )
+  // OUTCOMES level: replace per-year outcome rows in their own tables
+  await handleOutcomesData(
+    enrichedPayload,
+    validationLevel,
+    projectService,
+    existingProject?.id == null ? null : Number(existingProject.id)
+  )
 }
 
 const setAreaNameIfPresent = async (
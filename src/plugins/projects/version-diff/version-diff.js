@@ -0,0 +1,99 @@
+import Joi from 'joi'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectVersionService } from '../services/project-version-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_VALIDATION_MESSAGES } from '../../../common/constants/project.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import {
+  buildSuccessResponse,
+  buildErrorResponse
+} from '../../../common/helpers/response-builder.js'
+
+const versionNumber = (label) =>
+  Joi.number().integer().min(1).required().label(label)
+
+const versionDiff = {
+  method: 'GET',
+  path: '/api/v1/project/{referenceNumber}/versions/{fromVersion}/diff/{toVersion}',
+  options: {
+    auth: 'jwt',
+    description: 'Compare two submitted versions of a project',
+    notes:
+      'Returns field-level differences between two version snapshots. ' +
+      'Funding values, contributors and outcomes are matched by financial year, ' +
+      'NFM measures and land use changes by type.',
+    tags: ['api', 'projects'],
+    validate: {
+      params: Joi.object({
+        referenceNumber: Joi.string().required().label('Reference Number'),
+        fromVersion: versionNumber('From Version'),
+        toVersion: versionNumber('To Version')
+      }),
+      failAction: validationFailAction
+    },
+    handler: async (request, h) => {
+      const referenceNumber = request.params.referenceNumber.replaceAll(
+        '-',
+        '/'
+      )
+      const { fromVersion, toVersion } = request.params
+
+      try {
+        const projectService = new ProjectService(
+          request.prisma,
+          request.server.logger
+        )
+        const project =
+          await projectService.getProjectByReference(referenceNumber)
+
+        if (!project) {
+          return buildErrorResponse(h, HTTP_STATUS.NOT_FOUND, [
+            {
+              errorCode: PROJECT_VALIDATION_MESSAGES.PROJECT_NOT_FOUND,
+              message: `Project '${referenceNumber}' not found`
+            }
+          ])
+        }
+
+        const versionService = new ProjectVersionService(
+          request.prisma,
+          request.server.logger
+        )
+        const { missingVersions, ...diff } = await versionService.diffVersions(
+          project.id,
+          fromVersion,
+          toVersion
+        )
+
+        if (missingVersions.length > 0) {
+          return buildErrorResponse(
+            h,
+            HTTP_STATUS.NOT_FOUND,
+            missingVersions.map((version) => ({
+              errorCode: PROJECT_VALIDATION_MESSAGES.VERSION_NOT_FOUND,
+              message: `Version ${version} of project '${referenceNumber}' not found`
+            }))
+          )
+        }
+
+        return buildSuccessResponse(h, {
+          success: true,
+          data: {
+            referenceNumber: project.reference_number,
+            ...diff
+          }
+        })
+      } catch (error) {
+        request.server.logger.error(
+          { error: error.message, referenceNumber, fromVersion, toVersion },
+          'Failed to compare project versions'
+        )
+        return h
+          .response({ error: 'Failed to compare project versions' })
+          .code(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      }
+    }
+  }
+}
+
+export default versionDiff
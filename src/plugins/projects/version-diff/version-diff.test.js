@@ -0,0 +1,167 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import versionDiff from './version-diff.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { PROJECT_VALIDATION_MESSAGES } from '../../../common/constants/project.js'
+import { ProjectService } from '../services/project-service.js'
+import { ProjectVersionService } from '../services/project-version-service.js'
+
+vi.mock('../services/project-service.js')
+vi.mock('../services/project-version-service.js')
+
+describe('version-diff route', () => {
+  let mockRequest
+  let mockH
+  let mockLogger
+
+  const createdAt = new Date('2026-02-01T00:00:00Z')
+  const diff = {
+    from: { version: 1, state: 'submitted', createdAt },
+    to: { version: 2, state: 'submitted', createdAt },
+    changes: [
+      { field: 'project.name', changeType: 'changed', from: 'A', to: 'B' }
+    ]
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), error: vi.fn(), warn: vi.fn() }
+
+    mockRequest = {
+      params: {
+        referenceNumber: 'ANC501E-000A-001A',
+        fromVersion: 1,
+        toVersion: 2
+      },
+      prisma: {},
+      auth: { credentials: { userId: 1 } },
+      server: { logger: mockLogger }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ProjectService.prototype.getProjectByReference = vi
+      .fn()
+      .mockResolvedValue({ id: 3n, reference_number: 'ANC501E/000A/001A' })
+    ProjectVersionService.prototype.diffVersions = vi
+      .fn()
+      .mockResolvedValue({ missingVersions: [], ...diff })
+  })
+
+  describe('route configuration', () => {
+    test('Should be a GET on the diff path', () => {
+      expect(versionDiff.method).toBe('GET')
+      expect(versionDiff.path).toBe(
+        '/api/v1/project/{referenceNumber}/versions/{fromVersion}/diff/{toVersion}'
+      )
+    })
+
+    test('Should use JWT authentication', () => {
+      expect(versionDiff.options.auth).toBe('jwt')
+    })
+
+    test('Should accept positive integer versions', () => {
+      const schema = versionDiff.options.validate.params
+      const { error, value } = schema.validate({
+        referenceNumber: 'ANC501E-000A-001A',
+        fromVersion: '1',
+        toVersion: '3'
+      })
+      expect(error).toBeUndefined()
+      expect(value.fromVersion).toBe(1)
+    })
+
+    test('Should reject non-positive or non-numeric versions', () => {
+      const schema = versionDiff.options.validate.params
+      expect(
+        schema.validate({
+          referenceNumber: 'A',
+          fromVersion: 0,
+          toVersion: 1
+        }).error
+      ).toBeDefined()
+      expect(
+        schema.validate({
+          referenceNumber: 'A',
+          fromVersion: 'latest',
+          toVersion: 1
+        }).error
+      ).toBeDefined()
+    })
+  })
+
+  describe('handler', () => {
+    test('Should return the differences between two versions', async () => {
+      const result = await versionDiff.options.handler(mockRequest, mockH)
+
+      expect(ProjectVersionService.prototype.diffVersions).toHaveBeenCalledWith(
+        3n,
+        1,
+        2
+      )
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({
+        success: true,
+        data: { referenceNumber: 'ANC501E/000A/001A', ...diff }
+      })
+    })
+
+    test('Should return 404 when project not found', async () => {
+      ProjectService.prototype.getProjectByReference = vi
+        .fn()
+        .mockResolvedValue(null)
+
+      const result = await versionDiff.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(result.data.errors[0].errorCode).toBe('PROJECT_NOT_FOUND')
+    })
+
+    test('Should return 404 for each missing version', async () => {
+      ProjectVersionService.prototype.diffVersions = vi
+        .fn()
+        .mockResolvedValue({ missingVersions: [1, 2] })
+
+      const result = await versionDiff.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(result.data.errors).toEqual([
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.VERSION_NOT_FOUND,
+          message: "Version 1 of project 'ANC501E/000A/001A' not found"
+        },
+        {
+          errorCode: PROJECT_VALIDATION_MESSAGES.VERSION_NOT_FOUND,
+          message: "Version 2 of project 'ANC501E/000A/001A' not found"
+        }
+      ])
+    })
+
+    test('Should return 500 when the comparison fails', async () => {
+      ProjectVersionService.prototype.diffVersions = vi
+        .fn()
+        .mockRejectedValue(new Error('DB down'))
+
+      const result = await versionDiff.options.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data).toEqual({
+        error: 'Failed to compare project versions'
+      })
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        {
+          error: 'DB down',
+          referenceNumber: 'ANC501E/000A/001A',
+          fromVersion: 1,
+          toVersion: 2
+        },
+        'Failed to compare project versions'
+      )
+    })
+  })
+})
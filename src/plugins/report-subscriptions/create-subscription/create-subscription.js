@@ -0,0 +1,51 @@
+import { ReportSubscriptionService } from '../services/report-subscription-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { REPORT_SUBSCRIPTION_ERROR_CODES } from '../../../common/constants/report-subscriptions.js'
+import { createReportSubscriptionSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const createSubscription = {
+  method: 'POST',
+  path: '/api/v1/report-subscriptions',
+  options: {
+    auth: 'jwt',
+    description: 'Create a report subscription',
+    notes:
+      'Schedules a recurring programme report. On each run of the cron schedule ' +
+      'the programme is generated as the signed-in user, with the given area and ' +
+      'filters, and the recipients are emailed a link to the spreadsheet. ' +
+      'The "admin" scope generates the all proposals report and is admin only. ' +
+      'Recipients must have an active account.',
+    tags: ['api', 'report-subscriptions'],
+    validate: {
+      payload: createReportSubscriptionSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      const subscriptionService = new ReportSubscriptionService(
+        request.prisma,
+        request.server.logger
+      )
+      const subscription = await subscriptionService.createSubscription(
+        request.auth.credentials,
+        request.payload
+      )
+
+      return buildSuccessResponse(h, subscription, HTTP_STATUS.CREATED)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        REPORT_SUBSCRIPTION_ERROR_CODES.CREATE_FAILED,
+        'Failed to create report subscription'
+      )
+    }
+  }
+}
+
+export default createSubscription
@@ -0,0 +1,108 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import createSubscription from './create-subscription.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  REPORT_SUBSCRIPTION_ERROR_CODES,
+  REPORT_SUBSCRIPTION_VALIDATION_CODES
+} from '../../../common/constants/report-subscriptions.js'
+import { ForbiddenError } from '../../../common/errors/http-errors.js'
+import { ReportSubscriptionService } from '../services/report-subscription-service.js'
+
+vi.mock('../services/report-subscription-service.js')
+
+describe('create-subscription route', () => {
+  let mockRequest
+  let mockH
+
+  const payload = {
+    name: 'Monday report',
+    scope: 'user',
+    schedule: '0 7 * * 1',
+    recipients: ['team@example.com'],
+    filters: null
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      payload,
+      prisma: {},
+      auth: { credentials: { userId: 5, isAdmin: false } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ReportSubscriptionService.prototype.createSubscription = vi
+      .fn()
+      .mockResolvedValue({ id: 1, ...payload })
+  })
+
+  describe('route configuration', () => {
+    test('Should be a POST on the report subscriptions path', () => {
+      expect(createSubscription.method).toBe('POST')
+      expect(createSubscription.path).toBe('/api/v1/report-subscriptions')
+      expect(createSubscription.options.auth).toBe('jwt')
+    })
+
+    test('Should reject an invalid schedule', () => {
+      const { error } = createSubscription.options.validate.payload.validate({
+        ...payload,
+        schedule: 'every monday'
+      })
+      expect(error.details[0].message).toBe(
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.SCHEDULE_INVALID
+      )
+    })
+  })
+
+  describe('handler', () => {
+    test('Should create the subscription for the signed-in user', async () => {
+      const result = await createSubscription.handler(mockRequest, mockH)
+
+      expect(
+        ReportSubscriptionService.prototype.createSubscription
+      ).toHaveBeenCalledWith({ userId: 5, isAdmin: false }, payload)
+      expect(result.statusCode).toBe(HTTP_STATUS.CREATED)
+      expect(result.data).toMatchObject({ id: 1, name: 'Monday report' })
+    })
+
+    test('Should return 403 when a non-admin asks for the admin scope', async () => {
+      ReportSubscriptionService.prototype.createSubscription = vi
+        .fn()
+        .mockRejectedValue(
+          new ForbiddenError(
+            'Only admins can subscribe to the all proposals report',
+            REPORT_SUBSCRIPTION_ERROR_CODES.ADMIN_REQUIRED,
+            'scope'
+          )
+        )
+
+      const result = await createSubscription.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.FORBIDDEN)
+      expect(result.data.errors[0].errorCode).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.ADMIN_REQUIRED
+      )
+    })
+
+    test('Should return 500 when the insert fails', async () => {
+      ReportSubscriptionService.prototype.createSubscription = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await createSubscription.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.CREATE_FAILED
+      )
+    })
+  })
+})
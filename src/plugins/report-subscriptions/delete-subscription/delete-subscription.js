@@ -0,0 +1,48 @@
+import { ReportSubscriptionService } from '../services/report-subscription-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { REPORT_SUBSCRIPTION_ERROR_CODES } from '../../../common/constants/report-subscriptions.js'
+import { reportSubscriptionParamsSchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const deleteSubscription = {
+  method: 'DELETE',
+  path: '/api/v1/report-subscriptions/{subscriptionId}',
+  options: {
+    auth: 'jwt',
+    description: 'Delete a report subscription',
+    notes:
+      'Deletes a report subscription of the signed-in user. ' +
+      'Links to reports already emailed keep working until they expire.',
+    tags: ['api', 'report-subscriptions'],
+    validate: {
+      params: reportSubscriptionParamsSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      const subscriptionService = new ReportSubscriptionService(
+        request.prisma,
+        request.server.logger
+      )
+      await subscriptionService.deleteSubscription(
+        request.auth.credentials.userId,
+        request.params.subscriptionId
+      )
+
+      return buildSuccessResponse(h, { success: true }, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        REPORT_SUBSCRIPTION_ERROR_CODES.DELETE_FAILED,
+        'Failed to delete report subscription'
+      )
+    }
+  }
+}
+
+export default deleteSubscription
@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import deleteSubscription from './delete-subscription.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { REPORT_SUBSCRIPTION_ERROR_CODES } from '../../../common/constants/report-subscriptions.js'
+import { NotFoundError } from '../../../common/errors/http-errors.js'
+import { ReportSubscriptionService } from '../services/report-subscription-service.js'
+
+vi.mock('../services/report-subscription-service.js')
+
+describe('delete-subscription route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { subscriptionId: 3 },
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ReportSubscriptionService.prototype.deleteSubscription = vi
+      .fn()
+      .mockResolvedValue(undefined)
+  })
+
+  describe('route configuration', () => {
+    test('Should be a DELETE on a single report subscription', () => {
+      expect(deleteSubscription.method).toBe('DELETE')
+      expect(deleteSubscription.path).toBe(
+        '/api/v1/report-subscriptions/{subscriptionId}'
+      )
+      expect(deleteSubscription.options.auth).toBe('jwt')
+    })
+  })
+
+  describe('handler', () => {
+    test('Should delete the subscription', async () => {
+      const result = await deleteSubscription.handler(mockRequest, mockH)
+
+      expect(
+        ReportSubscriptionService.prototype.deleteSubscription
+      ).toHaveBeenCalledWith(5, 3)
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({ success: true })
+    })
+
+    test('Should return 404 when the subscription belongs to someone else', async () => {
+      ReportSubscriptionService.prototype.deleteSubscription = vi
+        .fn()
+        .mockRejectedValue(
+          new NotFoundError(
+            'Report subscription not found',
+            REPORT_SUBSCRIPTION_ERROR_CODES.NOT_FOUND,
+            null
+          )
+        )
+
+      const result = await deleteSubscription.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+    })
+
+    test('Should return 500 when the delete fails', async () => {
+      ReportSubscriptionService.prototype.deleteSubscription = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await deleteSubscription.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.DELETE_FAILED
+      )
+    })
+  })
+})
@@ -0,0 +1,79 @@
+import { ACCOUNT_STATUS } from '../../../common/constants/accounts.js'
+import { REPORT_SUBSCRIPTION_SCOPE } from '../../../common/constants/report-subscriptions.js'
+import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+
+const RECIPIENT_SELECT = {
+  id: true,
+  email: true,
+  first_name: true,
+  last_name: true,
+  admin: true
+}
+
+/**
+ * RMA areas a report covers: the area it is narrowed to, otherwise every
+ * area the owner can currently access
+ */
+async function resolveReportAreaIds(prisma, logger, ownerId, areaId) {
+  if (areaId) {
+    return [Number(areaId)]
+  }
+  const areaIds = await resolveAccessibleAreaIdsForUser(prisma, logger, ownerId)
+  return areaIds.map(Number)
+}
+
+async function coversAreas(prisma, logger, user, areaIds) {
+  const accessible = new Set(
+    (await resolveAccessibleAreaIdsForUser(prisma, logger, user.id)).map(Number)
+  )
+  return areaIds.every((id) => accessible.has(id))
+}
+
+/**
+ * Recipients of a report subscription that may receive its file. The file
+ * is emailed as a link that works without signing in, so a recipient needs
+ * an active account whose own access covers the report: admins only for
+ * the all proposals report, otherwise an admin or a user who can access
+ * every area the report covers.
+ *
+ * @param {Object} prisma
+ * @param {Object} logger
+ * @param {Object} params
+ * @param {string[]} params.recipients - Recipient email addresses
+ * @param {string} params.scope - REPORT_SUBSCRIPTION_SCOPE value
+ * @param {bigint|number} params.ownerId - Subscription owner
+ * @param {bigint|number|null} [params.areaId] - Area the report is narrowed to
+ * @returns {Promise<{ active: Object[], authorised: Object[] }>} Users with
+ *   an active account, and those of them allowed to receive the report
+ */
+export async function findAuthorisedRecipients(
+  prisma,
+  logger,
+  { recipients, scope, ownerId, areaId = null }
+) {
+  const active = await prisma.pafs_core_users.findMany({
+    where: {
+      email: { in: recipients },
+      status: ACCOUNT_STATUS.ACTIVE,
+      disabled: false
+    },
+    select: RECIPIENT_SELECT
+  })
+
+  if (scope === REPORT_SUBSCRIPTION_SCOPE.ADMIN) {
+    return { active, authorised: active.filter((user) => user.admin) }
+  }
+
+  const areaIds = await resolveReportAreaIds(prisma, logger, ownerId, areaId)
+  if (areaIds.length === 0) {
+    return { active, authorised: [] }
+  }
+
+  const authorised = []
+  for (const user of active) {
+    if (user.admin || (await coversAreas(prisma, logger, user, areaIds))) {
+      authorised.push(user)
+    }
+  }
+  return { active, authorised }
+}
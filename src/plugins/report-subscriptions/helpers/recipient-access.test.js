@@ -0,0 +1,145 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { findAuthorisedRecipients } from './recipient-access.js'
+import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+
+vi.mock('../../areas/helpers/user-areas.js', () => ({
+  resolveAccessibleAreaIdsForUser: vi.fn()
+}))
+
+const OWNER_ID = 5n
+
+function makeUser(id, overrides = {}) {
+  return {
+    id,
+    email: `user${id}@example.com`,
+    first_name: 'Sam',
+    last_name: 'Jones',
+    admin: false,
+    ...overrides
+  }
+}
+
+describe('findAuthorisedRecipients', () => {
+  let prisma
+  let logger
+  const areasByUser = new Map()
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    areasByUser.clear()
+
+    prisma = {
+      pafs_core_users: {
+        findMany: vi.fn().mockResolvedValue([])
+      }
+    }
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+
+    areasByUser.set(OWNER_ID, [4n, 9n])
+    resolveAccessibleAreaIdsForUser.mockImplementation(
+      async (_prisma, _logger, userId) => areasByUser.get(userId) ?? []
+    )
+  })
+
+  test('Should only look up active, enabled accounts', async () => {
+    await findAuthorisedRecipients(prisma, logger, {
+      recipients: ['a@example.com', 'b@example.com'],
+      scope: 'admin',
+      ownerId: OWNER_ID
+    })
+
+    expect(prisma.pafs_core_users.findMany).toHaveBeenCalledWith({
+      where: {
+        email: { in: ['a@example.com', 'b@example.com'] },
+        status: 'active',
+        disabled: false
+      },
+      select: {
+        id: true,
+        email: true,
+        first_name: true,
+        last_name: true,
+        admin: true
+      }
+    })
+  })
+
+  test('Should only authorise admins for the admin scope', async () => {
+    const admin = makeUser(1n, { admin: true })
+    const user = makeUser(2n)
+    prisma.pafs_core_users.findMany.mockResolvedValue([admin, user])
+
+    const result = await findAuthorisedRecipients(prisma, logger, {
+      recipients: [admin.email, user.email],
+      scope: 'admin',
+      ownerId: OWNER_ID
+    })
+
+    expect(result).toEqual({ active: [admin, user], authorised: [admin] })
+    expect(resolveAccessibleAreaIdsForUser).not.toHaveBeenCalled()
+  })
+
+  test("Should require access to every one of the owner's areas", async () => {
+    const covers = makeUser(1n)
+    const partial = makeUser(2n)
+    areasByUser.set(1n, [4n, 9n, 12n])
+    areasByUser.set(2n, [4n])
+    prisma.pafs_core_users.findMany.mockResolvedValue([covers, partial])
+
+    const { authorised } = await findAuthorisedRecipients(prisma, logger, {
+      recipients: [covers.email, partial.email],
+      scope: 'user',
+      ownerId: OWNER_ID
+    })
+
+    expect(authorised).toEqual([covers])
+  })
+
+  test('Should only require the area the report is narrowed to', async () => {
+    const user = makeUser(2n)
+    areasByUser.set(2n, [4n])
+    prisma.pafs_core_users.findMany.mockResolvedValue([user])
+
+    const { authorised } = await findAuthorisedRecipients(prisma, logger, {
+      recipients: [user.email],
+      scope: 'user',
+      ownerId: OWNER_ID,
+      areaId: 4n
+    })
+
+    expect(authorised).toEqual([user])
+    expect(resolveAccessibleAreaIdsForUser).not.toHaveBeenCalledWith(
+      prisma,
+      logger,
+      OWNER_ID
+    )
+  })
+
+  test('Should authorise admins for any area', async () => {
+    const admin = makeUser(1n, { admin: true })
+    prisma.pafs_core_users.findMany.mockResolvedValue([admin])
+
+    const { authorised } = await findAuthorisedRecipients(prisma, logger, {
+      recipients: [admin.email],
+      scope: 'user',
+      ownerId: OWNER_ID,
+      areaId: 7
+    })
+
+    expect(authorised).toEqual([admin])
+  })
+
+  test('Should authorise nobody when the owner has no areas', async () => {
+    const admin = makeUser(1n, { admin: true })
+    areasByUser.set(OWNER_ID, [])
+    prisma.pafs_core_users.findMany.mockResolvedValue([admin])
+
+    const { authorised } = await findAuthorisedRecipients(prisma, logger, {
+      recipients: [admin.email],
+      scope: 'user',
+      ownerId: OWNER_ID
+    })
+
+    expect(authorised).toEqual([])
+  })
+})
@@ -0,0 +1,131 @@
+import { config } from '../../../config.js'
+import { ACCOUNT_STATUS } from '../../../common/constants/accounts.js'
+import { REPORT_SUBSCRIPTION_SCOPE } from '../../../common/constants/report-subscriptions.js'
+import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+import {
+  countUserDownloadProposals,
+  getAllProjectCounts,
+  queueAdminGeneration,
+  queueUserGeneration,
+  startSubscriptionDownload
+} from '../../downloads/programme/programme-service.js'
+
+async function findActiveOwner(prisma, userId) {
+  const owner = await prisma.pafs_core_users.findFirst({
+    where: { id: userId },
+    select: { id: true, admin: true, status: true, disabled: true }
+  })
+  return owner?.status === ACCOUNT_STATUS.ACTIVE && !owner.disabled
+    ? owner
+    : null
+}
+
+async function queueAdminReport({ prisma, sqs }, subscription, s3Bucket) {
+  const projectCounts = await getAllProjectCounts(prisma)
+  const record = await startSubscriptionDownload(
+    prisma,
+    subscription,
+    projectCounts.total
+  )
+  await queueAdminGeneration(
+    {
+      downloadId: record.id,
+      s3Bucket,
+      requestingUserId: Number(subscription.user_id),
+      requestedOn: record.requested_on,
+      subscriptionId: subscription.id,
+      recipients: subscription.recipients
+    },
+    sqs
+  )
+  return record.id
+}
+
+async function queueUserReport(
+  { prisma, logger, sqs },
+  subscription,
+  s3Bucket
+) {
+  const userId = Number(subscription.user_id)
+  const areaId =
+    subscription.area_id == null ? null : Number(subscription.area_id)
+  const filters = subscription.filters ?? null
+
+  const areaIds = await resolveAccessibleAreaIdsForUser(prisma, logger, userId)
+  if (
+    areaIds.length === 0 ||
+    (areaId && !areaIds.some((id) => Number(id) === areaId))
+  ) {
+    logger.warn(
+      { subscriptionId: subscription.id, userId, areaId },
+      'Skipping report subscription: owner no longer has access to the area'
+    )
+    return null
+  }
+
+  const numberOfProposals = await countUserDownloadProposals(prisma, logger, {
+    userId,
+    areaIds,
+    areaId,
+    filters
+  })
+  const record = await startSubscriptionDownload(
+    prisma,
+    subscription,
+    numberOfProposals
+  )
+  await queueUserGeneration(
+    {
+      userId,
+      downloadId: record.id,
+      s3Bucket,
+      requestedOn: record.requested_on,
+      areaId,
+      filters,
+      subscriptionId: subscription.id,
+      recipients: subscription.recipients
+    },
+    sqs
+  )
+  return record.id
+}
+
+/**
+ * Queue the programme generation for a due report subscription. The download
+ * is generated as the subscription owner, with the owner's current access,
+ * and the recipients are emailed when it is complete. Each run has its own
+ * download record, apart from the admin download and the owner's history.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.prisma
+ * @param {Object} deps.logger
+ * @param {Object} deps.sqs - SQS client (server.sqs)
+ * @param {Object} subscription - Raw pafs_core_report_subscriptions row
+ * @returns {Promise<bigint|null>} Queued download id, or null when skipped
+ */
+export async function runReportSubscription(deps, subscription) {
+  const { prisma, logger } = deps
+  const owner = await findActiveOwner(prisma, subscription.user_id)
+  if (!owner) {
+    logger.warn(
+      { subscriptionId: subscription.id, userId: subscription.user_id },
+      'Skipping report subscription: owner account is not active'
+    )
+    return null
+  }
+
+  const s3Bucket = config.get('cdpUploader.s3Bucket')
+
+  if (subscription.scope === REPORT_SUBSCRIPTION_SCOPE.ADMIN) {
+    if (!owner.admin) {
+      logger.warn(
+        { subscriptionId: subscription.id, userId: subscription.user_id },
+        'Skipping report subscription: owner is no longer an admin'
+      )
+      return null
+    }
+    return queueAdminReport(deps, subscription, s3Bucket)
+  }
+
+  return queueUserReport(deps, subscription, s3Bucket)
+}
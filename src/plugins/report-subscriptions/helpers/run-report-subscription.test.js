@@ -0,0 +1,182 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { runReportSubscription } from './run-report-subscription.js'
+import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+import {
+  countUserDownloadProposals,
+  getAllProjectCounts,
+  queueAdminGeneration,
+  queueUserGeneration,
+  startSubscriptionDownload
+} from '../../downloads/programme/programme-service.js'
+
+vi.mock('../../../config.js', () => ({
+  config: { get: vi.fn(() => 'pafs-bucket') }
+}))
+
+vi.mock('../../areas/helpers/user-areas.js', () => ({
+  resolveAccessibleAreaIdsForUser: vi.fn()
+}))
+
+vi.mock('../../downloads/programme/programme-service.js', () => ({
+  countUserDownloadProposals: vi.fn(),
+  getAllProjectCounts: vi.fn(),
+  queueAdminGeneration: vi.fn(),
+  queueUserGeneration: vi.fn(),
+  startSubscriptionDownload: vi.fn()
+}))
+
+const REQUESTED_ON = new Date('2026-10-19T07:00:00Z')
+
+describe('runReportSubscription', () => {
+  let prisma
+  let logger
+  let deps
+  const sqs = { send: vi.fn() }
+
+  const subscription = {
+    id: 3n,
+    user_id: 5n,
+    scope: 'user',
+    area_id: 4n,
+    filters: { status: ['submitted'] },
+    recipients: ['team@example.com']
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    prisma = {
+      pafs_core_users: {
+        findFirst: vi.fn().mockResolvedValue({
+          id: 5n,
+          admin: false,
+          status: 'active',
+          disabled: false
+        })
+      }
+    }
+    logger = { info: vi.fn(), warn: vi.fn() }
+    deps = { prisma, logger, sqs }
+
+    resolveAccessibleAreaIdsForUser.mockResolvedValue([4n, 9n])
+    countUserDownloadProposals.mockResolvedValue(12)
+    getAllProjectCounts.mockResolvedValue({ total: 300 })
+    startSubscriptionDownload.mockResolvedValue({
+      id: 21n,
+      requested_on: REQUESTED_ON
+    })
+  })
+
+  test("Should queue the owner's filtered download for the recipients", async () => {
+    const downloadId = await runReportSubscription(deps, subscription)
+
+    expect(downloadId).toBe(21n)
+    expect(countUserDownloadProposals).toHaveBeenCalledWith(prisma, logger, {
+      userId: 5,
+      areaIds: [4n, 9n],
+      areaId: 4,
+      filters: { status: ['submitted'] }
+    })
+    expect(startSubscriptionDownload).toHaveBeenCalledWith(
+      prisma,
+      subscription,
+      12
+    )
+    expect(queueUserGeneration).toHaveBeenCalledWith(
+      {
+        userId: 5,
+        downloadId: 21n,
+        s3Bucket: 'pafs-bucket',
+        requestedOn: REQUESTED_ON,
+        areaId: 4,
+        filters: { status: ['submitted'] },
+        subscriptionId: 3n,
+        recipients: ['team@example.com']
+      },
+      sqs
+    )
+  })
+
+  test('Should skip when the owner no longer has access to the area', async () => {
+    resolveAccessibleAreaIdsForUser.mockResolvedValue([9n])
+
+    const downloadId = await runReportSubscription(deps, subscription)
+
+    expect(downloadId).toBeNull()
+    expect(startSubscriptionDownload).not.toHaveBeenCalled()
+    expect(logger.warn).toHaveBeenCalled()
+  })
+
+  test('Should skip when the owner has no areas', async () => {
+    resolveAccessibleAreaIdsForUser.mockResolvedValue([])
+
+    const downloadId = await runReportSubscription(deps, {
+      ...subscription,
+      area_id: null
+    })
+
+    expect(downloadId).toBeNull()
+    expect(queueUserGeneration).not.toHaveBeenCalled()
+  })
+
+  test.each([
+    ['disabled', { status: 'active', disabled: true }],
+    ['not active', { status: 'pending', disabled: false }]
+  ])('Should skip when the owner is %s', async (_label, owner) => {
+    prisma.pafs_core_users.findFirst.mockResolvedValue({
+      id: 5n,
+      admin: false,
+      ...owner
+    })
+
+    const downloadId = await runReportSubscription(deps, subscription)
+
+    expect(downloadId).toBeNull()
+    expect(resolveAccessibleAreaIdsForUser).not.toHaveBeenCalled()
+  })
+
+  test('Should queue the all proposals download for an admin owner', async () => {
+    prisma.pafs_core_users.findFirst.mockResolvedValue({
+      id: 5n,
+      admin: true,
+      status: 'active',
+      disabled: false
+    })
+
+    const adminSubscription = {
+      ...subscription,
+      scope: 'admin',
+      area_id: null,
+      filters: null
+    }
+    const downloadId = await runReportSubscription(deps, adminSubscription)
+
+    expect(downloadId).toBe(21n)
+    expect(startSubscriptionDownload).toHaveBeenCalledWith(
+      prisma,
+      adminSubscription,
+      300
+    )
+    expect(queueAdminGeneration).toHaveBeenCalledWith(
+      {
+        downloadId: 21n,
+        s3Bucket: 'pafs-bucket',
+        requestingUserId: 5,
+        requestedOn: REQUESTED_ON,
+        subscriptionId: 3n,
+        recipients: ['team@example.com']
+      },
+      sqs
+    )
+  })
+
+  test('Should skip the admin scope when the owner is no longer an admin', async () => {
+    const downloadId = await runReportSubscription(deps, {
+      ...subscription,
+      scope: 'admin'
+    })
+
+    expect(downloadId).toBeNull()
+    expect(startSubscriptionDownload).not.toHaveBeenCalled()
+  })
+})
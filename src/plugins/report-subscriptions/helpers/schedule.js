@@ -0,0 +1,53 @@
+import cron from 'node-cron'
+import { config } from '../../../config.js'
+
+/**
+ * Whether a subscription schedule is a valid cron expression
+ * @param {string} schedule
+ * @returns {boolean}
+ */
+export function isValidSchedule(schedule) {
+  return cron.validate(schedule)
+}
+
+/**
+ * Next times a schedule fires, in the scheduler timezone
+ * @param {string} schedule - Cron expression
+ * @param {number} count
+ * @returns {Date[]}
+ */
+export function getNextRuns(schedule, count) {
+  // A stopped task is only used to walk the expression; destroy it so it
+  // does not stay in node-cron's task registry
+  const task = cron.createTask(schedule, () => {}, {
+    timezone: config.get('scheduler.timezone')
+  })
+  try {
+    return task.getNextRuns(count)
+  } finally {
+    task.destroy()
+  }
+}
+
+/**
+ * @param {string} schedule - Cron expression
+ * @returns {Date}
+ */
+export function getNextRunAt(schedule) {
+  return getNextRuns(schedule, 1)[0]
+}
+
+/**
+ * Shortest gap in minutes between the upcoming runs of a schedule
+ * @param {string} schedule - Cron expression
+ * @param {number} [sample] - Number of upcoming runs to compare
+ * @returns {number}
+ */
+export function getShortestIntervalMinutes(schedule, sample = 10) {
+  const runs = getNextRuns(schedule, sample)
+  let shortest = Infinity
+  for (let i = 1; i < runs.length; i++) {
+    shortest = Math.min(shortest, (runs[i] - runs[i - 1]) / 60000)
+  }
+  return shortest
+}
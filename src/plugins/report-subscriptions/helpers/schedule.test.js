@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import cron from 'node-cron'
+
+vi.mock('../../../config.js', () => ({
+  config: { get: vi.fn(() => 'Europe/London') }
+}))
+
+const {
+  isValidSchedule,
+  getNextRuns,
+  getNextRunAt,
+  getShortestIntervalMinutes
+} = await import('./schedule.js')
+
+describe('report subscription schedule helpers', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    // Wednesday
+    vi.setSystemTime(new Date('2026-04-01T10:00:00Z'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('isValidSchedule', () => {
+    it('accepts a cron expression', () => {
+      expect(isValidSchedule('0 7 * * 1')).toBe(true)
+    })
+
+    it('rejects anything else', () => {
+      expect(isValidSchedule('every monday')).toBe(false)
+      expect(isValidSchedule('0 25 * * *')).toBe(false)
+    })
+  })
+
+  describe('getNextRunAt', () => {
+    it('returns the next run in the scheduler timezone', () => {
+      // 07:00 BST on Monday 6 April
+      expect(getNextRunAt('0 7 * * 1')).toEqual(
+        new Date('2026-04-06T06:00:00Z')
+      )
+    })
+
+    it('does not leave tasks registered with node-cron', () => {
+      const before = cron.getTasks().size
+      getNextRunAt('0 7 * * 1')
+      expect(cron.getTasks().size).toBe(before)
+    })
+  })
+
+  describe('getNextRuns', () => {
+    it('returns consecutive runs', () => {
+      expect(getNextRuns('0 7 * * *', 2)).toEqual([
+        new Date('2026-04-02T06:00:00Z'),
+        new Date('2026-04-03T06:00:00Z')
+      ])
+    })
+  })
+
+  describe('getShortestIntervalMinutes', () => {
+    it('returns the gap between weekly runs', () => {
+      expect(getShortestIntervalMinutes('0 7 * * 1')).toBe(7 * 24 * 60)
+    })
+
+    it('finds the shortest gap in an irregular schedule', () => {
+      expect(getShortestIntervalMinutes('0 7,8 * * *')).toBe(60)
+    })
+
+    it('detects schedules that fire every few minutes', () => {
+      expect(getShortestIntervalMinutes('*/5 * * * *')).toBe(5)
+    })
+  })
+})
@@ -0,0 +1,24 @@
+import listSubscriptions from './list-subscriptions/list-subscriptions.js'
+import createSubscription from './create-subscription/create-subscription.js'
+import updateSubscription from './update-subscription/update-subscription.js'
+import deleteSubscription from './delete-subscription/delete-subscription.js'
+
+const reportSubscriptionsPlugin = {
+  name: 'report-subscriptions',
+  version: '1.0.0',
+  register: (server, _options) => {
+    server.route([
+      listSubscriptions,
+      createSubscription,
+      updateSubscription,
+      deleteSubscription
+    ])
+    server.logger.info('Report subscriptions plugin registered')
+  }
+}
+
+export default reportSubscriptionsPlugin
+export { default as listSubscriptions } from './list-subscriptions/list-subscriptions.js'
+export { default as createSubscription } from './create-subscription/create-subscription.js'
+export { default as updateSubscription } from './update-subscription/update-subscription.js'
+export { default as deleteSubscription } from './delete-subscription/delete-subscription.js'
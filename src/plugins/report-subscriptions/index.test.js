@@ -0,0 +1,40 @@
+import { describe, test, expect, vi } from 'vitest'
+import Hapi from '@hapi/hapi'
+
+const module = await import('./index.js')
+const reportSubscriptionsPlugin = module.default
+
+describe('report-subscriptions plugin', () => {
+  test('Should register the report subscription routes', async () => {
+    const server = Hapi.server()
+    const mockLogger = { info: vi.fn() }
+
+    server.decorate('server', 'logger', mockLogger)
+    server.auth.scheme('jwt', () => ({ authenticate: vi.fn() }))
+    server.auth.strategy('jwt', 'jwt')
+
+    await server.register(reportSubscriptionsPlugin)
+
+    const routes = server
+      .table()
+      .map((r) => `${r.method} ${r.path}`)
+      .sort()
+
+    expect(routes).toEqual([
+      'delete /api/v1/report-subscriptions/{subscriptionId}',
+      'get /api/v1/report-subscriptions',
+      'patch /api/v1/report-subscriptions/{subscriptionId}',
+      'post /api/v1/report-subscriptions'
+    ])
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      'Report subscriptions plugin registered'
+    )
+  })
+
+  test('Should re-export each route', () => {
+    expect(module.listSubscriptions.method).toBe('GET')
+    expect(module.createSubscription.method).toBe('POST')
+    expect(module.updateSubscription.method).toBe('PATCH')
+    expect(module.deleteSubscription.method).toBe('DELETE')
+  })
+})
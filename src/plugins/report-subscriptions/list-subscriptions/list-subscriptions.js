@@ -0,0 +1,40 @@
+import { ReportSubscriptionService } from '../services/report-subscription-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { REPORT_SUBSCRIPTION_ERROR_CODES } from '../../../common/constants/report-subscriptions.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const listSubscriptions = {
+  method: 'GET',
+  path: '/api/v1/report-subscriptions',
+  options: {
+    auth: 'jwt',
+    description: 'List report subscriptions',
+    notes:
+      'Returns the scheduled programme reports of the signed-in user, newest first.',
+    tags: ['api', 'report-subscriptions']
+  },
+  handler: async (request, h) => {
+    try {
+      const subscriptionService = new ReportSubscriptionService(
+        request.prisma,
+        request.server.logger
+      )
+      const subscriptions = await subscriptionService.listSubscriptions(
+        request.auth.credentials.userId
+      )
+
+      return buildSuccessResponse(h, { subscriptions }, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        REPORT_SUBSCRIPTION_ERROR_CODES.RETRIEVAL_FAILED,
+        'Failed to retrieve report subscriptions'
+      )
+    }
+  }
+}
+
+export default listSubscriptions
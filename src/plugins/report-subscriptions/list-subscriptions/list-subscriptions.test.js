@@ -0,0 +1,68 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import listSubscriptions from './list-subscriptions.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { REPORT_SUBSCRIPTION_ERROR_CODES } from '../../../common/constants/report-subscriptions.js'
+import { ReportSubscriptionService } from '../services/report-subscription-service.js'
+
+vi.mock('../services/report-subscription-service.js')
+
+describe('list-subscriptions route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ReportSubscriptionService.prototype.listSubscriptions = vi
+      .fn()
+      .mockResolvedValue([{ id: 1, name: 'Monday report' }])
+  })
+
+  describe('route configuration', () => {
+    test('Should be a GET on the report subscriptions path', () => {
+      expect(listSubscriptions.method).toBe('GET')
+      expect(listSubscriptions.path).toBe('/api/v1/report-subscriptions')
+      expect(listSubscriptions.options.auth).toBe('jwt')
+    })
+  })
+
+  describe('handler', () => {
+    test("Should return the user's subscriptions", async () => {
+      const result = await listSubscriptions.handler(mockRequest, mockH)
+
+      expect(
+        ReportSubscriptionService.prototype.listSubscriptions
+      ).toHaveBeenCalledWith(5)
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({
+        subscriptions: [{ id: 1, name: 'Monday report' }]
+      })
+    })
+
+    test('Should return 500 when the query fails', async () => {
+      ReportSubscriptionService.prototype.listSubscriptions = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await listSubscriptions.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.RETRIEVAL_FAILED
+      )
+    })
+  })
+})
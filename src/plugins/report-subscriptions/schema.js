@@ -0,0 +1,105 @@
+import Joi from 'joi'
+import {
+  REPORT_SUBSCRIPTION_MAX_RECIPIENTS,
+  REPORT_SUBSCRIPTION_SCOPE,
+  REPORT_SUBSCRIPTION_VALIDATION_CODES
+} from '../../common/constants/report-subscriptions.js'
+import { SIZE } from '../../common/constants/common.js'
+import { generateProgrammePayloadSchema } from '../downloads/schema.js'
+import { isValidSchedule } from './helpers/schedule.js'
+
+const nameSchema = Joi.string().trim().min(1).max(255).label('Name').messages({
+  'string.base': REPORT_SUBSCRIPTION_VALIDATION_CODES.NAME_INVALID,
+  'string.empty': REPORT_SUBSCRIPTION_VALIDATION_CODES.NAME_INVALID,
+  'string.max': REPORT_SUBSCRIPTION_VALIDATION_CODES.NAME_INVALID,
+  'any.required': REPORT_SUBSCRIPTION_VALIDATION_CODES.NAME_INVALID
+})
+
+const scheduleSchema = Joi.string()
+  .trim()
+  .max(100)
+  .custom((value, helpers) =>
+    isValidSchedule(value) ? value : helpers.error('any.invalid')
+  )
+  .label('Schedule')
+  .messages({
+    'string.base': REPORT_SUBSCRIPTION_VALIDATION_CODES.SCHEDULE_INVALID,
+    'string.empty': REPORT_SUBSCRIPTION_VALIDATION_CODES.SCHEDULE_INVALID,
+    'string.max': REPORT_SUBSCRIPTION_VALIDATION_CODES.SCHEDULE_INVALID,
+    'any.invalid': REPORT_SUBSCRIPTION_VALIDATION_CODES.SCHEDULE_INVALID,
+    'any.required': REPORT_SUBSCRIPTION_VALIDATION_CODES.SCHEDULE_INVALID
+  })
+
+const recipientsSchema = Joi.array()
+  .items(
+    Joi.string()
+      .email({ tlds: { allow: false } })
+      .max(SIZE.LENGTH_254)
+      .trim()
+      .lowercase()
+  )
+  .min(1)
+  .max(REPORT_SUBSCRIPTION_MAX_RECIPIENTS)
+  .unique()
+  .label('Recipients')
+  .messages({
+    'array.base': REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID,
+    'array.min': REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID,
+    'array.max': REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID,
+    'array.unique': REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID,
+    'string.email': REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID,
+    'string.max': REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID,
+    'any.required': REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID
+  })
+
+// Same area and filters as a user programme download; null clears them
+const filtersSchema = generateProgrammePayloadSchema.label('Filters')
+
+/**
+ * Path params for a single report subscription
+ */
+export const reportSubscriptionParamsSchema = Joi.object({
+  subscriptionId: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .label('Subscription ID')
+    .messages({
+      'number.base': REPORT_SUBSCRIPTION_VALIDATION_CODES.ID_INVALID,
+      'number.integer': REPORT_SUBSCRIPTION_VALIDATION_CODES.ID_INVALID,
+      'number.positive': REPORT_SUBSCRIPTION_VALIDATION_CODES.ID_INVALID
+    })
+})
+
+/**
+ * Payload schema for creating a report subscription
+ */
+export const createReportSubscriptionSchema = Joi.object({
+  name: nameSchema.required(),
+  scope: Joi.string()
+    .valid(...Object.values(REPORT_SUBSCRIPTION_SCOPE))
+    .default(REPORT_SUBSCRIPTION_SCOPE.USER)
+    .label('Scope')
+    .messages({
+      'any.only': REPORT_SUBSCRIPTION_VALIDATION_CODES.SCOPE_INVALID
+    }),
+  schedule: scheduleSchema.required(),
+  recipients: recipientsSchema.required(),
+  filters: filtersSchema.default(null)
+})
+
+/**
+ * Payload schema for updating a report subscription.
+ * The scope cannot be changed; filters are replaced as a whole.
+ */
+export const updateReportSubscriptionSchema = Joi.object({
+  name: nameSchema,
+  schedule: scheduleSchema,
+  recipients: recipientsSchema,
+  filters: filtersSchema,
+  active: Joi.boolean().label('Active').messages({
+    'boolean.base': REPORT_SUBSCRIPTION_VALIDATION_CODES.ACTIVE_INVALID
+  })
+})
+  .min(1)
+  .label('Report subscription')
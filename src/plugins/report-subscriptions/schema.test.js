@@ -0,0 +1,137 @@
+import { describe, test, expect } from 'vitest'
+import {
+  reportSubscriptionParamsSchema,
+  createReportSubscriptionSchema,
+  updateReportSubscriptionSchema
+} from './schema.js'
+import { REPORT_SUBSCRIPTION_VALIDATION_CODES } from '../../common/constants/report-subscriptions.js'
+
+describe('report subscription schemas', () => {
+  const validCreate = {
+    name: 'Monday report',
+    schedule: '0 7 * * 1',
+    recipients: ['Team@Example.com']
+  }
+
+  describe('reportSubscriptionParamsSchema', () => {
+    test('Should convert the subscription id to a number', () => {
+      const { value, error } = reportSubscriptionParamsSchema.validate({
+        subscriptionId: '12'
+      })
+      expect(error).toBeUndefined()
+      expect(value.subscriptionId).toBe(12)
+    })
+
+    test('Should reject a zero subscription id', () => {
+      const { error } = reportSubscriptionParamsSchema.validate({
+        subscriptionId: 0
+      })
+      expect(error.details[0].message).toBe(
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.ID_INVALID
+      )
+    })
+  })
+
+  describe('createReportSubscriptionSchema', () => {
+    test('Should default the scope and filters', () => {
+      const { value, error } =
+        createReportSubscriptionSchema.validate(validCreate)
+      expect(error).toBeUndefined()
+      expect(value).toEqual({
+        name: 'Monday report',
+        scope: 'user',
+        schedule: '0 7 * * 1',
+        recipients: ['team@example.com'],
+        filters: null
+      })
+    })
+
+    test('Should accept area and filters', () => {
+      const { value, error } = createReportSubscriptionSchema.validate({
+        ...validCreate,
+        filters: { areaId: 4, status: ['submitted'] }
+      })
+      expect(error).toBeUndefined()
+      expect(value.filters).toMatchObject({ areaId: 4, status: ['submitted'] })
+    })
+
+    test.each([
+      ['name', { name: '' }, REPORT_SUBSCRIPTION_VALIDATION_CODES.NAME_INVALID],
+      [
+        'scope',
+        { scope: 'team' },
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.SCOPE_INVALID
+      ],
+      [
+        'schedule',
+        { schedule: '61 * * * *' },
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.SCHEDULE_INVALID
+      ],
+      [
+        'recipients',
+        { recipients: [] },
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID
+      ],
+      [
+        'recipient email',
+        { recipients: ['not-an-email'] },
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID
+      ]
+    ])('Should reject an invalid %s', (_field, override, code) => {
+      const { error } = createReportSubscriptionSchema.validate({
+        ...validCreate,
+        ...override
+      })
+      expect(error.details[0].message).toBe(code)
+    })
+
+    test('Should reject duplicate recipients regardless of case', () => {
+      const { error } = createReportSubscriptionSchema.validate({
+        ...validCreate,
+        recipients: ['team@example.com', 'TEAM@example.com']
+      })
+      expect(error.details[0].message).toBe(
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID
+      )
+    })
+
+    test('Should reject too many recipients', () => {
+      const { error } = createReportSubscriptionSchema.validate({
+        ...validCreate,
+        recipients: Array.from({ length: 21 }, (_, i) => `user${i}@example.com`)
+      })
+      expect(error.details[0].message).toBe(
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.RECIPIENTS_INVALID
+      )
+    })
+  })
+
+  describe('updateReportSubscriptionSchema', () => {
+    test('Should accept a single field', () => {
+      const { error } = updateReportSubscriptionSchema.validate({
+        active: false
+      })
+      expect(error).toBeUndefined()
+    })
+
+    test('Should allow the filters to be cleared', () => {
+      const { value, error } = updateReportSubscriptionSchema.validate({
+        filters: null
+      })
+      expect(error).toBeUndefined()
+      expect(value.filters).toBeNull()
+    })
+
+    test('Should not allow the scope to be changed', () => {
+      const { error } = updateReportSubscriptionSchema.validate({
+        scope: 'admin'
+      })
+      expect(error).toBeDefined()
+    })
+
+    test('Should reject an empty payload', () => {
+      const { error } = updateReportSubscriptionSchema.validate({})
+      expect(error).toBeDefined()
+    })
+  })
+})
@@ -0,0 +1,319 @@
+import { config } from '../../../config.js'
+import {
+  REPORT_SUBSCRIPTION_ERROR_CODES,
+  REPORT_SUBSCRIPTION_SCOPE
+} from '../../../common/constants/report-subscriptions.js'
+import {
+  ForbiddenError,
+  NotFoundError,
+  UnprocessableEntityError
+} from '../../../common/errors/http-errors.js'
+import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+import { toProgrammeFilters } from '../../downloads/programme/programme-filters.js'
+import {
+  getNextRunAt,
+  getShortestIntervalMinutes
+} from '../helpers/schedule.js'
+import { findAuthorisedRecipients } from '../helpers/recipient-access.js'
+
+// Due subscriptions picked up by one run of the scheduler task
+const DUE_BATCH_SIZE = 50
+
+export class ReportSubscriptionService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * The user's report subscriptions, newest first
+   * @param {bigint|number} userId
+   * @returns {Promise<Object[]>} Formatted subscriptions
+   */
+  async listSubscriptions(userId) {
+    const rows = await this.prisma.pafs_core_report_subscriptions.findMany({
+      where: { user_id: BigInt(userId) },
+      orderBy: [{ created_at: 'desc' }, { id: 'desc' }]
+    })
+    return rows.map((row) => this._formatSubscription(row))
+  }
+
+  /**
+   * Create a report subscription for the signed-in user
+   * @param {Object} credentials - JWT credentials (userId, isAdmin)
+   * @param {Object} payload - Validated createReportSubscriptionSchema payload
+   * @returns {Promise<Object>} Formatted subscription
+   * @throws {ForbiddenError} Admin scope without admin access, or an area outside the user's
+   * @throws {UnprocessableEntityError} Limit reached, schedule too frequent, or
+   *   recipients without an active account or access to the report
+   */
+  async createSubscription(credentials, payload) {
+    const { userId, isAdmin } = credentials
+    const { name, scope, schedule, recipients, filters } = payload
+
+    if (scope === REPORT_SUBSCRIPTION_SCOPE.ADMIN && !isAdmin) {
+      throw new ForbiddenError(
+        'Only admins can subscribe to the all proposals report',
+        REPORT_SUBSCRIPTION_ERROR_CODES.ADMIN_REQUIRED,
+        'scope'
+      )
+    }
+
+    const maxPerUser = config.get('reportSubscriptions.maxPerUser')
+    const existing = await this.prisma.pafs_core_report_subscriptions.count({
+      where: { user_id: BigInt(userId) }
+    })
+    if (existing >= maxPerUser) {
+      throw new UnprocessableEntityError(
+        `A user can hold at most ${maxPerUser} report subscriptions`,
+        REPORT_SUBSCRIPTION_ERROR_CODES.LIMIT_REACHED,
+        null
+      )
+    }
+
+    this._checkScheduleInterval(schedule)
+    await this._checkFilters(userId, scope, filters)
+    await this._checkRecipients(recipients, {
+      scope,
+      ownerId: userId,
+      areaId: filters?.areaId
+    })
+
+    const now = new Date()
+    const created = await this.prisma.pafs_core_report_subscriptions.create({
+      data: {
+        user_id: BigInt(userId),
+        name,
+        scope,
+        schedule,
+        ...this._filterColumns(filters),
+        recipients,
+        active: true,
+        next_run_at: getNextRunAt(schedule),
+        created_at: now,
+        updated_at: now
+      }
+    })
+
+    this.logger.info(
+      { userId, subscriptionId: created.id, scope, schedule },
+      'Report subscription created'
+    )
+    return this._formatSubscription(created)
+  }
+
+  /**
+   * Update one of the user's report subscriptions
+   * @param {bigint|number} userId
+   * @param {bigint|number} subscriptionId
+   * @param {Object} payload - Validated updateReportSubscriptionSchema payload
+   * @returns {Promise<Object>} Formatted subscription
+   * @throws {NotFoundError} When the subscription is not the user's
+   */
+  async updateSubscription(userId, subscriptionId, payload) {
+    const existing = await this._findOwn(userId, subscriptionId)
+    const { name, schedule, recipients, filters, active } = payload
+    const data = { updated_at: new Date() }
+
+    if (name !== undefined) {
+      data.name = name
+    }
+    if (schedule !== undefined) {
+      this._checkScheduleInterval(schedule)
+      data.schedule = schedule
+    }
+    if (recipients !== undefined) {
+      data.recipients = recipients
+    }
+    if (filters !== undefined) {
+      await this._checkFilters(userId, existing.scope, filters)
+      Object.assign(data, this._filterColumns(filters))
+    }
+    // A wider area needs recipients who can see it, so check them again
+    // when either changes
+    if (recipients !== undefined || filters !== undefined) {
+      await this._checkRecipients(data.recipients ?? existing.recipients, {
+        scope: existing.scope,
+        ownerId: userId,
+        areaId: filters === undefined ? existing.area_id : filters?.areaId
+      })
+    }
+    if (active !== undefined) {
+      data.active = active
+    }
+
+    // Restart the schedule from now so a changed or resumed subscription
+    // does not run immediately for a slot it missed
+    const isResumed = active === true && !existing.active
+    if (schedule !== undefined || isResumed) {
+      data.next_run_at = getNextRunAt(data.schedule ?? existing.schedule)
+    }
+
+    const updated = await this.prisma.pafs_core_report_subscriptions.update({
+      where: { id: existing.id },
+      data
+    })
+    return this._formatSubscription(updated)
+  }
+
+  /**
+   * Delete one of the user's report subscriptions
+   * @param {bigint|number} userId
+   * @param {bigint|number} subscriptionId
+   * @throws {NotFoundError} When the subscription is not the user's
+   */
+  async deleteSubscription(userId, subscriptionId) {
+    const existing = await this._findOwn(userId, subscriptionId)
+    await this.prisma.pafs_core_report_subscriptions.delete({
+      where: { id: existing.id }
+    })
+    this.logger.info(
+      { userId, subscriptionId: existing.id },
+      'Report subscription deleted'
+    )
+  }
+
+  /**
+   * Active subscriptions whose next run is due, oldest first
+   * @param {Date} now
+   * @returns {Promise<Object[]>} Raw subscription rows
+   */
+  async findDueSubscriptions(now) {
+    return this.prisma.pafs_core_report_subscriptions.findMany({
+      where: { active: true, next_run_at: { lte: now } },
+      orderBy: [{ next_run_at: 'asc' }, { id: 'asc' }],
+      take: DUE_BATCH_SIZE
+    })
+  }
+
+  /**
+   * Record that a subscription was run and schedule its next run
+   * @param {Object} subscription - Raw subscription row
+   * @param {bigint|null} downloadId - Download queued by the run, if any
+   * @returns {Promise<Object>} Updated row
+   */
+  async recordRun(subscription, downloadId) {
+    const now = new Date()
+    return this.prisma.pafs_core_report_subscriptions.update({
+      where: { id: subscription.id },
+      data: {
+        last_run_at: now,
+        last_download_id: downloadId ?? subscription.last_download_id,
+        next_run_at: getNextRunAt(subscription.schedule),
+        updated_at: now
+      }
+    })
+  }
+
+  async _findOwn(userId, subscriptionId) {
+    const existing = await this.prisma.pafs_core_report_subscriptions.findFirst(
+      {
+        where: { id: BigInt(subscriptionId), user_id: BigInt(userId) }
+      }
+    )
+    if (!existing) {
+      throw new NotFoundError(
+        'Report subscription not found',
+        REPORT_SUBSCRIPTION_ERROR_CODES.NOT_FOUND,
+        null
+      )
+    }
+    return existing
+  }
+
+  _checkScheduleInterval(schedule) {
+    const minIntervalMinutes = config.get(
+      'reportSubscriptions.minIntervalMinutes'
+    )
+    if (getShortestIntervalMinutes(schedule) < minIntervalMinutes) {
+      throw new UnprocessableEntityError(
+        `Reports can run at most once every ${minIntervalMinutes} minutes`,
+        REPORT_SUBSCRIPTION_ERROR_CODES.SCHEDULE_TOO_FREQUENT,
+        'schedule'
+      )
+    }
+  }
+
+  async _checkFilters(userId, scope, filters) {
+    if (!filters?.areaId && !toProgrammeFilters(filters)) {
+      return
+    }
+    if (scope === REPORT_SUBSCRIPTION_SCOPE.ADMIN) {
+      throw new UnprocessableEntityError(
+        'The all proposals report cannot be filtered',
+        REPORT_SUBSCRIPTION_ERROR_CODES.FILTERS_NOT_SUPPORTED,
+        'filters'
+      )
+    }
+    if (!filters.areaId) {
+      return
+    }
+    const areaIds = await resolveAccessibleAreaIdsForUser(
+      this.prisma,
+      this.logger,
+      userId
+    )
+    if (!areaIds.some((id) => Number(id) === filters.areaId)) {
+      throw new ForbiddenError(
+        'Area is not assigned to this user',
+        REPORT_SUBSCRIPTION_ERROR_CODES.AREA_NOT_ASSIGNED,
+        'filters.areaId'
+      )
+    }
+  }
+
+  async _checkRecipients(recipients, { scope, ownerId, areaId }) {
+    const { active, authorised } = await findAuthorisedRecipients(
+      this.prisma,
+      this.logger,
+      { recipients, scope, ownerId, areaId }
+    )
+    if (active.length < recipients.length) {
+      throw new UnprocessableEntityError(
+        'Every recipient must have an active account',
+        REPORT_SUBSCRIPTION_ERROR_CODES.RECIPIENT_NOT_FOUND,
+        'recipients'
+      )
+    }
+    if (authorised.length < recipients.length) {
+      throw new UnprocessableEntityError(
+        scope === REPORT_SUBSCRIPTION_SCOPE.ADMIN
+          ? 'The all proposals report can only be sent to admins'
+          : 'Every recipient must have access to the areas in the report',
+        REPORT_SUBSCRIPTION_ERROR_CODES.RECIPIENT_NOT_AUTHORISED,
+        'recipients'
+      )
+    }
+  }
+
+  _filterColumns(filters) {
+    return {
+      area_id: filters?.areaId ? BigInt(filters.areaId) : null,
+      filters: toProgrammeFilters(filters) ?? null
+    }
+  }
+
+  _formatSubscription(row) {
+    const filters = row.filters ?? {}
+    const hasFilters = row.area_id != null || Object.keys(filters).length > 0
+    return {
+      id: Number(row.id),
+      name: row.name,
+      scope: row.scope,
+      schedule: row.schedule,
+      filters: hasFilters
+        ? {
+            ...(row.area_id != null && { areaId: Number(row.area_id) }),
+            ...filters
+          }
+        : null,
+      recipients: row.recipients,
+      active: row.active,
+      nextRunAt: row.active ? row.next_run_at : null,
+      lastRunAt: row.last_run_at,
+      lastDownloadId: row.last_download_id?.toString() ?? null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }
+  }
+}
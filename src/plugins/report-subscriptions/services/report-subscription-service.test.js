@@ -0,0 +1,457 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { ReportSubscriptionService } from './report-subscription-service.js'
+import { REPORT_SUBSCRIPTION_ERROR_CODES } from '../../../common/constants/report-subscriptions.js'
+import {
+  ForbiddenError,
+  NotFoundError,
+  UnprocessableEntityError
+} from '../../../common/errors/http-errors.js'
+import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+import {
+  getNextRunAt,
+  getShortestIntervalMinutes
+} from '../helpers/schedule.js'
+import { findAuthorisedRecipients } from '../helpers/recipient-access.js'
+
+vi.mock('../../../config.js', () => ({
+  config: {
+    get: vi.fn(
+      (key) =>
+        ({
+          'reportSubscriptions.maxPerUser': 2,
+          'reportSubscriptions.minIntervalMinutes': 60
+        })[key]
+    )
+  }
+}))
+
+vi.mock('../../areas/helpers/user-areas.js', () => ({
+  resolveAccessibleAreaIdsForUser: vi.fn()
+}))
+
+vi.mock('../helpers/schedule.js', () => ({
+  getNextRunAt: vi.fn(),
+  getShortestIntervalMinutes: vi.fn()
+}))
+
+vi.mock('../helpers/recipient-access.js', () => ({
+  findAuthorisedRecipients: vi.fn()
+}))
+
+const NEXT_RUN = new Date('2026-10-19T07:00:00Z')
+
+function makeRow(overrides = {}) {
+  return {
+    id: 3n,
+    user_id: 5n,
+    name: 'Monday report',
+    scope: 'user',
+    schedule: '0 7 * * 1',
+    area_id: null,
+    filters: null,
+    recipients: ['team@example.com'],
+    active: true,
+    next_run_at: NEXT_RUN,
+    last_run_at: null,
+    last_download_id: null,
+    created_at: new Date('2026-10-01T00:00:00Z'),
+    updated_at: new Date('2026-10-01T00:00:00Z'),
+    ...overrides
+  }
+}
+
+describe('ReportSubscriptionService', () => {
+  let prisma
+  let logger
+  let service
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    prisma = {
+      pafs_core_report_subscriptions: {
+        findMany: vi.fn().mockResolvedValue([]),
+        findFirst: vi.fn().mockResolvedValue(makeRow()),
+        count: vi.fn().mockResolvedValue(0),
+        create: vi.fn(({ data }) => Promise.resolve(makeRow(data))),
+        update: vi.fn(({ data }) => Promise.resolve(makeRow(data))),
+        delete: vi.fn().mockResolvedValue({})
+      }
+    }
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    service = new ReportSubscriptionService(prisma, logger)
+
+    getNextRunAt.mockReturnValue(NEXT_RUN)
+    getShortestIntervalMinutes.mockReturnValue(10080)
+    resolveAccessibleAreaIdsForUser.mockResolvedValue([4n, 9n])
+    findAuthorisedRecipients.mockImplementation(
+      async (_prisma, _logger, { recipients }) => {
+        const users = recipients.map((email) => ({ email }))
+        return { active: users, authorised: users }
+      }
+    )
+  })
+
+  describe('listSubscriptions', () => {
+    test("Should format the user's subscriptions", async () => {
+      prisma.pafs_core_report_subscriptions.findMany.mockResolvedValue([
+        makeRow({
+          area_id: 4n,
+          filters: { status: ['submitted'] },
+          last_download_id: 21n
+        })
+      ])
+
+      const result = await service.listSubscriptions(5)
+
+      expect(
+        prisma.pafs_core_report_subscriptions.findMany
+      ).toHaveBeenCalledWith({
+        where: { user_id: 5n },
+        orderBy: [{ created_at: 'desc' }, { id: 'desc' }]
+      })
+      expect(result).toEqual([
+        expect.objectContaining({
+          id: 3,
+          filters: { areaId: 4, status: ['submitted'] },
+          nextRunAt: NEXT_RUN,
+          lastDownloadId: '21'
+        })
+      ])
+    })
+
+    test('Should hide the next run of a paused subscription', async () => {
+      prisma.pafs_core_report_subscriptions.findMany.mockResolvedValue([
+        makeRow({ active: false })
+      ])
+
+      const [result] = await service.listSubscriptions(5)
+
+      expect(result.filters).toBeNull()
+      expect(result.nextRunAt).toBeNull()
+    })
+  })
+
+  describe('createSubscription', () => {
+    const payload = {
+      name: 'Monday report',
+      scope: 'user',
+      schedule: '0 7 * * 1',
+      recipients: ['team@example.com'],
+      filters: { areaId: 4, status: ['submitted'] }
+    }
+
+    test('Should create the subscription with its first run', async () => {
+      const result = await service.createSubscription(
+        { userId: 5, isAdmin: false },
+        payload
+      )
+
+      expect(prisma.pafs_core_report_subscriptions.create).toHaveBeenCalledWith(
+        {
+          data: expect.objectContaining({
+            user_id: 5n,
+            scope: 'user',
+            area_id: 4n,
+            filters: { status: ['submitted'] },
+            recipients: ['team@example.com'],
+            active: true,
+            next_run_at: NEXT_RUN
+          })
+        }
+      )
+      expect(result.filters).toEqual({ areaId: 4, status: ['submitted'] })
+    })
+
+    test('Should require admin access for the admin scope', async () => {
+      await expect(
+        service.createSubscription(
+          { userId: 5, isAdmin: false },
+          { ...payload, scope: 'admin', filters: null }
+        )
+      ).rejects.toThrow(ForbiddenError)
+    })
+
+    test('Should not allow filters on the admin scope', async () => {
+      const error = await service
+        .createSubscription(
+          { userId: 5, isAdmin: true },
+          { ...payload, scope: 'admin' }
+        )
+        .catch((e) => e)
+
+      expect(error).toBeInstanceOf(UnprocessableEntityError)
+      expect(error.code).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.FILTERS_NOT_SUPPORTED
+      )
+    })
+
+    test('Should stop at the per-user limit', async () => {
+      prisma.pafs_core_report_subscriptions.count.mockResolvedValue(2)
+
+      const error = await service
+        .createSubscription({ userId: 5 }, payload)
+        .catch((e) => e)
+
+      expect(error.code).toBe(REPORT_SUBSCRIPTION_ERROR_CODES.LIMIT_REACHED)
+      expect(
+        prisma.pafs_core_report_subscriptions.create
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should reject a schedule that runs too often', async () => {
+      getShortestIntervalMinutes.mockReturnValue(15)
+
+      const error = await service
+        .createSubscription({ userId: 5 }, payload)
+        .catch((e) => e)
+
+      expect(error.code).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.SCHEDULE_TOO_FREQUENT
+      )
+    })
+
+    test("Should reject an area outside the user's areas", async () => {
+      const error = await service
+        .createSubscription(
+          { userId: 5 },
+          { ...payload, filters: { areaId: 7 } }
+        )
+        .catch((e) => e)
+
+      expect(error).toBeInstanceOf(ForbiddenError)
+      expect(error.code).toBe(REPORT_SUBSCRIPTION_ERROR_CODES.AREA_NOT_ASSIGNED)
+    })
+
+    test('Should require every recipient to have an active account', async () => {
+      findAuthorisedRecipients.mockResolvedValue({
+        active: [{ email: 'team@example.com' }],
+        authorised: [{ email: 'team@example.com' }]
+      })
+
+      const error = await service
+        .createSubscription(
+          { userId: 5 },
+          {
+            ...payload,
+            recipients: ['team@example.com', 'someone@example.com']
+          }
+        )
+        .catch((e) => e)
+
+      expect(error.code).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.RECIPIENT_NOT_FOUND
+      )
+      expect(findAuthorisedRecipients).toHaveBeenCalledWith(prisma, logger, {
+        recipients: ['team@example.com', 'someone@example.com'],
+        scope: 'user',
+        ownerId: 5,
+        areaId: 4
+      })
+    })
+
+    test('Should require every recipient to have access to the report', async () => {
+      findAuthorisedRecipients.mockResolvedValue({
+        active: [{ email: 'team@example.com' }],
+        authorised: []
+      })
+
+      const error = await service
+        .createSubscription({ userId: 5 }, payload)
+        .catch((e) => e)
+
+      expect(error).toBeInstanceOf(UnprocessableEntityError)
+      expect(error.code).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.RECIPIENT_NOT_AUTHORISED
+      )
+      expect(
+        prisma.pafs_core_report_subscriptions.create
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should only send the admin report to admins', async () => {
+      findAuthorisedRecipients.mockResolvedValue({
+        active: [{ email: 'team@example.com' }],
+        authorised: []
+      })
+
+      const error = await service
+        .createSubscription(
+          { userId: 5, isAdmin: true },
+          { ...payload, scope: 'admin', filters: null }
+        )
+        .catch((e) => e)
+
+      expect(error.code).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.RECIPIENT_NOT_AUTHORISED
+      )
+      expect(error.message).toBe(
+        'The all proposals report can only be sent to admins'
+      )
+      expect(findAuthorisedRecipients).toHaveBeenCalledWith(
+        prisma,
+        logger,
+        expect.objectContaining({ scope: 'admin' })
+      )
+    })
+  })
+
+  describe('updateSubscription', () => {
+    test("Should throw when the subscription is not the user's", async () => {
+      prisma.pafs_core_report_subscriptions.findFirst.mockResolvedValue(null)
+
+      await expect(
+        service.updateSubscription(5, 3, { active: false })
+      ).rejects.toThrow(NotFoundError)
+      expect(
+        prisma.pafs_core_report_subscriptions.findFirst
+      ).toHaveBeenCalledWith({ where: { id: 3n, user_id: 5n } })
+    })
+
+    test('Should pause without moving the next run', async () => {
+      await service.updateSubscription(5, 3, { active: false })
+
+      const { data } =
+        prisma.pafs_core_report_subscriptions.update.mock.calls[0][0]
+      expect(data.active).toBe(false)
+      expect(data).not.toHaveProperty('next_run_at')
+    })
+
+    test('Should restart the schedule when resumed', async () => {
+      prisma.pafs_core_report_subscriptions.findFirst.mockResolvedValue(
+        makeRow({ active: false })
+      )
+
+      await service.updateSubscription(5, 3, { active: true })
+
+      expect(getNextRunAt).toHaveBeenCalledWith('0 7 * * 1')
+      expect(
+        prisma.pafs_core_report_subscriptions.update.mock.calls[0][0].data
+          .next_run_at
+      ).toBe(NEXT_RUN)
+    })
+
+    test('Should reschedule when the schedule changes', async () => {
+      await service.updateSubscription(5, 3, { schedule: '0 8 1 * *' })
+
+      expect(getNextRunAt).toHaveBeenCalledWith('0 8 1 * *')
+    })
+
+    test('Should check new recipients against the current area', async () => {
+      prisma.pafs_core_report_subscriptions.findFirst.mockResolvedValue(
+        makeRow({ area_id: 4n })
+      )
+
+      await service.updateSubscription(5, 3, {
+        recipients: ['new@example.com']
+      })
+
+      expect(findAuthorisedRecipients).toHaveBeenCalledWith(prisma, logger, {
+        recipients: ['new@example.com'],
+        scope: 'user',
+        ownerId: 5,
+        areaId: 4n
+      })
+    })
+
+    test('Should check the existing recipients when the area widens', async () => {
+      findAuthorisedRecipients.mockResolvedValue({
+        active: [{ email: 'team@example.com' }],
+        authorised: []
+      })
+
+      const error = await service
+        .updateSubscription(5, 3, { filters: null })
+        .catch((e) => e)
+
+      expect(error.code).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.RECIPIENT_NOT_AUTHORISED
+      )
+      expect(findAuthorisedRecipients).toHaveBeenCalledWith(prisma, logger, {
+        recipients: ['team@example.com'],
+        scope: 'user',
+        ownerId: 5,
+        areaId: undefined
+      })
+      expect(
+        prisma.pafs_core_report_subscriptions.update
+      ).not.toHaveBeenCalled()
+    })
+
+    test('Should not check recipients when only pausing', async () => {
+      await service.updateSubscription(5, 3, { active: false })
+
+      expect(findAuthorisedRecipients).not.toHaveBeenCalled()
+    })
+
+    test('Should clear the filters', async () => {
+      await service.updateSubscription(5, 3, { filters: null })
+
+      expect(
+        prisma.pafs_core_report_subscriptions.update.mock.calls[0][0].data
+      ).toMatchObject({ area_id: null, filters: null })
+    })
+  })
+
+  describe('deleteSubscription', () => {
+    test('Should delete the subscription', async () => {
+      await service.deleteSubscription(5, 3)
+
+      expect(prisma.pafs_core_report_subscriptions.delete).toHaveBeenCalledWith(
+        { where: { id: 3n } }
+      )
+    })
+
+    test("Should throw when the subscription is not the user's", async () => {
+      prisma.pafs_core_report_subscriptions.findFirst.mockResolvedValue(null)
+
+      await expect(service.deleteSubscription(5, 3)).rejects.toThrow(
+        NotFoundError
+      )
+      expect(
+        prisma.pafs_core_report_subscriptions.delete
+      ).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('findDueSubscriptions', () => {
+    test('Should find active subscriptions that are due', async () => {
+      const now = new Date('2026-10-19T07:00:00Z')
+
+      await service.findDueSubscriptions(now)
+
+      expect(
+        prisma.pafs_core_report_subscriptions.findMany
+      ).toHaveBeenCalledWith({
+        where: { active: true, next_run_at: { lte: now } },
+        orderBy: [{ next_run_at: 'asc' }, { id: 'asc' }],
+        take: 50
+      })
+    })
+  })
+
+  describe('recordRun', () => {
+    test('Should record the download and schedule the next run', async () => {
+      await service.recordRun(makeRow(), 21n)
+
+      expect(prisma.pafs_core_report_subscriptions.update).toHaveBeenCalledWith(
+        {
+          where: { id: 3n },
+          data: expect.objectContaining({
+            last_download_id: 21n,
+            next_run_at: NEXT_RUN
+          })
+        }
+      )
+    })
+
+    test('Should keep the last download when nothing was queued', async () => {
+      await service.recordRun(makeRow({ last_download_id: 20n }), null)
+
+      expect(
+        prisma.pafs_core_report_subscriptions.update.mock.calls[0][0].data
+          .last_download_id
+      ).toBe(20n)
+    })
+  })
+})
@@ -0,0 +1,54 @@
+import { ReportSubscriptionService } from '../services/report-subscription-service.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { REPORT_SUBSCRIPTION_ERROR_CODES } from '../../../common/constants/report-subscriptions.js'
+import {
+  reportSubscriptionParamsSchema,
+  updateReportSubscriptionSchema
+} from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+
+const updateSubscription = {
+  method: 'PATCH',
+  path: '/api/v1/report-subscriptions/{subscriptionId}',
+  options: {
+    auth: 'jwt',
+    description: 'Update a report subscription',
+    notes:
+      'Changes the name, schedule, recipients or filters of a report subscription ' +
+      'of the signed-in user, or pauses and resumes it with "active". ' +
+      'Changing the schedule or resuming restarts it from the next slot.',
+    tags: ['api', 'report-subscriptions'],
+    validate: {
+      params: reportSubscriptionParamsSchema,
+      payload: updateReportSubscriptionSchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      const subscriptionService = new ReportSubscriptionService(
+        request.prisma,
+        request.server.logger
+      )
+      const subscription = await subscriptionService.updateSubscription(
+        request.auth.credentials.userId,
+        request.params.subscriptionId,
+        request.payload
+      )
+
+      return buildSuccessResponse(h, subscription, HTTP_STATUS.OK)
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        REPORT_SUBSCRIPTION_ERROR_CODES.UPDATE_FAILED,
+        'Failed to update report subscription'
+      )
+    }
+  }
+}
+
+export default updateSubscription
@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import updateSubscription from './update-subscription.js'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  REPORT_SUBSCRIPTION_ERROR_CODES,
+  REPORT_SUBSCRIPTION_VALIDATION_CODES
+} from '../../../common/constants/report-subscriptions.js'
+import { NotFoundError } from '../../../common/errors/http-errors.js'
+import { ReportSubscriptionService } from '../services/report-subscription-service.js'
+
+vi.mock('../services/report-subscription-service.js')
+
+describe('update-subscription route', () => {
+  let mockRequest
+  let mockH
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      params: { subscriptionId: 3 },
+      payload: { active: false },
+      prisma: {},
+      auth: { credentials: { userId: 5 } },
+      server: { logger: { info: vi.fn(), error: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn((data) => ({
+        data,
+        code: vi.fn((statusCode) => ({ data, statusCode }))
+      }))
+    }
+
+    ReportSubscriptionService.prototype.updateSubscription = vi
+      .fn()
+      .mockResolvedValue({ id: 3, active: false })
+  })
+
+  describe('route configuration', () => {
+    test('Should be a PATCH on a single report subscription', () => {
+      expect(updateSubscription.method).toBe('PATCH')
+      expect(updateSubscription.path).toBe(
+        '/api/v1/report-subscriptions/{subscriptionId}'
+      )
+      expect(updateSubscription.options.auth).toBe('jwt')
+    })
+
+    test('Should reject a non-numeric subscription id', () => {
+      const { error } = updateSubscription.options.validate.params.validate({
+        subscriptionId: 'abc'
+      })
+      expect(error.details[0].message).toBe(
+        REPORT_SUBSCRIPTION_VALIDATION_CODES.ID_INVALID
+      )
+    })
+
+    test('Should reject an empty update', () => {
+      const { error } = updateSubscription.options.validate.payload.validate({})
+      expect(error).toBeDefined()
+    })
+  })
+
+  describe('handler', () => {
+    test('Should update the subscription', async () => {
+      const result = await updateSubscription.handler(mockRequest, mockH)
+
+      expect(
+        ReportSubscriptionService.prototype.updateSubscription
+      ).toHaveBeenCalledWith(5, 3, { active: false })
+      expect(result.statusCode).toBe(HTTP_STATUS.OK)
+      expect(result.data).toEqual({ id: 3, active: false })
+    })
+
+    test('Should return 404 when the subscription belongs to someone else', async () => {
+      ReportSubscriptionService.prototype.updateSubscription = vi
+        .fn()
+        .mockRejectedValue(
+          new NotFoundError(
+            'Report subscription not found',
+            REPORT_SUBSCRIPTION_ERROR_CODES.NOT_FOUND,
+            null
+          )
+        )
+
+      const result = await updateSubscription.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.NOT_FOUND)
+      expect(result.data.errors[0].errorCode).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.NOT_FOUND
+      )
+    })
+
+    test('Should return 500 when the update fails', async () => {
+      ReportSubscriptionService.prototype.updateSubscription = vi
+        .fn()
+        .mockRejectedValue(new Error('Database error'))
+
+      const result = await updateSubscription.handler(mockRequest, mockH)
+
+      expect(result.statusCode).toBe(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      expect(result.data.errors[0].errorCode).toBe(
+        REPORT_SUBSCRIPTION_ERROR_CODES.UPDATE_FAILED
+      )
+    })
+  })
+})
@@ -0,0 +1,158 @@
+/**
+ * Programme summary report XLSX
+ *
+ * Writes the summary built by ProgrammeSummaryService as two sheets: funding
+ * by financial year and source, and households at reduced risk. Each sheet
+ * has one line per RFCC, EA area, PSO area and project type, then a total.
+ */
+import { PassThrough } from 'node:stream'
+import ExcelJS from 'exceljs'
+import {
+  FUNDING_SOURCE_COLUMNS,
+  HOUSEHOLD_OUTCOME_TABLES
+} from '../services/programme-summary-service.js'
+
+export const PROGRAMME_SUMMARY_CONTENT_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+
+const XLSX_COLUMN_WIDTH = 24
+const TOTAL_LABEL = 'Total'
+
+export const FUNDING_SOURCE_LABELS = {
+  fcermGia: 'Grant in aid',
+  localLevy: 'Local levy',
+  internalDrainageBoards: 'Internal drainage board',
+  publicContributions: 'Public sector',
+  privateContributions: 'Private sector',
+  otherEaContributions: 'Other Environment Agency functions',
+  notYetIdentified: 'Other funding sources',
+  assetReplacementAllowance: 'Asset replacement allowance',
+  environmentStatutoryFunding: 'Environment statutory funding',
+  frequentlyFloodedCommunities: 'Frequently flooded communities',
+  otherAdditionalGrantInAid: 'Other additional grant in aid',
+  otherGovernmentDepartment: 'Other government department',
+  recovery: 'Recovery',
+  summerEconomicFund: 'Summer economic fund'
+}
+
+export const HOUSEHOLD_OUTCOME_LABELS = {
+  floodProtection: 'Households at reduced flood risk',
+  floodProtection2040: 'Households at reduced flood risk (2040)',
+  coastalErosionProtection: 'Households at reduced coastal erosion risk'
+}
+
+const GROUP_HEADERS = ['RFCC', 'EA area', 'PSO area', 'Project type']
+
+const groupCells = (group) => [
+  group.rfccName,
+  group.eaAreaName,
+  group.psoName,
+  group.projectType
+]
+const totalCells = () => [TOTAL_LABEL, null, null, null]
+
+/**
+ * Financial year as shown in the FCERM1, e.g. "2025 - 2026"
+ * @param {number} financialYear - Starting year; -1 for previous years
+ * @returns {string}
+ */
+export function formatFinancialYear(financialYear) {
+  return financialYear === -1
+    ? 'Previous years'
+    : `${financialYear} - ${financialYear + 1}`
+}
+
+/**
+ * Suggested download filename, e.g. programme_summary_2026-05-01.xlsx
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function buildProgrammeSummaryFilename(date = new Date()) {
+  return `programme_summary_${date.toISOString().slice(0, 10)}.xlsx`
+}
+
+function fundingCells(year) {
+  return [
+    formatFinancialYear(year.financialYear),
+    ...Object.keys(FUNDING_SOURCE_COLUMNS).map((source) => year[source]),
+    year.total
+  ]
+}
+
+function householdCells(households) {
+  return Object.keys(HOUSEHOLD_OUTCOME_TABLES).map(
+    (outcome) => households[outcome]
+  )
+}
+
+function addSheet(workbook, name, headers) {
+  const sheet = workbook.addWorksheet(name)
+  sheet.columns = headers.map((header) => ({
+    header,
+    width: XLSX_COLUMN_WIDTH
+  }))
+  return sheet
+}
+
+/**
+ * Write the programme summary as an XLSX stream
+ * @param {Object} summary - Result of ProgrammeSummaryService.getSummary
+ * @returns {import('node:stream').Readable}
+ */
+export function createProgrammeSummaryStream(summary) {
+  const stream = new PassThrough()
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream })
+
+  const fundingSheet = addSheet(workbook, 'Funding', [
+    ...GROUP_HEADERS,
+    'Financial year',
+    ...Object.keys(FUNDING_SOURCE_COLUMNS).map(
+      (source) => FUNDING_SOURCE_LABELS[source]
+    ),
+    'Total'
+  ])
+  const householdsSheet = addSheet(workbook, 'Households', [
+    ...GROUP_HEADERS,
+    'Projects',
+    ...Object.keys(HOUSEHOLD_OUTCOME_TABLES).map(
+      (outcome) => HOUSEHOLD_OUTCOME_LABELS[outcome]
+    )
+  ])
+
+  const write = async () => {
+    for (const group of summary.groups) {
+      for (const year of group.funding) {
+        fundingSheet
+          .addRow([...groupCells(group), ...fundingCells(year)])
+          .commit()
+      }
+    }
+    for (const year of summary.totals.funding) {
+      fundingSheet.addRow([...totalCells(), ...fundingCells(year)]).commit()
+    }
+    fundingSheet.commit()
+
+    for (const group of summary.groups) {
+      householdsSheet
+        .addRow([
+          ...groupCells(group),
+          group.projectCount,
+          ...householdCells(group.householdsAtReducedRisk)
+        ])
+        .commit()
+    }
+    householdsSheet
+      .addRow([
+        ...totalCells(),
+        summary.projectCount,
+        ...householdCells(summary.totals.householdsAtReducedRisk)
+      ])
+      .commit()
+    householdsSheet.commit()
+
+    await workbook.commit()
+  }
+  write().catch((error) => stream.destroy(error))
+
+  return stream
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import { buffer } from 'node:stream/consumers'
+import ExcelJS from 'exceljs'
+import {
+  buildProgrammeSummaryFilename,
+  createProgrammeSummaryStream,
+  formatFinancialYear
+} from './programme-summary-workbook.js'
+
+function fundingYear(financialYear, amounts) {
+  return {
+    financialYear,
+    fcermGia: 0,
+    localLevy: 0,
+    internalDrainageBoards: 0,
+    publicContributions: 0,
+    privateContributions: 0,
+    otherEaContributions: 0,
+    notYetIdentified: 0,
+    assetReplacementAllowance: 0,
+    environmentStatutoryFunding: 0,
+    frequentlyFloodedCommunities: 0,
+    otherAdditionalGrantInAid: 0,
+    otherGovernmentDepartment: 0,
+    recovery: 0,
+    summerEconomicFund: 0,
+    total: 0,
+    ...amounts
+  }
+}
+
+describe('programme summary workbook', () => {
+  const households = {
+    floodProtection: 15,
+    floodProtection2040: 7,
+    coastalErosionProtection: 0
+  }
+  const summary = {
+    generatedAt: new Date('2026-05-01T00:00:00Z'),
+    projectCount: 2,
+    groups: [
+      {
+        rfccName: 'Thames',
+        eaAreaName: 'Thames',
+        psoName: 'PSO West London',
+        projectType: 'DEF',
+        projectCount: 2,
+        funding: [
+          fundingYear(-1, { localLevy: 100, total: 100 }),
+          fundingYear(2025, { fcermGia: 1500, total: 1500 })
+        ],
+        householdsAtReducedRisk: households
+      }
+    ],
+    totals: {
+      funding: [
+        fundingYear(-1, { localLevy: 100, total: 100 }),
+        fundingYear(2025, { fcermGia: 1500, total: 1500 })
+      ],
+      householdsAtReducedRisk: households
+    }
+  }
+
+  it('writes funding by group and financial year, then the totals', async () => {
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(
+      await buffer(createProgrammeSummaryStream(summary))
+    )
+
+    const sheet = workbook.getWorksheet('Funding')
+    expect(sheet.getRow(1).values.slice(1, 7)).toEqual([
+      'RFCC',
+      'EA area',
+      'PSO area',
+      'Project type',
+      'Financial year',
+      'Grant in aid'
+    ])
+    expect(sheet.getRow(1).getCell(20).text).toBe('Total')
+    expect(sheet.getRow(2).getCell(5).text).toBe('Previous years')
+    expect(sheet.getRow(2).getCell(7).value).toBe(100)
+    expect(sheet.getRow(3).getCell(5).text).toBe('2025 - 2026')
+    expect(sheet.getRow(3).getCell(6).value).toBe(1500)
+    expect(sheet.getRow(4).getCell(1).text).toBe('Total')
+    expect(sheet.rowCount).toBe(5)
+  })
+
+  it('writes households at reduced risk by group, then the total', async () => {
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(
+      await buffer(createProgrammeSummaryStream(summary))
+    )
+
+    const sheet = workbook.getWorksheet('Households')
+    expect(sheet.getRow(1).getCell(5).text).toBe('Projects')
+    expect(sheet.getRow(1).getCell(6).text).toBe(
+      'Households at reduced flood risk'
+    )
+    expect(sheet.getRow(2).values.slice(1)).toEqual([
+      'Thames',
+      'Thames',
+      'PSO West London',
+      'DEF',
+      2,
+      15,
+      7,
+      0
+    ])
+    expect(sheet.getRow(3).getCell(1).text).toBe('Total')
+    expect(sheet.getRow(3).getCell(5).value).toBe(2)
+  })
+
+  it('formats financial years as in the FCERM1', () => {
+    expect(formatFinancialYear(-1)).toBe('Previous years')
+    expect(formatFinancialYear(2030)).toBe('2030 - 2031')
+  })
+
+  it('builds a dated filename', () => {
+    expect(
+      buildProgrammeSummaryFilename(new Date('2026-05-01T12:00:00Z'))
+    ).toBe('programme_summary_2026-05-01.xlsx')
+  })
+})
@@ -0,0 +1,13 @@
+import programmeSummary from './programme-summary/programme-summary.js'
+
+const reportsPlugin = {
+  name: 'reports',
+  version: '1.0.0',
+  register: (server, _options) => {
+    server.route([programmeSummary])
+    server.logger.info('Reports plugin registered')
+  }
+}
+
+export default reportsPlugin
+export { default as programmeSummary } from './programme-summary/programme-summary.js'
@@ -0,0 +1,29 @@
+import { describe, test, expect, vi } from 'vitest'
+import Hapi from '@hapi/hapi'
+
+const module = await import('./index.js')
+const reportsPlugin = module.default
+
+describe('reports plugin', () => {
+  test('Should register the report routes', async () => {
+    const server = Hapi.server()
+    const mockLogger = { info: vi.fn() }
+
+    server.decorate('server', 'logger', mockLogger)
+    server.auth.scheme('jwt', () => ({ authenticate: vi.fn() }))
+    server.auth.strategy('jwt', 'jwt')
+
+    await server.register(reportsPlugin)
+
+    const routes = server.table().map((r) => `${r.method} ${r.path}`)
+
+    expect(routes).toEqual(['get /api/v1/reports/programme-summary'])
+    expect(mockLogger.info).toHaveBeenCalledWith('Reports plugin registered')
+  })
+
+  test('Should re-export each route', () => {
+    expect(module.programmeSummary.path).toBe(
+      '/api/v1/reports/programme-summary'
+    )
+  })
+})
@@ -0,0 +1,70 @@
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import {
+  REPORT_ERROR_CODES,
+  REPORT_FORMATS
+} from '../../../common/constants/reports.js'
+import { programmeSummaryQuerySchema } from '../schema.js'
+import { validationFailAction } from '../../../common/helpers/validation-fail-action.js'
+import { buildSuccessResponse } from '../../../common/helpers/response-builder.js'
+import { handleError } from '../../../common/helpers/error-handler.js'
+import {
+  PROGRAMME_SUMMARY_CONTENT_TYPE,
+  buildProgrammeSummaryFilename,
+  createProgrammeSummaryStream
+} from '../helpers/programme-summary-workbook.js'
+import { ProgrammeSummaryService } from '../services/programme-summary-service.js'
+
+const programmeSummary = {
+  method: 'GET',
+  path: '/api/v1/reports/programme-summary',
+  options: {
+    auth: 'jwt',
+    description: 'Programme summary report',
+    notes:
+      'Totals for the projects in the areas the signed-in user can access: ' +
+      'funding by financial year and funding source, and households at ' +
+      'reduced risk from the flood, flood 2040 and coastal erosion outcomes. ' +
+      'Totals are grouped by RFCC, EA area, PSO area and project type. ' +
+      'Returns JSON, or an XLSX workbook with format=xlsx.',
+    tags: ['api', 'reports'],
+    validate: {
+      query: programmeSummaryQuerySchema,
+      failAction: validationFailAction
+    }
+  },
+  handler: async (request, h) => {
+    try {
+      const { format } = request.query
+      const summaryService = new ProgrammeSummaryService(
+        request.prisma,
+        request.server.logger
+      )
+      const summary = await summaryService.getSummary(
+        request.auth.credentials.userId
+      )
+
+      if (format === REPORT_FORMATS.JSON) {
+        return buildSuccessResponse(h, summary, HTTP_STATUS.OK)
+      }
+
+      return h
+        .response(createProgrammeSummaryStream(summary))
+        .code(HTTP_STATUS.OK)
+        .header('Content-Type', PROGRAMME_SUMMARY_CONTENT_TYPE)
+        .header(
+          'Content-Disposition',
+          `attachment; filename="${buildProgrammeSummaryFilename(summary.generatedAt)}"`
+        )
+    } catch (error) {
+      return handleError(
+        error,
+        request,
+        h,
+        REPORT_ERROR_CODES.PROGRAMME_SUMMARY_FAILED,
+        'Failed to build programme summary report'
+      )
+    }
+  }
+}
+
+export default programmeSummary
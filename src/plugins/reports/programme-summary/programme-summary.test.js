@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Readable } from 'node:stream'
+import { HTTP_STATUS } from '../../../common/constants/index.js'
+import { REPORT_ERROR_CODES } from '../../../common/constants/reports.js'
+
+const mockSummaryService = {
+  getSummary: vi.fn()
+}
+
+vi.mock('../services/programme-summary-service.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  ProgrammeSummaryService: vi.fn(function () {
+    return mockSummaryService
+  })
+}))
+
+const { default: programmeSummary } = await import('./programme-summary.js')
+
+describe('programme-summary endpoint', () => {
+  let mockRequest
+  let mockH
+  const summary = {
+    generatedAt: new Date('2026-06-01T00:00:00Z'),
+    projectCount: 0,
+    groups: [],
+    totals: {
+      funding: [],
+      householdsAtReducedRisk: {
+        floodProtection: 0,
+        floodProtection2040: 0,
+        coastalErosionProtection: 0
+      }
+    }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockRequest = {
+      query: { format: 'json' },
+      auth: { credentials: { userId: 100 } },
+      prisma: {},
+      server: { logger: { error: vi.fn(), info: vi.fn(), warn: vi.fn() } }
+    }
+
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis(),
+      header: vi.fn().mockReturnThis()
+    }
+    mockSummaryService.getSummary.mockResolvedValue(summary)
+  })
+
+  it('has correct method and path', () => {
+    expect(programmeSummary.method).toBe('GET')
+    expect(programmeSummary.path).toBe('/api/v1/reports/programme-summary')
+    expect(programmeSummary.options.auth).toBe('jwt')
+  })
+
+  it('returns the summary as JSON', async () => {
+    await programmeSummary.handler(mockRequest, mockH)
+
+    expect(mockSummaryService.getSummary).toHaveBeenCalledWith(100)
+    expect(mockH.response).toHaveBeenCalledWith(summary)
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.OK)
+    expect(mockH.header).not.toHaveBeenCalled()
+  })
+
+  it('streams the summary as XLSX', async () => {
+    mockRequest.query.format = 'xlsx'
+
+    await programmeSummary.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith(expect.any(Readable))
+    expect(mockH.header).toHaveBeenCalledWith(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    )
+    expect(mockH.header).toHaveBeenCalledWith(
+      'Content-Disposition',
+      'attachment; filename="programme_summary_2026-06-01.xlsx"'
+    )
+  })
+
+  it('returns 500 when the report cannot be built', async () => {
+    mockSummaryService.getSummary.mockRejectedValue(new Error('DB down'))
+
+    await programmeSummary.handler(mockRequest, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      errors: [
+        expect.objectContaining({
+          errorCode: REPORT_ERROR_CODES.PROGRAMME_SUMMARY_FAILED
+        })
+      ]
+    })
+    expect(mockH.code).toHaveBeenCalledWith(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+  })
+})
@@ -0,0 +1,18 @@
+import Joi from 'joi'
+import {
+  REPORT_FORMATS,
+  REPORT_VALIDATION_CODES
+} from '../../common/constants/reports.js'
+
+/**
+ * Query schema for the programme summary report
+ */
+export const programmeSummaryQuerySchema = Joi.object({
+  format: Joi.string()
+    .valid(...Object.values(REPORT_FORMATS))
+    .default(REPORT_FORMATS.JSON)
+    .label('Format')
+    .messages({
+      'any.only': REPORT_VALIDATION_CODES.FORMAT_INVALID
+    })
+})
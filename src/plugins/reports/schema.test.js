@@ -0,0 +1,30 @@
+import { describe, test, expect } from 'vitest'
+import { programmeSummaryQuerySchema } from './schema.js'
+import { REPORT_VALIDATION_CODES } from '../../common/constants/reports.js'
+
+describe('report schemas', () => {
+  describe('programmeSummaryQuerySchema', () => {
+    test('Should default to JSON', () => {
+      const { value, error } = programmeSummaryQuerySchema.validate({})
+      expect(error).toBeUndefined()
+      expect(value).toEqual({ format: 'json' })
+    })
+
+    test('Should accept XLSX', () => {
+      const { value, error } = programmeSummaryQuerySchema.validate({
+        format: 'xlsx'
+      })
+      expect(error).toBeUndefined()
+      expect(value.format).toBe('xlsx')
+    })
+
+    test('Should reject an unsupported format', () => {
+      const { error } = programmeSummaryQuerySchema.validate({
+        format: 'csv'
+      })
+      expect(error.details[0].message).toBe(
+        REPORT_VALIDATION_CODES.FORMAT_INVALID
+      )
+    })
+  })
+})
@@ -0,0 +1,259 @@
+import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+import { resolveAreaHierarchiesBulk } from '../../downloads/programme/programme-generation-helpers.js'
+import { deriveRfccRegion } from '../../projects/helpers/proposal-payload-helpers.js'
+
+/**
+ * Funding source → pafs_core_funding_values column, in FCERM1 column order
+ */
+export const FUNDING_SOURCE_COLUMNS = {
+  fcermGia: 'fcerm_gia',
+  localLevy: 'local_levy',
+  internalDrainageBoards: 'internal_drainage_boards',
+  publicContributions: 'public_contributions',
+  privateContributions: 'private_contributions',
+  otherEaContributions: 'other_ea_contributions',
+  notYetIdentified: 'not_yet_identified',
+  assetReplacementAllowance: 'asset_replacement_allowance',
+  environmentStatutoryFunding: 'environment_statutory_funding',
+  frequentlyFloodedCommunities: 'frequently_flooded_communities',
+  otherAdditionalGrantInAid: 'other_additional_grant_in_aid',
+  otherGovernmentDepartment: 'other_government_department',
+  recovery: 'recovery',
+  summerEconomicFund: 'summer_economic_fund'
+}
+
+/**
+ * Outcomes table each households at reduced risk count is read from
+ */
+export const HOUSEHOLD_OUTCOME_TABLES = {
+  floodProtection: 'pafs_core_flood_protection_outcomes',
+  floodProtection2040: 'pafs_core_flood_protection2040_outcomes',
+  coastalErosionProtection: 'pafs_core_coastal_erosion_protection_outcomes'
+}
+
+const FUNDING_VALUE_SELECT = {
+  project_id: true,
+  financial_year: true,
+  total: true,
+  ...Object.fromEntries(
+    Object.values(FUNDING_SOURCE_COLUMNS).map((column) => [column, true])
+  )
+}
+
+const GROUP_FIELDS = ['rfccName', 'eaAreaName', 'psoName', 'projectType']
+
+function emptyFundingYear(financialYear) {
+  return {
+    financialYear,
+    ...Object.fromEntries(
+      Object.keys(FUNDING_SOURCE_COLUMNS).map((source) => [source, 0])
+    ),
+    total: 0
+  }
+}
+
+function emptyHouseholds() {
+  return Object.fromEntries(
+    Object.keys(HOUSEHOLD_OUTCOME_TABLES).map((outcome) => [outcome, 0])
+  )
+}
+
+function addFundingValue(fundingByYear, row) {
+  let year = fundingByYear.get(row.financial_year)
+  if (!year) {
+    year = emptyFundingYear(row.financial_year)
+    fundingByYear.set(row.financial_year, year)
+  }
+  for (const [source, column] of Object.entries(FUNDING_SOURCE_COLUMNS)) {
+    year[source] += Number(row[column] ?? 0)
+  }
+  year.total += Number(row.total ?? 0)
+}
+
+function sortedFunding(fundingByYear) {
+  return [...fundingByYear.values()].sort(
+    (a, b) => a.financialYear - b.financialYear
+  )
+}
+
+// Groups without a value (e.g. a project with no PSO) sort last
+function compareGroups(a, b) {
+  for (const field of GROUP_FIELDS) {
+    if (a[field] === b[field]) {
+      continue
+    }
+    if (a[field] == null) {
+      return 1
+    }
+    if (b[field] == null) {
+      return -1
+    }
+    return a[field].localeCompare(b[field])
+  }
+  return 0
+}
+
+function groupBy(rows, keyFn) {
+  const map = new Map()
+  for (const row of rows) {
+    const key = keyFn(row)
+    const existing = map.get(key)
+    if (existing) {
+      existing.push(row)
+    } else {
+      map.set(key, [row])
+    }
+  }
+  return map
+}
+
+export class ProgrammeSummaryService {
+  constructor(prisma, logger) {
+    this.prisma = prisma
+    this.logger = logger
+  }
+
+  /**
+   * Funding totals by financial year and source, and households at reduced
+   * risk, for the projects in the user's accessible areas. Totals are given
+   * per RFCC, EA area, PSO area and project type, and for the whole
+   * programme.
+   *
+   * @param {bigint|number} userId
+   * @returns {Promise<Object>} { generatedAt, projectCount, groups, totals }
+   */
+  async getSummary(userId) {
+    const generatedAt = new Date()
+    const areaIds = await resolveAccessibleAreaIdsForUser(
+      this.prisma,
+      this.logger,
+      userId
+    )
+    const areaProjects =
+      areaIds.length > 0
+        ? await this.prisma.pafs_core_area_projects.findMany({
+            where: { area_id: { in: areaIds } },
+            select: { project_id: true, area_id: true }
+          })
+        : []
+
+    if (areaProjects.length === 0) {
+      return this._buildSummary(generatedAt, [])
+    }
+
+    const projectIds = areaProjects.map((row) => BigInt(row.project_id))
+    const [projects, fundingValues, outcomes, hierarchyByArea] =
+      await Promise.all([
+        this.prisma.pafs_core_projects.findMany({
+          where: { id: { in: projectIds } },
+          select: { id: true, reference_number: true, project_type: true }
+        }),
+        this.prisma.pafs_core_funding_values.findMany({
+          where: { project_id: { in: projectIds } },
+          select: FUNDING_VALUE_SELECT
+        }),
+        this._fetchHouseholdOutcomes(projectIds),
+        resolveAreaHierarchiesBulk(this.prisma, [
+          ...new Set(areaProjects.map((row) => Number(row.area_id)))
+        ])
+      ])
+
+    const areaByProject = new Map(
+      areaProjects.map((row) => [Number(row.project_id), Number(row.area_id)])
+    )
+    const fundingByProject = groupBy(fundingValues, (row) =>
+      Number(row.project_id)
+    )
+
+    const rows = projects.map((project) => {
+      const id = Number(project.id)
+      const hierarchy = hierarchyByArea.get(areaByProject.get(id))
+      return {
+        rfccName: deriveRfccRegion(project.reference_number),
+        eaAreaName: hierarchy?.eaAreaName ?? null,
+        psoName: hierarchy?.psoName ?? null,
+        projectType: project.project_type ?? null,
+        fundingValues: fundingByProject.get(id) ?? [],
+        households: outcomes.get(id)
+      }
+    })
+
+    this.logger.info(
+      { userId, areas: areaIds.length, projects: rows.length },
+      'Programme summary report built'
+    )
+    return this._buildSummary(generatedAt, rows)
+  }
+
+  // Households at reduced risk per project, summed over financial years
+  async _fetchHouseholdOutcomes(projectIds) {
+    const entries = Object.entries(HOUSEHOLD_OUTCOME_TABLES)
+    const results = await Promise.all(
+      entries.map(([, table]) =>
+        this.prisma[table].findMany({
+          where: { project_id: { in: projectIds } },
+          select: { project_id: true, households_at_reduced_risk: true }
+        })
+      )
+    )
+
+    const byProject = new Map()
+    entries.forEach(([outcome], index) => {
+      for (const row of results[index]) {
+        const id = Number(row.project_id)
+        if (!byProject.has(id)) {
+          byProject.set(id, emptyHouseholds())
+        }
+        byProject.get(id)[outcome] += row.households_at_reduced_risk ?? 0
+      }
+    })
+    return byProject
+  }
+
+  _buildSummary(generatedAt, rows) {
+    const groups = new Map()
+    const totalFunding = new Map()
+    const totalHouseholds = emptyHouseholds()
+
+    for (const row of rows) {
+      const key = JSON.stringify(GROUP_FIELDS.map((field) => row[field]))
+      if (!groups.has(key)) {
+        groups.set(key, {
+          ...Object.fromEntries(
+            GROUP_FIELDS.map((field) => [field, row[field]])
+          ),
+          projectCount: 0,
+          fundingByYear: new Map(),
+          householdsAtReducedRisk: emptyHouseholds()
+        })
+      }
+      const group = groups.get(key)
+      group.projectCount++
+
+      for (const value of row.fundingValues) {
+        addFundingValue(group.fundingByYear, value)
+        addFundingValue(totalFunding, value)
+      }
+      for (const outcome of Object.keys(totalHouseholds)) {
+        const households = row.households?.[outcome] ?? 0
+        group.householdsAtReducedRisk[outcome] += households
+        totalHouseholds[outcome] += households
+      }
+    }
+
+    return {
+      generatedAt,
+      projectCount: rows.length,
+      groups: [...groups.values()]
+        .map(({ fundingByYear, ...group }) => ({
+          ...group,
+          funding: sortedFunding(fundingByYear)
+        }))
+        .sort(compareGroups),
+      totals: {
+        funding: sortedFunding(totalFunding),
+        householdsAtReducedRisk: totalHouseholds
+      }
+    }
+  }
+}
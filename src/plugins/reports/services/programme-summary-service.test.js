@@ -0,0 +1,207 @@
+import { describe, test, expect, beforeEach, vi } from 'vitest'
+import { ProgrammeSummaryService } from './programme-summary-service.js'
+import { resolveAccessibleAreaIdsForUser } from '../../areas/helpers/user-areas.js'
+import { resolveAreaHierarchiesBulk } from '../../downloads/programme/programme-generation-helpers.js'
+
+vi.mock('../../areas/helpers/user-areas.js', () => ({
+  resolveAccessibleAreaIdsForUser: vi.fn()
+}))
+
+vi.mock('../../downloads/programme/programme-generation-helpers.js', () => ({
+  resolveAreaHierarchiesBulk: vi.fn()
+}))
+
+const NO_HOUSEHOLDS = {
+  floodProtection: 0,
+  floodProtection2040: 0,
+  coastalErosionProtection: 0
+}
+
+function fundingValue(projectId, financialYear, amounts) {
+  return {
+    project_id: BigInt(projectId),
+    financial_year: financialYear,
+    fcerm_gia: null,
+    local_levy: null,
+    total: 0n,
+    ...amounts
+  }
+}
+
+describe('ProgrammeSummaryService', () => {
+  let prisma
+  let logger
+  let service
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    prisma = {
+      pafs_core_area_projects: {
+        findMany: vi.fn().mockResolvedValue([
+          { project_id: 1, area_id: 10 },
+          { project_id: 2, area_id: 10 },
+          { project_id: 3, area_id: 20 }
+        ])
+      },
+      pafs_core_projects: {
+        findMany: vi.fn().mockResolvedValue([
+          {
+            id: 1n,
+            reference_number: 'THC501E/000A/001A',
+            project_type: 'DEF'
+          },
+          {
+            id: 2n,
+            reference_number: 'THC501E/000A/002A',
+            project_type: 'DEF'
+          },
+          { id: 3n, reference_number: 'ANC501E/000A/003A', project_type: 'REP' }
+        ])
+      },
+      pafs_core_funding_values: {
+        findMany: vi.fn().mockResolvedValue([
+          fundingValue(1, 2025, { fcerm_gia: 1000n, total: 1000n }),
+          fundingValue(2, 2025, {
+            fcerm_gia: 500n,
+            local_levy: 250n,
+            total: 750n
+          }),
+          fundingValue(2, -1, { local_levy: 100n, total: 100n }),
+          fundingValue(3, 2026, { fcerm_gia: 40n, total: 40n })
+        ])
+      },
+      pafs_core_flood_protection_outcomes: {
+        findMany: vi.fn().mockResolvedValue([
+          { project_id: 1n, households_at_reduced_risk: 10 },
+          { project_id: 1n, households_at_reduced_risk: 5 },
+          { project_id: 3n, households_at_reduced_risk: null }
+        ])
+      },
+      pafs_core_flood_protection2040_outcomes: {
+        findMany: vi
+          .fn()
+          .mockResolvedValue([
+            { project_id: 2n, households_at_reduced_risk: 7 }
+          ])
+      },
+      pafs_core_coastal_erosion_protection_outcomes: {
+        findMany: vi
+          .fn()
+          .mockResolvedValue([
+            { project_id: 3n, households_at_reduced_risk: 3 }
+          ])
+      }
+    }
+    logger = { info: vi.fn(), error: vi.fn() }
+    service = new ProgrammeSummaryService(prisma, logger)
+
+    resolveAccessibleAreaIdsForUser.mockResolvedValue([10, 20])
+    resolveAreaHierarchiesBulk.mockResolvedValue(
+      new Map([
+        [10, { psoName: 'PSO West London', eaAreaName: 'Thames' }],
+        [20, { psoName: null, eaAreaName: null }]
+      ])
+    )
+  })
+
+  test('Should group totals by RFCC, EA area, PSO area and project type', async () => {
+    const summary = await service.getSummary(5)
+
+    expect(summary.projectCount).toBe(3)
+    expect(summary.groups).toHaveLength(2)
+    expect(summary.groups[0]).toMatchObject({
+      rfccName: 'Anglian Northern',
+      eaAreaName: null,
+      psoName: null,
+      projectType: 'REP',
+      projectCount: 1,
+      householdsAtReducedRisk: {
+        ...NO_HOUSEHOLDS,
+        coastalErosionProtection: 3
+      }
+    })
+    expect(summary.groups[1]).toMatchObject({
+      rfccName: 'Thames',
+      eaAreaName: 'Thames',
+      psoName: 'PSO West London',
+      projectType: 'DEF',
+      projectCount: 2,
+      householdsAtReducedRisk: {
+        ...NO_HOUSEHOLDS,
+        floodProtection: 15,
+        floodProtection2040: 7
+      }
+    })
+  })
+
+  test('Should total funding by financial year and source', async () => {
+    const summary = await service.getSummary(5)
+
+    const thames = summary.groups[1]
+    expect(thames.funding.map((year) => year.financialYear)).toEqual([-1, 2025])
+    expect(thames.funding[1]).toMatchObject({
+      fcermGia: 1500,
+      localLevy: 250,
+      internalDrainageBoards: 0,
+      total: 1750
+    })
+    expect(summary.totals.funding).toEqual([
+      expect.objectContaining({
+        financialYear: -1,
+        localLevy: 100,
+        total: 100
+      }),
+      expect.objectContaining({ financialYear: 2025, total: 1750 }),
+      expect.objectContaining({ financialYear: 2026, fcermGia: 40, total: 40 })
+    ])
+    expect(summary.totals.householdsAtReducedRisk).toEqual({
+      floodProtection: 15,
+      floodProtection2040: 7,
+      coastalErosionProtection: 3
+    })
+  })
+
+  test("Should only read the projects in the user's areas", async () => {
+    await service.getSummary(5)
+
+    expect(resolveAccessibleAreaIdsForUser).toHaveBeenCalledWith(
+      prisma,
+      logger,
+      5
+    )
+    expect(prisma.pafs_core_area_projects.findMany).toHaveBeenCalledWith({
+      where: { area_id: { in: [10, 20] } },
+      select: { project_id: true, area_id: true }
+    })
+    expect(prisma.pafs_core_funding_values.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { project_id: { in: [1n, 2n, 3n] } }
+      })
+    )
+    expect(resolveAreaHierarchiesBulk).toHaveBeenCalledWith(prisma, [10, 20])
+  })
+
+  test('Should return an empty summary when the user has no areas', async () => {
+    resolveAccessibleAreaIdsForUser.mockResolvedValue([])
+
+    const summary = await service.getSummary(5)
+
+    expect(summary).toEqual({
+      generatedAt: expect.any(Date),
+      projectCount: 0,
+      groups: [],
+      totals: { funding: [], householdsAtReducedRisk: NO_HOUSEHOLDS }
+    })
+    expect(prisma.pafs_core_area_projects.findMany).not.toHaveBeenCalled()
+  })
+
+  test('Should return an empty summary when the areas have no projects', async () => {
+    prisma.pafs_core_area_projects.findMany.mockResolvedValue([])
+
+    const summary = await service.getSummary(5)
+
+    expect(summary.groups).toEqual([])
+    expect(prisma.pafs_core_projects.findMany).not.toHaveBeenCalled()
+  })
+})
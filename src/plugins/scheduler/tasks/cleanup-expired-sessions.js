@@ -0,0 +1,31 @@
+import { SessionService } from '../../auth/services/session-service.js'
+
+/**
+ * Scheduled Task: Cleanup Expired Sessions
+ * Runs every hour to remove sessions and refresh tokens that have expired,
+ * so the sessions table only holds devices that could still be signed in.
+ */
+
+export default {
+  name: 'cleanup-expired-sessions',
+  schedule: '30 * * * *', // Every hour at minute 30
+  runInWorker: false,
+
+  async handler(context) {
+    const { logger, prisma } = context
+    const sessionService = new SessionService(prisma, logger)
+
+    logger.debug('Running cleanup-expired-sessions task')
+
+    try {
+      const deletedCount = await sessionService.deleteExpiredSessions()
+
+      logger.debug({ deletedCount }, 'Cleaned up expired sessions')
+
+      return { success: true, deletedCount }
+    } catch (error) {
+      logger.error({ error }, 'Failed to cleanup expired sessions')
+      throw error
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+const mockDeleteExpiredSessions = vi.fn()
+
+vi.mock('../../auth/services/session-service.js', () => ({
+  SessionService: vi.fn(function () {
+    return { deleteExpiredSessions: mockDeleteExpiredSessions }
+  })
+}))
+
+const cleanupExpiredSessionsTask =
+  await import('./cleanup-expired-sessions.js').then((m) => m.default)
+
+describe('cleanup-expired-sessions task', () => {
+  let mockContext
+  let mockLogger
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), debug: vi.fn(), error: vi.fn() }
+    mockContext = { logger: mockLogger, prisma: {} }
+  })
+
+  it('has the correct task configuration', () => {
+    expect(cleanupExpiredSessionsTask.name).toBe('cleanup-expired-sessions')
+    expect(cleanupExpiredSessionsTask.schedule).toBe('30 * * * *')
+    expect(cleanupExpiredSessionsTask.runInWorker).toBe(false)
+  })
+
+  it('removes expired sessions', async () => {
+    mockDeleteExpiredSessions.mockResolvedValue(3)
+
+    const result = await cleanupExpiredSessionsTask.handler(mockContext)
+
+    expect(result).toEqual({ success: true, deletedCount: 3 })
+    expect(mockLogger.debug).toHaveBeenCalledWith(
+      { deletedCount: 3 },
+      'Cleaned up expired sessions'
+    )
+  })
+
+  it('logs and rethrows errors', async () => {
+    const error = new Error('Database error')
+    mockDeleteExpiredSessions.mockRejectedValue(error)
+
+    await expect(
+      cleanupExpiredSessionsTask.handler(mockContext)
+    ).rejects.toThrow('Database error')
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      { error },
+      'Failed to cleanup expired sessions'
+    )
+  })
+})
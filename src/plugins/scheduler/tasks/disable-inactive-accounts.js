@@ -1,5 +1,7 @@
 import { AccountService } from '../../accounts/services/account-service.js'
 import { getEmailService } from '../../../common/services/email/notify-service.js'
+import { NotificationService } from '../../notifications/services/notification-service.js'
+import { NOTIFICATION_TYPES } from '../../../common/constants/notifications.js'
 import { config } from '../../../config.js'
 
 /**
@@ -10,15 +12,18 @@ import { config } from '../../../config.js'
  */
 
 /**
- * Send warning emails to accounts approaching inactivity threshold
+ * Send warning emails to accounts approaching inactivity threshold,
+ * mirroring each one into the user's in-app inbox
  * @param {Array} accounts - Array of accounts needing warning
  * @param {Object} notifyService - Email notification service
+ * @param {Object} notificationService - In-app notification service
  * @param {Object} logger - Logger instance
  * @param {number} daysRemaining - Days remaining before account will be disabled
  */
 async function sendWarningEmails(
   accounts,
   notifyService,
+  notificationService,
   logger,
   daysRemaining
 ) {
@@ -50,6 +55,13 @@ async function sendWarningEmails(
         { accountId: account.id, email: account.email, daysRemaining },
         'Inactivity warning email sent'
       )
+      await notificationService.create({
+        userId: account.id,
+        type: NOTIFICATION_TYPES.ACCOUNT_INACTIVITY_WARNING,
+        title: `Your account will be disabled in ${daysRemaining} days`,
+        body: 'Sign in to keep your account active.',
+        metadata: { daysRemaining }
+      })
       sent++
     } catch (emailError) {
       logger.error(
@@ -88,6 +100,7 @@ function checkFeatureEnabled(logger) {
  * Process warning emails for accounts approaching inactivity threshold
  * @param {Object} accountService - Account service instance
  * @param {Object} emailService - Email service instance
+ * @param {Object} notificationService - In-app notification service
  * @param {Object} logger - Logger instance
  * @param {number} warningDays - Days before sending warning
  * @param {number} inactivityDays - Total inactivity days threshold
@@ -96,6 +109,7 @@ function checkFeatureEnabled(logger) {
 async function processWarningEmails(
   accountService,
   emailService,
+  notificationService,
   logger,
   warningDays,
   inactivityDays
@@ -114,6 +128,7 @@ async function processWarningEmails(
   const emailStats = await sendWarningEmails(
     accountsNeedingWarning,
     emailService,
+    notificationService,
     logger,
     daysRemaining
   )
@@ -214,6 +229,7 @@ export default {
     const { logger, prisma } = context
     const accountService = new AccountService(prisma, logger)
     const emailService = getEmailService(logger)
+    const notificationService = new NotificationService(prisma, logger)
 
     logger.info('Running account inactivity management task')
 
@@ -233,6 +249,7 @@ export default {
       const warningResult = await processWarningEmails(
         accountService,
         emailService,
+        notificationService,
         logger,
         warningDays,
         inactivityDays
@@ -55,7 +55,9 @@ describe('disable-inactive-accounts task', () => {
       error: vi.fn()
     }
 
-    mockPrisma = {}
+    mockPrisma = {
+      pafs_core_notifications: { create: vi.fn().mockResolvedValue({}) }
+    }
 
     // Setup config mock with default values
     mockConfigGet = vi.fn((key) => {
@@ -163,6 +165,28 @@ describe('disable-inactive-accounts task', () => {
       expect(result.warningEmailsFailed).toBe(0)
     })
 
+    it('should mirror each sent warning into the in-app inbox', async () => {
+      mockFindAccountsNeedingWarning.mockResolvedValue([
+        { id: 1, email: 'user1@test.com', firstName: 'John', lastName: 'Doe' },
+        { id: 2, email: 'user2@test.com', firstName: 'Jane', lastName: 'Smith' }
+      ])
+      mockEmailService.send
+        .mockResolvedValueOnce({ success: true })
+        .mockRejectedValueOnce(new Error('Email service error'))
+
+      await disableInactiveAccountsTask.handler(mockContext)
+
+      expect(mockPrisma.pafs_core_notifications.create).toHaveBeenCalledTimes(1)
+      expect(mockPrisma.pafs_core_notifications.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          user_id: 1n,
+          type: 'account_inactivity_warning',
+          title: 'Your account will be disabled in 30 days',
+          metadata: { daysRemaining: 30 }
+        })
+      })
+    })
+
     it('should handle warning email failures gracefully', async () => {
       const accountsNeedingWarning = [
         {
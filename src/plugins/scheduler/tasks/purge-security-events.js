@@ -0,0 +1,36 @@
+import { SecurityEventService } from '../../audit/services/security-event-service.js'
+import { config } from '../../../config.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Scheduled Task: Purge Security Events
+ * Runs daily to delete security events older than
+ * auth.securityEvents.retentionDays.
+ */
+
+export default {
+  name: 'purge-security-events',
+  schedule: '30 3 * * *', // Every day at 03:30
+  runInWorker: false,
+
+  async handler(context) {
+    const { logger, prisma } = context
+    const securityEventService = new SecurityEventService(prisma, logger)
+    const retentionDays = config.get('auth.securityEvents.retentionDays')
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS)
+
+    logger.debug({ cutoff }, 'Running purge-security-events task')
+
+    try {
+      const deletedCount = await securityEventService.deleteEventsBefore(cutoff)
+
+      logger.info({ deletedCount, retentionDays }, 'Purged old security events')
+
+      return { success: true, deletedCount }
+    } catch (error) {
+      logger.error({ error }, 'Failed to purge security events')
+      throw error
+    }
+  }
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+const mockDeleteEventsBefore = vi.fn()
+
+vi.mock('../../audit/services/security-event-service.js', () => ({
+  SecurityEventService: vi.fn(function () {
+    return { deleteEventsBefore: mockDeleteEventsBefore }
+  })
+}))
+
+vi.mock('../../../config.js', () => ({
+  config: { get: vi.fn(() => 365) }
+}))
+
+const purgeSecurityEventsTask = await import('./purge-security-events.js').then(
+  (m) => m.default
+)
+
+describe('purge-security-events task', () => {
+  let mockContext
+  let mockLogger
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-05-01T03:30:00Z'))
+
+    mockLogger = { info: vi.fn(), debug: vi.fn(), error: vi.fn() }
+    mockContext = { logger: mockLogger, prisma: {} }
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('has the correct task configuration', () => {
+    expect(purgeSecurityEventsTask.name).toBe('purge-security-events')
+    expect(purgeSecurityEventsTask.schedule).toBe('30 3 * * *')
+    expect(purgeSecurityEventsTask.runInWorker).toBe(false)
+  })
+
+  it('deletes events older than the retention period', async () => {
+    mockDeleteEventsBefore.mockResolvedValue(12)
+
+    const result = await purgeSecurityEventsTask.handler(mockContext)
+
+    expect(result).toEqual({ success: true, deletedCount: 12 })
+    expect(mockDeleteEventsBefore).toHaveBeenCalledWith(
+      new Date('2025-05-01T03:30:00Z')
+    )
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      { deletedCount: 12, retentionDays: 365 },
+      'Purged old security events'
+    )
+  })
+
+  it('logs and rethrows errors', async () => {
+    const error = new Error('Database error')
+    mockDeleteEventsBefore.mockRejectedValue(error)
+
+    await expect(purgeSecurityEventsTask.handler(mockContext)).rejects.toThrow(
+      'Database error'
+    )
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      { error },
+      'Failed to purge security events'
+    )
+  })
+})
@@ -0,0 +1,46 @@
+import { AccountSuspensionService } from '../../accounts/services/account-suspension-service.js'
+import { getEmailService } from '../../../common/services/email/notify-service.js'
+
+/**
+ * Scheduled Task: Reactivate Suspended Accounts
+ * Runs every 15 minutes to clear suspensions whose end date has passed and
+ * email each user that they can sign in again. Sign-in is already allowed
+ * from suspended_until; this task tidies the columns and sends the email.
+ */
+
+export default {
+  name: 'reactivate-suspended-accounts',
+  schedule: '*/15 * * * *', // Every 15 minutes
+  runInWorker: false,
+
+  async handler(context) {
+    const { logger, prisma } = context
+    const accountSuspensionService = new AccountSuspensionService(
+      prisma,
+      logger,
+      getEmailService(logger)
+    )
+
+    logger.debug('Running reactivate-suspended-accounts task')
+
+    try {
+      const result =
+        await accountSuspensionService.reactivateExpiredSuspensions()
+
+      if (result.reactivatedCount > 0 || result.failedCount > 0) {
+        logger.info(
+          {
+            reactivatedCount: result.reactivatedCount,
+            failedCount: result.failedCount
+          },
+          'Suspended accounts reactivated'
+        )
+      }
+
+      return { success: true, ...result }
+    } catch (error) {
+      logger.error({ error }, 'Failed to reactivate suspended accounts')
+      throw error
+    }
+  }
+}
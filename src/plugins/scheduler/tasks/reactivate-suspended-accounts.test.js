@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+const mockReactivateExpiredSuspensions = vi.fn()
+
+vi.mock('../../accounts/services/account-suspension-service.js', () => ({
+  AccountSuspensionService: vi.fn(function () {
+    return {
+      reactivateExpiredSuspensions: mockReactivateExpiredSuspensions
+    }
+  })
+}))
+
+vi.mock('../../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
+const reactivateSuspendedAccountsTask =
+  await import('./reactivate-suspended-accounts.js').then((m) => m.default)
+
+describe('reactivate-suspended-accounts task', () => {
+  let mockContext
+  let mockLogger
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), debug: vi.fn(), error: vi.fn() }
+    mockContext = { logger: mockLogger, prisma: {} }
+  })
+
+  it('has the correct task configuration', () => {
+    expect(reactivateSuspendedAccountsTask.name).toBe(
+      'reactivate-suspended-accounts'
+    )
+    expect(reactivateSuspendedAccountsTask.schedule).toBe('*/15 * * * *')
+    expect(reactivateSuspendedAccountsTask.runInWorker).toBe(false)
+  })
+
+  it('reactivates accounts whose suspension has ended', async () => {
+    const accounts = [{ id: 5, email: 'user@example.com' }]
+    mockReactivateExpiredSuspensions.mockResolvedValue({
+      reactivatedCount: 1,
+      failedCount: 0,
+      accounts
+    })
+
+    const result = await reactivateSuspendedAccountsTask.handler(mockContext)
+
+    expect(result).toEqual({
+      success: true,
+      reactivatedCount: 1,
+      failedCount: 0,
+      accounts
+    })
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      { reactivatedCount: 1, failedCount: 0 },
+      'Suspended accounts reactivated'
+    )
+  })
+
+  it('does not log at info when nothing was due', async () => {
+    mockReactivateExpiredSuspensions.mockResolvedValue({
+      reactivatedCount: 0,
+      failedCount: 0,
+      accounts: []
+    })
+
+    const result = await reactivateSuspendedAccountsTask.handler(mockContext)
+
+    expect(result.success).toBe(true)
+    expect(mockLogger.info).not.toHaveBeenCalled()
+  })
+
+  it('logs and rethrows errors', async () => {
+    const error = new Error('Database error')
+    mockReactivateExpiredSuspensions.mockRejectedValue(error)
+
+    await expect(
+      reactivateSuspendedAccountsTask.handler(mockContext)
+    ).rejects.toThrow('Database error')
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      { error },
+      'Failed to reactivate suspended accounts'
+    )
+  })
+})
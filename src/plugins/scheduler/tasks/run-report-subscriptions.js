@@ -0,0 +1,63 @@
+import { ReportSubscriptionService } from '../../report-subscriptions/services/report-subscription-service.js'
+import { runReportSubscription } from '../../report-subscriptions/helpers/run-report-subscription.js'
+
+/**
+ * Scheduled Task: Run Report Subscriptions
+ * Runs every 15 minutes to queue the programme downloads of report
+ * subscriptions that are due. Each subscription's own cron schedule decides
+ * when it is due; recipients are emailed when the download is complete.
+ */
+
+export default {
+  name: 'run-report-subscriptions',
+  schedule: '*/15 * * * *', // Every 15 minutes
+  runInWorker: false,
+
+  async handler(context) {
+    const { logger, prisma, server } = context
+    const subscriptionService = new ReportSubscriptionService(prisma, logger)
+
+    logger.debug('Running run-report-subscriptions task')
+
+    try {
+      const due = await subscriptionService.findDueSubscriptions(new Date())
+      let queued = 0
+      let skipped = 0
+      let failed = 0
+
+      for (const subscription of due) {
+        let downloadId = null
+        try {
+          downloadId = await runReportSubscription(
+            { prisma, logger, sqs: server.sqs },
+            subscription
+          )
+          if (downloadId) {
+            queued++
+          } else {
+            skipped++
+          }
+        } catch (error) {
+          failed++
+          logger.error(
+            { error, subscriptionId: subscription.id },
+            'Failed to run report subscription'
+          )
+        }
+        // Move on to the next slot even when the run failed, so a broken
+        // subscription does not retry every 15 minutes
+        await subscriptionService.recordRun(subscription, downloadId)
+      }
+
+      logger.info(
+        { due: due.length, queued, skipped, failed },
+        'Processed due report subscriptions'
+      )
+
+      return { success: true, due: due.length, queued, skipped, failed }
+    } catch (error) {
+      logger.error({ error }, 'Failed to run report subscriptions')
+      throw error
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+const mockFindDueSubscriptions = vi.fn()
+const mockRecordRun = vi.fn()
+const mockRunReportSubscription = vi.fn()
+
+vi.mock(
+  '../../report-subscriptions/services/report-subscription-service.js',
+  () => ({
+    ReportSubscriptionService: vi.fn(function () {
+      return {
+        findDueSubscriptions: mockFindDueSubscriptions,
+        recordRun: mockRecordRun
+      }
+    })
+  })
+)
+
+vi.mock(
+  '../../report-subscriptions/helpers/run-report-subscription.js',
+  () => ({
+    runReportSubscription: (...args) => mockRunReportSubscription(...args)
+  })
+)
+
+const runReportSubscriptionsTask =
+  await import('./run-report-subscriptions.js').then((m) => m.default)
+
+describe('run-report-subscriptions task', () => {
+  let mockContext
+  let mockLogger
+  const sqs = { send: vi.fn() }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = { info: vi.fn(), debug: vi.fn(), error: vi.fn() }
+    mockContext = { logger: mockLogger, prisma: {}, server: { sqs } }
+    mockRecordRun.mockResolvedValue({})
+  })
+
+  it('has the correct task configuration', () => {
+    expect(runReportSubscriptionsTask.name).toBe('run-report-subscriptions')
+    expect(runReportSubscriptionsTask.schedule).toBe('*/15 * * * *')
+    expect(runReportSubscriptionsTask.runInWorker).toBe(false)
+  })
+
+  it('queues each due subscription and records the run', async () => {
+    const due = [{ id: 1n }, { id: 2n }]
+    mockFindDueSubscriptions.mockResolvedValue(due)
+    mockRunReportSubscription
+      .mockResolvedValueOnce(11n)
+      .mockResolvedValueOnce(12n)
+
+    const result = await runReportSubscriptionsTask.handler(mockContext)
+
+    expect(result).toEqual({
+      success: true,
+      due: 2,
+      queued: 2,
+      skipped: 0,
+      failed: 0
+    })
+    expect(mockRunReportSubscription).toHaveBeenCalledWith(
+      { prisma: mockContext.prisma, logger: mockLogger, sqs },
+      due[0]
+    )
+    expect(mockRecordRun).toHaveBeenCalledWith(due[0], 11n)
+    expect(mockRecordRun).toHaveBeenCalledWith(due[1], 12n)
+  })
+
+  it('counts skipped subscriptions', async () => {
+    const due = [{ id: 1n }]
+    mockFindDueSubscriptions.mockResolvedValue(due)
+    mockRunReportSubscription.mockResolvedValue(null)
+
+    const result = await runReportSubscriptionsTask.handler(mockContext)
+
+    expect(result).toMatchObject({ queued: 0, skipped: 1, failed: 0 })
+    expect(mockRecordRun).toHaveBeenCalledWith(due[0], null)
+  })
+
+  it('records the run of a failed subscription and carries on', async () => {
+    const due = [{ id: 1n }, { id: 2n }]
+    const error = new Error('Queue unavailable')
+    mockFindDueSubscriptions.mockResolvedValue(due)
+    mockRunReportSubscription
+      .mockRejectedValueOnce(error)
+      .mockResolvedValueOnce(12n)
+
+    const result = await runReportSubscriptionsTask.handler(mockContext)
+
+    expect(result).toMatchObject({ queued: 1, skipped: 0, failed: 1 })
+    expect(mockRecordRun).toHaveBeenCalledWith(due[0], null)
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      { error, subscriptionId: 1n },
+      'Failed to run report subscription'
+    )
+  })
+
+  it('logs and rethrows errors', async () => {
+    const error = new Error('Database error')
+    mockFindDueSubscriptions.mockRejectedValue(error)
+
+    await expect(
+      runReportSubscriptionsTask.handler(mockContext)
+    ).rejects.toThrow('Database error')
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      { error },
+      'Failed to run report subscriptions'
+    )
+  })
+})
@@ -5,12 +5,41 @@ import {
   runAdminGeneration,
   runUserGeneration
 } from '../downloads/programme/programme-service.js'
+import {
+  ProjectExportService,
+  PROJECT_EXPORT_MESSAGE_TYPE
+} from '../projects/services/project-export-service.js'
+import {
+  AccountImportService,
+  ACCOUNT_IMPORT_MESSAGE_TYPE
+} from '../accounts/services/account-import-service.js'
+import { AreaService } from '../areas/services/area-service.js'
+import { getEmailService } from '../../common/services/email/notify-service.js'
 
 const GENERATION_TYPE_ADMIN = 'admin'
 
 async function handleGenerationMessage(message, server) {
   const { prisma, logger } = server
   const payload = JSON.parse(message.Body)
+
+  // Large project list exports share the programme generation queue
+  if (payload.type === PROJECT_EXPORT_MESSAGE_TYPE) {
+    await new ProjectExportService(prisma, logger).runExport(
+      BigInt(payload.exportId)
+    )
+    return
+  }
+
+  if (payload.type === ACCOUNT_IMPORT_MESSAGE_TYPE) {
+    await new AccountImportService(
+      prisma,
+      logger,
+      getEmailService(logger),
+      new AreaService(prisma, logger)
+    ).runImport(BigInt(payload.importId))
+    return
+  }
+
   const downloadId = BigInt(payload.downloadId)
   const params = { ...payload, downloadId, prisma, logger }
 
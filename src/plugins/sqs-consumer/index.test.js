@@ -37,9 +37,39 @@ vi.mock('../downloads/programme/programme-service.js', () => ({
   runAdminGeneration: vi.fn().mockResolvedValue(undefined)
 }))
 
+const mockRunExport = vi.fn().mockResolvedValue(undefined)
+
+vi.mock('../projects/services/project-export-service.js', () => ({
+  PROJECT_EXPORT_MESSAGE_TYPE: 'projectExport',
+  ProjectExportService: vi.fn(function ProjectExportService() {
+    this.runExport = mockRunExport
+  })
+}))
+
+const mockRunImport = vi.fn().mockResolvedValue(undefined)
+
+vi.mock('../accounts/services/account-import-service.js', () => ({
+  ACCOUNT_IMPORT_MESSAGE_TYPE: 'accountImport',
+  AccountImportService: vi.fn(function AccountImportService() {
+    this.runImport = mockRunImport
+  })
+}))
+
+vi.mock('../areas/services/area-service.js', () => ({
+  AreaService: vi.fn(function AreaService() {})
+}))
+
+vi.mock('../../common/services/email/notify-service.js', () => ({
+  getEmailService: vi.fn(() => ({}))
+}))
+
 const { Consumer } = await import('sqs-consumer')
 const { runUserGeneration, runAdminGeneration } =
   await import('../downloads/programme/programme-service.js')
+const { ProjectExportService } =
+  await import('../projects/services/project-export-service.js')
+const { AccountImportService } =
+  await import('../accounts/services/account-import-service.js')
 const { sqsProgrammeConsumerPlugin } = await import('./index.js')
 
 function makeServer() {
@@ -163,6 +193,48 @@ describe('sqsProgrammeConsumerPlugin', () => {
     expect(result).toBe(message)
   })
 
+  test('dispatches project export message to ProjectExportService', async () => {
+    const server = makeServer()
+    await sqsProgrammeConsumerPlugin.register(server)
+    const { handleMessage } = Consumer.create.mock.calls[0][0]
+    const message = {
+      Body: JSON.stringify({ type: 'projectExport', exportId: '7' }),
+      ReceiptHandle: 'rh-export'
+    }
+    const result = await handleMessage(message)
+    expect(ProjectExportService).toHaveBeenCalledWith(
+      server.prisma,
+      server.logger
+    )
+    expect(mockRunExport).toHaveBeenCalledWith(BigInt(7))
+    expect(runUserGeneration).not.toHaveBeenCalled()
+    expect(runAdminGeneration).not.toHaveBeenCalled()
+    expect(server.sqs.send).toHaveBeenCalled()
+    expect(result).toBe(message)
+  })
+
+  test('handleMessage runs account import messages', async () => {
+    const server = makeServer()
+    await sqsProgrammeConsumerPlugin.register(server)
+    const { handleMessage } = Consumer.create.mock.calls[0][0]
+    const message = {
+      Body: JSON.stringify({ type: 'accountImport', importId: '12' }),
+      ReceiptHandle: 'rh-import'
+    }
+    const result = await handleMessage(message)
+    expect(AccountImportService).toHaveBeenCalledWith(
+      server.prisma,
+      server.logger,
+      expect.any(Object),
+      expect.any(Object)
+    )
+    expect(mockRunImport).toHaveBeenCalledWith(BigInt(12))
+    expect(mockRunExport).not.toHaveBeenCalled()
+    expect(runUserGeneration).not.toHaveBeenCalled()
+    expect(server.sqs.send).toHaveBeenCalled()
+    expect(result).toBe(message)
+  })
+
   test('logs error events via error handler', async () => {
     const server = makeServer()
     await sqsProgrammeConsumerPlugin.register(server)
@@ -124,6 +124,12 @@ const hapiSwaggerOptions = {
       name: 'scheduler',
       description:
         'Distributed scheduler task management. All endpoints require JWT with `admin: true`.'
+    },
+    {
+      name: 'audit',
+      description:
+        'Audit trail search across audited models, including records archived to S3. ' +
+        'All endpoints require JWT with `admin: true`.'
     }
   ],
 
@@ -25,6 +25,10 @@ import swaggerPlugin from './plugins/swagger/index.js'
 import downloadsPlugin from './plugins/downloads/index.js'
 import gatewayGuardPlugin from './plugins/gateway-guard/index.js'
 import externalPlugin from './plugins/external/index.js'
+import auditPlugin from './plugins/audit/index.js'
+import notificationsPlugin from './plugins/notifications/index.js'
+import reportSubscriptionsPlugin from './plugins/report-subscriptions/index.js'
+import reportsPlugin from './plugins/reports/index.js'
 import { sqsClientPlugin } from './common/helpers/sqs/sqs-client.js'
 import { sqsProgrammeConsumerPlugin } from './plugins/sqs-consumer/index.js'
 import { sqsExternalSubmissionConsumerPlugin } from './plugins/sqs-consumer/external-submission-consumer.js'
@@ -100,7 +104,11 @@ async function registerCorePlugins(server) {
     projectsPlugin,
     fileUploadPlugin,
     downloadsPlugin,
-    externalPlugin
+    externalPlugin,
+    auditPlugin,
+    notificationsPlugin,
+    reportSubscriptionsPlugin,
+    reportsPlugin
   ])
 }
 
@@ -144,7 +152,12 @@ export function collectProductionConfigErrors(isProd, getConfigValue) {
       insecureDefault: 'changeme-refresh-secret-key-for-development'
     },
     { path: 'auth.jwt.issuer', env: 'JWT_ISSUER', insecureDefault: '' },
-    { path: 'auth.jwt.audience', env: 'JWT_AUDIENCE', insecureDefault: '' }
+    { path: 'auth.jwt.audience', env: 'JWT_AUDIENCE', insecureDefault: '' },
+    {
+      path: 'auth.mfa.secretEncryptionKey',
+      env: 'AUTH_MFA_SECRET_ENCRYPTION_KEY',
+      insecureDefault: 'changeme-mfa-secret-key-for-development'
+    }
   ]
 
   return required
@@ -142,7 +142,9 @@ describe('collectProductionConfigErrors', () => {
     'auth.jwt.refreshSecret':
       'very-strong-refresh-secret-at-least-64-characters-long-abc123!',
     'auth.jwt.issuer': 'pafs.service.gov.uk',
-    'auth.jwt.audience': 'pafs-api-v1'
+    'auth.jwt.audience': 'pafs-api-v1',
+    'auth.mfa.secretEncryptionKey':
+      'very-strong-mfa-secret-key-at-least-64-characters-long-abc123!'
   }
 
   /** Returns a config getter seeded from PRODUCTION_SAFE_CONFIG with any overrides applied */
@@ -189,6 +191,18 @@ describe('collectProductionConfigErrors', () => {
       expect(errors[0]).toContain('JWT_REFRESH_SECRET')
     })
 
+    test('reports error when AUTH_MFA_SECRET_ENCRYPTION_KEY is the development default', () => {
+      const errors = collectProductionConfigErrors(
+        true,
+        makeGetter({
+          'auth.mfa.secretEncryptionKey':
+            'changeme-mfa-secret-key-for-development'
+        })
+      )
+      expect(errors).toHaveLength(1)
+      expect(errors[0]).toContain('AUTH_MFA_SECRET_ENCRYPTION_KEY')
+    })
+
     test('reports error when JWT_ISSUER is empty string', () => {
       const errors = collectProductionConfigErrors(
         true,
@@ -231,7 +245,7 @@ describe('collectProductionConfigErrors', () => {
       expect(errors).toHaveLength(2)
     })
 
-    test('reports all four errors when everything is at default', () => {
+    test('reports all five errors when everything is at default', () => {
       const errors = collectProductionConfigErrors(
         true,
         makeGetter({
@@ -239,10 +253,12 @@ describe('collectProductionConfigErrors', () => {
           'auth.jwt.refreshSecret':
             'changeme-refresh-secret-key-for-development',
           'auth.jwt.issuer': '',
-          'auth.jwt.audience': ''
+          'auth.jwt.audience': '',
+          'auth.mfa.secretEncryptionKey':
+            'changeme-mfa-secret-key-for-development'
         })
       )
-      expect(errors).toHaveLength(4)
+      expect(errors).toHaveLength(5)
     })
 
     test('error messages describe the required action clearly', () => {